@@ -4,6 +4,9 @@ const { verifyToken, getCorsHeaders } = require('./lib/auth');
 // ✅ 보안 패치: Bearer 토큰 인증 추가
 
 const { createClient } = require('@supabase/supabase-js');
+const { determineWorkplaceSize } = require('./lib/workplace-size');
+const { loadAllPayrollRules } = require('./lib/payroll-rules');
+const { loadOrdinaryWage } = require('./lib/ordinary-wage');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -108,6 +111,7 @@ async function handleGet(event, headers, userInfo) {
       body: JSON.stringify({
         success: true,
         annual_leave: annualLeave,
+        leave_allowance: await estimateLeaveAllowance(annualLeave, company_id, targetYear),
       }),
     };
   }
@@ -169,6 +173,39 @@ async function handleGet(event, headers, userInfo) {
   };
 }
 
+// 미사용 연차수당 (예상) — 잔여 연차 일수 × 1일 통상임금 (lib/ordinary-wage.js)
+// 통상임금은 당해 연도면 이번 달, 과거 연도면 12월 기준. 실패해도 연차 조회는 그대로 응답
+async function estimateLeaveAllowance(annualLeave, companyId, year) {
+  try {
+    const { data: employee } = await supabase
+      .from('employees')
+      .select('*')
+      .eq('id', annualLeave.employee_id)
+      .eq('company_id', companyId)
+      .maybeSingle();
+    if (!employee) return null;
+
+    const now = new Date();
+    const month = year === now.getFullYear() ? now.getMonth() + 1 : 12;
+    const ordinaryWage = await loadOrdinaryWage(supabase, { employee, year, month });
+    const remainingDays = Math.max(
+      Number(annualLeave.remaining_days ?? ((annualLeave.total_days || 0) - (annualLeave.used_days || 0))) || 0,
+      0
+    );
+
+    return {
+      remaining_days: remainingDays,
+      daily_ordinary_wage: ordinaryWage.dailyOrdinaryWage,
+      hourly_ordinary_wage: ordinaryWage.hourlyOrdinaryWage,
+      amount: Math.floor(remainingDays * ordinaryWage.dailyOrdinaryWage),
+      ordinary_wage: ordinaryWage,
+    };
+  } catch (error) {
+    console.error('Leave allowance estimate error:', error);
+    return null;
+  }
+}
+
 // POST: 연차 재계산 (관리자용)
 async function handlePost(event, headers, userInfo) {
   const { employee_id, year } = JSON.parse(event.body || '{}');
@@ -187,8 +224,9 @@ async function handlePost(event, headers, userInfo) {
   // 직원 입사일 조회
   const { data: employee, error: empError } = await supabase
     .from('employees')
-    .select('hire_date')
+    .select('hire_date, company_id, business_id')
     .eq('id', employee_id)
+    .eq('company_id', userInfo.companyId)
     .single();
 
   if (empError || !employee) {
@@ -205,8 +243,24 @@ async function handlePost(event, headers, userInfo) {
   const diffMs = yearStart.getTime() - hireDate.getTime();
   const diffYears = diffMs / (1000 * 60 * 60 * 24 * 365.25);
 
+  // 사업장 규모 판정 — 5인 미만 사업장은 연차 미발생 (근로기준법 시행령 별표1)
+  // 기준: 재계산 시점(당해 연도면 현재 월, 과거 연도면 12월)의 직전 1개월
+  const now = new Date();
+  const sizeMonth = targetYear === now.getFullYear() ? now.getMonth() + 1 : 12;
+  const workplaceSize = await determineWorkplaceSize(supabase, {
+    companyId: employee.company_id,
+    businessId: employee.business_id,
+    year: targetYear,
+    month: sizeMonth,
+  });
+  const rules = await loadAllPayrollRules(supabase, new Date(targetYear, sizeMonth - 1, 15), {
+    profile: workplaceSize.profile,
+  });
+
   let calculatedDays;
-  if (diffYears < 1) {
+  if (!rules.annualLeave.enabled) {
+    calculatedDays = 0;
+  } else if (diffYears < 1) {
     // 1년 미만: 월 1일씩 (최대 11일)
     const monthsWorked = Math.floor(diffYears * 12);
     calculatedDays = Math.min(monthsWorked, 11);
@@ -286,7 +340,11 @@ async function handlePost(event, headers, userInfo) {
       success: true,
       annual_leave: annualLeave,
       calculated_days: calculatedDays,
-      message: `${targetYear}년 연차가 재계산되었습니다.`,
+      rule_profile: rules.profile,
+      regular_headcount: workplaceSize.regularHeadcount,
+      message: rules.annualLeave.enabled
+        ? `${targetYear}년 연차가 재계산되었습니다.`
+        : `${targetYear}년 연차가 재계산되었습니다. (5인 미만 사업장 — 연차유급휴가 미적용)`,
     }),
   };
 }
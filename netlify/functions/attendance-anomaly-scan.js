@@ -0,0 +1,126 @@
+// netlify/functions/attendance-anomaly-scan.js
+// 출퇴근 이상 징후 재판정 배치 — 매일 03:00 KST (netlify.toml schedule)
+//
+// 체크인 시점 판정(attendance-checkin.js)은 그 순간까지 들어온 기록만 보므로
+// 몇 초 뒤 같은 IP 로 찍은 다른 직원, 이후 반복된 좌표 등은 놓침
+// → 최근 2일(KST) 출근 기록 전체를 lib/punch-anomaly.js 로 다시 판정해 anomaly_flags 갱신
+//
+// 회사마다 판정 대상과 비교 대상(동일 좌표 30일 · 동일 IP)을 한 번씩 페이지 단위로 읽어 메모리에서 판정
+// (기록마다 조회하면 예약 함수 실행 시간 제한에 걸려 중간에 멈춤)
+// 판정 결과가 바뀐 기록만 개별 저장, 나머지는 anomaly_checked_at 만 일괄 갱신
+//
+// 관리자 검토 표시(anomaly_reviewed_at)는 건드리지 않음
+
+const { createClient } = require('@supabase/supabase-js');
+const { captureError } = require('./lib/sentry');
+const { toKstDateKey } = require('./lib/holidays');
+const {
+  ANOMALY_SELECT, COMPARE_SELECT, REPEAT_LOOKBACK_DAYS, SHARED_IP_WINDOW_SECONDS,
+  evaluatePunchAnomaliesBatch, saveAnomalies,
+} = require('./lib/punch-anomaly');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const LOOKBACK_DAYS = 2;
+const PAGE_SIZE = 1000;       // Supabase 기본 최대 행 수
+const ID_CHUNK = 200;         // .in('id', …) 한 번에 넣을 id 수 (URL 길이)
+
+// 조건에 맞는 기록 전체 (PAGE_SIZE 단위로 이어 읽기)
+async function fetchAllPages(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().order('id', { ascending: true }).range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+function sameResult(att, evaluated) {
+  return (att.anomaly_score ?? null) === evaluated.score
+    && JSON.stringify(att.anomaly_flags || []) === JSON.stringify(evaluated.flags);
+}
+
+// 회사 1곳의 최근 출퇴근 기록 재판정
+async function scanCompany(companyId, fromDateKey, now) {
+  const fromIso = `${fromDateKey}T00:00:00+09:00`;
+  const rows = await fetchAllPages(() => supabase
+    .from('attendances')
+    .select(`${ANOMALY_SELECT}, anomaly_flags, anomaly_score`)
+    .eq('company_id', companyId)
+    .gte('check_in_time', fromIso)
+    .lte('check_in_time', now.toISOString()));
+
+  const result = { scanned: rows.length, flagged: 0, updated: 0 };
+  if (rows.length === 0) return result;
+
+  // 비교 대상: 동일 좌표 조회 기간(30일) 전부터 — 퇴근 IP 비교용으로 현재 + 30초까지
+  const compareFrom = new Date(new Date(fromIso).getTime() - REPEAT_LOOKBACK_DAYS * 86400000).toISOString();
+  const compareTo = new Date(now.getTime() + SHARED_IP_WINDOW_SECONDS * 1000).toISOString();
+  const compareRows = await fetchAllPages(() => supabase
+    .from('attendances')
+    .select(COMPARE_SELECT)
+    .eq('company_id', companyId)
+    .gte('check_in_time', compareFrom)
+    .lte('check_in_time', compareTo));
+
+  const evaluated = evaluatePunchAnomaliesBatch(rows, compareRows);
+  const unchangedIds = [];
+  for (const att of rows) {
+    const r = evaluated.get(att.id);
+    if (r.flags.length > 0) result.flagged++;
+    if (sameResult(att, r)) {
+      unchangedIds.push(att.id);
+    } else {
+      await saveAnomalies(supabase, att.id, r, now);
+      result.updated++;
+    }
+  }
+
+  for (let i = 0; i < unchangedIds.length; i += ID_CHUNK) {
+    const { error } = await supabase
+      .from('attendances')
+      .update({ anomaly_checked_at: now.toISOString() })
+      .in('id', unchangedIds.slice(i, i + ID_CHUNK));
+    if (error) throw error;
+  }
+  return result;
+}
+
+exports.handler = async () => {
+  const now = new Date();
+  const fromDateKey = toKstDateKey(new Date(now.getTime() - LOOKBACK_DAYS * 24 * 3600 * 1000));
+  const summary = { from: fromDateKey, companies: 0, scanned: 0, flagged: 0, updated: 0, failed: [] };
+
+  try {
+    const { data: companies, error } = await supabase
+      .from('companies')
+      .select('id');
+    if (error) throw error;
+
+    for (const company of companies || []) {
+      try {
+        const r = await scanCompany(company.id, fromDateKey, now);
+        summary.scanned += r.scanned;
+        summary.flagged += r.flagged;
+        summary.updated += r.updated;
+        summary.companies++;
+      } catch (e) {
+        // 한 회사 실패가 전체 배치를 멈추지 않도록 기록 후 계속
+        console.error(`[attendance-anomaly-scan] ${company.id} 판정 실패:`, e.message);
+        captureError(e, { function: 'attendance-anomaly-scan', companyId: company.id });
+        summary.failed.push(company.id);
+      }
+    }
+
+    console.log('[attendance-anomaly-scan] 완료:', summary);
+    return { statusCode: 200, body: JSON.stringify({ success: true, ...summary }) };
+  } catch (error) {
+    console.error('[attendance-anomaly-scan] 오류:', error);
+    captureError(error, { function: 'attendance-anomaly-scan' });
+    return { statusCode: 500, body: JSON.stringify({ success: false, error: error.message }) };
+  }
+};
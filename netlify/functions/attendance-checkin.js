@@ -3,67 +3,53 @@
 //
 // POST /.netlify/functions/attendance-checkin
 // Body: {
-//   token: "ATT_xxx",           // QR 코드 토큰 (회사 식별)
+//   token: "QRT_xxx" | "DQR_xxx", // QR 코드 토큰 (고정 QR → 회사 식별 / 동적 QR → 사업장 식별)
 //   phoneNumber: "010-1234-5678", // 직원 식별
-//   type: "check-in" | "check-out",
+//   type: "check-in" | "check-out" | "break-start" | "break-end",
 //   timestamp: ISO8601,
-//   location: { latitude, longitude } | null  // GPS (항상 수집)
+//   location: { latitude, longitude, accuracy, positionTimestamp, mocked, webdriver } | null,  // GPS (항상 수집)
+//   deviceCredential: "{deviceId}.{secret}",  // 기기 인증키 (device-binding.js 에서 발급)
+//   offline: { punchId, signature }          // 오프라인 저장 후 지연 전송한 기록 (lib/offline-punch.js)
 // }
 //
 // 처리 순서:
 //  1) 토큰 → companyId 조회
+//     동적 QR(DQR_) 은 사업장 비밀키로 시간 구간 검증 → 오래된 코드 거부 (lib/qr-totp.js)
 //  2) 전화번호 → 직원 조회
+//     기기 인증키 검증 — companies.device_binding_required 이면 필수 (대리출근 방지, lib/device-binding.js)
 //  3) 직원의 businessId → businesses WiFi 설정 조회
 //  4) 서버가 X-Forwarded-For 에서 client_ip 추출 (위조 불가)
-//  5) wifi_enabled = true → 등록 IP vs client_ip 비교
+//  5) wifi_enabled = true → 허용 네트워크(IP/CIDR 목록, IPv4·IPv6) vs client_ip 비교
+//     GPS → 지오펜스(원/다각형 목록) 비교, 일치한 규칙 이름을 출퇴근 기록에 저장 (lib/location-rules.js)
 //  6) 불일치 → businesses.wifi_ip_mismatch_detected 업데이트
-//  7) attendances INSERT (check_method, client_ip, wifi_matched 포함)
+//  7) attendances INSERT (check_method, client_ip, wifi_matched 포함) — 저장은 lib/punch-recorder.js (키오스크와 공통)
+//  8) 휴게 펀치(break-start/end) → attendances.break_punches 에 구간 추가
+//     퇴근 시 lib/work-time.js 로 휴게시간 차감 (원시간·휴게·실근로시간 모두 저장)
+//  9) 근무 스케줄 대비 지각(출근 시)/조퇴(퇴근 시) 판정 → lib/schedules.js
+// 10) 위치 위조 / 대리출근 이상 징후 판정 → attendances.anomaly_flags (lib/punch-anomaly.js)
+//
+// 오프라인 지연 전송(body.offline): timestamp(누른 시각) 기준으로 기록, 동적 QR 도 그 시각으로 검증
+// 같은 punchId 재전송은 중복 처리 없이 성공 응답 / WiFi 는 전송 시점 IP 라 확인 불가
+// 허용 지연 초과·서명 없음·WiFi 확인 불가 → offline_review_reasons (관리자 검토)
+//
+// 근무일은 KST 기준, 퇴근/휴게 펀치는 최대 근무시간(companies.max_shift_hours) 이내의
+// 가장 최근 근무중 기록과 짝지음 → 22:00 출근 / 06:00 퇴근 야간 근무 지원 (lib/shift-pairing.js)
 
 const { createClient } = require('@supabase/supabase-js');
-// ─────────────────────────────────────────────────────────────
-// 야간근로 시간 계산 (근로기준법 제56조) — 22:00~06:00 구간
-// ─────────────────────────────────────────────────────────────
-function calcNightHours(checkInISO, checkOutISO) {
-  if (!checkInISO || !checkOutISO) return 0;
-  const inTime  = new Date(checkInISO);
-  const outTime = new Date(checkOutISO);
-  if (outTime <= inTime) return 0;
-  const MS_HOUR = 3600 * 1000;
-  let nightMs = 0;
-  const startDay = new Date(inTime);
-  startDay.setHours(0, 0, 0, 0);
-  for (let d = -1; d <= 2; d++) {
-    const nightStart = new Date(startDay);
-    nightStart.setDate(nightStart.getDate() + d);
-    nightStart.setHours(22, 0, 0, 0);
-    const nightEnd = new Date(nightStart);
-    nightEnd.setDate(nightEnd.getDate() + 1);
-    nightEnd.setHours(6, 0, 0, 0);
-    const overlapStart = Math.max(inTime.getTime(), nightStart.getTime());
-    const overlapEnd   = Math.min(outTime.getTime(), nightEnd.getTime());
-    if (overlapEnd > overlapStart) nightMs += overlapEnd - overlapStart;
-  }
-  return Math.max(0, parseFloat((nightMs / MS_HOUR).toFixed(2)));
-}
-// ─────────────────────────────────────────────────────────────
-// 하버사인 공식 — 두 GPS 좌표 사이의 직선 거리 계산 (미터)
-// 비유: 지구가 완전한 구라고 가정하고 두 점 사이의 호 길이 계산
-// 오차: ±0.5% (지구 타원형 때문에 극지방에서 약간 부정확하지만 한국 기준 충분)
-// ─────────────────────────────────────────────────────────────
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R   = 6371000; // 지구 반지름 (미터)
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2)
-          + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180)
-          * Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return Math.round(R * c); // 미터 단위 정수 반환
-}
-
-
-
-
+const { businessDateOf, resolveMaxShiftHours } = require('./lib/shift-pairing');
+const { resolveCheckinToken, findEmployeeByPhone } = require('./lib/checkin-token');
+const { verifyDeviceCredential } = require('./lib/device-binding');
+const { getNetworkRules, matchNetwork, getGeofences, matchGeofence } = require('./lib/location-rules');
+const { buildLocationMeta } = require('./lib/punch-anomaly');
+const { recordPunch, punchMessage } = require('./lib/punch-recorder');
+const {
+  OFFLINE_REVIEW_REASON,
+  resolveOfflineToleranceMinutes,
+  verifyPunchSignature,
+  evaluateOfflineDelay,
+} = require('./lib/offline-punch');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -77,11 +63,6 @@ const CORS = {
   'Content-Type': 'application/json',
 };
 
-// ── 전화번호 정규화: "010-1234-5678" → "01012345678" ────────────
-function normalizePhone(phone) {
-  return (phone || '').replace(/[^0-9]/g, '');
-}
-
 // ── X-Forwarded-For 에서 실제 클라이언트 IP 추출 + 정규화 ──────
 // 비유: 같은 집 주소라도 "서울시 강남구" vs "Seoul Gangnam-gu"처럼
 //       표기가 달라도 같은 곳임을 알아야 함
@@ -109,60 +90,39 @@ exports.handler = async (event) => {
 
   try {
     const body = JSON.parse(event.body || '{}');
-    const { token, phoneNumber, type, timestamp, location } = body;
+    const { token, phoneNumber, type, timestamp, location, deviceCredential, offline } = body;
 
     // ── 입력값 검증 ───────────────────────────────────────────
     if (!token)       return err400('token 필수');
     if (!phoneNumber) return err400('phoneNumber 필수');
-    if (!type || !['check-in', 'check-out'].includes(type)) return err400('type은 check-in 또는 check-out');
+    if (!type || !['check-in', 'check-out', 'break-start', 'break-end'].includes(type)) {
+      return err400('type은 check-in, check-out, break-start, break-end 중 하나');
+    }
 
     const checkTime = timestamp ? new Date(timestamp) : new Date();
     if (isNaN(checkTime)) return err400('timestamp 형식 오류');
 
-    // ── 1) QR 토큰 → DB 조회로 companyId 확인 ──────────────
-    // 변경: 클라이언트 파싱(ATT_{companyId}_{timestamp}) 제거
-    //       → 서버 발급 토큰을 qr_tokens 테이블에서 조회
-    // 보안: 토큰 위조 불가, 만료/폐기 상태 서버에서 검증
-
-    // 구형 토큰(ATT_) 하위 호환성 — 마이그레이션 기간 동안만 허용
-    if (token.startsWith('ATT_')) {
-      return {
-        statusCode: 410,
-        headers: CORS,
-        body: JSON.stringify({
-          success: false,
-          error: 'QR코드가 만료되었습니다. 관리자에게 새 QR코드 발급을 요청해주세요.',
-        }),
-      };
-    }
-
-    // qr_tokens 테이블에서 토큰 조회
-    const { data: tokenRecord, error: tokenErr } = await supabase
-      .from('qr_tokens')
-      .select('id, company_id, expires_at, revoked_at')
-      .eq('token', token)
-      .single();
-
-    if (tokenErr || !tokenRecord) {
-      return { statusCode: 404, headers: CORS, body: JSON.stringify({ success: false, error: '유효하지 않은 QR코드입니다.' }) };
+    const isOffline = !!offline;
+    if (isOffline) {
+      if (!timestamp) return err400('오프라인 기록은 timestamp 필수');
+      if (!UUID_RE.test(String(offline.punchId || ''))) return err400('offline.punchId 형식 오류');
     }
 
-    // 폐기 여부 확인
-    if (tokenRecord.revoked_at) {
-      return { statusCode: 410, headers: CORS, body: JSON.stringify({ success: false, error: 'QR코드가 폐기되었습니다. 관리자에게 새 QR코드를 요청해주세요.' }) };
-    }
-
-    // 만료 여부 확인
-    if (new Date(tokenRecord.expires_at) < new Date()) {
-      return { statusCode: 410, headers: CORS, body: JSON.stringify({ success: false, error: 'QR코드가 만료되었습니다. 관리자에게 새 QR코드를 요청해주세요.' }) };
+    // ── 1) QR 토큰 → DB 조회로 companyId 확인 ──────────────
+    // 서버 발급 토큰(고정 QR) 또는 동적 QR 코드를 서버에서 검증 (lib/checkin-token.js)
+    // 보안: 토큰 위조 불가, 만료/폐기 상태 서버에서 검증
+    const resolved = await resolveCheckinToken(supabase, token, { offlineAt: isOffline ? checkTime : undefined });
+    if (resolved.error) {
+      const { statusCode, ...errBody } = resolved.error;
+      return { statusCode, headers: CORS, body: JSON.stringify({ success: false, ...errBody }) };
     }
-
-    const companyId = tokenRecord.company_id;
+    const companyId = resolved.companyId;
+    const dynamicBusinessId = resolved.dynamicBusinessId; // 동적 QR 로 체크인한 경우 QR 이 표시된 사업장
 
     // 회사명 조회 (응답 메시지용)
     const { data: company, error: compErr } = await supabase
       .from('companies')
-      .select('id, company_name')
+      .select('id, company_name, max_shift_hours, device_binding_required, offline_tolerance_minutes')
       .eq('id', companyId)
       .single();
 
@@ -170,41 +130,66 @@ exports.handler = async (event) => {
       return { statusCode: 404, headers: CORS, body: JSON.stringify({ success: false, error: '등록되지 않은 회사입니다.' }) };
     }
 
+    // ── 1-1) 오프라인 지연 전송 검증 ──────────────────────────
+    // 비유: 통신 안 되는 곳에서 쓴 출근부를 나중에 제출 — 제출이 늦을수록 관리자 확인
+    let offlineDelaySeconds = null;
+    const offlineReviewReasons = [];
+    if (isOffline) {
+      const delay = evaluateOfflineDelay(checkTime, new Date(), resolveOfflineToleranceMinutes(company.offline_tolerance_minutes));
+      if (delay.error) {
+        return { statusCode: 422, headers: CORS, body: JSON.stringify({ success: false, error: delay.error }) };
+      }
+      offlineDelaySeconds = delay.delaySeconds;
+      if (delay.lateSync) offlineReviewReasons.push(OFFLINE_REVIEW_REASON.LATE_SYNC);
+      // 동적 QR 을 서버 시각으로 확인하지 못함 — 기기 서명이 있어도 촬영 코드 재사용과 구분 불가
+      if (resolved.dynamicCodeUnverified) offlineReviewReasons.push(OFFLINE_REVIEW_REASON.DQR_UNVERIFIED);
+    }
+
     // ── 2) 전화번호 → 직원 조회 ──────────────────────────────
-    // phone은 employees가 아닌 연결된 users 테이블에 저장됨
-    // users → employees (user_id FK) 순서로 조회
-    const phoneNormalized = normalizePhone(phoneNumber); // '01012345678'
-    const phoneDashed = phoneNormalized.replace(/^(\d{3})(\d{4})(\d{4})$/, '$1-$2-$3'); // '010-1234-5678'
-
-    // Step 1: users 테이블에서 전화번호로 user_id 조회
-    const { data: userRows, error: userErr } = await supabase
-      .from('users')
-      .select('id')
-      .in('phone', [phoneNormalized, phoneDashed, phoneNumber]);
-
-    if (userErr || !userRows || userRows.length === 0) {
+    const employee = await findEmployeeByPhone(
+      supabase, companyId, phoneNumber,
+      'id, business_id, status, break_time_minutes, work_start_time, work_end_time, work_days, users:user_id ( name )'
+    );
+
+    if (!employee) {
       return { statusCode: 404, headers: CORS, body: JSON.stringify({ success: false, error: '등록되지 않은 전화번호입니다.' }) };
     }
 
-    const userIds = userRows.map(u => u.id);
-
-    // Step 2: employees 테이블에서 user_id + company_id 매칭
-    const { data: employee, error: empErr } = await supabase
-      .from('employees')
-      .select('id, business_id, status, users:user_id ( name )')
-      .eq('company_id', companyId)
-      .in('user_id', userIds)
-      .eq('status', 'active')
-      .is('deleted_at', null)
-      .maybeSingle();
+    // ── 2-1) 기기 인증 (대리출근 방지) ───────────────────────
+    // 비유: 전화번호 = 이름표, 기기 인증키 = 본인 휴대폰에만 있는 사원증
+    const device = deviceCredential
+      ? await verifyDeviceCredential(supabase, { employeeId: employee.id, credential: deviceCredential })
+      : null;
 
-    if (empErr || !employee) {
-      return { statusCode: 404, headers: CORS, body: JSON.stringify({ success: false, error: '등록되지 않은 전화번호입니다.' }) };
+    if (company.device_binding_required === true && !device) {
+      return {
+        statusCode: 401,
+        headers: CORS,
+        body: JSON.stringify({
+          success: false,
+          deviceVerificationRequired: true,   // 프론트: SMS 인증 화면 표시
+          error: deviceCredential
+            ? '등록이 해제되었거나 다른 직원의 기기입니다. 본인 휴대폰 SMS 인증 후 다시 시도해주세요.'
+            : '처음 사용하는 휴대폰입니다. 본인 확인을 위해 SMS 인증을 진행해주세요.',
+        }),
+      };
     }
 
-    // users 조인에서 이름 추출
-    const empUser = Array.isArray(employee.users) ? employee.users[0] : employee.users;
-    employee.name = empUser?.name || '직원';
+    // 오프라인 기록 서명 검증 — 등록 기기에서 누른 그 시각·위치 그대로인지 확인
+    if (isOffline) {
+      if (device) {
+        const signed = verifyPunchSignature(
+          device.credential_hash,
+          { punchId: offline.punchId, token, phoneNumber, type, timestamp, location },
+          offline.signature
+        );
+        if (!signed) {
+          return { statusCode: 401, headers: CORS, body: JSON.stringify({ success: false, error: '오프라인 기록의 기기 서명이 올바르지 않습니다.' }) };
+        }
+      } else {
+        offlineReviewReasons.push(OFFLINE_REVIEW_REASON.UNSIGNED);
+      }
+    }
 
     // ── 3) 사업장 설정 조회 ──────────────────────────────────
     // 우선순위: 직원 지정 사업장 → 본점(is_headquarters=true) → 첫 번째 사업장
@@ -213,12 +198,15 @@ exports.handler = async (event) => {
     {
       let bizQuery = supabase
         .from('businesses')
-        .select('id, checkin_method, wifi_enabled, wifi_registered_ip, wifi_registered_ip_v6, gps_latitude, gps_longitude, gps_radius_meters')
+        .select('id, checkin_method, qr_mode, wifi_enabled, wifi_registered_ip, wifi_registered_ip_v6, wifi_allowed_networks, wifi_ip_mismatch_detected, gps_latitude, gps_longitude, gps_radius_meters, geofences')
         .eq('company_id', companyId)
         .eq('status', 'active')
         .is('deleted_at', null);
 
-      if (employee.business_id) {
+      if (dynamicBusinessId) {
+        // 동적 QR → QR 이 표시된 사업장 기준 (직원이 실제로 있는 곳)
+        bizQuery = bizQuery.eq('id', dynamicBusinessId);
+      } else if (employee.business_id) {
         // 직원 지정 사업장 기준
         bizQuery = bizQuery.eq('id', employee.business_id);
       } else {
@@ -230,6 +218,18 @@ exports.handler = async (event) => {
       bizSettings = biz;
     }
 
+    // 동적 QR 사업장은 인쇄된 고정 QR 로 출퇴근 불가 (사진 찍어 집에서 체크인 방지)
+    if (!dynamicBusinessId && bizSettings?.qr_mode === 'dynamic') {
+      return {
+        statusCode: 403,
+        headers: CORS,
+        body: JSON.stringify({
+          success: false,
+          error: '이 사업장은 현장 화면에 표시된 QR코드로만 출퇴근할 수 있습니다.',
+        }),
+      };
+    }
+
     // ── 4) 서버에서 클라이언트 IP 추출 (위조 불가) ────────────
     const clientIp = extractClientIp(event.headers);
 
@@ -238,18 +238,18 @@ exports.handler = async (event) => {
     //   - 맞으면 입장, 틀리면 거부 (WiFi 단독 모드)
     //   - GPS도 켜져 있으면 GPS가 통과시켜줄 수 있음
     let wifiMatched = null; // null = WiFi 인증 미사용
+    let wifiMatchedRule = null; // 일치한 허용 네트워크 이름
     const wifiEnabled = bizSettings?.wifi_enabled === true;
     const registeredIp = bizSettings?.wifi_registered_ip || null;
+    const networkRules = getNetworkRules(bizSettings);
 
-    const registeredIpV6 = bizSettings?.wifi_registered_ip_v6 || null;
-
-    if (wifiEnabled && (registeredIp || registeredIpV6)) {
-      // IPv4 또는 IPv6 중 하나라도 일치하면 통과
+    // 오프라인 지연 전송은 지금 IP 가 누른 곳의 IP 가 아니므로 비교하지 않음 (7번에서 검토 대상 처리)
+    if (wifiEnabled && networkRules.length > 0 && !isOffline) {
+      // 등록된 IP/CIDR 중 하나라도 일치하면 통과 (회선 여러 개, 유동 IPv6 접두어 대응)
       // 비유: 사무실 출입카드 번호가 바뀌었을 때 구번호/신번호 둘 다 허용
-      const normalizedClient = normalizeIp(clientIp);
-      const ipv4Match = registeredIp   && (normalizedClient === normalizeIp(registeredIp));
-      const ipv6Match = registeredIpV6 && (normalizedClient === normalizeIp(registeredIpV6));
-      wifiMatched = ipv4Match || ipv6Match;
+      const matchedRule = matchNetwork(clientIp, networkRules);
+      wifiMatched = !!matchedRule;
+      wifiMatchedRule = matchedRule ? matchedRule.label : null;
 
       // 불일치 시 → 사업장 알림 플래그 저장 (중복 방지)
       if (!wifiMatched) {
@@ -261,7 +261,7 @@ exports.handler = async (event) => {
               wifi_ip_mismatch_detected: clientIp,
               wifi_ip_mismatch_at: new Date().toISOString(),
             })
-            .eq('id', employee.business_id);
+            .eq('id', bizSettings.id);
         }
       }
     }
@@ -269,29 +269,29 @@ exports.handler = async (event) => {
     // ── 6) GPS 위치 검증 ─────────────────────────────────────
     // 비유: 사업장 반경 = 출입 허용 구역 (GPS가 울타리 역할)
     let gpsMatched   = null;  // null = GPS 인증 미사용
-    let gpsDistance  = null;  // 실제 거리(m)
-    const gpsEnabled = bizSettings?.gps_latitude && bizSettings?.gps_longitude;
+    let gpsDistance  = null;  // 원형: 중심까지 거리(m) / 다각형: 밖이면 경계까지 거리(m)
+    let geofenceMatched = null; // 일치한 지오펜스 이름
+    const geofences  = getGeofences(bizSettings);
+    const gpsEnabled = geofences.length > 0;
 
     if (gpsEnabled && location?.latitude) {
-      const dist = haversineDistance(
-        location.latitude,
-        location.longitude,
-        bizSettings.gps_latitude,
-        bizSettings.gps_longitude
-      );
-      const allowedRadius = bizSettings.gps_radius_meters || 100; // 기본 100m
-      gpsMatched  = dist <= allowedRadius;
-      gpsDistance = Math.round(dist); // 소수점 제거
-
-      // GPS 단독 모드이고 반경 초과 → 즉시 차단
+      const geo = matchGeofence(location, geofences);
+      gpsMatched      = geo.inside;
+      gpsDistance     = geo.distance;
+      geofenceMatched = geo.inside ? geo.fence.label : null;
+
+      // GPS 단독 모드이고 모든 지오펜스 밖 → 즉시 차단
       // (gps+wifi 모드는 아래 7번 판정에서 WiFi와 함께 최종 결정)
       if (bizSettings.checkin_method === 'gps' && !gpsMatched) {
+        const allowedRadius = geo.allowedRadius;
         return {
           statusCode: 403,
           headers: CORS,
           body: JSON.stringify({
             success:      false,
-            error:        `사업장 위치와 너무 멀리 있습니다. (현재 ${gpsDistance}m, 허용 ${allowedRadius}m 이내)`,
+            error:        allowedRadius
+              ? `사업장 위치와 너무 멀리 있습니다. (현재 ${gpsDistance}m, 허용 ${allowedRadius}m 이내)`
+              : `사업장 출퇴근 구역(${geo.fence.label}) 밖에 있습니다. (경계에서 ${gpsDistance}m)`,
             gpsDistance,
             allowedRadius,
           }),
@@ -374,58 +374,80 @@ exports.handler = async (event) => {
       // GPS 차단은 위 섹션(6번)에서 method==='gps' 조건으로 이미 처리됨
     }
 
+    // 오프라인 지연 전송: WiFi 확인 불가 → 차단 대신 관리자 검토 (GPS 로 확인된 경우 제외)
+    // WiFi 단독 모드도 의도적으로 받음 — 전송 시점 IP 로는 누른 곳을 알 수 없음 (lib/offline-punch.js)
+    if (isOffline && wifiEnabled && networkRules.length > 0
+        && (finalMethod === 'wifi' || (finalMethod === 'gps+wifi' && gpsMatched !== true))) {
+      offlineReviewReasons.push(OFFLINE_REVIEW_REASON.WIFI_UNVERIFIED);
+    }
+    const offlineReviewEntries = punch => offlineReviewReasons.map(reason => ({ punch, reason, delaySeconds: offlineDelaySeconds }));
+
     // ── 7) 출퇴근 기록 저장 ──────────────────────────────────
-    const today = checkTime.toISOString().slice(0, 10); // YYYY-MM-DD
+    // 기록·근로시간 계산·지각/조퇴·이상 징후 판정은 키오스크와 공통 (lib/punch-recorder.js)
     const checkinMethod = bizSettings?.checkin_method || 'qr';
+    const maxShiftHours = resolveMaxShiftHours(company.max_shift_hours);
+    const locationMeta = location?.latitude ? buildLocationMeta(location, new Date(), timestamp) : null;
+
+    const result = await recordPunch(supabase, {
+      companyId, employee, type, checkTime, maxShiftHours,
+      punchId: isOffline ? offline.punchId : null,
+      checkInFields: {
+        check_method:           checkinMethod,
+        client_ip:              clientIp,
+        wifi_matched:           wifiMatched,
+        registered_ip_snapshot: registeredIp,
+        // GPS 위치 (항상 기록 — 법적 분쟁 대비)
+        ...(locationMeta ? {
+          check_in_latitude:      location.latitude,
+          check_in_longitude:     location.longitude,
+          check_in_location_meta: locationMeta, // 정확도·모의 위치 징후
+        } : {}),
+        // GPS 검증 결과 저장 (null = 미사용, true/false = 검증 결과)
+        gps_matched:  gpsMatched,
+        gps_distance: gpsDistance,
+        // 일치한 위치 규칙 (허용 네트워크 / 지오펜스 이름)
+        wifi_matched_rule: wifiMatchedRule,
+        geofence_matched:  geofenceMatched,
+        device_id:         device ? device.id : null,   // 출근한 등록 기기
+        // 오프라인 지연 전송
+        ...(isOffline ? {
+          offline_synced:             true,
+          offline_sync_delay_seconds: offlineDelaySeconds,
+          offline_review_reasons:     offlineReviewEntries('check_in'),
+        } : {}),
+      },
+      checkOutFields: existing => ({
+        // 퇴근 시 WiFi/IP 도 기록 (client_ip는 출근 때 IP)
+        check_out_client_ip: clientIp,
+        ...(locationMeta ? {
+          check_out_latitude:      location.latitude,
+          check_out_longitude:     location.longitude,
+          check_out_location_meta: locationMeta,
+        } : {}),
+        check_out_wifi_matched_rule: wifiMatchedRule,
+        check_out_geofence_matched:  geofenceMatched,
+        check_out_device_id:         device ? device.id : null,
+        ...(isOffline ? {
+          check_out_offline_synced:             true,
+          check_out_offline_sync_delay_seconds: offlineDelaySeconds,
+          offline_review_reasons: [
+            ...(Array.isArray(existing.offline_review_reasons) ? existing.offline_review_reasons : []),
+            ...offlineReviewEntries('check_out'),
+          ],
+        } : {}),
+      }),
+    });
+
+    if (result.error) {
+      const { statusCode, ...errBody } = result.error;
+      return { statusCode, headers: CORS, body: JSON.stringify({ success: false, ...errBody }) };
+    }
+    if (result.duplicate) return duplicatePunch(type);
 
-    if (type === 'check-in') {
-      // 오늘 이미 출근 기록이 있는지 확인
-      const { data: existing } = await supabase
-        .from('attendances')
-        .select('id, check_in_time')
-        .eq('employee_id', employee.id)
-        .eq('company_id', companyId)
-        .gte('check_in_time', today + 'T00:00:00')
-        .lte('check_in_time', today + 'T23:59:59')
-        .maybeSingle();
-
-      if (existing) {
-        return {
-          statusCode: 409,
-          headers: CORS,
-          body: JSON.stringify({
-            success: false,
-            error: `오늘 이미 출근 기록이 있습니다. (${new Date(existing.check_in_time).toLocaleTimeString('ko-KR')})`,
-          }),
-        };
-      }
-
-      // 출근 기록 INSERT
-      const { data: att, error: attErr } = await supabase
-        .from('attendances')
-        .insert({
-          employee_id:              employee.id,
-          company_id:               companyId,
-          check_in_time:            checkTime.toISOString(),
-          status:                   'in_progress',
-          check_method:             checkinMethod,
-          client_ip:                clientIp,
-          wifi_matched:             wifiMatched,
-          registered_ip_snapshot:   registeredIp,
-          // GPS 위치 (항상 기록 — 법적 분쟁 대비)
-          ...(location?.latitude ? {
-            check_in_latitude:  location.latitude,
-            check_in_longitude: location.longitude,
-          } : {}),
-          // GPS 검증 결과 저장 (null = 미사용, true/false = 검증 결과)
-          gps_matched:  gpsMatched,
-          gps_distance: gpsDistance,
-        })
-        .select('id, check_in_time')
-        .single();
-
-      if (attErr) throw attErr;
+    const message = punchMessage(employee.name, type, result);
 
+    if (type === 'check-in') {
+      const schedule = result.schedule;
       return {
         statusCode: 200,
         headers: CORS,
@@ -433,80 +455,55 @@ exports.handler = async (event) => {
           success: true,
           type: 'check-in',
           employeeName: employee.name,
-          checkinTime: att.check_in_time,
+          checkinTime: result.attendance.check_in_time,
           wifiMatched,           // null=미사용, true=일치, false=불일치
+          wifiMatchedRule,       // 일치한 허용 네트워크 이름
           gpsMatched,            // null=미사용, true=반경내, false=반경외
           gpsDistance,           // 사업장까지 실제 거리(m)
+          geofenceMatched,       // 일치한 지오펜스 이름
           checkinMethod,
-          message: `${employee.name}님 출근이 기록되었습니다.`,
+          offlineSynced:       isOffline,
+          offlineDelaySeconds,
+          scheduleStatus: schedule?.result.status || null,
+          lateMinutes:    schedule?.result.lateMinutes || 0,
+          scheduledStart: schedule?.shift?.startAt || null,
+          message,
         }),
       };
+    }
 
-    } else {
-      // ── 퇴근 처리 ───────────────────────────────────────────
-      // 오늘 출근 기록 조회
-      const { data: existing, error: findErr } = await supabase
-        .from('attendances')
-        .select('id, check_in_time')
-        .eq('employee_id', employee.id)
-        .eq('company_id', companyId)
-        .eq('status', 'in_progress')
-        .gte('check_in_time', today + 'T00:00:00')
-        .order('check_in_time', { ascending: false })
-        .maybeSingle();
-
-      if (!existing) {
-        return {
-          statusCode: 404,
-          headers: CORS,
-          body: JSON.stringify({ success: false, error: '오늘 출근 기록을 찾을 수 없습니다.' }),
-        };
-      }
-
-      // 근무 시간 계산
-      const checkIn  = new Date(existing.check_in_time);
-      const checkOut = checkTime;
-      const workMinutes = Math.max(0, (checkOut - checkIn) / 60000);
-      const workHours   = Math.round(workMinutes / 60 * 100) / 100;
-
-      // 야간근로 시간 계산 (22:00~06:00 구간)
-      const nightHours = calcNightHours(existing.check_in_time, checkOut.toISOString());
-
-      const { data: att, error: upErr } = await supabase
-        .from('attendances')
-        .update({
-          check_out_time: checkOut.toISOString(),
-          work_hours:     workHours,
-          night_hours:    nightHours,  // 야간근로 시간 저장
-          status:         'completed',
-          // 퇴근 시 WiFi/IP 도 기록 (client_ip는 출근 때 이미 저장됨)
-          ...(location?.latitude ? {
-            check_out_latitude:  location.latitude,
-            check_out_longitude: location.longitude,
-          } : {}),
-        })
-        .eq('id', existing.id)
-        .select('id, check_out_time, work_hours')
-        .single();
-
-      if (upErr) throw upErr;
-
+    if (type === 'break-start' || type === 'break-end') {
       return {
         statusCode: 200,
         headers: CORS,
-        body: JSON.stringify({
-          success: true,
-          type: 'check-out',
-          employeeName: employee.name,
-          checkoutTime: att.check_out_time,
-          workHours:    att.work_hours,
-          wifiMatched,
-          checkinMethod,
-          message: `${employee.name}님 퇴근이 기록되었습니다. (근무 ${Math.floor(workMinutes/60)}시간 ${Math.floor(workMinutes%60)}분)`,
-        }),
+        body: JSON.stringify({ success: true, type, employeeName: employee.name, time: result.time, message }),
       };
     }
 
+    // 퇴근
+    const schedule = result.schedule;
+    return {
+      statusCode: 200,
+      headers: CORS,
+      body: JSON.stringify({
+        success: true,
+        type: 'check-out',
+        employeeName: employee.name,
+        checkoutTime: result.attendance.check_out_time,
+        workDate:     businessDateOf(result.checkInTime), // 근무일 = 출근일 (KST)
+        workHours:    result.attendance.work_hours,
+        breakMinutes: result.workTime.breakMinutes,
+        weeklyWorkMinutes: result.weekly ? result.weekly.totalMinutes : null, // 이번 주(월~일) 누적 실근로
+        scheduleStatus:    schedule?.result.status || null,
+        earlyLeaveMinutes: schedule?.result.earlyLeaveMinutes || 0,
+        wifiMatched,
+        checkinMethod,
+        offlineSynced:       isOffline,
+        offlineDelaySeconds,
+        message,
+      }),
+    };
+
   } catch (err) {
     console.error('attendance-checkin 오류:', err);
     return { statusCode: 500, headers: CORS, body: JSON.stringify({ success: false, error: '서버 오류: ' + err.message }) };
@@ -514,6 +511,15 @@ exports.handler = async (event) => {
 };
 
 // ── 헬퍼 ─────────────────────────────────────────────────────
+// 이미 반영된 오프라인 기록 (응답을 못 받고 끊긴 재전송) — 휴대폰 대기열에서 지우도록 성공으로 응답
+function duplicatePunch(type) {
+  return {
+    statusCode: 200,
+    headers: CORS,
+    body: JSON.stringify({ success: true, duplicate: true, type, message: '이미 전송된 기록입니다.' }),
+  };
+}
+
 function err400(msg) {
   return { statusCode: 400, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ success: false, error: msg }) };
 }
@@ -0,0 +1,151 @@
+// netlify/functions/attendance-classify-daily.js
+// 일일 근태 판정 배치 — 매일 10:00 KST (netlify.toml schedule) 전날 근무를 판정
+// (자정을 넘겨 아침에 끝나는 야간 시프트까지 끝난 뒤 판정하도록 오전에 실행)
+//
+// 처리 순서 (회사별):
+//  1) 재직 중인 직원 + 근무 스케줄(lib/schedules.js) + 휴일 캘린더 로드
+//  2) 전날(KST) 출퇴근 기록 / 휴가 조회
+//  3) 직원별 정상 / 지각 / 조퇴 / 결근 / 휴가 / 스케줄 외 근무 판정
+//  4) attendance_day_statuses UPSERT (employee_id + work_date 기준)
+//     출퇴근 기록이 있으면 attendances.schedule_status / late_minutes / early_leave_minutes 갱신
+//
+// ※ 체크인 시점 판정(attendance-checkin.js)은 출근·퇴근 각각의 임시 판정,
+//   이 배치가 결근까지 포함한 최종 판정
+
+const { createClient } = require('@supabase/supabase-js');
+const { captureError } = require('./lib/sentry');
+const { loadHolidayCalendar, toKstDateKey } = require('./lib/holidays');
+const { loadScheduleContext, classifyDay, groupAttendancesByDay, DAY_STATUS } = require('./lib/schedules');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// 회사 1곳의 하루 판정
+async function classifyCompanyDay(companyId, dateKey, now) {
+  const { data: employees, error: empErr } = await supabase
+    .from('employees')
+    .select('id, business_id, hire_date, resign_date, work_start_time, work_end_time, work_days, break_time_minutes')
+    .eq('company_id', companyId)
+    .eq('status', 'active')
+    .is('deleted_at', null);
+  if (empErr) throw empErr;
+
+  const targets = (employees || []).filter(e =>
+    (!e.hire_date || e.hire_date.slice(0, 10) <= dateKey)
+    && (!e.resign_date || e.resign_date.slice(0, 10) >= dateKey));
+  if (targets.length === 0) return 0;
+  const ids = targets.map(e => e.id);
+
+  const [{ data: attendances }, { data: vacations }] = await Promise.all([
+    supabase
+      .from('attendances')
+      .select('id, employee_id, check_in_time, check_out_time')
+      .in('employee_id', ids)
+      .gte('check_in_time', `${dateKey}T00:00:00+09:00`)
+      .lte('check_in_time', `${dateKey}T23:59:59+09:00`),
+    supabase
+      .from('vacations')
+      .select('employee_id, start_date, end_date')
+      .in('employee_id', ids)
+      .lte('start_date', dateKey)
+      .gte('end_date', dateKey),
+  ]);
+
+  // 휴일 캘린더는 사업장별 약정휴일이 달라 스케줄 컨텍스트를 사업장 단위로 캐시
+  const contexts = new Map();
+  async function contextFor(businessId) {
+    const key = businessId || '';
+    if (!contexts.has(key)) {
+      const holidayCalendar = await loadHolidayCalendar(supabase, { companyId, businessId, from: dateKey, to: dateKey });
+      contexts.set(key, await loadScheduleContext(supabase, { companyId, from: dateKey, to: dateKey, holidayCalendar }));
+    }
+    return contexts.get(key);
+  }
+
+  const byDay = groupAttendancesByDay(attendances || []);
+  const onLeave = new Set((vacations || []).map(v => v.employee_id));
+  const rows = [];
+
+  for (const employee of targets) {
+    const ctx = await contextFor(employee.business_id);
+    const shift = ctx.getShift(employee, dateKey);
+    const records = byDay.get(`${employee.id}|${dateKey}`) || [];
+    const result = classifyDay({ shift, attendances: records, now });
+
+    let status = result.status;
+    if (status === DAY_STATUS.ABSENT && onLeave.has(employee.id)) status = DAY_STATUS.ON_LEAVE;
+    // 근무 없는 휴무일 / 아직 끝나지 않은 시프트는 저장하지 않음
+    if (status === DAY_STATUS.DAY_OFF || status === DAY_STATUS.PENDING) continue;
+
+    rows.push({
+      company_id: companyId,
+      employee_id: employee.id,
+      work_date: dateKey,
+      status,
+      late_minutes: result.lateMinutes,
+      early_leave_minutes: result.earlyLeaveMinutes,
+      scheduled_start: shift ? shift.startAt : null,
+      scheduled_end: shift ? shift.endAt : null,
+      scheduled_minutes: shift ? shift.scheduledMinutes : 0,
+      shift_name: shift ? shift.name : null,
+      attendance_id: result.attendanceId,
+      classified_at: now.toISOString(),
+    });
+
+    if (result.attendanceId) {
+      await supabase
+        .from('attendances')
+        .update({
+          schedule_status: status,
+          late_minutes: result.lateMinutes,
+          early_leave_minutes: result.earlyLeaveMinutes,
+          scheduled_start: shift ? shift.startAt : null,
+          scheduled_end: shift ? shift.endAt : null,
+        })
+        .eq('id', result.attendanceId);
+    }
+  }
+
+  if (rows.length > 0) {
+    const { error: upsertErr } = await supabase
+      .from('attendance_day_statuses')
+      .upsert(rows, { onConflict: 'employee_id,work_date' });
+    if (upsertErr) throw upsertErr;
+  }
+  return rows.length;
+}
+
+exports.handler = async () => {
+  const now = new Date();
+  // 전날 (KST)
+  const dateKey = toKstDateKey(new Date(now.getTime() - 24 * 3600 * 1000));
+  const summary = { date: dateKey, companies: 0, classified: 0, failed: [] };
+
+  try {
+    const { data: companies, error } = await supabase
+      .from('companies')
+      .select('id');
+    if (error) throw error;
+
+    for (const company of companies || []) {
+      try {
+        summary.classified += await classifyCompanyDay(company.id, dateKey, now);
+        summary.companies++;
+      } catch (e) {
+        // 한 회사 실패가 전체 배치를 멈추지 않도록 기록 후 계속
+        console.error(`[attendance-classify-daily] ${company.id} 판정 실패:`, e.message);
+        captureError(e, { function: 'attendance-classify-daily', companyId: company.id, date: dateKey });
+        summary.failed.push(company.id);
+      }
+    }
+
+    console.log('[attendance-classify-daily] 완료:', summary);
+    return { statusCode: 200, body: JSON.stringify({ success: true, ...summary }) };
+  } catch (error) {
+    console.error('[attendance-classify-daily] 오류:', error);
+    captureError(error, { function: 'attendance-classify-daily' });
+    return { statusCode: 500, body: JSON.stringify({ success: false, error: error.message }) };
+  }
+};
@@ -0,0 +1,228 @@
+// netlify/functions/attendance-correction-request.js
+// 직원 출퇴근 정정 요청 API (attendance-checkin.html 에서 호출, 로그인 불필요)
+//
+// POST /.netlify/functions/attendance-correction-request
+//   공통 Body: { token, phoneNumber, deviceCredential }   // 체크인과 같은 본인 확인 (QR 토큰 + 전화번호 + 기기 인증키)
+//
+//   { action: 'create', type: 'missed_check_in' | 'missed_check_out' | 'wrong_time',
+//     workDate: 'YYYY-MM-DD', checkInTime: 'HH:MM', checkOutTime: 'HH:MM', checkOutDate: 'YYYY-MM-DD' (야간),
+//     reason, evidence: 'data:image/jpeg;base64,...' | 'data:application/pdf;base64,...' | null }
+//     → 관리자 승인 대기 (같은 근무일에 대기 중인 요청이 있으면 409)
+//
+//   { action: 'list' }              → 최근 정정 요청 20건과 처리 결과
+//   { action: 'cancel', requestId } → 대기 중인 요청 취소
+//
+// 승인/반려는 attendance-corrections.js (관리자), 공통 로직은 lib/attendance-correction.js
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { resolveCheckinToken, findEmployeeByPhone } = require('./lib/checkin-token');
+const { verifyDeviceCredential } = require('./lib/device-binding');
+const {
+  CORRECTION_STATUS,
+  MAX_REASON_LENGTH,
+  EVIDENCE_BUCKET,
+  parseEvidenceDataUrl,
+  buildRequestedTimes,
+  findAttendanceOnDate,
+  checkTarget,
+} = require('./lib/attendance-correction');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*', // QR 체크인 페이지와 동일 (직원 휴대폰에서 접속)
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers: CORS, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: CORS, body: '' };
+  if (event.httpMethod !== 'POST') return resp(405, { success: false, error: 'POST만 허용' });
+
+  try {
+    const body = JSON.parse(event.body || '{}');
+    if (!['create', 'list', 'cancel'].includes(body.action)) {
+      return resp(400, { success: false, error: 'action은 create, list, cancel 중 하나' });
+    }
+
+    const identity = await identify(body);
+    if (identity.error) return identity.error;
+
+    if (body.action === 'create') return await createRequest(identity, body);
+    if (body.action === 'list') return await listRequests(identity);
+    return await cancelRequest(identity, body);
+  } catch (err) {
+    console.error('attendance-correction-request 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
+
+// ── 본인 확인 (attendance-checkin.js 와 같은 기준) ──────────────
+async function identify({ token, phoneNumber, deviceCredential }) {
+  if (!token) return { error: resp(400, { success: false, error: 'token 필수' }) };
+  if (!phoneNumber) return { error: resp(400, { success: false, error: 'phoneNumber 필수' }) };
+
+  const resolved = await resolveCheckinToken(supabase, token);
+  if (resolved.error) {
+    const { statusCode, ...errBody } = resolved.error;
+    return { error: resp(statusCode, { success: false, ...errBody }) };
+  }
+
+  const { data: company } = await supabase
+    .from('companies')
+    .select('id, max_shift_hours, device_binding_required')
+    .eq('id', resolved.companyId)
+    .single();
+  if (!company) return { error: resp(404, { success: false, error: '등록되지 않은 회사입니다.' }) };
+
+  const employee = await findEmployeeByPhone(supabase, company.id, phoneNumber);
+  if (!employee) return { error: resp(404, { success: false, error: '등록되지 않은 전화번호입니다.' }) };
+
+  const device = deviceCredential
+    ? await verifyDeviceCredential(supabase, { employeeId: employee.id, credential: deviceCredential })
+    : null;
+  if (company.device_binding_required === true && !device) {
+    return {
+      error: resp(401, {
+        success: false,
+        deviceVerificationRequired: true,
+        error: '본인 확인을 위해 SMS 인증을 진행해주세요.',
+      }),
+    };
+  }
+
+  return { company, employee, device };
+}
+
+// ── 정정 요청 등록 ───────────────────────────────────────────
+async function createRequest({ company, employee, device }, body) {
+  const { type, workDate, checkInTime, checkOutTime, checkOutDate, evidence } = body;
+  const reason = String(body.reason || '').trim();
+  if (!reason) return resp(400, { success: false, error: '정정 사유를 입력해주세요.' });
+  if (reason.length > MAX_REASON_LENGTH) return resp(400, { success: false, error: `사유는 ${MAX_REASON_LENGTH}자 이내로 입력해주세요.` });
+
+  const times = buildRequestedTimes(
+    { type, workDate, checkInTime, checkOutTime, checkOutDate },
+    { maxShiftHours: company.max_shift_hours }
+  );
+  if (times.error) return resp(400, { success: false, error: times.error });
+
+  const attendance = await findAttendanceOnDate(supabase, {
+    companyId: company.id,
+    employeeId: employee.id,
+    workDate,
+    select: 'id, check_in_time, check_out_time, status, auto_closed_at',
+  });
+  const targetError = checkTarget(type, attendance);
+  if (targetError) return resp(409, { success: false, error: targetError });
+
+  // 정정 후 출퇴근 순서 확인 (한쪽만 정정하는 경우 기존 기록과 비교)
+  const afterIn = times.requestedCheckIn || attendance?.check_in_time;
+  const afterOut = times.requestedCheckOut || (type === 'wrong_time' ? attendance?.check_out_time : null);
+  if (afterIn && afterOut && new Date(afterOut) <= new Date(afterIn)) {
+    return resp(400, { success: false, error: '퇴근 시각은 출근 시각보다 늦어야 합니다.' });
+  }
+
+  const { data: pending } = await supabase
+    .from('attendance_correction_requests')
+    .select('id')
+    .eq('employee_id', employee.id)
+    .eq('work_date', workDate)
+    .eq('status', CORRECTION_STATUS.PENDING)
+    .limit(1)
+    .maybeSingle();
+  if (pending) {
+    return resp(409, { success: false, error: '이 날짜에 처리 대기 중인 정정 요청이 있습니다. 취소 후 다시 요청해주세요.' });
+  }
+
+  const requestId = crypto.randomUUID();
+  let evidenceFile = null;
+  if (evidence) {
+    const parsed = parseEvidenceDataUrl(evidence);
+    if (parsed.error) return resp(400, { success: false, error: parsed.error });
+    const path = `${company.id}/${employee.id}/${requestId}.${parsed.ext}`;
+    const { error: upErr } = await supabase.storage
+      .from(EVIDENCE_BUCKET)
+      .upload(path, parsed.buffer, { contentType: parsed.contentType, upsert: false });
+    if (upErr) return resp(500, { success: false, error: '증빙 파일 업로드 실패: ' + upErr.message });
+    evidenceFile = { path, contentType: parsed.contentType };
+  }
+
+  const { error: insErr } = await supabase
+    .from('attendance_correction_requests')
+    .insert({
+      id:                    requestId,
+      company_id:            company.id,
+      employee_id:           employee.id,
+      attendance_id:         attendance ? attendance.id : null,
+      request_type:          type,
+      work_date:             workDate,
+      requested_check_in:    times.requestedCheckIn,
+      requested_check_out:   times.requestedCheckOut,
+      reason,
+      evidence_path:         evidenceFile ? evidenceFile.path : null,
+      evidence_content_type: evidenceFile ? evidenceFile.contentType : null,
+      device_id:             device ? device.id : null,
+      status:                CORRECTION_STATUS.PENDING,
+    });
+  if (insErr) throw insErr;
+
+  return resp(201, {
+    success: true,
+    requestId,
+    message: `${employee.name}님의 정정 요청이 접수되었습니다. 관리자 승인 후 반영되며 결과는 문자로 알려드립니다.`,
+  });
+}
+
+// ── 내 정정 요청 목록 ────────────────────────────────────────
+async function listRequests({ employee }) {
+  const { data, error } = await supabase
+    .from('attendance_correction_requests')
+    .select('id, request_type, work_date, requested_check_in, requested_check_out, reason, status, review_note, reviewed_at, created_at')
+    .eq('employee_id', employee.id)
+    .order('created_at', { ascending: false })
+    .limit(20);
+  if (error) throw error;
+
+  return resp(200, {
+    success: true,
+    requests: (data || []).map(r => ({
+      id: r.id,
+      type: r.request_type,
+      workDate: r.work_date,
+      requestedCheckIn: r.requested_check_in,
+      requestedCheckOut: r.requested_check_out,
+      reason: r.reason,
+      status: r.status,
+      reviewNote: r.review_note,
+      reviewedAt: r.reviewed_at,
+      createdAt: r.created_at,
+    })),
+  });
+}
+
+// ── 대기 중인 요청 취소 ──────────────────────────────────────
+async function cancelRequest({ employee }, { requestId }) {
+  if (!requestId) return resp(400, { success: false, error: 'requestId 필수' });
+
+  const { data, error } = await supabase
+    .from('attendance_correction_requests')
+    .update({ status: CORRECTION_STATUS.CANCELLED })
+    .eq('id', requestId)
+    .eq('employee_id', employee.id)
+    .eq('status', CORRECTION_STATUS.PENDING)
+    .select('id');
+  if (error) throw error;
+  if (!data || data.length === 0) return resp(404, { success: false, error: '취소할 수 있는 요청이 없습니다.' });
+
+  return resp(200, { success: true, message: '정정 요청이 취소되었습니다.' });
+}
@@ -0,0 +1,220 @@
+// netlify/functions/attendance-corrections.js
+// 출퇴근 정정 요청 관리 API (관리자)
+// GET   → 정정 요청 목록 (?status=pending(기본)|approved|rejected|cancelled|all, ?employeeId=)
+//         ?id=&evidence=true → 증빙 파일 서명 URL (5분)
+// PATCH → 승인/반려 { id, decision: 'approve' | 'reject', reviewNote }
+//         승인 시 attendances 반영 + 변경 전 값 attendance_history 보관 (lib/attendance-correction.js)
+//         승인 반영은 감사 로그에도 기록 (lib/audit-log.js, source 'correction')
+//         처리 결과는 직원에게 알림톡/SMS 발송 (solapi-send.js 'attendance_correction' 템플릿)
+//
+// 직원 요청 등록은 attendance-correction-request.js 참고
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { sendEmployeeNotification } = require('./solapi-send');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { refreshWeeklyHours } = require('./lib/weekly-hours');
+const {
+  CORRECTION_STATUS,
+  CORRECTION_TYPE_LABELS,
+  MAX_REASON_LENGTH,
+  EVIDENCE_BUCKET,
+  applyCorrection,
+} = require('./lib/attendance-correction');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, PATCH, OPTIONS'
+};
+
+const EVIDENCE_URL_TTL_SECONDS = 300;
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+
+  try {
+    if (event.httpMethod === 'GET' && params.id && params.evidence === 'true') {
+      const { data: request } = await supabase
+        .from('attendance_correction_requests')
+        .select('id, evidence_path')
+        .eq('id', params.id)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!request || !request.evidence_path) return resp(404, { success: false, error: '증빙 파일이 없습니다' });
+
+      const { data, error } = await supabase.storage
+        .from(EVIDENCE_BUCKET)
+        .createSignedUrl(request.evidence_path, EVIDENCE_URL_TTL_SECONDS);
+      if (error) throw error;
+
+      return resp(200, { success: true, data: { url: data.signedUrl, expiresIn: EVIDENCE_URL_TTL_SECONDS } });
+    }
+
+    if (event.httpMethod === 'GET') {
+      const status = params.status || CORRECTION_STATUS.PENDING;
+      let query = supabase
+        .from('attendance_correction_requests')
+        .select(`
+          id, employee_id, attendance_id, request_type, work_date, requested_check_in, requested_check_out,
+          reason, evidence_path, evidence_content_type, status, review_note, reviewed_at, created_at,
+          employees:employee_id ( id, department, business_id, users:user_id ( name ) ),
+          attendances:attendance_id ( check_in_time, check_out_time, status )
+        `)
+        .eq('company_id', user.companyId)
+        .order('created_at', { ascending: false })
+        .limit(200);
+      if (status !== 'all') query = query.eq('status', status);
+      if (params.employeeId) query = query.eq('employee_id', params.employeeId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      const requests = (data || []).map(r => {
+        const emp = Array.isArray(r.employees) ? r.employees[0] : r.employees;
+        const empUser = Array.isArray(emp?.users) ? emp.users[0] : emp?.users;
+        const att = Array.isArray(r.attendances) ? r.attendances[0] : r.attendances;
+        return {
+          id: r.id,
+          employeeId: r.employee_id,
+          employeeName: empUser?.name || null,
+          department: emp?.department || null,
+          businessId: emp?.business_id || null,
+          attendanceId: r.attendance_id,
+          type: r.request_type,
+          typeLabel: CORRECTION_TYPE_LABELS[r.request_type] || r.request_type,
+          workDate: r.work_date,
+          requestedCheckIn: r.requested_check_in,
+          requestedCheckOut: r.requested_check_out,
+          // 신청 당시가 아닌 현재 기록 (승인 후에는 정정된 값)
+          currentCheckIn: att?.check_in_time || null,
+          currentCheckOut: att?.check_out_time || null,
+          reason: r.reason,
+          hasEvidence: !!r.evidence_path,
+          evidenceContentType: r.evidence_content_type,
+          status: r.status,
+          reviewNote: r.review_note,
+          reviewedAt: r.reviewed_at,
+          createdAt: r.created_at,
+        };
+      });
+
+      return resp(200, { success: true, data: { requests, total: requests.length } });
+    }
+
+    if (event.httpMethod === 'PATCH') {
+      const { id, decision, reviewNote } = JSON.parse(event.body || '{}');
+      if (!id) return resp(400, { success: false, error: 'id 필수' });
+      if (!['approve', 'reject'].includes(decision)) return resp(400, { success: false, error: "decision은 'approve' 또는 'reject'" });
+      const note = String(reviewNote || '').trim().slice(0, MAX_REASON_LENGTH) || null;
+      if (decision === 'reject' && !note) return resp(400, { success: false, error: '반려 사유를 입력해주세요' });
+
+      // 대기 중인 요청만 처리 — 상태를 먼저 바꿔 동시에 두 번 승인되지 않도록
+      const nextStatus = decision === 'approve' ? CORRECTION_STATUS.APPROVED : CORRECTION_STATUS.REJECTED;
+      const { data: claimed, error: claimErr } = await supabase
+        .from('attendance_correction_requests')
+        .update({ status: nextStatus, reviewed_by: user.userId, reviewed_at: new Date().toISOString(), review_note: note })
+        .eq('id', id)
+        .eq('company_id', user.companyId)
+        .eq('status', CORRECTION_STATUS.PENDING)
+        .select('*')
+        .maybeSingle();
+      if (claimErr) throw claimErr;
+      if (!claimed) return resp(404, { success: false, error: '처리 대기 중인 요청을 찾을 수 없습니다' });
+
+      if (decision === 'approve') {
+        const { data: employee } = await supabase
+          .from('employees')
+          .select('id, business_id, break_time_minutes, work_start_time, work_end_time, work_days')
+          .eq('id', claimed.employee_id)
+          .eq('company_id', user.companyId)
+          .single();
+
+        let applied;
+        try {
+          applied = employee ? await applyCorrection(supabase, claimed, employee, user.userId) : { error: '직원 정보를 찾을 수 없습니다' };
+        } catch (e) {
+          applied = { error: '반영 실패: ' + e.message };
+        }
+        if (applied.error) {
+          // 반영하지 못했으면 다시 대기 상태로
+          await supabase
+            .from('attendance_correction_requests')
+            .update({ status: CORRECTION_STATUS.PENDING, reviewed_by: null, reviewed_at: null, review_note: null })
+            .eq('id', claimed.id);
+          return resp(409, { success: false, error: applied.error });
+        }
+        await supabase
+          .from('attendance_correction_requests')
+          .update({ attendance_id: applied.attendance.id })
+          .eq('id', claimed.id);
+
+        await recordAudit(supabase, auditActor(event, user), {
+          companyId:  user.companyId,
+          entityType: AUDIT_ENTITY.ATTENDANCE,
+          entityId:   applied.attendance.id,
+          action:     applied.before ? AUDIT_ACTION.UPDATE : AUDIT_ACTION.CREATE,
+          before:     applied.before,
+          after:      applied.after,
+          reason:     `정정 요청 승인 (${CORRECTION_TYPE_LABELS[claimed.request_type]}): ${claimed.reason}`,
+          source:     'correction',
+        });
+        await refreshWeeklyHours(supabase, { companyId: user.companyId, employeeId: claimed.employee_id, date: applied.after.check_in_time });
+      }
+
+      // 직원 알림 (발송 실패해도 처리 결과는 유지)
+      let notified = false;
+      try {
+        const sent = await sendEmployeeNotification(supabase, {
+          companyId: user.companyId,
+          employeeId: claimed.employee_id,
+          type: 'attendance_correction',
+          data: {
+            status: nextStatus,
+            workDate: claimed.work_date,
+            requestType: CORRECTION_TYPE_LABELS[claimed.request_type],
+            reviewNote: note,
+          },
+        });
+        notified = sent.success;
+        if (!sent.success) console.warn('정정 결과 알림 미발송:', sent.error || sent.statusCode);
+      } catch (e) {
+        console.error('정정 결과 알림 실패:', e.message);
+      }
+
+      return resp(200, {
+        success: true,
+        notified,
+        message: (decision === 'approve' ? '승인되어 출퇴근 기록에 반영되었습니다.' : '반려되었습니다.')
+          + (notified ? ' 직원에게 알림을 보냈습니다.' : ''),
+      });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('attendance-corrections 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
@@ -0,0 +1,126 @@
+// netlify/functions/attendance-open-shift-sweep.js
+// 퇴근 누락 정리 배치 — 매시 정각 (netlify.toml schedule)
+//
+// 최대 근무시간(companies.max_shift_hours)이 지나도록 퇴근하지 않은 근무중 기록 처리:
+//  - open_shift_policy = 'auto_close' → 스케줄 종료 시각(scheduled_end)으로 자동 마감
+//                                        (휴게 차감 포함 근로시간 계산, auto_closed_at 기록)
+//                                        스케줄이 없거나 종료 시각이 맞지 않으면 퇴근 누락으로 표시
+//  - open_shift_policy = 'flag' (기본) → status = 'missing_checkout' 로 표시
+//
+// 퇴근 누락 기록은 급여 계산(completed 만 집계)에서 빠지므로
+// 관리자가 출퇴근 관리 화면에서 퇴근 시간을 입력하면 completed 로 복구됨 (attendances-manage.js)
+
+const { createClient } = require('@supabase/supabase-js');
+const { captureError } = require('./lib/sentry');
+const { calculateWorkTime } = require('./lib/work-time');
+const {
+  OPEN_SHIFT_POLICY,
+  MISSING_CHECKOUT_STATUS,
+  resolveMaxShiftHours,
+  resolveAutoCloseTime,
+} = require('./lib/shift-pairing');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MS_HOUR = 60 * 60 * 1000;
+
+// 회사 1곳의 퇴근 누락 기록 정리
+async function sweepCompany(company, now) {
+  const maxShiftHours = resolveMaxShiftHours(company.max_shift_hours);
+  const cutoff = new Date(now.getTime() - maxShiftHours * MS_HOUR);
+  const autoClose = company.open_shift_policy === OPEN_SHIFT_POLICY.AUTO_CLOSE;
+
+  const { data: openShifts, error } = await supabase
+    .from('attendances')
+    .select('id, check_in_time, scheduled_end, break_punches, employees:employee_id ( break_time_minutes )')
+    .eq('company_id', company.id)
+    .eq('status', 'in_progress')
+    .lt('check_in_time', cutoff.toISOString());
+  if (error) throw error;
+
+  const result = { closed: 0, flagged: 0 };
+
+  for (const att of openShifts || []) {
+    const closeAt = autoClose ? resolveAutoCloseTime(att, maxShiftHours) : null;
+
+    if (!closeAt) {
+      const { error: flagErr } = await supabase
+        .from('attendances')
+        .update({ status: MISSING_CHECKOUT_STATUS, missing_checkout_at: now.toISOString() })
+        .eq('id', att.id)
+        .eq('status', 'in_progress');
+      if (flagErr) throw flagErr;
+      result.flagged++;
+      continue;
+    }
+
+    // 마감되지 않은 휴게는 마감 시각으로 닫음
+    const emp = Array.isArray(att.employees) ? att.employees[0] : att.employees;
+    const breakPunches = (Array.isArray(att.break_punches) ? att.break_punches : [])
+      .filter(p => Date.parse(p.start) < closeAt.getTime())
+      .map(p => (p.end ? p : { ...p, end: closeAt.toISOString() }));
+    const wt = calculateWorkTime({
+      checkIn: att.check_in_time,
+      checkOut: closeAt,
+      breakPunches,
+      contractedBreakMinutes: emp?.break_time_minutes,
+    });
+
+    const { error: closeErr } = await supabase
+      .from('attendances')
+      .update({
+        check_out_time:        closeAt.toISOString(),
+        raw_work_minutes:      wt.rawMinutes,
+        break_minutes:         wt.breakMinutes,
+        break_source:          wt.breakSource,
+        break_punches:         breakPunches,
+        work_duration_minutes: wt.netMinutes,
+        work_hours:            wt.workHours,
+        night_hours:           wt.nightHours,
+        status:                'completed',
+        auto_closed_at:        now.toISOString(),
+      })
+      .eq('id', att.id)
+      .eq('status', 'in_progress'); // 그 사이 퇴근한 경우 덮어쓰지 않음
+    if (closeErr) throw closeErr;
+    result.closed++;
+  }
+
+  return result;
+}
+
+exports.handler = async () => {
+  const now = new Date();
+  const summary = { companies: 0, closed: 0, flagged: 0, failed: [] };
+
+  try {
+    const { data: companies, error } = await supabase
+      .from('companies')
+      .select('id, max_shift_hours, open_shift_policy');
+    if (error) throw error;
+
+    for (const company of companies || []) {
+      try {
+        const r = await sweepCompany(company, now);
+        summary.closed += r.closed;
+        summary.flagged += r.flagged;
+        summary.companies++;
+      } catch (e) {
+        // 한 회사 실패가 전체 배치를 멈추지 않도록 기록 후 계속
+        console.error(`[attendance-open-shift-sweep] ${company.id} 처리 실패:`, e.message);
+        captureError(e, { function: 'attendance-open-shift-sweep', companyId: company.id });
+        summary.failed.push(company.id);
+      }
+    }
+
+    console.log('[attendance-open-shift-sweep] 완료:', summary);
+    return { statusCode: 200, body: JSON.stringify({ success: true, ...summary }) };
+  } catch (error) {
+    console.error('[attendance-open-shift-sweep] 오류:', error);
+    captureError(error, { function: 'attendance-open-shift-sweep' });
+    return { statusCode: 500, body: JSON.stringify({ success: false, error: error.message }) };
+  }
+};
@@ -1,5 +1,6 @@
 const { verifyToken, getCorsHeaders } = require('./lib/auth');
 const { createClient } = require('@supabase/supabase-js');
+const { toKstDateKey } = require('./lib/holidays');
 
 function getSupabaseClient() {
   const supabaseUrl = process.env.SUPABASE_URL;
@@ -45,6 +46,8 @@ exports.handler = async (event, context) => {
     const department = params.department;
     // ✅ business_id, businessId 파라미터 이름 둘 다 수용
     const businessId = params.businessId || params.business_id || null;
+    // 이상 징후(위치 위조·대리출근 의심) 기록만 — 'true' 면 미검토 건, 'all' 이면 검토 완료 포함
+    const anomalies = params.anomalies || null;
 
     console.log('조회 파라미터:', { startDate, endDate, employeeId, department, businessId });
 
@@ -63,11 +66,31 @@ exports.handler = async (event, context) => {
         night_hours,
         late_minutes,
         early_leave_minutes,
+        schedule_status,
+        scheduled_start,
+        scheduled_end,
+        raw_work_minutes,
+        break_minutes,
+        break_source,
         status,
+        auto_closed_at,
         notes,
         check_method,
         wifi_matched,
         gps_matched,
+        wifi_matched_rule,
+        geofence_matched,
+        anomaly_flags,
+        anomaly_score,
+        anomaly_reviewed_at,
+        offline_synced,
+        offline_sync_delay_seconds,
+        check_out_offline_synced,
+        check_out_offline_sync_delay_seconds,
+        kiosk_id,
+        check_in_photo_path,
+        check_out_photo_path,
+        corrected_at,
         employees!inner (
           id,
           department,
@@ -84,10 +107,10 @@ exports.handler = async (event, context) => {
       .order('check_in_time', { ascending: false });
 
     if (startDate) {
-      query = query.gte('check_in_time', startDate + 'T00:00:00');
+      query = query.gte('check_in_time', startDate + 'T00:00:00+09:00');
     }
     if (endDate) {
-      query = query.lte('check_in_time', endDate + 'T23:59:59');
+      query = query.lte('check_in_time', endDate + 'T23:59:59+09:00');
     }
     if (employeeId) {
       query = query.eq('employee_id', employeeId);
@@ -95,6 +118,10 @@ exports.handler = async (event, context) => {
     if (department) {
       query = query.eq('employees.department', department);
     }
+    if (anomalies) {
+      query = query.gt('anomaly_score', 0);
+      if (anomalies !== 'all') query = query.is('anomaly_reviewed_at', null);
+    }
     if (businessId) {
       if (businessId === 'unassigned') {
         query = query.is('employees.business_id', null);
@@ -121,7 +148,8 @@ exports.handler = async (event, context) => {
 
     const formattedData = (attendances || []).map(record => {
       const employee = Array.isArray(record.employees) ? record.employees[0] : record.employees;
-      const workDate = record.check_in_time ? record.check_in_time.split('T')[0] : null;
+      // 근무일 = 출근일 (KST) — 자정을 넘긴 야간 근무도 출근한 날로 표시
+      const workDate = record.check_in_time ? toKstDateKey(record.check_in_time) : null;
 
       return {
         id: record.id,
@@ -131,10 +159,29 @@ exports.handler = async (event, context) => {
         workHours: record.work_hours,
         overtimeHours: record.overtime_hours,
         nightHours: record.night_hours || 0,  // 야간근로 시간
+        rawWorkMinutes: record.raw_work_minutes,  // 휴게 차감 전 체류시간
+        breakMinutes: record.break_minutes,       // 차감된 휴게시간
+        breakSource: record.break_source,         // manual | punched | contract | statutory
         lateMinutes: record.late_minutes,
         earlyLeaveMinutes: record.early_leave_minutes,
+        scheduleStatus: record.schedule_status || null,  // on_time | late | early_leave | late_early_leave | unscheduled
+        scheduledStart: record.scheduled_start || null,
+        scheduledEnd: record.scheduled_end || null,
         checkMethod: record.check_method || 'qr',
-        status: record.status,
+        wifiMatchedRule: record.wifi_matched_rule || null,  // 일치한 허용 네트워크 이름
+        geofenceMatched: record.geofence_matched || null,   // 일치한 지오펜스 이름
+        status: record.status,               // in_progress | completed | missing_checkout
+        autoClosedAt: record.auto_closed_at || null,  // 퇴근 누락 자동 마감 시각
+        anomalyScore: record.anomaly_score || 0,         // 이상 징후 점수 0~100 (lib/punch-anomaly.js)
+        anomalyFlags: record.anomaly_flags || [],        // [{ code, punch, weight, detail }]
+        anomalyReviewedAt: record.anomaly_reviewed_at || null,
+        // 오프라인 저장 후 지연 전송된 출퇴근 (초 단위 지연, null = 실시간 전송)
+        offlineCheckInDelaySeconds: record.offline_synced ? record.offline_sync_delay_seconds : null,
+        offlineCheckOutDelaySeconds: record.check_out_offline_synced ? record.check_out_offline_sync_delay_seconds : null,
+        kioskId: record.kiosk_id || null,                // 매장 키오스크 출근 (check_method = 'kiosk')
+        hasCheckInPhoto: !!record.check_in_photo_path,   // 키오스크 촬영 사진 → kiosks-manage.js 서명 URL
+        hasCheckOutPhoto: !!record.check_out_photo_path,
+        correctedAt: record.corrected_at || null,        // 직원 정정 요청 승인 반영 시각
         notes: record.notes,
         employee: {
           id: employee?.id,
@@ -147,12 +194,60 @@ exports.handler = async (event, context) => {
       };
     });
 
+    // 출퇴근 기록이 없는 결근/휴가일 (attendance-classify-daily 배치 판정 결과)
+    let absences = [];
+    if (!anomalies) {  // 이상 징후 조회 시에는 결근일 제외
+      let absQuery = supabase
+        .from('attendance_day_statuses')
+        .select(`
+          id, employee_id, work_date, status, scheduled_start, scheduled_end, shift_name,
+          employees!inner ( id, department, position, business_id, users:user_id ( id, name, phone ) )
+        `)
+        .eq('company_id', userInfo.companyId)
+        .in('status', ['absent', 'on_leave'])
+        .order('work_date', { ascending: false });
+      if (startDate) absQuery = absQuery.gte('work_date', startDate);
+      if (endDate) absQuery = absQuery.lte('work_date', endDate);
+      if (employeeId) absQuery = absQuery.eq('employee_id', employeeId);
+      if (department) absQuery = absQuery.eq('employees.department', department);
+      if (businessId) {
+        absQuery = businessId === 'unassigned'
+          ? absQuery.is('employees.business_id', null)
+          : absQuery.eq('employees.business_id', businessId);
+      }
+
+      const { data: absRows, error: absErr } = await absQuery;
+      if (absErr) {
+        console.error('결근 판정 조회 실패 (무시):', absErr.message);
+      } else {
+        absences = (absRows || []).map(row => {
+          const employee = Array.isArray(row.employees) ? row.employees[0] : row.employees;
+          return {
+            id: row.id,
+            workDate: row.work_date,
+            scheduleStatus: row.status,
+            scheduledStart: row.scheduled_start,
+            scheduledEnd: row.scheduled_end,
+            shiftName: row.shift_name,
+            employee: {
+              id: employee?.id,
+              name: employee?.users?.name || null,
+              department: employee?.department,
+              businessId: employee?.business_id || null
+            }
+          };
+        });
+      }
+    }
+
     const stats = {
       totalRecords: formattedData.length,
       totalWorkHours: formattedData.reduce((sum, r) => sum + (r.workHours || 0), 0),
       totalOvertimeHours: formattedData.reduce((sum, r) => sum + (r.overtimeHours || 0), 0),
       totalLateCount: formattedData.filter(r => (r.lateMinutes || 0) > 0).length,
       totalEarlyLeaveCount: formattedData.filter(r => (r.earlyLeaveMinutes || 0) > 0).length,
+      totalAbsentCount: absences.filter(a => a.scheduleStatus === 'absent').length,
+      totalAnomalyCount: formattedData.filter(r => r.anomalyScore > 0 && !r.anomalyReviewedAt).length,
       averageWorkHours: formattedData.length > 0 
         ? Math.round((formattedData.reduce((sum, r) => sum + (r.workHours || 0), 0) / formattedData.length) * 100) / 100
         : 0
@@ -167,13 +262,15 @@ exports.handler = async (event, context) => {
         success: true,
         data: {
           attendances: formattedData,
+          absences: absences,
           stats: stats,
           filters: {
             startDate,
             endDate,
             employeeId,
             department,
-            businessId
+            businessId,
+            anomalies
           }
         }
       })
@@ -2,65 +2,43 @@
 // 수동 출퇴근 등록 / 수정 / 삭제 API
 // POST   → 신규 등록
 // PUT    → 기존 기록 수정 (body에 id 필수)
-// DELETE → 기록 삭제   (?id= 쿼리스트링 필수)
+// PATCH  → 이상 징후 검토 처리 (body: { id, reviewed: true|false })
+// DELETE → 기록 삭제   (?id= 쿼리스트링 필수, ?reason= 삭제 사유)
+// POST/PUT body 의 reason 은 변경 사유 — 모든 변경은 감사 로그에 기록 (lib/audit-log.js)
+// 등록/수정/삭제 후 해당 주 근로시간 재집계 (lib/weekly-hours.js)
 
 const { createClient } = require('@supabase/supabase-js');
 const { verifyToken } = require('./lib/auth');
+const { calculateWorkTime } = require('./lib/work-time');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { refreshWeeklyHours, weekStartOf } = require('./lib/weekly-hours');
+
 // ─────────────────────────────────────────────────────────────
-// 야간근로 시간 계산 (근로기준법 제56조)
-// 야간근로 구간: 22:00 ~ 익일 06:00
-// 반환값: 야간 구간과 겹치는 시간 (소수점 2자리, 단위: 시간)
+// 근로시간 필드 계산 — 휴게시간 차감 후 실근로/야간근로 (lib/work-time.js)
+// breakMinutes: 관리자가 입력한 휴게시간(분). 빈 값이면 휴게 펀치 → 계약 → 법정 최소 순으로 자동 적용
 // ─────────────────────────────────────────────────────────────
-function calcNightHours(checkInISO, checkOutISO) {
-  if (!checkInISO || !checkOutISO) return 0;
-
-  const inTime  = new Date(checkInISO);
-  const outTime = new Date(checkOutISO);
-  if (outTime <= inTime) return 0;
-
-  // 하루(24h) 슬라이딩 윈도우로 야간 구간과 교차 계산
-  // 날짜가 바뀌어도 처리 가능하도록 루프
-  let nightMs = 0;
-  
-  // 총 구간을 1분 단위로 순회하는 대신 구간 교차 계산
-  // 야간 구간: 당일 22:00 ~ 익일 06:00 → 8시간 블록 반복
-  const MS_HOUR = 3600 * 1000;
-  
-  // checkIn 날짜 기준으로 야간 블록을 생성해 교차 확인
-  // 최대 3일치 야간 블록만 체크 (실질적으로 연속 근무 최대 24h 가정)
-  const startDay = new Date(inTime);
-  startDay.setHours(0, 0, 0, 0); // 당일 자정
-
-  for (let d = -1; d <= 2; d++) {
-    // 야간 블록 시작: (startDay + d일) 22:00
-    const nightStart = new Date(startDay);
-    nightStart.setDate(nightStart.getDate() + d);
-    nightStart.setHours(22, 0, 0, 0);
-
-    // 야간 블록 끝: 다음날 06:00
-    const nightEnd = new Date(nightStart);
-    nightEnd.setDate(nightEnd.getDate() + 1);
-    nightEnd.setHours(6, 0, 0, 0);
-
-    // 교차 구간 계산
-    const overlapStart = Math.max(inTime.getTime(), nightStart.getTime());
-    const overlapEnd   = Math.min(outTime.getTime(), nightEnd.getTime());
-    if (overlapEnd > overlapStart) {
-      nightMs += overlapEnd - overlapStart;
-    }
+function buildWorkTimeFields(checkIn, checkOut, { breakMinutes, breakPunches, contractedBreakMinutes }) {
+  if (!checkOut) {
+    return { raw_work_minutes: null, break_minutes: null, break_source: null, work_duration_minutes: null, work_hours: null, night_hours: 0 };
   }
-
-  return Math.max(0, parseFloat((nightMs / MS_HOUR).toFixed(2)));
+  const manual = breakMinutes === '' || breakMinutes === undefined ? null : breakMinutes;
+  const wt = calculateWorkTime({ checkIn, checkOut, breakPunches, contractedBreakMinutes, breakMinutes: manual });
+  return {
+    raw_work_minutes:      wt.rawMinutes,
+    break_minutes:         wt.breakMinutes,
+    break_source:          wt.breakSource,
+    work_duration_minutes: wt.netMinutes,
+    work_hours:            wt.workHours,
+    night_hours:           wt.nightHours,  // 야간근로 시간 (휴게 제외)
+  };
 }
 
-
-
 // ✅ 프로젝트 표준 CORS 헤더 (employees-list.js 동일 패턴)
 const headers = {
   'Content-Type': 'application/json',
   'Access-Control-Allow-Origin': 'https://staffmanager.io',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
 };
 
 function resp(statusCode, body) {
@@ -98,11 +76,15 @@ exports.handler = async (event) => {
 
     const supabase = getSupabase();
     const method = event.httpMethod;
+    const actor = auditActor(event, tokenData);
+    const audit = (params) => recordAudit(supabase, actor, {
+      companyId, entityType: AUDIT_ENTITY.ATTENDANCE, source: 'attendances-manage', ...params,
+    });
 
     // ── POST: 신규 등록 ──────────────────────────────────
     if (method === 'POST') {
       const body = JSON.parse(event.body || '{}');
-      const { employeeId, workDate, checkInTime, checkOutTime, checkOutDate, notes } = body;
+      const { employeeId, workDate, checkInTime, checkOutTime, checkOutDate, breakMinutes, notes, reason } = body;
 
       if (!employeeId)  return resp(400, { success: false, error: '직원을 선택해주세요' });
       if (!workDate)    return resp(400, { success: false, error: '근무일을 입력해주세요' });
@@ -111,7 +93,7 @@ exports.handler = async (event) => {
       // 직원이 같은 회사 소속인지 확인
       const { data: emp, error: empErr } = await supabase
         .from('employees')
-        .select('id')
+        .select('id, break_time_minutes')
         .eq('id', employeeId)
         .eq('company_id', companyId)
         .single();
@@ -124,24 +106,22 @@ exports.handler = async (event) => {
         .select('id')
         .eq('employee_id', employeeId)
         .eq('company_id', companyId)
-        .gte('check_in_time', workDate + 'T00:00:00')
-        .lte('check_in_time', workDate + 'T23:59:59')
+        .gte('check_in_time', workDate + 'T00:00:00+09:00')
+        .lte('check_in_time', workDate + 'T23:59:59+09:00')
         .maybeSingle();
 
       if (existing) return resp(409, { success: false, error: '해당 날짜에 이미 출퇴근 기록이 있습니다' });
 
-      const checkIn  = `${workDate}T${checkInTime}:00`;
+      // 입력 시각은 KST 기준 (서버는 UTC이므로 오프셋 명시)
+      const checkIn  = `${workDate}T${checkInTime}:00+09:00`;
       // 야간근무: checkOutDate가 있으면 그 날짜 사용, 없으면 workDate
       const outDate  = checkOutDate || workDate;
-      const checkOut = checkOutTime ? `${outDate}T${checkOutTime}:00` : null;
-
-      let workHours = null;
-      let nightHours = 0;
-      if (checkOut) {
-        const diffMs = new Date(checkOut) - new Date(checkIn);
-        workHours  = Math.max(0, parseFloat((diffMs / 1000 / 3600).toFixed(2)));
-        nightHours = calcNightHours(checkIn, checkOut); // 야간근로 시간 자동 계산
-      }
+      const checkOut = checkOutTime ? `${outDate}T${checkOutTime}:00+09:00` : null;
+
+      const workFields = buildWorkTimeFields(checkIn, checkOut, {
+        breakMinutes,
+        contractedBreakMinutes: emp.break_time_minutes,
+      });
 
       const { data: record, error: insertErr } = await supabase
         .from('attendances')
@@ -150,8 +130,7 @@ exports.handler = async (event) => {
           company_id:     companyId,
           check_in_time:  checkIn,
           check_out_time: checkOut,
-          work_hours:     workHours,
-          night_hours:    nightHours,  // 야간근로 시간 저장
+          ...workFields,
           status:         checkOut ? 'completed' : 'in_progress',
           check_method:   'manual',
           notes:          notes || '수동 등록',
@@ -164,13 +143,16 @@ exports.handler = async (event) => {
         return resp(500, { success: false, error: '등록 실패: ' + insertErr.message });
       }
 
+      await audit({ entityId: record.id, action: AUDIT_ACTION.CREATE, after: record, reason });
+      await refreshWeeklyHours(supabase, { companyId, employeeId, date: checkIn });
+
       return resp(201, { success: true, data: record });
     }
 
     // ── PUT: 기존 기록 수정 ──────────────────────────────
     if (method === 'PUT') {
       const body = JSON.parse(event.body || '{}');
-      const { id, workDate, checkInTime, checkOutTime, checkOutDate, notes } = body;
+      const { id, workDate, checkInTime, checkOutTime, checkOutDate, breakMinutes, notes, reason } = body;
 
       if (!id)          return resp(400, { success: false, error: '수정할 기록 ID가 필요합니다' });
       if (!workDate)    return resp(400, { success: false, error: '근무일을 입력해주세요' });
@@ -178,33 +160,33 @@ exports.handler = async (event) => {
 
       const { data: target } = await supabase
         .from('attendances')
-        .select('id')
+        .select('*, employees:employee_id ( break_time_minutes )')
         .eq('id', id)
         .eq('company_id', companyId)
         .maybeSingle();
 
       if (!target) return resp(404, { success: false, error: '수정할 기록을 찾을 수 없습니다' });
+      const { employees: targetEmps, ...before } = target;
+      const targetEmp = Array.isArray(targetEmps) ? targetEmps[0] : targetEmps;
 
-      const checkIn  = `${workDate}T${checkInTime}:00`;
+      const checkIn  = `${workDate}T${checkInTime}:00+09:00`;
       // 야간근무: checkOutDate가 있으면 그 날짜 사용, 없으면 workDate
       const outDate  = checkOutDate || workDate;
-      const checkOut = checkOutTime ? `${outDate}T${checkOutTime}:00` : null;
-
-      let workHours = null;
-      let nightHours = 0;
-      if (checkOut) {
-        const diffMs = new Date(checkOut) - new Date(checkIn);
-        workHours  = Math.max(0, parseFloat((diffMs / 1000 / 3600).toFixed(2)));
-        nightHours = calcNightHours(checkIn, checkOut); // 야간근로 시간 재계산
-      }
+      const checkOut = checkOutTime ? `${outDate}T${checkOutTime}:00+09:00` : null;
+
+      // 휴게 펀치 기록은 유지 — 수정된 출퇴근 범위 안의 구간만 반영됨
+      const workFields = buildWorkTimeFields(checkIn, checkOut, {
+        breakMinutes,
+        breakPunches:           target.break_punches,
+        contractedBreakMinutes: targetEmp?.break_time_minutes,
+      });
 
       const { data: updated, error: updateErr } = await supabase
         .from('attendances')
         .update({
           check_in_time:  checkIn,
           check_out_time: checkOut,
-          work_hours:     workHours,
-          night_hours:    nightHours,  // 야간근로 시간 업데이트
+          ...workFields,
           status:         checkOut ? 'completed' : 'in_progress',
           check_method:   'manual',
           notes:          notes || null,
@@ -219,17 +201,63 @@ exports.handler = async (event) => {
         return resp(500, { success: false, error: '수정 실패: ' + updateErr.message });
       }
 
+      await audit({ entityId: id, action: AUDIT_ACTION.UPDATE, before, after: updated, reason });
+      // 근무일을 다른 주로 옮긴 경우 원래 주도 다시 집계
+      await refreshWeeklyHours(supabase, { companyId, employeeId: before.employee_id, date: checkIn });
+      if (weekStartOf(before.check_in_time) !== weekStartOf(checkIn)) {
+        await refreshWeeklyHours(supabase, { companyId, employeeId: before.employee_id, date: before.check_in_time });
+      }
+
+      return resp(200, { success: true, data: updated });
+    }
+
+    // ── PATCH: 이상 징후 검토 처리 ───────────────────────
+    // 판정 결과(anomaly_flags)는 그대로 두고 검토 여부만 기록 (lib/punch-anomaly.js)
+    if (method === 'PATCH') {
+      const body = JSON.parse(event.body || '{}');
+      const { id, reviewed = true } = body;
+      if (!id) return resp(400, { success: false, error: '검토할 기록 ID가 필요합니다' });
+
+      const { data: before } = await supabase
+        .from('attendances')
+        .select('anomaly_reviewed_at, anomaly_reviewed_by')
+        .eq('id', id)
+        .eq('company_id', companyId)
+        .maybeSingle();
+
+      const { data: updated, error: reviewErr } = await supabase
+        .from('attendances')
+        .update({
+          anomaly_reviewed_at: reviewed ? new Date().toISOString() : null,
+          anomaly_reviewed_by: reviewed ? tokenData.userId : null,
+        })
+        .eq('id', id)
+        .eq('company_id', companyId)
+        .select('id, anomaly_reviewed_at, anomaly_reviewed_by')
+        .maybeSingle();
+
+      if (reviewErr) {
+        console.error('검토 처리 오류:', reviewErr);
+        return resp(500, { success: false, error: '검토 처리 실패: ' + reviewErr.message });
+      }
+      if (!updated) return resp(404, { success: false, error: '기록을 찾을 수 없습니다' });
+
+      const { id: _id, ...after } = updated;
+      await audit({ entityId: id, action: AUDIT_ACTION.UPDATE, before, after, reason: body.reason });
+
       return resp(200, { success: true, data: updated });
     }
 
     // ── DELETE: 기록 삭제 ────────────────────────────────
     if (method === 'DELETE') {
       const id = event.queryStringParameters?.id;
+      const reason = event.queryStringParameters?.reason;
       if (!id) return resp(400, { success: false, error: '삭제할 기록 ID가 필요합니다' });
 
+      // 삭제 전 전체 행 — 감사 로그에 그대로 남김
       const { data: target } = await supabase
         .from('attendances')
-        .select('id')
+        .select('*')
         .eq('id', id)
         .eq('company_id', companyId)
         .maybeSingle();
@@ -247,6 +275,9 @@ exports.handler = async (event) => {
         return resp(500, { success: false, error: '삭제 실패: ' + deleteErr.message });
       }
 
+      await audit({ entityId: id, action: AUDIT_ACTION.DELETE, before: target, reason });
+      await refreshWeeklyHours(supabase, { companyId, employeeId: target.employee_id, date: target.check_in_time });
+
       return resp(200, { success: true, message: '삭제되었습니다' });
     }
 
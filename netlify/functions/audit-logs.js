@@ -0,0 +1,199 @@
+// netlify/functions/audit-logs.js
+// 변경 이력(감사 로그) 조회 / 무결성 검증 / 증빙 내보내기 API (관리자, 읽기 전용)
+//
+// GET → 목록 (최신순)
+//   ?entityType=attendance|payroll|employee|contract|settings|business|pay_item|payroll_run|retro_pay|contractor_payment|year_end_settlement|withholding_report|insurance_filing  ?entityId=
+//   ?actorId=  ?action=create|update|delete|recalculate
+//   ?from=YYYY-MM-DD&to=YYYY-MM-DD (KST)  ?limit=(기본 50, 최대 200)&offset=
+// GET ?verify=true → 회사 전체 해시 체인 검증 (1번 항목부터)
+// GET ?format=csv  → 필터 결과를 CSV 로 내보내기 (일련번호·해시 포함, 최대 5000건)
+//
+// 기록은 lib/audit-log.js recordAudit() 로만 추가 — 수정/삭제 API 없음
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { AUDIT_ENTITY, AUDIT_ACTION, verifyAuditChain } = require('./lib/audit-log');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_EXPORT_ROWS = 5000;
+const PAGE_SIZE = 1000; // Supabase 기본 최대 행 수
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const COLUMNS = 'id, seq, occurred_at, actor_id, actor_role, actor_ip, user_agent, entity_type, entity_id, action, changes, reason, source, prev_hash, hash, company_id';
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET') return resp(405, { success: false, error: '허용되지 않는 메서드' });
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+
+  try {
+    if (params.verify === 'true') {
+      const entries = await fetchRange(supabase, () => supabase
+        .from('audit_logs')
+        .select(COLUMNS)
+        .eq('company_id', user.companyId)
+        .order('seq', { ascending: true }));
+      const result = verifyAuditChain(entries);
+      return resp(200, {
+        success: true,
+        data: {
+          valid: result.valid,
+          checked: result.checked,
+          total: entries.length,
+          lastSeq: entries.length ? entries[entries.length - 1].seq : 0,
+          lastHash: result.lastHash,
+          brokenAt: result.brokenAt ?? null,
+          problem: result.problem ?? null,
+          verifiedAt: new Date().toISOString(),
+        },
+      });
+    }
+
+    const filterError = validateFilters(params);
+    if (filterError) return resp(400, { success: false, error: filterError });
+
+    if (params.format === 'csv') {
+      const entries = await fetchRange(
+        supabase,
+        () => applyFilters(supabase.from('audit_logs').select(COLUMNS), user.companyId, params).order('seq', { ascending: true }),
+        MAX_EXPORT_ROWS
+      );
+      const names = await loadActorNames(supabase, entries);
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`,
+        },
+        body: '\ufeff' + toCsv(entries, names),
+      };
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(params.offset, 10) || 0, 0);
+    const { data, error, count } = await applyFilters(
+      supabase.from('audit_logs').select(COLUMNS, { count: 'exact' }),
+      user.companyId,
+      params
+    )
+      .order('seq', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    const names = await loadActorNames(supabase, data || []);
+    const logs = (data || []).map(e => ({
+      id: e.id,
+      seq: e.seq,
+      occurredAt: e.occurred_at,
+      actorId: e.actor_id,
+      actorName: names[e.actor_id] || null,
+      actorRole: e.actor_role,
+      actorIp: e.actor_ip,
+      userAgent: e.user_agent,
+      entityType: e.entity_type,
+      entityId: e.entity_id,
+      action: e.action,
+      changes: e.changes || {},
+      reason: e.reason,
+      source: e.source,
+      prevHash: e.prev_hash,
+      hash: e.hash,
+    }));
+
+    return resp(200, { success: true, data: { logs, total: count ?? logs.length, limit, offset } });
+  } catch (err) {
+    console.error('audit-logs 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
+
+function validateFilters(params) {
+  if (params.entityType && !Object.values(AUDIT_ENTITY).includes(params.entityType)) {
+    return 'entityType은 ' + Object.values(AUDIT_ENTITY).join(', ') + ' 중 하나';
+  }
+  if (params.action && !Object.values(AUDIT_ACTION).includes(params.action)) {
+    return 'action은 ' + Object.values(AUDIT_ACTION).join(', ') + ' 중 하나';
+  }
+  if (params.from && !DATE_RE.test(params.from)) return 'from 형식 오류 (YYYY-MM-DD)';
+  if (params.to && !DATE_RE.test(params.to)) return 'to 형식 오류 (YYYY-MM-DD)';
+  return null;
+}
+
+function applyFilters(query, companyId, params) {
+  query = query.eq('company_id', companyId);
+  if (params.entityType) query = query.eq('entity_type', params.entityType);
+  if (params.entityId) query = query.eq('entity_id', params.entityId);
+  if (params.actorId) query = query.eq('actor_id', params.actorId);
+  if (params.action) query = query.eq('action', params.action);
+  if (params.from) query = query.gte('occurred_at', params.from + 'T00:00:00+09:00');
+  if (params.to) query = query.lte('occurred_at', params.to + 'T23:59:59.999+09:00');
+  return query;
+}
+
+// 1000건 단위로 나눠 조회 (buildQuery 는 정렬까지 적용된 새 쿼리를 반환)
+async function fetchRange(supabase, buildQuery, max = Infinity) {
+  const rows = [];
+  for (let from = 0; from < max; from += PAGE_SIZE) {
+    const to = Math.min(from + PAGE_SIZE, max) - 1;
+    const { data, error } = await buildQuery().range(from, to);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < to - from + 1) break;
+  }
+  return rows;
+}
+
+async function loadActorNames(supabase, entries) {
+  const ids = [...new Set(entries.map(e => e.actor_id).filter(Boolean))];
+  if (ids.length === 0) return {};
+  const { data } = await supabase.from('users').select('id, name').in('id', ids);
+  return Object.fromEntries((data || []).map(u => [u.id, u.name]));
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = typeof value === 'string' ? value : JSON.stringify(value);
+  return '"' + s.replace(/"/g, '""') + '"';
+}
+
+function toCsv(entries, names) {
+  const header = ['일련번호', '일시', '변경자ID', '변경자', '역할', 'IP', '대상', '대상ID', '작업', '변경내용', '사유', '경로', '이전해시', '해시'];
+  const lines = [header.join(',')];
+  for (const e of entries) {
+    lines.push([
+      e.seq, e.occurred_at, e.actor_id, names[e.actor_id], e.actor_role, e.actor_ip,
+      e.entity_type, e.entity_id, e.action, e.changes, e.reason, e.source, e.prev_hash, e.hash,
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\n');
+}
@@ -1,5 +1,6 @@
 const { verifyToken, getCorsHeaders } = require('./lib/auth');
 const { createClient } = require('@supabase/supabase-js');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
 
 function getSupabase() {
   return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
@@ -31,6 +32,10 @@ exports.handler = async (event) => {
     const supabase = getSupabase();
     const method = event.httpMethod;
     const id = event.queryStringParameters?.id;
+    // 등록/수정/삭제는 감사 로그에 기록 (PUT body.reason / DELETE ?reason=)
+    const audit = (params) => recordAudit(supabase, auditActor(event, token), {
+      companyId: token.companyId, entityType: AUDIT_ENTITY.BUSINESS, source: 'businesses-manage', ...params,
+    });
 
     if (method === 'GET') {
       let query = supabase.from('businesses').select('*')
@@ -81,6 +86,7 @@ exports.handler = async (event) => {
 
       const { data, error } = await supabase.from('businesses').insert(insertData).select().single();
       if (error) { console.error('business insert error:', error); return fail('사업장 등록 실패: ' + error.message, 500); }
+      await audit({ entityId: data.id, action: AUDIT_ACTION.CREATE, after: data });
       return ok(data, 201);
     }
 
@@ -96,6 +102,14 @@ exports.handler = async (event) => {
       if (body.phone !== undefined) updateData.phone = body.phone;
       if (body.manager_name !== undefined) updateData.manager_name = body.manager_name;
       if (body.status !== undefined) updateData.status = body.status;
+      // 사업장 규모 수동 지정 (null = 상시근로자수 자동 산정)
+      // 'standard' = 5인 미만이어도 가산수당·연차 자율 적용, 'small_workplace' = 5인 미만 프로필 강제
+      if (body.workplace_size_override !== undefined) {
+        if (![null, 'standard', 'small_workplace'].includes(body.workplace_size_override)) {
+          return fail('workplace_size_override는 null / standard / small_workplace 중 하나여야 합니다.');
+        }
+        updateData.workplace_size_override = body.workplace_size_override;
+      }
 
       if (body.is_headquarters === true) {
         await supabase.from('businesses').update({ is_headquarters: false })
@@ -107,9 +121,12 @@ exports.handler = async (event) => {
 
       if (Object.keys(updateData).length === 0) return fail('수정할 내용이 없습니다.');
 
+      const { data: before } = await supabase.from('businesses').select('*')
+        .eq('id', id).eq('company_id', token.companyId).maybeSingle();
       const { data, error } = await supabase.from('businesses').update(updateData)
         .eq('id', id).eq('company_id', token.companyId).select().single();
       if (error) { console.error('business update error:', error); return fail('사업장 수정 실패', 500); }
+      await audit({ entityId: id, action: AUDIT_ACTION.UPDATE, before, after: data, reason: body.reason });
       return ok(data);
     }
 
@@ -121,10 +138,13 @@ exports.handler = async (event) => {
         .eq('business_id', id).is('deleted_at', null).eq('status', 'active');
       if (assigned && assigned.length > 0) return fail(assigned.length + '명의 직원이 배정되어 있습니다. 먼저 직원을 이동해주세요.');
 
+      const { data: before } = await supabase.from('businesses').select('*')
+        .eq('id', id).eq('company_id', token.companyId).maybeSingle();
       const { error } = await supabase.from('businesses')
         .update({ deleted_at: new Date().toISOString(), status: 'closed' })
         .eq('id', id).eq('company_id', token.companyId);
       if (error) { console.error('business delete error:', error); return fail('사업장 삭제 실패', 500); }
+      if (before) await audit({ entityId: id, action: AUDIT_ACTION.DELETE, before, reason: event.queryStringParameters?.reason });
       return ok({ message: '사업장이 삭제되었습니다.' });
     }
 
@@ -1,9 +1,13 @@
 // netlify/functions/calculate-payroll-batch.js
 // Phase 7: 전 직원 일괄 급여 계산 API
-// POST { year, month, businessId?, recalculate? }
+// POST { year, month, businessId?, recalculate?, reason?, adjustmentRunId?, employeeIds? }
+//
+// 급여 실행 단계(lib/payroll-run.js)는 시작 전에 한 번 확인 — 마감된 달은 423, 승인·지급 이후는 사유 필수
+// adjustmentRunId: 마감된 달 정정 계산 (employeeIds 로 대상 직원 한정 가능)
 
 const { verifyToken } = require('./lib/auth');
 const { createClient } = require('@supabase/supabase-js');
+const { RUN_STATUS, findRegularRun, reopenRun, checkRecalculation } = require('./lib/payroll-run');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -33,19 +37,38 @@ exports.handler = async (event) => {
     } catch {
       return respond(401, { success: false, error: '인증에 실패했습니다. 다시 로그인해주세요.' });
     }
+    if (!['owner', 'manager'].includes(userInfo.role)) {
+      return respond(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+    }
 
     const body = JSON.parse(event.body || '{}');
-    const { year, month, businessId, recalculate } = body;
+    const { year, month, businessId, recalculate, reason, adjustmentRunId, employeeIds } = body;
 
     if (!year || !month) {
       return respond(400, { success: false, error: '년도(year)와 월(month)은 필수입니다.' });
     }
 
+    // 급여 실행 단계 확인 — 직원별 계산에서 단계가 바뀌기 전에 판정
+    const run = adjustmentRunId ? null : await findRegularRun(supabase, { companyId: userInfo.companyId, year, month });
+    const recalcPolicy = checkRecalculation(recalculate ? run : null, { reason });
+    if (recalcPolicy.error) {
+      const { statusCode, ...rest } = recalcPolicy.error;
+      return respond(statusCode, { success: false, ...rest });
+    }
+    if (run && run.status === RUN_STATUS.CLOSED) {
+      return respond(423, { success: false, locked: true, error: `${year}년 ${month}월 급여는 마감되었습니다. 정정은 조정 실행으로 진행해주세요.` });
+    }
+
     let empQuery = supabase
       .from('employees')
       .select('id, name, status, business_id, salary_type, base_salary')
       .eq('company_id', userInfo.companyId)
-      .eq('status', 'active');
+      .eq('status', 'active')
+      .or('work_type.is.null,work_type.neq.freelancer'); // 프리랜서는 contractor-payments 에서 지급
+
+    if (Array.isArray(employeeIds) && employeeIds.length > 0) {
+      empQuery = empQuery.in('id', employeeIds);
+    }
 
     if (businessId && businessId !== 'all') {
       if (businessId === 'unassigned') {
@@ -89,18 +112,24 @@ exports.handler = async (event) => {
               headers: {
                 'Authorization': authHeader,
                 'Content-Type': 'application/json',
+                // 감사 로그에 요청자 IP 가 남도록 원래 IP 전달
+                'X-Forwarded-For': event.headers['x-forwarded-for'] || '',
+                'User-Agent': event.headers['user-agent'] || '',
               },
               body: JSON.stringify({
                 employeeId: emp.id,
                 year,
                 month,
                 recalculate: recalculate || false,
+                reason,
+                adjustmentRunId,
+                source: 'calculate-payroll-batch',
               }),
             });
 
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
-            const data = await res.json();
-            if (!data.success) throw new Error(data.error || '계산 실패');
+            // 4xx 도 사유(간이세액표 미등록 등)를 그대로 전달
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) throw new Error(data.error || `HTTP ${res.status}`);
 
             return {
               employeeId: emp.id,
@@ -126,6 +155,11 @@ exports.handler = async (event) => {
       results.push(...batchResults);
     }
 
+    // 재계산으로 결과가 바뀐 실행은 검토·승인 다시 (직원별 계산에서는 되돌리지 않음)
+    if (run && recalcPolicy.resetTo && results.some(r => r.success && !r.cached)) {
+      await reopenRun(supabase, run, recalcPolicy.resetTo);
+    }
+
     const successResults = results.filter(r => r.success && r.data);
     const summary = {
       total: employees.length,
@@ -6,7 +6,36 @@
 const { captureError } = require('./lib/sentry');
 const { verifyToken } = require('./lib/auth');
 const { createClient } = require('@supabase/supabase-js');
-const { loadAllPayrollRules, getIncomeTax, calculateAge, isHoliday } = require('./lib/payroll-rules');
+const { loadAllPayrollRules, calculateAge } = require('./lib/payroll-rules');
+const { lookupIncomeTax } = require('./lib/income-tax-table');
+const { loadHolidayCalendar, toKstDateKey } = require('./lib/holidays');
+const { determineWorkplaceSize } = require('./lib/workplace-size');
+const { calculateWeeklyHolidayPay, getWeeklyHolidayRange } = require('./lib/weekly-holiday');
+const { calculateWorkTime } = require('./lib/work-time');
+const { splitWeeklyMinutes } = require('./lib/weekly-hours');
+const { loadEmployeePayItems, applyPayItems } = require('./lib/pay-items');
+const { loadOrdinaryWage } = require('./lib/ordinary-wage');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const {
+  isDailyWorker,
+  buildDailyWageRows,
+  calculateDailyWithholding,
+  checkDailyInsuranceEligibility,
+} = require('./lib/daily-worker');
+const { applyRetroOverrides, loadRetroSettlements, applyRetroSettlements, markRetroSettled } = require('./lib/retro-pay');
+const { loadYearEndSettlements, applyYearEndSettlements, markYearEndSettled } = require('./lib/year-end-tax');
+const { isFreelancer } = require('./lib/contractor-pay');
+const {
+  RUN_TYPE,
+  RUN_STATUS,
+  getOrCreateRun,
+  findOpenAdjustmentRun,
+  reopenRun,
+  checkRecalculation,
+  savePayrollVersion,
+  diffPayroll,
+  adjustmentDelta,
+} = require('./lib/payroll-run');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -26,6 +55,29 @@ function respond(statusCode, body) {
 
 function floor10(n) { return Math.floor(n / 10) * 10; } // 10원 미만 절사
 
+// 출퇴근 기록 → 휴게시간 차감 후 근로시간 (lib/work-time.js)
+// 저장된 break_minutes가 있으면 그대로 사용, 없으면(구형 데이터) 휴게 펀치 → 계약 → 법정 최소 순으로 적용
+// 출퇴근 시각이 없는 기록은 저장된 work_duration_minutes / work_hours 사용
+function createWorkTimeResolver(employee) {
+  const cache = new Map();
+  return (att) => {
+    if (cache.has(att.id)) return cache.get(att.id);
+    let wt = calculateWorkTime({
+      checkIn: att.check_in_time,
+      checkOut: att.check_out_time,
+      breakPunches: att.break_punches,
+      breakMinutes: att.break_minutes,
+      contractedBreakMinutes: employee.break_time_minutes,
+    });
+    if (!att.check_out_time) {
+      const stored = att.work_duration_minutes ?? (att.work_hours || 0) * 60;
+      wt = { ...wt, netMinutes: stored, nightHours: att.night_hours || 0 };
+    }
+    cache.set(att.id, wt);
+    return wt;
+  };
+}
+
 exports.handler = async (event) => {
   if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
   if (event.httpMethod !== 'POST') return respond(405, { success: false, error: 'Method Not Allowed' });
@@ -33,20 +85,31 @@ exports.handler = async (event) => {
   try {
     // ── 인증 ──
     const authHeader = event.headers.authorization || event.headers.Authorization;
-    try { verifyToken(authHeader); } catch {
+    let tokenData;
+    try { tokenData = verifyToken(authHeader); } catch {
       return respond(401, { success: false, error: '인증에 실패했습니다. 다시 로그인해주세요.' });
     }
+    // 급여 계산은 실행 단계(생성·검토 되돌림)를 바꾸므로 관리자만
+    if (!['owner', 'manager'].includes(tokenData.role)) {
+      return respond(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+    }
 
-    const { employeeId, year, month, recalculate } = JSON.parse(event.body || '{}');
+    // reason: 재계산 사유 (감사 로그·버전 기록), source: 호출 경로 (일괄 계산은 'calculate-payroll-batch')
+    // adjustmentRunId: 마감된 달의 정정 계산 (조정 실행 — payrolls 대신 payroll_adjustments 에 저장)
+    // simulate: 저장 없이 계산 결과만 반환 (소급 정산 — overrides 로 기본급·수당 금액 변경 반영, retro-pay.js)
+    const {
+      employeeId, year, month, recalculate, reason, source, adjustmentRunId, simulate, overrides,
+    } = JSON.parse(event.body || '{}');
     if (!employeeId || !year || !month) {
       return respond(400, { success: false, error: '필수 정보가 누락되었습니다. (employeeId, year, month)' });
     }
 
     // ── 캐시 확인 ──
-    if (!recalculate) {
+    if (!recalculate && !adjustmentRunId && !simulate) {
       const { data: existing } = await supabase
         .from('payrolls')
         .select('*')
+        .eq('company_id', tokenData.companyId)
         .eq('employee_id', employeeId)
         .eq('year', year)
         .eq('month', month)
@@ -59,14 +122,61 @@ exports.handler = async (event) => {
       .from('employees')
       .select('*, company_id')
       .eq('id', employeeId)
+      .eq('company_id', tokenData.companyId)
       .single();
     if (empError || !employee) {
       return respond(404, { success: false, error: '직원 정보를 찾을 수 없습니다.' });
     }
+    // 프리랜서는 근로소득 급여 대상이 아님 — 사업·기타소득 지급 (contractor-payments, lib/contractor-pay.js)
+    if (isFreelancer(employee)) {
+      return respond(400, { success: false, error: `${employee.name}님은 프리랜서입니다. 프리랜서 지급에서 사업·기타소득으로 처리해주세요.` });
+    }
+
+    // ── 급여 실행 단계 확인 (lib/payroll-run.js) ──
+    // 마감된 달은 잠금, 승인·지급 이후 재계산은 사유 필수 + 이전 결과를 버전으로 보존
+    let run = null;
+    let adjustmentRun = null;
+    let recalcPolicy = { versioned: false, resetTo: null };
+    if (adjustmentRunId) {
+      const { data: adjRun } = await supabase
+        .from('payroll_runs')
+        .select('*')
+        .eq('id', adjustmentRunId)
+        .eq('company_id', employee.company_id)
+        .maybeSingle();
+      if (!adjRun || adjRun.run_type !== RUN_TYPE.ADJUSTMENT
+        || adjRun.year !== Number(year) || adjRun.month !== Number(month)) {
+        return respond(404, { success: false, error: '조정 실행을 찾을 수 없습니다.' });
+      }
+      if (![RUN_STATUS.DRAFT, RUN_STATUS.REVIEWED].includes(adjRun.status)) {
+        return respond(409, { success: false, error: '승인된 조정 실행에는 정정 계산을 추가할 수 없습니다.' });
+      }
+      adjustmentRun = adjRun;
+    } else if (!simulate) {
+      run = await getOrCreateRun(supabase, { companyId: employee.company_id, year, month, userId: tokenData.userId });
+      recalcPolicy = checkRecalculation(run, { reason });
+      if (recalcPolicy.error) {
+        const { statusCode, ...rest } = recalcPolicy.error;
+        // 마감된 달 — 진행 중인 조정 실행이 있으면 안내
+        if (rest.locked) {
+          const openAdjustment = await findOpenAdjustmentRun(supabase, { companyId: employee.company_id, year, month });
+          rest.adjustmentRunId = openAdjustment?.id || null;
+        }
+        return respond(statusCode, { success: false, ...rest });
+      }
+    }
 
-    // ── 룰 엔진 로드 ──
+    // ── 사업장 규모 판정 (상시근로자수, 직전 1개월 기준) ──
+    const workplaceSize = await determineWorkplaceSize(supabase, {
+      companyId: employee.company_id,
+      businessId: employee.business_id,
+      year,
+      month,
+    });
+
+    // ── 룰 엔진 로드 (규모별 프로필 적용) ──
     const payDate = new Date(year, month - 1, 15); // 해당 월 중간일 기준
-    const rules = await loadAllPayrollRules(supabase, payDate);
+    const rules = await loadAllPayrollRules(supabase, payDate, { profile: workplaceSize.profile });
 
     // ── 출퇴근 기록 조회 ──
     const startDate = new Date(year, month - 1, 1);
@@ -81,11 +191,25 @@ exports.handler = async (event) => {
       .eq('status', 'completed');
     if (attError) return respond(500, { success: false, error: '출퇴근 기록 조회 실패' });
 
+    // ── 주휴수당 산정 범위 (월을 걸친 첫 주의 월요일부터) ──
+    const weeklyRange = getWeeklyHolidayRange(year, month);
+
+    // ── 휴일 캘린더 로드 (법정 + 대체공휴일 + 선거일 등 + 회사/사업장 약정휴일) ──
+    const holidayCalendar = await loadHolidayCalendar(supabase, {
+      companyId: employee.company_id,
+      businessId: employee.business_id,
+      from: weeklyRange.from,
+      to: weeklyRange.to,
+    });
+
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    // STEP 1: 근태 데이터 집계
+    // STEP 1: 근태 데이터 집계 (휴게시간 차감 후 실근로시간 기준)
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    const resolveWorkTime = createWorkTimeResolver(employee);
+    const getWorkMinutes = (att) => resolveWorkTime(att).netMinutes;
+    const totalBreakMinutes = attendances?.reduce((sum, att) => sum + resolveWorkTime(att).breakMinutes, 0) || 0;
     const totalWorkDays = attendances?.length || 0;
-    const totalWorkMinutes = attendances?.reduce((sum, att) => sum + (att.work_duration_minutes || 0), 0) || 0;
+    const totalWorkMinutes = attendances?.reduce((sum, att) => sum + getWorkMinutes(att), 0) || 0;
     const totalWorkHours = totalWorkMinutes / 60;
 
     // ─── [v9.4 FIX] 근태 집계 변수 ───────────────────────────────────
@@ -99,11 +223,10 @@ exports.handler = async (event) => {
 
     attendances?.forEach(att => {
       const checkIn = new Date(att.check_in_time);
-      const checkOut = new Date(att.check_out_time);
-      const workHours = (att.work_duration_minutes || 0) / 60;
+      const workHours = getWorkMinutes(att) / 60;
 
-      if (isHoliday(checkIn)) {
-        // ── 휴일근무 (일요일 + 법정공휴일) ──────────────────────────
+      if (holidayCalendar.isHoliday(checkIn)) {
+        // ── 휴일근무 (일요일 + 법정공휴일 + 약정휴일, KST 기준) ──────
         // 휴일근무는 연장근무와 별도 카테고리 (이중계산 방지)
         // 8h 이내: ×1.5 / 8h 초과분: ×2.0 (근로기준법 제56조 제2항)
         holidayWorkDays++;
@@ -119,35 +242,9 @@ exports.handler = async (event) => {
         if (workHours > 8) overtimeHours += workHours - 8;
       }
 
-      // ── 야간근무 (KST 22:00~06:00) ──────────────────────────────────
+      // ── 야간근무 (KST 22:00~06:00, 휴게시간 제외) ──────────────────
       // 평일/휴일 구분 없이 항상 적용 (근로기준법 제56조 제3항)
-      // ⚠️  Netlify 서버 = UTC 환경. setHours()는 UTC 기준으로 동작하므로
-      //     KST 야간 기준(22:00~06:00)을 UTC로 변환해 계산해야 함
-      //     KST 22:00 = UTC 13:00 / KST 익일 06:00 = UTC 21:00
-      {
-        // checkIn의 KST 시각 파악
-        const checkInKstHour = Math.floor(
-          (checkIn.getTime() + 9 * 3600 * 1000) / (3600 * 1000)
-        ) % 24;
-        // KST 날짜 기준 날짜 객체 (00:00~05:59 시작이면 전날 야간구간)
-        const kstMs = checkIn.getTime() + 9 * 3600 * 1000;
-        const kstDateMs = kstMs - (kstMs % (24 * 3600 * 1000)); // KST 당일 00:00 UTC기준ms
-        const kstBaseMs = checkInKstHour < 6
-          ? kstDateMs - 24 * 3600 * 1000  // 전날 기준
-          : kstDateMs;                     // 당일 기준
-        // nightStart = KST 22:00 = kstBase + 22h - 9h (UTC 변환)
-        const nightStartMs = kstBaseMs + (22 - 9) * 3600 * 1000;
-        // nightEnd   = KST 익일 06:00 = kstBase + 30h - 9h
-        const nightEndMs   = kstBaseMs + (30 - 9) * 3600 * 1000;
-        const ciMs = checkIn.getTime();
-        const coMs = checkOut.getTime();
-        if (coMs > nightStartMs && ciMs < nightEndMs) {
-          const ns = Math.max(ciMs, nightStartMs);
-          const ne = Math.min(coMs, nightEndMs);
-          const nightMin = (ne - ns) / (1000 * 60);
-          if (nightMin > 0) nightWorkHours += nightMin / 60;
-        }
-      }
+      nightWorkHours += resolveWorkTime(att).nightHours;
     });
 
     // 휴일 총 근무시간 합산
@@ -158,17 +255,35 @@ exports.handler = async (event) => {
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // STEP 2: 총 지급액 계산
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    const salaryType = employee.salary_type || employee.pay_type || 'hourly';
-    const baseSalary = parseFloat(employee.base_salary || employee.hourly_rate || '0');
+    let assignedPayItems = await loadEmployeePayItems(supabase, { employeeId, year, month });
+
+    // 소급 정산 시뮬레이션 — 효력 변경(기본급·수당 금액)을 반영한 사본으로 계산 (lib/retro-pay.js)
+    let payEmployee = employee;
+    if (simulate && overrides) {
+      ({ employee: payEmployee, assigned: assignedPayItems } = await applyRetroOverrides(supabase, {
+        employee,
+        assigned: assignedPayItems,
+        overrides,
+      }));
+    }
+
+    const salaryType = payEmployee.salary_type || payEmployee.pay_type || 'hourly';
+    const baseSalary = parseFloat(payEmployee.base_salary || payEmployee.hourly_rate || '0');
+
+    // 시간급 통상임금 (기본급 + 통상임금 포함 정기 수당 + 정기상여금 월할, 소정근로시간 기준, lib/ordinary-wage.js)
+    // 가산수당·주휴수당은 이 시급으로 계산
+    const ordinaryWage = await loadOrdinaryWage(supabase, { employee: payEmployee, year, month, assigned: assignedPayItems });
+    const ordinaryHourlyRate = ordinaryWage.hourlyOrdinaryWage;
 
-    // 시급 환산
+    // 시급 환산 (기본급만 — 기본급 산정·근태 공제·최저임금 비교용)
+    // 월 기준시간·1일 소정근로시간은 직원 계약 기준 (주 40시간 → 209시간 / 8시간)
     let effectiveHourlyRate = baseSalary;
     if (salaryType === 'monthly') {
-      effectiveHourlyRate = baseSalary / 209;
+      effectiveHourlyRate = baseSalary / ordinaryWage.monthlyHours;
     } else if (salaryType === 'annual') {
-      effectiveHourlyRate = baseSalary / 12 / 209;
+      effectiveHourlyRate = baseSalary / 12 / ordinaryWage.monthlyHours;
     } else if (salaryType === 'daily') {
-      effectiveHourlyRate = baseSalary / 8;
+      effectiveHourlyRate = baseSalary / ordinaryWage.dailyHours;
     }
 
     // 기본급
@@ -190,43 +305,133 @@ exports.handler = async (event) => {
       basicPay = baseSalary;
     }
 
-    // [FIX #2] 주휴수당: 주 15시간 이상 근무 시에만 지급
+    // 근태 공제 (회사 설정 attendance_deduction_enabled 시) — 근무 스케줄 판정 기반
+    // 시급제: 실근로시간만 지급되므로 공제 없음 / 일급제: 결근일은 이미 제외 → 지각·조퇴만
+    // 월급·연봉제: 지각·조퇴 + 결근일 소정근로시간 (무노동 무임금)
+    const lateMinutesTotal = attendances?.reduce((sum, att) => sum + (att.late_minutes || 0), 0) || 0;
+    const earlyLeaveMinutesTotal = attendances?.reduce((sum, att) => sum + (att.early_leave_minutes || 0), 0) || 0;
+    let absentDays = 0;
+    let attendanceDeduction = 0;
+    if (salaryType !== 'hourly') {
+      const { data: companySettings } = await supabase
+        .from('companies')
+        .select('attendance_deduction_enabled')
+        .eq('id', employee.company_id)
+        .maybeSingle();
+
+      if (companySettings?.attendance_deduction_enabled) {
+        let deductMinutes = lateMinutesTotal + earlyLeaveMinutesTotal;
+        if (salaryType === 'monthly' || salaryType === 'annual') {
+          const mm = String(month).padStart(2, '0');
+          const { data: absentRows } = await supabase
+            .from('attendance_day_statuses')
+            .select('work_date, scheduled_minutes')
+            .eq('employee_id', employeeId)
+            .eq('status', 'absent')
+            .gte('work_date', `${year}-${mm}-01`)
+            .lte('work_date', weeklyRange.to);
+          absentDays = (absentRows || []).length;
+          deductMinutes += (absentRows || []).reduce((sum, r) => sum + (r.scheduled_minutes || 480), 0);
+        }
+        attendanceDeduction = Math.min(Math.floor(basicPay), Math.floor(deductMinutes / 60 * effectiveHourlyRate));
+        basicPay -= attendanceDeduction;
+      }
+    }
+
+    // 주(월~일) 단위 출퇴근 기록 — 주휴수당 / 주 52시간 판정 공용 (월을 걸친 첫 주 포함)
+    const { data: weekAttendances } = await supabase
+      .from('attendances')
+      .select('*')
+      .eq('employee_id', employeeId)
+      .gte('check_in_time', `${weeklyRange.from}T00:00:00+09:00`)
+      .lte('check_in_time', `${weeklyRange.to}T23:59:59+09:00`)
+      .eq('status', 'completed');
+
+    // 주휴수당: 주(월~일) 단위로 15시간 이상 + 개근 여부 판정 후 소정근로시간 비례 지급 (시간급 통상임금 기준)
+    // 월급/연봉제는 월 기준시간(209시간 등)에 주휴분이 포함되어 있으므로 별도 지급 없음
     let weeklyHolidayPay = 0;
+    let weeklyHolidayBreakdown = [];
     if (salaryType === 'hourly' || salaryType === 'daily') {
-      const avgWeeklyHours = totalWorkDays > 0 ? (totalWorkHours / totalWorkDays) * 5 : 0;
-      if (avgWeeklyHours >= rules.weeklyHoliday.minWeeklyHours) {
-        const weeksInMonth = 4.345;
-        const avgDailyHours = totalWorkHours / Math.max(totalWorkDays, 1);
-        weeklyHolidayPay = Math.floor(avgDailyHours * effectiveHourlyRate * weeksInMonth);
-      }
+      const { data: vacations } = await supabase
+        .from('vacations')
+        .select('start_date, end_date, vacation_type')
+        .eq('employee_id', employeeId)
+        .lte('start_date', weeklyRange.to)
+        .gte('end_date', weeklyRange.from);
+
+      const weekly = calculateWeeklyHolidayPay({
+        year,
+        month,
+        employee,
+        attendances: weekAttendances || [],
+        vacations: vacations || [],
+        hourlyRate: ordinaryHourlyRate,
+        holidayCalendar,
+        rules,
+        getWorkMinutes,
+      });
+      weeklyHolidayPay = weekly.total;
+      weeklyHolidayBreakdown = weekly.weeks;
     }
 
     // ─── [v9.4 FIX] 수당 계산 (근로기준법 제56조) ──────────────────
-    // 연장: 평일 8h 초과 시간 × 시급 × 1.5
-    const overtimePay = Math.floor(overtimeHours * effectiveHourlyRate * rules.overtime.extendedRate);
-    // 야간: 22:00~06:00 시간 × 시급 × 0.5 (추가분만 지급, 기본급과 합산되어 실질 배수 상승)
-    const nightWorkPay = Math.floor(nightWorkHours * effectiveHourlyRate * rules.overtime.nightRate);
+    // 연장: 평일 8h 초과 시간 × 시간급 통상임금 × 1.5
+    const overtimePay = Math.floor(overtimeHours * ordinaryHourlyRate * rules.overtime.extendedRate);
+    // 야간: 22:00~06:00 시간 × 시간급 통상임금 × 0.5 (추가분만 지급, 기본급과 합산되어 실질 배수 상승)
+    const nightWorkPay = Math.floor(nightWorkHours * ordinaryHourlyRate * rules.overtime.nightRate);
     // 휴일 8h 이내: × 1.5 / 휴일 8h 초과: × 2.0 (각각 별도 계산 후 합산)
-    const holidayRegularPay  = Math.floor(holidayRegularHours  * effectiveHourlyRate * rules.overtime.holidayRate);
-    const holidayExtendedPay = Math.floor(holidayExtendedHours * effectiveHourlyRate * (rules.overtime.holidayExtendedRate || 2.0));
+    const holidayRegularPay  = Math.floor(holidayRegularHours  * ordinaryHourlyRate * rules.overtime.holidayRate);
+    const holidayExtendedPay = Math.floor(holidayExtendedHours * ordinaryHourlyRate * (rules.overtime.holidayExtendedRate || 2.0));
     const holidayWorkPay = holidayRegularPay + holidayExtendedPay;
 
     // [FIX #5] 비과세 수당 분리
     const mealAllowance = Math.min(employee.meal_allowance || 0, rules.taxExemption.mealAllowance);
     const carAllowance = Math.min(employee.car_allowance || 0, rules.taxExemption.carAllowance);
     const childcareAllowance = Math.min(employee.childcare_allowance || 0, rules.taxExemption.childcareAllowance);
-    const nonTaxableAmount = mealAllowance + carAllowance + childcareAllowance;
+
+    // 회사 수당·공제 항목 (직원별 지정, lib/pay-items.js) — 비과세 한도는 위 기본 수당과 합산
+    const payItems = applyPayItems(assignedPayItems, {
+      rules,
+      usedNonTaxable: { meal: mealAllowance, car: carAllowance, childcare: childcareAllowance },
+    });
+    const nonTaxableAmount = mealAllowance + carAllowance + childcareAllowance + payItems.nonTaxableAllowances;
 
     // 총 지급액 (과세 + 비과세)
-    const grossPayment = Math.floor(basicPay) + weeklyHolidayPay + overtimePay + nightWorkPay + holidayWorkPay + nonTaxableAmount;
+    const grossPayment = Math.floor(basicPay) + weeklyHolidayPay + overtimePay + nightWorkPay + holidayWorkPay
+      + mealAllowance + carAllowance + childcareAllowance + payItems.allowanceTotal;
     // 과세 소득 (비과세 차감)
     const taxableIncome = grossPayment - nonTaxableAmount;
 
+    // 소급분 (lib/retro-pay.js) — 지급액은 이번 달에 합산, 소득세·고용보험은 귀속월별 재계산 차액을 그대로 징수
+    // 4대보험·간이세액은 아래에서 이번 달 정기분(taxableIncome)만으로 계산
+    // 미정산분은 작성·검토 단계 정기 계산에서만 가져옴 (시뮬레이션·조정·승인 이후 재계산은 이미 정산된 것만)
+    const retro = applyRetroSettlements(await loadRetroSettlements(supabase, {
+      employeeId,
+      year,
+      month,
+      includePending: !simulate && !adjustmentRun && !recalcPolicy.versioned,
+    }));
+
+    // 연말정산 차감징수세액 (lib/year-end-tax.js) — 확정된 전년 귀속분을 2월 급여에서 추가 징수(+) / 환급(-)
+    // 당월 원천징수(income_tax)와 섞이지 않도록 별도 컬럼 — 다음 해 기납부세액에 들어가지 않음
+    const yearEnd = applyYearEndSettlements(await loadYearEndSettlements(supabase, {
+      employeeId,
+      year,
+      month,
+      includePending: !simulate && !adjustmentRun && !recalcPolicy.versioned,
+    }));
+
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // STEP 3: 공제액 계산 (4대보험 + 소득세)
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     const employeeAge = calculateAge(employee.birth_date, payDate);
 
+    // 일용근로자 — 4대보험은 월 근로일수·시간으로 적용 판정, 소득세는 일별 원천징수 (lib/daily-worker.js)
+    const dailyWorker = isDailyWorker(employee);
+    const insuranceEligibility = dailyWorker
+      ? checkDailyInsuranceEligibility({ workDays: totalWorkDays, workHours: totalWorkHours, rules })
+      : null;
+
     // [FIX #1, #4] 4대보험 - 룰 엔진 기반, 2026년 요율
     // ── 국민연금 (기준소득월액 상하한 적용, 60세 이상 면제) ──
     // ── 단시간 근로자 예외: 월 60시간 미만이면 국민연금 가입 제외 ──
@@ -235,7 +440,8 @@ exports.handler = async (event) => {
     const isShortTimeWorker = totalWorkHours < 60; // 월 60시간 미만 단시간 근로자 여부
     let nationalPension = 0;
     let employerNationalPension = 0;
-    if (employeeAge < rules.nationalPension.exemptionAge && !isShortTimeWorker) {
+    const pensionEligible = dailyWorker ? insuranceEligibility.nationalPension.eligible : !isShortTimeWorker;
+    if (employeeAge < rules.nationalPension.exemptionAge && pensionEligible) {
       // 정규 근로자: 기준소득월액 상하한 적용
       const pensionBase = Math.min(Math.max(taxableIncome, rules.nationalPension.lowerLimit), rules.nationalPension.upperLimit);
       nationalPension = floor10(pensionBase * rules.nationalPension.employeeRate);
@@ -243,9 +449,10 @@ exports.handler = async (event) => {
     }
 
 
-    // ── 건강보험 ──
-    const healthInsurance = floor10(taxableIncome * rules.healthInsurance.employeeRate);
-    const employerHealthInsurance = floor10(taxableIncome * rules.healthInsurance.employerRate);
+    // ── 건강보험 (일용근로자는 월 8일 이상 근로 시) ──
+    const healthEligible = !dailyWorker || insuranceEligibility.healthInsurance.eligible;
+    const healthInsurance = healthEligible ? floor10(taxableIncome * rules.healthInsurance.employeeRate) : 0;
+    const employerHealthInsurance = healthEligible ? floor10(taxableIncome * rules.healthInsurance.employerRate) : 0;
 
     // ── 장기요양보험 (건보료 기준) ──
     const longTermCare = floor10(healthInsurance * rules.longTermCare.rate);
@@ -259,15 +466,58 @@ exports.handler = async (event) => {
       employerEmploymentInsurance = floor10(taxableIncome * rules.employmentInsurance.employerRate);
     }
 
-    // [FIX #3] 소득세 - NTS 간이세액표 DB 조회 (폴백 내장)
-    const incomeTax = await getIncomeTax(supabase, year, taxableIncome, employee.dependents || 1);
-    const localIncomeTax = floor10(incomeTax * rules.incomeTax.localTaxRate);
+    // [FIX #3] 소득세 - NTS 간이세액표 DB 조회 (표 미등록 시 저장 계산 거부)
+    // 8~20세 자녀 세액공제 차감 후 근로자 선택 원천징수 비율(80/100/120%) 적용
+    // 일용근로자: 일별 (일급여 - 15만원) × 6% × 45%, 1천원 미만 소액부징수
+    let incomeTax;
+    let localIncomeTax;
+    let dailyWithholding = null;
+    let incomeTaxDetail = null;
+    if (dailyWorker) {
+      dailyWithholding = calculateDailyWithholding(buildDailyWageRows({
+        attendances: attendances || [],
+        resolveWorkTime,
+        holidayCalendar,
+        salaryType,
+        baseSalary,
+        hourlyRate: effectiveHourlyRate,
+        ordinaryHourlyRate,
+        rules,
+        weeklyHolidayWeeks: weeklyHolidayBreakdown,
+        taxableTotal: taxableIncome,
+        nonTaxableTotal: nonTaxableAmount,
+      }), rules);
+      incomeTax = dailyWithholding.incomeTax;
+      localIncomeTax = dailyWithholding.localIncomeTax;
+    } else {
+      incomeTaxDetail = await lookupIncomeTax(supabase, {
+        year,
+        taxableIncome,
+        dependents: employee.dependents || 1,
+        children: employee.tax_children || 0,
+        withholdingRate: employee.withholding_rate || 100,
+        companyId: employee.company_id,
+        rules,
+      });
+      // 간이세액표 미등록 — 소득세 0원으로 저장·지급되지 않도록 계산 거부 (시뮬레이션은 경고만)
+      if (incomeTaxDetail.source === 'missing' && !simulate) {
+        return respond(422, {
+          success: false,
+          error: `${year}년 근로소득 간이세액표가 등록되지 않아 소득세를 계산할 수 없습니다. 설정 > 근로소득 간이세액표에서 국세청 엑셀을 등록한 뒤 다시 계산해주세요.`,
+          taxTableMissing: true,
+        });
+      }
+      incomeTax = incomeTaxDetail.tax;
+      localIncomeTax = floor10(incomeTax * rules.incomeTax.localTaxRate);
+    }
 
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // STEP 4: 실수령액 확정
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    const totalDeductions = nationalPension + healthInsurance + longTermCare + employmentInsurance + incomeTax + localIncomeTax;
-    const netPayment = grossPayment - totalDeductions;
+    const totalDeductions = nationalPension + healthInsurance + longTermCare + employmentInsurance + incomeTax + localIncomeTax
+      + payItems.deductionTotal + retro.deductionTotal + yearEnd.incomeTax + yearEnd.localIncomeTax;
+    const totalPayment = grossPayment + retro.payment;
+    const netPayment = totalPayment - totalDeductions;
 
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // STEP 5: 이상탐지 경고
@@ -276,7 +526,7 @@ exports.handler = async (event) => {
 
     // 단시간 근로자 국민연금 적용 제외 안내
     // 근거: 국민연금법 시행령 제2조 (1개월 60시간 미만 근로자 적용 제외)
-    if (isShortTimeWorker && employeeAge < rules.nationalPension.exemptionAge) {
+    if (!dailyWorker && isShortTimeWorker && employeeAge < rules.nationalPension.exemptionAge) {
       warnings.push({
         type: 'SHORT_TIME_WORKER',
         severity: 'info',
@@ -284,15 +534,81 @@ exports.handler = async (event) => {
       });
     }
 
+    // 간이세액표 미등록 — 소득세 미계산 (시뮬레이션만 여기까지 옴)
+    if (incomeTaxDetail && incomeTaxDetail.source === 'missing') {
+      warnings.push({
+        type: 'INCOME_TAX_TABLE_MISSING',
+        severity: 'critical',
+        message: `${year}년 근로소득 간이세액표가 등록되지 않아 소득세를 계산하지 않았습니다 (0원). 설정 > 근로소득 간이세액표에서 국세청 엑셀을 등록해주세요.`
+      });
+    }
+
+    // 일용근로자 적용 제외 보험·소액부징수 안내
+    if (dailyWorker) {
+      const excluded = [insuranceEligibility.nationalPension, insuranceEligibility.healthInsurance]
+        .filter(e => !e.eligible).map(e => e.reason);
+      const exemptText = dailyWithholding.exempt ? '소액부징수 (지급 합계 소득세 1천원 미만)' : null;
+      warnings.push({
+        type: 'DAILY_WORKER',
+        severity: 'info',
+        message: `일용근로자 — 소득세 일별 원천징수 (${totalWorkDays}일)`
+          + [...excluded, exemptText].filter(Boolean).map(t => ` · ${t}`).join('')
+      });
+    }
+
+    // 5인 미만 사업장 프로필 안내 (가산수당·연차·52시간 미적용)
+    if (rules.profile === 'small_workplace') {
+      const headcountText = workplaceSize.regularHeadcount !== null
+        ? `상시근로자 ${workplaceSize.regularHeadcount}명` : '수동 지정';
+      warnings.push({
+        type: 'SMALL_WORKPLACE',
+        severity: 'info',
+        message: `5인 미만 사업장(${headcountText}) — 연장·야간·휴일 가산수당 미적용, 실근로시간분만 지급`
+      });
+    }
+
+    // 소급분 합산 안내
+    if (retro.ids.length > 0) {
+      warnings.push({
+        type: 'RETRO_PAY',
+        severity: 'info',
+        message: `소급분 ${retro.payment.toLocaleString()}원 합산 (${retro.breakdown.map(b => b.label).join(', ')}) — 소득세·고용보험은 귀속월 재계산 차액 ${retro.deductionTotal.toLocaleString()}원 징수`
+      });
+    }
+
+    // 연말정산 정산 안내
+    if (yearEnd.ids.length > 0) {
+      const total = yearEnd.incomeTax + yearEnd.localIncomeTax;
+      warnings.push({
+        type: 'YEAR_END_SETTLEMENT',
+        severity: 'info',
+        message: `${yearEnd.years.join(', ')}년 귀속 연말정산 ${total >= 0 ? '추가 징수' : '환급'} ${Math.abs(total).toLocaleString()}원 (소득세 ${yearEnd.incomeTax.toLocaleString()}원, 지방소득세 ${yearEnd.localIncomeTax.toLocaleString()}원)`
+      });
+    }
+
     // 최저임금 위반
     if (effectiveHourlyRate < rules.minimumWage.hourly) {
       warnings.push({ type: 'MIN_WAGE', severity: 'critical', message: `최저임금 미달 (시급 ${Math.floor(effectiveHourlyRate).toLocaleString()}원 < ${rules.minimumWage.hourly.toLocaleString()}원)` });
     }
 
-    // 주 52시간 초과 (월 환산)
-    const avgWeeklyHoursAll = totalWorkDays > 0 ? (totalWorkHours / totalWorkDays) * 5 : 0;
-    if (avgWeeklyHoursAll > 52) {
-      warnings.push({ type: 'OVERTIME_LIMIT', severity: 'critical', message: `주 52시간 초과 (주 평균 ${avgWeeklyHoursAll.toFixed(1)}시간)` });
+    // 주 52시간 초과 — 주(월~일)별 연장근로 12시간 초과 판정 (1일 8시간 초과분 포함, lib/weekly-hours.js)
+    if (rules.workHourLimit.enforced) {
+      for (const { weekStart, weekEnd } of weeklyRange.weeks) {
+        const dailyMinutes = {};
+        for (const att of weekAttendances || []) {
+          const key = toKstDateKey(att.check_in_time);
+          if (key < weekStart || key > weekEnd) continue;
+          dailyMinutes[key] = (dailyMinutes[key] || 0) + getWorkMinutes(att);
+        }
+        const week = splitWeeklyMinutes(Object.values(dailyMinutes));
+        if (week.violation) {
+          warnings.push({
+            type: 'OVERTIME_LIMIT',
+            severity: 'critical',
+            message: `주 ${rules.workHourLimit.weeklyMax}시간 초과 (${weekStart.slice(5)}~${weekEnd.slice(5)} 주 ${(week.totalMinutes / 60).toFixed(1)}시간, 연장 ${(week.overtimeMinutes / 60).toFixed(1)}시간)`
+          });
+        }
+      }
     }
 
     // 전월 대비 급여 급변 (±30%)
@@ -322,6 +638,7 @@ exports.handler = async (event) => {
       // 근태
       total_work_days: totalWorkDays,
       total_work_hours: parseFloat(totalWorkHours.toFixed(2)),
+      total_break_hours: parseFloat((totalBreakMinutes / 60).toFixed(2)), // 차감된 휴게시간
       regular_work_hours: parseFloat(regularWorkHours.toFixed(2)),
       overtime_hours: parseFloat(overtimeHours.toFixed(2)),
       night_work_hours: parseFloat(nightWorkHours.toFixed(2)),
@@ -332,25 +649,47 @@ exports.handler = async (event) => {
       salary_type: salaryType,
       base_salary: baseSalary,
       basic_pay: Math.floor(basicPay),
+      attendance_deduction: attendanceDeduction,        // 근태 공제액 (기본급에서 차감됨)
+      late_minutes: lateMinutesTotal,
+      early_leave_minutes: earlyLeaveMinutesTotal,
+      absent_days: absentDays,
       weekly_holiday_pay: weeklyHolidayPay,
+      weekly_holiday_breakdown: weeklyHolidayBreakdown, // 주별 주휴수당 산정 내역
       overtime_pay: overtimePay,
       night_work_pay: nightWorkPay,
       holiday_work_pay: holidayWorkPay,
-      other_allowances: 0,
+      other_allowances: payItems.allowanceTotal,           // 회사 수당 항목 합계 (과세 + 비과세)
+      pay_item_breakdown: payItems.breakdown,             // 항목별 지급/공제 내역
+      ordinary_wage_allowances: payItems.ordinaryWageAllowances, // 통상임금 포함 정기 수당
+      average_wage_allowances: payItems.averageWageAllowances,   // 평균임금 포함 정기 수당 (퇴직금)
+      ordinary_hourly_wage: ordinaryHourlyRate,           // 시간급 통상임금 (가산수당·주휴수당 기준)
+      ordinary_wage_breakdown: ordinaryWage,              // 통상임금 산정 내역 (기본급·정기 수당·정기상여금·기준시간)
+      // 일용근로자 (일별 과세·비과세·원천징수, 4대보험 적용 판정)
+      work_type: employee.work_type || null,
+      daily_wage_breakdown: dailyWithholding ? dailyWithholding.days : null,
+      insurance_eligibility: insuranceEligibility,
       // 비과세
       meal_allowance: mealAllowance,
       car_allowance: carAllowance,
       childcare_allowance: childcareAllowance,
-      non_taxable_amount: nonTaxableAmount,
-      taxable_income: taxableIncome,
+      non_taxable_amount: nonTaxableAmount + retro.nonTaxable,
+      taxable_income: taxableIncome + retro.taxable,
+      // 소급분 (귀속월별 차액 합계, 공제 항목에 포함됨)
+      retro_pay: retro.payment,
+      retro_deductions: retro.deductionTotal,
+      retro_breakdown: retro.breakdown,
       // 근로자 공제
       national_pension: nationalPension,
       health_insurance: healthInsurance,
       long_term_care: longTermCare,
-      employment_insurance: employmentInsurance,
-      income_tax: incomeTax,
-      local_income_tax: localIncomeTax,
-      other_deductions: 0,
+      employment_insurance: employmentInsurance + retro.employmentInsurance,
+      income_tax: incomeTax + retro.incomeTax,
+      local_income_tax: localIncomeTax + retro.localIncomeTax,
+      other_deductions: payItems.deductionTotal + retro.otherDeductions, // 회사 공제 항목 합계 (가불금 회수·기숙사비 등)
+      // 연말정산 차감징수세액 (공제 항목에 포함됨, 음수는 환급)
+      year_end_income_tax: yearEnd.incomeTax,
+      year_end_local_income_tax: yearEnd.localIncomeTax,
+      year_end_settlement_id: yearEnd.ids[0] || null,
       // 사업주 부담
       employer_national_pension: employerNationalPension,
       employer_health_insurance: employerHealthInsurance,
@@ -358,15 +697,81 @@ exports.handler = async (event) => {
       employer_employment_insurance: employerEmploymentInsurance,
       employer_industrial_accident: 0, // 업종별 별도 설정 필요
       // 합계
-      total_payment: grossPayment,
+      total_payment: totalPayment,
       total_deductions: totalDeductions,
       net_payment: netPayment,
       // 메타
       dependents: employee.dependents || 1,
+      tax_children: employee.tax_children || 0,               // 8~20세 자녀 수 (자녀세액공제)
+      withholding_rate: employee.withholding_rate || 100,    // 원천징수 비율 80 | 100 | 120
+      income_tax_detail: incomeTaxDetail,                   // 간이세액표 세액·자녀공제·적용 표 연도
+      rule_profile: rules.profile,                          // standard | small_workplace
+      regular_headcount: workplaceSize.regularHeadcount,   // 상시근로자수 (직전 1개월)
+      headcount_basis: workplaceSize.basis,                 // computed | override | fallback
       warnings: warnings.length > 0 ? warnings : [],
       status: 'calculated'
     };
 
+    // 소급 정산 시뮬레이션 — 저장·실행 단계 변경 없이 결과만 반환
+    if (simulate) return respond(200, { success: true, data: payrollData, simulated: true, warnings });
+
+    // 덮어쓰기 전 값 — 재계산이면 감사 로그에 변경 전/후 기록
+    const { data: previous } = await supabase
+      .from('payrolls')
+      .select('*')
+      .eq('employee_id', employeeId)
+      .eq('year', year)
+      .eq('month', month)
+      .maybeSingle();
+
+    // 조정 실행 — 마감된 급여는 그대로 두고 정정 결과·차액만 저장 (승인 시 payroll-runs.js 에서 반영)
+    if (adjustmentRun) {
+      const changes = diffPayroll(previous, payrollData);
+      if (Object.keys(changes).length === 0) {
+        // 바뀐 것이 없으면 정정 대상에서 제외
+        await supabase.from('payroll_adjustments').delete().eq('run_id', adjustmentRun.id).eq('employee_id', employeeId);
+        return respond(200, { success: true, data: null, adjustment: true, unchanged: true, warnings });
+      }
+      const { data: adjustment, error: adjError } = await supabase
+        .from('payroll_adjustments')
+        .upsert({
+          company_id:  employee.company_id,
+          run_id:      adjustmentRun.id,
+          payroll_id:  previous?.id || null,
+          employee_id: employeeId,
+          year,
+          month,
+          before:      previous || null,
+          after:       payrollData,
+          changes,
+          ...adjustmentDelta(previous, payrollData),
+          reason:      reason || adjustmentRun.reason || null,
+          created_by:  tokenData.userId,
+          updated_at:  new Date().toISOString(),
+        }, { onConflict: 'run_id,employee_id' })
+        .select()
+        .single();
+      if (adjError) {
+        console.error('조정 계산 저장 오류:', adjError);
+        return respond(500, { success: false, error: '조정 계산 저장 실패', details: adjError.message });
+      }
+      if (adjustmentRun.status === RUN_STATUS.REVIEWED) await reopenRun(supabase, adjustmentRun, RUN_STATUS.DRAFT);
+      return respond(200, { success: true, data: adjustment, adjustment: true, warnings });
+    }
+
+    // 승인·지급 이후 재계산 — 이전 결과를 버전으로 보존 (필드별 변경 내역 포함)
+    payrollData.run_id = run.id;
+    payrollData.version = previous?.version || 1;
+    if (recalcPolicy.versioned && previous) {
+      payrollData.version = await savePayrollVersion(supabase, {
+        previous,
+        next: payrollData,
+        runId: run.id,
+        reason,
+        userId: tokenData.userId,
+      });
+    }
+
     const { data: payroll, error: payrollError } = await supabase
       .from('payrolls')
       .upsert(payrollData, { onConflict: 'employee_id,year,month' })
@@ -378,16 +783,31 @@ exports.handler = async (event) => {
       return respond(500, { success: false, error: '급여 저장 실패', details: payrollError.message });
     }
 
+    // 합산한 소급분·연말정산 정산 처리
+    await markRetroSettled(supabase, { ids: retro.pendingIds, payrollId: payroll.id, year, month });
+    await markYearEndSettled(supabase, { ids: yearEnd.pendingIds, payrollId: payroll.id, year, month });
+
+    // 결과가 바뀌었으니 검토·승인 다시 — 일괄 계산은 calculate-payroll-batch 가 끝난 뒤 한 번에 처리
+    if (recalcPolicy.resetTo && source !== 'calculate-payroll-batch') {
+      await reopenRun(supabase, run, recalcPolicy.resetTo);
+    }
+
+    await recordAudit(supabase, auditActor(event, tokenData), {
+      companyId:  employee.company_id,
+      entityType: AUDIT_ENTITY.PAYROLL,
+      entityId:   payroll.id,
+      action:     previous ? AUDIT_ACTION.RECALCULATE : AUDIT_ACTION.CREATE,
+      before:     previous,
+      after:      payroll,
+      reason,
+      source:     source === 'calculate-payroll-batch' ? source : 'calculate-payroll',
+    });
+
     return respond(200, { success: true, data: payroll, cached: false, warnings });
 
   } catch (error) {
     console.error('급여 계산 오류:', error);
+    captureError(error, { function: 'calculate-payroll' });
     return respond(500, { success: false, error: '서버 오류가 발생했습니다.' });
   }
-  } catch (error) {
-  captureError(error, { function: 'calculate-payroll', companyId: /* 있으면 */ });
-  return { statusCode: 500, body: JSON.stringify({ error: '서버 오류' }) };
-  }
-}
-
 };
@@ -1,11 +1,15 @@
 // =====================================================
 // 사업장 정보 조회/수정 API
 // GET  /.netlify/functions/company-settings  → 사업장 정보 조회
-// PUT  /.netlify/functions/company-settings  → 사업장 정보 수정
+// PUT  /.netlify/functions/company-settings  → 사업장 정보 수정 (body.reason: 변경 사유, 감사 로그 기록)
 // =====================================================
 
 const { verifyToken, handleCors, successResponse, errorResponse } = require('./lib/auth');
 const { createClient } = require('@supabase/supabase-js');
+const { OPEN_SHIFT_POLICY, MIN_MAX_SHIFT_HOURS, MAX_MAX_SHIFT_HOURS, resolveMaxShiftHours } = require('./lib/shift-pairing');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { MIN_OFFLINE_TOLERANCE_MINUTES, MAX_OFFLINE_TOLERANCE_MINUTES, resolveOfflineToleranceMinutes } = require('./lib/offline-punch');
+const { MIN_ALERT_THRESHOLD, MAX_ALERT_THRESHOLD, MAX_ALERT_THRESHOLDS, resolveAlertThresholds } = require('./lib/weekly-hours');
 
 function getSupabaseClient() {
   const url = process.env.SUPABASE_URL;
@@ -40,7 +44,7 @@ exports.handler = async (event) => {
         .select(`
           id, company_name, representative_name, business_number,
           address, business_phone, business_type, business_category,
-          pay_day, subscription_plan, subscription_status, subscribed_at,
+          pay_day, attendance_deduction_enabled, max_shift_hours, open_shift_policy, device_binding_required, offline_tolerance_minutes, weekly_hour_alerts_enabled, weekly_hour_alert_thresholds, subscription_plan, subscription_status, subscribed_at,
           created_at
         `)
         .eq('id', companyId)
@@ -67,6 +71,13 @@ exports.handler = async (event) => {
               businessType: company.business_type,
               businessCategory: company.business_category,
               payDay: company.pay_day,
+              attendanceDeductionEnabled: company.attendance_deduction_enabled === true,
+              maxShiftHours: resolveMaxShiftHours(company.max_shift_hours),
+              openShiftPolicy: company.open_shift_policy || OPEN_SHIFT_POLICY.FLAG,
+              deviceBindingRequired: company.device_binding_required === true,
+              offlineToleranceMinutes: resolveOfflineToleranceMinutes(company.offline_tolerance_minutes),
+              weeklyHourAlertsEnabled: company.weekly_hour_alerts_enabled !== false,
+              weeklyHourAlertThresholds: resolveAlertThresholds(company.weekly_hour_alert_thresholds),
               subscriptionPlan: company.subscription_plan,
               subscriptionStatus: company.subscription_status,
               subscribedAt: company.subscribed_at,
@@ -90,7 +101,15 @@ exports.handler = async (event) => {
         businessPhone,
         businessType,
         businessCategory,
-        payDay
+        payDay,
+        attendanceDeductionEnabled,
+        maxShiftHours,
+        openShiftPolicy,
+        deviceBindingRequired,
+        offlineToleranceMinutes,
+        weeklyHourAlertsEnabled,
+        weeklyHourAlertThresholds,
+        reason
       } = body;
 
       // 사업자등록번호 형식 검증 (입력된 경우)
@@ -106,6 +125,31 @@ exports.handler = async (event) => {
         return errorResponse('급여일은 1~31 사이 값이어야 합니다', 400, cors.headers);
       }
 
+      // 최대 근무시간 검증 (퇴근 펀치 페어링 / 퇴근 누락 판정 기준)
+      if (maxShiftHours !== undefined) {
+        const hours = Number(maxShiftHours);
+        if (!Number.isFinite(hours) || hours < MIN_MAX_SHIFT_HOURS || hours > MAX_MAX_SHIFT_HOURS) {
+          return errorResponse(`최대 근무시간은 ${MIN_MAX_SHIFT_HOURS}~${MAX_MAX_SHIFT_HOURS}시간 사이 값이어야 합니다`, 400, cors.headers);
+        }
+      }
+      if (openShiftPolicy !== undefined && !Object.values(OPEN_SHIFT_POLICY).includes(openShiftPolicy)) {
+        return errorResponse('퇴근 누락 처리 방식이 올바르지 않습니다', 400, cors.headers);
+      }
+      if (offlineToleranceMinutes !== undefined) {
+        const minutes = Number(offlineToleranceMinutes);
+        if (!Number.isInteger(minutes) || minutes < MIN_OFFLINE_TOLERANCE_MINUTES || minutes > MAX_OFFLINE_TOLERANCE_MINUTES) {
+          return errorResponse(`오프라인 출퇴근 허용 지연은 ${MIN_OFFLINE_TOLERANCE_MINUTES}~${MAX_OFFLINE_TOLERANCE_MINUTES}분 사이 값이어야 합니다`, 400, cors.headers);
+        }
+      }
+
+      if (weeklyHourAlertThresholds !== undefined) {
+        const list = Array.isArray(weeklyHourAlertThresholds) ? weeklyHourAlertThresholds.map(Number) : [];
+        if (list.length === 0 || list.length > MAX_ALERT_THRESHOLDS
+          || list.some(h => !Number.isFinite(h) || h < MIN_ALERT_THRESHOLD || h > MAX_ALERT_THRESHOLD)) {
+          return errorResponse(`주간 근로시간 알림 기준은 ${MIN_ALERT_THRESHOLD}~${MAX_ALERT_THRESHOLD}시간 사이 값 ${MAX_ALERT_THRESHOLDS}개 이하여야 합니다`, 400, cors.headers);
+        }
+      }
+
       // 업데이트 데이터 구성 (값이 있는 것만)
       const updateData = {};
       if (companyName !== undefined) updateData.company_name = companyName;
@@ -116,11 +160,30 @@ exports.handler = async (event) => {
       if (businessType !== undefined) updateData.business_type = businessType;
       if (businessCategory !== undefined) updateData.business_category = businessCategory;
       if (payDay !== undefined) updateData.pay_day = payDay;
+      // 지각/조퇴/결근 급여 공제 사용 여부 (근무 스케줄 판정 기반, calculate-payroll.js)
+      if (attendanceDeductionEnabled !== undefined) updateData.attendance_deduction_enabled = attendanceDeductionEnabled === true;
+      // 야간 근무 퇴근 페어링 / 퇴근 누락 처리 (lib/shift-pairing.js, attendance-open-shift-sweep.js)
+      if (maxShiftHours !== undefined) updateData.max_shift_hours = Number(maxShiftHours);
+      if (openShiftPolicy !== undefined) updateData.open_shift_policy = openShiftPolicy;
+      // 출퇴근 기기 인증 필수 여부 (SMS 인증으로 등록한 휴대폰만 출퇴근 허용, device-binding.js)
+      if (deviceBindingRequired !== undefined) updateData.device_binding_required = deviceBindingRequired === true;
+      // 오프라인 출퇴근 지연 전송 허용 시간 — 초과 시 관리자 검토 (lib/offline-punch.js)
+      if (offlineToleranceMinutes !== undefined) updateData.offline_tolerance_minutes = Number(offlineToleranceMinutes);
+      // 주 52시간 실시간 경보 (lib/weekly-hours.js) — 누적 근로시간 알림 기준(시간)
+      if (weeklyHourAlertsEnabled !== undefined) updateData.weekly_hour_alerts_enabled = weeklyHourAlertsEnabled === true;
+      if (weeklyHourAlertThresholds !== undefined) updateData.weekly_hour_alert_thresholds = resolveAlertThresholds(weeklyHourAlertThresholds);
 
       if (Object.keys(updateData).length === 0) {
         return errorResponse('수정할 항목이 없습니다', 400, cors.headers);
       }
 
+      // 변경 전 값 (감사 로그)
+      const { data: before } = await supabase
+        .from('companies')
+        .select(Object.keys(updateData).join(', '))
+        .eq('id', companyId)
+        .single();
+
       const { data: updated, error } = await supabase
         .from('companies')
         .update(updateData)
@@ -133,6 +196,17 @@ exports.handler = async (event) => {
         return errorResponse('사업장 정보 수정 실패: ' + error.message, 500, cors.headers);
       }
 
+      await recordAudit(supabase, auditActor(event, tokenData), {
+        companyId,
+        entityType: AUDIT_ENTITY.SETTINGS,
+        entityId:   companyId,
+        action:     AUDIT_ACTION.UPDATE,
+        before,
+        after:      Object.fromEntries(Object.keys(updateData).map(k => [k, updated[k]])),
+        reason,
+        source:     'company-settings',
+      });
+
       return {
         statusCode: 200,
         headers: cors.headers,
@@ -148,7 +222,14 @@ exports.handler = async (event) => {
               businessPhone: updated.business_phone,
               businessType: updated.business_type,
               businessCategory: updated.business_category,
-              payDay: updated.pay_day
+              payDay: updated.pay_day,
+              attendanceDeductionEnabled: updated.attendance_deduction_enabled === true,
+              maxShiftHours: resolveMaxShiftHours(updated.max_shift_hours),
+              openShiftPolicy: updated.open_shift_policy || OPEN_SHIFT_POLICY.FLAG,
+              deviceBindingRequired: updated.device_binding_required === true,
+              offlineToleranceMinutes: resolveOfflineToleranceMinutes(updated.offline_tolerance_minutes),
+              weeklyHourAlertsEnabled: updated.weekly_hour_alerts_enabled !== false,
+              weeklyHourAlertThresholds: resolveAlertThresholds(updated.weekly_hour_alert_thresholds)
             },
             message: '사업장 정보가 수정되었습니다.'
           }
@@ -0,0 +1,228 @@
+/**
+ * netlify/functions/contractor-payment-pdf.js
+ * - 프리랜서 지급 명세서 (사업소득 3.3% / 기타소득 8.8% 원천징수 내역)
+ * - ?id=xxx (contractor_payments.id)
+ * - 원천징수 계산은 lib/contractor-pay.js, 등록·지급은 contractor-payments.js
+ */
+
+const { verifyToken } = require('./lib/auth');
+const { INCOME_TYPE, INCOME_TYPE_LABELS, EXPENSE_METHOD } = require('./lib/contractor-pay');
+const { createClient } = require('@supabase/supabase-js');
+const { PDFDocument, rgb } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+
+function getSupabase() {
+  return createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+}
+
+const CORS = {
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+};
+
+/* ── 한글 폰트 로드 ─────────────────────────────────────────── */
+async function loadKoreanFont() {
+  // woff2는 pdf-lib 미지원 → OTF(서브셋) 사용
+  const url = 'https://raw.githubusercontent.com/notofonts/noto-cjk/main/Sans/SubsetOTF/KR/NotoSansKR-Regular.otf';
+  const res = await fetch(url);
+  if (!res.ok) throw new Error('폰트 로드 실패: ' + res.status);
+  return res.arrayBuffer();
+}
+
+function fmt(n) { return Math.round(Number(n || 0)).toLocaleString('ko-KR') + '원'; }
+function fmtDate(s) {
+  if (!s) return '-';
+  const [y, m, d] = String(s).slice(0, 10).split('-').map(Number);
+  return y + '년 ' + m + '월 ' + d + '일';
+}
+function pct(rate) { return Math.round(Number(rate || 0) * 1000) / 10 + '%'; }
+
+/* ── PDF 생성 ───────────────────────────────────────────────── */
+async function buildPDF(payment, emp, company) {
+  const doc = await PDFDocument.create();
+  doc.registerFontkit(fontkit);
+  const fontBytes = await loadKoreanFont();
+  const font = await doc.embedFont(fontBytes);
+  const page = doc.addPage([595, 842]);
+  const W = 595, H = 842;
+
+  const cBlue  = rgb(0.13, 0.34, 0.82);
+  const cDark  = rgb(0.13, 0.13, 0.13);
+  const cGray  = rgb(0.45, 0.45, 0.45);
+  const cLight = rgb(0.96, 0.97, 1.0);
+  const cWhite = rgb(1, 1, 1);
+  const cRed   = rgb(0.85, 0.15, 0.15);
+
+  const isOther = payment.income_type === INCOME_TYPE.OTHER;
+  const typeLabel = INCOME_TYPE_LABELS[payment.income_type] || '';
+
+  /* 헤더 */
+  page.drawRectangle({ x: 0, y: H - 90, width: W, height: 90, color: cBlue });
+  page.drawText(company?.name || '회사명',
+    { x: 40, y: H - 40, size: 20, font, color: cWhite });
+  page.drawText(typeLabel + ' 지급명세서',
+    { x: 40, y: H - 68, size: 13, font, color: rgb(0.8, 0.88, 1) });
+  const n = new Date();
+  page.drawText('발행일: ' + n.getFullYear() + '년 ' + (n.getMonth()+1) + '월 ' + n.getDate() + '일',
+    { x: W - 190, y: H - 55, size: 9, font, color: rgb(0.8, 0.88, 1) });
+
+  let y = H - 110;
+
+  /* 소득자 정보 박스 */
+  page.drawRectangle({ x: 30, y: y - 70, width: W - 60, height: 75, color: cLight });
+  page.drawText(payment.year + '년 ' + payment.month + '월 지급 · ' + (payment.description || ''),
+    { x: 45, y: y - 22, size: 12, font, color: cDark });
+  page.drawText('소득자: ' + (emp?.name || '-'),
+    { x: 45, y: y - 42, size: 11, font, color: cDark });
+  page.drawText('지급일: ' + fmtDate(payment.pay_date),
+    { x: 200, y: y - 42, size: 11, font, color: cDark });
+  page.drawText(isOther
+    ? '소득구분: ' + (payment.income_code || '기타소득')
+    : '업종코드: ' + (payment.industry_code || '-'),
+    { x: 360, y: y - 42, size: 11, font, color: cDark });
+  const bankInfo = [emp?.bank_name, emp?.account_number].filter(Boolean).join(' ') || '-';
+  page.drawText('계좌: ' + bankInfo,
+    { x: 45, y: y - 60, size: 9, font, color: cGray });
+  y -= 90;
+
+  /* 섹션 헬퍼 */
+  function drawSection(title, items, red) {
+    page.drawRectangle({ x: 30, y: y - 24, width: W - 60, height: 24,
+      color: red ? rgb(0.99, 0.96, 0.96) : cLight });
+    page.drawText(title,
+      { x: 45, y: y - 17, size: 11, font, color: red ? cRed : cBlue });
+    y -= 24;
+    items.forEach((item, i) => {
+      const col = i % 2, row = Math.floor(i / 2);
+      const ix = 30 + col * 267, iy = y - 18 - row * 22;
+      page.drawText(item.k, { x: ix + 10, y: iy + 2, size: 10, font, color: cGray });
+      page.drawText(typeof item.v === 'string' ? item.v : fmt(item.v),
+        { x: ix + 160, y: iy + 2, size: 10, font, color: red ? cRed : cDark });
+    });
+    y -= Math.ceil(items.length / 2) * 22 + 10;
+  }
+
+  drawSection('지급 내역', [
+    { k: '지급액', v: payment.gross_amount },
+    ...(isOther ? [
+      { k: payment.expense_method === EXPENSE_METHOD.ACTUAL ? '필요경비(실제)' : '필요경비(60% 의제)', v: payment.necessary_expense },
+      { k: '기타소득금액', v: payment.income_amount },
+    ] : []),
+    { k: '세율', v: pct(payment.tax_rate) + ' (지방소득세 별도)' },
+  ], false);
+
+  drawSection('원천징수 내역', [
+    { k: '소득세',     v: payment.income_tax },
+    { k: '지방소득세', v: payment.local_income_tax },
+  ], true);
+
+  if (payment.exempt_reason) {
+    page.drawText('※ ' + payment.exempt_reason,
+      { x: 40, y: y - 4, size: 9, font, color: cGray });
+    y -= 20;
+  }
+  page.drawText('※ 근로소득이 아니므로 4대보험은 공제하지 않습니다.',
+    { x: 40, y: y - 4, size: 9, font, color: cGray });
+  y -= 30;
+
+  /* 합계 박스 */
+  page.drawRectangle({ x: 30, y: y - 65, width: W - 60, height: 65, color: cBlue });
+  page.drawText('지급액',
+    { x: 50,  y: y - 20, size: 10, font, color: rgb(0.8, 0.88, 1) });
+  page.drawText(fmt(payment.gross_amount),
+    { x: 50,  y: y - 40, size: 14, font, color: cWhite });
+  page.drawText('원천징수세액',
+    { x: 215, y: y - 20, size: 10, font, color: rgb(0.8, 0.88, 1) });
+  page.drawText(fmt(Number(payment.income_tax || 0) + Number(payment.local_income_tax || 0)),
+    { x: 215, y: y - 40, size: 14, font, color: cWhite });
+  page.drawText('실지급액',
+    { x: 385, y: y - 18, size: 10, font, color: rgb(0.9, 0.95, 1) });
+  page.drawText(fmt(payment.net_amount),
+    { x: 385, y: y - 42, size: 16, font, color: cWhite });
+
+  /* 푸터 */
+  page.drawText('본 명세서는 StaffManager에서 자동 생성되었습니다.',
+    { x: 30, y: 20, size: 8, font, color: cGray });
+  page.drawText('staffmanager.io',
+    { x: W - 95, y: 20, size: 8, font, color: cGray });
+
+  return doc.save();
+}
+
+/* ── 핸들러 ─────────────────────────────────────────────────── */
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: CORS, body: '' };
+  if (event.httpMethod !== 'GET')     return { statusCode: 405, headers: CORS, body: 'GET만 허용' };
+
+  try {
+    /* 인증 */
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    let tokenData;
+    try { tokenData = verifyToken(authHeader); }
+    catch { return { statusCode: 401, headers: CORS, body: JSON.stringify({ success: false, error: '인증 실패' }) }; }
+
+    if (!['owner', 'manager'].includes(tokenData.role)) {
+      return { statusCode: 403, headers: CORS,
+        body: JSON.stringify({ success: false, error: '접근 권한 없음' }) };
+    }
+
+    const q = event.queryStringParameters || {};
+    if (!q.id) {
+      return { statusCode: 400, headers: CORS,
+        body: JSON.stringify({ success: false, error: 'id 필요' }) };
+    }
+
+    const supabase = getSupabase();
+
+    /* ── 지급 내역 (회사 범위) ── */
+    const { data: payment } = await supabase
+      .from('contractor_payments')
+      .select('*')
+      .eq('id', q.id)
+      .eq('company_id', tokenData.companyId)
+      .maybeSingle();
+    if (!payment) {
+      return { statusCode: 404, headers: CORS,
+        body: JSON.stringify({ success: false, error: '지급 내역 없음' }) };
+    }
+
+    /* ── 소득자 / 회사 정보 ── */
+    const { data: emp } = await supabase
+      .from('employees')
+      .select('id, name, bank_name, account_number')
+      .eq('id', payment.employee_id)
+      .single();
+
+    const { data: company } = await supabase
+      .from('companies')
+      .select('name')
+      .eq('id', tokenData.companyId)
+      .single();
+
+    /* ── PDF 생성 ── */
+    const pdfBytes = await buildPDF(payment, emp, company);
+    const fname = encodeURIComponent(
+      (INCOME_TYPE_LABELS[payment.income_type] || '프리랜서') + '_지급명세서_' + payment.pay_date + '_' + (emp?.name || '') + '.pdf'
+    );
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...CORS,
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': "attachment; filename*=UTF-8''" + fname,
+      },
+      body: Buffer.from(pdfBytes).toString('base64'),
+      isBase64Encoded: true,
+    };
+
+  } catch (err) {
+    console.error('[contractor-payment-pdf] 오류:', err.message);
+    return { statusCode: 500, headers: CORS,
+      body: JSON.stringify({ success: false, error: 'PDF 생성 실패: ' + err.message }) };
+  }
+};
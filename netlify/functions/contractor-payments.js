@@ -0,0 +1,328 @@
+// netlify/functions/contractor-payments.js
+// 프리랜서 지급 API (관리자) — 사업소득 3.3% / 기타소득 8.8% 원천징수, 간이지급명세서 집계
+// GET    ?id=                          → 지급 1건
+// GET    ?year=&month=[&employeeId=]   → 지급월 목록 + 간이지급명세서 집계 (지급 완료 건만)
+// GET    ?year=&month=&format=csv&incomeType=business|other → 간이지급명세서 제출 준비용 CSV
+// POST   { employeeId, incomeType, grossAmount, payDate, description,
+//          industryCode?, (사업소득 업종코드 — 기본 940909)
+//          expenseMethod?, necessaryExpense?, incomeCode?, (기타소득 — deemed: 필요경비 60% | actual: 실제 필요경비)
+//          memo?, preview? }            → 세액 계산 후 저장 (preview: true 면 계산 결과만)
+// PUT    { id, ...POST 필드 }          → 지급 전 건 수정 (세액 재계산)
+// PUT    { id, status: 'paid' }        → 지급 완료 (이후 수정·삭제 불가, 간이지급명세서 집계 대상)
+// DELETE ?id=&reason=                  → 지급 전 건 삭제
+//
+// 지급 대상은 employees.work_type = 'freelancer' 인 소득자만 (근로자 급여는 calculate-payroll)
+// 원천징수 규칙은 lib/contractor-pay.js, 명세서 PDF 는 contractor-payment-pdf.js
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { loadAllPayrollRules } = require('./lib/payroll-rules');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const {
+  INCOME_TYPE,
+  INCOME_TYPE_LABELS,
+  PAYMENT_STATUS,
+  isFreelancer,
+  validateContractorPayment,
+  calculateContractorWithholding,
+  aggregateSimplifiedStatement,
+  formatContractorPayment,
+} = require('./lib/contractor-pay');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+const SELECT = '*, employees( id, name, birth_date, work_type )';
+
+// 검증 + 세액 계산 → 저장할 필드 (소득자 확인 포함)
+async function preparePayment(supabase, companyId, body) {
+  const validated = validateContractorPayment(body);
+  if (validated.error) return validated;
+
+  const { data: employee } = await supabase
+    .from('employees')
+    .select('id, name, work_type')
+    .eq('id', body.employeeId)
+    .eq('company_id', companyId)
+    .maybeSingle();
+  if (!employee) return { error: { statusCode: 404, error: '소득자를 찾을 수 없습니다' } };
+  if (!isFreelancer(employee)) {
+    return { error: { statusCode: 400, error: `${employee.name}님은 프리랜서가 아닙니다. 근로자 급여는 급여 계산으로 처리하세요.` } };
+  }
+
+  const rules = await loadAllPayrollRules(supabase, new Date(validated.payment.pay_date + 'T00:00:00+09:00'));
+  const payment = { ...validated.payment, employee_id: employee.id };
+  return { employee, payment: { ...payment, ...calculateContractorWithholding(payment, rules) } };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+  const actor = auditActor(event, user);
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (params.id) {
+        const { data } = await supabase
+          .from('contractor_payments')
+          .select(SELECT)
+          .eq('id', params.id)
+          .eq('company_id', user.companyId)
+          .maybeSingle();
+        if (!data) return resp(404, { success: false, error: '지급 내역을 찾을 수 없습니다' });
+        return resp(200, { success: true, data: formatContractorPayment(data) });
+      }
+
+      const year = parseInt(params.year, 10);
+      const month = parseInt(params.month, 10);
+      if (!year || !month || month < 1 || month > 12) return resp(400, { success: false, error: 'year, month 필수' });
+
+      let query = supabase
+        .from('contractor_payments')
+        .select(SELECT)
+        .eq('company_id', user.companyId)
+        .eq('year', year)
+        .eq('month', month)
+        .order('pay_date', { ascending: true });
+      if (params.employeeId) query = query.eq('employee_id', params.employeeId);
+      const { data, error } = await query;
+      if (error) throw error;
+
+      const statement = aggregateSimplifiedStatement(data || []);
+
+      if (params.format === 'csv') {
+        if (!Object.values(INCOME_TYPE).includes(params.incomeType)) {
+          return resp(400, { success: false, error: 'incomeType은 ' + Object.values(INCOME_TYPE).join(', ') + ' 중 하나' });
+        }
+        return {
+          statusCode: 200,
+          headers: {
+            ...headers,
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="simplified-statement-${params.incomeType}-${year}-${String(month).padStart(2, '0')}.csv"`,
+          },
+          body: '\ufeff' + toCsv(params.incomeType, statement[params.incomeType].rows),
+        };
+      }
+
+      const payments = (data || []).map(formatContractorPayment);
+      return resp(200, {
+        success: true,
+        data: {
+          year,
+          month,
+          payments,
+          pendingCount: payments.filter(p => p.status === PAYMENT_STATUS.PENDING).length,
+          statement,
+        },
+      });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      const prepared = await preparePayment(supabase, user.companyId, body);
+      if (prepared.error) {
+        const { statusCode, ...rest } = prepared.error;
+        return resp(statusCode, { success: false, ...rest });
+      }
+
+      if (body.preview === true) {
+        return resp(200, {
+          success: true,
+          preview: true,
+          data: formatContractorPayment({ ...prepared.payment, employees: prepared.employee, status: PAYMENT_STATUS.PENDING }),
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('contractor_payments')
+        .insert({
+          ...prepared.payment,
+          company_id: user.companyId,
+          status:     PAYMENT_STATUS.PENDING,
+          created_by: user.userId,
+        })
+        .select(SELECT)
+        .single();
+      if (error) throw error;
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.CONTRACTOR_PAYMENT,
+        entityId:   data.id,
+        action:     AUDIT_ACTION.CREATE,
+        after:      prepared.payment,
+        source:     'contractor-payments',
+      });
+
+      return resp(201, {
+        success: true,
+        data: formatContractorPayment(data),
+        message: `${prepared.employee.name}님 ${INCOME_TYPE_LABELS[data.income_type]} 지급이 등록되었습니다.`,
+      });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const body = JSON.parse(event.body || '{}');
+      if (!body.id) return resp(400, { success: false, error: 'id 필수' });
+
+      const { data: row } = await supabase
+        .from('contractor_payments')
+        .select('*')
+        .eq('id', body.id)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!row) return resp(404, { success: false, error: '지급 내역을 찾을 수 없습니다' });
+      if (row.status === PAYMENT_STATUS.PAID) {
+        return resp(409, { success: false, error: '지급 완료된 건은 수정할 수 없습니다. 정정분은 새 지급으로 등록하세요.' });
+      }
+
+      let update;
+      if (body.status === PAYMENT_STATUS.PAID) {
+        update = { status: PAYMENT_STATUS.PAID, paid_at: new Date().toISOString() };
+      } else if (body.status !== undefined && body.status !== PAYMENT_STATUS.PENDING) {
+        return resp(400, { success: false, error: 'status는 ' + Object.values(PAYMENT_STATUS).join(', ') + ' 중 하나' });
+      } else {
+        const prepared = await preparePayment(supabase, user.companyId, {
+          employeeId:       row.employee_id,
+          incomeType:       row.income_type,
+          grossAmount:      row.gross_amount,
+          payDate:          row.pay_date,
+          description:      row.description,
+          industryCode:     row.industry_code,
+          incomeCode:       row.income_code,
+          expenseMethod:    row.expense_method,
+          necessaryExpense: row.necessary_expense,
+          memo:             row.memo,
+          ...body,
+        });
+        if (prepared.error) {
+          const { statusCode, ...rest } = prepared.error;
+          return resp(statusCode, { success: false, ...rest });
+        }
+        update = prepared.payment;
+      }
+
+      const { data, error } = await supabase
+        .from('contractor_payments')
+        .update({ ...update, updated_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .eq('status', PAYMENT_STATUS.PENDING)
+        .select(SELECT)
+        .single();
+      if (error) throw error;
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.CONTRACTOR_PAYMENT,
+        entityId:   row.id,
+        action:     AUDIT_ACTION.UPDATE,
+        before:     row,
+        after:      update,
+        reason:     body.reason,
+        source:     'contractor-payments',
+      });
+
+      return resp(200, {
+        success: true,
+        data: formatContractorPayment(data),
+        message: data.status === PAYMENT_STATUS.PAID ? '지급 완료로 처리되었습니다.' : '지급 내역이 수정되었습니다.',
+      });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (!params.id) return resp(400, { success: false, error: 'id 필수' });
+
+      const { data: row } = await supabase
+        .from('contractor_payments')
+        .select('*')
+        .eq('id', params.id)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!row) return resp(404, { success: false, error: '지급 내역을 찾을 수 없습니다' });
+      if (row.status === PAYMENT_STATUS.PAID) {
+        return resp(409, { success: false, error: '지급 완료된 건은 삭제할 수 없습니다.' });
+      }
+
+      const { error } = await supabase
+        .from('contractor_payments')
+        .delete()
+        .eq('id', row.id)
+        .eq('status', PAYMENT_STATUS.PENDING);
+      if (error) throw error;
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.CONTRACTOR_PAYMENT,
+        entityId:   row.id,
+        action:     AUDIT_ACTION.DELETE,
+        before:     row,
+        reason:     params.reason,
+        source:     'contractor-payments',
+      });
+
+      return resp(200, { success: true, message: '지급 내역이 삭제되었습니다.' });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('contractor-payments 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = typeof value === 'string' ? value : JSON.stringify(value);
+  return '"' + s.replace(/"/g, '""') + '"';
+}
+
+function pct(rate) { return Math.round(rate * 1000) / 10 + '%'; }
+
+// CSV 에는 주민등록번호를 넣지 않음 — 주민등록번호가 들어가는 홈택스 전자파일은 withholding-reports.js
+function toCsv(incomeType, rows) {
+  if (incomeType === INCOME_TYPE.BUSINESS) {
+    const header = ['성명', '생년월일', '귀속연도', '지급월', '업종코드', '지급건수', '지급액', '세율', '소득세', '지방소득세'];
+    const lines = [header.join(',')];
+    for (const r of rows) {
+      lines.push([
+        r.name, r.birthDate, r.year, r.month, r.industryCode, r.count,
+        r.grossAmount, pct(r.taxRate), r.incomeTax, r.localIncomeTax,
+      ].map(csvCell).join(','));
+    }
+    return lines.join('\n');
+  }
+  const header = ['성명', '생년월일', '귀속연도', '지급월', '소득구분코드', '지급건수', '지급총액', '필요경비', '소득금액', '세율', '소득세', '지방소득세'];
+  const lines = [header.join(',')];
+  for (const r of rows) {
+    lines.push([
+      r.name, r.birthDate, r.year, r.month, r.incomeCode, r.count,
+      r.grossAmount, r.necessaryExpense, r.incomeAmount, pct(r.taxRate), r.incomeTax, r.localIncomeTax,
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\n');
+}
@@ -8,6 +8,7 @@
 const { verifyToken } = require('./lib/auth');
 const { ucansignRequest } = require('./ucansign-auth');
 const { createClient } = require('@supabase/supabase-js');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
 
 function getSupabaseClient() {
   const url = process.env.SUPABASE_URL;
@@ -110,6 +111,17 @@ exports.handler = async (event) => {
       return { statusCode: 500, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: '계약 취소 처리 실패' }) };
     }
 
+    await recordAudit(supabase, auditActor(event, userInfo), {
+      companyId:  userInfo.companyId,
+      entityType: AUDIT_ENTITY.CONTRACT,
+      entityId:   contract_id,
+      action:     AUDIT_ACTION.UPDATE,
+      before:     { status: contract.status, contract_data: existingData },
+      after:      { status: updated.status, contract_data: JSON.parse(updated.contract_data) },
+      reason:     reason || '사업주 취소',
+      source:     'contracts-cancel',
+    });
+
     return {
       statusCode: 200,
       headers: CORS_HEADERS,
@@ -0,0 +1,100 @@
+// netlify/functions/daily-worker-statement.js
+// 일용근로소득 지급명세서 집계 API (관리자, 읽기 전용)
+// GET ?year=&month=             → 일용근로자(payrolls.work_type = 'daily')별 월 합계 + 회사 합계
+// GET ?year=&month=&format=csv  → 홈택스 제출 준비용 CSV (주민등록번호 제외 — 전자파일은 withholding-reports.js)
+//
+// 매월 제출 (다음 달 말일까지, 소득세법 제164조 제1항 단서) — 귀속월 = 지급월 기준
+// 일별 원천징수 계산은 lib/daily-worker.js
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { WORK_TYPE, aggregateDailyStatement } = require('./lib/daily-worker');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET') return resp(405, { success: false, error: '허용되지 않는 메서드' });
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+
+  try {
+    const year = parseInt(params.year, 10);
+    const month = parseInt(params.month, 10);
+    if (!year || !month || month < 1 || month > 12) return resp(400, { success: false, error: 'year, month 필수' });
+
+    const { data, error } = await supabase
+      .from('payrolls')
+      .select(`
+        employee_id, year, month, total_work_days, taxable_income, non_taxable_amount,
+        income_tax, local_income_tax, employment_insurance, daily_wage_breakdown,
+        employees!inner( id, name, birth_date )
+      `)
+      .eq('company_id', user.companyId)
+      .eq('year', year)
+      .eq('month', month)
+      .eq('work_type', WORK_TYPE.DAILY);
+    if (error) throw error;
+
+    const statement = aggregateDailyStatement(data || []);
+
+    if (params.format === 'csv') {
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="daily-wage-statement-${year}-${String(month).padStart(2, '0')}.csv"`,
+        },
+        body: '\ufeff' + toCsv(statement.rows),
+      };
+    }
+
+    return resp(200, { success: true, data: { year, month, ...statement } });
+  } catch (err) {
+    console.error('daily-worker-statement 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = typeof value === 'string' ? value : JSON.stringify(value);
+  return '"' + s.replace(/"/g, '""') + '"';
+}
+
+function toCsv(rows) {
+  const header = ['성명', '생년월일', '귀속연도', '근무월', '근무일수', '최종근무일', '과세소득', '비과세소득', '소득세', '지방소득세', '고용보험'];
+  const lines = [header.join(',')];
+  for (const r of rows) {
+    lines.push([
+      r.name, r.birthDate, r.year, r.month, r.workDays, r.lastWorkDate,
+      r.taxableIncome, r.nonTaxableIncome, r.incomeTax, r.localIncomeTax, r.employmentInsurance,
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\n');
+}
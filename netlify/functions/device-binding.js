@@ -0,0 +1,246 @@
+// netlify/functions/device-binding.js
+// 직원 휴대폰 기기 등록 API (attendance-checkin.html 에서 호출, 로그인 불필요)
+//
+// POST /.netlify/functions/device-binding
+//   Body: { action: 'request-otp', token, phoneNumber }
+//     → QR 토큰으로 회사 확인, 전화번호로 직원 확인 후 SMS 인증번호 발송
+//     Response: { success, requestId, expiresAt, maskedPhone }
+//
+//   Body: { action: 'verify-otp', requestId, code }
+//     → 인증번호 확인 후 기기 인증키 발급 (기존 등록 기기는 자동 해제 — 직원당 1대)
+//     Response: { success, deviceCredential, deviceLabel, employeeName }
+//
+// 제한 (lib/device-binding.js):
+//   인증번호 요청 10분 3회 / 인증번호 5분 유효·5회 오입력 시 무효 / 기기 재등록 7일 2회
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { sendSms } = require('./lib/solapi');
+const { resolveCheckinToken, findEmployeeByPhone } = require('./lib/checkin-token');
+const {
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_REQUEST_WINDOW_MINUTES,
+  OTP_REQUEST_LIMIT,
+  REBIND_WINDOW_DAYS,
+  REBIND_LIMIT,
+  sha256,
+  safeEqualHex,
+  generateOtp,
+  hashOtp,
+  generateCredentialSecret,
+  buildCredential,
+  describeDevice,
+} = require('./lib/device-binding');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*', // QR 체크인 페이지와 동일 (직원 휴대폰에서 접속)
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers: CORS, body: JSON.stringify(body) };
+}
+
+function clientIpOf(headers) {
+  const fwd = headers['x-forwarded-for'] || headers['X-Forwarded-For'] || '';
+  return fwd.split(',')[0].trim() || null;
+}
+
+// "01012345678" → "010-****-5678"
+function maskPhone(phone) {
+  return phone.replace(/^(\d{3})\d{3,4}(\d{4})$/, '$1-****-$2');
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: CORS, body: '' };
+  if (event.httpMethod !== 'POST') return resp(405, { success: false, error: 'POST만 허용' });
+
+  try {
+    const body = JSON.parse(event.body || '{}');
+
+    if (body.action === 'request-otp') return await requestOtp(body, event);
+    if (body.action === 'verify-otp') return await verifyOtp(body, event);
+
+    return resp(400, { success: false, error: 'action은 request-otp, verify-otp 중 하나' });
+  } catch (err) {
+    console.error('device-binding 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
+
+// ── 인증번호 발송 ──────────────────────────────────────────────
+async function requestOtp({ token, phoneNumber }, event) {
+  if (!token) return resp(400, { success: false, error: 'token 필수' });
+  if (!phoneNumber) return resp(400, { success: false, error: 'phoneNumber 필수' });
+
+  const resolved = await resolveCheckinToken(supabase, token);
+  if (resolved.error) {
+    const { statusCode, ...errBody } = resolved.error;
+    return resp(statusCode, { success: false, ...errBody });
+  }
+
+  const employee = await findEmployeeByPhone(supabase, resolved.companyId, phoneNumber);
+  if (!employee) return resp(404, { success: false, error: '등록되지 않은 전화번호입니다.' });
+
+  // 요청 횟수 제한 (SMS 폭탄 / 비용 남용 방지)
+  const windowStart = new Date(Date.now() - OTP_REQUEST_WINDOW_MINUTES * 60 * 1000).toISOString();
+  const { count: recent } = await supabase
+    .from('device_otp_requests')
+    .select('id', { count: 'exact', head: true })
+    .eq('employee_id', employee.id)
+    .gte('created_at', windowStart);
+
+  if ((recent || 0) >= OTP_REQUEST_LIMIT) {
+    return resp(429, { success: false, error: `인증번호 요청이 너무 많습니다. ${OTP_REQUEST_WINDOW_MINUTES}분 후 다시 시도해주세요.` });
+  }
+
+  const apiKey = process.env.SOLAPI_API_KEY;
+  const apiSecret = process.env.SOLAPI_API_SECRET;
+  const sender = process.env.SOLAPI_SENDER;
+  if (!apiKey || !apiSecret || !sender) {
+    return resp(500, { success: false, error: 'SMS 발송 설정이 되어 있지 않습니다. 관리자에게 문의해주세요.' });
+  }
+
+  const requestId = crypto.randomUUID();
+  const code = generateOtp();
+  const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000).toISOString();
+
+  const { error: insErr } = await supabase
+    .from('device_otp_requests')
+    .insert({
+      id:          requestId,
+      company_id:  resolved.companyId,
+      employee_id: employee.id,
+      code_hash:   hashOtp(requestId, code),
+      expires_at:  expiresAt,
+      attempts:    0,
+      client_ip:   clientIpOf(event.headers),
+    });
+  if (insErr) throw insErr;
+
+  try {
+    await sendSms({
+      to: employee.phone,
+      text: `[StaffManager] 출퇴근 기기 등록 인증번호 [${code}] (${OTP_TTL_MINUTES}분 이내 입력)`,
+      apiKey, apiSecret, sender,
+    });
+  } catch (smsErr) {
+    console.error('인증번호 SMS 발송 실패:', smsErr.message);
+    // 발송 실패한 요청은 바로 무효 처리
+    await supabase.from('device_otp_requests').update({ consumed_at: new Date().toISOString() }).eq('id', requestId);
+    return resp(502, { success: false, error: '인증번호 발송에 실패했습니다. 잠시 후 다시 시도해주세요.' });
+  }
+
+  return resp(200, {
+    success: true,
+    requestId,
+    expiresAt,
+    maskedPhone: maskPhone(employee.phone),
+    message: `${maskPhone(employee.phone)}로 인증번호를 보냈습니다.`,
+  });
+}
+
+// ── 인증번호 확인 → 기기 인증키 발급 ───────────────────────────
+async function verifyOtp({ requestId, code }, event) {
+  if (!requestId || !code) return resp(400, { success: false, error: 'requestId, code 필수' });
+
+  const { data: otp } = await supabase
+    .from('device_otp_requests')
+    .select('id, company_id, employee_id, code_hash, expires_at, attempts, consumed_at')
+    .eq('id', requestId)
+    .maybeSingle();
+
+  if (!otp || otp.consumed_at) {
+    return resp(400, { success: false, error: '인증번호를 다시 요청해주세요.' });
+  }
+  if (new Date(otp.expires_at) < new Date()) {
+    return resp(410, { success: false, error: '인증번호 유효시간이 지났습니다. 다시 요청해주세요.' });
+  }
+  if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+    return resp(429, { success: false, error: '인증번호 입력 횟수를 초과했습니다. 다시 요청해주세요.' });
+  }
+
+  if (!safeEqualHex(otp.code_hash, hashOtp(otp.id, String(code).trim()))) {
+    await supabase
+      .from('device_otp_requests')
+      .update({ attempts: otp.attempts + 1 })
+      .eq('id', otp.id);
+    const left = OTP_MAX_ATTEMPTS - otp.attempts - 1;
+    return resp(400, { success: false, error: `인증번호가 일치하지 않습니다. (남은 횟수 ${left}회)` });
+  }
+
+  // 재등록 제한 — 기기를 자주 바꾸는 것은 대리출근 신호
+  const rebindWindow = new Date(Date.now() - REBIND_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { count: recentBinds } = await supabase
+    .from('employee_devices')
+    .select('id', { count: 'exact', head: true })
+    .eq('employee_id', otp.employee_id)
+    .gte('bound_at', rebindWindow);
+
+  if ((recentBinds || 0) >= REBIND_LIMIT) {
+    return resp(429, {
+      success: false,
+      error: `최근 ${REBIND_WINDOW_DAYS}일 동안 기기 등록 가능 횟수(${REBIND_LIMIT}회)를 모두 사용했습니다. 관리자에게 문의해주세요.`,
+    });
+  }
+
+  const now = new Date().toISOString();
+
+  // 인증번호 사용 처리 (재사용 방지 — 동시 요청은 consumed_at 조건으로 한 번만 통과)
+  const { data: consumed } = await supabase
+    .from('device_otp_requests')
+    .update({ consumed_at: now })
+    .eq('id', otp.id)
+    .is('consumed_at', null)
+    .select('id');
+  if (!consumed || consumed.length === 0) {
+    return resp(400, { success: false, error: '인증번호를 다시 요청해주세요.' });
+  }
+
+  // 기존 등록 기기 해제 (직원당 1대)
+  await supabase
+    .from('employee_devices')
+    .update({ revoked_at: now, revoke_reason: 'rebind' })
+    .eq('employee_id', otp.employee_id)
+    .is('revoked_at', null);
+
+  const deviceId = crypto.randomUUID();
+  const secret = generateCredentialSecret();
+  const deviceLabel = describeDevice(event.headers['user-agent'] || event.headers['User-Agent']);
+
+  const { error: devErr } = await supabase
+    .from('employee_devices')
+    .insert({
+      id:              deviceId,
+      company_id:      otp.company_id,
+      employee_id:     otp.employee_id,
+      credential_hash: sha256(secret),
+      device_label:    deviceLabel,
+      bound_ip:        clientIpOf(event.headers),
+      bound_at:        now,
+    });
+  if (devErr) throw devErr;
+
+  const { data: emp } = await supabase
+    .from('employees')
+    .select('users:user_id ( name )')
+    .eq('id', otp.employee_id)
+    .maybeSingle();
+  const empUser = Array.isArray(emp?.users) ? emp.users[0] : emp?.users;
+
+  return resp(200, {
+    success: true,
+    deviceCredential: buildCredential(deviceId, secret),
+    deviceLabel,
+    employeeName: empUser?.name || '직원',
+    message: '이 휴대폰이 출퇴근 기기로 등록되었습니다.',
+  });
+}
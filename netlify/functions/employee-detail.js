@@ -64,7 +64,9 @@ exports.handler = async (event, context) => {
         break_time_minutes, weekly_holiday, work_location,
         contract_start_date, contract_end_date, probation_months,
         address, birth_date, bank_name, account_number,
+        dependents, tax_children, withholding_rate, resident_number_masked,
         status, created_at, updated_at,
+        kiosk_pin_hash, kiosk_pin_set_at, kiosk_pin_locked_until,
         users:user_id ( id, email, name, phone, role )
       `)
       .eq('id', employeeId)
@@ -101,7 +103,15 @@ exports.handler = async (event, context) => {
       probationMonths: employee.probation_months,
       address: employee.address, birthDate: employee.birth_date,
       bankName: employee.bank_name, accountNumber: employee.account_number,
+      // 원천징수 설정 (간이세액표 조회)
+      dependents: employee.dependents || 1, taxChildren: employee.tax_children || 0,
+      withholdingRate: employee.withholding_rate || 100,
+      // 주민등록번호는 마스킹 값만 (암호문은 조회하지 않음)
+      residentNumberMasked: employee.resident_number_masked || null,
       status: employee.status, createdAt: employee.created_at, updatedAt: employee.updated_at,
+      // 매장 키오스크 PIN (해시는 내려주지 않음)
+      kioskPinSet: !!employee.kiosk_pin_hash, kioskPinSetAt: employee.kiosk_pin_set_at,
+      kioskPinLockedUntil: employee.kiosk_pin_locked_until,
       contracts: (contracts || []).map(c => ({
         id: c.id, type: c.contract_type, status: c.status,
         documentId: c.ucansign_document_id, signedAt: c.signed_at, createdAt: c.created_at
@@ -0,0 +1,105 @@
+// netlify/functions/employee-devices.js
+// 직원 출퇴근 기기 관리 API (관리자) — 대리출근 방지용 기기 등록 현황
+// GET    → 등록 기기 목록   (?employeeId= 특정 직원, ?includeRevoked=true 해제된 기기 포함)
+// DELETE → 기기 등록 해제   (?id= 필수) — 해제된 기기로는 출퇴근 불가, 직원은 SMS 인증으로 재등록
+//
+// 기기 등록/인증 흐름은 device-binding.js, lib/device-binding.js 참고
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+
+  try {
+    if (event.httpMethod === 'GET') {
+      let query = supabase
+        .from('employee_devices')
+        .select(`
+          id, employee_id, device_label, bound_ip, bound_at, last_used_at, revoked_at, revoke_reason,
+          employees:employee_id ( id, department, users:user_id ( name, phone ) )
+        `)
+        .eq('company_id', user.companyId)
+        .order('bound_at', { ascending: false });
+
+      if (params.employeeId) query = query.eq('employee_id', params.employeeId);
+      if (params.includeRevoked !== 'true') query = query.is('revoked_at', null);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      const devices = (data || []).map(d => {
+        const emp = Array.isArray(d.employees) ? d.employees[0] : d.employees;
+        const empUser = Array.isArray(emp?.users) ? emp.users[0] : emp?.users;
+        return {
+          id: d.id,
+          employeeId: d.employee_id,
+          employeeName: empUser?.name || null,
+          department: emp?.department || null,
+          deviceLabel: d.device_label,
+          boundIp: d.bound_ip,
+          boundAt: d.bound_at,
+          lastUsedAt: d.last_used_at,
+          revokedAt: d.revoked_at,
+          revokeReason: d.revoke_reason,   // rebind(직원 재등록) | manager(관리자 해제)
+        };
+      });
+
+      return resp(200, { success: true, data: { devices, total: devices.length } });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (!params.id) return resp(400, { success: false, error: 'id 필수' });
+
+      const { data, error } = await supabase
+        .from('employee_devices')
+        .update({
+          revoked_at: new Date().toISOString(),
+          revoked_by: user.userId,
+          revoke_reason: 'manager',
+        })
+        .eq('id', params.id)
+        .eq('company_id', user.companyId)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) throw error;
+      if (!data || data.length === 0) return resp(404, { success: false, error: '등록된 기기를 찾을 수 없습니다' });
+
+      return resp(200, { success: true, message: '기기 등록이 해제되었습니다. 직원은 다음 출퇴근 시 SMS 인증으로 다시 등록해야 합니다.' });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('employee-devices 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
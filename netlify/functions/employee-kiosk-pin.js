@@ -0,0 +1,88 @@
+// netlify/functions/employee-kiosk-pin.js
+// 직원 키오스크 PIN 관리 API (관리자)
+// PUT    → PIN 등록/변경 { employeeId, pin } — 숫자 4~6자리, 잠금 해제 포함
+// DELETE → PIN 삭제 (?employeeId= 필수) — 삭제 후 키오스크 출퇴근 불가
+//
+// PIN 은 해시로만 저장 (lib/kiosk.js hashPin) — 분실 시 재등록
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { validatePin, hashPin } = require('./lib/kiosk');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'PUT, DELETE, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+
+  try {
+    if (event.httpMethod === 'PUT') {
+      const { employeeId, pin } = JSON.parse(event.body || '{}');
+      if (!employeeId) return resp(400, { success: false, error: 'employeeId 필수' });
+      const pinError = validatePin(pin);
+      if (pinError) return resp(400, { success: false, error: pinError });
+
+      const { data, error } = await supabase
+        .from('employees')
+        .update({
+          kiosk_pin_hash:         hashPin(pin),
+          kiosk_pin_set_at:       new Date().toISOString(),
+          kiosk_pin_failed_count: 0,
+          kiosk_pin_locked_until: null,
+        })
+        .eq('id', employeeId)
+        .eq('company_id', user.companyId)
+        .is('deleted_at', null)
+        .select('id');
+      if (error) throw error;
+      if (!data || data.length === 0) return resp(404, { success: false, error: '직원을 찾을 수 없습니다' });
+
+      return resp(200, { success: true, message: '키오스크 PIN이 등록되었습니다. 직원에게 직접 전달해주세요.' });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const { employeeId } = event.queryStringParameters || {};
+      if (!employeeId) return resp(400, { success: false, error: 'employeeId 필수' });
+
+      const { data, error } = await supabase
+        .from('employees')
+        .update({ kiosk_pin_hash: null, kiosk_pin_set_at: null, kiosk_pin_failed_count: 0, kiosk_pin_locked_until: null })
+        .eq('id', employeeId)
+        .eq('company_id', user.companyId)
+        .select('id');
+      if (error) throw error;
+      if (!data || data.length === 0) return resp(404, { success: false, error: '직원을 찾을 수 없습니다' });
+
+      return resp(200, { success: true, message: '키오스크 PIN이 삭제되었습니다' });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('employee-kiosk-pin 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
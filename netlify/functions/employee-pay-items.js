@@ -0,0 +1,227 @@
+// netlify/functions/employee-pay-items.js
+// 직원별 수당·공제 지정 API (관리자)
+// GET    → 직원의 지정 항목 목록 (?employeeId= 필수)
+// POST   → 지정 추가 { employeeId, payItemId, amount?(기본: 항목 기본 금액), startMonth, endMonth?, payMonth, memo, reason }
+//          정기 항목: startMonth ~ endMonth('YYYY-MM', 없으면 계속) / 일회성 항목: payMonth('YYYY-MM')
+// PUT    → 지정 수정 { id, amount?, startMonth?, endMonth?, payMonth?, memo?, reason }
+// DELETE → 지정 해제 (?id= 필수, ?reason=)
+//
+// 변경은 다음 급여 계산(재계산)부터 반영 — 감사 로그는 직원(employee) 이력으로 기록
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { RECURRENCE, validateAssignment, formatPayItem } = require('./lib/pay-items');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+};
+
+const SELECT = 'id, employee_id, pay_item_id, amount, start_month, end_month, pay_month, memo, created_at, updated_at, pay_items:pay_item_id ( * )';
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+function formatAssignment(row) {
+  const payItem = Array.isArray(row.pay_items) ? row.pay_items[0] : row.pay_items;
+  return {
+    id:         row.id,
+    employeeId: row.employee_id,
+    payItemId:  row.pay_item_id,
+    amount:     Number(row.amount) || 0,
+    startMonth: row.start_month,
+    endMonth:   row.end_month,
+    payMonth:   row.pay_month,
+    memo:       row.memo,
+    payItem:    payItem ? formatPayItem(payItem) : null,
+    createdAt:  row.created_at,
+  };
+}
+
+// 감사 로그용 — 항목명 포함
+function auditRow(row) {
+  if (!row) return null;
+  const payItem = Array.isArray(row.pay_items) ? row.pay_items[0] : row.pay_items;
+  const { pay_items, ...rest } = row;
+  return { ...rest, pay_item_name: payItem?.name || null };
+}
+
+// 일회성 항목은 지급 월만, 정기 항목은 적용 기간만 저장
+function periodColumns(payItem, input) {
+  return payItem.recurrence === RECURRENCE.ONE_OFF
+    ? { pay_month: input.payMonth, start_month: null, end_month: null }
+    : { pay_month: null, start_month: input.startMonth, end_month: input.endMonth || null };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+  const actor = auditActor(event, user);
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (!params.employeeId) return resp(400, { success: false, error: 'employeeId 필수' });
+      const { data, error } = await supabase
+        .from('employee_pay_items')
+        .select(SELECT)
+        .eq('company_id', user.companyId)
+        .eq('employee_id', params.employeeId)
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+
+      const assignments = (data || []).map(formatAssignment);
+      return resp(200, { success: true, data: { assignments, total: assignments.length } });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      if (!body.employeeId || !body.payItemId) return resp(400, { success: false, error: 'employeeId, payItemId 필수' });
+
+      const [{ data: employee }, { data: payItem }] = await Promise.all([
+        supabase.from('employees').select('id').eq('id', body.employeeId).eq('company_id', user.companyId).is('deleted_at', null).maybeSingle(),
+        supabase.from('pay_items').select('*').eq('id', body.payItemId).eq('company_id', user.companyId).eq('is_active', true).maybeSingle(),
+      ]);
+      if (!employee) return resp(404, { success: false, error: '직원을 찾을 수 없습니다' });
+      if (!payItem) return resp(404, { success: false, error: '수당·공제 항목을 찾을 수 없습니다' });
+
+      const input = { ...body, amount: body.amount ?? payItem.default_amount ?? 0 };
+      const invalid = validateAssignment(input, payItem);
+      if (invalid) return resp(400, { success: false, error: invalid });
+
+      const { data, error } = await supabase
+        .from('employee_pay_items')
+        .insert({
+          company_id:  user.companyId,
+          employee_id: employee.id,
+          pay_item_id: payItem.id,
+          amount:      Number(input.amount),
+          ...periodColumns(payItem, input),
+          memo:        body.memo ? String(body.memo).slice(0, 200) : null,
+          created_by:  user.userId,
+        })
+        .select(SELECT)
+        .single();
+      if (error) throw error;
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.EMPLOYEE,
+        entityId:   employee.id,
+        action:     AUDIT_ACTION.CREATE,
+        after:      auditRow(data),
+        reason:     body.reason,
+        source:     'employee-pay-items',
+      });
+
+      return resp(201, { success: true, data: formatAssignment(data), message: `${payItem.name} 항목이 지정되었습니다` });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const body = JSON.parse(event.body || '{}');
+      if (!body.id) return resp(400, { success: false, error: 'id 필수' });
+
+      const { data: before } = await supabase
+        .from('employee_pay_items')
+        .select(SELECT)
+        .eq('id', body.id)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!before) return resp(404, { success: false, error: '지정 항목을 찾을 수 없습니다' });
+      const payItem = Array.isArray(before.pay_items) ? before.pay_items[0] : before.pay_items;
+
+      const input = {
+        amount:     body.amount ?? before.amount,
+        startMonth: body.startMonth ?? before.start_month,
+        endMonth:   body.endMonth !== undefined ? body.endMonth : before.end_month,
+        payMonth:   body.payMonth ?? before.pay_month,
+      };
+      const invalid = validateAssignment(input, payItem);
+      if (invalid) return resp(400, { success: false, error: invalid });
+
+      const updates = {
+        amount:     Number(input.amount),
+        ...periodColumns(payItem, input),
+        updated_at: new Date().toISOString(),
+      };
+      if (body.memo !== undefined) updates.memo = body.memo ? String(body.memo).slice(0, 200) : null;
+
+      const { data, error } = await supabase
+        .from('employee_pay_items')
+        .update(updates)
+        .eq('id', body.id)
+        .eq('company_id', user.companyId)
+        .select(SELECT)
+        .single();
+      if (error) throw error;
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.EMPLOYEE,
+        entityId:   data.employee_id,
+        action:     AUDIT_ACTION.UPDATE,
+        before:     auditRow(before),
+        after:      auditRow(data),
+        reason:     body.reason,
+        source:     'employee-pay-items',
+      });
+
+      return resp(200, { success: true, data: formatAssignment(data), message: '지정 항목이 수정되었습니다. 다음 급여 계산부터 반영됩니다.' });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (!params.id) return resp(400, { success: false, error: 'id 필수' });
+
+      const { data: before } = await supabase
+        .from('employee_pay_items')
+        .select(SELECT)
+        .eq('id', params.id)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!before) return resp(404, { success: false, error: '지정 항목을 찾을 수 없습니다' });
+
+      const { error } = await supabase
+        .from('employee_pay_items')
+        .delete()
+        .eq('id', params.id)
+        .eq('company_id', user.companyId);
+      if (error) throw error;
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.EMPLOYEE,
+        entityId:   before.employee_id,
+        action:     AUDIT_ACTION.DELETE,
+        before:     auditRow(before),
+        reason:     params.reason,
+        source:     'employee-pay-items',
+      });
+
+      return resp(200, { success: true, message: '지정 항목이 해제되었습니다. 이미 계산된 급여에는 영향이 없습니다.' });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('employee-pay-items 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
@@ -6,6 +6,9 @@
 const { verifyToken, handleCors, successResponse, errorResponse } = require('./lib/auth');
 const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { WORK_TYPE } = require('./lib/daily-worker');
+const { recordHireFiling, formatFiling } = require('./lib/insurance-filing');
 
 function getSupabaseClient() {
   const url = process.env.SUPABASE_URL;
@@ -45,6 +48,7 @@ exports.handler = async (event) => {
       position,
       status = 'active',
       // 근무 조건
+      workType,
       workStartTime = '09:00',
       workEndTime = '18:00',
       breakTimeMinutes = 60,
@@ -79,6 +83,12 @@ exports.handler = async (event) => {
     if (!salaryType) {
       return errorResponse('급여 유형을 선택해주세요', 400, cors.headers);
     }
+    if (workType && !Object.values(WORK_TYPE).includes(workType)) {
+      return errorResponse('근무 형태는 ' + Object.values(WORK_TYPE).join(', ') + ' 중 하나여야 합니다', 400, cors.headers);
+    }
+    if (workType === WORK_TYPE.DAILY && !['daily', 'hourly'].includes(salaryType)) {
+      return errorResponse('일용직은 급여 형태를 일급 또는 시급으로 지정해주세요', 400, cors.headers);
+    }
 
     const supabase = getSupabaseClient();
 
@@ -145,6 +155,7 @@ exports.handler = async (event) => {
       hire_date: hireDate,
       status: status,
       salary_type: salaryType,
+      work_type: workType || null, // full_time | part_time | contract | daily (일용직은 일별 원천징수) | freelancer (급여 계산 제외)
       base_salary: baseSalary,
       monthly_wage: monthlyWageVal,
       annual_salary: annualSalaryVal,
@@ -152,6 +163,7 @@ exports.handler = async (event) => {
       work_end_time: workEndTime,
       break_time_minutes: breakTimeMinutes,
       weekly_holiday: weeklyHoliday,
+      work_days: workDays || '월,화,수,목,금', // 근무 요일 (주휴수당 개근 판정용)
       work_location: workLocation || null,
       contract_start_date: contractStartDate || hireDate,
       contract_end_date: contractEndDate || null,
@@ -175,7 +187,20 @@ exports.handler = async (event) => {
       return errorResponse('직원 정보 저장 실패: ' + employeeError.message, 500, cors.headers);
     }
 
-    // 8. 성공 응답
+    // 8. 감사 로그 (계정 비밀번호 제외)
+    await recordAudit(supabase, auditActor(event, tokenData), {
+      companyId,
+      entityType: AUDIT_ENTITY.EMPLOYEE,
+      entityId:   newEmployee.id,
+      action:     AUDIT_ACTION.CREATE,
+      after:      { ...newEmployee, name: newUser.name, phone: newUser.phone, email: newUser.email },
+      source:     'employees-create',
+    });
+
+    // 9. 4대보험 자격취득 신고 대상 (일용직·프리랜서 제외, lib/insurance-filing.js)
+    const insuranceFiling = await recordHireFiling(supabase, { companyId, employee: newEmployee });
+
+    // 10. 성공 응답
     return {
       statusCode: 201,
       headers: cors.headers,
@@ -196,6 +221,7 @@ exports.handler = async (event) => {
             baseSalary: baseSalary,
             status: status
           },
+          insuranceFiling: insuranceFiling ? formatFiling(insuranceFiling) : null,
           message: '직원이 등록되었습니다.'
         }
       })
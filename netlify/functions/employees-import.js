@@ -7,6 +7,7 @@
 const { verifyToken, handleCors, errorResponse } = require('./lib/auth');
 const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
+const { recordHireFiling } = require('./lib/insurance-filing');
 
 function getSupabaseClient() {
   const url = process.env.SUPABASE_URL;
@@ -112,7 +113,7 @@ exports.handler = async (event) => {
         if (salaryType === 'annual' || salaryType === '연봉') annualSalary = baseSalary;
 
         // employees 생성
-        const { error: empErr } = await supabase
+        const { data: newEmployee, error: empErr } = await supabase
           .from('employees')
           .insert({
             user_id: newUser.id,
@@ -133,7 +134,9 @@ exports.handler = async (event) => {
             birth_date: emp.birthDate || emp.생년월일 || null,
             bank_name: emp.bankName || emp.은행 || null,
             account_number: emp.accountNumber || emp.계좌번호 || null,
-          });
+          })
+          .select()
+          .single();
 
         if (empErr) {
           // 롤백 user
@@ -142,6 +145,9 @@ exports.handler = async (event) => {
           continue;
         }
 
+        // 4대보험 자격취득 신고 대상
+        await recordHireFiling(supabase, { companyId, employee: newEmployee });
+
         // 중복 방지용 set에 추가
         existingPhones.add(cleanPhone);
         existingEmails.add(email);
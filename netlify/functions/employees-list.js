@@ -36,7 +36,7 @@ exports.handler = async (event) => {
       .from('employees')
       .select(`
         id, employee_number, department, position, job_title,
-        hire_date, resign_date, status, salary_type,
+        hire_date, resign_date, status, salary_type, work_type,
         base_salary, monthly_wage, annual_salary,
         work_start_time, work_end_time, break_time_minutes,
         weekly_holiday, work_location, address, birth_date,
@@ -70,6 +70,11 @@ exports.handler = async (event) => {
       query = query.eq('department', params.department);
     }
 
+    // 근무 형태 필터 (프리랜서 지급 화면 등)
+    if (params.workType) {
+      query = query.eq('work_type', params.workType);
+    }
+
     const { data, error } = await query;
     if (error) {
       console.error('employees-list DB 오류:', error);
@@ -92,6 +97,7 @@ exports.handler = async (event) => {
         resignDate: emp.resign_date,
         status: emp.status,
         salaryType: emp.salary_type,
+        workType: emp.work_type,
         baseSalary: emp.base_salary,
         monthlyWage: emp.monthly_wage,
         annualSalary: emp.annual_salary,
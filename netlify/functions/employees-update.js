@@ -1,11 +1,17 @@
 // ===============================================
 // 직원 정보 수정 API
 // PUT /.netlify/functions/employees-update
-// Body: { employeeId, ...fields }
+// Body: { employeeId, ...fields, reason }
+// 변경 전/후 값은 감사 로그에 기록 (lib/audit-log.js)
 // ===============================================
 
 const { verifyToken, handleCors, errorResponse } = require('./lib/auth');
 const { createClient } = require('@supabase/supabase-js');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { WORK_TYPE } = require('./lib/daily-worker');
+const { validateWithholdingSettings } = require('./lib/income-tax-table');
+const { residentNumberUpdate } = require('./lib/resident-number');
+const { syncEmployeeFilings, formatFiling } = require('./lib/insurance-filing');
 
 function getSupabaseClient() {
   const url = process.env.SUPABASE_URL;
@@ -38,7 +44,7 @@ exports.handler = async (event) => {
     // 직원 존재 여부 확인
     const { data: emp, error: fetchErr } = await supabase
       .from('employees')
-      .select('id, user_id')
+      .select('*, users:user_id ( name, phone, email )')
       .eq('id', employeeId)
       .eq('company_id', companyId)
       .single();
@@ -79,6 +85,12 @@ exports.handler = async (event) => {
     // ✅ 사업장 변경 필드 추가 (null 허용 - 미배정 처리)
     if (body.businessId !== undefined) empUpdate.business_id = body.businessId || null;
     if (body.salaryType !== undefined) empUpdate.salary_type = body.salaryType;
+    if (body.workType !== undefined) {
+      if (body.workType && !Object.values(WORK_TYPE).includes(body.workType)) {
+        return errorResponse('근무 형태는 ' + Object.values(WORK_TYPE).join(', ') + ' 중 하나여야 합니다.', 400, cors.headers);
+      }
+      empUpdate.work_type = body.workType || null;
+    }
     if (body.baseSalary !== undefined) empUpdate.base_salary = body.baseSalary;
     if (body.monthlyWage !== undefined) empUpdate.monthly_wage = body.monthlyWage;
     if (body.annualSalary !== undefined) empUpdate.annual_salary = body.annualSalary;
@@ -86,6 +98,8 @@ exports.handler = async (event) => {
     if (body.workEndTime !== undefined) empUpdate.work_end_time = body.workEndTime;
     if (body.breakTimeMinutes !== undefined) empUpdate.break_time_minutes = body.breakTimeMinutes;
     if (body.weeklyHoliday !== undefined) empUpdate.weekly_holiday = body.weeklyHoliday;
+    if (body.workDays !== undefined) empUpdate.work_days = body.workDays;
+    if (body.weeklyContractHours !== undefined) empUpdate.weekly_contract_hours = body.weeklyContractHours;
     if (body.workLocation !== undefined) empUpdate.work_location = body.workLocation;
     if (body.contractStartDate !== undefined) empUpdate.contract_start_date = body.contractStartDate;
     if (body.contractEndDate !== undefined) empUpdate.contract_end_date = body.contractEndDate;
@@ -95,6 +109,23 @@ exports.handler = async (event) => {
     if (body.bankName !== undefined) empUpdate.bank_name = body.bankName;
     if (body.accountNumber !== undefined) empUpdate.account_number = body.accountNumber;
 
+    // 원천징수 설정 (공제대상가족 수 · 8~20세 자녀 수 · 80/100/120% 선택)
+    const withholding = validateWithholdingSettings(body, emp);
+    if (withholding.error) return errorResponse(withholding.error.error, withholding.error.statusCode, cors.headers);
+    Object.assign(empUpdate, withholding.values);
+
+    // 주민등록번호 (암호화 저장, lib/resident-number.js) — 원천세 신고·지급명세서용
+    const residentNumber = residentNumberUpdate(body);
+    if (residentNumber.error) return errorResponse(residentNumber.error.error, residentNumber.error.statusCode, cors.headers);
+    Object.assign(empUpdate, residentNumber.values);
+
+    // 일용직은 일급·시급제만 (일별 원천징수, lib/daily-worker.js)
+    const nextWorkType = empUpdate.work_type !== undefined ? empUpdate.work_type : emp.work_type;
+    const nextSalaryType = empUpdate.salary_type !== undefined ? empUpdate.salary_type : emp.salary_type;
+    if (nextWorkType === WORK_TYPE.DAILY && !['daily', 'hourly'].includes(nextSalaryType)) {
+      return errorResponse('일용직은 급여 형태를 일급 또는 시급으로 지정해주세요.', 400, cors.headers);
+    }
+
     if (Object.keys(empUpdate).length > 0) {
       const { error: empErr } = await supabase
         .from('employees')
@@ -107,16 +138,40 @@ exports.handler = async (event) => {
       }
     }
 
+    // 퇴사일·기본급 변경 → 4대보험 상실·보수월액 변경 신고 대상 (lib/insurance-filing.js)
+    const insuranceFilings = Object.keys(empUpdate).length > 0
+      ? await syncEmployeeFilings(supabase, { companyId, before: emp, after: { ...emp, ...empUpdate } })
+      : [];
+
     if (Object.keys(userUpdate).length === 0 && Object.keys(empUpdate).length === 0) {
       return errorResponse('업데이트할 정보가 없습니다.', 400, cors.headers);
     }
 
+    // 요청한 필드만 변경 전/후 비교
+    const empUser = (Array.isArray(emp.users) ? emp.users[0] : emp.users) || {};
+    const changed = { ...userUpdate, ...empUpdate };
+    delete changed.resident_number_enc; // 암호문은 감사 로그에 남기지 않음 (마스킹 값으로 추적)
+    const before = Object.fromEntries(Object.keys(changed).map(k => [k, k in userUpdate ? empUser[k] : emp[k]]));
+    await recordAudit(supabase, auditActor(event, tokenData), {
+      companyId,
+      entityType: AUDIT_ENTITY.EMPLOYEE,
+      entityId:   employeeId,
+      action:     AUDIT_ACTION.UPDATE,
+      before,
+      after:      changed,
+      reason:     body.reason,
+      source:     'employees-update',
+    });
+
     return {
       statusCode: 200,
       headers: cors.headers,
       body: JSON.stringify({
         success: true,
-        data: { message: '직원 정보가 성공적으로 업데이트되었습니다.' }
+        data: {
+          message: '직원 정보가 성공적으로 업데이트되었습니다.',
+          insuranceFilings: insuranceFilings.map(f => formatFiling(f)),
+        }
       })
     };
 
@@ -0,0 +1,72 @@
+// netlify/functions/holidays-list.js
+// 휴일 캘린더 조회 API (캘린더 화면 + 급여 화면 공용)
+//
+// GET /.netlify/functions/holidays-list?year=2026&month=9&businessId=xxx
+//   → 법정공휴일 + 대체공휴일 + 근로자의날 + 정부지정일(선거일 등) + 회사/사업장 약정휴일
+//   → month 생략 시 연간 목록
+//   Response: { success, data: { holidays: [{ date, name, type, id?, businessId? }] } }
+//   type: public | lunar | substitute | labor | election | temporary | company
+
+const { verifyToken } = require('./lib/auth');
+const { createClient } = require('@supabase/supabase-js');
+const { loadHolidayCalendar } = require('./lib/holidays');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const headers = {
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET') return resp(405, { success: false, error: 'GET 메서드만 허용됩니다' });
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    let userInfo;
+    try { userInfo = verifyToken(authHeader); } catch {
+      return resp(401, { success: false, error: '인증에 실패했습니다. 다시 로그인해주세요.' });
+    }
+
+    const params = event.queryStringParameters || {};
+    const year = parseInt(params.year, 10) || new Date().getFullYear();
+    const month = params.month ? parseInt(params.month, 10) : null;
+    const businessId = params.businessId || params.business_id || null;
+
+    if (month !== null && (month < 1 || month > 12)) {
+      return resp(400, { success: false, error: 'month는 1~12 사이여야 합니다' });
+    }
+
+    // 조회 기간 (YYYY-MM-DD, KST 날짜 키)
+    const mm = String(month || 1).padStart(2, '0');
+    const from = month ? `${year}-${mm}-01` : `${year}-01-01`;
+    const lastDay = month ? new Date(Date.UTC(year, month, 0)).getUTCDate() : 31;
+    const to = month ? `${year}-${mm}-${String(lastDay).padStart(2, '0')}` : `${year}-12-31`;
+
+    const calendar = await loadHolidayCalendar(supabase, {
+      companyId: userInfo.companyId,
+      businessId,
+      from,
+      to,
+    });
+
+    return resp(200, {
+      success: true,
+      data: { year, month, holidays: calendar.listBetween(from, to) },
+    });
+
+  } catch (err) {
+    console.error('holidays-list 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
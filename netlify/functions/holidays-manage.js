@@ -0,0 +1,129 @@
+// netlify/functions/holidays-manage.js
+// 회사/사업장 약정휴일 등록 / 삭제 API (창립기념일, 노사 합의 휴무일 등)
+// POST   → 신규 등록  Body: { holidayDate: 'YYYY-MM-DD', name, businessId? }
+//          businessId 생략 시 회사 전체 사업장 공통 휴일
+// DELETE → 삭제       (?id= 쿼리스트링 필수)
+//
+// ※ 약정휴일에 근무하면 휴일근로 가산수당 대상 (calculate-payroll.js에서 반영)
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { getStatutoryHolidays } = require('./lib/holidays');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, DELETE, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+function getSupabase() {
+  return createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    const tokenData = verifyToken(authHeader);
+    const { companyId, userId, role } = tokenData;
+
+    // owner / manager 만 허용
+    if (!['owner', 'manager'].includes(role)) {
+      return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+    }
+
+    const supabase = getSupabase();
+    const method = event.httpMethod;
+
+    // ── POST: 약정휴일 등록 ──────────────────────────────
+    if (method === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      const { holidayDate, name, businessId } = body;
+
+      if (!holidayDate || !/^\d{4}-\d{2}-\d{2}$/.test(holidayDate)) {
+        return resp(400, { success: false, error: '휴일 날짜를 YYYY-MM-DD 형식으로 입력해주세요' });
+      }
+      if (!name || !name.trim()) return resp(400, { success: false, error: '휴일 이름을 입력해주세요' });
+
+      // 법정 휴일과 같은 날은 등록 불필요 (이미 휴일)
+      const statutory = getStatutoryHolidays(parseInt(holidayDate.slice(0, 4), 10))
+        .find(h => h.date === holidayDate);
+      if (statutory) {
+        return resp(409, { success: false, error: `이미 법정 휴일입니다 (${statutory.name})` });
+      }
+
+      // 사업장이 이 회사 소속인지 확인 (타 회사 사업장 지정 방지)
+      if (businessId) {
+        const { data: biz } = await supabase
+          .from('businesses')
+          .select('id')
+          .eq('id', businessId)
+          .eq('company_id', companyId)
+          .maybeSingle();
+        if (!biz) return resp(404, { success: false, error: '등록되지 않은 사업장입니다' });
+      }
+
+      const { data: record, error: insertErr } = await supabase
+        .from('company_holidays')
+        .insert({
+          company_id:   companyId,
+          business_id:  businessId || null,
+          holiday_date: holidayDate,
+          name:         name.trim(),
+          created_by:   userId,
+        })
+        .select()
+        .single();
+
+      if (insertErr) {
+        console.error('약정휴일 등록 오류:', insertErr);
+        return resp(500, { success: false, error: '등록 실패: ' + insertErr.message });
+      }
+
+      return resp(201, { success: true, data: record });
+    }
+
+    // ── DELETE: 약정휴일 삭제 ────────────────────────────
+    if (method === 'DELETE') {
+      const id = event.queryStringParameters?.id;
+      if (!id) return resp(400, { success: false, error: '삭제할 휴일 ID가 필요합니다' });
+
+      const { data: deleted, error: deleteErr } = await supabase
+        .from('company_holidays')
+        .delete()
+        .eq('id', id)
+        .eq('company_id', companyId)
+        .select('id');
+
+      if (deleteErr) {
+        console.error('약정휴일 삭제 오류:', deleteErr);
+        return resp(500, { success: false, error: '삭제 실패: ' + deleteErr.message });
+      }
+      if (!deleted || deleted.length === 0) {
+        return resp(404, { success: false, error: '삭제할 휴일을 찾을 수 없습니다' });
+      }
+
+      return resp(200, { success: true, message: '삭제되었습니다' });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+
+  } catch (err) {
+    console.error('holidays-manage 오류:', err.message);
+    if (err.message.includes('인증') || err.message.includes('토큰') || err.message.includes('만료')) {
+      return resp(401, { success: false, error: err.message });
+    }
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
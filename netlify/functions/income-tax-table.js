@@ -0,0 +1,98 @@
+// netlify/functions/income-tax-table.js
+// 근로소득 간이세액표 API (관리자) — 국세청 엑셀 가져오기, 적용 중인 표 현황
+// GET  ?year=                      → 귀속 연도에 적용되는 표 (회사 표 → 공통 표, 해당 연도 이하 최신)
+// POST { year, rows, reason? }      → 엑셀 시트(SheetJS header:1 배열)를 회사 표로 적재 (owner만, 같은 연도 표 교체)
+//
+// 파싱·조회 규칙은 lib/income-tax-table.js, 급여 계산 적용은 calculate-payroll.js
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { parseTaxTableSheet, importTaxTable, loadTaxTableStatus } = require('./lib/income-tax-table');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+function validYear(value) {
+  const year = parseInt(value, 10);
+  return year >= 2000 && year <= 2100 ? year : null;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const year = validYear(params.year) || new Date().getFullYear();
+      const status = await loadTaxTableStatus(supabase, { year, companyId: user.companyId });
+      return resp(200, { success: true, data: status });
+    }
+
+    if (event.httpMethod === 'POST') {
+      // 세액표 교체는 전 직원 원천징수에 영향 — 대표만
+      if (user.role !== 'owner') {
+        return resp(403, { success: false, error: '간이세액표 등록은 owner만 가능합니다' });
+      }
+      const body = JSON.parse(event.body || '{}');
+      const year = validYear(body.year);
+      if (!year) return resp(400, { success: false, error: '적용 연도(year)를 입력해주세요' });
+
+      const parsed = parseTaxTableSheet(body.rows);
+      if (parsed.error) {
+        const { statusCode, ...rest } = parsed.error;
+        return resp(statusCode, { success: false, ...rest });
+      }
+
+      const before = await loadTaxTableStatus(supabase, { year, companyId: user.companyId });
+      const result = await importTaxTable(supabase, { year, companyId: user.companyId, ranges: parsed.ranges });
+      const after = await loadTaxTableStatus(supabase, { year, companyId: user.companyId });
+
+      await recordAudit(supabase, auditActor(event, user), {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.SETTINGS,
+        entityId:   user.companyId,
+        action:     AUDIT_ACTION.UPDATE,
+        before:     { income_tax_table: before },
+        after:      { income_tax_table: after },
+        reason:     body.reason || `${year}년 근로소득 간이세액표 등록`,
+        source:     'income-tax-table',
+      });
+
+      return resp(200, {
+        success: true,
+        data: after,
+        message: `${year}년 간이세액표 ${result.ranges}개 구간(${result.rows}행)을 등록했습니다.`,
+      });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('income-tax-table 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
@@ -0,0 +1,365 @@
+// netlify/functions/insurance-filings.js
+// 4대보험 신고 API (관리자) — 자격취득·상실·보수월액 변경 신고 대상, 기한, EDI 파일, 신고 완료 처리
+// GET   ?status=pending|done|cancelled|all [&type=]        → 신고 대상 목록 (기한 순) + 요약 (미신고 · 기한 임박 · 기한 경과)
+// GET   ?id=                                              → 1건
+// PUT   { id, eventDate?, reasonCode?, reasonDetail?, monthlyWage?, previousMonthlyWage?, coverage?, reason? }
+//                                                         → 신고 전 건 수정 (취득·상실일을 바꾸면 기한 다시 계산)
+// POST  { action: 'create', employeeId, type, eventDate, ... } → 수동 등록 (직원 화면 밖에서 생긴 이벤트)
+// POST  { action: 'file', ids }                           → EDI 파일 다운로드 (같은 신고 종류만, 점검 오류는 422 + issues)
+// POST  { action: 'complete', ids, receiptNumber?, submittedDate? } → 신고 완료 처리
+// POST  { action: 'cancel', id, reason }                  → 신고 불필요 처리
+//
+// 신고 대상은 직원 등록·수정 때 자동으로 생김 — 규칙은 lib/insurance-filing.js
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { decryptResidentNumber } = require('./lib/resident-number');
+const { getContractedWeeklyHours } = require('./lib/weekly-holiday');
+const {
+  FILING_TYPE,
+  FILING_STATUS,
+  kstToday,
+  filingDeadlines,
+  buildFiling,
+  validateFilingInput,
+  upsertPendingFiling,
+  validateFilingsForFile,
+  buildFilingFile,
+  formatFiling,
+} = require('./lib/insurance-filing');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+const SELECT = '*, employees( id, name, resident_number_masked )';
+
+// 상실 신고 보수총액 — 당해·전년도 과세 급여와 근무 월수
+async function loadWageTotals(supabase, employeeId, lossDate) {
+  const year = Number(String(lossDate).slice(0, 4));
+  const { data, error } = await supabase
+    .from('payrolls')
+    .select('year, month, taxable_income')
+    .eq('employee_id', employeeId)
+    .in('year', [year - 1, year]);
+  if (error) throw error;
+  const totals = { currentYearWage: 0, currentYearMonths: 0, previousYearWage: 0, previousYearMonths: 0 };
+  for (const p of data || []) {
+    const key = p.year === year ? 'currentYear' : 'previousYear';
+    totals[`${key}Wage`] += Number(p.taxable_income) || 0;
+    totals[`${key}Months`] += 1;
+  }
+  return totals;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+  const actor = auditActor(event, user);
+  const now = () => new Date().toISOString();
+  const audit = (entityId, action, before, after, reason) => recordAudit(supabase, actor, {
+    companyId:  user.companyId,
+    entityType: AUDIT_ENTITY.INSURANCE_FILING,
+    entityId,
+    action,
+    before,
+    after,
+    reason,
+    source:     'insurance-filings',
+  });
+
+  async function loadFiling(id) {
+    const { data, error } = await supabase
+      .from('insurance_filings')
+      .select(SELECT)
+      .eq('id', id)
+      .eq('company_id', user.companyId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async function loadFilings(ids) {
+    const { data, error } = await supabase
+      .from('insurance_filings')
+      .select(SELECT)
+      .eq('company_id', user.companyId)
+      .in('id', ids);
+    if (error) throw error;
+    return data || [];
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (params.id) {
+        const row = await loadFiling(params.id);
+        if (!row) return resp(404, { success: false, error: '신고 건을 찾을 수 없습니다' });
+        return resp(200, { success: true, data: formatFiling(row) });
+      }
+
+      const status = params.status || FILING_STATUS.PENDING;
+      let query = supabase
+        .from('insurance_filings')
+        .select(SELECT)
+        .eq('company_id', user.companyId)
+        .order('due_date', { ascending: true });
+      if (status !== 'all') query = query.eq('status', status);
+      if (params.type) query = query.eq('filing_type', params.type);
+      const { data, error } = await query;
+      if (error) throw error;
+
+      const today = kstToday();
+      const filings = (data || []).map(row => formatFiling(row, today));
+      const pending = filings.filter(f => f.status === FILING_STATUS.PENDING);
+      return resp(200, {
+        success: true,
+        data: {
+          filings,
+          summary: {
+            pending: pending.length,
+            dueSoon: pending.filter(f => f.dueSoon).length,
+            overdue: pending.filter(f => f.overdue).length,
+            nextDueDate: pending[0]?.dueDate || null,
+          },
+        },
+      });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const body = JSON.parse(event.body || '{}');
+      if (!body.id) return resp(400, { success: false, error: 'id 필수' });
+      const row = await loadFiling(body.id);
+      if (!row) return resp(404, { success: false, error: '신고 건을 찾을 수 없습니다' });
+      if (row.status !== FILING_STATUS.PENDING) return resp(409, { success: false, error: '신고 전 건만 수정할 수 있습니다' });
+
+      const validated = validateFilingInput(body, row.filing_type);
+      if (validated.error) {
+        const { statusCode, ...rest } = validated.error;
+        return resp(statusCode, { success: false, ...rest });
+      }
+      const update = { ...validated.values, updated_at: now() };
+      const eventDate = update.event_date || row.event_date;
+      const coverage = update.coverage || row.coverage || {};
+      if (update.event_date || update.coverage) {
+        const { deadlines, dueDate } = filingDeadlines(row.filing_type, eventDate, coverage);
+        update.deadlines = deadlines;
+        update.due_date = dueDate;
+      }
+
+      const { data: saved, error } = await supabase
+        .from('insurance_filings')
+        .update(update)
+        .eq('id', row.id)
+        .select(SELECT)
+        .single();
+      if (error) throw error;
+      const { employees: _e, ...before } = row;
+      await audit(row.id, AUDIT_ACTION.UPDATE, before, update, body.reason);
+      return resp(200, { success: true, data: formatFiling(saved) });
+    }
+
+    if (event.httpMethod !== 'POST') return resp(405, { success: false, error: '허용되지 않는 메서드' });
+
+    const body = JSON.parse(event.body || '{}');
+
+    if (body.action === 'create') {
+      if (!Object.values(FILING_TYPE).includes(body.type)) {
+        return resp(400, { success: false, error: 'type은 ' + Object.values(FILING_TYPE).join(', ') + ' 중 하나여야 합니다.' });
+      }
+      const validated = validateFilingInput(body, body.type);
+      if (validated.error) {
+        const { statusCode, ...rest } = validated.error;
+        return resp(statusCode, { success: false, ...rest });
+      }
+      if (!validated.values.event_date) return resp(400, { success: false, error: 'eventDate 필수' });
+
+      const { data: employee } = await supabase
+        .from('employees')
+        .select('*')
+        .eq('id', body.employeeId)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!employee) return resp(404, { success: false, error: '직원을 찾을 수 없습니다' });
+      if (!buildFiling({ employee, type: body.type, eventDate: validated.values.event_date })) {
+        return resp(400, { success: false, error: '일용직·프리랜서는 4대보험 사업장 신고 대상이 아닙니다' });
+      }
+
+      const created = await upsertPendingFiling(supabase, {
+        companyId: user.companyId, employee, type: body.type, eventDate: validated.values.event_date,
+        monthlyWage: validated.values.monthly_wage, previousMonthlyWage: validated.values.previous_monthly_wage,
+      });
+      const extra = { ...validated.values };
+      delete extra.event_date;
+      delete extra.monthly_wage;
+      delete extra.previous_monthly_wage;
+      let saved = created;
+      if (Object.keys(extra).length) {
+        const { data, error } = await supabase
+          .from('insurance_filings')
+          .update({ ...extra, updated_at: now() })
+          .eq('id', created.id)
+          .select('*')
+          .single();
+        if (error) throw error;
+        saved = data;
+      }
+      await audit(saved.id, AUDIT_ACTION.CREATE, null, saved, body.reason);
+      return resp(200, { success: true, data: formatFiling({ ...saved, employees: employee }) });
+    }
+
+    if (body.action === 'file') {
+      const ids = Array.isArray(body.ids) ? body.ids : [];
+      if (!ids.length) return resp(400, { success: false, error: 'ids 필수' });
+      const filings = await loadFilings(ids);
+      if (filings.length !== ids.length) return resp(404, { success: false, error: '신고 건을 찾을 수 없습니다' });
+      if (filings.some(f => f.status !== FILING_STATUS.PENDING)) {
+        return resp(409, { success: false, error: '신고 전 건만 파일로 만들 수 있습니다' });
+      }
+      const type = filings[0].filing_type;
+      if (filings.some(f => f.filing_type !== type)) {
+        return resp(400, { success: false, error: '같은 신고 종류(취득·상실·보수월액 변경)끼리 선택해주세요' });
+      }
+
+      const { data: company, error: companyErr } = await supabase
+        .from('companies')
+        .select('id, company_name, representative_name, business_number')
+        .eq('id', user.companyId)
+        .single();
+      if (companyErr) throw companyErr;
+
+      const issues = validateFilingsForFile(company, filings);
+      if (issues.length) return resp(422, { success: false, error: '신고 전 점검에서 오류가 있습니다', issues });
+
+      const { data: employees, error: empErr } = await supabase
+        .from('employees')
+        .select('id, name, resident_number_enc, weekly_contract_hours, work_start_time, work_end_time, break_time_minutes, work_days')
+        .eq('company_id', user.companyId)
+        .in('id', filings.map(f => f.employee_id));
+      if (empErr) throw empErr;
+      const byId = new Map((employees || []).map(e => [e.id, e]));
+
+      const rows = [];
+      for (const filing of filings) {
+        const emp = byId.get(filing.employee_id) || {};
+        const residentNumber = decryptResidentNumber(emp.resident_number_enc);
+        if (!residentNumber) {
+          issues.push({
+            type: 'INVALID_RESIDENT_NUMBER', severity: 'error', employeeId: filing.employee_id, name: emp.name || '',
+            message: `${emp.name || '이름 없음'} — 저장된 주민등록번호를 읽을 수 없습니다 (직원 상세에서 다시 입력)`,
+          });
+          continue;
+        }
+        rows.push({
+          filing,
+          name: emp.name || '',
+          residentNumber,
+          weeklyHours: getContractedWeeklyHours(emp),
+          wageTotals: type === FILING_TYPE.LOSS ? await loadWageTotals(supabase, filing.employee_id, filing.event_date) : null,
+        });
+      }
+      if (issues.length) return resp(422, { success: false, error: '신고 전 점검에서 오류가 있습니다', issues });
+
+      const file = buildFilingFile({ company, type, rows, submitDate: kstToday() });
+      const generatedAt = now();
+      const { error: markErr } = await supabase
+        .from('insurance_filings')
+        .update({ file_generated_at: generatedAt, updated_at: generatedAt })
+        .in('id', ids);
+      if (markErr) throw markErr;
+      for (const filing of filings) {
+        await audit(filing.id, AUDIT_ACTION.UPDATE, { file_generated_at: filing.file_generated_at || null }, { file_generated_at: generatedAt, file_name: file.fileName }, body.reason);
+      }
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/plain; charset=euc-kr',
+          'Content-Disposition': "attachment; filename*=UTF-8''" + encodeURIComponent(file.fileName),
+          'X-Unmappable-Characters': encodeURIComponent(file.unmappable.join('')),
+        },
+        body: file.buffer.toString('base64'),
+        isBase64Encoded: true,
+      };
+    }
+
+    if (body.action === 'complete') {
+      const ids = Array.isArray(body.ids) ? body.ids : [];
+      if (!ids.length) return resp(400, { success: false, error: 'ids 필수' });
+      if (body.submittedDate && !/^\d{4}-\d{2}-\d{2}$/.test(body.submittedDate)) {
+        return resp(400, { success: false, error: 'submittedDate는 YYYY-MM-DD 형식이어야 합니다.' });
+      }
+      const filings = await loadFilings(ids);
+      if (filings.length !== ids.length) return resp(404, { success: false, error: '신고 건을 찾을 수 없습니다' });
+      if (filings.some(f => f.status !== FILING_STATUS.PENDING)) {
+        return resp(409, { success: false, error: '신고 전 건만 완료 처리할 수 있습니다' });
+      }
+
+      const update = {
+        status:         FILING_STATUS.DONE,
+        receipt_number: body.receiptNumber ? String(body.receiptNumber).trim().slice(0, 50) : null,
+        submitted_at:   body.submittedDate ? `${body.submittedDate}T00:00:00+09:00` : now(),
+        submitted_by:   user.userId,
+        updated_at:     now(),
+      };
+      const { error } = await supabase
+        .from('insurance_filings')
+        .update(update)
+        .in('id', ids)
+        .eq('company_id', user.companyId);
+      if (error) throw error;
+      for (const filing of filings) {
+        await audit(filing.id, AUDIT_ACTION.UPDATE, { status: filing.status }, update, body.reason);
+      }
+      return resp(200, { success: true, data: { completed: ids.length } });
+    }
+
+    if (body.action === 'cancel') {
+      if (!body.id) return resp(400, { success: false, error: 'id 필수' });
+      if (!body.reason || !String(body.reason).trim()) return resp(400, { success: false, error: '취소 사유를 입력해주세요' });
+      const row = await loadFiling(body.id);
+      if (!row) return resp(404, { success: false, error: '신고 건을 찾을 수 없습니다' });
+      if (row.status !== FILING_STATUS.PENDING) return resp(409, { success: false, error: '신고 전 건만 취소할 수 있습니다' });
+
+      const update = { status: FILING_STATUS.CANCELLED, cancelled_at: now(), cancel_reason: String(body.reason).trim(), updated_at: now() };
+      const { data: saved, error } = await supabase
+        .from('insurance_filings')
+        .update(update)
+        .eq('id', row.id)
+        .select(SELECT)
+        .single();
+      if (error) throw error;
+      await audit(row.id, AUDIT_ACTION.UPDATE, { status: row.status }, update, update.cancel_reason);
+      return resp(200, { success: true, data: formatFiling(saved) });
+    }
+
+    return resp(400, { success: false, error: 'action은 create, file, complete, cancel 중 하나여야 합니다.' });
+  } catch (err) {
+    console.error('insurance-filings 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
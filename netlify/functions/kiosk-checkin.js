@@ -0,0 +1,281 @@
+// netlify/functions/kiosk-checkin.js
+// 매장 키오스크(공용 태블릿) 출퇴근 API — 로그인 없음, 키오스크 토큰으로 인증
+//
+// 헤더: X-Kiosk-Token: KSK_xxx (kiosks-manage.js 에서 발급)
+//
+// GET  /.netlify/functions/kiosk-checkin
+//   → 키오스크 사업장 직원 명단 + 현재 근무 상태
+//   Response: { success, kiosk: { id, name, businessName, companyName, capturePhoto }, employees: [...], serverTime }
+//
+// POST /.netlify/functions/kiosk-checkin
+//   Body: {
+//     employeeId, pin,                           // 명단에서 선택 + 개인 PIN
+//     type: "check-in" | "check-out" | "break-start" | "break-end",
+//     photo: "data:image/jpeg;base64,..." | null, // 선택 (키오스크 설정 capture_photo)
+//     timestamp, offline: { punchId }             // 통신 장애 중 저장했다가 전송한 기록만
+//   }
+//   → check_method = 'kiosk', kiosk_id 와 함께 기록 (lib/punch-recorder.js)
+//
+// 키오스크는 사업장에 고정된 기기 → GPS/WiFi 검증 없음, 온라인 기록 시각은 서버 시각
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { resolveMaxShiftHours } = require('./lib/shift-pairing');
+const { recordPunch, punchMessage, PUNCH_TYPES } = require('./lib/punch-recorder');
+const { OFFLINE_REVIEW_REASON, resolveOfflineToleranceMinutes, evaluateOfflineDelay } = require('./lib/offline-punch');
+const {
+  PIN_MAX_FAILURES,
+  PIN_LOCK_MINUTES,
+  KIOSK_OFFLINE_MAX_AGE_HOURS,
+  PHOTO_BUCKET,
+  resolveKiosk,
+  verifyPin,
+  parsePhotoDataUrl,
+} = require('./lib/kiosk');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*', // 매장 태블릿에서 접속
+  'Access-Control-Allow-Headers': 'Content-Type, X-Kiosk-Token',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MS_HOUR = 60 * 60 * 1000;
+
+function resp(statusCode, body) {
+  return { statusCode, headers: CORS, body: JSON.stringify(body) };
+}
+
+function clientIpOf(headers) {
+  const fwd = headers['x-forwarded-for'] || headers['X-Forwarded-For'] || '';
+  return fwd.split(',')[0].trim() || null;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: CORS, body: '' };
+
+  try {
+    const kiosk = await resolveKiosk(supabase, event.headers['x-kiosk-token'] || event.headers['X-Kiosk-Token']);
+    if (!kiosk) {
+      return resp(401, { success: false, kioskRevoked: true, error: '등록되지 않았거나 해제된 키오스크입니다. 관리자에게 문의해주세요.' });
+    }
+
+    const { data: company } = await supabase
+      .from('companies')
+      .select('id, company_name, max_shift_hours, offline_tolerance_minutes')
+      .eq('id', kiosk.company_id)
+      .single();
+    if (!company) return resp(404, { success: false, error: '등록되지 않은 회사입니다.' });
+
+    if (event.httpMethod === 'GET') return await roster(kiosk, company);
+    if (event.httpMethod === 'POST') return await punch(kiosk, company, JSON.parse(event.body || '{}'), event);
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('kiosk-checkin 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
+
+// ── 직원 명단 + 근무 상태 ─────────────────────────────────────
+async function roster(kiosk, company) {
+  const [{ data: business }, { data: employees, error: empErr }] = await Promise.all([
+    supabase.from('businesses').select('id, name').eq('id', kiosk.business_id).maybeSingle(),
+    supabase
+      .from('employees')
+      .select('id, department, position, kiosk_pin_hash, users:user_id ( name )')
+      .eq('company_id', kiosk.company_id)
+      .eq('business_id', kiosk.business_id)
+      .eq('status', 'active')
+      .is('deleted_at', null),
+  ]);
+  if (empErr) throw empErr;
+
+  const ids = (employees || []).map(e => e.id);
+  const since = new Date(Date.now() - resolveMaxShiftHours(company.max_shift_hours) * MS_HOUR).toISOString();
+  const { data: open } = ids.length
+    ? await supabase
+        .from('attendances')
+        .select('employee_id, check_in_time, break_punches')
+        .in('employee_id', ids)
+        .eq('status', 'in_progress')
+        .gte('check_in_time', since)
+    : { data: [] };
+
+  const openByEmployee = new Map((open || []).map(a => [a.employee_id, a]));
+
+  const list = (employees || []).map(e => {
+    const empUser = Array.isArray(e.users) ? e.users[0] : e.users;
+    const att = openByEmployee.get(e.id);
+    const onBreak = att && Array.isArray(att.break_punches) && att.break_punches.some(p => !p.end);
+    return {
+      id: e.id,
+      name: empUser?.name || '직원',
+      department: e.department || null,
+      position: e.position || null,
+      hasPin: !!e.kiosk_pin_hash,
+      status: !att ? 'off' : (onBreak ? 'break' : 'working'),   // off | working | break
+      checkInTime: att ? att.check_in_time : null,
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+
+  return resp(200, {
+    success: true,
+    kiosk: {
+      id: kiosk.id,
+      name: kiosk.name,
+      businessName: business?.name || null,
+      companyName: company.company_name,
+      capturePhoto: kiosk.capture_photo === true,
+    },
+    employees: list,
+    serverTime: new Date().toISOString(),
+  });
+}
+
+// ── PIN 확인 후 출퇴근 기록 ──────────────────────────────────
+async function punch(kiosk, company, body, event) {
+  const { employeeId, pin, type, photo, timestamp, offline } = body;
+
+  if (!employeeId || !pin) return resp(400, { success: false, error: '직원과 PIN을 입력해주세요.' });
+  if (!PUNCH_TYPES.includes(type)) {
+    return resp(400, { success: false, error: 'type은 check-in, check-out, break-start, break-end 중 하나' });
+  }
+
+  // 기록 시각: 온라인 = 서버 시각 / 오프라인 저장분 = 태블릿에서 누른 시각
+  const now = new Date();
+  let checkTime = now;
+  let offlineDelaySeconds = null;
+  const offlineReviewReasons = [];
+  const isOffline = !!offline;
+
+  if (isOffline) {
+    if (!UUID_RE.test(String(offline.punchId || ''))) return resp(400, { success: false, error: 'offline.punchId 형식 오류' });
+    checkTime = new Date(timestamp);
+    if (!timestamp || isNaN(checkTime)) return resp(400, { success: false, error: 'timestamp 형식 오류' });
+
+    if (now - checkTime > KIOSK_OFFLINE_MAX_AGE_HOURS * MS_HOUR) {
+      return resp(422, { success: false, error: `${KIOSK_OFFLINE_MAX_AGE_HOURS}시간이 지난 키오스크 기록은 자동 전송할 수 없습니다. 관리자에게 수동 등록을 요청해주세요.` });
+    }
+    const delay = evaluateOfflineDelay(checkTime, now, resolveOfflineToleranceMinutes(company.offline_tolerance_minutes));
+    if (delay.error) return resp(422, { success: false, error: delay.error });
+    offlineDelaySeconds = delay.delaySeconds;
+    if (delay.lateSync) offlineReviewReasons.push(OFFLINE_REVIEW_REASON.LATE_SYNC);
+  }
+
+  // 이 키오스크 사업장 소속 직원만
+  const { data: employee } = await supabase
+    .from('employees')
+    .select('id, business_id, status, break_time_minutes, work_start_time, work_end_time, work_days, kiosk_pin_hash, kiosk_pin_failed_count, kiosk_pin_locked_until, users:user_id ( name )')
+    .eq('id', employeeId)
+    .eq('company_id', kiosk.company_id)
+    .eq('business_id', kiosk.business_id)
+    .eq('status', 'active')
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (!employee) return resp(404, { success: false, error: '이 매장에 등록된 직원이 아닙니다.' });
+  const empUser = Array.isArray(employee.users) ? employee.users[0] : employee.users;
+  employee.name = empUser?.name || '직원';
+
+  if (!employee.kiosk_pin_hash) {
+    return resp(403, { success: false, error: 'PIN이 등록되지 않았습니다. 관리자에게 PIN 등록을 요청해주세요.' });
+  }
+  if (employee.kiosk_pin_locked_until && new Date(employee.kiosk_pin_locked_until) > now) {
+    return resp(423, { success: false, error: `PIN을 여러 번 잘못 입력해 잠겼습니다. ${PIN_LOCK_MINUTES}분 후 다시 시도하거나 관리자에게 문의해주세요.` });
+  }
+
+  if (!verifyPin(employee.kiosk_pin_hash, pin)) {
+    const failures = (employee.kiosk_pin_failed_count || 0) + 1;
+    const locked = failures >= PIN_MAX_FAILURES;
+    await supabase
+      .from('employees')
+      .update({
+        kiosk_pin_failed_count: locked ? 0 : failures,
+        kiosk_pin_locked_until: locked ? new Date(now.getTime() + PIN_LOCK_MINUTES * 60000).toISOString() : null,
+      })
+      .eq('id', employee.id);
+    return resp(401, {
+      success: false,
+      error: locked
+        ? `PIN을 ${PIN_MAX_FAILURES}회 잘못 입력해 ${PIN_LOCK_MINUTES}분간 잠겼습니다.`
+        : `PIN이 일치하지 않습니다. (남은 횟수 ${PIN_MAX_FAILURES - failures}회)`,
+    });
+  }
+  if (employee.kiosk_pin_failed_count) {
+    await supabase.from('employees').update({ kiosk_pin_failed_count: 0, kiosk_pin_locked_until: null }).eq('id', employee.id);
+  }
+
+  // 사진 (선택) — 업로드 실패해도 출퇴근은 기록
+  let photoPath = null;
+  if (photo && (type === 'check-in' || type === 'check-out')) {
+    const parsed = parsePhotoDataUrl(photo);
+    if (parsed.error) return resp(400, { success: false, error: parsed.error });
+    const path = `${kiosk.company_id}/${kiosk.id}/${isOffline ? offline.punchId : crypto.randomUUID()}.${parsed.contentType === 'image/png' ? 'png' : 'jpg'}`;
+    const { error: upErr } = await supabase.storage
+      .from(PHOTO_BUCKET)
+      .upload(path, parsed.buffer, { contentType: parsed.contentType, upsert: true });
+    if (upErr) console.error('키오스크 사진 업로드 실패:', upErr.message);
+    else photoPath = path;
+  }
+
+  const clientIp = clientIpOf(event.headers);
+  const offlineReviewEntries = p => offlineReviewReasons.map(reason => ({ punch: p, reason, delaySeconds: offlineDelaySeconds }));
+
+  const result = await recordPunch(supabase, {
+    companyId: kiosk.company_id,
+    employee,
+    type,
+    checkTime,
+    maxShiftHours: resolveMaxShiftHours(company.max_shift_hours),
+    punchId: isOffline ? offline.punchId : null,
+    checkInFields: {
+      check_method:        'kiosk',
+      kiosk_id:            kiosk.id,
+      client_ip:           clientIp,
+      check_in_photo_path: photoPath,
+      ...(isOffline ? {
+        offline_synced:             true,
+        offline_sync_delay_seconds: offlineDelaySeconds,
+        offline_review_reasons:     offlineReviewEntries('check_in'),
+      } : {}),
+    },
+    checkOutFields: existing => ({
+      check_out_kiosk_id:   kiosk.id,
+      check_out_client_ip:  clientIp,
+      check_out_photo_path: photoPath,
+      ...(isOffline ? {
+        check_out_offline_synced:             true,
+        check_out_offline_sync_delay_seconds: offlineDelaySeconds,
+        offline_review_reasons: [
+          ...(Array.isArray(existing.offline_review_reasons) ? existing.offline_review_reasons : []),
+          ...offlineReviewEntries('check_out'),
+        ],
+      } : {}),
+    }),
+  });
+
+  if (result.error) {
+    const { statusCode, ...errBody } = result.error;
+    return resp(statusCode, { success: false, ...errBody });
+  }
+  if (result.duplicate) return resp(200, { success: true, duplicate: true, type, message: '이미 전송된 기록입니다.' });
+
+  return resp(200, {
+    success: true,
+    type,
+    employeeId: employee.id,
+    employeeName: employee.name,
+    time: checkTime.toISOString(),
+    lateMinutes: type === 'check-in' ? (result.schedule?.result.lateMinutes || 0) : 0,
+    workHours: type === 'check-out' ? result.attendance.work_hours : null,
+    offlineSynced: isOffline,
+    message: punchMessage(employee.name, type, result),
+  });
+}
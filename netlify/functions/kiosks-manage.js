@@ -0,0 +1,186 @@
+// netlify/functions/kiosks-manage.js
+// 매장 키오스크(공용 태블릿) 관리 API (관리자)
+// GET    → 키오스크 목록 (?includeRevoked=true 해제된 키오스크 포함)
+//          ?attendanceId=&punch=check_in|check_out → 키오스크 출퇴근 사진 서명 URL (5분)
+// POST   → 키오스크 발급 { businessId, name, capturePhoto } — 토큰/접속 URL 은 이 응답에서만 확인 가능
+// PUT    → 설정 변경 { id, name?, capturePhoto? }
+// DELETE → 키오스크 해제 (?id= 필수) — 해제된 태블릿에서는 출퇴근 불가
+//
+// 키오스크 출퇴근 흐름은 kiosk-checkin.js, lib/kiosk.js 참고
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { PHOTO_BUCKET, sha256, generateKioskToken } = require('./lib/kiosk');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+};
+
+const PHOTO_URL_TTL_SECONDS = 300;
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+
+  try {
+    if (event.httpMethod === 'GET' && params.attendanceId) {
+      const column = params.punch === 'check_out' ? 'check_out_photo_path' : 'check_in_photo_path';
+      const { data: att } = await supabase
+        .from('attendances')
+        .select(`id, ${column}`)
+        .eq('id', params.attendanceId)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!att || !att[column]) return resp(404, { success: false, error: '출퇴근 사진이 없습니다' });
+
+      const { data, error } = await supabase.storage
+        .from(PHOTO_BUCKET)
+        .createSignedUrl(att[column], PHOTO_URL_TTL_SECONDS);
+      if (error) throw error;
+
+      return resp(200, { success: true, data: { url: data.signedUrl, expiresIn: PHOTO_URL_TTL_SECONDS } });
+    }
+
+    if (event.httpMethod === 'GET') {
+      let query = supabase
+        .from('kiosks')
+        .select('id, business_id, name, capture_photo, created_at, last_seen_at, revoked_at, businesses:business_id ( name )')
+        .eq('company_id', user.companyId)
+        .order('created_at', { ascending: false });
+      if (params.includeRevoked !== 'true') query = query.is('revoked_at', null);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      const kiosks = (data || []).map(k => {
+        const biz = Array.isArray(k.businesses) ? k.businesses[0] : k.businesses;
+        return {
+          id: k.id,
+          businessId: k.business_id,
+          businessName: biz?.name || null,
+          name: k.name,
+          capturePhoto: k.capture_photo === true,
+          createdAt: k.created_at,
+          lastSeenAt: k.last_seen_at,
+          revokedAt: k.revoked_at,
+        };
+      });
+
+      return resp(200, { success: true, data: { kiosks, total: kiosks.length } });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const { businessId, name, capturePhoto } = JSON.parse(event.body || '{}');
+      if (!businessId) return resp(400, { success: false, error: 'businessId 필수' });
+      const label = String(name || '').trim().slice(0, 50);
+      if (!label) return resp(400, { success: false, error: '키오스크 이름을 입력해주세요' });
+
+      const { data: business } = await supabase
+        .from('businesses')
+        .select('id, name')
+        .eq('id', businessId)
+        .eq('company_id', user.companyId)
+        .eq('status', 'active')
+        .maybeSingle();
+      if (!business) return resp(404, { success: false, error: '사업장을 찾을 수 없습니다' });
+
+      const token = generateKioskToken();
+      const { data, error } = await supabase
+        .from('kiosks')
+        .insert({
+          company_id:    user.companyId,
+          business_id:   business.id,
+          name:          label,
+          token_hash:    sha256(token),
+          capture_photo: capturePhoto === true,
+          created_by:    user.userId,
+        })
+        .select('id, name, capture_photo, created_at')
+        .single();
+      if (error) throw error;
+
+      return resp(201, {
+        success: true,
+        data: {
+          id: data.id,
+          name: data.name,
+          businessName: business.name,
+          capturePhoto: data.capture_photo === true,
+          token,                                    // 다시 조회할 수 없음
+          url: `/kiosk.html#k=${encodeURIComponent(token)}`,
+        },
+        message: '키오스크가 발급되었습니다. 매장 태블릿에서 접속 URL을 열어주세요. (URL은 다시 확인할 수 없습니다)',
+      });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const { id, name, capturePhoto } = JSON.parse(event.body || '{}');
+      if (!id) return resp(400, { success: false, error: 'id 필수' });
+
+      const updates = {};
+      if (name !== undefined) {
+        const label = String(name || '').trim().slice(0, 50);
+        if (!label) return resp(400, { success: false, error: '키오스크 이름을 입력해주세요' });
+        updates.name = label;
+      }
+      if (capturePhoto !== undefined) updates.capture_photo = capturePhoto === true;
+      if (Object.keys(updates).length === 0) return resp(400, { success: false, error: '변경할 항목이 없습니다' });
+
+      const { data, error } = await supabase
+        .from('kiosks')
+        .update(updates)
+        .eq('id', id)
+        .eq('company_id', user.companyId)
+        .is('revoked_at', null)
+        .select('id');
+      if (error) throw error;
+      if (!data || data.length === 0) return resp(404, { success: false, error: '키오스크를 찾을 수 없습니다' });
+
+      return resp(200, { success: true, message: '키오스크 설정이 저장되었습니다' });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (!params.id) return resp(400, { success: false, error: 'id 필수' });
+
+      const { data, error } = await supabase
+        .from('kiosks')
+        .update({ revoked_at: new Date().toISOString(), revoked_by: user.userId })
+        .eq('id', params.id)
+        .eq('company_id', user.companyId)
+        .is('revoked_at', null)
+        .select('id');
+      if (error) throw error;
+      if (!data || data.length === 0) return resp(404, { success: false, error: '키오스크를 찾을 수 없습니다' });
+
+      return resp(200, { success: true, message: '키오스크가 해제되었습니다. 해당 태블릿에서는 더 이상 출퇴근할 수 없습니다.' });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('kiosks-manage 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
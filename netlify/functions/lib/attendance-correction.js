@@ -0,0 +1,277 @@
+// netlify/functions/lib/attendance-correction.js
+// 출퇴근 정정 요청 공통 모듈 — 직원 신청(attendance-correction-request.js) / 관리자 승인(attendance-corrections.js)
+//
+// 흐름:
+//  1) 직원이 체크인 페이지에서 정정 요청 (출근 누락 / 퇴근 누락 / 시간 오류) + 사유 + 증빙(선택)
+//  2) 관리자가 출퇴근 관리 화면에서 승인 또는 반려
+//  3) 승인 → attendances 반영 (근로시간·지각/조퇴·이상 징후 재계산), 변경 전 값은 attendance_history 에 보관
+//  4) 결과는 solapi-send.js 'attendance_correction' 템플릿으로 직원에게 알림
+//
+// 저장:
+//   attendance_correction_requests: id, company_id, employee_id, attendance_id, request_type, work_date,
+//     requested_check_in, requested_check_out, reason, evidence_path, evidence_content_type, device_id,
+//     status (pending | approved | rejected | cancelled), reviewed_by, reviewed_at, review_note, created_at
+//   attendance_history: id, company_id, attendance_id, employee_id, source ('correction'), correction_request_id,
+//     before (jsonb, 신규 생성이면 null), after (jsonb), changed_by, changed_at
+//   attendances: correction_request_id, corrected_at — 마지막으로 반영된 정정 요청
+//   증빙: Supabase Storage 'attendance-evidence' 버킷 (비공개, 관리자 조회 시 서명 URL)
+
+const { calculateWorkTime } = require('./work-time');
+const { kstDayRange, resolveMaxShiftHours } = require('./shift-pairing');
+const { toKstDateKey } = require('./holidays');
+const { applyScheduleStatus, applyAnomalyScore } = require('./punch-recorder');
+
+const CORRECTION_TYPE = {
+  MISSED_CHECK_IN:  'missed_check_in',   // 출근을 못 찍음 → 기록 새로 생성
+  MISSED_CHECK_OUT: 'missed_check_out',  // 퇴근을 못 찍음 → 퇴근 시각 입력
+  WRONG_TIME:       'wrong_time',        // 찍힌 시각이 실제와 다름
+};
+
+const CORRECTION_TYPE_LABELS = {
+  [CORRECTION_TYPE.MISSED_CHECK_IN]:  '출근 누락',
+  [CORRECTION_TYPE.MISSED_CHECK_OUT]: '퇴근 누락',
+  [CORRECTION_TYPE.WRONG_TIME]:       '시간 오류',
+};
+
+const CORRECTION_STATUS = {
+  PENDING:   'pending',
+  APPROVED:  'approved',
+  REJECTED:  'rejected',
+  CANCELLED: 'cancelled',
+};
+
+// 정정 요청 가능 기간 (근무일 기준) — 급여 마감 이후의 소급 정정은 관리자 직접 수정
+const CORRECTION_MAX_AGE_DAYS = 31;
+const MAX_REASON_LENGTH = 500;
+
+const EVIDENCE_BUCKET = 'attendance-evidence';
+const MAX_EVIDENCE_BYTES = 2 * 1024 * 1024;
+const EVIDENCE_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'application/pdf': 'pdf' };
+
+// 정정 전후로 비교·보관하는 attendances 컬럼
+const HISTORY_FIELDS = [
+  'check_in_time', 'check_out_time', 'status', 'raw_work_minutes', 'break_minutes', 'break_source',
+  'work_duration_minutes', 'work_hours', 'night_hours', 'auto_closed_at', 'check_method',
+];
+
+const MS_DAY = 24 * 60 * 60 * 1000;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * "data:application/pdf;base64,..." → Buffer (JPEG/PNG/PDF, 2MB 이하)
+ * @returns {{ buffer: Buffer, contentType: string, ext: string } | { error: string }}
+ */
+function parseEvidenceDataUrl(dataUrl) {
+  const m = /^data:([a-z]+\/[a-z.+-]+);base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+  if (!m || !EVIDENCE_TYPES[m[1]]) return { error: '증빙은 JPG, PNG, PDF 파일만 첨부할 수 있습니다' };
+  const buffer = Buffer.from(m[2], 'base64');
+  if (buffer.length > MAX_EVIDENCE_BYTES) return { error: '증빙 파일은 2MB 이하만 첨부할 수 있습니다' };
+  return { buffer, contentType: m[1], ext: EVIDENCE_TYPES[m[1]] };
+}
+
+/**
+ * 직원 입력 → 요청 시각 (KST)
+ * @param {object} input - { type, workDate, checkInTime, checkOutTime, checkOutDate }
+ * @param {object} [opts] - { now, maxShiftHours }
+ * @returns {{ requestedCheckIn: string|null, requestedCheckOut: string|null } | { error: string }}
+ */
+function buildRequestedTimes({ type, workDate, checkInTime, checkOutTime, checkOutDate }, { now = new Date(), maxShiftHours } = {}) {
+  if (!Object.values(CORRECTION_TYPE).includes(type)) {
+    return { error: 'type은 missed_check_in, missed_check_out, wrong_time 중 하나' };
+  }
+  if (!DATE_RE.test(String(workDate || ''))) return { error: '근무일(YYYY-MM-DD)을 입력해주세요' };
+
+  const today = toKstDateKey(now);
+  if (workDate > today) return { error: '미래 날짜는 정정 요청할 수 없습니다' };
+  if (new Date(`${today}T00:00:00+09:00`) - new Date(`${workDate}T00:00:00+09:00`) > CORRECTION_MAX_AGE_DAYS * MS_DAY) {
+    return { error: `${CORRECTION_MAX_AGE_DAYS}일이 지난 근무일은 정정 요청할 수 없습니다. 관리자에게 직접 문의해주세요.` };
+  }
+
+  if (checkInTime && !TIME_RE.test(checkInTime)) return { error: '출근 시각 형식 오류 (HH:MM)' };
+  if (checkOutTime && !TIME_RE.test(checkOutTime)) return { error: '퇴근 시각 형식 오류 (HH:MM)' };
+  if (checkOutDate && !DATE_RE.test(checkOutDate)) return { error: '퇴근 날짜 형식 오류 (YYYY-MM-DD)' };
+
+  if (type === CORRECTION_TYPE.MISSED_CHECK_IN && !checkInTime) return { error: '실제 출근 시각을 입력해주세요' };
+  if (type === CORRECTION_TYPE.MISSED_CHECK_OUT && !checkOutTime) return { error: '실제 퇴근 시각을 입력해주세요' };
+  if (type === CORRECTION_TYPE.WRONG_TIME && !checkInTime && !checkOutTime) return { error: '정정할 출근 또는 퇴근 시각을 입력해주세요' };
+
+  const requestedCheckIn = checkInTime ? `${workDate}T${checkInTime}:00+09:00` : null;
+  // 야간근무: checkOutDate 가 있으면 그 날짜 사용, 없으면 workDate (attendances-manage.js 와 동일)
+  const requestedCheckOut = checkOutTime ? `${checkOutDate || workDate}T${checkOutTime}:00+09:00` : null;
+
+  for (const t of [requestedCheckIn, requestedCheckOut]) {
+    if (t && new Date(t) > now) return { error: '아직 지나지 않은 시각은 정정 요청할 수 없습니다' };
+  }
+  if (requestedCheckIn && requestedCheckOut) {
+    const hours = (new Date(requestedCheckOut) - new Date(requestedCheckIn)) / 3600000;
+    if (hours <= 0) return { error: '퇴근 시각은 출근 시각보다 늦어야 합니다' };
+    if (hours > resolveMaxShiftHours(maxShiftHours)) return { error: '근무 시간이 최대 근무시간을 넘습니다. 날짜를 확인해주세요.' };
+  }
+
+  return { requestedCheckIn, requestedCheckOut };
+}
+
+/**
+ * 근무일의 출퇴근 기록 (정정 대상)
+ */
+async function findAttendanceOnDate(supabase, { companyId, employeeId, workDate, select = 'id, check_in_time, check_out_time, status' }) {
+  const range = kstDayRange(workDate);
+  const { data, error } = await supabase
+    .from('attendances')
+    .select(select)
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .gte('check_in_time', range.from)
+    .lte('check_in_time', range.to)
+    .order('check_in_time', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * 요청 유형과 현재 기록 상태가 맞는지 확인
+ * @returns {string|null} 오류 메시지
+ */
+function checkTarget(type, attendance) {
+  if (type === CORRECTION_TYPE.MISSED_CHECK_IN) {
+    return attendance ? '이미 출근 기록이 있는 날입니다. "시간 오류"로 요청해주세요.' : null;
+  }
+  if (!attendance) return '해당 날짜의 출근 기록이 없습니다. "출근 누락"으로 요청해주세요.';
+  if (type === CORRECTION_TYPE.MISSED_CHECK_OUT && attendance.check_out_time && !attendance.auto_closed_at) {
+    return '이미 퇴근 기록이 있습니다. "시간 오류"로 요청해주세요.';
+  }
+  return null;
+}
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.map(f => [f, row[f] ?? null]));
+}
+
+/**
+ * 승인된 정정 요청을 attendances 에 반영하고 변경 전 값을 attendance_history 에 보관
+ * @param {object} supabase
+ * @param {object} request - attendance_correction_requests row
+ * @param {object} employee - id, business_id, break_time_minutes, work_* (스케줄 판정용)
+ * @param {string} reviewerId - 승인한 관리자 users.id
+ * @returns {Promise<{ attendance: object, before: object|null, after: object } | { error: string }>}
+ *   before/after — attendance_history 에 보관한 값 (감사 로그용, 신규 생성이면 before = null)
+ */
+async function applyCorrection(supabase, request, employee, reviewerId) {
+  const companyId = request.company_id;
+  const current = await findAttendanceOnDate(supabase, {
+    companyId,
+    employeeId: request.employee_id,
+    workDate: request.work_date,
+    select: `id, break_punches, ${HISTORY_FIELDS.join(', ')}`,
+  });
+
+  // 신청 이후 관리자가 직접 고친 경우 등 — 요청 유형과 맞지 않으면 반영하지 않음
+  const targetError = checkTarget(request.request_type, current);
+  if (targetError) return { error: targetError };
+
+  const checkIn = request.requested_check_in || current.check_in_time;
+  // 자동 마감(스케줄 종료 시각)은 실제 퇴근이 아니므로 퇴근 누락 정정 시 덮어씀
+  const checkOut = request.requested_check_out || (current ? current.check_out_time : null);
+  if (checkOut && new Date(checkOut) <= new Date(checkIn)) {
+    return { error: '정정 후 퇴근 시각이 출근 시각보다 빠릅니다. 기록을 확인해주세요.' };
+  }
+
+  let workFields = {
+    raw_work_minutes: null, break_minutes: null, break_source: null,
+    work_duration_minutes: null, work_hours: null, night_hours: 0,
+  };
+  if (checkOut) {
+    const wt = calculateWorkTime({
+      checkIn,
+      checkOut,
+      breakPunches:           current ? current.break_punches : null,
+      contractedBreakMinutes: employee.break_time_minutes,
+    });
+    workFields = {
+      raw_work_minutes:      wt.rawMinutes,
+      break_minutes:         wt.breakMinutes,
+      break_source:          wt.breakSource,
+      work_duration_minutes: wt.netMinutes,
+      work_hours:            wt.workHours,
+      night_hours:           wt.nightHours,
+    };
+  }
+
+  const now = new Date().toISOString();
+  const fields = {
+    check_in_time:         new Date(checkIn).toISOString(),
+    check_out_time:        checkOut ? new Date(checkOut).toISOString() : null,
+    ...workFields,
+    status:                checkOut ? 'completed' : 'in_progress',
+    auto_closed_at:        request.requested_check_out ? null : (current?.auto_closed_at || null),
+    correction_request_id: request.id,
+    corrected_at:          now,
+  };
+
+  let attendance;
+  if (current) {
+    const { data, error } = await supabase
+      .from('attendances')
+      .update(fields)
+      .eq('id', current.id)
+      .eq('company_id', companyId)
+      .select(`id, ${HISTORY_FIELDS.join(', ')}`)
+      .single();
+    if (error) throw error;
+    attendance = data;
+  } else {
+    const { data, error } = await supabase
+      .from('attendances')
+      .insert({
+        employee_id:  request.employee_id,
+        company_id:   companyId,
+        check_method: 'correction',
+        notes:        '정정 요청 승인',
+        ...fields,
+      })
+      .select(`id, ${HISTORY_FIELDS.join(', ')}`)
+      .single();
+    if (error) throw error;
+    attendance = data;
+  }
+
+  const before = current ? pick(current, HISTORY_FIELDS) : null;
+  const after = pick(attendance, HISTORY_FIELDS);
+  const { error: histErr } = await supabase
+    .from('attendance_history')
+    .insert({
+      company_id:            companyId,
+      attendance_id:         attendance.id,
+      employee_id:           request.employee_id,
+      source:                'correction',
+      correction_request_id: request.id,
+      before,
+      after,
+      changed_by:            reviewerId,
+      changed_at:            now,
+    });
+  if (histErr) throw histErr;
+
+  // 지각/조퇴·이상 징후 재판정 (실패해도 정정은 유지)
+  await applyScheduleStatus(supabase, companyId, employee, attendance);
+  await applyAnomalyScore(supabase, attendance.id);
+
+  return { attendance, before, after };
+}
+
+module.exports = {
+  CORRECTION_TYPE,
+  CORRECTION_TYPE_LABELS,
+  CORRECTION_STATUS,
+  CORRECTION_MAX_AGE_DAYS,
+  MAX_REASON_LENGTH,
+  EVIDENCE_BUCKET,
+  parseEvidenceDataUrl,
+  buildRequestedTimes,
+  findAttendanceOnDate,
+  checkTarget,
+  applyCorrection,
+};
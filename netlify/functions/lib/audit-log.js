@@ -0,0 +1,223 @@
+// netlify/functions/lib/audit-log.js
+// 변경 이력(감사 로그) 공통 모듈 — 출퇴근·급여·직원·계약·설정 변경을 추가 전용으로 기록
+//
+// 노동청 근로감독 / 임금 분쟁 시 "누가, 언제, 어디서, 무엇을, 왜 바꿨는지" 증빙용
+//  - 기록만 추가 (수정/삭제 API 없음) — 회사별 일련번호(seq) + 해시 체인으로 위·변조 확인
+//  - hash = SHA-256(prev_hash + "\n" + 항목 정규화 JSON), 첫 항목의 prev_hash = GENESIS_HASH
+//  - 중간 항목이 바뀌거나 빠지면 그 지점부터 체인이 끊어짐 (verifyAuditChain)
+//
+// 저장 (audit_logs): id, company_id, seq (회사별 1부터, company_id+seq UNIQUE), occurred_at,
+//   actor_id, actor_role, actor_ip, user_agent, entity_type, entity_id, action,
+//   changes jsonb { 필드: { before, after } }, reason, source, prev_hash, hash
+//
+// 사용법:
+//   const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+//   await recordAudit(supabase, auditActor(event, tokenData), {
+//     companyId, entityType: AUDIT_ENTITY.ATTENDANCE, entityId: id,
+//     action: AUDIT_ACTION.UPDATE, before, after, reason,
+//   });
+//
+// 감사 로그 기록 실패는 원래 작업을 막지 않음 (Sentry 로 알림) — 조회/검증/내보내기는 audit-logs.js
+
+const crypto = require('crypto');
+const { captureError } = require('./sentry');
+
+const AUDIT_ENTITY = {
+  ATTENDANCE: 'attendance',
+  PAYROLL:    'payroll',
+  EMPLOYEE:   'employee',
+  CONTRACT:   'contract',
+  SETTINGS:   'settings',   // 회사 설정
+  BUSINESS:   'business',   // 사업장 (출퇴근 방식·WiFi·지오펜스 포함)
+  PAY_ITEM:   'pay_item',   // 회사 수당·공제 항목 카탈로그 (직원별 지정은 employee)
+  PAYROLL_RUN: 'payroll_run', // 급여 실행 단계 (작성·검토·승인·지급·마감, 조정 실행)
+  RETRO_PAY:  'retro_pay',  // 소급 정산 (계산 내역·취소)
+  CONTRACTOR_PAYMENT: 'contractor_payment', // 프리랜서 지급 (사업·기타소득 원천징수)
+  YEAR_END_SETTLEMENT: 'year_end_settlement', // 연말정산 (공제 신고·계산·확정)
+  WITHHOLDING_REPORT: 'withholding_report', // 원천세 신고 파일 생성 (이행상황신고서·간이지급명세서)
+  INSURANCE_FILING: 'insurance_filing', // 4대보험 취득·상실·보수월액 변경 신고
+};
+
+const AUDIT_ACTION = {
+  CREATE:      'create',
+  UPDATE:      'update',
+  DELETE:      'delete',
+  RECALCULATE: 'recalculate',  // 급여 재계산 (이전 결과 덮어씀)
+};
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// 변경 비교에서 제외 (매번 바뀌는 메타 컬럼)
+const IGNORED_FIELDS = new Set(['updated_at', 'created_at']);
+
+// 일련번호 충돌(동시 기록) 시 재시도
+const MAX_APPEND_ATTEMPTS = 5;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/** 키 정렬 JSON — jsonb 저장 후 키 순서가 바뀌어도 같은 해시 */
+function canonicalJson(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']';
+  return '{' + Object.keys(value).sort()
+    .filter(k => value[k] !== undefined)
+    .map(k => JSON.stringify(k) + ':' + canonicalJson(value[k]))
+    .join(',') + '}';
+}
+
+function sameValue(a, b) {
+  return canonicalJson(a ?? null) === canonicalJson(b ?? null);
+}
+
+/**
+ * 변경 전/후 → 바뀐 필드만 { field: { before, after } }
+ * 생성이면 before = null, 삭제면 after = null 로 전체 필드 기록
+ */
+function diffRecords(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const b = before ? before[key] ?? null : null;
+    const a = after ? after[key] ?? null : null;
+    if (!sameValue(b, a)) changes[key] = { before: b, after: a };
+  }
+  return changes;
+}
+
+/** 요청 → 행위자 정보 (JWT: userId, role) */
+function auditActor(event, tokenData = {}) {
+  const h = (event && event.headers) || {};
+  const fwd = h['x-forwarded-for'] || h['X-Forwarded-For'] || '';
+  return {
+    userId:    tokenData.userId || null,
+    role:      tokenData.role || null,
+    ip:        fwd.split(',')[0].trim() || h['client-ip'] || null,
+    userAgent: String(h['user-agent'] || h['User-Agent'] || '').slice(0, 300) || null,
+  };
+}
+
+// 해시 대상 — 저장 컬럼 중 체인으로 보호할 값
+function hashPayload(entry) {
+  return {
+    seq:         entry.seq,
+    company_id:  entry.company_id,
+    occurred_at: new Date(entry.occurred_at).toISOString(),
+    actor_id:    entry.actor_id ?? null,
+    actor_role:  entry.actor_role ?? null,
+    actor_ip:    entry.actor_ip ?? null,
+    entity_type: entry.entity_type,
+    entity_id:   entry.entity_id ?? null,
+    action:      entry.action,
+    changes:     entry.changes ?? {},
+    reason:      entry.reason ?? null,
+    source:      entry.source ?? null,
+  };
+}
+
+function computeEntryHash(prevHash, entry) {
+  return sha256(prevHash + '\n' + canonicalJson(hashPayload(entry)));
+}
+
+/**
+ * 감사 로그 1건 추가
+ * @param {object} supabase
+ * @param {object} actor - auditActor() 결과
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {string} params.entityType - AUDIT_ENTITY
+ * @param {string} [params.entityId]
+ * @param {string} params.action - AUDIT_ACTION
+ * @param {object|null} [params.before] - 변경 전 행 (생성이면 null)
+ * @param {object|null} [params.after] - 변경 후 행 (삭제면 null)
+ * @param {string} [params.reason] - 변경 사유
+ * @param {string} [params.source] - 호출 경로 (예: 'attendances-manage', 'correction')
+ * @returns {Promise<object|null>} 저장된 항목 (변경 없음/실패 시 null)
+ */
+async function recordAudit(supabase, actor, { companyId, entityType, entityId = null, action, before = null, after = null, reason = null, source = null }) {
+  try {
+    const changes = diffRecords(before, after);
+    // 수정인데 바뀐 값이 없으면 기록하지 않음
+    if (action === AUDIT_ACTION.UPDATE && Object.keys(changes).length === 0) return null;
+
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      const { data: last, error: lastErr } = await supabase
+        .from('audit_logs')
+        .select('seq, hash')
+        .eq('company_id', companyId)
+        .order('seq', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      if (lastErr) throw lastErr;
+
+      const entry = {
+        company_id:  companyId,
+        seq:         last ? last.seq + 1 : 1,
+        occurred_at: new Date().toISOString(),
+        actor_id:    actor?.userId || null,
+        actor_role:  actor?.role || null,
+        actor_ip:    actor?.ip || null,
+        user_agent:  actor?.userAgent || null,
+        entity_type: entityType,
+        entity_id:   entityId ? String(entityId) : null,
+        action,
+        changes,
+        reason:      reason ? String(reason).slice(0, 500) : null,
+        source,
+        prev_hash:   last ? last.hash : GENESIS_HASH,
+      };
+      entry.hash = computeEntryHash(entry.prev_hash, entry);
+
+      const { data, error } = await supabase.from('audit_logs').insert(entry).select('id, seq, hash').single();
+      if (!error) return data;
+      // 같은 seq 를 다른 요청이 먼저 기록 → 마지막 항목 다시 읽고 재시도
+      if (error.code !== '23505') throw error;
+    }
+    throw new Error('감사 로그 일련번호 충돌이 계속됩니다');
+  } catch (e) {
+    console.error('감사 로그 기록 실패:', e.message);
+    captureError(e, { function: 'audit-log', companyId, userId: actor?.userId });
+    return null;
+  }
+}
+
+/**
+ * 해시 체인 검증 (seq 오름차순 연속 구간)
+ * @param {object[]} entries - audit_logs rows
+ * @param {string} [prevHash] - 구간 직전 항목의 hash (처음부터면 GENESIS_HASH)
+ * @returns {{ valid: boolean, checked: number, lastHash: string, brokenAt?: number, problem?: string }}
+ */
+function verifyAuditChain(entries, prevHash = GENESIS_HASH) {
+  let expectedPrev = prevHash;
+  let expectedSeq = entries.length ? entries[0].seq : null;
+  for (let i = 0; i < entries.length; i++) {
+    const e = entries[i];
+    if (e.seq !== expectedSeq) {
+      return { valid: false, checked: i, lastHash: expectedPrev, brokenAt: expectedSeq, problem: `${expectedSeq}번 항목이 없습니다` };
+    }
+    if (e.prev_hash !== expectedPrev) {
+      return { valid: false, checked: i, lastHash: expectedPrev, brokenAt: e.seq, problem: '이전 항목 해시가 일치하지 않습니다' };
+    }
+    if (computeEntryHash(e.prev_hash, e) !== e.hash) {
+      return { valid: false, checked: i, lastHash: expectedPrev, brokenAt: e.seq, problem: '항목 내용이 기록 이후 변경되었습니다' };
+    }
+    expectedPrev = e.hash;
+    expectedSeq = e.seq + 1;
+  }
+  return { valid: true, checked: entries.length, lastHash: expectedPrev };
+}
+
+module.exports = {
+  AUDIT_ENTITY,
+  AUDIT_ACTION,
+  GENESIS_HASH,
+  canonicalJson,
+  diffRecords,
+  auditActor,
+  computeEntryHash,
+  recordAudit,
+  verifyAuditChain,
+};
@@ -0,0 +1,130 @@
+// netlify/functions/lib/checkin-token.js
+// 출퇴근 QR 토큰 검증 + 전화번호 직원 식별 공통 모듈 (attendance-checkin.js / device-binding.js)
+//
+// 토큰 종류:
+//  - QRT_xxx : 고정 QR (qr_tokens 테이블, 인쇄용 포스터) → 회사 식별
+//  - DQR_xxx : 동적 QR (현장 화면 회전 코드, lib/qr-totp.js) → 사업장 식별, 서버 시각 기준 검증
+//  - ATT_xxx : 구형 클라이언트 파싱 토큰 → 만료 처리
+//
+// 사용법:
+//   const { resolveCheckinToken } = require('./lib/checkin-token');
+//   const resolved = await resolveCheckinToken(supabase, token);
+//   if (resolved.error) return { statusCode: resolved.error.statusCode, ... };
+//   resolved.companyId / resolved.dynamicBusinessId
+//   const employee = await findEmployeeByPhone(supabase, resolved.companyId, phoneNumber);
+
+const { DYNAMIC_TOKEN_PREFIX, parseDynamicToken, verifyDynamicCode } = require('./qr-totp');
+
+function invalid(statusCode, error, extra = {}) {
+  return { error: { statusCode, error, ...extra } };
+}
+
+/**
+ * QR 토큰 → 회사(및 동적 QR 사업장) 확인
+ * @param {object} supabase
+ * @param {string} token
+ * @param {object} [options]
+ * @param {Date} [options.offlineAt] - 오프라인 지연 전송의 누른 시각 (클라이언트 주장값)
+ *   동적 QR 은 항상 서버 수신 시각으로 먼저 검증하고, 실패하면 이 시각으로 검증 — 통과해도 dynamicCodeUnverified
+ * @returns {Promise<{ companyId: string, dynamicBusinessId: string|null, dynamicCodeUnverified?: boolean }
+ *                   | { error: { statusCode: number, error: string } }>}
+ */
+async function resolveCheckinToken(supabase, token, { offlineAt } = {}) {
+  // 구형 토큰(ATT_) — 클라이언트 파싱 방식 폐기
+  if (token.startsWith('ATT_')) {
+    return invalid(410, 'QR코드가 만료되었습니다. 관리자에게 새 QR코드 발급을 요청해주세요.');
+  }
+
+  if (token.startsWith(DYNAMIC_TOKEN_PREFIX)) {
+    // ── 동적 QR: 현장 화면에 표시된 30~60초 회전 코드 ─────────
+    // 서버 시각 기준으로 검증 (클라이언트 timestamp 는 믿지 않음)
+    // 오프라인 지연 전송은 서버 시각으로 확인되지 않으면 누른 시각 기준으로 받되 검토 대상으로 표시
+    // — 촬영한 코드 + 조작한 timestamp 로도 통과할 수 있으므로 그 자체로는 현장 확인이 아님
+    const parsed = parseDynamicToken(token);
+    if (!parsed) return invalid(404, '유효하지 않은 QR코드입니다.');
+
+    const { data: qrBiz } = await supabase
+      .from('businesses')
+      .select('id, company_id, qr_mode, qr_dynamic_secret, qr_rotation_seconds')
+      .eq('id', parsed.businessId)
+      .eq('status', 'active')
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (!qrBiz || qrBiz.qr_mode !== 'dynamic') return invalid(404, '유효하지 않은 QR코드입니다.');
+
+    if (verifyDynamicCode(qrBiz.qr_dynamic_secret, parsed.code, qrBiz.qr_rotation_seconds)) {
+      return { companyId: qrBiz.company_id, dynamicBusinessId: qrBiz.id };
+    }
+    if (offlineAt && verifyDynamicCode(qrBiz.qr_dynamic_secret, parsed.code, qrBiz.qr_rotation_seconds, offlineAt)) {
+      return { companyId: qrBiz.company_id, dynamicBusinessId: qrBiz.id, dynamicCodeUnverified: true };
+    }
+    return invalid(410, 'QR코드 유효시간이 지났습니다. 현장 화면의 QR코드를 다시 촬영해주세요.', { qrExpired: true });
+  }
+
+  // ── 고정 QR: qr_tokens 테이블 조회 (만료/폐기 서버 검증) ────
+  const { data: tokenRecord, error: tokenErr } = await supabase
+    .from('qr_tokens')
+    .select('id, company_id, expires_at, revoked_at')
+    .eq('token', token)
+    .single();
+
+  if (tokenErr || !tokenRecord) return invalid(404, '유효하지 않은 QR코드입니다.');
+
+  if (tokenRecord.revoked_at) {
+    return invalid(410, 'QR코드가 폐기되었습니다. 관리자에게 새 QR코드를 요청해주세요.');
+  }
+
+  if (new Date(tokenRecord.expires_at) < new Date()) {
+    return invalid(410, 'QR코드가 만료되었습니다. 관리자에게 새 QR코드를 요청해주세요.');
+  }
+
+  return { companyId: tokenRecord.company_id, dynamicBusinessId: null };
+}
+
+// ── 전화번호 정규화: "010-1234-5678" → "01012345678" ────────────
+function normalizePhone(phone) {
+  return (phone || '').replace(/[^0-9]/g, '');
+}
+
+/**
+ * 전화번호 → 재직 중인 직원 조회
+ * phone은 employees가 아닌 연결된 users 테이블에 저장됨 → users → employees (user_id FK) 순서로 조회
+ * @param {object} supabase
+ * @param {string} companyId
+ * @param {string} phoneNumber
+ * @param {string} [select] - employees 조회 컬럼 (users:user_id ( name ) 조인 포함 권장)
+ * @returns {Promise<object|null>} employee (name, phone 필드 채움) 또는 null
+ */
+async function findEmployeeByPhone(supabase, companyId, phoneNumber, select = 'id, business_id, status, users:user_id ( name, phone )') {
+  const phoneNormalized = normalizePhone(phoneNumber); // '01012345678'
+  const phoneDashed = phoneNormalized.replace(/^(\d{3})(\d{4})(\d{4})$/, '$1-$2-$3'); // '010-1234-5678'
+
+  // Step 1: users 테이블에서 전화번호로 user_id 조회
+  const { data: userRows, error: userErr } = await supabase
+    .from('users')
+    .select('id')
+    .in('phone', [phoneNormalized, phoneDashed, phoneNumber]);
+
+  if (userErr || !userRows || userRows.length === 0) return null;
+
+  // Step 2: employees 테이블에서 user_id + company_id 매칭
+  const { data: employee, error: empErr } = await supabase
+    .from('employees')
+    .select(select)
+    .eq('company_id', companyId)
+    .in('user_id', userRows.map(u => u.id))
+    .eq('status', 'active')
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (empErr || !employee) return null;
+
+  // users 조인에서 이름 추출
+  const empUser = Array.isArray(employee.users) ? employee.users[0] : employee.users;
+  employee.name = empUser?.name || '직원';
+  employee.phone = phoneNormalized;
+  return employee;
+}
+
+module.exports = { resolveCheckinToken, findEmployeeByPhone, normalizePhone };
@@ -0,0 +1,271 @@
+// netlify/functions/lib/contractor-pay.js
+// 프리랜서(employees.work_type = 'freelancer') 지급 — 사업소득·기타소득 원천징수, 간이지급명세서 집계
+//
+// 원천징수 (지급 1건 단위, 세액 10원 미만 절사)
+//   사업소득 (인적용역, 소득세법 제129조 제1항 제3호)
+//     소득세 = 지급액 × 3%, 지방소득세 = 소득세 × 10%  → 합계 3.3%
+//     소액부징수 적용 제외 — 계속·반복적 인적용역 사업소득 (소득세법 제86조, 2024.7.1 이후)
+//   기타소득 (소득세법 제129조 제1항 제6호)
+//     기타소득금액 = 지급액 - 필요경비
+//       필요경비: 강연료·원고료·일시적 인적용역 등은 지급액의 60% 의제 (소득세법 시행령 제87조)
+//                 그 밖의 기타소득은 실제 필요경비 (증빙 금액 입력)
+//     소득세 = 기타소득금액 × 20%, 지방소득세 = 소득세 × 10%  → 60% 의제 시 지급액의 8.8%
+//     과세최저한: 건별 기타소득금액 5만원 이하는 과세하지 않음 (소득세법 제84조)
+//     소액부징수: 소득세 1천원 미만은 징수하지 않음 (소득세법 제86조)
+//
+// 근로자가 아니므로 4대보험·근로소득 간이세액표를 적용하지 않음 (calculate-payroll.js 대상에서 제외)
+// 저장: contractor_payments (지급 1건 = 1행), 간이지급명세서는 지급월(year, month) 기준 소득자별 합계
+//
+// 사용법:
+//   const { validateContractorPayment, calculateContractorWithholding } = require('./lib/contractor-pay');
+
+const { WORK_TYPE } = require('./daily-worker');
+
+const INCOME_TYPE = {
+  BUSINESS: 'business', // 사업소득 3.3%
+  OTHER:    'other',    // 기타소득 8.8% (필요경비 60% 의제 기준)
+};
+
+const INCOME_TYPE_LABELS = {
+  business: '사업소득',
+  other:    '기타소득',
+};
+
+const EXPENSE_METHOD = {
+  DEEMED: 'deemed', // 필요경비 60% 의제
+  ACTUAL: 'actual', // 실제 필요경비
+};
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending', // 계산됨 (지급 전 — 수정·삭제 가능)
+  PAID:    'paid',    // 지급 완료 (간이지급명세서 집계 대상, 수정 불가)
+};
+
+// 인적용역 기타 자영업 (간이지급명세서 업종코드 미입력 시)
+const DEFAULT_INDUSTRY_CODE = '940909';
+
+// rules.contractor 가 없을 때 (payroll-rules.js 기본값과 같음)
+const DEFAULT_CONTRACTOR_RULES = {
+  businessTaxRate: 0.03,
+  businessMinWithholding: 0,
+  otherTaxRate: 0.2,
+  otherDeemedExpenseRate: 0.6,
+  otherTaxFreeLimit: 50000,
+  otherMinWithholding: 1000,
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function invalid(statusCode, error, extra = {}) {
+  return { error: { statusCode, error, ...extra } };
+}
+
+// 10원 미만 절사 (부동소수 오차 보정)
+function floor10(n) { return Math.floor((n + 1e-6) / 10) * 10; }
+
+function isFreelancer(employee) {
+  return employee?.work_type === WORK_TYPE.FREELANCER;
+}
+
+function contractorRules(rules) {
+  return { ...DEFAULT_CONTRACTOR_RULES, ...(rules?.contractor || {}) };
+}
+
+/**
+ * 지급 요청 본문 검증 → contractor_payments 저장 필드 (세액 제외)
+ * @param {object} body - { incomeType, grossAmount, payDate, description, expenseMethod, necessaryExpense, industryCode, incomeCode, memo }
+ * @returns {{ payment: object } | { error: object }}
+ */
+function validateContractorPayment(body = {}) {
+  if (!Object.values(INCOME_TYPE).includes(body.incomeType)) {
+    return invalid(400, 'incomeType은 ' + Object.values(INCOME_TYPE).join(', ') + ' 중 하나여야 합니다.');
+  }
+  const grossAmount = Number(body.grossAmount);
+  if (!Number.isInteger(grossAmount) || grossAmount <= 0) {
+    return invalid(400, '지급액(grossAmount)은 1원 이상의 정수여야 합니다.');
+  }
+  if (!DATE_RE.test(body.payDate || '')) {
+    return invalid(400, '지급일(payDate)은 YYYY-MM-DD 형식이어야 합니다.');
+  }
+  if (!body.description || !String(body.description).trim()) {
+    return invalid(400, '지급 내용(description)을 입력해주세요. (예: 3월 강의료)');
+  }
+
+  const payment = {
+    income_type:       body.incomeType,
+    gross_amount:      grossAmount,
+    pay_date:          body.payDate,
+    year:              Number(body.payDate.slice(0, 4)),
+    month:             Number(body.payDate.slice(5, 7)),
+    description:       String(body.description).trim(),
+    industry_code:     null,
+    income_code:       null,
+    expense_method:    null,
+    necessary_expense: 0,
+    memo:              body.memo || null,
+  };
+
+  if (body.incomeType === INCOME_TYPE.BUSINESS) {
+    const code = body.industryCode ? String(body.industryCode).trim() : DEFAULT_INDUSTRY_CODE;
+    if (!/^\d{6}$/.test(code)) return invalid(400, '업종코드(industryCode)는 6자리 숫자여야 합니다.');
+    payment.industry_code = code;
+  } else {
+    const method = body.expenseMethod || EXPENSE_METHOD.DEEMED;
+    if (!Object.values(EXPENSE_METHOD).includes(method)) {
+      return invalid(400, 'expenseMethod는 ' + Object.values(EXPENSE_METHOD).join(', ') + ' 중 하나여야 합니다.');
+    }
+    if (method === EXPENSE_METHOD.ACTUAL) {
+      const expense = Number(body.necessaryExpense);
+      if (!Number.isFinite(expense) || expense < 0 || expense > grossAmount) {
+        return invalid(400, '실제 필요경비(necessaryExpense)는 0 이상, 지급액 이하여야 합니다.');
+      }
+      payment.necessary_expense = Math.floor(expense);
+    }
+    payment.expense_method = method;
+    payment.income_code = body.incomeCode ? String(body.incomeCode).trim() : null;
+  }
+  return { payment };
+}
+
+/**
+ * 지급 1건 원천징수 계산 (순수 함수)
+ * @param {object} payment - validateContractorPayment().payment 또는 contractor_payments 행
+ * @param {object} rules - loadAllPayrollRules 결과 (contractor, incomeTax.localTaxRate)
+ * @returns {{ necessary_expense, income_amount, tax_rate, income_tax, local_income_tax, net_amount, exempt_reason }}
+ */
+function calculateContractorWithholding(payment, rules) {
+  const r = contractorRules(rules);
+  const localRate = rules?.incomeTax?.localTaxRate ?? 0.1;
+  const gross = Number(payment.gross_amount) || 0;
+
+  let expense = 0;
+  let taxRate = r.businessTaxRate;
+  let minWithholding = r.businessMinWithholding;
+  let exemptReason = null;
+  if (payment.income_type === INCOME_TYPE.OTHER) {
+    expense = payment.expense_method === EXPENSE_METHOD.ACTUAL
+      ? Number(payment.necessary_expense) || 0
+      : Math.floor(gross * r.otherDeemedExpenseRate);
+    taxRate = r.otherTaxRate;
+    minWithholding = r.otherMinWithholding;
+  }
+  const incomeAmount = gross - expense;
+
+  let incomeTax = floor10(incomeAmount * taxRate);
+  if (payment.income_type === INCOME_TYPE.OTHER && incomeAmount <= r.otherTaxFreeLimit) {
+    incomeTax = 0;
+    exemptReason = `과세최저한 — 기타소득금액 ${incomeAmount.toLocaleString('ko-KR')}원 (건별 ${r.otherTaxFreeLimit.toLocaleString('ko-KR')}원 이하)`;
+  } else if (incomeTax > 0 && incomeTax < minWithholding) {
+    incomeTax = 0;
+    exemptReason = `소액부징수 — 소득세 ${minWithholding.toLocaleString('ko-KR')}원 미만`;
+  }
+  const localIncomeTax = floor10(incomeTax * localRate);
+
+  return {
+    necessary_expense: expense,
+    income_amount:     incomeAmount,
+    tax_rate:          taxRate,
+    income_tax:        incomeTax,
+    local_income_tax:  localIncomeTax,
+    net_amount:        gross - incomeTax - localIncomeTax,
+    exempt_reason:     exemptReason,
+  };
+}
+
+/**
+ * 간이지급명세서 집계 — 소득 구분별 · 소득자별 지급월 합계 (지급 완료 건만)
+ * @param {Array} payments - contractor_payments (employees 조인 포함)
+ * @returns {{ business: { rows, totals }, other: { rows, totals } }}
+ */
+function aggregateSimplifiedStatement(payments = []) {
+  const groups = { business: new Map(), other: new Map() };
+  for (const p of payments) {
+    if (p.status !== PAYMENT_STATUS.PAID || !groups[p.income_type]) continue;
+    const emp = (Array.isArray(p.employees) ? p.employees[0] : p.employees) || {};
+    const key = p.employee_id;
+    const row = groups[p.income_type].get(key) || {
+      employeeId:       p.employee_id,
+      name:             emp.name || '',
+      birthDate:        emp.birth_date || null,
+      year:             p.year,
+      month:            p.month,
+      industryCode:     p.industry_code || null,
+      incomeCode:       p.income_code || null,
+      taxRate:          Number(p.tax_rate) || 0,
+      count:            0,
+      grossAmount:      0,
+      necessaryExpense: 0,
+      incomeAmount:     0,
+      incomeTax:        0,
+      localIncomeTax:   0,
+    };
+    row.count += 1;
+    row.grossAmount += Number(p.gross_amount) || 0;
+    row.necessaryExpense += Number(p.necessary_expense) || 0;
+    row.incomeAmount += Number(p.income_amount) || 0;
+    row.incomeTax += Number(p.income_tax) || 0;
+    row.localIncomeTax += Number(p.local_income_tax) || 0;
+    groups[p.income_type].set(key, row);
+  }
+
+  const summarize = (map) => {
+    const rows = [...map.values()].sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+    const sum = (k) => rows.reduce((acc, r) => acc + r[k], 0);
+    return {
+      rows,
+      totals: {
+        payees:           rows.length,
+        count:            sum('count'),
+        grossAmount:      sum('grossAmount'),
+        necessaryExpense: sum('necessaryExpense'),
+        incomeAmount:     sum('incomeAmount'),
+        incomeTax:        sum('incomeTax'),
+        localIncomeTax:   sum('localIncomeTax'),
+      },
+    };
+  };
+  return { business: summarize(groups.business), other: summarize(groups.other) };
+}
+
+function formatContractorPayment(row) {
+  const emp = (Array.isArray(row.employees) ? row.employees[0] : row.employees) || null;
+  return {
+    id:               row.id,
+    employeeId:       row.employee_id,
+    employeeName:     emp?.name || null,
+    incomeType:       row.income_type,
+    incomeTypeLabel:  INCOME_TYPE_LABELS[row.income_type] || row.income_type,
+    payDate:          row.pay_date,
+    year:             row.year,
+    month:            row.month,
+    description:      row.description,
+    industryCode:     row.industry_code || null,
+    incomeCode:       row.income_code || null,
+    expenseMethod:    row.expense_method || null,
+    grossAmount:      Number(row.gross_amount) || 0,
+    necessaryExpense: Number(row.necessary_expense) || 0,
+    incomeAmount:     Number(row.income_amount) || 0,
+    taxRate:          Number(row.tax_rate) || 0,
+    incomeTax:        Number(row.income_tax) || 0,
+    localIncomeTax:   Number(row.local_income_tax) || 0,
+    netAmount:        Number(row.net_amount) || 0,
+    exemptReason:     row.exempt_reason || null,
+    status:           row.status,
+    paidAt:           row.paid_at || null,
+    memo:             row.memo || null,
+    createdBy:        row.created_by,
+    createdAt:        row.created_at,
+  };
+}
+
+module.exports = {
+  INCOME_TYPE,
+  INCOME_TYPE_LABELS,
+  EXPENSE_METHOD,
+  PAYMENT_STATUS,
+  isFreelancer,
+  validateContractorPayment,
+  calculateContractorWithholding,
+  aggregateSimplifiedStatement,
+  formatContractorPayment,
+};
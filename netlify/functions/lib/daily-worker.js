@@ -0,0 +1,223 @@
+// netlify/functions/lib/daily-worker.js
+// 일용근로자(employees.work_type = 'daily') 급여 — 일별 원천징수, 4대보험 적용 판정, 일용근로소득 지급명세서 집계
+//
+// 원천징수 (소득세법 제47조·제55조·제56조의2·제86조)
+//   일별 소득세 = 산출세액 (일급여 - 근로소득공제 15만원) × 6% - 근로소득세액공제 (산출세액 × 55%)  → 10원 미만 절사
+//   지급 1회(급여 기간) 소득세 = 일별 소득세 합계
+//   소액부징수: 지급 1회 소득세 합계가 1,000원 미만이면 징수하지 않음 (월 지급 — 일별로 판정하지 않음)
+//   지방소득세 = 소득세 합계 × 10% (10원 미만 절사)
+//   일급여 = 그날 근로분(기본급 + 연장·야간·휴일수당) + 주휴수당은 그 주의 마지막 근무일에 합산
+//            월 단위 수당·비과세·끝전은 마지막 근무일에 합산 (일별 합계 = 월 과세·비과세 합계)
+//
+// 4대보험 적용 (일용근로자 기준)
+//   국민연금: 월 8일 이상 또는 월 60시간 이상 근로 시 사업장가입자 (국민연금법 시행령 제2조)
+//   건강보험·장기요양: 월 8일 이상 근로 시 직장가입자 (국민건강보험법 시행령 제9조, 1개월 미만 일용 제외)
+//   고용보험: 근로일수와 무관하게 적용 — 근로내용확인신고 대상 (65세 이상 신규 제외는 상용과 같음)
+//
+// 사용법:
+//   const { isDailyWorker, buildDailyWageRows, calculateDailyWithholding } = require('./lib/daily-worker');
+
+const { toKstDateKey } = require('./holidays');
+
+const WORK_TYPE = {
+  FULL_TIME: 'full_time',
+  PART_TIME: 'part_time',
+  CONTRACT:  'contract',
+  DAILY:     'daily',
+  FREELANCER: 'freelancer', // 사업·기타소득 지급 대상 (lib/contractor-pay.js) — 급여 계산 제외
+};
+
+// rules.dailyWorker 가 없을 때 (payroll-rules.js 기본값과 같음)
+const DEFAULT_DAILY_RULES = {
+  dailyDeduction: 150000,  // 근로소득공제 1일 15만원
+  taxRate: 0.06,           // 기본세율 6%
+  taxCreditRate: 0.55,     // 근로소득세액공제 55%
+  minWithholding: 1000,    // 소액부징수 기준 (지급 1회 소득세 합계)
+  pensionMinDays: 8,
+  pensionMinHours: 60,
+  healthMinDays: 8,
+};
+
+// 원 미만 절사 (부동소수 오차 보정)
+function floorWon(n) { return Math.floor(n + 1e-6); }
+
+// 10원 미만 절사
+function floor10(n) { return Math.floor((n + 1e-6) / 10) * 10; }
+
+function isDailyWorker(employee) {
+  return employee?.work_type === WORK_TYPE.DAILY;
+}
+
+function dailyRules(rules) {
+  return { ...DEFAULT_DAILY_RULES, ...(rules?.dailyWorker || {}) };
+}
+
+/**
+ * 출퇴근 기록 → 일별 과세·비과세 급여 (순수 함수)
+ * @param {object} params
+ * @param {Array}  params.attendances - 해당 월 출퇴근 기록
+ * @param {Function} params.resolveWorkTime - att → { netMinutes, nightHours }
+ * @param {object} params.holidayCalendar - isHoliday(date)
+ * @param {string} params.salaryType - hourly | daily (그 외 유형은 기본급을 끝전으로 처리)
+ * @param {number} params.baseSalary - 일급 또는 시급
+ * @param {number} params.hourlyRate - 기본급 시급 환산
+ * @param {number} params.ordinaryHourlyRate - 시간급 통상임금 (가산수당 기준)
+ * @param {object} params.rules - loadAllPayrollRules 결과 (overtime)
+ * @param {Array}  [params.weeklyHolidayWeeks] - calculateWeeklyHolidayPay().weeks
+ * @param {number} params.taxableTotal - 월 과세 소득 (일별 합계를 이 값에 맞춤)
+ * @param {number} params.nonTaxableTotal - 월 비과세 합계
+ * @returns {Array<{ date: string, hours: number, taxable: number, nonTaxable: number }>}
+ */
+function buildDailyWageRows({
+  attendances = [], resolveWorkTime, holidayCalendar, salaryType, baseSalary, hourlyRate, ordinaryHourlyRate,
+  rules, weeklyHolidayWeeks = [], taxableTotal, nonTaxableTotal,
+}) {
+  const days = new Map();
+  for (const att of attendances) {
+    const date = toKstDateKey(att.check_in_time);
+    const wt = resolveWorkTime(att);
+    const day = days.get(date) || { date, hours: 0, nightHours: 0, holiday: holidayCalendar.isHoliday(new Date(att.check_in_time)) };
+    day.hours += wt.netMinutes / 60;
+    day.nightHours += wt.nightHours || 0;
+    days.set(date, day);
+  }
+
+  const rows = [...days.values()].sort((a, b) => a.date.localeCompare(b.date)).map(day => {
+    let pay = 0;
+    if (day.holiday) {
+      pay += Math.floor(Math.min(day.hours, 8) * ordinaryHourlyRate * rules.overtime.holidayRate);
+      pay += Math.floor(Math.max(day.hours - 8, 0) * ordinaryHourlyRate * (rules.overtime.holidayExtendedRate || 2.0));
+    } else {
+      if (salaryType === 'daily') pay += baseSalary;
+      else if (salaryType === 'hourly') pay += Math.floor(Math.min(day.hours, 8) * hourlyRate);
+      pay += Math.floor(Math.max(day.hours - 8, 0) * ordinaryHourlyRate * rules.overtime.extendedRate);
+    }
+    pay += Math.floor(day.nightHours * ordinaryHourlyRate * rules.overtime.nightRate);
+    return { date: day.date, hours: Math.round(day.hours * 100) / 100, taxable: pay, nonTaxable: 0 };
+  });
+  if (rows.length === 0) return rows;
+
+  // 주휴수당 — 그 주의 마지막 근무일 (해당 월 안)
+  for (const week of weeklyHolidayWeeks) {
+    if (!(week.amount > 0)) continue;
+    const target = [...rows].reverse().find(r => r.date >= week.weekStart && r.date <= week.weekEnd) || rows[rows.length - 1];
+    target.taxable += week.amount;
+  }
+
+  // 월 단위 수당·비과세·근태 공제·절사 차이 — 마지막 근무일
+  const last = rows[rows.length - 1];
+  last.taxable += taxableTotal - rows.reduce((sum, r) => sum + r.taxable, 0);
+  last.nonTaxable += nonTaxableTotal;
+  return rows;
+}
+
+/**
+ * 일용근로소득 원천징수 (일별 계산 후 지급 1회 단위로 합산·소액부징수 판정)
+ * @param {Array} rows - buildDailyWageRows 결과 (한 번에 지급하는 급여 기간)
+ * @param {object} rules - loadAllPayrollRules 결과 (dailyWorker, incomeTax.localTaxRate)
+ * @returns {{ days: Array, incomeTax: number, localIncomeTax: number, exempt: boolean }}
+ *   exempt = 지급 합계 소득세가 소액부징수 기준 미만 (일별 세액은 참고용으로 남기고 0원 징수)
+ */
+function calculateDailyWithholding(rows, rules) {
+  const r = dailyRules(rules);
+  const localRate = rules?.incomeTax?.localTaxRate ?? 0.1;
+  const computedDays = rows.map(row => {
+    const base = Math.max(0, row.taxable - r.dailyDeduction);
+    const calculated = floorWon(base * r.taxRate);                             // 산출세액
+    const computed = floor10(calculated - floorWon(calculated * r.taxCreditRate)); // 근로소득세액공제 차감
+    return { ...row, computedTax: computed };
+  });
+  const computedTotal = computedDays.reduce((sum, d) => sum + d.computedTax, 0);
+  const exempt = computedTotal > 0 && computedTotal < r.minWithholding; // 소액부징수 (지급 1회 기준)
+
+  const days = computedDays.map(({ computedTax, ...row }) => ({
+    ...row,
+    incomeTax: exempt ? 0 : computedTax,
+    exempt,
+  }));
+  const incomeTax = exempt ? 0 : computedTotal;
+  return {
+    days,
+    incomeTax,
+    localIncomeTax: floor10(incomeTax * localRate),
+    exempt,
+  };
+}
+
+/**
+ * 일용근로자 4대보험 적용 판정 (연령 면제는 calculate-payroll.js 에서 별도 적용)
+ * @param {object} params - { workDays, workHours, rules }
+ * @returns {{ nationalPension: { eligible, reason }, healthInsurance: { eligible, reason }, employmentInsurance: { eligible, reason } }}
+ */
+function checkDailyInsuranceEligibility({ workDays, workHours, rules }) {
+  const r = dailyRules(rules);
+  const pension = workDays >= r.pensionMinDays || workHours >= r.pensionMinHours;
+  const health = workDays >= r.healthMinDays;
+  return {
+    nationalPension: {
+      eligible: pension,
+      reason: pension
+        ? `월 ${workDays}일 · ${workHours.toFixed(1)}시간 근로 — 사업장가입 대상`
+        : `월 ${r.pensionMinDays}일 미만 · ${r.pensionMinHours}시간 미만 일용근로 — 적용 제외`,
+    },
+    healthInsurance: {
+      eligible: health,
+      reason: health
+        ? `월 ${workDays}일 근로 — 직장가입 대상`
+        : `월 ${r.healthMinDays}일 미만 일용근로 — 적용 제외`,
+    },
+    employmentInsurance: {
+      eligible: true,
+      reason: '일용근로자 고용보험 적용 (근로내용확인신고 대상)',
+    },
+  };
+}
+
+/**
+ * 일용근로소득 지급명세서 집계 — 직원별 월 합계 (payrolls + employees)
+ * @param {Array} payrolls - 해당 월 일용근로자 payrolls (employees 조인 포함)
+ * @returns {{ rows: Array, totals: object }}
+ */
+function aggregateDailyStatement(payrolls = []) {
+  const rows = payrolls.map(p => {
+    const emp = (Array.isArray(p.employees) ? p.employees[0] : p.employees) || {};
+    const days = Array.isArray(p.daily_wage_breakdown) ? p.daily_wage_breakdown : [];
+    return {
+      employeeId:          p.employee_id,
+      name:                emp.name || '',
+      birthDate:           emp.birth_date || null,
+      year:                p.year,
+      month:               p.month,
+      workDays:            days.length || p.total_work_days || 0,
+      lastWorkDate:        days.length ? days[days.length - 1].date : null,
+      taxableIncome:       Number(p.taxable_income) || 0,
+      nonTaxableIncome:    Number(p.non_taxable_amount) || 0,
+      incomeTax:           Number(p.income_tax) || 0,
+      localIncomeTax:      Number(p.local_income_tax) || 0,
+      employmentInsurance: Number(p.employment_insurance) || 0,
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+
+  const sum = (key) => rows.reduce((acc, r) => acc + r[key], 0);
+  return {
+    rows,
+    totals: {
+      count:               rows.length,
+      workDays:            sum('workDays'),
+      taxableIncome:       sum('taxableIncome'),
+      nonTaxableIncome:    sum('nonTaxableIncome'),
+      incomeTax:           sum('incomeTax'),
+      localIncomeTax:      sum('localIncomeTax'),
+      employmentInsurance: sum('employmentInsurance'),
+    },
+  };
+}
+
+module.exports = {
+  WORK_TYPE,
+  isDailyWorker,
+  buildDailyWageRows,
+  calculateDailyWithholding,
+  checkDailyInsuranceEligibility,
+  aggregateDailyStatement,
+};
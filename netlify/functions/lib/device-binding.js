@@ -0,0 +1,123 @@
+// netlify/functions/lib/device-binding.js
+// 직원 기기 등록(디바이스 바인딩) 공통 모듈 — 대리출근 방지
+//
+// 흐름:
+//  1) 처음 쓰는 휴대폰 → SMS 인증번호(SOLAPI) 확인 → 기기 인증키 발급 (device-binding.js)
+//  2) 인증키는 휴대폰 브라우저(localStorage)에 보관, 이후 출퇴근 요청마다 함께 전송
+//  3) attendance-checkin.js 가 인증키 검증 (companies.device_binding_required = true 일 때 필수)
+//  4) 관리자는 등록 기기 조회/해제 (employee-devices.js)
+//
+// 저장 (평문 저장 금지 — 모두 SHA-256 해시):
+//   device_otp_requests: id, company_id, employee_id, code_hash, expires_at, attempts, consumed_at, client_ip, created_at
+//   employee_devices:    id, company_id, employee_id, credential_hash, device_label, bound_ip,
+//                        bound_at, last_used_at, revoked_at, revoked_by, revoke_reason
+//
+// 인증키 형식: "{employee_devices.id}.{256비트 난수 base64url}"
+
+const crypto = require('crypto');
+
+// 인증번호
+const OTP_DIGITS = 6;
+const OTP_TTL_MINUTES = 5;
+const OTP_MAX_ATTEMPTS = 5;
+// 인증번호 요청 제한: 직원당 10분에 3회
+const OTP_REQUEST_WINDOW_MINUTES = 10;
+const OTP_REQUEST_LIMIT = 3;
+// 기기 재등록 제한: 직원당 7일에 2회 (최초 등록 포함) — 초과 시 관리자가 기존 기기 해제 후에도 대기
+const REBIND_WINDOW_DAYS = 7;
+const REBIND_LIMIT = 2;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const bufA = Buffer.from(a || '', 'hex');
+  const bufB = Buffer.from(b || '', 'hex');
+  return bufA.length > 0 && bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/** 6자리 인증번호 */
+function generateOtp() {
+  return String(crypto.randomInt(0, 10 ** OTP_DIGITS)).padStart(OTP_DIGITS, '0');
+}
+
+/** 인증번호 해시 — 요청 ID 를 섞어서 같은 번호라도 요청마다 다른 해시 */
+function hashOtp(requestId, code) {
+  return sha256(`${requestId}:${code}`);
+}
+
+/** 새 기기 인증키 비밀값 */
+function generateCredentialSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function buildCredential(deviceId, secret) {
+  return `${deviceId}.${secret}`;
+}
+
+function parseCredential(credential) {
+  const m = /^([0-9a-f-]{36})\.([A-Za-z0-9_-]{43})$/i.exec(String(credential || ''));
+  return m ? { deviceId: m[1], secret: m[2] } : null;
+}
+
+/** User-Agent → 관리자 화면용 기기 이름 (예: "iPhone · Safari") */
+function describeDevice(userAgent) {
+  const ua = String(userAgent || '');
+  const os = /iPhone|iPad/.test(ua) ? (ua.includes('iPad') ? 'iPad' : 'iPhone')
+    : /Android/.test(ua) ? 'Android'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Mac OS/.test(ua) ? 'Mac' : '기타';
+  const browser = /SamsungBrowser/.test(ua) ? '삼성 인터넷'
+    : /KAKAOTALK/i.test(ua) ? '카카오톡'
+    : /NAVER/.test(ua) ? '네이버'
+    : /CriOS|Chrome/.test(ua) ? 'Chrome'
+    : /Safari/.test(ua) ? 'Safari' : '브라우저';
+  return `${os} · ${browser}`;
+}
+
+/**
+ * 출퇴근 요청의 기기 인증키 검증
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.employeeId
+ * @param {string} params.credential
+ * @returns {Promise<object|null>} 유효한 employee_devices row 또는 null
+ */
+async function verifyDeviceCredential(supabase, { employeeId, credential }) {
+  const parsed = parseCredential(credential);
+  if (!parsed) return null;
+
+  const { data: device } = await supabase
+    .from('employee_devices')
+    .select('id, employee_id, credential_hash, device_label, revoked_at')
+    .eq('id', parsed.deviceId)
+    .maybeSingle();
+
+  if (!device || device.revoked_at || device.employee_id !== employeeId) return null;
+  if (!safeEqualHex(device.credential_hash, sha256(parsed.secret))) return null;
+
+  await supabase
+    .from('employee_devices')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', device.id);
+
+  return device;
+}
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_REQUEST_WINDOW_MINUTES,
+  OTP_REQUEST_LIMIT,
+  REBIND_WINDOW_DAYS,
+  REBIND_LIMIT,
+  sha256,
+  safeEqualHex,
+  generateOtp,
+  hashOtp,
+  generateCredentialSecret,
+  buildCredential,
+  describeDevice,
+  verifyDeviceCredential,
+};
@@ -0,0 +1,404 @@
+// netlify/functions/lib/holidays.js
+// 공휴일 캘린더 엔진 — 관공서의 공휴일에 관한 규정 + 근로자의날 + 회사 약정휴일
+//
+// [역할]
+//  1) 음력 → 양력 변환 (설날·추석·부처님오신날) — 천문 계산, 연도 하드코딩 없음
+//  2) 대체공휴일 규정 (제3조) 적용
+//  3) 선거일·임시공휴일 등 정부 지정일 → public_holidays 테이블
+//  4) 회사/사업장별 약정휴일 → company_holidays 테이블
+//  ※ 모든 날짜 판단은 KST(UTC+9) 기준 (Netlify 서버는 UTC)
+//
+// 사용법:
+//   const { loadHolidayCalendar } = require('./lib/holidays');
+//   const calendar = await loadHolidayCalendar(supabase, { companyId, businessId, from, to });
+//   calendar.isHoliday(new Date(att.check_in_time)); // true/false
+//   calendar.getHoliday('2026-09-25');               // { date, name, type } | null
+
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const KST_TIMEZONE = 9; // 음력 계산용 표준시 (동경 135도)
+
+// ─────────────────────────────────────────────────────────────
+// KST 날짜 헬퍼
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Date 또는 'YYYY-MM-DD' 문자열을 KST 기준 날짜 키로 변환
+ * 예) 2026-03-01T16:00:00Z (UTC) → '2026-03-02' (KST 01:00)
+ * @param {Date|string} date
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function toKstDateKey(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  const kst = new Date(new Date(date).getTime() + KST_OFFSET_MS);
+  return kst.toISOString().slice(0, 10);
+}
+
+/**
+ * 날짜 키의 요일 (0=일 ~ 6=토)
+ * @param {string} key - 'YYYY-MM-DD'
+ */
+function weekdayOf(key) {
+  return new Date(`${key}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * 날짜 키에 일수 더하기
+ * @param {string} key - 'YYYY-MM-DD'
+ * @param {number} days
+ */
+function addDays(key, days) {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function pad2(n) { return String(n).padStart(2, '0'); }
+
+// ─────────────────────────────────────────────────────────────
+// 음력 → 양력 변환
+// 비유: 달력 공장에서 매년 새 달력을 찍어내듯, 삭(新月)과 중기(中氣)를
+//       천문 계산으로 구해 음력 월의 시작일을 정함 (한국천문연구원 역법과 동일 원리)
+//  - 음력 11월 = 동지(태양황경 270°)가 든 달
+//  - 동지~동지 사이에 삭이 13번이면 중기가 없는 첫 달이 윤달
+//  - 날짜 경계는 KST 자정 (중국 음력과 다른 해가 있음, 예: 2027 설날)
+// ─────────────────────────────────────────────────────────────
+const INT = Math.floor;
+const RAD = Math.PI / 180;
+
+// 그레고리력 → 율리우스 적일
+function jdFromDate(dd, mm, yy) {
+  const a = INT((14 - mm) / 12);
+  const y = yy + 4800 - a;
+  const m = mm + 12 * a - 3;
+  return dd + INT((153 * m + 2) / 5) + 365 * y + INT(y / 4) - INT(y / 100) + INT(y / 400) - 32045;
+}
+
+// 율리우스 적일 → 'YYYY-MM-DD'
+function jdToDateKey(jd) {
+  const a = jd + 32044;
+  const b = INT((4 * a + 3) / 146097);
+  const c = a - INT((b * 146097) / 4);
+  const d = INT((4 * c + 3) / 1461);
+  const e = c - INT((1461 * d) / 4);
+  const m = INT((5 * e + 2) / 153);
+  const day = e - INT((153 * m + 2) / 5) + 1;
+  const month = m + 3 - 12 * INT(m / 10);
+  const year = b * 100 + d - 4800 + INT(m / 10);
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+// k번째 삭(新月)의 율리우스일 (UT) — Meeus 천문 알고리즘 간략식
+function newMoonJd(k) {
+  const T = k / 1236.85;
+  const T2 = T * T;
+  const T3 = T2 * T;
+  let jd1 = 2415020.75933 + 29.53058868 * k + 0.0001178 * T2 - 0.000000155 * T3;
+  jd1 += 0.00033 * Math.sin((166.56 + 132.87 * T - 0.009173 * T2) * RAD);
+  const M = 359.2242 + 29.10535608 * k - 0.0000333 * T2 - 0.00000347 * T3;   // 태양 평균근점이각
+  const Mpr = 306.0253 + 385.81691806 * k + 0.0107306 * T2 + 0.00001236 * T3; // 달 평균근점이각
+  const F = 21.2964 + 390.67050646 * k - 0.0016528 * T2 - 0.00000239 * T3;   // 달 승교점 이각
+  let c1 = (0.1734 - 0.000393 * T) * Math.sin(M * RAD) + 0.0021 * Math.sin(2 * RAD * M);
+  c1 = c1 - 0.4068 * Math.sin(Mpr * RAD) + 0.0161 * Math.sin(RAD * 2 * Mpr);
+  c1 = c1 - 0.0004 * Math.sin(RAD * 3 * Mpr);
+  c1 = c1 + 0.0104 * Math.sin(RAD * 2 * F) - 0.0051 * Math.sin(RAD * (M + Mpr));
+  c1 = c1 - 0.0074 * Math.sin(RAD * (M - Mpr)) + 0.0004 * Math.sin(RAD * (2 * F + M));
+  c1 = c1 - 0.0004 * Math.sin(RAD * (2 * F - M)) - 0.0006 * Math.sin(RAD * (2 * F + Mpr));
+  c1 = c1 + 0.0010 * Math.sin(RAD * (2 * F - Mpr)) + 0.0005 * Math.sin(RAD * (2 * Mpr + M));
+  const deltaT = T < -11
+    ? 0.001 + 0.000839 * T + 0.0002261 * T2 - 0.00000845 * T3 - 0.000000081 * T * T3
+    : -0.000278 + 0.000265 * T + 0.000262 * T2;
+  return jd1 + c1 - deltaT;
+}
+
+// 율리우스일의 태양 황경 (라디안, 0~2π)
+function sunLongitude(jd) {
+  const T = (jd - 2451545.0) / 36525;
+  const T2 = T * T;
+  const M = 357.52910 + 35999.05030 * T - 0.0001559 * T2 - 0.00000048 * T * T2;
+  const L0 = 280.46645 + 36000.76983 * T + 0.0003032 * T2;
+  let DL = (1.914600 - 0.004817 * T - 0.000014 * T2) * Math.sin(RAD * M);
+  DL = DL + (0.019993 - 0.000101 * T) * Math.sin(RAD * 2 * M) + 0.000290 * Math.sin(RAD * 3 * M);
+  const L = (L0 + DL) * RAD;
+  return L - Math.PI * 2 * INT(L / (Math.PI * 2));
+}
+
+// 해당 날(현지 자정) 태양 황경의 30° 구간 번호 (0~11) — 중기 판정용
+function sunSector(dayNumber) {
+  return INT(sunLongitude(dayNumber - 0.5 - KST_TIMEZONE / 24) / Math.PI * 6);
+}
+
+// k번째 삭이 든 날 (KST 기준 율리우스 적일)
+function newMoonDay(k) {
+  return INT(newMoonJd(k) + 0.5 + KST_TIMEZONE / 24);
+}
+
+// 해당 양력 연도의 음력 11월 1일 (동지가 든 달)
+function lunarMonth11(year) {
+  const off = jdFromDate(31, 12, year) - 2415021;
+  const k = INT(off / 29.530588853);
+  const nm = newMoonDay(k);
+  return sunSector(nm) >= 9 ? newMoonDay(k - 1) : nm;
+}
+
+// 11월 기준 윤달 위치 (몇 번째 달이 윤달인지)
+function leapMonthOffset(a11) {
+  const k = INT((a11 - 2415021.076998695) / 29.530588853 + 0.5);
+  let last;
+  let i = 1;
+  let arc = sunSector(newMoonDay(k + i));
+  do {
+    last = arc;
+    i++;
+    arc = sunSector(newMoonDay(k + i));
+  } while (arc !== last && i < 14);
+  return i - 1;
+}
+
+/**
+ * 음력 날짜 → 양력 날짜 (KST)
+ * @param {number} lunarYear
+ * @param {number} lunarMonth - 1~12
+ * @param {number} lunarDay   - 1~30
+ * @param {boolean} isLeap    - 윤달 여부
+ * @returns {string|null} 'YYYY-MM-DD' (해당 윤달이 없으면 null)
+ */
+function lunarToSolar(lunarYear, lunarMonth, lunarDay, isLeap = false) {
+  let a11, b11;
+  if (lunarMonth < 11) {
+    a11 = lunarMonth11(lunarYear - 1);
+    b11 = lunarMonth11(lunarYear);
+  } else {
+    a11 = lunarMonth11(lunarYear);
+    b11 = lunarMonth11(lunarYear + 1);
+  }
+  const k = INT(0.5 + (a11 - 2415021.076998695) / 29.530588853);
+  let off = lunarMonth - 11;
+  if (off < 0) off += 12;
+
+  if (b11 - a11 > 365) {
+    // 윤달이 있는 해
+    const leapOff = leapMonthOffset(a11);
+    let leapMonth = leapOff - 2;
+    if (leapMonth < 0) leapMonth += 12;
+    if (isLeap && lunarMonth !== leapMonth) return null;
+    if (isLeap || off >= leapOff) off += 1;
+  } else if (isLeap) {
+    return null;
+  }
+
+  return jdToDateKey(newMoonDay(k + off) + lunarDay - 1);
+}
+
+// ─────────────────────────────────────────────────────────────
+// 법정공휴일 + 대체공휴일 (관공서의 공휴일에 관한 규정 제2조, 제3조)
+// ─────────────────────────────────────────────────────────────
+
+// 고정 공휴일 — substituteFrom: 대체공휴일 적용 시작 연도 (null = 대체 없음)
+const FIXED_HOLIDAYS = [
+  { md: '01-01', name: '신정',   substituteFrom: null },
+  { md: '03-01', name: '삼일절', substituteFrom: 2021 },
+  { md: '05-05', name: '어린이날', substituteFrom: 2014 },
+  { md: '06-06', name: '현충일', substituteFrom: null },
+  { md: '08-15', name: '광복절', substituteFrom: 2021 },
+  { md: '10-03', name: '개천절', substituteFrom: 2021 },
+  { md: '10-09', name: '한글날', substituteFrom: 2021 },
+  { md: '12-25', name: '성탄절', substituteFrom: 2023 },
+];
+
+// 근로자의날 — 관공서 공휴일은 아니지만 근로자의날 제정에 관한 법률상 유급휴일
+const LABOR_DAY_MD = '05-01';
+
+const statutoryCache = new Map();
+
+/**
+ * 연도별 법정 휴일 목록 (일요일 제외)
+ * @param {number} year
+ * @returns {Array<{date: string, name: string, type: string}>}
+ *   type: 'public' | 'lunar' | 'substitute' | 'labor'
+ */
+function getStatutoryHolidays(year) {
+  if (statutoryCache.has(year)) return statutoryCache.get(year);
+
+  const list = [];
+  const taken = new Set(); // 공휴일로 확정된 날짜 (중복 판정용)
+  const push = (date, name, type) => {
+    list.push({ date, name, type });
+    taken.add(date);
+  };
+
+  // ── 1) 고정 공휴일 ──
+  FIXED_HOLIDAYS.forEach(h => push(`${year}-${h.md}`, h.name, 'public'));
+
+  // ── 2) 음력 공휴일 ──
+  // 설날 연휴(전날·당일·다음날), 부처님오신날(4/8), 추석 연휴(8/14~8/16)
+  const seollal = lunarToSolar(year, 1, 1);
+  const chuseok = lunarToSolar(year, 8, 15);
+  [addDays(seollal, -1), seollal, addDays(seollal, 1)]
+    .forEach((d, i) => push(d, i === 1 ? '설날' : '설날 연휴', 'lunar'));
+  push(lunarToSolar(year, 4, 8), '부처님오신날', 'lunar');
+  [addDays(chuseok, -1), chuseok, addDays(chuseok, 1)]
+    .forEach((d, i) => push(d, i === 1 ? '추석' : '추석 연휴', 'lunar'));
+
+  // ── 3) 대체공휴일 (제3조) ──
+  // 대체 대상 공휴일이 든 날짜별로 1일씩 부여 (같은 날 두 공휴일이 겹쳐도 1일)
+  //  - 설날·추석 연휴: 일요일 또는 다른 공휴일과 겹칠 때 (토요일은 해당 없음)
+  //  - 어린이날·국경일·부처님오신날·성탄절: 토·일요일 또는 다른 공휴일과 겹칠 때
+  // 대체일 = 그 날 다음의 첫 번째 비공휴일(평일)
+  const eligibility = (h) => {
+    if (h.name.startsWith('설날') || h.name.startsWith('추석')) return year >= 2014 ? 'sunday' : null;
+    if (h.name === '부처님오신날') return year >= 2023 ? 'weekend' : null;
+    const fixed = FIXED_HOLIDAYS.find(f => f.name === h.name);
+    return fixed?.substituteFrom && year >= fixed.substituteFrom ? 'weekend' : null;
+  };
+
+  const triggerDates = [...new Set(list.map(h => h.date))].filter(date => {
+    const sameDay = list.filter(h => h.date === date);
+    const rules = sameDay.map(eligibility).filter(Boolean);
+    if (rules.length === 0) return false;
+    const wd = weekdayOf(date);
+    if (sameDay.length > 1) return true;
+    if (wd === 0) return true;
+    return wd === 6 && rules.includes('weekend');
+  }).sort();
+
+  const nextWeekday = (from) => {
+    let d = addDays(from, 1);
+    while (taken.has(d) || weekdayOf(d) === 0 || weekdayOf(d) === 6) d = addDays(d, 1);
+    return d;
+  };
+
+  triggerDates.forEach(date => {
+    const names = list.filter(h => h.date === date && eligibility(h))
+      .map(h => h.name.replace(' 연휴', ''));
+    push(nextWeekday(date), `대체공휴일(${[...new Set(names)].join('·')})`, 'substitute');
+  });
+
+  // ── 4) 근로자의날 ──
+  push(`${year}-${LABOR_DAY_MD}`, '근로자의날', 'labor');
+
+  list.sort((a, b) => a.date.localeCompare(b.date));
+  statutoryCache.set(year, list);
+  return list;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 휴일 캘린더 (법정 + 정부지정 + 회사 약정)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * 휴일 캘린더 객체 생성
+ * @param {Array} extraHolidays - [{ date, name, type }] (DB 조회분)
+ */
+function buildCalendar(extraHolidays = []) {
+  const byDate = new Map();
+
+  const getHoliday = (date) => {
+    const key = toKstDateKey(date);
+    const year = parseInt(key.slice(0, 4), 10);
+    const statutory = getStatutoryHolidays(year).find(h => h.date === key);
+    if (statutory) return statutory;
+    if (byDate.has(key)) return byDate.get(key);
+    // 일요일 = 주휴일 (근로기준법 제55조)
+    if (weekdayOf(key) === 0) return { date: key, name: '일요일(주휴일)', type: 'weekly' };
+    return null;
+  };
+
+  extraHolidays.forEach(h => {
+    if (!byDate.has(h.date)) byDate.set(h.date, h);
+  });
+
+  return {
+    getHoliday,
+    isHoliday: (date) => getHoliday(date) !== null,
+    /** 주휴일(일요일)을 제외한 휴일 여부 — 근무요일·근무표에 일요일이 포함된 직원 판정용 */
+    isPublicHoliday: (date) => {
+      const holiday = getHoliday(date);
+      return holiday !== null && holiday.type !== 'weekly';
+    },
+    /**
+     * 기간 내 휴일 목록 (일요일 제외, 달력 표시용)
+     * @param {string} fromKey - 'YYYY-MM-DD'
+     * @param {string} toKey   - 'YYYY-MM-DD'
+     */
+    listBetween(fromKey, toKey) {
+      const out = [];
+      for (let y = parseInt(fromKey.slice(0, 4), 10); y <= parseInt(toKey.slice(0, 4), 10); y++) {
+        getStatutoryHolidays(y).forEach(h => out.push(h));
+      }
+      byDate.forEach(h => out.push(h));
+      return out
+        .filter(h => h.date >= fromKey && h.date <= toKey)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+  };
+}
+
+/**
+ * DB 휴일(정부지정 + 회사 약정)을 포함한 휴일 캘린더 로드
+ * 테이블이 없거나 조회 실패 시 법정 휴일만으로 동작 (급여 계산 중단 방지)
+ *
+ * @param {object} supabase
+ * @param {object} options
+ * @param {string} options.companyId  - 회사 UUID (없으면 회사 약정휴일 제외)
+ * @param {string} options.businessId - 사업장 UUID (해당 사업장 + 회사 공통 약정휴일)
+ * @param {Date|string} options.from  - 조회 시작일
+ * @param {Date|string} options.to    - 조회 종료일
+ * @returns {Promise<object>} { isHoliday, isPublicHoliday, getHoliday, listBetween }
+ */
+async function loadHolidayCalendar(supabase, { companyId, businessId, from, to } = {}) {
+  const fromKey = toKstDateKey(from || new Date());
+  const toKey = toKstDateKey(to || from || new Date());
+  const extra = [];
+
+  // 정부 지정 휴일 (선거일, 임시공휴일 등)
+  try {
+    const { data } = await supabase
+      .from('public_holidays')
+      .select('holiday_date, name, holiday_type')
+      .gte('holiday_date', fromKey)
+      .lte('holiday_date', toKey);
+    (data || []).forEach(h => extra.push({
+      date: h.holiday_date,
+      name: h.name,
+      type: h.holiday_type || 'designated',
+    }));
+  } catch (e) {
+    // public_holidays 테이블 없으면 법정 휴일만 사용
+  }
+
+  // 회사/사업장 약정휴일 (창립기념일 등)
+  if (companyId) {
+    try {
+      let query = supabase
+        .from('company_holidays')
+        .select('id, holiday_date, name, business_id')
+        .eq('company_id', companyId)
+        .gte('holiday_date', fromKey)
+        .lte('holiday_date', toKey);
+      query = businessId
+        ? query.or(`business_id.is.null,business_id.eq.${businessId}`)
+        : query.is('business_id', null);
+
+      const { data } = await query;
+      (data || []).forEach(h => extra.push({
+        id: h.id,
+        date: h.holiday_date,
+        name: h.name,
+        type: 'company',
+        businessId: h.business_id || null,
+      }));
+    } catch (e) {
+      // company_holidays 테이블 없으면 무시
+    }
+  }
+
+  return buildCalendar(extra);
+}
+
+module.exports = {
+  loadHolidayCalendar,
+  buildCalendar,
+  getStatutoryHolidays,
+  lunarToSolar,
+  toKstDateKey,
+};
@@ -0,0 +1,106 @@
+// netlify/functions/lib/hometax-file.js
+// 홈택스 전자파일(전산매체) 고정길이 레코드 작성 — EUC-KR 바이트 기준 자리수
+// (원천세 신고 lib/withholding-report.js, 4대보험 EDI lib/insurance-filing.js)
+//
+//  - 문자(X): 왼쪽 맞춤, 남는 자리는 공백 — 한글은 2바이트, 자리수를 넘으면 글자 단위로 자름 (한글이 반으로 잘리지 않게)
+//  - 숫자(9): 오른쪽 맞춤, 남는 자리는 0 — 음수는 첫 자리에 '-' (예: 9(10) -1234 → "-000001234")
+//  - 레코드 끝은 CRLF
+//
+// EUC-KR(KS X 1001) 인코더는 Node 에 없어 TextDecoder('euc-kr') 로 코드표를 한 번 만들어 씀.
+// 코드표에 없는 문자(일부 옛 한글·특수문자)는 '?' 로 바꾸고 unmappable 로 알려줌
+//
+// 사용법:
+//   const { buildRecord } = require('./lib/hometax-file');
+//   const { buffer } = buildRecord([{ type: 'X', width: 1, value: 'A' }, { type: '9', width: 10, value: 1234 }], 11);
+
+let encodeMap = null;
+
+function loadEncodeMap() {
+  if (encodeMap) return encodeMap;
+  encodeMap = new Map();
+  const decoder = new TextDecoder('euc-kr');
+  for (let lead = 0xA1; lead <= 0xFE; lead++) {
+    for (let trail = 0xA1; trail <= 0xFE; trail++) {
+      const ch = decoder.decode(Uint8Array.of(lead, trail));
+      if (ch.length === 1 && ch !== '\uFFFD' && !encodeMap.has(ch)) encodeMap.set(ch, [lead, trail]);
+    }
+  }
+  return encodeMap;
+}
+
+/**
+ * 문자열 → EUC-KR 바이트 (글자별)
+ * @returns {{ chunks: Array<number[]>, unmappable: string[] }}
+ */
+function encodeEucKr(text) {
+  const map = loadEncodeMap();
+  const chunks = [];
+  const unmappable = [];
+  for (const ch of String(text ?? '')) {
+    const code = ch.codePointAt(0);
+    if (code < 0x80) chunks.push([code]);
+    else if (map.has(ch)) chunks.push(map.get(ch));
+    else { chunks.push([0x3F]); unmappable.push(ch); }
+  }
+  return { chunks, unmappable };
+}
+
+function alphaField(value, width) {
+  const { chunks, unmappable } = encodeEucKr(String(value ?? '').replace(/[\r\n]/g, ' '));
+  const bytes = [];
+  for (const c of chunks) {
+    if (bytes.length + c.length > width) break;
+    bytes.push(...c);
+  }
+  while (bytes.length < width) bytes.push(0x20);
+  return { bytes, unmappable };
+}
+
+function numericField(value, width) {
+  const n = Math.trunc(Number(value) || 0);
+  const digits = String(Math.abs(n));
+  const body = n < 0 ? '-' + digits.padStart(width - 1, '0') : digits.padStart(width, '0');
+  if (body.length > width) throw new Error(`숫자 ${n} 이(가) ${width}자리를 넘습니다`);
+  return { bytes: [...Buffer.from(body, 'ascii')], unmappable: [] };
+}
+
+/**
+ * 고정길이 레코드 1줄
+ * @param {Array<{ type: 'X'|'9', width: number, value }>} fields
+ * @param {number} length - 레코드 길이 (필드 합계와 달라야 하면 오류 — 레이아웃 점검용)
+ * @returns {{ buffer: Buffer, unmappable: string[] }}
+ */
+function buildRecord(fields, length) {
+  const bytes = [];
+  const unmappable = [];
+  for (const f of fields) {
+    const part = f.type === '9' ? numericField(f.value, f.width) : alphaField(f.value, f.width);
+    bytes.push(...part.bytes);
+    unmappable.push(...part.unmappable);
+  }
+  if (bytes.length !== length) throw new Error(`레코드 길이 ${bytes.length} ≠ ${length}`);
+  return { buffer: Buffer.from([...bytes, 0x0D, 0x0A]), unmappable };
+}
+
+/**
+ * 레이아웃([이름, 형식, 자리수]) + 값 객체 → 레코드
+ */
+function buildLayoutRecord(layout, values) {
+  const length = layout.reduce((acc, [, , width]) => acc + width, 0);
+  return buildRecord(layout.map(([name, type, width]) => ({ type, width, value: values[name] })), length);
+}
+
+/** 레코드 목록 → 파일 (unmappable 문자 모음 포함) */
+function joinRecords(records) {
+  return {
+    buffer: Buffer.concat(records.map(r => r.buffer)),
+    unmappable: [...new Set(records.flatMap(r => r.unmappable))],
+  };
+}
+
+module.exports = {
+  encodeEucKr,
+  buildRecord,
+  buildLayoutRecord,
+  joinRecords,
+};
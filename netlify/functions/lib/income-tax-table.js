@@ -0,0 +1,322 @@
+// netlify/functions/lib/income-tax-table.js
+// 근로소득 간이세액표 (소득세법 시행령 별표2) — 국세청 엑셀 가져오기, 세액 조회, 자녀세액공제, 80·100·120% 선택
+//
+// 저장: income_tax_brackets (year, company_id, min_salary, max_salary, dependents, tax_amount)
+//   월급여액(비과세·학자금 제외) 구간 [min_salary, max_salary) 원 단위, 공제대상가족 수 1~11명 열마다 1행
+//   company_id 가 없는 행은 공통 표 — 회사가 직접 가져온 표가 있으면 그 표를 우선 사용
+//   해당 연도 표가 없으면 그 이전 가장 최근 연도 표 사용 (표는 시행령 개정 때만 바뀜)
+//
+// 세액 조회 (간이세액표 사용 방법)
+//   1. 월급여액 구간 · 공제대상가족 수(본인 포함) 열의 세액
+//      - 1천만원 초과: 1천만원 행 세액 + 구간별 가산액 (OVER_10M_BRACKETS, 별표2 하단 산식)
+//      - 가족 11명 초과: 11명 세액 - (10명 세액 - 11명 세액) × 11명 초과 인원
+//   2. 8세 이상 20세 이하 자녀 수에 따른 공제액 차감 (rules.incomeTax.childCredit)
+//   3. 근로자가 선택한 비율 적용 (80·100·120%, 소득세법 시행령 제194조 제1항) → 10원 미만 절사
+//   표가 없으면
+//     - 월급여액 1천만원 초과: 별표2에 고정된 1천만원 행(TEN_MILLION_ROW) + 가산액으로 계산 (source = 'statutory')
+//     - 1천만원 이하: 세액을 추정하지 않음 (source = 'missing', 세액 0 — calculate-payroll.js 가 저장 계산을 거부)
+//       표의 세액은 구간 중간값·특별소득공제 등 별표2 작성 산식과 반올림이 반영된 값이라 자체 산식으로는 재현되지 않음
+//
+// 사용법:
+//   const { lookupIncomeTax } = require('./lib/income-tax-table');
+//   const { tax, source } = await lookupIncomeTax(supabase, { year, taxableIncome, dependents, children, withholdingRate, companyId, rules });
+
+const TEN_MILLION = 10000000;
+const MAX_TABLE_DEPENDENTS = 11;
+const WITHHOLDING_RATES = [80, 100, 120];
+const INSERT_CHUNK = 1000;
+
+// 월급여액 1천만원 초과 — 1천만원 행 세액에 더하는 금액
+//   (월급여액 - from) × ratio × rate + add
+const OVER_10M_BRACKETS = [
+  { from: 87000000, add: 31034600, ratio: 1,    rate: 0.45 },
+  { from: 45000000, add: 13394600, ratio: 1,    rate: 0.42 },
+  { from: 30000000, add: 7394600,  ratio: 1,    rate: 0.40 },
+  { from: 28000000, add: 6610600,  ratio: 0.98, rate: 0.40 },
+  { from: 14000000, add: 1397000,  ratio: 0.98, rate: 0.38 },
+  { from: 10000000, add: 25000,    ratio: 0.98, rate: 0.35 },
+];
+
+// 별표2 월급여액 10,000천원 행 — 공제대상가족 1~11명 세액 (1천만원 초과 산식의 기준, 표 미등록 시 사용)
+const TEN_MILLION_ROW = [1507400, 1431570, 1200840, 1170840, 1140840, 1110840, 1080840, 1050840, 1020840, 990840, 960840];
+
+// rules.incomeTax.childCredit 가 없을 때 (payroll-rules.js 기본값과 같음)
+const DEFAULT_CHILD_CREDIT = { one: 20830, two: 45830, extraPerChild: 33330 };
+
+function invalid(statusCode, error, extra = {}) {
+  return { error: { statusCode, error, ...extra } };
+}
+
+// 10원 미만 절사 (부동소수 오차 보정)
+function floor10(n) { return Math.floor((n + 1e-6) / 10) * 10; }
+
+/**
+ * 직원 원천징수 설정 검증 (employees.dependents / tax_children / withholding_rate)
+ * @param {object} input - { dependents, taxChildren, withholdingRate } (없는 키는 검증·변경하지 않음)
+ * @param {object} current - 현재 employees 행 (자녀 수 ≤ 가족 수 검증용)
+ * @returns {{ values: object } | { error: object }}
+ */
+function validateWithholdingSettings(input = {}, current = {}) {
+  const values = {};
+  if (input.dependents !== undefined) {
+    const n = Number(input.dependents);
+    if (!Number.isInteger(n) || n < 1 || n > 30) return invalid(400, '공제대상가족 수는 본인 포함 1명 이상이어야 합니다.');
+    values.dependents = n;
+  }
+  if (input.taxChildren !== undefined) {
+    const n = Number(input.taxChildren);
+    if (!Number.isInteger(n) || n < 0) return invalid(400, '8세 이상 20세 이하 자녀 수는 0 이상의 정수여야 합니다.');
+    values.tax_children = n;
+  }
+  if (input.withholdingRate !== undefined) {
+    const n = Number(input.withholdingRate);
+    if (!WITHHOLDING_RATES.includes(n)) return invalid(400, '원천징수 비율은 ' + WITHHOLDING_RATES.join(', ') + '% 중 하나여야 합니다.');
+    values.withholding_rate = n;
+  }
+  const dependents = values.dependents ?? current.dependents ?? 1;
+  const children = values.tax_children ?? current.tax_children ?? 0;
+  if (children > dependents - 1) {
+    return invalid(400, '8세 이상 20세 이하 자녀는 공제대상가족(본인 제외)에 포함되어야 합니다.');
+  }
+  return { values };
+}
+
+/**
+ * 자녀 수에 따른 간이세액표 공제액
+ * @param {number} children - 8세 이상 20세 이하 자녀 수
+ * @param {object} [credit] - rules.incomeTax.childCredit
+ */
+function childTaxCredit(children, credit = DEFAULT_CHILD_CREDIT) {
+  if (!(children > 0)) return 0;
+  if (children === 1) return credit.one;
+  return credit.two + Math.max(0, children - 2) * credit.extraPerChild;
+}
+
+/**
+ * 국세청 간이세액표 엑셀 시트 → 구간 목록 (순수 함수)
+ * 시트 행: [월급여액 이상(천원), 미만(천원), 가족 1명 세액, …, 11명 세액]
+ *   '10,000천원' 처럼 단일 금액 행은 그 금액만 해당, 세액 '-' 는 0
+ * @param {Array<Array>} rows - SheetJS sheet_to_json(sheet, { header: 1 }) 결과
+ * @returns {{ ranges: Array<{ min, max, taxes: number[] }> } | { error: object }}
+ */
+function parseTaxTableSheet(rows) {
+  if (!Array.isArray(rows)) return invalid(400, '시트 데이터(rows)가 없습니다.');
+
+  const num = (v) => {
+    if (typeof v === 'number') return v;
+    if (v === null || v === undefined) return null;
+    const s = String(v).trim();
+    if (s === '-' || s === '−') return 0;
+    const digits = s.replace(/[,\s원천]/g, '');
+    return /^\d+(\.\d+)?$/.test(digits) ? Number(digits) : null;
+  };
+
+  const ranges = [];
+  for (const row of rows) {
+    if (!Array.isArray(row) || row.length < 2 + MAX_TABLE_DEPENDENTS) continue;
+    const min = num(row[0]);
+    if (!(min > 0)) continue;
+    const upper = row[1] === '' || row[1] === null || row[1] === undefined ? null : num(row[1]);
+    const taxes = row.slice(2, 2 + MAX_TABLE_DEPENDENTS).map(v => (v === '' || v === null || v === undefined ? 0 : num(v)));
+    if (taxes.some(t => t === null || t < 0)) continue;
+    ranges.push({ min, max: upper, taxes: taxes.map(Math.round) });
+  }
+  if (ranges.length < 100) {
+    return invalid(400, `간이세액표 구간을 찾지 못했습니다 (${ranges.length}행). 국세청 근로소득 간이세액표 엑셀의 세액표 시트를 선택해주세요.`);
+  }
+
+  // 금액 단위: 천원 (국세청 표) → 원
+  const unit = Math.max(...ranges.map(r => r.min)) <= 100000 ? 1000 : 1;
+  const normalized = ranges.map(r => ({
+    min: Math.round(r.min * unit),
+    max: r.max === null ? Math.round(r.min * unit) + 1 : Math.round(r.max * unit), // 단일 금액 행 [min, min+1)
+    taxes: r.taxes,
+  })).sort((a, b) => a.min - b.min);
+
+  for (let i = 0; i < normalized.length; i++) {
+    const r = normalized[i];
+    if (r.max <= r.min) return invalid(400, `${r.min.toLocaleString('ko-KR')}원 구간의 상한이 하한보다 작습니다.`);
+    if (i > 0 && r.min < normalized[i - 1].max) {
+      return invalid(400, `${r.min.toLocaleString('ko-KR')}원 구간이 앞 구간과 겹칩니다.`);
+    }
+  }
+  if (!normalized.some(r => r.min === TEN_MILLION)) {
+    return invalid(400, '월급여액 10,000천원 행이 없습니다. (1천만원 초과 세액 계산에 필요)');
+  }
+  return { ranges: normalized };
+}
+
+/**
+ * 간이세액표 적재 — 같은 연도·범위(회사 또는 공통)의 기존 표를 교체
+ * @param {object} supabase
+ * @param {object} params - { year, companyId (null = 공통), ranges }
+ * @returns {{ rows: number, ranges: number }}
+ */
+async function importTaxTable(supabase, { year, companyId = null, ranges }) {
+  let del = supabase.from('income_tax_brackets').delete().eq('year', year);
+  del = companyId ? del.eq('company_id', companyId) : del.is('company_id', null);
+  const { error: delError } = await del;
+  if (delError) throw delError;
+
+  const rows = [];
+  for (const r of ranges) {
+    r.taxes.forEach((tax, i) => rows.push({
+      year,
+      company_id:  companyId,
+      min_salary:  r.min,
+      max_salary:  r.max,
+      dependents:  i + 1,
+      tax_amount:  tax,
+    }));
+  }
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    const { error } = await supabase.from('income_tax_brackets').insert(rows.slice(i, i + INSERT_CHUNK));
+    if (error) throw error;
+  }
+  return { rows: rows.length, ranges: ranges.length };
+}
+
+// 적용할 표 — 회사 표 → 공통 표, 각각 귀속 연도 이하 최신 연도
+async function resolveTaxTable(supabase, year, companyId) {
+  for (const scope of companyId ? [companyId, null] : [null]) {
+    let query = supabase
+      .from('income_tax_brackets')
+      .select('year')
+      .lte('year', year)
+      .order('year', { ascending: false })
+      .limit(1);
+    query = scope ? query.eq('company_id', scope) : query.is('company_id', null);
+    const { data, error } = await query;
+    if (error) throw error;
+    if (data && data.length) return { year: data[0].year, companyId: scope };
+  }
+  return null;
+}
+
+/**
+ * 적용 중인 간이세액표 현황 (설정 화면)
+ * @returns {{ year, scope: 'company'|'common'|null, ranges, minSalary, maxSalary }}
+ */
+async function loadTaxTableStatus(supabase, { year, companyId }) {
+  const table = await resolveTaxTable(supabase, year, companyId);
+  if (!table) return { year, tableYear: null, scope: null, ranges: 0 };
+  let query = supabase
+    .from('income_tax_brackets')
+    .select('min_salary, max_salary')
+    .eq('year', table.year)
+    .eq('dependents', 1)
+    .order('min_salary', { ascending: true })
+    .limit(2000);
+  query = table.companyId ? query.eq('company_id', table.companyId) : query.is('company_id', null);
+  const { data, error } = await query;
+  if (error) throw error;
+  return {
+    year,
+    tableYear: table.year,
+    scope: table.companyId ? 'company' : 'common',
+    ranges: (data || []).length,
+    minSalary: data?.[0]?.min_salary ?? null,
+    maxSalary: data?.length ? data[data.length - 1].min_salary : null,
+  };
+}
+
+// 표의 한 행 (가족 1~11명 세액 배열)
+async function fetchTableRow(supabase, table, salary) {
+  let query = supabase
+    .from('income_tax_brackets')
+    .select('dependents, tax_amount')
+    .eq('year', table.year)
+    .lte('min_salary', salary)
+    .gt('max_salary', salary);
+  query = table.companyId ? query.eq('company_id', table.companyId) : query.is('company_id', null);
+  const { data, error } = await query;
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+  const taxes = new Array(MAX_TABLE_DEPENDENTS).fill(0);
+  for (const r of data) {
+    if (r.dependents >= 1 && r.dependents <= MAX_TABLE_DEPENDENTS) taxes[r.dependents - 1] = Number(r.tax_amount) || 0;
+  }
+  return taxes;
+}
+
+// 가족 수 열 선택 (11명 초과는 10명·11명 차이만큼 더 차감)
+function pickDependentsColumn(taxes, dependents) {
+  const n = Math.max(1, dependents);
+  if (n <= MAX_TABLE_DEPENDENTS) return taxes[n - 1];
+  const t10 = taxes[MAX_TABLE_DEPENDENTS - 2];
+  const t11 = taxes[MAX_TABLE_DEPENDENTS - 1];
+  return Math.max(0, t11 - (t10 - t11) * (n - MAX_TABLE_DEPENDENTS));
+}
+
+// 1천만원 초과 가산액
+function over10MAddition(salary) {
+  const b = OVER_10M_BRACKETS.find(x => salary > x.from);
+  return b ? b.add + (salary - b.from) * b.ratio * b.rate : 0;
+}
+
+/**
+ * 근로소득 원천징수 세액 조회
+ * @param {object} supabase
+ * @param {object} params
+ * @param {number} params.year - 귀속 연도
+ * @param {number} params.taxableIncome - 월급여액 (비과세 제외)
+ * @param {number} [params.dependents=1] - 공제대상가족 수 (본인 포함)
+ * @param {number} [params.children=0] - 8세 이상 20세 이하 자녀 수
+ * @param {number} [params.withholdingRate=100] - 80 | 100 | 120
+ * @param {string} [params.companyId] - 회사가 가져온 표 우선
+ * @param {object} [params.rules] - loadAllPayrollRules 결과 (incomeTax.childCredit)
+ * @returns {{ tax, tableTax, childCredit, withholdingRate, source: 'table'|'statutory'|'missing', tableYear }}
+ *   source = 'statutory': 표 없이 1천만원 초과 산식으로 계산
+ *   source = 'missing': 적용할 표가 없거나 조회 실패 — 세액 0 (호출 측에서 저장 계산 거부)
+ */
+async function lookupIncomeTax(supabase, {
+  year, taxableIncome, dependents = 1, children = 0, withholdingRate = 100, companyId = null, rules,
+}) {
+  const rate = WITHHOLDING_RATES.includes(Number(withholdingRate)) ? Number(withholdingRate) : 100;
+  const result = { tax: 0, tableTax: 0, childCredit: 0, withholdingRate: rate, source: 'table', tableYear: null };
+  if (!taxableIncome || taxableIncome <= 0) return result;
+
+  const salary = Math.floor(taxableIncome);
+  const lookupSalary = Math.min(salary, TEN_MILLION);
+
+  let base = null;
+  try {
+    const table = await resolveTaxTable(supabase, year, companyId);
+    if (table) {
+      const taxes = await fetchTableRow(supabase, table, lookupSalary);
+      if (taxes) {
+        base = pickDependentsColumn(taxes, dependents);
+        result.tableYear = table.year;
+      }
+    }
+  } catch (e) {
+    console.error('간이세액표 조회 실패:', e.message);
+  }
+  if (base === null && salary > TEN_MILLION) {
+    base = pickDependentsColumn(TEN_MILLION_ROW, dependents);
+    result.source = 'statutory';
+  }
+  if (base === null) {
+    result.source = 'missing';
+    return result;
+  }
+
+  const tableTax = floor10(base + (salary > TEN_MILLION ? over10MAddition(salary) : 0));
+  const childCredit = childTaxCredit(children, rules?.incomeTax?.childCredit || DEFAULT_CHILD_CREDIT);
+  const afterCredit = Math.max(0, tableTax - childCredit);
+
+  result.tableTax = tableTax;
+  result.childCredit = Math.min(childCredit, tableTax);
+  result.tax = floor10(afterCredit * rate / 100);
+  return result;
+}
+
+module.exports = {
+  WITHHOLDING_RATES,
+  validateWithholdingSettings,
+  childTaxCredit,
+  parseTaxTableSheet,
+  importTaxTable,
+  loadTaxTableStatus,
+  lookupIncomeTax,
+};
@@ -0,0 +1,497 @@
+// netlify/functions/lib/insurance-filing.js
+// 4대보험 사업장 신고 — 자격취득 · 자격상실 · 보수월액 변경 신고 대상 관리와 EDI 파일
+//
+// 신고 대상은 직원 이벤트에서 자동으로 생김 (직원 1명 · 신고 종류별 미신고 1건, 다시 바뀌면 그 건을 고침)
+//   - 입사 (employees-create / employees-import)     → 자격취득 (취득일 = 입사일)
+//   - 퇴사일 입력·변경 (employees-update)           → 자격상실 (상실일 = 퇴사일 다음 날) / 퇴사일 삭제 시 취소
+//   - 기본급 변경 (employees-update, 재직 중)       → 보수월액 변경 (변경일 = 오늘)
+//   일용근로자(근로내용확인신고)·프리랜서(4대보험 미가입)는 대상이 아님
+//
+// 신고 기한 (사유 발생일 기준):
+//   - 건강보험 취득·상실: 14일 이내 (국민건강보험법 시행규칙 제4조·제5조)
+//   - 국민연금·고용보험·산재보험 취득·상실: 다음 달 15일까지
+//   - 보수월액 변경 (고용·산재·건강): 다음 달 15일까지
+//   적용 보험 중 가장 이른 날을 due_date 로 — 대시보드 D-day 기준
+//
+// 적용 보험 판정 (신고서 기본값 — 화면에서 고칠 수 있음):
+//   국민연금 18세 이상 60세 미만 · 건강보험/국민연금 주 15시간(월 60시간) 미만 단시간 제외 · 고용보험 65세 이후 신규 취득 제외
+//   고용보험 주 15시간 미만 제외 (3개월 이상 계속 근로는 적용 — 화면에서 지정) · 산재보험 전원
+//
+// EDI 파일: 4대사회보험 정보연계센터 파일 신고용 고정길이 레코드 (EUC-KR, lib/hometax-file.js)
+//   레이아웃은 LAYOUTS, 상실 사유 부호는 LOSS_REASONS 한 곳에서 관리 (정보연계센터 서식이 바뀌면 여기만 수정)
+//
+// 저장:
+//   insurance_filings: id, company_id, employee_id, filing_type, status, event_date, due_date, deadlines jsonb,
+//     coverage jsonb { nationalPension, healthInsurance, employmentInsurance, industrialAccident, notes[] },
+//     monthly_wage, previous_monthly_wage, reason_code, reason_detail, file_generated_at,
+//     receipt_number, submitted_at, submitted_by, cancelled_at, cancel_reason, created_at, updated_at
+//
+// 사용법:
+//   const { recordHireFiling, syncEmployeeFilings } = require('./lib/insurance-filing');
+//   await recordHireFiling(supabase, { companyId, employee: newEmployee });
+
+const { buildLayoutRecord, joinRecords } = require('./hometax-file');
+const { WORK_TYPE } = require('./daily-worker');
+const { calculateOrdinaryWage } = require('./ordinary-wage');
+const { getContractedWeeklyHours } = require('./weekly-holiday');
+const { isForeigner } = require('./resident-number');
+const { captureError } = require('./sentry');
+
+const FILING_TYPE = {
+  ACQUISITION: 'acquisition', // 자격취득
+  LOSS:        'loss',        // 자격상실
+  WAGE_CHANGE: 'wage_change', // 보수월액 변경
+};
+
+const FILING_TYPE_LABELS = {
+  acquisition: '자격취득',
+  loss:        '자격상실',
+  wage_change: '보수월액 변경',
+};
+
+const FILING_STATUS = {
+  PENDING:   'pending',   // 신고 전
+  DONE:      'done',      // 신고 완료 (접수번호 기록)
+  CANCELLED: 'cancelled', // 신고 불필요 (퇴사 취소 등)
+};
+
+// 상실 사유 부호 (고용보험 상실사유 구분 — 건강보험·국민연금 상실부호로도 변환해 씀)
+const LOSS_REASONS = {
+  '11': '개인 사정으로 인한 자진퇴사',
+  '12': '사업장 이전, 근로조건 변동, 임금체불 등으로 자진퇴사',
+  '22': '폐업·도산',
+  '23': '경영상 필요 및 회사 불황으로 인원 감축 (해고·권고사직·명예퇴직 포함)',
+  '26': '근로자 귀책사유에 의한 징계해고·권고사직',
+  '31': '정년',
+  '32': '계약기간 만료·공사 종료',
+  '41': '고용보험 비적용',
+  '42': '이중고용',
+};
+
+const FILING_KIND_CODE = { acquisition: '01', loss: '02', wage_change: '03' };
+
+const HEALTH_DEADLINE_DAYS = 14;
+const DUE_SOON_DAYS = 3;
+const DEFAULT_PENSION_MIN_AGE = 18;
+const DEFAULT_PENSION_EXEMPTION_AGE = 60;
+const DEFAULT_EMPLOYMENT_EXEMPTION_AGE = 65;
+const SHORT_TIME_WEEKLY_HOURS = 15;
+
+// 레코드: [필드, 형식(X 문자 / 9 숫자), 자리수(EUC-KR 바이트)] — 모두 200바이트
+const LAYOUTS = {
+  header: [
+    ['recordType', 'X', 1], ['filingKind', 'X', 2], ['businessNumber', 'X', 10], ['companyName', 'X', 40],
+    ['ceoName', 'X', 20], ['submitDate', 'X', 8], ['count', '9', 5], ['filler', 'X', 114],
+  ],
+  acquisition: [
+    ['recordType', 'X', 1], ['seq', '9', 5], ['residentNumber', 'X', 13], ['name', 'X', 30], ['foreigner', 'X', 1],
+    ['eventDate', 'X', 8], ['monthlyWage', '9', 12], ['nationalPension', 'X', 1], ['healthInsurance', 'X', 1],
+    ['employmentInsurance', 'X', 1], ['industrialAccident', 'X', 1], ['weeklyHours', '9', 3], ['filler', 'X', 123],
+  ],
+  loss: [
+    ['recordType', 'X', 1], ['seq', '9', 5], ['residentNumber', 'X', 13], ['name', 'X', 30], ['foreigner', 'X', 1],
+    ['eventDate', 'X', 8], ['reasonCode', 'X', 2], ['reasonDetail', 'X', 40],
+    ['currentYearWage', '9', 13], ['currentYearMonths', '9', 2], ['previousYearWage', '9', 13], ['previousYearMonths', '9', 2],
+    ['nationalPension', 'X', 1], ['healthInsurance', 'X', 1], ['employmentInsurance', 'X', 1], ['industrialAccident', 'X', 1],
+    ['filler', 'X', 66],
+  ],
+  wage_change: [
+    ['recordType', 'X', 1], ['seq', '9', 5], ['residentNumber', 'X', 13], ['name', 'X', 30], ['foreigner', 'X', 1],
+    ['eventDate', 'X', 8], ['previousWage', '9', 12], ['monthlyWage', '9', 12], ['nationalPension', 'X', 1],
+    ['healthInsurance', 'X', 1], ['employmentInsurance', 'X', 1], ['industrialAccident', 'X', 1], ['filler', 'X', 114],
+  ],
+};
+
+function invalid(statusCode, error, extra = {}) {
+  return { error: { statusCode, error, ...extra } };
+}
+
+function kstToday() {
+  return new Date(Date.now() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const d = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function nextMonth15(date) {
+  const d = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 15)).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function ageOn(birthDate, date) {
+  if (!birthDate) return null;
+  const b = String(birthDate).slice(0, 10);
+  const d = String(date).slice(0, 10);
+  let age = Number(d.slice(0, 4)) - Number(b.slice(0, 4));
+  if (d.slice(5) < b.slice(5)) age -= 1;
+  return age;
+}
+
+/** 4대보험 사업장 신고 대상 근로자인지 (일용직·프리랜서 제외) */
+function isInsuredWorker(employee) {
+  return ![WORK_TYPE.DAILY, WORK_TYPE.FREELANCER].includes(employee?.work_type);
+}
+
+/** 신고 보수월액 — 기본급 월 환산 (수당·상여 제외, 신고 전 화면에서 고칠 수 있음) */
+function estimateMonthlyWage(employee) {
+  return calculateOrdinaryWage({ employee }).baseMonthly;
+}
+
+/**
+ * 적용 보험 기본값
+ * @param {object} employee - birth_date, weekly_contract_hours 또는 근무시간 필드
+ * @param {string} date - 취득일·상실일
+ * @param {object} [rules] - loadAllPayrollRules 결과 (면제 연령)
+ */
+function insuranceCoverage(employee, date, rules) {
+  const notes = [];
+  const age = ageOn(employee.birth_date, date);
+  const weeklyHours = getContractedWeeklyHours(employee);
+  const shortTime = weeklyHours !== null && weeklyHours < SHORT_TIME_WEEKLY_HOURS;
+  const pensionExemptAge = rules?.nationalPension?.exemptionAge ?? DEFAULT_PENSION_EXEMPTION_AGE;
+  const employmentExemptAge = rules?.employmentInsurance?.exemptionAge ?? DEFAULT_EMPLOYMENT_EXEMPTION_AGE;
+
+  if (age === null) notes.push('생년월일 미등록 — 연령 기준은 확인 필요');
+  if (shortTime) notes.push(`주 ${weeklyHours}시간 — 단시간 근로자 (국민연금·건강보험·고용보험 제외)`);
+
+  const pensionAge = age === null || (age >= DEFAULT_PENSION_MIN_AGE && age < pensionExemptAge);
+  if (!pensionAge) notes.push(`${age}세 — 국민연금 적용 제외`);
+  const employmentAge = age === null || age < employmentExemptAge;
+  if (!employmentAge) notes.push(`${age}세 — 고용보험 신규 취득 제외 (산재보험만 적용)`);
+
+  return {
+    nationalPension:     pensionAge && !shortTime,
+    healthInsurance:     !shortTime,
+    employmentInsurance: employmentAge && !shortTime,
+    industrialAccident:  true,
+    notes,
+  };
+}
+
+/**
+ * 보험별 신고 기한 + 가장 이른 기한
+ * @returns {{ deadlines: object, dueDate: string }}
+ */
+function filingDeadlines(type, eventDate, coverage) {
+  const monthly = nextMonth15(eventDate);
+  const deadlines = {};
+  if (coverage.nationalPension && type !== FILING_TYPE.WAGE_CHANGE) deadlines.nationalPension = monthly;
+  if (coverage.healthInsurance) {
+    deadlines.healthInsurance = type === FILING_TYPE.WAGE_CHANGE ? monthly : addDays(eventDate, HEALTH_DEADLINE_DAYS);
+  }
+  if (coverage.employmentInsurance) deadlines.employmentInsurance = monthly;
+  if (coverage.industrialAccident) deadlines.industrialAccident = monthly;
+  const dueDate = Object.values(deadlines).sort()[0] || monthly;
+  return { deadlines, dueDate };
+}
+
+/**
+ * 신고 대상 1건 계산 (저장 전 필드) — 일용직·프리랜서는 null
+ */
+function buildFiling({ employee, type, eventDate, rules, monthlyWage, previousMonthlyWage }) {
+  if (!isInsuredWorker(employee)) return null;
+  const coverage = insuranceCoverage(employee, eventDate, rules);
+  const { deadlines, dueDate } = filingDeadlines(type, eventDate, coverage);
+  return {
+    employee_id:           employee.id,
+    filing_type:           type,
+    event_date:            eventDate,
+    due_date:              dueDate,
+    deadlines,
+    coverage,
+    monthly_wage:          monthlyWage ?? estimateMonthlyWage(employee),
+    previous_monthly_wage: previousMonthlyWage ?? null,
+  };
+}
+
+/**
+ * 신고 입력 검증 (관리자 수정·수동 등록)
+ * @returns {{ values: object } | { error: object }}
+ */
+function validateFilingInput(body = {}, type) {
+  const values = {};
+  if (body.eventDate !== undefined) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(body.eventDate || '')) return invalid(400, 'eventDate는 YYYY-MM-DD 형식이어야 합니다.');
+    values.event_date = body.eventDate;
+  }
+  if (body.reasonCode !== undefined && body.reasonCode !== null && body.reasonCode !== '') {
+    if (type !== FILING_TYPE.LOSS) return invalid(400, '상실 사유는 자격상실 신고에만 입력합니다.');
+    if (!LOSS_REASONS[body.reasonCode]) return invalid(400, '상실 사유 부호는 ' + Object.keys(LOSS_REASONS).join(', ') + ' 중 하나여야 합니다.');
+    values.reason_code = body.reasonCode;
+  }
+  if (body.reasonDetail !== undefined) values.reason_detail = body.reasonDetail ? String(body.reasonDetail).slice(0, 100) : null;
+  for (const [key, column] of [['monthlyWage', 'monthly_wage'], ['previousMonthlyWage', 'previous_monthly_wage']]) {
+    if (body[key] === undefined) continue;
+    const n = Number(body[key]);
+    if (!Number.isFinite(n) || n < 0) return invalid(400, `${key}는 0 이상의 숫자여야 합니다.`);
+    values[column] = Math.round(n);
+  }
+  if (body.coverage !== undefined) {
+    const c = body.coverage || {};
+    values.coverage = {
+      nationalPension:     c.nationalPension === true,
+      healthInsurance:     c.healthInsurance === true,
+      employmentInsurance: c.employmentInsurance === true,
+      industrialAccident:  c.industrialAccident !== false,
+      notes:               Array.isArray(c.notes) ? c.notes : [],
+    };
+  }
+  return { values };
+}
+
+async function findPendingFiling(supabase, { companyId, employeeId, type }) {
+  const { data, error } = await supabase
+    .from('insurance_filings')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('filing_type', type)
+    .eq('status', FILING_STATUS.PENDING)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * 미신고 건이 있으면 고치고, 없으면 새로 만듦 (onlyExisting: 있을 때만 고침)
+ */
+async function upsertPendingFiling(supabase, { companyId, employee, type, eventDate, rules, monthlyWage, previousMonthlyWage, onlyExisting = false }) {
+  const existing = await findPendingFiling(supabase, { companyId, employeeId: employee.id, type });
+  if (!existing && onlyExisting) return null;
+  const filing = buildFiling({
+    employee, type, eventDate, rules, monthlyWage,
+    // 변경 전 보수는 처음 생긴 건의 값을 유지 (여러 번 고쳐도 신고는 한 번)
+    previousMonthlyWage: existing?.previous_monthly_wage ?? previousMonthlyWage,
+  });
+  if (!filing) return null;
+
+  const now = new Date().toISOString();
+  if (existing) {
+    const { data, error } = await supabase
+      .from('insurance_filings')
+      .update({ ...filing, updated_at: now })
+      .eq('id', existing.id)
+      .select('*')
+      .single();
+    if (error) throw error;
+    return data;
+  }
+  const { data, error } = await supabase
+    .from('insurance_filings')
+    .insert({ ...filing, company_id: companyId, status: FILING_STATUS.PENDING, created_at: now, updated_at: now })
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+async function cancelPendingFiling(supabase, { companyId, employeeId, type, reason }) {
+  const existing = await findPendingFiling(supabase, { companyId, employeeId, type });
+  if (!existing) return null;
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('insurance_filings')
+    .update({ status: FILING_STATUS.CANCELLED, cancelled_at: now, cancel_reason: reason, updated_at: now })
+    .eq('id', existing.id)
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * 입사 → 자격취득 신고 대상 (직원 등록을 막지 않도록 실패는 기록만)
+ */
+async function recordHireFiling(supabase, { companyId, employee, rules }) {
+  try {
+    if (!employee?.hire_date) return null;
+    return await upsertPendingFiling(supabase, {
+      companyId, employee, type: FILING_TYPE.ACQUISITION, eventDate: String(employee.hire_date).slice(0, 10), rules,
+    });
+  } catch (e) {
+    console.error('4대보험 취득 신고 대상 기록 실패:', e.message);
+    captureError(e, { function: 'insurance-filing', companyId, employeeId: employee?.id });
+    return null;
+  }
+}
+
+/**
+ * 직원 정보 수정 → 상실·보수월액 변경 신고 대상 (실패는 기록만)
+ * @param {object} before - 수정 전 employees row
+ * @param {object} after - 수정 후 employees row (before + 변경 필드)
+ * @returns {Promise<Array>} 생기거나 바뀐 insurance_filings rows
+ */
+async function syncEmployeeFilings(supabase, { companyId, before, after, rules }) {
+  const results = [];
+  try {
+    const prevResign = before.resign_date ? String(before.resign_date).slice(0, 10) : null;
+    const nextResign = after.resign_date ? String(after.resign_date).slice(0, 10) : null;
+    if (nextResign && nextResign !== prevResign) {
+      results.push(await upsertPendingFiling(supabase, {
+        companyId, employee: after, type: FILING_TYPE.LOSS, eventDate: addDays(nextResign, 1), rules,
+      }));
+    } else if (!nextResign && prevResign) {
+      results.push(await cancelPendingFiling(supabase, {
+        companyId, employeeId: after.id, type: FILING_TYPE.LOSS, reason: '퇴사일 삭제',
+      }));
+    }
+
+    // 입사일 정정 → 아직 신고 전인 취득 건만 고침
+    if (after.hire_date && String(after.hire_date).slice(0, 10) !== String(before.hire_date || '').slice(0, 10)) {
+      results.push(await upsertPendingFiling(supabase, {
+        companyId, employee: after, type: FILING_TYPE.ACQUISITION, eventDate: String(after.hire_date).slice(0, 10), rules, onlyExisting: true,
+      }));
+    }
+
+    const prevWage = estimateMonthlyWage(before);
+    const nextWage = estimateMonthlyWage(after);
+    if (!nextResign && prevWage !== nextWage) {
+      // 취득 신고 전이면 취득 건의 보수월액을 고침 — 변경 신고는 필요 없음
+      const acquisition = await upsertPendingFiling(supabase, {
+        companyId, employee: after, type: FILING_TYPE.ACQUISITION, eventDate: String(after.hire_date || kstToday()).slice(0, 10),
+        rules, monthlyWage: nextWage, onlyExisting: true,
+      });
+      results.push(acquisition || await upsertPendingFiling(supabase, {
+        companyId, employee: after, type: FILING_TYPE.WAGE_CHANGE, eventDate: kstToday(), rules,
+        monthlyWage: nextWage, previousMonthlyWage: prevWage,
+      }));
+    }
+  } catch (e) {
+    console.error('4대보험 신고 대상 갱신 실패:', e.message);
+    captureError(e, { function: 'insurance-filing', companyId, employeeId: after?.id });
+  }
+  return results.filter(Boolean);
+}
+
+/**
+ * EDI 파일 작성 전 점검 — 사업자등록번호, 주민등록번호, 상실 사유
+ * @param {Array} filings - insurance_filings rows (employees 조인: name, resident_number_masked)
+ */
+function validateFilingsForFile(company, filings) {
+  const issues = [];
+  if (String(company?.business_number || '').replace(/\D/g, '').length !== 10) {
+    issues.push({ type: 'MISSING_BUSINESS_NUMBER', severity: 'error', message: '회사 설정에 사업자등록번호(10자리)를 입력해주세요.' });
+  }
+  for (const f of filings) {
+    const emp = (Array.isArray(f.employees) ? f.employees[0] : f.employees) || {};
+    if (!emp.resident_number_masked) {
+      issues.push({
+        type: 'MISSING_RESIDENT_NUMBER', severity: 'error', employeeId: f.employee_id, name: emp.name || '',
+        message: `${emp.name || '이름 없음'} — 주민등록번호 미등록 (직원 상세에서 입력)`,
+      });
+    }
+    if (f.filing_type === FILING_TYPE.LOSS && !f.reason_code) {
+      issues.push({
+        type: 'MISSING_REASON_CODE', severity: 'error', filingId: f.id, employeeId: f.employee_id, name: emp.name || '',
+        message: `${emp.name || '이름 없음'} — 상실 사유를 선택해주세요`,
+      });
+    }
+  }
+  return issues;
+}
+
+function yn(flag) { return flag ? 'Y' : 'N'; }
+function compact(date) { return String(date || '').slice(0, 10).replace(/-/g, ''); }
+
+/**
+ * EDI 파일 (같은 신고 종류끼리)
+ * @param {object} params
+ * @param {object} params.company - companies row
+ * @param {string} params.type - FILING_TYPE
+ * @param {Array}  params.rows - [{ filing, name, residentNumber, weeklyHours?, wageTotals? }]
+ *                  wageTotals (상실): { currentYearWage, currentYearMonths, previousYearWage, previousYearMonths }
+ * @param {string} params.submitDate - 'YYYY-MM-DD'
+ * @returns {{ buffer, fileName, rowCount, unmappable }}
+ */
+function buildFilingFile({ company, type, rows, submitDate }) {
+  const businessNumber = String(company.business_number || '').replace(/\D/g, '');
+  const records = [buildLayoutRecord(LAYOUTS.header, {
+    recordType: 'H', filingKind: FILING_KIND_CODE[type], businessNumber, companyName: company.company_name || '',
+    ceoName: company.representative_name || '', submitDate: compact(submitDate), count: rows.length,
+  })];
+  rows.forEach((r, i) => {
+    const f = r.filing;
+    const c = f.coverage || {};
+    records.push(buildLayoutRecord(LAYOUTS[type], {
+      recordType: 'D', seq: i + 1, residentNumber: r.residentNumber, name: r.name,
+      foreigner: isForeigner(r.residentNumber) ? '9' : '1', eventDate: compact(f.event_date),
+      monthlyWage: f.monthly_wage, previousWage: f.previous_monthly_wage, weeklyHours: Math.round(r.weeklyHours || 0),
+      reasonCode: f.reason_code, reasonDetail: f.reason_detail || LOSS_REASONS[f.reason_code] || '',
+      ...(r.wageTotals || {}),
+      nationalPension: yn(c.nationalPension), healthInsurance: yn(c.healthInsurance),
+      employmentInsurance: yn(c.employmentInsurance), industrialAccident: yn(c.industrialAccident),
+    }));
+  });
+  const { buffer, unmappable } = joinRecords(records);
+  return {
+    buffer,
+    fileName: `${businessNumber}_4대보험_${FILING_TYPE_LABELS[type].replace(/\s/g, '')}_${compact(submitDate)}.txt`,
+    rowCount: rows.length,
+    unmappable,
+  };
+}
+
+/**
+ * insurance_filings row → API 응답 형태 (D-day 포함)
+ */
+function formatFiling(row, today = kstToday()) {
+  const emp = (Array.isArray(row.employees) ? row.employees[0] : row.employees) || {};
+  const daysLeft = row.status === FILING_STATUS.PENDING ? daysBetween(today, String(row.due_date).slice(0, 10)) : null;
+  return {
+    id:                  row.id,
+    employeeId:          row.employee_id,
+    employeeName:        emp.name || null,
+    residentNumberMasked: emp.resident_number_masked || null,
+    filingType:          row.filing_type,
+    filingTypeLabel:     FILING_TYPE_LABELS[row.filing_type] || row.filing_type,
+    status:              row.status,
+    eventDate:           row.event_date,
+    dueDate:             row.due_date,
+    deadlines:           row.deadlines || {},
+    daysLeft,
+    overdue:             daysLeft !== null && daysLeft < 0,
+    dueSoon:             daysLeft !== null && daysLeft >= 0 && daysLeft <= DUE_SOON_DAYS,
+    coverage:            row.coverage || {},
+    monthlyWage:         row.monthly_wage,
+    previousMonthlyWage: row.previous_monthly_wage,
+    reasonCode:          row.reason_code || null,
+    reasonLabel:         LOSS_REASONS[row.reason_code] || null,
+    reasonDetail:        row.reason_detail || null,
+    fileGeneratedAt:     row.file_generated_at || null,
+    receiptNumber:       row.receipt_number || null,
+    submittedAt:         row.submitted_at || null,
+    submittedBy:         row.submitted_by || null,
+    cancelledAt:         row.cancelled_at || null,
+    cancelReason:        row.cancel_reason || null,
+    createdAt:           row.created_at,
+    updatedAt:           row.updated_at,
+  };
+}
+
+module.exports = {
+  FILING_TYPE,
+  FILING_TYPE_LABELS,
+  FILING_STATUS,
+  LOSS_REASONS,
+  DUE_SOON_DAYS,
+  kstToday,
+  isInsuredWorker,
+  estimateMonthlyWage,
+  insuranceCoverage,
+  filingDeadlines,
+  buildFiling,
+  validateFilingInput,
+  upsertPendingFiling,
+  recordHireFiling,
+  syncEmployeeFilings,
+  validateFilingsForFile,
+  buildFilingFile,
+  formatFiling,
+};
@@ -0,0 +1,113 @@
+// netlify/functions/lib/kiosk.js
+// 매장 공용 태블릿(키오스크) 출퇴근 공통 모듈
+//
+// 흐름:
+//  1) 관리자가 사업장별 키오스크 발급 (kiosks-manage.js) → 키오스크 토큰(KSK_xxx)은 발급 시 1회만 표시
+//  2) 태블릿에서 kiosk.html#k=KSK_xxx 열기 → 사업장 직원 명단 표시 (kiosk-checkin.js GET)
+//  3) 직원이 이름 선택 + 개인 PIN(4~6자리) 입력 → 출퇴근 (kiosk-checkin.js POST, check_method = 'kiosk')
+//  4) 통신 장애 시 태블릿에 저장했다가 복구되면 전송 (최대 KIOSK_OFFLINE_MAX_AGE_HOURS)
+//
+// 저장:
+//   kiosks: id, company_id, business_id, name, token_hash, capture_photo, created_by, created_at,
+//           last_seen_at, revoked_at
+//   employees: kiosk_pin_hash ("scrypt$salt$hash"), kiosk_pin_set_at, kiosk_pin_failed_count, kiosk_pin_locked_until
+//   attendances: kiosk_id / check_out_kiosk_id, check_in_photo_path / check_out_photo_path
+//   사진: Supabase Storage 'attendance-photos' 버킷 (비공개, 관리자 조회 시 서명 URL)
+
+const crypto = require('crypto');
+
+const KIOSK_TOKEN_PREFIX = 'KSK_';
+const PIN_MIN_LENGTH = 4;
+const PIN_MAX_LENGTH = 6;
+// PIN 오입력 5회 → 15분 잠금 (직원별)
+const PIN_MAX_FAILURES = 5;
+const PIN_LOCK_MINUTES = 15;
+// 키오스크 오프라인 저장 허용 (짧은 통신 장애만 — 그 이상은 관리자 수동 등록)
+const KIOSK_OFFLINE_MAX_AGE_HOURS = 12;
+
+const PHOTO_BUCKET = 'attendance-photos';
+const MAX_PHOTO_BYTES = 300 * 1024;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/** 새 키오스크 토큰 (원문은 발급 응답에만, DB 에는 해시) */
+function generateKioskToken() {
+  return KIOSK_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * 키오스크 토큰 → 사용 중인 키오스크
+ * @returns {Promise<object|null>} kiosks row (id, company_id, business_id, name, capture_photo)
+ */
+async function resolveKiosk(supabase, token) {
+  if (!token || !String(token).startsWith(KIOSK_TOKEN_PREFIX)) return null;
+
+  const { data: kiosk } = await supabase
+    .from('kiosks')
+    .select('id, company_id, business_id, name, capture_photo, revoked_at')
+    .eq('token_hash', sha256(token))
+    .maybeSingle();
+  if (!kiosk || kiosk.revoked_at) return null;
+
+  await supabase.from('kiosks').update({ last_seen_at: new Date().toISOString() }).eq('id', kiosk.id);
+  return kiosk;
+}
+
+/**
+ * PIN 형식 검증 — 숫자 4~6자리, 같은 숫자 반복·연속 숫자 금지
+ * @returns {string|null} 오류 메시지
+ */
+function validatePin(pin) {
+  const s = String(pin || '');
+  if (!new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`).test(s)) {
+    return `PIN은 숫자 ${PIN_MIN_LENGTH}~${PIN_MAX_LENGTH}자리여야 합니다`;
+  }
+  if (/^(\d)\1+$/.test(s)) return '같은 숫자만 반복된 PIN은 사용할 수 없습니다';
+  if ('0123456789'.includes(s) || '9876543210'.includes(s)) return '연속된 숫자 PIN은 사용할 수 없습니다';
+  return null;
+}
+
+function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(pin), salt, 32).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPin(stored, pin) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const given = crypto.scryptSync(String(pin || ''), salt, expected.length);
+  return crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * "data:image/jpeg;base64,..." → Buffer (JPEG/PNG, 300KB 이하)
+ * @returns {{ buffer: Buffer, contentType: string } | { error: string }}
+ */
+function parsePhotoDataUrl(dataUrl) {
+  const m = /^data:(image\/(?:jpeg|png));base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+  if (!m) return { error: '사진 형식이 올바르지 않습니다' };
+  const buffer = Buffer.from(m[2], 'base64');
+  if (buffer.length > MAX_PHOTO_BYTES) return { error: '사진 용량이 너무 큽니다' };
+  return { buffer, contentType: m[1] };
+}
+
+module.exports = {
+  KIOSK_TOKEN_PREFIX,
+  PIN_MIN_LENGTH,
+  PIN_MAX_LENGTH,
+  PIN_MAX_FAILURES,
+  PIN_LOCK_MINUTES,
+  KIOSK_OFFLINE_MAX_AGE_HOURS,
+  PHOTO_BUCKET,
+  sha256,
+  generateKioskToken,
+  resolveKiosk,
+  validatePin,
+  hashPin,
+  verifyPin,
+  parsePhotoDataUrl,
+};
@@ -0,0 +1,296 @@
+// netlify/functions/lib/location-rules.js
+// 사업장 출퇴근 위치 규칙 — 허용 네트워크(IP/CIDR, IPv4·IPv6) + 지오펜스(원/다각형)
+//
+// 저장 형식 (businesses):
+//   wifi_allowed_networks: [{ cidr: '211.45.67.0/24', label: 'KT 회선' }, { cidr: '2001:e60:8833::/48', label: 'IPv6' }]
+//   geofences: [
+//     { type: 'circle',  label: '본관', latitude, longitude, radiusMeters },
+//     { type: 'polygon', label: '공사현장', points: [[lat, lng], [lat, lng], ...] },
+//   ]
+// 기존 단일 설정(wifi_registered_ip / wifi_registered_ip_v6 / gps_latitude·gps_longitude·gps_radius_meters)도
+// 규칙 목록에 합쳐서 함께 검사 (하위 호환)
+//
+// 사용법:
+//   const { getNetworkRules, matchNetwork, getGeofences, matchGeofence } = require('./lib/location-rules');
+//   const rule  = matchNetwork(clientIp, getNetworkRules(biz));          // 일치한 규칙 또는 null
+//   const geo   = matchGeofence({ latitude, longitude }, getGeofences(biz)); // { fence, distance, inside }
+
+const MAX_NETWORK_RULES = 20;
+const MAX_GEOFENCES = 10;
+const MAX_POLYGON_POINTS = 100;
+const MIN_RADIUS_METERS = 30;
+const MAX_RADIUS_METERS = 2000;
+const DEFAULT_RADIUS_METERS = 100;
+
+const EARTH_RADIUS_M = 6371000;
+
+// ─────────────────────────────────────────────────────────────
+// IP / CIDR
+// ─────────────────────────────────────────────────────────────
+
+function parseIpv4(str) {
+  const parts = str.split('.');
+  if (parts.length !== 4) return null;
+  let value = 0n;
+  for (const p of parts) {
+    if (!/^\d{1,3}$/.test(p)) return null;
+    const n = Number(p);
+    if (n > 255) return null;
+    value = (value << 8n) | BigInt(n);
+  }
+  return value;
+}
+
+function parseIpv6(str) {
+  let s = str.split('%')[0]; // zone id 제거 (fe80::1%eth0)
+  // IPv4 내장 표기 (::ffff:1.2.3.4) → 16진수 그룹 2개로 변환
+  const v4Match = s.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4Match) {
+    const v4 = parseIpv4(v4Match[2]);
+    if (v4 === null) return null;
+    s = v4Match[1] + ((v4 >> 16n) & 0xffffn).toString(16) + ':' + (v4 & 0xffffn).toString(16);
+  }
+  const halves = s.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  let value = 0n;
+  for (const g of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(g)) return null;
+    value = (value << 16n) | BigInt(parseInt(g, 16));
+  }
+  return value;
+}
+
+/**
+ * IP 문자열 → { version, value(BigInt) }
+ * IPv4-mapped IPv6(::ffff:x.x.x.x)는 IPv4 로 취급
+ * @returns {{ version: 4|6, value: bigint }|null}
+ */
+function parseIp(str) {
+  const s = String(str || '').trim();
+  if (!s) return null;
+  if (!s.includes(':')) {
+    const v4 = parseIpv4(s);
+    return v4 === null ? null : { version: 4, value: v4 };
+  }
+  const v6 = parseIpv6(s);
+  if (v6 === null) return null;
+  if ((v6 >> 32n) === 0xffffn) return { version: 4, value: v6 & 0xffffffffn };
+  return { version: 6, value: v6 };
+}
+
+/**
+ * CIDR 문자열 → { version, network, prefix } (접두어 없으면 단일 IP)
+ * @returns {{ version: 4|6, network: bigint, prefix: number }|null}
+ */
+function parseCidr(str) {
+  const [ipPart, prefixPart, ...rest] = String(str || '').trim().split('/');
+  if (rest.length) return null;
+  const ip = parseIp(ipPart);
+  if (!ip) return null;
+  const bits = ip.version === 4 ? 32 : 128;
+  let prefix = bits;
+  if (prefixPart !== undefined) {
+    if (!/^\d{1,3}$/.test(prefixPart)) return null;
+    prefix = Number(prefixPart);
+    if (prefix > bits) return null;
+  }
+  const mask = prefix === 0 ? 0n : ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix);
+  return { version: ip.version, network: ip.value & mask, prefix, mask };
+}
+
+function ipInCidr(ip, cidr) {
+  if (!ip || !cidr || ip.version !== cidr.version) return false;
+  return (ip.value & cidr.mask) === cidr.network;
+}
+
+/** 허용 네트워크 규칙 1건 검증 → 오류 메시지 또는 null */
+function validateNetworkRule(rule) {
+  if (!rule || typeof rule.cidr !== 'string' || !rule.cidr.trim()) return 'IP/CIDR 값이 비어 있습니다';
+  const cidr = parseCidr(rule.cidr);
+  if (!cidr) return `IP/CIDR 형식이 올바르지 않습니다: ${rule.cidr}`;
+  // 너무 넓은 범위는 사실상 인증 해제이므로 거부
+  if ((cidr.version === 4 && cidr.prefix < 16) || (cidr.version === 6 && cidr.prefix < 32)) {
+    return `허용 범위가 너무 넓습니다: ${rule.cidr} (IPv4 /16, IPv6 /32 이상)`;
+  }
+  return null;
+}
+
+/**
+ * 사업장 허용 네트워크 목록 (기존 단일 IP 포함)
+ * @param {object} biz - businesses row
+ * @returns {Array<{ cidr: string, label: string }>}
+ */
+function getNetworkRules(biz) {
+  const rules = [];
+  if (biz?.wifi_registered_ip) rules.push({ cidr: biz.wifi_registered_ip, label: '기본 IPv4' });
+  if (biz?.wifi_registered_ip_v6) rules.push({ cidr: biz.wifi_registered_ip_v6, label: '기본 IPv6' });
+  (Array.isArray(biz?.wifi_allowed_networks) ? biz.wifi_allowed_networks : []).forEach(r => {
+    if (r && r.cidr) rules.push({ cidr: r.cidr, label: r.label || r.cidr });
+  });
+  return rules;
+}
+
+/**
+ * 클라이언트 IP 와 일치하는 첫 번째 규칙
+ * @returns {{ cidr: string, label: string }|null}
+ */
+function matchNetwork(clientIp, rules) {
+  const ip = parseIp(clientIp);
+  if (!ip) return null;
+  return rules.find(r => ipInCidr(ip, parseCidr(r.cidr))) || null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// 지오펜스
+// ─────────────────────────────────────────────────────────────
+
+// 하버사인 공식 — 두 GPS 좌표 사이의 직선 거리 (미터)
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2)
+          + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180)
+          * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return Math.round(EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+}
+
+// 다각형 내부 판정 (ray casting) — 사업장 규모(수 km 이내)에서는 평면 근사로 충분
+function pointInPolygon(lat, lng, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [yi, xi] = points[i];
+    const [yj, xj] = points[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// 다각형 경계까지 최단 거리 (미터, 등장방형 근사)
+function distanceToPolygon(lat, lng, points) {
+  const mPerLat = EARTH_RADIUS_M * Math.PI / 180;
+  const mPerLng = mPerLat * Math.cos(lat * Math.PI / 180);
+  const toXY = ([pLat, pLng]) => [(pLng - lng) * mPerLng, (pLat - lat) * mPerLat];
+  let min = Infinity;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [ax, ay] = toXY(points[j]);
+    const [bx, by] = toXY(points[i]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2));
+    min = Math.min(min, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return Math.round(min);
+}
+
+function isValidLatLng(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+/**
+ * 지오펜스 1건 검증/정규화
+ * @returns {{ fence?: object, error?: string }}
+ */
+function normalizeGeofence(raw) {
+  const label = String(raw?.label || '').trim().slice(0, 50);
+  if (raw?.type === 'circle') {
+    const latitude = parseFloat(raw.latitude);
+    const longitude = parseFloat(raw.longitude);
+    const radiusMeters = parseInt(raw.radiusMeters, 10);
+    if (!isValidLatLng(latitude, longitude)) return { error: `지오펜스 좌표가 올바르지 않습니다${label ? ` (${label})` : ''}` };
+    if (isNaN(radiusMeters) || radiusMeters < MIN_RADIUS_METERS || radiusMeters > MAX_RADIUS_METERS) {
+      return { error: `허용 반경은 ${MIN_RADIUS_METERS}~${MAX_RADIUS_METERS}m 사이여야 합니다` };
+    }
+    return { fence: { type: 'circle', label, latitude, longitude, radiusMeters } };
+  }
+  if (raw?.type === 'polygon') {
+    const points = (Array.isArray(raw.points) ? raw.points : [])
+      .map(p => [parseFloat(p?.[0]), parseFloat(p?.[1])]);
+    if (points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+      return { error: `다각형 지오펜스는 꼭짓점 3~${MAX_POLYGON_POINTS}개가 필요합니다` };
+    }
+    if (points.some(([lat, lng]) => !isValidLatLng(lat, lng))) {
+      return { error: `다각형 꼭짓점 좌표가 올바르지 않습니다${label ? ` (${label})` : ''}` };
+    }
+    return { fence: { type: 'polygon', label, points } };
+  }
+  return { error: '지오펜스 type은 circle / polygon 중 하나여야 합니다' };
+}
+
+/**
+ * 사업장 지오펜스 목록 (기존 단일 GPS 좌표 포함)
+ * @param {object} biz - businesses row
+ */
+function getGeofences(biz) {
+  const fences = [];
+  if (biz?.gps_latitude && biz?.gps_longitude) {
+    fences.push({
+      type: 'circle',
+      label: '기본 위치',
+      latitude: Number(biz.gps_latitude),
+      longitude: Number(biz.gps_longitude),
+      radiusMeters: biz.gps_radius_meters || DEFAULT_RADIUS_METERS,
+    });
+  }
+  (Array.isArray(biz?.geofences) ? biz.geofences : []).forEach(raw => {
+    const { fence } = normalizeGeofence(raw);
+    if (fence) fences.push({ ...fence, label: fence.label || (fence.type === 'circle' ? '원형 구역' : '다각형 구역') });
+  });
+  return fences;
+}
+
+/**
+ * 좌표와 지오펜스 비교
+ * @param {{ latitude: number, longitude: number }} location
+ * @param {Array} fences
+ * @returns {{ inside: boolean, fence: object|null, distance: number|null, allowedRadius: number|null }}
+ *   inside=true  → fence: 일치한 지오펜스, distance: 원 중심까지 거리(다각형은 0)
+ *   inside=false → fence: 가장 가까운 지오펜스, distance: 그 경계까지 거리
+ */
+function matchGeofence(location, fences) {
+  const lat = Number(location?.latitude);
+  const lng = Number(location?.longitude);
+  if (!fences.length || !isValidLatLng(lat, lng)) {
+    return { inside: false, fence: null, distance: null, allowedRadius: null };
+  }
+
+  let nearest = null;
+  for (const fence of fences) {
+    if (fence.type === 'circle') {
+      const dist = haversineDistance(lat, lng, fence.latitude, fence.longitude);
+      if (dist <= fence.radiusMeters) {
+        return { inside: true, fence, distance: dist, allowedRadius: fence.radiusMeters };
+      }
+      const outside = dist - fence.radiusMeters;
+      if (!nearest || outside < nearest.outside) nearest = { fence, outside, distance: dist, allowedRadius: fence.radiusMeters };
+    } else {
+      if (pointInPolygon(lat, lng, fence.points)) {
+        return { inside: true, fence, distance: 0, allowedRadius: null };
+      }
+      const outside = distanceToPolygon(lat, lng, fence.points);
+      if (!nearest || outside < nearest.outside) nearest = { fence, outside, distance: outside, allowedRadius: null };
+    }
+  }
+  return { inside: false, fence: nearest.fence, distance: nearest.distance, allowedRadius: nearest.allowedRadius };
+}
+
+module.exports = {
+  MAX_NETWORK_RULES,
+  MAX_GEOFENCES,
+  MIN_RADIUS_METERS,
+  MAX_RADIUS_METERS,
+  parseIp,
+  parseCidr,
+  validateNetworkRule,
+  getNetworkRules,
+  matchNetwork,
+  haversineDistance,
+  normalizeGeofence,
+  getGeofences,
+  matchGeofence,
+};
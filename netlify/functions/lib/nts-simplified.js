@@ -0,0 +1,155 @@
+// netlify/functions/lib/nts-simplified.js
+// 홈택스 연말정산 간소화 자료 → 공제 신고 양식 (lib/year-end-tax.js EMPTY_DEDUCTIONS) 미리 채우기
+//
+// 입력: 간소화 자료 XML, 또는 XML 이 첨부된 간소화 PDF (비밀번호를 걸지 않고 내려받은 파일)
+//   PDF 는 첨부 파일(EmbeddedFiles)의 XML 을 꺼내 읽음 — 암호화된 PDF 는 읽지 않고 XML 업로드 안내
+//   XML 은 <form form_cd="A102Y"> 단위 자료, 자료별 합계는 <sum> (없으면 <amt> 합계)
+//
+// 서식 코드 첫 글자로 공제 항목을 정함 (FORM_MAP). 간소화 자료에 없는 구분
+// (전통시장·대중교통 분리, 교육비 학교 구분, 부양가족별 의료비 구분 등)은 직원이 확인·수정 후 제출 —
+// 결과는 저장하지 않고 양식에 채우기만 함 (year-end-submit.js parse)
+//
+// 사용법:
+//   const { parseNtsUpload } = require('./lib/nts-simplified');
+//   const { deductions, recognized, unrecognized } = await parseNtsUpload(dataUrl, defaults);
+
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// 서식 코드 → 공제 항목 (첫 글자, 필요하면 두 번째 자리까지)
+const FORM_MAP = [
+  { prefix: 'A',  label: '보장성 보험료',          apply: (d, v) => { d.insurance.general += v; } },
+  { prefix: 'B2', label: '실손의료보험금 (차감)',   apply: (d, v) => { d.medical.general = Math.max(0, d.medical.general - v); } },
+  { prefix: 'B',  label: '의료비',                 apply: (d, v) => { d.medical.general += v; } },
+  { prefix: 'C',  label: '교육비',                 apply: (d, v) => { d.education.school.push(v); } },
+  { prefix: 'D',  label: '개인연금저축',            apply: () => {} }, // 2000년 이전 가입분 — 소득공제 대상 아님 (표시만)
+  { prefix: 'E',  label: '연금저축',               apply: (d, v) => { d.pension.savings += v; } },
+  { prefix: 'F',  label: '퇴직연금',               apply: (d, v) => { d.pension.irp += v; } },
+  { prefix: 'G1', label: '신용카드',               apply: (d, v) => { d.cards.credit += v; } },
+  { prefix: 'G2', label: '직불·선불카드',           apply: (d, v) => { d.cards.debit += v; } },
+  { prefix: 'G3', label: '현금영수증',             apply: (d, v) => { d.cards.cash += v; } },
+  { prefix: 'G',  label: '기타 결제수단',           apply: (d, v) => { d.cards.debit += v; } },
+  { prefix: 'J1', label: '주택임차차입금 원리금',    apply: (d, v) => { d.housing.leaseRepayment += v; } },
+  { prefix: 'J2', label: '장기주택저당차입금 이자',  apply: (d, v) => { d.housing.mortgageInterest += v; } },
+  { prefix: 'J3', label: '주택청약종합저축',        apply: (d, v) => { d.housing.subscription += v; } },
+  { prefix: 'L',  label: '기부금',                 apply: (d, v) => { d.donations.designated += v; } },
+];
+
+function invalid(statusCode, error, extra = {}) {
+  return { error: { statusCode, error, ...extra } };
+}
+
+function toAmount(text) {
+  const n = Number(String(text).replace(/[,\s]/g, ''));
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+/**
+ * data URL (base64) → Buffer
+ * @returns {{ buffer: Buffer, kind: 'xml' | 'pdf' } | { error: object }}
+ */
+function decodeUpload(dataUrl) {
+  const match = /^data:([\w./+-]+);base64,(.+)$/.exec(dataUrl || '');
+  if (!match) return invalid(400, '파일(file)은 base64 data URL 이어야 합니다.');
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length === 0) return invalid(400, '빈 파일입니다.');
+  if (buffer.length > MAX_UPLOAD_BYTES) return invalid(413, '파일은 5MB 이하만 올릴 수 있습니다.');
+  const head = buffer.slice(0, 5).toString('latin1');
+  if (head === '%PDF-') return { buffer, kind: 'pdf' };
+  const text = buffer.slice(0, 200).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (text.startsWith('<')) return { buffer, kind: 'xml' };
+  return invalid(400, '간소화 자료 XML 또는 PDF 파일만 올릴 수 있습니다.');
+}
+
+// 간소화 PDF 첨부 파일 중 XML
+async function extractXmlFromPdf(buffer) {
+  let doc;
+  try {
+    doc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  } catch (e) {
+    return invalid(400, 'PDF 파일을 읽을 수 없습니다: ' + e.message);
+  }
+  if (doc.isEncrypted) {
+    return invalid(400, '비밀번호가 걸린 PDF 는 읽을 수 없습니다. 홈택스에서 비밀번호 없이 다시 내려받거나 XML 파일을 올려주세요.');
+  }
+  const names = doc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  const embedded = names && names.lookupMaybe(PDFName.of('EmbeddedFiles'), PDFDict);
+  const list = embedded && embedded.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (!list) return invalid(400, '간소화 자료가 첨부되지 않은 PDF 입니다. 홈택스 연말정산 간소화 PDF 또는 XML 파일을 올려주세요.');
+
+  for (let i = 1; i < list.size(); i += 2) {
+    const spec = list.lookupMaybe(i, PDFDict);
+    const ef = spec && spec.lookupMaybe(PDFName.of('EF'), PDFDict);
+    const stream = ef && ef.lookupMaybe(PDFName.of('F'), PDFRawStream);
+    if (!stream) continue;
+    const text = Buffer.from(decodePDFRawStream(stream).decode()).toString('utf8');
+    if (/<form[\s>]/i.test(text)) return { xml: text };
+  }
+  return invalid(400, 'PDF 첨부 파일에서 간소화 자료 XML 을 찾지 못했습니다.');
+}
+
+/**
+ * 간소화 자료 XML → 서식 코드별 합계 (순수 함수)
+ * @returns {Array<{ formCode, amount }>}
+ */
+function readNtsForms(xml) {
+  const forms = [];
+  const formRe = /<form\b[^>]*\bform_cd\s*=\s*"([^"]+)"[^>]*>([\s\S]*?)<\/form>/gi;
+  let m;
+  while ((m = formRe.exec(xml)) !== null) {
+    const body = m[2];
+    const pick = (tag) => [...body.matchAll(new RegExp(`<${tag}\\b[^>]*>([^<]*)</${tag}>`, 'gi'))].map(x => toAmount(x[1]));
+    const sums = pick('sum');
+    const amounts = sums.length ? sums : pick('amt');
+    forms.push({ formCode: m[1].trim().toUpperCase(), amount: amounts.reduce((a, b) => a + b, 0) });
+  }
+  return forms;
+}
+
+/**
+ * 간소화 자료 → 공제 신고 양식 (defaults 위에 합산)
+ * @param {string} dataUrl - 업로드 파일 data URL
+ * @param {object} defaults - lib/year-end-tax.js defaultDeductions() 또는 기존 신고
+ * @returns {Promise<{ deductions, source: 'nts_xml'|'nts_pdf', recognized, unrecognized } | { error }>}
+ */
+async function parseNtsUpload(dataUrl, defaults) {
+  const upload = decodeUpload(dataUrl);
+  if (upload.error) return upload;
+
+  let xml;
+  if (upload.kind === 'pdf') {
+    const extracted = await extractXmlFromPdf(upload.buffer);
+    if (extracted.error) return extracted;
+    xml = extracted.xml;
+  } else {
+    xml = upload.buffer.toString('utf8');
+  }
+
+  const forms = readNtsForms(xml);
+  if (forms.length === 0) return invalid(400, '간소화 자료 항목을 찾지 못했습니다. 홈택스에서 내려받은 파일인지 확인해주세요.');
+
+  const d = JSON.parse(JSON.stringify(defaults));
+  // 간소화 자료로 채우는 항목은 새로 계산 (인적공제·종전 근무지는 유지)
+  d.insurance = { ...d.insurance, general: 0 };
+  d.medical = { ...d.medical, general: 0 };
+  d.education = { ...d.education, school: [] };
+  d.pension = { savings: 0, irp: 0 };
+  d.cards = { credit: 0, debit: 0, cash: 0, culture: 0, market: 0, transit: 0 };
+  d.housing = { ...d.housing, leaseRepayment: 0, mortgageInterest: 0, subscription: 0 };
+  d.donations = { ...d.donations, designated: 0 };
+
+  const recognized = [];
+  const unrecognized = [];
+  // 실손의료보험금 차감은 의료비 합산 뒤에
+  const ordered = [...forms].sort((a, b) => (a.formCode.startsWith('B2') ? 1 : 0) - (b.formCode.startsWith('B2') ? 1 : 0));
+  for (const form of ordered) {
+    const rule = FORM_MAP.find(f => form.formCode.startsWith(f.prefix));
+    if (!rule) { unrecognized.push(form); continue; }
+    rule.apply(d, form.amount);
+    recognized.push({ ...form, label: rule.label });
+  }
+  return { deductions: d, source: upload.kind === 'pdf' ? 'nts_pdf' : 'nts_xml', recognized, unrecognized };
+}
+
+module.exports = { parseNtsUpload, readNtsForms };
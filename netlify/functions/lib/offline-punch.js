@@ -0,0 +1,110 @@
+// netlify/functions/lib/offline-punch.js
+// 오프라인 출퇴근(지하·창고·주방 등 통신 불가 구역) 지연 전송 검증 공통 모듈
+//
+// 흐름:
+//  1) attendance-checkin.html 이 전송 실패한 출퇴근을 휴대폰(localStorage)에 보관
+//     — 누른 시각(timestamp)·위치·punchId 를 기기 인증키로 서명 (HMAC-SHA256)
+//  2) 연결이 돌아오면 순서대로 attendance-checkin.js 로 재전송 (body.offline = { punchId, signature })
+//  3) 서버는 누른 시각 기준으로 기록하고 지연 시간 저장
+//     회사 허용 지연(companies.offline_tolerance_minutes) 초과 / 서명 없음 / 위치 검증 불가 → 관리자 검토 대상
+//     동적 QR 은 서버 수신 시각으로 확인되지 않으면 항상 검토 대상 (누른 시각은 조작 가능)
+//     WiFi 단독 모드도 오프라인 기록은 의도적으로 차단하지 않음 — 전송 시점 IP 는 누른 곳의 IP 가 아니므로
+//     비교 자체가 불가능 (사업장 WiFi 장애 중 누른 기록 보존), 대신 항상 검토 대상 (WIFI_UNVERIFIED)
+//
+// 저장 (attendances):
+//   offline_synced / offline_sync_delay_seconds / check_in_punch_id                    — 출근
+//   check_out_offline_synced / check_out_offline_sync_delay_seconds / check_out_punch_id — 퇴근
+//   offline_review_reasons jsonb [{ punch, reason, delaySeconds }] — lib/punch-anomaly.js 가 이상 징후로 표시
+//
+// 서명 키: 기기 인증키 비밀값의 SHA-256 hex (= employee_devices.credential_hash)
+//   서버는 비밀값 원문을 모르므로 해시를 공유 키로 사용 — 서명은 "등록된 기기에서 만든 기록"임을 증명
+
+const crypto = require('crypto');
+
+const DEFAULT_OFFLINE_TOLERANCE_MINUTES = 30;
+const MIN_OFFLINE_TOLERANCE_MINUTES = 0;
+const MAX_OFFLINE_TOLERANCE_MINUTES = 24 * 60;
+// 이보다 오래된 기록은 받지 않음 → 관리자 수동 등록
+const OFFLINE_MAX_AGE_HOURS = 72;
+// 휴대폰 시계가 서버보다 빠른 경우 허용 폭
+const MAX_CLOCK_AHEAD_MS = 5 * 60 * 1000;
+
+const OFFLINE_REVIEW_REASON = {
+  LATE_SYNC:       'late_sync',        // 허용 지연 초과
+  UNSIGNED:        'unsigned',         // 등록 기기 없이 보낸 기록 (서명 검증 불가)
+  WIFI_UNVERIFIED: 'wifi_unverified',  // 전송 시점 IP 로는 사업장 WiFi 확인 불가
+  DQR_UNVERIFIED:  'dqr_unverified',   // 동적 QR 코드가 서버 수신 시각 기준으로는 만료 (누른 시각은 클라이언트 주장값)
+};
+
+const OFFLINE_REVIEW_LABELS = {
+  [OFFLINE_REVIEW_REASON.LATE_SYNC]:       '허용 시간 초과 지연 전송',
+  [OFFLINE_REVIEW_REASON.UNSIGNED]:        '기기 서명 없음',
+  [OFFLINE_REVIEW_REASON.WIFI_UNVERIFIED]: 'WiFi 확인 불가',
+  [OFFLINE_REVIEW_REASON.DQR_UNVERIFIED]:  '동적 QR 확인 불가',
+};
+
+function resolveOfflineToleranceMinutes(value) {
+  const n = parseInt(value, 10);
+  if (isNaN(n)) return DEFAULT_OFFLINE_TOLERANCE_MINUTES;
+  return Math.min(MAX_OFFLINE_TOLERANCE_MINUTES, Math.max(MIN_OFFLINE_TOLERANCE_MINUTES, n));
+}
+
+/**
+ * 서명 대상 문자열 — 클라이언트(attendance-checkin.html signPunch)와 같은 순서/형식
+ * 좌표는 받은 값 그대로 문자열화 (소수점 반올림 금지)
+ */
+function canonicalPunch({ punchId, token, phoneNumber, type, timestamp, location }) {
+  return [
+    punchId,
+    type,
+    timestamp,
+    token,
+    String(phoneNumber || '').replace(/[^0-9]/g, ''),
+    location?.latitude ?? '',
+    location?.longitude ?? '',
+  ].join('|');
+}
+
+function signPunch(credentialHash, punch) {
+  return crypto.createHmac('sha256', credentialHash).update(canonicalPunch(punch)).digest('hex');
+}
+
+function verifyPunchSignature(credentialHash, punch, signature) {
+  if (!credentialHash || !signature) return false;
+  const expected = Buffer.from(signPunch(credentialHash, punch), 'hex');
+  const given = Buffer.from(String(signature), 'hex');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * 지연 전송 시각 검증
+ * @param {Date} punchedAt - 직원이 누른 시각 (휴대폰 시계)
+ * @param {Date} receivedAt - 서버 수신 시각
+ * @param {number} toleranceMinutes
+ * @returns {{ delaySeconds: number, lateSync: boolean } | { error: string }}
+ */
+function evaluateOfflineDelay(punchedAt, receivedAt, toleranceMinutes) {
+  const delayMs = receivedAt.getTime() - punchedAt.getTime();
+  if (delayMs < -MAX_CLOCK_AHEAD_MS) {
+    return { error: '휴대폰 시계가 맞지 않습니다. 날짜/시간을 자동 설정으로 바꾼 뒤 다시 시도해주세요.' };
+  }
+  if (delayMs > OFFLINE_MAX_AGE_HOURS * 3600 * 1000) {
+    return { error: `${OFFLINE_MAX_AGE_HOURS}시간이 지난 출퇴근 기록은 자동 전송할 수 없습니다. 관리자에게 수동 등록을 요청해주세요.` };
+  }
+  const delaySeconds = Math.max(0, Math.round(delayMs / 1000));
+  return { delaySeconds, lateSync: delaySeconds > toleranceMinutes * 60 };
+}
+
+module.exports = {
+  DEFAULT_OFFLINE_TOLERANCE_MINUTES,
+  MIN_OFFLINE_TOLERANCE_MINUTES,
+  MAX_OFFLINE_TOLERANCE_MINUTES,
+  OFFLINE_MAX_AGE_HOURS,
+  OFFLINE_REVIEW_REASON,
+  OFFLINE_REVIEW_LABELS,
+  resolveOfflineToleranceMinutes,
+  canonicalPunch,
+  signPunch,
+  verifyPunchSignature,
+  evaluateOfflineDelay,
+};
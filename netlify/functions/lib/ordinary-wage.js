@@ -0,0 +1,181 @@
+// netlify/functions/lib/ordinary-wage.js
+// 통상임금 산정 모듈 — 연장·야간·휴일 가산수당, 주휴수당, 연차수당, 해고예고수당의 기준
+// [법적 근거] 근로기준법 시행령 제6조 (통상임금, 시간급 환산)
+//             대법원 2024.12.19. 선고 2020다247190 전원합의체 (재직·근무일수 조건부 정기상여금도 통상임금)
+//
+// 계산 방식:
+//  1) 월 통상임금 = 기본급(월 환산) + 통상임금 포함 정기 수당 + 정기상여금 연간 지급액 ÷ 12
+//     - 정기 수당: pay_items.ordinary_wage = true 이고 recurrence = 'recurring' 인 항목의 해당 월 지정 금액
+//     - 정기상여금: pay_items.ordinary_wage = true 이고 recurrence = 'one_off' 인 항목의 같은 해 지급 예정액 합계
+//       (분기·명절 상여 등을 미리 지정해 두면 월할 반영)
+//  2) 월 통상임금 산정 기준시간 = (주 소정근로시간 + 주휴시간) × 365 ÷ 7 ÷ 12  (주 40시간 → 209시간)
+//  3) 시간급 통상임금 = 월 통상임금 ÷ 월 기준시간
+//  4) 1일 통상임금 = 시간급 통상임금 × 1일 소정근로시간
+//
+// 사용법:
+//   const { loadOrdinaryWage } = require('./lib/ordinary-wage');
+//   const ordinary = await loadOrdinaryWage(supabase, { employee, year, month });
+//   overtimePay = overtimeHours * ordinary.hourlyOrdinaryWage * 1.5;
+
+const { getContractedWeeklyHours, getContractedDailyHours, parseWorkDays } = require('./weekly-holiday');
+const { PAY_ITEM_KIND, RECURRENCE, loadEmployeePayItems } = require('./pay-items');
+
+const DEFAULT_WEEKLY_HOURS = 40;
+const DEFAULT_DAILY_HOURS = 8;
+const DISMISSAL_NOTICE_DAYS = 30; // 근로기준법 제26조 — 30일분 이상 통상임금
+
+function round2(n) { return Math.round(n * 100) / 100; }
+
+/**
+ * 월 통상임금 산정 기준시간 (유급 주휴 포함)
+ * 주 소정근로시간 15시간 미만이면 주휴 없음 (근로기준법 제18조 제3항)
+ * @param {object} employee - { weekly_contract_hours, work_start_time, work_end_time, break_time_minutes, work_days }
+ * @returns {{ weeklyHours: number, weeklyHolidayHours: number, dailyHours: number, monthlyHours: number }}
+ */
+function getMonthlyStandardHours(employee = {}) {
+  const weeklyHours = Math.min(getContractedWeeklyHours(employee) ?? DEFAULT_WEEKLY_HOURS, DEFAULT_WEEKLY_HOURS);
+  const weeklyHolidayHours = weeklyHours >= 15 ? round2(weeklyHours / 40 * 8) : 0;
+  const workDays = (parseWorkDays(employee.work_days) || [1, 2, 3, 4, 5]).length;
+  const dailyHours = Math.min(getContractedDailyHours(employee) ?? (weeklyHours / workDays), DEFAULT_DAILY_HOURS);
+  return {
+    weeklyHours,
+    weeklyHolidayHours,
+    dailyHours: round2(dailyHours),
+    monthlyHours: Math.round((weeklyHours + weeklyHolidayHours) * 365 / 7 / 12),
+  };
+}
+
+/**
+ * 통상임금 계산 (순수 함수)
+ * @param {object} params
+ * @param {object} params.employee - 직원 (salary_type, base_salary / monthly_wage / hourly_rate, 소정근로 필드)
+ * @param {Array}  [params.assigned] - 해당 월 지정 항목 (loadEmployeePayItems 결과)
+ * @param {Array}  [params.annualBonuses] - 같은 해 정기상여금 지정 [{ payItemId, name, amount, payMonth }]
+ * @returns {object} 통상임금 산정 내역 (payrolls.ordinary_wage_breakdown 으로 저장)
+ */
+function calculateOrdinaryWage({ employee = {}, assigned = [], annualBonuses = [] }) {
+  const salaryType = employee.salary_type || employee.pay_type || 'hourly';
+  const base = parseFloat(employee.base_salary || employee.monthly_wage || employee.hourly_rate || '0') || 0;
+  const standard = getMonthlyStandardHours(employee);
+
+  // 기본급 월 환산
+  let baseMonthly = base;
+  if (salaryType === 'annual') baseMonthly = base / 12;
+  else if (salaryType === 'hourly') baseMonthly = base * standard.monthlyHours;
+  else if (salaryType === 'daily') baseMonthly = base / standard.dailyHours * standard.monthlyHours;
+
+  const allowances = assigned
+    .filter(({ amount, payItem }) => amount > 0
+      && payItem.kind === PAY_ITEM_KIND.ALLOWANCE
+      && payItem.ordinary_wage === true
+      && (payItem.recurrence || RECURRENCE.RECURRING) === RECURRENCE.RECURRING)
+    .map(({ amount, payItem }) => ({ payItemId: payItem.id, name: payItem.name, amount }));
+  const allowanceTotal = allowances.reduce((sum, a) => sum + a.amount, 0);
+
+  const bonusAnnual = annualBonuses.reduce((sum, b) => sum + b.amount, 0);
+  const bonusMonthly = Math.floor(bonusAnnual / 12);
+
+  const monthlyOrdinaryWage = Math.floor(baseMonthly) + allowanceTotal + bonusMonthly;
+  const hourlyOrdinaryWage = standard.monthlyHours > 0
+    ? round2(monthlyOrdinaryWage / standard.monthlyHours)
+    : 0;
+
+  return {
+    salaryType,
+    baseSalary: base,
+    ...standard,
+    baseMonthly: Math.floor(baseMonthly),
+    allowances,
+    allowanceTotal,
+    bonuses: annualBonuses,
+    bonusAnnual,
+    bonusMonthly,
+    monthlyOrdinaryWage,
+    hourlyOrdinaryWage,
+    dailyOrdinaryWage: Math.floor(hourlyOrdinaryWage * standard.dailyHours),
+  };
+}
+
+/**
+ * 같은 해 정기상여금 지정 (통상임금 포함 일회성 수당)
+ * @param {object} supabase
+ * @param {object} params - { employeeId, year }
+ */
+async function loadAnnualOrdinaryBonuses(supabase, { employeeId, year }) {
+  const { data, error } = await supabase
+    .from('employee_pay_items')
+    .select('amount, pay_month, pay_items:pay_item_id ( * )')
+    .eq('employee_id', employeeId)
+    .gte('pay_month', `${year}-01`)
+    .lte('pay_month', `${year}-12`);
+  if (error) throw error;
+
+  return (data || [])
+    .map(row => ({ row, payItem: Array.isArray(row.pay_items) ? row.pay_items[0] : row.pay_items }))
+    .filter(({ row, payItem }) => payItem
+      && payItem.is_active !== false
+      && payItem.kind === PAY_ITEM_KIND.ALLOWANCE
+      && payItem.ordinary_wage === true
+      && payItem.recurrence === RECURRENCE.ONE_OFF
+      && Number(row.amount) > 0)
+    .map(({ row, payItem }) => ({
+      payItemId: payItem.id,
+      name:      payItem.name,
+      amount:    Number(row.amount),
+      payMonth:  row.pay_month,
+    }));
+}
+
+/**
+ * 직원의 해당 월 통상임금 (지정 항목 조회 포함)
+ * @param {object} supabase
+ * @param {object} params
+ * @param {object} params.employee - employees row (id 포함)
+ * @param {number} params.year
+ * @param {number} params.month
+ * @param {Array}  [params.assigned] - 이미 조회한 loadEmployeePayItems 결과 (중복 조회 방지)
+ */
+async function loadOrdinaryWage(supabase, { employee, year, month, assigned }) {
+  const [items, annualBonuses] = await Promise.all([
+    assigned || loadEmployeePayItems(supabase, { employeeId: employee.id, year, month }),
+    loadAnnualOrdinaryBonuses(supabase, { employeeId: employee.id, year }),
+  ]);
+  return calculateOrdinaryWage({ employee, assigned: items, annualBonuses });
+}
+
+/**
+ * 해고예고수당 — 30일 전 예고 없이 해고 시 30일분 통상임금 (근로기준법 제26조)
+ * 계속 근로기간 3개월 미만이면 적용 제외 (같은 조 단서 제1호)
+ * @param {object} params
+ * @param {number} params.dailyOrdinaryWage
+ * @param {string} params.hireDate - YYYY-MM-DD
+ * @param {string} params.dismissalDate - YYYY-MM-DD
+ * @param {number} [params.noticeDays] - 실제 예고 일수 (0 = 즉시 해고)
+ * @returns {{ applicable: boolean, reason: string|null, days: number, amount: number }}
+ */
+function calculateDismissalNoticePay({ dailyOrdinaryWage, hireDate, dismissalDate, noticeDays = 0 }) {
+  const threeMonths = new Date(hireDate);
+  threeMonths.setMonth(threeMonths.getMonth() + 3);
+  if (new Date(dismissalDate) < threeMonths) {
+    return { applicable: false, reason: '계속 근로기간 3개월 미만', days: 0, amount: 0 };
+  }
+  if (noticeDays >= DISMISSAL_NOTICE_DAYS) {
+    return { applicable: false, reason: `${DISMISSAL_NOTICE_DAYS}일 전 해고 예고`, days: 0, amount: 0 };
+  }
+  // 예고 기간이 30일에 못 미치면 일부 예고와 관계없이 30일분 전액
+  return {
+    applicable: true,
+    reason: null,
+    days: DISMISSAL_NOTICE_DAYS,
+    amount: Math.floor(dailyOrdinaryWage * DISMISSAL_NOTICE_DAYS),
+  };
+}
+
+module.exports = {
+  DISMISSAL_NOTICE_DAYS,
+  getMonthlyStandardHours,
+  calculateOrdinaryWage,
+  loadAnnualOrdinaryBonuses,
+  loadOrdinaryWage,
+  calculateDismissalNoticePay,
+};
@@ -0,0 +1,239 @@
+// netlify/functions/lib/pay-items.js
+// 회사별 수당·공제 항목 (직책수당·자격수당·근속수당·상여금·가불금 회수·기숙사비 등)
+//
+// 항목 카탈로그 (pay_items): id, company_id, name, kind ('allowance' | 'deduction'),
+//   tax_type ('taxable' | 'non_taxable'), non_taxable_type (NON_TAXABLE_TYPE), non_taxable_limit (월 한도, 원),
+//   ordinary_wage (통상임금 포함), average_wage (평균임금 포함), recurrence ('recurring' | 'one_off'),
+//   default_amount, sort_order, is_active, created_at, updated_at
+// 직원별 지정 (employee_pay_items): id, company_id, employee_id, pay_item_id, amount,
+//   start_month / end_month ('YYYY-MM', 정기 항목 적용 기간 — end_month 없으면 계속),
+//   pay_month ('YYYY-MM', 일회성 항목 지급/공제 월), memo, created_at, updated_at
+//
+// 통상임금 포함 항목 (정기 수당 + 일회성 정기상여금)은 lib/ordinary-wage.js 에서 시간급 통상임금에 반영
+//
+// 비과세 한도 (소득세법 제12조, 시행령 제12조·제17조의2·제17조의3)
+//   식대·자가운전보조금·보육수당은 직원 기본 필드(meal/car/childcare_allowance)와 한도를 함께 사용
+//   한도를 넘는 금액은 과세 수당으로 지급
+//
+// 사용법:
+//   const { loadEmployeePayItems, applyPayItems } = require('./lib/pay-items');
+//   const assigned = await loadEmployeePayItems(supabase, { employeeId, year, month });
+//   const items = applyPayItems(assigned, { rules, usedNonTaxable: { meal: mealAllowance } });
+
+const PAY_ITEM_KIND = {
+  ALLOWANCE: 'allowance',
+  DEDUCTION: 'deduction',
+};
+
+const TAX_TYPE = {
+  TAXABLE:     'taxable',
+  NON_TAXABLE: 'non_taxable',
+};
+
+const RECURRENCE = {
+  RECURRING: 'recurring', // 매월 (적용 기간 내)
+  ONE_OFF:   'one_off',   // 지정한 달 1회
+};
+
+// 비과세 유형 — limitKey: rules.taxExemption 키 (법정 한도), 없으면 항목의 non_taxable_limit 사용
+const NON_TAXABLE_TYPE = {
+  meal:      { label: '식대',              limitKey: 'mealAllowance' },
+  car:       { label: '자가운전보조금',    limitKey: 'carAllowance' },
+  childcare: { label: '보육수당',          limitKey: 'childcareAllowance' },
+  research:  { label: '연구보조비',        limitKey: 'researchAllowance' },
+  other:     { label: '기타 비과세',       limitKey: null },
+};
+
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function monthKey(year, month) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * 항목 정의 검증 — 오류 메시지 또는 null
+ * @param {object} item - camelCase 입력 (name, kind, taxType, nonTaxableType, nonTaxableLimit, recurrence, defaultAmount)
+ * @param {boolean} [partial] - 수정(PUT)이면 들어온 값만 검사
+ */
+function validatePayItem(item, partial = false) {
+  const has = (k) => item[k] !== undefined;
+  if (!partial || has('name')) {
+    if (!item.name || !String(item.name).trim()) return '항목명을 입력해주세요';
+    if (String(item.name).trim().length > 30) return '항목명은 30자 이내';
+  }
+  if ((!partial || has('kind')) && !Object.values(PAY_ITEM_KIND).includes(item.kind)) {
+    return 'kind는 allowance(수당) 또는 deduction(공제)';
+  }
+  if (has('taxType') && !Object.values(TAX_TYPE).includes(item.taxType)) {
+    return 'taxType은 taxable 또는 non_taxable';
+  }
+  if (item.taxType === TAX_TYPE.NON_TAXABLE) {
+    if (item.kind === PAY_ITEM_KIND.DEDUCTION) return '공제 항목은 비과세로 지정할 수 없습니다';
+    if (!NON_TAXABLE_TYPE[item.nonTaxableType]) {
+      return '비과세 유형은 ' + Object.keys(NON_TAXABLE_TYPE).join(', ') + ' 중 하나';
+    }
+  }
+  if (has('nonTaxableLimit') && item.nonTaxableLimit !== null) {
+    const limit = Number(item.nonTaxableLimit);
+    if (!Number.isInteger(limit) || limit < 0) return '비과세 한도는 0 이상의 정수(원)';
+  }
+  if (has('recurrence') && !Object.values(RECURRENCE).includes(item.recurrence)) {
+    return 'recurrence는 recurring(정기) 또는 one_off(일회성)';
+  }
+  if (has('defaultAmount') && item.defaultAmount !== null) {
+    const amount = Number(item.defaultAmount);
+    if (!Number.isInteger(amount) || amount < 0) return '기본 금액은 0 이상의 정수(원)';
+  }
+  return null;
+}
+
+/**
+ * 직원별 지정 검증 — 오류 메시지 또는 null
+ * @param {object} assignment - { amount, startMonth, endMonth, payMonth }
+ * @param {object} payItem - pay_items row
+ */
+function validateAssignment(assignment, payItem) {
+  const amount = Number(assignment.amount);
+  if (!Number.isInteger(amount) || amount < 0) return '금액은 0 이상의 정수(원)';
+  if (payItem.recurrence === RECURRENCE.ONE_OFF) {
+    if (!MONTH_RE.test(assignment.payMonth || '')) return '일회성 항목은 지급 월(payMonth: YYYY-MM)이 필요합니다';
+    return null;
+  }
+  if (!MONTH_RE.test(assignment.startMonth || '')) return '적용 시작 월(startMonth: YYYY-MM)이 필요합니다';
+  if (assignment.endMonth) {
+    if (!MONTH_RE.test(assignment.endMonth)) return '적용 종료 월 형식 오류 (YYYY-MM)';
+    if (assignment.endMonth < assignment.startMonth) return '적용 종료 월이 시작 월보다 빠릅니다';
+  }
+  return null;
+}
+
+/**
+ * 해당 월에 적용되는 직원 지정 항목 (활성 항목만)
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.employeeId
+ * @param {number} params.year
+ * @param {number} params.month
+ * @returns {Promise<Array<{ assignmentId, amount, payItem }>>}
+ */
+async function loadEmployeePayItems(supabase, { employeeId, year, month }) {
+  const key = monthKey(year, month);
+  const { data, error } = await supabase
+    .from('employee_pay_items')
+    .select('id, amount, start_month, end_month, pay_month, pay_items:pay_item_id ( * )')
+    .eq('employee_id', employeeId);
+  if (error) throw error;
+
+  return (data || [])
+    .map(row => ({ row, payItem: Array.isArray(row.pay_items) ? row.pay_items[0] : row.pay_items }))
+    .filter(({ row, payItem }) => {
+      if (!payItem || payItem.is_active === false) return false;
+      if (payItem.recurrence === RECURRENCE.ONE_OFF) return row.pay_month === key;
+      return row.start_month && row.start_month <= key && (!row.end_month || row.end_month >= key);
+    })
+    .sort((a, b) => (a.payItem.sort_order ?? 0) - (b.payItem.sort_order ?? 0))
+    .map(({ row, payItem }) => ({ assignmentId: row.id, amount: Number(row.amount) || 0, payItem }));
+}
+
+function nonTaxableLimit(payItem, rules) {
+  const type = NON_TAXABLE_TYPE[payItem.non_taxable_type];
+  if (type && type.limitKey) {
+    const statutory = rules?.taxExemption?.[type.limitKey];
+    if (statutory !== undefined) return statutory;
+  }
+  return payItem.non_taxable_limit ?? 0;
+}
+
+/**
+ * 지정 항목 → 급여 반영 금액 (순수 함수)
+ * 비과세 항목은 유형별 월 한도까지만 비과세, 초과분은 과세
+ * @param {Array} assigned - loadEmployeePayItems 결과
+ * @param {object} options
+ * @param {object} options.rules - loadAllPayrollRules 결과 (taxExemption)
+ * @param {object} [options.usedNonTaxable] - 이미 사용한 비과세 한도 { meal, car, childcare }
+ * @returns {{ breakdown: Array, allowanceTotal: number, taxableAllowances: number, nonTaxableAllowances: number,
+ *             deductionTotal: number, ordinaryWageAllowances: number, averageWageAllowances: number }}
+ */
+function applyPayItems(assigned, { rules, usedNonTaxable = {} } = {}) {
+  const used = { ...usedNonTaxable };
+  const result = {
+    breakdown: [],
+    allowanceTotal: 0,
+    taxableAllowances: 0,
+    nonTaxableAllowances: 0,
+    deductionTotal: 0,
+    ordinaryWageAllowances: 0,
+    averageWageAllowances: 0,
+  };
+
+  for (const { amount, payItem } of assigned) {
+    if (amount <= 0) continue;
+    const entry = {
+      payItemId:    payItem.id,
+      name:         payItem.name,
+      kind:         payItem.kind,
+      amount,
+      taxable:      0,
+      nonTaxable:   0,
+      ordinaryWage: payItem.ordinary_wage === true,
+      averageWage:  payItem.average_wage === true,
+      recurrence:   payItem.recurrence || RECURRENCE.RECURRING,
+    };
+
+    if (payItem.kind === PAY_ITEM_KIND.DEDUCTION) {
+      result.deductionTotal += amount;
+    } else {
+      if (payItem.tax_type === TAX_TYPE.NON_TAXABLE) {
+        // 유형별 한도는 같은 유형 항목끼리 합산 (other 는 항목별)
+        const type = payItem.non_taxable_type === 'other' ? `other:${payItem.id}` : payItem.non_taxable_type;
+        const remaining = Math.max(0, nonTaxableLimit(payItem, rules) - (used[type] || 0));
+        entry.nonTaxable = Math.min(amount, remaining);
+        used[type] = (used[type] || 0) + entry.nonTaxable;
+      }
+      entry.taxable = amount - entry.nonTaxable;
+      result.allowanceTotal += amount;
+      result.taxableAllowances += entry.taxable;
+      result.nonTaxableAllowances += entry.nonTaxable;
+      // 통상임금은 정기·일률·고정 지급분 — 일회성 항목은 제외
+      if (entry.ordinaryWage && entry.recurrence === RECURRENCE.RECURRING) result.ordinaryWageAllowances += amount;
+      // 일회성 상여는 퇴직금 산정 시 연간 상여금 3/12 로 별도 반영 (employees.bonus_annual_amount)
+      if (entry.averageWage && entry.recurrence === RECURRENCE.RECURRING) result.averageWageAllowances += amount;
+    }
+    result.breakdown.push(entry);
+  }
+  return result;
+}
+
+/**
+ * pay_items row → API 응답 형태
+ */
+function formatPayItem(row) {
+  return {
+    id:              row.id,
+    name:            row.name,
+    kind:            row.kind,
+    taxType:         row.tax_type || TAX_TYPE.TAXABLE,
+    nonTaxableType:  row.non_taxable_type || null,
+    nonTaxableLimit: row.non_taxable_limit ?? null,
+    ordinaryWage:    row.ordinary_wage === true,
+    averageWage:     row.average_wage === true,
+    recurrence:      row.recurrence || RECURRENCE.RECURRING,
+    defaultAmount:   row.default_amount ?? 0,
+    sortOrder:       row.sort_order ?? 0,
+    isActive:        row.is_active !== false,
+    createdAt:       row.created_at,
+  };
+}
+
+module.exports = {
+  PAY_ITEM_KIND,
+  TAX_TYPE,
+  RECURRENCE,
+  NON_TAXABLE_TYPE,
+  monthKey,
+  validatePayItem,
+  validateAssignment,
+  loadEmployeePayItems,
+  applyPayItems,
+  formatPayItem,
+};
@@ -3,51 +3,22 @@
 // calculate-payroll.js에서 loadAllPayrollRules, getIncomeTax, calculateAge를 import함
 
 
+const { buildCalendar } = require('./holidays');
+const { lookupIncomeTax } = require('./income-tax-table');
+
+// 법정 휴일만 담은 기본 캘린더 (DB 약정휴일 미포함)
+const statutoryCalendar = buildCalendar();
+
 /**
- * 한국 법정공휴일 체크 (연도별 하드코딩)
- * 근거: 관공서의 공휴일에 관한 규정 (대통령령)
- * 설날/추석 연휴는 양력으로 미리 변환하여 입력
- * @param {Date} date - 판단할 날짜
- * @returns {boolean} 법정 휴일(일요일 + 공휴일) 여부
+ * 한국 법정휴일 체크 (일요일 + 관공서 공휴일 + 대체공휴일 + 근로자의날)
+ * 근거: 관공서의 공휴일에 관한 규정 (대통령령), 근로자의날 제정에 관한 법률
+ * 음력 공휴일은 lib/holidays.js에서 천문 계산으로 변환 (연도 제한 없음)
+ * ※ 선거일·임시공휴일·회사 약정휴일까지 반영하려면 loadHolidayCalendar() 사용
+ * @param {Date} date - 판단할 날짜 (KST 기준으로 판단)
+ * @returns {boolean} 법정 휴일 여부
  */
 function isHoliday(date) {
-  // 일요일 = 법정 주휴일 (근로기준법 제55조)
-  if (date.getDay() === 0) return true;
-
-  // 날짜 문자열 생성 (YYYY-MM-DD)
-  const year = date.getFullYear();
-  const mm = String(date.getMonth() + 1).padStart(2, '0');
-  const dd = String(date.getDate()).padStart(2, '0');
-  const key = `${year}-${mm}-${dd}`;
-
-  // 고정 법정공휴일 (매년 동일)
-  const fixedHolidays = new Set([
-    `${year}-01-01`, // 신정
-    `${year}-03-01`, // 삼일절
-    `${year}-05-05`, // 어린이날
-    `${year}-06-06`, // 현충일
-    `${year}-08-15`, // 광복절
-    `${year}-10-03`, // 개천절
-    `${year}-10-09`, // 한글날
-    `${year}-12-25`, // 성탄절
-  ]);
-  if (fixedHolidays.has(key)) return true;
-
-  // 음력 연휴 (설날 전후, 추석 전후, 부처님오신날) - 양력 변환
-  const lunarHolidays = {
-    2024: ['2024-02-09','2024-02-10','2024-02-11','2024-02-12',
-           '2024-05-15','2024-09-16','2024-09-17','2024-09-18'],
-    2025: ['2025-01-28','2025-01-29','2025-01-30',
-           '2025-05-05','2025-10-05','2025-10-06','2025-10-07'],
-    2026: ['2026-02-17','2026-02-18','2026-02-19',
-           '2026-05-24','2026-09-24','2026-09-25','2026-09-26'],
-    2027: ['2027-02-06','2027-02-07','2027-02-08',
-           '2027-05-13','2027-10-13','2027-10-14','2027-10-15'],
-    2028: ['2028-01-26','2028-01-27','2028-01-28',
-           '2028-05-02','2028-10-02','2028-10-03','2028-10-04'],
-  };
-  const lunarSet = new Set(lunarHolidays[year] || []);
-  return lunarSet.has(key);
+  return statutoryCalendar.isHoliday(date);
 }
 
 /**
@@ -67,14 +38,45 @@ function calculateAge(birthDate, referenceDate = new Date()) {
   return age;
 }
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// 사업장 규모별 룰 프로필 (근로기준법 제11조, 시행령 제7조 별표1)
+// 상시근로자 5인 미만 사업장은 일부 규정이 적용되지 않음:
+//   - 제56조 연장·야간·휴일 가산수당 → 가산 없이 실근로시간분(×1.0)만 지급
+//   - 제60조 연차유급휴가 → 미발생
+//   - 제53조 주 52시간 연장근로 한도 → 미적용 (경고 생략)
+// 적용되는 것: 최저임금, 주휴수당(제55조 제1항), 근로자의날, 퇴직급여
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+const RULE_PROFILES = {
+  standard: {
+    label: '5인 이상 사업장',
+    overrides: {},
+  },
+  small_workplace: {
+    label: '5인 미만 사업장',
+    overrides: {
+      overtime: {
+        extendedRate: 1.0,         // 가산 없음 — 연장시간분 통상임금만 지급
+        nightRate: 0,              // 야간 가산 없음
+        holidayRate: 1.0,          // 휴일 가산 없음
+        holidayExtendedRate: 1.0,
+      },
+      annualLeave: { enabled: false },
+      workHourLimit: { enforced: false },
+    },
+  },
+};
+
 /**
  * 2026년 기준 법정 급여 룰 로드
  * DB에서 커스텀 룰이 있으면 적용, 없으면 법정 기본값 사용
+ * 사업장 규모 프로필은 DB 커스텀 룰보다 우선 (법정 적용 제외 사항이므로)
  * @param {object} supabase - Supabase 클라이언트
  * @param {Date} payDate - 급여 기준일
- * @returns {object} 룰 엔진 객체
+ * @param {object} options
+ * @param {string} options.profile - 'standard' | 'small_workplace' (lib/workplace-size.js 판정 결과)
+ * @returns {object} 룰 엔진 객체 (rules.profile에 적용 프로필 기록)
  */
-async function loadAllPayrollRules(supabase, payDate = new Date()) {
+async function loadAllPayrollRules(supabase, payDate = new Date(), { profile = 'standard' } = {}) {
   // ── 기본 법정 요율 (2026년 기준) ──
   // ✅ BUG FIX: 기본값 전체를 2026년 실제 법정값으로 업데이트
   const defaultRules = {
@@ -114,6 +116,33 @@ async function loadAllPayrollRules(supabase, payDate = new Date()) {
     // 소득세 (유지)
     incomeTax: {
       localTaxRate: 0.1,     // 지방소득세 = 소득세의 10%
+      // 간이세액표 8세 이상 20세 이하 자녀 공제액 (월, 2025.2.28 개정 별표2 — 자녀세액공제 연 25만·55만·+40만원 기준)
+      childCredit: {
+        one: 20830,          // 1명
+        two: 45830,          // 2명
+        extraPerChild: 33330, // 3명 이상: 2명 공제액 + 2명 초과 1명당
+      },
+    },
+
+    // 일용근로자 (소득세법 제47조·제55조·제56조의2·제86조, lib/daily-worker.js)
+    dailyWorker: {
+      dailyDeduction: 150000, // 근로소득공제 1일 15만원
+      taxRate: 0.06,          // 기본세율 6%
+      taxCreditRate: 0.55,    // 근로소득세액공제 55% (실효 2.7%)
+      minWithholding: 1000,   // 소액부징수 — 지급 1회 소득세 합계 1천원 미만
+      pensionMinDays: 8,      // 국민연금: 월 8일 이상 또는
+      pensionMinHours: 60,    //           월 60시간 이상
+      healthMinDays: 8,       // 건강보험: 월 8일 이상
+    },
+
+    // 프리랜서 지급 원천징수 (lib/contractor-pay.js) — 4대보험 미적용
+    contractor: {
+      businessTaxRate: 0.03,       // 인적용역 사업소득 3% (지방소득세 포함 3.3%)
+      businessMinWithholding: 0,   // 인적용역 사업소득은 소액부징수 제외
+      otherTaxRate: 0.2,           // 기타소득 20%
+      otherDeemedExpenseRate: 0.6, // 강연료·원고료·일시 인적용역 필요경비 60% 의제 (실효 8.8%)
+      otherTaxFreeLimit: 50000,    // 과세최저한 — 건별 기타소득금액 5만원 이하
+      otherMinWithholding: 1000,   // 소액부징수 — 소득세 1천원 미만
     },
 
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -138,11 +167,23 @@ async function loadAllPayrollRules(supabase, payDate = new Date()) {
       minWeeklyHours: 15,    // 주 15시간 이상 근무 시 지급
     },
 
+    // 연차유급휴가 (근로기준법 제60조)
+    annualLeave: {
+      enabled: true,
+    },
+
+    // 주 최대 근로시간 (근로기준법 제53조 — 40h + 연장 12h)
+    workHourLimit: {
+      weeklyMax: 52,
+      enforced: true,
+    },
+
     // 비과세 수당 한도 (2026년 소득세법 기준 — 유지)
     taxExemption: {
       mealAllowance: 200000,      // 식대 월 20만원 한도
       carAllowance: 200000,       // 자가운전보조금 월 20만원 한도
       childcareAllowance: 100000, // 보육수당 월 10만원 한도
+      researchAllowance: 200000,  // 연구보조비 월 20만원 한도 (lib/pay-items.js)
     },
   };
 
@@ -159,85 +200,43 @@ async function loadAllPayrollRules(supabase, payDate = new Date()) {
 
     if (customRules) {
       // DB 커스텀 룰로 오버라이드
-      return deepMerge(defaultRules, customRules.rules || {});
+      return applyRuleProfile(deepMerge(defaultRules, customRules.rules || {}), profile);
     }
   } catch (e) {
     // payroll_rules 테이블 없거나 데이터 없으면 기본값 사용 (정상)
   }
 
-  return defaultRules;
+  return applyRuleProfile(defaultRules, profile);
+}
+
+/**
+ * 룰 객체에 사업장 규모 프로필 적용
+ * @param {object} rules - 기본(+커스텀) 룰
+ * @param {string} profile - RULE_PROFILES 키
+ * @returns {object} 프로필 적용된 룰 (profile, profileLabel 포함)
+ */
+function applyRuleProfile(rules, profile = 'standard') {
+  const key = RULE_PROFILES[profile] ? profile : 'standard';
+  return {
+    ...deepMerge(rules, RULE_PROFILES[key].overrides),
+    profile: key,
+    profileLabel: RULE_PROFILES[key].label,
+  };
 }
 
 /**
- * 국세청 간이세액표 기반 소득세 조회
- * DB에 간이세액표가 있으면 사용, 없으면 누진세율 직접 계산
+ * 국세청 간이세액표 기반 소득세 조회 (lib/income-tax-table.js lookupIncomeTax 의 세액만 반환)
+ * 표가 없으면 0 (추정하지 않음, 1천만원 초과는 별표2 산식), 자녀공제·80/100/120% 선택 반영
  * @param {object} supabase - Supabase 클라이언트
  * @param {number} year - 귀속 연도
  * @param {number} taxableIncome - 과세 소득 (월)
  * @param {number} dependents - 부양가족 수 (본인 포함)
+ * @param {object} [options] - { children, withholdingRate, companyId, rules }
  * @returns {number} 소득세 (10원 미만 절사)
  */
-async function getIncomeTax(supabase, year, taxableIncome, dependents = 1) {
-  if (!taxableIncome || taxableIncome <= 0) return 0;
-
-  // DB 간이세액표 조회 시도
-  try {
-    const { data: taxRow } = await supabase
-      .from('income_tax_brackets')  // ✅ 수정: income_tax_table → income_tax_brackets
-      .select('*')
-      .eq('year', year)
-      .lte('min_salary', taxableIncome)  // ✅ 수정: income_from → min_salary
-      .gte('max_salary', taxableIncome)  // ✅ 수정: income_to → max_salary
-      .eq('dependents', Math.min(dependents, 11)) // ✅ 수정: dep_1 방식 → dependents 컬럼 직접 조회
-      .single();
-
-    if (taxRow) {
-      return taxRow.tax_amount || 0; // ✅ 수정: taxRow[depKey] → taxRow.tax_amount
-    }
-  } catch (e) {
-    // 간이세액표 없으면 직접 계산
-  }
-
-  // ── 폴백: 연간 소득 환산 후 누진세율 적용 ──
-  return calculateIncomeTaxDirect(taxableIncome, dependents);
-}
-
-/**
- * 소득세 직접 계산 (간이세액표 없을 때 폴백)
- * 2026년 소득세법 기준 누진세율 적용
- * @param {number} monthlyIncome - 월 과세 소득
- * @param {number} dependents - 부양가족 수
- * @returns {number} 월 소득세 (10원 미만 절사)
- */
-function calculateIncomeTaxDirect(monthlyIncome, dependents = 1) {
-  const annualIncome = monthlyIncome * 12;
-
-  // 인적공제: 본인 포함 1인당 150만원
-  const personalDeduction = dependents * 1500000;
-  const taxableAnnual = Math.max(0, annualIncome - personalDeduction);
-
-  // 2026년 소득세 누진세율 (소득세법 제55조)
-  let annualTax = 0;
-  if (taxableAnnual <= 14000000) {
-    annualTax = taxableAnnual * 0.06;
-  } else if (taxableAnnual <= 50000000) {
-    annualTax = 840000 + (taxableAnnual - 14000000) * 0.15;
-  } else if (taxableAnnual <= 88000000) {
-    annualTax = 6240000 + (taxableAnnual - 50000000) * 0.24;
-  } else if (taxableAnnual <= 150000000) {
-    annualTax = 15360000 + (taxableAnnual - 88000000) * 0.35;
-  } else if (taxableAnnual <= 300000000) {
-    annualTax = 37060000 + (taxableAnnual - 150000000) * 0.38;
-  } else if (taxableAnnual <= 500000000) {
-    annualTax = 94060000 + (taxableAnnual - 300000000) * 0.40;
-  } else if (taxableAnnual <= 1000000000) {
-    annualTax = 174060000 + (taxableAnnual - 500000000) * 0.42;
-  } else {
-    annualTax = 384060000 + (taxableAnnual - 1000000000) * 0.45;
-  }
-
-  const monthlyTax = annualTax / 12;
-  return Math.floor(monthlyTax / 10) * 10; // 10원 미만 절사
+async function getIncomeTax(supabase, year, taxableIncome, dependents = 1, options = {}) {
+  const { tax } = await lookupIncomeTax(supabase, { year, taxableIncome, dependents, ...options });
+  return tax;
 }
 
 /**
@@ -255,4 +254,4 @@ function deepMerge(target, source) {
   return result;
 }
 
-module.exports = { loadAllPayrollRules, getIncomeTax, calculateAge, isHoliday };
+module.exports = { loadAllPayrollRules, getIncomeTax, calculateAge, isHoliday, RULE_PROFILES };
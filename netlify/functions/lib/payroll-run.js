@@ -0,0 +1,312 @@
+// netlify/functions/lib/payroll-run.js
+// 급여 실행(payroll run) 단계 관리 — 회사·귀속월별 작성 → 검토 → 승인 → 지급 → 마감
+//
+// 단계별 재계산 규칙 (calculate-payroll.js 에서 checkRecalculation 으로 판정)
+//  - draft / reviewed : 덮어쓰기 (reviewed 는 다시 draft 로 — 검토 다시 필요)
+//  - approved / paid  : 사유 필수, 이전 결과는 payroll_versions 에 스냅샷 + 필드별 변경 내역으로 보존 후 version + 1
+//                       (approved 는 다시 reviewed 로 — 재승인 필요)
+//  - closed           : 잠금 — 정정은 조정 실행(adjustment run)으로만 가능
+//
+// 조정 실행 (run_type = 'adjustment'): 마감된 달의 정정 전용
+//  - 계산 결과는 payrolls 를 건드리지 않고 payroll_adjustments 에 (정정 전, 정정 후, 변경 내역, 차액) 저장
+//  - 조정 실행 승인 시 payrolls 에 반영 (새 버전), 이후 지급 → 마감
+//
+// 저장:
+//   payroll_runs: id, company_id, year, month, run_type ('regular' | 'adjustment'), status, reason,
+//     created_by, reviewed_by, reviewed_at, approved_by, approved_at, paid_by, paid_at, closed_by, closed_at,
+//     created_at, updated_at — 정기 실행은 회사·귀속월당 1건
+//   payroll_versions: id, company_id, payroll_id, employee_id, year, month, version (보존된 이전 버전 번호),
+//     run_id, snapshot jsonb (이전 payrolls row), changes jsonb { 필드: { before, after } }, reason, created_by, created_at
+//   payroll_adjustments: id, company_id, run_id, payroll_id, employee_id, year, month,
+//     before jsonb, after jsonb, changes jsonb, delta_payment, delta_deductions, delta_net, reason,
+//     applied_at, created_by, created_at, updated_at — run_id + employee_id UNIQUE
+//   payrolls: run_id, version 컬럼 추가
+//
+// 사용법:
+//   const { getOrCreateRun, checkRecalculation } = require('./lib/payroll-run');
+
+const { diffRecords } = require('./audit-log');
+
+const RUN_TYPE = {
+  REGULAR:    'regular',
+  ADJUSTMENT: 'adjustment',
+};
+
+const RUN_STATUS = {
+  DRAFT:    'draft',
+  REVIEWED: 'reviewed',
+  APPROVED: 'approved',
+  PAID:     'paid',
+  CLOSED:   'closed',
+};
+
+const STATUS_LABELS = {
+  draft:    '작성',
+  reviewed: '검토 완료',
+  approved: '승인',
+  paid:     '지급 완료',
+  closed:   '마감',
+};
+
+// 허용 전이 — 되돌리기는 지급 전까지만
+const TRANSITIONS = {
+  draft:    ['reviewed'],
+  reviewed: ['approved', 'draft'],
+  approved: ['paid', 'reviewed'],
+  paid:     ['closed'],
+  closed:   [],
+};
+
+// 전이 시 기록할 처리자·시각 컬럼
+const STAMP_COLUMNS = {
+  reviewed: ['reviewed_by', 'reviewed_at'],
+  approved: ['approved_by', 'approved_at'],
+  paid:     ['paid_by', 'paid_at'],
+  closed:   ['closed_by', 'closed_at'],
+};
+
+// 버전 비교에서 제외 (계산 결과가 아닌 메타 컬럼)
+const VERSION_IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'run_id', 'version', 'status', 'warnings'];
+
+function invalid(statusCode, error, extra = {}) {
+  return { error: { statusCode, error, ...extra } };
+}
+
+/**
+ * 정기 실행 조회 (없으면 null)
+ */
+async function findRegularRun(supabase, { companyId, year, month }) {
+  const { data, error } = await supabase
+    .from('payroll_runs')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('year', year)
+    .eq('month', month)
+    .eq('run_type', RUN_TYPE.REGULAR)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * 정기 실행 조회, 없으면 draft 로 생성 (동시 생성 충돌 시 재조회)
+ */
+async function getOrCreateRun(supabase, { companyId, year, month, userId = null }) {
+  const existing = await findRegularRun(supabase, { companyId, year, month });
+  if (existing) return existing;
+
+  const { data, error } = await supabase
+    .from('payroll_runs')
+    .insert({
+      company_id: companyId,
+      year,
+      month,
+      run_type: RUN_TYPE.REGULAR,
+      status: RUN_STATUS.DRAFT,
+      created_by: userId,
+    })
+    .select()
+    .single();
+  if (error) {
+    if (error.code === '23505') return findRegularRun(supabase, { companyId, year, month });
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * 진행 중(마감 전) 조정 실행 조회 — 회사·귀속월당 동시에 1건만 허용
+ */
+async function findOpenAdjustmentRun(supabase, { companyId, year, month }) {
+  const { data, error } = await supabase
+    .from('payroll_runs')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('year', year)
+    .eq('month', month)
+    .eq('run_type', RUN_TYPE.ADJUSTMENT)
+    .neq('status', RUN_STATUS.CLOSED)
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return (data || [])[0] || null;
+}
+
+/**
+ * 재계산으로 결과가 바뀐 실행을 이전 단계로 되돌림 (검토·승인 다시 필요)
+ * 처리자 기록은 되돌린 단계 이후 것만 지움
+ */
+async function reopenRun(supabase, run, to) {
+  if (!to || run.status === to) return run;
+  const updates = { status: to, updated_at: new Date().toISOString() };
+  if (to === RUN_STATUS.DRAFT) Object.assign(updates, { reviewed_by: null, reviewed_at: null });
+  if (to === RUN_STATUS.DRAFT || to === RUN_STATUS.REVIEWED) Object.assign(updates, { approved_by: null, approved_at: null });
+  const { data, error } = await supabase
+    .from('payroll_runs')
+    .update(updates)
+    .eq('id', run.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * 재계산 가능 여부 판정
+ * @param {object|null} run - 정기 실행
+ * @param {object} options
+ * @param {string} [options.reason] - 재계산 사유
+ * @returns {{ versioned: boolean, resetTo: string|null }
+ *          | { error: { statusCode: number, error: string } }} 버전 생성 여부·재계산 후 되돌릴 단계, 또는 마감(423)·사유 누락(409)
+ */
+function checkRecalculation(run, { reason } = {}) {
+  if (!run) return { versioned: false, resetTo: null };
+  switch (run.status) {
+    case RUN_STATUS.CLOSED:
+      return invalid(
+        423,
+        `${run.year}년 ${run.month}월 급여는 마감되었습니다. 정정은 조정 실행으로 진행해주세요.`,
+        { locked: true, runId: run.id }
+      );
+    case RUN_STATUS.APPROVED:
+    case RUN_STATUS.PAID:
+      if (!reason || !String(reason).trim()) {
+        return invalid(
+          409,
+          `${STATUS_LABELS[run.status]} 단계의 급여를 재계산하려면 사유가 필요합니다.`,
+          { requiresReason: true, runStatus: run.status }
+        );
+      }
+      return { versioned: true, resetTo: run.status === RUN_STATUS.APPROVED ? RUN_STATUS.REVIEWED : null };
+    case RUN_STATUS.REVIEWED:
+      return { versioned: false, resetTo: RUN_STATUS.DRAFT };
+    default:
+      return { versioned: false, resetTo: null };
+  }
+}
+
+/**
+ * 두 급여 결과의 필드별 변경 내역 (메타 컬럼 제외)
+ * 둘 다 있으면 새 계산 결과(after)에 있는 필드만 비교 — 계산과 무관한 컬럼 차이는 무시
+ */
+function diffPayroll(before, after) {
+  const strip = (row, keys) => {
+    if (!row) return row;
+    const copy = {};
+    for (const key of keys || Object.keys(row)) {
+      if (!VERSION_IGNORED_FIELDS.includes(key)) copy[key] = row[key];
+    }
+    return copy;
+  };
+  const keys = before && after ? Object.keys(after) : null;
+  return diffRecords(strip(before, keys), strip(after, keys));
+}
+
+/**
+ * 이전 급여 결과를 버전으로 보존
+ * @returns {Promise<number>} 새 버전 번호
+ */
+async function savePayrollVersion(supabase, { previous, next, runId, reason, userId }) {
+  const version = previous.version || 1;
+  const { error } = await supabase.from('payroll_versions').insert({
+    company_id:  previous.company_id,
+    payroll_id:  previous.id,
+    employee_id: previous.employee_id,
+    year:        previous.year,
+    month:       previous.month,
+    version,
+    run_id:      runId,
+    snapshot:    previous,
+    changes:     diffPayroll(previous, next),
+    reason:      reason || null,
+    created_by:  userId || null,
+  });
+  if (error) throw error;
+  return version + 1;
+}
+
+/**
+ * 단계 전이 검증 — 오류 메시지 또는 null
+ */
+function validateTransition(run, to) {
+  if (!STATUS_LABELS[to]) return `알 수 없는 단계: ${to}`;
+  if (!(TRANSITIONS[run.status] || []).includes(to)) {
+    return `${STATUS_LABELS[run.status]} 단계에서 ${STATUS_LABELS[to]}(으)로 변경할 수 없습니다.`;
+  }
+  return null;
+}
+
+/**
+ * 단계 전이 시 저장할 컬럼
+ */
+function transitionUpdates(run, to, userId) {
+  const updates = { status: to, updated_at: new Date().toISOString() };
+  const order = Object.values(RUN_STATUS);
+  const stamp = order.indexOf(to) > order.indexOf(run.status) ? STAMP_COLUMNS[to] : null;
+  if (stamp) {
+    updates[stamp[0]] = userId;
+    updates[stamp[1]] = new Date().toISOString();
+  }
+  // 되돌리기면 이후 단계 처리 기록 초기화
+  if (to === RUN_STATUS.DRAFT) Object.assign(updates, { reviewed_by: null, reviewed_at: null });
+  if (to === RUN_STATUS.REVIEWED && run.status === RUN_STATUS.APPROVED) {
+    Object.assign(updates, { approved_by: null, approved_at: null });
+  }
+  return updates;
+}
+
+/**
+ * 정정 차액 (정정 후 - 정정 전)
+ */
+function adjustmentDelta(before, after) {
+  const d = (key) => (Number(after?.[key]) || 0) - (Number(before?.[key]) || 0);
+  return {
+    delta_payment:    d('total_payment'),
+    delta_deductions: d('total_deductions'),
+    delta_net:        d('net_payment'),
+  };
+}
+
+/**
+ * payroll_runs row → API 응답 형태
+ */
+function formatRun(row) {
+  return {
+    id:          row.id,
+    year:        row.year,
+    month:       row.month,
+    runType:     row.run_type,
+    status:      row.status,
+    statusLabel: STATUS_LABELS[row.status] || row.status,
+    locked:      row.status === RUN_STATUS.CLOSED,
+    nextStatuses: TRANSITIONS[row.status] || [],
+    reason:      row.reason || null,
+    createdBy:   row.created_by,
+    reviewedBy:  row.reviewed_by,
+    reviewedAt:  row.reviewed_at,
+    approvedBy:  row.approved_by,
+    approvedAt:  row.approved_at,
+    paidBy:      row.paid_by,
+    paidAt:      row.paid_at,
+    closedBy:    row.closed_by,
+    closedAt:    row.closed_at,
+    createdAt:   row.created_at,
+  };
+}
+
+module.exports = {
+  RUN_TYPE,
+  RUN_STATUS,
+  STATUS_LABELS,
+  findRegularRun,
+  getOrCreateRun,
+  findOpenAdjustmentRun,
+  reopenRun,
+  checkRecalculation,
+  diffPayroll,
+  savePayrollVersion,
+  validateTransition,
+  transitionUpdates,
+  adjustmentDelta,
+  formatRun,
+};
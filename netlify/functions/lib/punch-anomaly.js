@@ -0,0 +1,394 @@
+// netlify/functions/lib/punch-anomaly.js
+// 출퇴근 위치 위조(GPS 스푸핑) / 대리출근 이상 징후 판정 공통 모듈
+//
+// 사용처:
+//  - attendance-checkin.js      → 출근/퇴근 기록 직후 해당 기록 1건 판정 (실패해도 출퇴근은 유지)
+//  - attendance-anomaly-scan.js → 매일 배치로 최근 기록 재판정 (나중에 들어온 다른 직원 기록까지 반영, evaluatePunchAnomaliesBatch)
+//
+// 판정 항목 (code):
+//  - impossible_travel     출근~퇴근 좌표 간 이동 속도가 비현실적 (순간이동)
+//  - repeated_coordinates  소수점 6자리 이상까지 똑같은 좌표가 여러 번 반복 (가짜 위치 앱 고정값)
+//  - mock_location         클라이언트가 보낸 위치 조작 징후 (모의 위치, 자동화 브라우저, 요청보다 미래에 측정된 위치)
+//  - shared_ip_burst       등록되지 않은 IP 하나로 여러 직원이 수십 초 안에 출퇴근 (한 사람이 대신 찍음)
+//  - suspicious_accuracy   GPS 오차가 비현실적으로 작음 (스마트폰 GPS 는 보통 ±5m 이상)
+//  - offline_sync          오프라인 지연 전송 검토 사유 (허용 지연 초과·서명 없음·WiFi 확인 불가, lib/offline-punch.js)
+//
+// 저장 (attendances):
+//   anomaly_flags      jsonb  [{ code, punch: 'check_in'|'check_out', weight, detail }]
+//   anomaly_score      int    0~100 (가중치 합, 100 상한)
+//   anomaly_checked_at timestamptz
+//   anomaly_reviewed_at / anomaly_reviewed_by  — 관리자 검토 완료 (attendances-manage.js PATCH)
+//   check_in_location_meta / check_out_location_meta jsonb — 클라이언트 위치 부가정보 (배치 재판정용)
+//   check_out_client_ip — 퇴근 시 IP (client_ip 는 출근 시 IP)
+
+const { haversineDistance } = require('./location-rules');
+const { OFFLINE_REVIEW_LABELS } = require('./offline-punch');
+
+const ANOMALY = {
+  IMPOSSIBLE_TRAVEL:    'impossible_travel',
+  REPEATED_COORDINATES: 'repeated_coordinates',
+  MOCK_LOCATION:        'mock_location',
+  SHARED_IP_BURST:      'shared_ip_burst',
+  SUSPICIOUS_ACCURACY:  'suspicious_accuracy',
+  OFFLINE_SYNC:         'offline_sync',
+};
+
+// 항목별 가중치 — 단독으로 확정할 수 있는 징후(순간이동/모의 위치)는 높게
+const ANOMALY_WEIGHTS = {
+  [ANOMALY.IMPOSSIBLE_TRAVEL]:    50,
+  [ANOMALY.MOCK_LOCATION]:        50,
+  [ANOMALY.REPEATED_COORDINATES]: 30,
+  [ANOMALY.SHARED_IP_BURST]:      30,
+  [ANOMALY.SUSPICIOUS_ACCURACY]:  20,
+  [ANOMALY.OFFLINE_SYNC]:         20,
+};
+
+const ANOMALY_LABELS = {
+  [ANOMALY.IMPOSSIBLE_TRAVEL]:    '비현실적 이동',
+  [ANOMALY.MOCK_LOCATION]:        '위치 조작 징후',
+  [ANOMALY.REPEATED_COORDINATES]: '동일 좌표 반복',
+  [ANOMALY.SHARED_IP_BURST]:      '동일 IP 연속 출퇴근',
+  [ANOMALY.SUSPICIOUS_ACCURACY]:  '비정상 GPS 정확도',
+  [ANOMALY.OFFLINE_SYNC]:         '오프라인 지연 전송',
+};
+
+// 순간이동: 1km 이상 떨어져 있고 시속 200km 초과 (GPS 오차 반경은 거리에서 뺌)
+const MAX_TRAVEL_KMH = 200;
+const MIN_TRAVEL_METERS = 1000;
+// 동일 좌표: 소수점 6자리(약 10cm) 이상 정밀도로 최근 30일 안에 3회 이상 (이번 포함)
+const REPEAT_MIN_DECIMALS = 6;
+const REPEAT_MIN_OCCURRENCES = 3;
+const REPEAT_LOOKBACK_DAYS = 30;
+// 동일 IP: 30초 안에 다른 직원 1명 이상 (등록된 사업장 네트워크·매장 키오스크는 제외 — 공용 회선/기기)
+const SHARED_IP_WINDOW_SECONDS = 30;
+// GPS 정확도: 3m 미만은 비현실적
+const MIN_PLAUSIBLE_ACCURACY_METERS = 3;
+// 위치 측정 시각이 요청 시각보다 1분 이상 미래 (위치 주입 도구의 시각 조작)
+// ※ 오래된 위치는 페이지를 열어둔 채 기다린 경우에도 생기므로 징후로 보지 않음
+const MAX_POSITION_FUTURE_MS = 60 * 1000;
+
+const PUNCHES = [
+  { punch: 'check_in',  time: 'check_in_time',  lat: 'check_in_latitude',  lng: 'check_in_longitude',
+    meta: 'check_in_location_meta',  ip: 'client_ip',           networkRule: 'wifi_matched_rule',           kiosk: 'kiosk_id' },
+  { punch: 'check_out', time: 'check_out_time', lat: 'check_out_latitude', lng: 'check_out_longitude',
+    meta: 'check_out_location_meta', ip: 'check_out_client_ip', networkRule: 'check_out_wifi_matched_rule', kiosk: 'check_out_kiosk_id' },
+];
+
+// 판정에 필요한 attendances 컬럼
+const ANOMALY_SELECT = 'id, company_id, employee_id, offline_review_reasons, '
+  + PUNCHES.map(p => [p.time, p.lat, p.lng, p.meta, p.ip, p.networkRule, p.kiosk].join(', ')).join(', ');
+// 다른 기록과 비교할 때 필요한 컬럼 (동일 좌표 · 동일 IP)
+const COMPARE_SELECT = 'id, employee_id, '
+  + PUNCHES.map(p => [p.time, p.lat, p.lng, p.ip].join(', ')).join(', ');
+
+/**
+ * 클라이언트가 보낸 location → 저장용 위치 부가정보
+ * @param {object|null} location - { latitude, longitude, accuracy, positionTimestamp, mocked, webdriver }
+ * @param {Date} receivedAt - 서버 수신 시각
+ * @param {string} [clientTimestamp] - 요청 body.timestamp (클라이언트 시계)
+ * @returns {object|null}
+ */
+function buildLocationMeta(location, receivedAt, clientTimestamp) {
+  if (!location || location.latitude == null) return null;
+  const num = v => (v === null || v === undefined || v === '' || isNaN(Number(v)) ? null : Number(v));
+
+  // 위치 측정 시각은 클라이언트 시계 기준 → 같은 시계의 요청 timestamp 와 비교 (시계 오차 상쇄)
+  const positionTs = num(location.positionTimestamp);
+  const clientTs = clientTimestamp ? new Date(clientTimestamp).getTime() : NaN;
+  const positionAgeMs = positionTs !== null && !isNaN(clientTs) ? clientTs - positionTs : null;
+
+  return {
+    accuracy:      num(location.accuracy),
+    positionAgeMs,
+    mocked:        location.mocked === true,     // 네이티브 앱 래퍼가 알려주는 모의 위치 여부
+    webdriver:     location.webdriver === true,  // 자동화 브라우저 (navigator.webdriver)
+    receivedAt:    receivedAt.toISOString(),
+  };
+}
+
+function decimalPlaces(value) {
+  const s = String(value);
+  const dot = s.indexOf('.');
+  return dot === -1 ? 0 : s.length - dot - 1;
+}
+
+function flag(code, punch, detail) {
+  return { code, punch, weight: ANOMALY_WEIGHTS[code], detail };
+}
+
+// ── 기록 1건만으로 판정 가능한 항목 ────────────────────────────
+function detectRecordAnomalies(att) {
+  const flags = [];
+
+  for (const p of PUNCHES) {
+    const meta = att[p.meta];
+    if (!meta) continue;
+
+    const hints = [];
+    if (meta.mocked) hints.push('모의 위치 사용');
+    if (meta.webdriver) hints.push('자동화 브라우저');
+    if (meta.positionAgeMs !== null && meta.positionAgeMs !== undefined && meta.positionAgeMs < -MAX_POSITION_FUTURE_MS) {
+      hints.push('미래 시각으로 측정된 위치');
+    }
+    if (hints.length > 0) flags.push(flag(ANOMALY.MOCK_LOCATION, p.punch, hints.join(', ')));
+
+    if (meta.accuracy !== null && meta.accuracy !== undefined && meta.accuracy < MIN_PLAUSIBLE_ACCURACY_METERS) {
+      flags.push(flag(ANOMALY.SUSPICIOUS_ACCURACY, p.punch, `GPS 오차 ±${meta.accuracy}m`));
+    }
+  }
+
+  // 오프라인 지연 전송 검토 사유 (체크인 시점에 저장된 값)
+  for (const p of PUNCHES) {
+    const reasons = (Array.isArray(att.offline_review_reasons) ? att.offline_review_reasons : [])
+      .filter(r => r.punch === p.punch);
+    if (reasons.length === 0) continue;
+    const delayMinutes = Math.round((reasons[0].delaySeconds || 0) / 60);
+    flags.push(flag(ANOMALY.OFFLINE_SYNC, p.punch,
+      `${delayMinutes}분 늦게 전송 · ` + reasons.map(r => OFFLINE_REVIEW_LABELS[r.reason] || r.reason).join(', ')));
+  }
+
+  // 출근 → 퇴근 이동 속도
+  if (att.check_in_latitude != null && att.check_out_latitude != null && att.check_out_time) {
+    const distance = haversineDistance(
+      Number(att.check_in_latitude), Number(att.check_in_longitude),
+      Number(att.check_out_latitude), Number(att.check_out_longitude)
+    );
+    const slack = (att.check_in_location_meta?.accuracy || 0) + (att.check_out_location_meta?.accuracy || 0);
+    const effective = Math.max(0, distance - slack);
+    const hours = Math.max(new Date(att.check_out_time) - new Date(att.check_in_time), 1000) / 3600000;
+    const kmh = effective / 1000 / hours;
+
+    if (effective >= MIN_TRAVEL_METERS && kmh > MAX_TRAVEL_KMH) {
+      flags.push(flag(ANOMALY.IMPOSSIBLE_TRAVEL, 'check_out',
+        `${(distance / 1000).toFixed(1)}km를 ${Math.round(hours * 60)}분 만에 이동 (시속 ${Math.round(kmh)}km)`));
+    }
+  }
+
+  return flags;
+}
+
+// ── 다른 기록과 비교해야 하는 항목 ─────────────────────────────
+// 비교 대상 조회(기록 1건 → DB, 배치 → 미리 읽어 둔 기록)와 집계를 분리 — 판정 기준은 한 곳에만
+
+// 동일 좌표 판정 대상 좌표 (소수점 자리수 미달·출근과 같은 퇴근 좌표 제외)
+function repeatedCoordinateTargets(att) {
+  const targets = [];
+  for (const p of PUNCHES) {
+    const lat = att[p.lat];
+    const lng = att[p.lng];
+    if (lat == null || lng == null) continue;
+    if (decimalPlaces(lat) < REPEAT_MIN_DECIMALS || decimalPlaces(lng) < REPEAT_MIN_DECIMALS) continue;
+    // 퇴근 좌표가 출근 좌표와 같으면 출근 쪽 판정으로 충분
+    if (p.punch === 'check_out' && Number(lat) === Number(att.check_in_latitude)
+        && Number(lng) === Number(att.check_in_longitude)) continue;
+    targets.push({ punch: p.punch, lat, lng });
+  }
+  return targets;
+}
+
+// 비교 기록 중 같은 좌표 횟수 집계 → 기준 이상이면 flag
+function repeatedCoordinateFlag(target, rows) {
+  let occurrences = 0;
+  const employees = new Set();
+  for (const r of rows) {
+    for (const q of PUNCHES) {
+      if (r[q.lat] != null && Number(r[q.lat]) === Number(target.lat) && Number(r[q.lng]) === Number(target.lng)) {
+        occurrences++;
+        employees.add(r.employee_id);
+      }
+    }
+  }
+  if (occurrences < REPEAT_MIN_OCCURRENCES) return null;
+  return flag(ANOMALY.REPEATED_COORDINATES, target.punch,
+    `최근 ${REPEAT_LOOKBACK_DAYS}일 같은 좌표 ${occurrences}회` + (employees.size > 1 ? ` (직원 ${employees.size}명)` : ''));
+}
+
+// 동일 IP 판정 대상 출퇴근 (등록된 사업장 네트워크·키오스크 제외)
+function sharedIpTargets(att) {
+  const targets = [];
+  for (const p of PUNCHES) {
+    const ip = att[p.ip];
+    const at = att[p.time];
+    if (!ip || !at) continue;
+    // 등록된 사업장 네트워크(사무실 공용 회선)는 여러 직원이 동시에 쓰는 게 정상
+    if (att[p.networkRule]) continue;
+    // 매장 키오스크(공용 태블릿)도 마찬가지 — 본인 확인은 PIN 으로
+    if (att[p.kiosk]) continue;
+    const t = new Date(at).getTime();
+    targets.push({ ...p, ipValue: ip, fromMs: t - SHARED_IP_WINDOW_SECONDS * 1000, toMs: t + SHARED_IP_WINDOW_SECONDS * 1000 });
+  }
+  return targets;
+}
+
+function sharedIpFlag(target, peers) {
+  const others = new Set(peers.map(r => r.employee_id));
+  if (others.size === 0) return null;
+  return flag(ANOMALY.SHARED_IP_BURST, target.punch,
+    `${target.ipValue} 에서 ${SHARED_IP_WINDOW_SECONDS}초 안에 다른 직원 ${others.size}명 ${target.punch === 'check_in' ? '출근' : '퇴근'}`);
+}
+
+function repeatSinceMs(att) {
+  return new Date(att.check_in_time).getTime() - REPEAT_LOOKBACK_DAYS * 86400000;
+}
+
+async function detectRepeatedCoordinates(supabase, att) {
+  const flags = [];
+  const since = new Date(repeatSinceMs(att)).toISOString();
+
+  for (const target of repeatedCoordinateTargets(att)) {
+    const { lat, lng } = target;
+    // 회사 전체 대상 — 여러 직원이 같은 가짜 좌표를 쓰는 경우도 잡음
+    const { data: rows, error } = await supabase
+      .from('attendances')
+      .select(COMPARE_SELECT)
+      .eq('company_id', att.company_id)
+      .gte('check_in_time', since)
+      .lte('check_in_time', att.check_in_time)
+      .or(`and(check_in_latitude.eq.${lat},check_in_longitude.eq.${lng}),and(check_out_latitude.eq.${lat},check_out_longitude.eq.${lng})`);
+    if (error) throw error;
+
+    const f = repeatedCoordinateFlag(target, rows || []);
+    if (f) flags.push(f);
+  }
+
+  return flags;
+}
+
+async function detectSharedIp(supabase, att) {
+  const flags = [];
+
+  for (const target of sharedIpTargets(att)) {
+    const { data: peers, error } = await supabase
+      .from('attendances')
+      .select('employee_id')
+      .eq('company_id', att.company_id)
+      .neq('employee_id', att.employee_id)
+      .eq(target.ip, target.ipValue)
+      .gte(target.time, new Date(target.fromMs).toISOString())
+      .lte(target.time, new Date(target.toMs).toISOString());
+    if (error) throw error;
+
+    const f = sharedIpFlag(target, peers || []);
+    if (f) flags.push(f);
+  }
+
+  return flags;
+}
+
+function scoreOf(flags) {
+  return Math.min(100, flags.reduce((sum, f) => sum + (f.weight || 0), 0));
+}
+
+/**
+ * 출퇴근 기록 1건 판정
+ * @param {object} supabase
+ * @param {object} att - ANOMALY_SELECT 컬럼을 포함한 attendances row
+ * @returns {Promise<{ flags: object[], score: number }>}
+ */
+async function evaluatePunchAnomalies(supabase, att) {
+  const flags = [
+    ...detectRecordAnomalies(att),
+    ...await detectRepeatedCoordinates(supabase, att),
+    ...await detectSharedIp(supabase, att),
+  ];
+  return { flags, score: scoreOf(flags) };
+}
+
+/**
+ * 여러 기록 일괄 판정 (배치 재판정용) — 비교 대상 기록을 한 번에 받아 기록마다 조회하지 않음
+ * @param {object[]} atts - 판정할 기록 (ANOMALY_SELECT, 같은 회사)
+ * @param {object[]} compareRows - 같은 회사의 비교 대상 기록 (COMPARE_SELECT)
+ *   가장 이른 판정 기록의 REPEAT_LOOKBACK_DAYS 일 전 ~ 가장 늦은 출퇴근 + 30초 범위를 포함해야 함
+ * @returns {Map<string, { flags: object[], score: number }>} attendance id → 판정 결과
+ */
+function evaluatePunchAnomaliesBatch(atts, compareRows) {
+  // 좌표 · IP 별 색인 (기록마다 전체를 훑지 않도록)
+  const byCoordinate = new Map();
+  const byIp = new Map();
+  const push = (map, key, row) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(row);
+  };
+  for (const r of compareRows) {
+    const coordinateKeys = new Set();
+    for (const q of PUNCHES) {
+      if (r[q.lat] != null && r[q.lng] != null) coordinateKeys.add(`${Number(r[q.lat])}|${Number(r[q.lng])}`);
+      if (r[q.ip] && r[q.time]) push(byIp, `${q.punch}|${r[q.ip]}`, r);
+    }
+    coordinateKeys.forEach(key => push(byCoordinate, key, r));
+  }
+
+  const results = new Map();
+  for (const att of atts) {
+    const flags = detectRecordAnomalies(att);
+
+    const sinceMs = repeatSinceMs(att);
+    const untilMs = new Date(att.check_in_time).getTime();
+    for (const target of repeatedCoordinateTargets(att)) {
+      const rows = (byCoordinate.get(`${Number(target.lat)}|${Number(target.lng)}`) || []).filter(r => {
+        const t = new Date(r.check_in_time).getTime();
+        return t >= sinceMs && t <= untilMs;
+      });
+      const f = repeatedCoordinateFlag(target, rows);
+      if (f) flags.push(f);
+    }
+
+    for (const target of sharedIpTargets(att)) {
+      const peers = (byIp.get(`${target.punch}|${target.ipValue}`) || []).filter(r => {
+        const t = new Date(r[target.time]).getTime();
+        return r.employee_id !== att.employee_id && t >= target.fromMs && t <= target.toMs;
+      });
+      const f = sharedIpFlag(target, peers);
+      if (f) flags.push(f);
+    }
+
+    results.set(att.id, { flags, score: scoreOf(flags) });
+  }
+  return results;
+}
+
+/**
+ * 판정 후 attendances 에 저장 (id 로 조회부터)
+ * @returns {Promise<{ flags: object[], score: number }|null>} 기록이 없으면 null
+ */
+async function scoreAttendance(supabase, attendanceId, now = new Date()) {
+  const { data: att, error } = await supabase
+    .from('attendances')
+    .select(ANOMALY_SELECT)
+    .eq('id', attendanceId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!att) return null;
+
+  const result = await evaluatePunchAnomalies(supabase, att);
+  await saveAnomalies(supabase, att.id, result, now);
+  return result;
+}
+
+async function saveAnomalies(supabase, attendanceId, { flags, score }, now = new Date()) {
+  const { error } = await supabase
+    .from('attendances')
+    .update({
+      anomaly_flags:      flags,
+      anomaly_score:      score,
+      anomaly_checked_at: now.toISOString(),
+    })
+    .eq('id', attendanceId);
+  if (error) throw error;
+}
+
+module.exports = {
+  ANOMALY,
+  ANOMALY_WEIGHTS,
+  ANOMALY_LABELS,
+  ANOMALY_SELECT,
+  COMPARE_SELECT,
+  REPEAT_LOOKBACK_DAYS,
+  SHARED_IP_WINDOW_SECONDS,
+  buildLocationMeta,
+  detectRecordAnomalies,
+  evaluatePunchAnomalies,
+  evaluatePunchAnomaliesBatch,
+  scoreAttendance,
+  saveAnomalies,
+};
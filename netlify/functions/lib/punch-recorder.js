@@ -0,0 +1,245 @@
+// netlify/functions/lib/punch-recorder.js
+// 출퇴근 펀치 저장 공통 모듈 — QR 체크인(attendance-checkin.js) / 매장 키오스크(kiosk-checkin.js)
+//
+// 인증·위치 검증은 각 API 가 끝낸 뒤 호출 → 여기서는 기록만:
+//  - check-in   : 미퇴근 근무 / 같은 날(KST) 출근 중복 확인 후 INSERT → 지각 판정 → 이상 징후 판정
+//  - break-*    : 근무 중 기록의 break_punches 에 휴게 구간 추가/마감
+//  - check-out  : 최대 근무시간 이내 근무 중 기록과 짝지어 근로시간 계산(휴게 차감) → 지각/조퇴 재판정
+//                 → 주간 근로시간 갱신 / 52시간 경보 (lib/weekly-hours.js)
+//  - punchId    : 오프라인 재전송 중복 방지 (check_in_punch_id / check_out_punch_id / 휴게 startPunchId·endPunchId)
+//
+// 반환:
+//   { error: { statusCode, error } }              — 거부 (중복 출근, 출근 기록 없음 등)
+//   { duplicate: true }                            — 이미 반영된 오프라인 기록
+//   { attendance, schedule }                       — check-in
+//   { time }                                       — break-start / break-end
+//   { attendance, checkInTime, workTime, schedule, weekly } — check-out (weekly: 이번 주 누적, 실패 시 null)
+
+const { calculateWorkTime } = require('./work-time');
+const { evaluateAttendance } = require('./schedules');
+const { findOpenShift, kstDayRange, businessDateOf } = require('./shift-pairing');
+const { scoreAttendance } = require('./punch-anomaly');
+const { refreshWeeklyHours, toHours } = require('./weekly-hours');
+
+const PUNCH_TYPES = ['check-in', 'check-out', 'break-start', 'break-end'];
+
+function reject(statusCode, error) {
+  return { error: { statusCode, error } };
+}
+
+function kstTime(iso) {
+  return new Date(iso).toLocaleTimeString('ko-KR', { timeZone: 'Asia/Seoul' });
+}
+
+/**
+ * 출퇴근 펀치 저장
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {object} params.employee - id, name, break_time_minutes, work_* (스케줄 판정용)
+ * @param {string} params.type - PUNCH_TYPES
+ * @param {Date} params.checkTime
+ * @param {number} params.maxShiftHours
+ * @param {string} [params.punchId] - 오프라인 재전송 식별자
+ * @param {object} [params.checkInFields] - 출근 INSERT 추가 컬럼 (방식·위치·기기 등)
+ * @param {object|function} [params.checkOutFields] - 퇴근 UPDATE 추가 컬럼 (함수면 출근 기록을 받아 계산)
+ */
+async function recordPunch(supabase, {
+  companyId, employee, type, checkTime, maxShiftHours, punchId = null,
+  checkInFields = {}, checkOutFields = {},
+}) {
+  if (punchId && (type === 'check-in' || type === 'check-out')) {
+    const { data: dup } = await supabase
+      .from('attendances')
+      .select('id')
+      .eq('company_id', companyId)
+      .or(`check_in_punch_id.eq.${punchId},check_out_punch_id.eq.${punchId}`)
+      .limit(1)
+      .maybeSingle();
+    if (dup) return { duplicate: true };
+  }
+
+  if (type === 'check-in') return recordCheckIn(supabase, { companyId, employee, checkTime, maxShiftHours, punchId, checkInFields });
+  if (type === 'check-out') return recordCheckOut(supabase, { companyId, employee, checkTime, maxShiftHours, punchId, checkOutFields });
+  return recordBreak(supabase, { companyId, employee, type, checkTime, maxShiftHours, punchId });
+}
+
+async function recordCheckIn(supabase, { companyId, employee, checkTime, maxShiftHours, punchId, checkInFields }) {
+  // 퇴근하지 않은 근무가 남아 있으면 먼저 퇴근 처리해야 함 (야간 근무 중 재출근 방지)
+  const open = await findOpenShift(supabase, {
+    companyId, employeeId: employee.id, at: checkTime, maxShiftHours,
+  });
+  if (open) {
+    return reject(409, `퇴근하지 않은 근무가 있습니다. (${new Date(open.check_in_time).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' })} 출근) 먼저 퇴근을 기록해주세요.`);
+  }
+
+  // 오늘(KST) 이미 출근 기록이 있는지 확인
+  // 근무일 = KST 날짜 (UTC 날짜 기준이면 09:00 이전 출근이 전날로 잡힘)
+  const range = kstDayRange(businessDateOf(checkTime));
+  const { data: existing } = await supabase
+    .from('attendances')
+    .select('id, check_in_time')
+    .eq('employee_id', employee.id)
+    .eq('company_id', companyId)
+    .gte('check_in_time', range.from)
+    .lte('check_in_time', range.to)
+    .limit(1)
+    .maybeSingle();
+
+  if (existing) {
+    return reject(409, `오늘 이미 출근 기록이 있습니다. (${kstTime(existing.check_in_time)})`);
+  }
+
+  const { data: att, error: attErr } = await supabase
+    .from('attendances')
+    .insert({
+      employee_id:   employee.id,
+      company_id:    companyId,
+      check_in_time: checkTime.toISOString(),
+      status:        'in_progress',
+      ...checkInFields,
+      ...(punchId ? { check_in_punch_id: punchId } : {}),
+    })
+    .select('id, check_in_time')
+    .single();
+
+  if (attErr) throw attErr;
+
+  // 근무 스케줄 대비 지각 판정 (판정 실패해도 출근 기록은 유지)
+  const schedule = await applyScheduleStatus(supabase, companyId, employee, att);
+  await applyAnomalyScore(supabase, att.id);
+
+  return { attendance: att, schedule };
+}
+
+async function recordBreak(supabase, { companyId, employee, type, checkTime, maxShiftHours, punchId }) {
+  // 근무 중인 기록에 휴게 구간 [{ start, end }] 추가/마감
+  const open = await findOpenShift(supabase, {
+    companyId, employeeId: employee.id, at: checkTime, maxShiftHours,
+    select: 'id, check_in_time, break_punches',
+  });
+  if (!open) return reject(404, '근무 중인 출근 기록이 없습니다.');
+
+  const punches = Array.isArray(open.break_punches) ? [...open.break_punches] : [];
+  const openBreak = punches.find(p => !p.end);
+  const nowIso = checkTime.toISOString();
+
+  // 오프라인 휴게 펀치 재전송 → 중복 추가 방지
+  if (punchId && punches.some(p => p.startPunchId === punchId || p.endPunchId === punchId)) {
+    return { duplicate: true };
+  }
+
+  if (type === 'break-start') {
+    if (openBreak) return reject(400, '이미 휴게 중입니다.');
+    punches.push({ start: nowIso, end: null, ...(punchId ? { startPunchId: punchId } : {}) });
+  } else {
+    if (!openBreak) return reject(400, '진행 중인 휴게가 없습니다.');
+    openBreak.end = nowIso;
+    if (punchId) openBreak.endPunchId = punchId;
+  }
+
+  const { error: brkErr } = await supabase
+    .from('attendances')
+    .update({ break_punches: punches })
+    .eq('id', open.id);
+  if (brkErr) throw brkErr;
+
+  return { time: nowIso };
+}
+
+async function recordCheckOut(supabase, { companyId, employee, checkTime, maxShiftHours, punchId, checkOutFields }) {
+  // 최대 근무시간 이내의 가장 최근 근무중 기록 (자정을 넘긴 야간 근무 포함)
+  const existing = await findOpenShift(supabase, {
+    companyId, employeeId: employee.id, at: checkTime, maxShiftHours,
+    select: 'id, check_in_time, break_punches, offline_review_reasons',
+  });
+  if (!existing) return reject(404, `최근 ${maxShiftHours}시간 이내 출근 기록을 찾을 수 없습니다.`);
+
+  // 근무 시간 계산 — 휴게시간 차감 (근로기준법 제54조)
+  // 마감되지 않은 휴게는 퇴근 시각으로 마감
+  const breakPunches = (Array.isArray(existing.break_punches) ? existing.break_punches : [])
+    .map(p => (p.end ? p : { ...p, end: checkTime.toISOString() }));
+  const wt = calculateWorkTime({
+    checkIn:                existing.check_in_time,
+    checkOut:               checkTime,
+    breakPunches,
+    contractedBreakMinutes: employee.break_time_minutes,
+  });
+
+  const extra = typeof checkOutFields === 'function' ? checkOutFields(existing) : checkOutFields;
+
+  const { data: att, error: upErr } = await supabase
+    .from('attendances')
+    .update({
+      check_out_time:        checkTime.toISOString(),
+      raw_work_minutes:      wt.rawMinutes,     // 출근~퇴근 체류시간
+      break_minutes:         wt.breakMinutes,   // 차감된 휴게시간
+      break_source:          wt.breakSource,
+      break_punches:         breakPunches,
+      work_duration_minutes: wt.netMinutes,     // 실근로시간(분)
+      work_hours:            wt.workHours,
+      night_hours:           wt.nightHours,     // 야간근로 시간 (휴게 제외)
+      status:                'completed',
+      ...extra,
+      ...(punchId ? { check_out_punch_id: punchId } : {}),
+    })
+    .eq('id', existing.id)
+    .select('id, check_out_time, work_hours')
+    .single();
+
+  if (upErr) throw upErr;
+
+  // 근무 스케줄 대비 지각/조퇴 재판정
+  const schedule = await applyScheduleStatus(supabase, companyId, employee, {
+    id: existing.id,
+    check_in_time: existing.check_in_time,
+    check_out_time: att.check_out_time,
+  });
+  await applyAnomalyScore(supabase, existing.id);
+  const weekly = await refreshWeeklyHours(supabase, { companyId, employeeId: employee.id, date: existing.check_in_time });
+
+  return { attendance: att, checkInTime: existing.check_in_time, workTime: wt, schedule, weekly };
+}
+
+/**
+ * 직원에게 보여줄 완료 메시지
+ */
+function punchMessage(employeeName, type, result) {
+  if (type === 'check-in') {
+    const late = result.schedule?.result.lateMinutes || 0;
+    return late > 0
+      ? `${employeeName}님 출근이 기록되었습니다. (${late}분 지각)`
+      : `${employeeName}님 출근이 기록되었습니다.`;
+  }
+  if (type === 'check-out') {
+    const wt = result.workTime;
+    const weekly = result.weekly ? `, 이번 주 누적 ${toHours(result.weekly.totalMinutes)}시간` : '';
+    return `${employeeName}님 퇴근이 기록되었습니다. (근무 ${Math.floor(wt.netMinutes / 60)}시간 ${Math.floor(wt.netMinutes % 60)}분, 휴게 ${wt.breakMinutes}분${weekly})`;
+  }
+  return type === 'break-start'
+    ? `${employeeName}님 휴게 시작이 기록되었습니다.`
+    : `${employeeName}님 휴게 종료가 기록되었습니다.`;
+}
+
+// 스케줄 판정 결과를 attendances 에 저장 (실패 시 null — 출퇴근 자체는 막지 않음)
+async function applyScheduleStatus(supabase, companyId, employee, attendance) {
+  try {
+    const evaluated = await evaluateAttendance(supabase, { companyId, employee, attendance });
+    await supabase.from('attendances').update(evaluated.fields).eq('id', attendance.id);
+    return evaluated;
+  } catch (e) {
+    console.error('스케줄 판정 실패:', e.message);
+    return null;
+  }
+}
+
+// 이상 징후 판정 결과 저장 (실패해도 출퇴근은 막지 않음 — 매일 배치가 다시 판정)
+async function applyAnomalyScore(supabase, attendanceId) {
+  try {
+    await scoreAttendance(supabase, attendanceId);
+  } catch (e) {
+    console.error('이상 징후 판정 실패:', e.message);
+  }
+}
+
+module.exports = { PUNCH_TYPES, recordPunch, punchMessage, applyScheduleStatus, applyAnomalyScore };
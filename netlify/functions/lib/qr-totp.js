@@ -0,0 +1,128 @@
+// netlify/functions/lib/qr-totp.js
+// 동적(회전) QR 코드 — 사업장별 비밀키에서 TOTP 방식(RFC 6238)으로 코드 생성/검증
+//
+// 현장 태블릿/모니터(qr-display.html)가 30~60초마다 바뀌는 QR을 표시하고,
+// attendance-checkin.js 는 서버 시각 기준으로 코드의 시간 구간을 검증
+// → 인쇄/촬영한 QR을 집에서 다시 쓰는 부정 출근 차단
+//
+// 토큰 형식: DQR_{businessId}_{8자리 코드}
+//   (고정 QR 토큰은 QRT_ 로 시작 — qr-token-generate.js)
+//
+// 사용법:
+//   const { buildDynamicToken, verifyDynamicCode } = require('./lib/qr-totp');
+//   const { token, expiresAt } = buildDynamicToken(biz.id, biz.qr_dynamic_secret, biz.qr_rotation_seconds);
+//   const ok = verifyDynamicCode(biz.qr_dynamic_secret, code, biz.qr_rotation_seconds);
+
+const crypto = require('crypto');
+
+const DYNAMIC_TOKEN_PREFIX = 'DQR_';
+const CODE_DIGITS = 8;
+
+// 회전 주기 (초)
+const DEFAULT_ROTATION_SECONDS = 30;
+const MIN_ROTATION_SECONDS = 30;
+const MAX_ROTATION_SECONDS = 60;
+
+// 촬영 → 전화번호 입력 → 제출까지 허용하는 시간 (초)
+// 이보다 오래된 구간의 코드는 만료 처리
+const SUBMIT_GRACE_SECONDS = 90;
+
+const TOKEN_RE = /^DQR_([0-9a-f-]{36})_(\d{8})$/i;
+
+/** 새 사업장 비밀키 (160비트, hex) */
+function generateSecret() {
+  return crypto.randomBytes(20).toString('hex');
+}
+
+/**
+ * 회사 설정값 → 유효한 회전 주기(초)
+ * @param {number|string|null} value - businesses.qr_rotation_seconds
+ */
+function resolveRotationSeconds(value) {
+  const sec = parseInt(value, 10);
+  if (!Number.isFinite(sec)) return DEFAULT_ROTATION_SECONDS;
+  return Math.min(MAX_ROTATION_SECONDS, Math.max(MIN_ROTATION_SECONDS, sec));
+}
+
+/** 시각 → TOTP 시간 구간 번호 */
+function stepAt(ms, period) {
+  return Math.floor(ms / 1000 / period);
+}
+
+/**
+ * 시간 구간의 코드 (HOTP 동적 절삭, RFC 4226)
+ * @param {string} secret - hex
+ * @param {number} step
+ */
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  counter.writeUInt32BE(step >>> 0, 4);
+  const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const bin = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return String(bin % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * 현재 표시할 동적 토큰
+ * @param {string} businessId
+ * @param {string} secret
+ * @param {number} [rotationSeconds]
+ * @param {Date}   [now]
+ * @returns {{ token: string, code: string, issuedAt: string, expiresAt: string, rotationSeconds: number }}
+ */
+function buildDynamicToken(businessId, secret, rotationSeconds, now = new Date()) {
+  const period = resolveRotationSeconds(rotationSeconds);
+  const step = stepAt(now.getTime(), period);
+  const code = codeForStep(secret, step);
+  return {
+    token: `${DYNAMIC_TOKEN_PREFIX}${businessId}_${code}`,
+    code,
+    issuedAt: new Date(step * period * 1000).toISOString(),
+    expiresAt: new Date((step + 1) * period * 1000).toISOString(),
+    rotationSeconds: period,
+  };
+}
+
+/**
+ * 동적 토큰 파싱
+ * @returns {{ businessId: string, code: string }|null}
+ */
+function parseDynamicToken(token) {
+  const m = TOKEN_RE.exec(token || '');
+  return m ? { businessId: m[1], code: m[2] } : null;
+}
+
+/**
+ * 코드 검증 — 서버 시각 기준 현재 구간 ~ 제출 유예시간 이내 구간만 허용
+ * (클라이언트 timestamp 는 위조 가능하므로 사용하지 않음)
+ * @returns {boolean}
+ */
+function verifyDynamicCode(secret, code, rotationSeconds, now = new Date()) {
+  if (!secret || !code) return false;
+  const period = resolveRotationSeconds(rotationSeconds);
+  const current = stepAt(now.getTime(), period);
+  const oldest = stepAt(now.getTime() - SUBMIT_GRACE_SECONDS * 1000, period);
+  const given = Buffer.from(String(code));
+  for (let step = current; step >= oldest; step--) {
+    const expected = Buffer.from(codeForStep(secret, step));
+    if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  DYNAMIC_TOKEN_PREFIX,
+  DEFAULT_ROTATION_SECONDS,
+  MIN_ROTATION_SECONDS,
+  MAX_ROTATION_SECONDS,
+  generateSecret,
+  resolveRotationSeconds,
+  buildDynamicToken,
+  parseDynamicToken,
+  verifyDynamicCode,
+};
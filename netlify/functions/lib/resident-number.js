@@ -0,0 +1,110 @@
+// netlify/functions/lib/resident-number.js
+// 주민등록번호(외국인등록번호) 보관 — 원천세 신고·지급명세서 전자파일 작성용
+//
+// 평문 저장 금지 (개인정보보호법 제24조의2 — 암호화 의무):
+//   employees.resident_number_enc    — AES-256-GCM 암호문 "v1:{iv}:{tag}:{ciphertext}" (base64url)
+//   employees.resident_number_masked — 화면 표시용 "900101-1******"
+// 키: RESIDENT_NUMBER_KEY 환경변수 (32바이트, base64) — 없으면 저장·복호화 모두 거부
+//
+// 복호화는 지급명세서 파일 생성(withholding-reports.js)에서만 — 조회 API·감사 로그에는 마스킹 값만
+//
+// 사용법:
+//   const { validateResidentNumber, encryptResidentNumber, maskResidentNumber } = require('./lib/resident-number');
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+
+function invalid(statusCode, error, extra = {}) {
+  return { error: { statusCode, error, ...extra } };
+}
+
+function loadKey() {
+  const raw = process.env.RESIDENT_NUMBER_KEY;
+  const key = raw ? Buffer.from(raw, 'base64') : null;
+  if (!key || key.length !== 32) throw new Error('RESIDENT_NUMBER_KEY 가 설정되지 않았거나 32바이트가 아닙니다');
+  return key;
+}
+
+/**
+ * 주민등록번호 형식 검증 → 숫자 13자리
+ * 2020년 10월 이후 발급 번호는 뒷자리가 임의 번호라 검증번호(끝자리)는 확인하지 않음
+ * @returns {{ value: string } | { error: object }}
+ */
+function validateResidentNumber(input) {
+  const digits = String(input || '').replace(/[\s-]/g, '');
+  if (!/^\d{13}$/.test(digits)) return invalid(400, '주민등록번호는 숫자 13자리여야 합니다.');
+
+  const genderDigit = Number(digits[6]);
+  if (genderDigit < 1 || genderDigit > 8) return invalid(400, '주민등록번호 뒷자리 첫 숫자가 올바르지 않습니다.');
+  const century = [1, 2, 5, 6].includes(genderDigit) ? 1900 : 2000;
+  const year = century + Number(digits.slice(0, 2));
+  const month = Number(digits.slice(2, 4));
+  const day = Number(digits.slice(4, 6));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return invalid(400, '주민등록번호 앞자리(생년월일)가 올바르지 않습니다.');
+  }
+  return { value: digits };
+}
+
+/** 외국인등록번호 여부 (뒷자리 첫 숫자 5~8) — 지급명세서 내·외국인 구분 */
+function isForeigner(digits) {
+  return /^\d{13}$/.test(digits || '') && Number(digits[6]) >= 5;
+}
+
+function maskResidentNumber(digits) {
+  if (!/^\d{13}$/.test(digits || '')) return null;
+  return `${digits.slice(0, 6)}-${digits[6]}******`;
+}
+
+function encryptResidentNumber(digits) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', loadKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(digits, 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), ciphertext.toString('base64url')].join(':');
+}
+
+/** 암호문 → 숫자 13자리 (없거나 손상되면 null) */
+function decryptResidentNumber(encrypted) {
+  if (!encrypted) return null;
+  const [version, iv, tag, ciphertext] = String(encrypted).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) return null;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', loadKey(), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const digits = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+    return /^\d{13}$/.test(digits) ? digits : null;
+  } catch (e) {
+    if (e.message.startsWith('RESIDENT_NUMBER_KEY')) throw e;
+    return null;
+  }
+}
+
+/**
+ * employees-update 입력 → 저장 컬럼 (residentNumber 가 빈 값이면 삭제)
+ * @returns {{ values: object } | { error: object }}
+ */
+function residentNumberUpdate(body = {}) {
+  if (body.residentNumber === undefined) return { values: {} };
+  if (body.residentNumber === null || String(body.residentNumber).trim() === '') {
+    return { values: { resident_number_enc: null, resident_number_masked: null } };
+  }
+  const validated = validateResidentNumber(body.residentNumber);
+  if (validated.error) return validated;
+  return {
+    values: {
+      resident_number_enc:    encryptResidentNumber(validated.value),
+      resident_number_masked: maskResidentNumber(validated.value),
+    },
+  };
+}
+
+module.exports = {
+  validateResidentNumber,
+  isForeigner,
+  maskResidentNumber,
+  encryptResidentNumber,
+  decryptResidentNumber,
+  residentNumberUpdate,
+};
@@ -0,0 +1,406 @@
+// netlify/functions/lib/retro-pay.js
+// 소급 정산 — 효력 발생일이 지난 변경(급여 인상, 수당 변경, 근태 정정)을 이미 지급한 달에 다시 계산해
+// 항목별 차액을 다음 미지급 급여에 '소급분'으로 합산
+//
+// 흐름:
+//  1) 대상 월(효력 시작 ~ 종료, 지급 완료·마감된 달만)마다 calculate-payroll 을 simulate 모드로 호출
+//     — 저장된 payrolls 는 그대로 두고 변경을 반영한 재계산 결과만 받음
+//  2) 저장된 급여(지급분)와 재계산 결과를 항목별로 비교 → 월별 차액 (computeMonthDelta)
+//  3) retro_pay_adjustments 에 계산 내역 전체(월별 지급분·재계산·차액)를 보존, status = 'pending'
+//  4) 다음 미지급 급여(작성·검토 단계) 계산 시 calculate-payroll 이 소급분을 합산하고 'settled' 로 표시
+//
+// 세금 처리 (소득세법 시행령 제194조 — 소급 인상분은 귀속월 급여를 다시 계산해 차액을 원천징수)
+//  - 소득세·지방소득세: 귀속월별 간이세액 재계산 차액을 지급월에 추가 징수 (지급월 세액표에 합산하지 않음)
+//  - 고용보험: 실제 지급 보수 기준 → 귀속월별 차액 징수
+//  - 국민연금: 기준소득월액 기준 (소급 정산 없음), 건강·장기요양보험: 보수총액 신고 후 연말 정산
+//    → 차액은 계산 내역(deferred)에만 기록하고 징수하지 않음
+//  - 비과세 한도는 귀속월 기준으로 이미 재계산되어 있으므로 비과세 차액은 그대로 비과세
+//
+// 저장:
+//   retro_pay_adjustments: id, company_id, employee_id, change_type ('salary' | 'pay_item' | 'attendance'),
+//     change jsonb (효력 변경 내용), effective_from / effective_to ('YYYY-MM'), months jsonb (월별 계산 내역),
+//     skipped jsonb (제외 월·사유), delta_payment, delta_non_taxable, delta_taxable, delta_income_tax,
+//     delta_local_income_tax, delta_employment_insurance, delta_other_deductions, delta_deductions, delta_net,
+//     deferred_deductions, status ('pending' | 'settled' | 'cancelled'), settle_year, settle_month (정산 예정·정산 월),
+//     settled_payroll_id, settled_at, reason, created_by, created_at, updated_at
+//   payrolls: retro_pay, retro_deductions, retro_breakdown 컬럼 추가
+//
+// 사용법:
+//   const { loadRetroSettlements, applyRetroSettlements } = require('./lib/retro-pay');
+//   const retro = applyRetroSettlements(await loadRetroSettlements(supabase, { employeeId, year, month, includePending: true }));
+
+const { RUN_TYPE, RUN_STATUS } = require('./payroll-run');
+const { RECURRENCE } = require('./pay-items');
+
+const RETRO_CHANGE_TYPE = {
+  SALARY:     'salary',     // 기본급 인상 (급여 형태 변경 포함)
+  PAY_ITEM:   'pay_item',   // 회사 수당·공제 항목 금액 변경
+  ATTENDANCE: 'attendance', // 마감 후 근태 정정 (현재 출퇴근 기록으로 재계산)
+};
+
+const RETRO_CHANGE_LABELS = {
+  salary:     '기본급 변경',
+  pay_item:   '수당·공제 변경',
+  attendance: '근태 정정',
+};
+
+const RETRO_STATUS = {
+  PENDING:   'pending',
+  SETTLED:   'settled',
+  CANCELLED: 'cancelled',
+};
+
+// 지급 항목 (합계·비과세·과세 포함)
+const RETRO_PAY_LINES = {
+  basic_pay:           '기본급',
+  weekly_holiday_pay:  '주휴수당',
+  overtime_pay:        '연장수당',
+  night_work_pay:      '야간수당',
+  holiday_work_pay:    '휴일수당',
+  other_allowances:    '회사 수당',
+  meal_allowance:      '식대',
+  car_allowance:       '자가운전보조금',
+  childcare_allowance: '보육수당',
+  total_payment:       '지급 합계',
+  non_taxable_amount:  '비과세',
+  taxable_income:      '과세 소득',
+};
+
+// 소급분에서 징수하는 공제 항목
+const RETRO_WITHHELD_LINES = {
+  employment_insurance: '고용보험',
+  income_tax:           '소득세',
+  local_income_tax:     '지방소득세',
+  other_deductions:     '회사 공제',
+};
+
+// 차액은 기록만 하는 공제 항목 (연금: 기준소득월액, 건강·요양: 연말 정산)
+const RETRO_DEFERRED_LINES = {
+  national_pension: '국민연금',
+  health_insurance: '건강보험',
+  long_term_care:   '장기요양보험',
+};
+
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+const MAX_RETRO_MONTHS = 36; // 임금채권 소멸시효 3년 (근로기준법 제49조)
+const SALARY_TYPES = ['hourly', 'daily', 'monthly', 'annual'];
+
+function invalid(statusCode, error, extra = {}) {
+  return { error: { statusCode, error, ...extra } };
+}
+
+function monthIndex(year, month) { return Number(year) * 12 + Number(month) - 1; }
+
+function monthKey(year, month) { return `${year}-${String(month).padStart(2, '0')}`; }
+
+function parseMonth(key) {
+  const [year, month] = key.split('-').map(Number);
+  return { year, month };
+}
+
+/**
+ * 소급 변경 입력 검증
+ * @param {object} change - { type, effectiveFrom, effectiveTo?, baseSalary?, salaryType?, payItemId?, amount? }
+ * @param {Date} [now] - 기준 시각 (기본: 현재) — 효력 종료 기본값은 전월
+ * @returns {{ change: object, months: Array<{year, month}> } | { error }}
+ */
+function validateRetroChange(change = {}, now = new Date()) {
+  if (!Object.values(RETRO_CHANGE_TYPE).includes(change.type)) {
+    return invalid(400, 'type은 ' + Object.values(RETRO_CHANGE_TYPE).join(', ') + ' 중 하나여야 합니다.');
+  }
+  if (!MONTH_RE.test(change.effectiveFrom || '')) {
+    return invalid(400, 'effectiveFrom은 YYYY-MM 형식이어야 합니다.');
+  }
+  if (change.effectiveTo && !MONTH_RE.test(change.effectiveTo)) {
+    return invalid(400, 'effectiveTo는 YYYY-MM 형식이어야 합니다.');
+  }
+
+  const kst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
+  const lastClosable = monthIndex(kst.getUTCFullYear(), kst.getUTCMonth() + 1) - 1; // 전월까지
+  const from = parseMonth(change.effectiveFrom);
+  const to = change.effectiveTo ? parseMonth(change.effectiveTo) : null;
+  const start = monthIndex(from.year, from.month);
+  const end = Math.min(to ? monthIndex(to.year, to.month) : lastClosable, lastClosable);
+  if (end < start) return invalid(400, '소급 대상 월이 없습니다. (효력 시작월이 이번 달 이후)');
+  if (end - start + 1 > MAX_RETRO_MONTHS) {
+    return invalid(400, `소급 기간은 최대 ${MAX_RETRO_MONTHS}개월입니다.`);
+  }
+
+  const normalized = { type: change.type, effectiveFrom: change.effectiveFrom, effectiveTo: change.effectiveTo || null };
+  if (change.type === RETRO_CHANGE_TYPE.SALARY) {
+    const baseSalary = Number(change.baseSalary);
+    if (!Number.isFinite(baseSalary) || baseSalary <= 0) return invalid(400, '변경 기본급(baseSalary)을 입력해주세요.');
+    if (change.salaryType && !SALARY_TYPES.includes(change.salaryType)) {
+      return invalid(400, 'salaryType은 ' + SALARY_TYPES.join(', ') + ' 중 하나여야 합니다.');
+    }
+    Object.assign(normalized, { baseSalary, salaryType: change.salaryType || null });
+  } else if (change.type === RETRO_CHANGE_TYPE.PAY_ITEM) {
+    const amount = Number(change.amount);
+    if (!change.payItemId) return invalid(400, '수당·공제 항목(payItemId)을 선택해주세요.');
+    if (!Number.isFinite(amount) || amount < 0) return invalid(400, '변경 금액(amount)은 0 이상이어야 합니다.');
+    Object.assign(normalized, { payItemId: change.payItemId, amount });
+  }
+
+  const months = [];
+  for (let i = start; i <= end; i++) months.push({ year: Math.floor(i / 12), month: (i % 12) + 1 });
+  return { change: normalized, months };
+}
+
+/**
+ * 소급 변경 → calculate-payroll simulate 모드의 overrides
+ */
+function buildOverrides(change) {
+  if (change.type === RETRO_CHANGE_TYPE.SALARY) {
+    return { baseSalary: change.baseSalary, salaryType: change.salaryType || undefined };
+  }
+  if (change.type === RETRO_CHANGE_TYPE.PAY_ITEM) {
+    return { payItems: [{ payItemId: change.payItemId, amount: change.amount }] };
+  }
+  return {}; // 근태 정정 — 현재 출퇴근 기록 그대로 재계산
+}
+
+/**
+ * simulate 모드 overrides 적용 (calculate-payroll.js) — 직원·지정 항목 사본을 돌려줌
+ * 지정되지 않은 항목은 회사 카탈로그에서 찾아 추가 (정기 항목만)
+ * @returns {Promise<{ employee: object, assigned: Array }>}
+ */
+async function applyRetroOverrides(supabase, { employee, assigned, overrides = {} }) {
+  const nextEmployee = { ...employee };
+  if (overrides.baseSalary !== undefined) {
+    nextEmployee.base_salary = overrides.baseSalary;
+    nextEmployee.hourly_rate = null;
+    nextEmployee.monthly_wage = null;
+  }
+  if (overrides.salaryType) {
+    nextEmployee.salary_type = overrides.salaryType;
+    nextEmployee.pay_type = overrides.salaryType;
+  }
+
+  let nextAssigned = assigned;
+  for (const { payItemId, amount } of overrides.payItems || []) {
+    const found = nextAssigned.find(a => a.payItem.id === payItemId);
+    if (found) {
+      nextAssigned = nextAssigned.map(a => (a === found ? { ...a, amount: Number(amount) || 0 } : a));
+      continue;
+    }
+    const { data: payItem } = await supabase
+      .from('pay_items')
+      .select('*')
+      .eq('id', payItemId)
+      .eq('company_id', employee.company_id)
+      .maybeSingle();
+    if (payItem && payItem.is_active !== false && payItem.recurrence !== RECURRENCE.ONE_OFF) {
+      nextAssigned = [...nextAssigned, { assignmentId: null, amount: Number(amount) || 0, payItem }];
+    }
+  }
+  return { employee: nextEmployee, assigned: nextAssigned };
+}
+
+/**
+ * 귀속월 차액 — 지급분(original, payrolls row)과 재계산 결과(recalculated) 비교
+ * 0 이 아닌 항목만 기록
+ * @returns {{ year, month, payrollId, version, lines, withheld, deferred, delta }}
+ */
+function computeMonthDelta(original, recalculated) {
+  const pick = (labels) => {
+    const result = {};
+    for (const [key, label] of Object.entries(labels)) {
+      const before = Number(original?.[key]) || 0;
+      const after = Number(recalculated?.[key]) || 0;
+      if (after !== before) result[key] = { label, before, after, delta: after - before };
+    }
+    return result;
+  };
+  const lines = pick(RETRO_PAY_LINES);
+  const withheld = pick(RETRO_WITHHELD_LINES);
+  const deferred = pick(RETRO_DEFERRED_LINES);
+  const d = (group, key) => group[key]?.delta || 0;
+  const withheldTotal = Object.values(withheld).reduce((sum, l) => sum + l.delta, 0);
+
+  return {
+    year:      original.year,
+    month:     original.month,
+    payrollId: original.id,
+    version:   original.version || 1,
+    lines,
+    withheld,
+    deferred,
+    delta: {
+      payment:             d(lines, 'total_payment'),
+      nonTaxable:          d(lines, 'non_taxable_amount'),
+      taxable:             d(lines, 'taxable_income'),
+      incomeTax:           d(withheld, 'income_tax'),
+      localIncomeTax:      d(withheld, 'local_income_tax'),
+      employmentInsurance: d(withheld, 'employment_insurance'),
+      otherDeductions:     d(withheld, 'other_deductions'),
+      deductions:          withheldTotal,
+      deferred:            Object.values(deferred).reduce((sum, l) => sum + l.delta, 0),
+      net:                 d(lines, 'total_payment') - withheldTotal,
+    },
+  };
+}
+
+/**
+ * 월별 차액 합계 → retro_pay_adjustments 합계 컬럼
+ */
+function summarizeRetro(months) {
+  const sum = (key) => months.reduce((acc, m) => acc + (m.delta[key] || 0), 0);
+  return {
+    delta_payment:              sum('payment'),
+    delta_non_taxable:          sum('nonTaxable'),
+    delta_taxable:              sum('taxable'),
+    delta_income_tax:           sum('incomeTax'),
+    delta_local_income_tax:     sum('localIncomeTax'),
+    delta_employment_insurance: sum('employmentInsurance'),
+    delta_other_deductions:     sum('otherDeductions'),
+    delta_deductions:           sum('deductions'),
+    delta_net:                  sum('net'),
+    deferred_deductions:        sum('deferred'),
+  };
+}
+
+/**
+ * 소급분을 합산할 다음 미지급 급여 월 — 정기 실행이 없거나 작성·검토 단계인 첫 달
+ * @param {object} supabase
+ * @param {object} params - { companyId, after: { year, month } (마지막 소급 대상 월) }
+ * @returns {Promise<{ year: number, month: number }>}
+ */
+async function findSettlementMonth(supabase, { companyId, after }) {
+  const start = monthIndex(after.year, after.month) + 1;
+  const { data: runs, error } = await supabase
+    .from('payroll_runs')
+    .select('year, month, status')
+    .eq('company_id', companyId)
+    .eq('run_type', RUN_TYPE.REGULAR)
+    .gte('year', Math.floor(start / 12));
+  if (error) throw error;
+
+  const statusByMonth = new Map((runs || []).map(r => [monthIndex(r.year, r.month), r.status]));
+  for (let i = start; i < start + MAX_RETRO_MONTHS; i++) {
+    const status = statusByMonth.get(i);
+    if (!status || status === RUN_STATUS.DRAFT || status === RUN_STATUS.REVIEWED) return { year: Math.floor(i / 12), month: (i % 12) + 1 };
+  }
+  return { year: Math.floor(start / 12), month: (start % 12) + 1 };
+}
+
+/**
+ * 해당 월 급여에 합산할 소급분
+ *  - 이미 이 달에 정산된 것 (재계산 시 다시 포함)
+ *  - includePending: 정산 예정 월이 이 달 이전인 미정산분 (작성·검토 단계 정기 계산에서만)
+ */
+async function loadRetroSettlements(supabase, { employeeId, year, month, includePending = false }) {
+  const { data, error } = await supabase
+    .from('retro_pay_adjustments')
+    .select('*')
+    .eq('employee_id', employeeId)
+    .in('status', includePending ? [RETRO_STATUS.PENDING, RETRO_STATUS.SETTLED] : [RETRO_STATUS.SETTLED])
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+
+  const current = monthIndex(year, month);
+  return (data || []).filter(row => {
+    const target = monthIndex(row.settle_year, row.settle_month);
+    if (row.status === RETRO_STATUS.SETTLED) return target === current;
+    return target <= current;
+  });
+}
+
+/**
+ * 소급분 합계 (순수 함수) — calculate-payroll.js 에서 지급·공제에 합산
+ */
+function applyRetroSettlements(rows = []) {
+  const sum = (key) => rows.reduce((acc, r) => acc + (Number(r[key]) || 0), 0);
+  return {
+    ids:                 rows.map(r => r.id),
+    pendingIds:          rows.filter(r => r.status === RETRO_STATUS.PENDING).map(r => r.id),
+    payment:             sum('delta_payment'),
+    nonTaxable:          sum('delta_non_taxable'),
+    taxable:             sum('delta_taxable'),
+    incomeTax:           sum('delta_income_tax'),
+    localIncomeTax:      sum('delta_local_income_tax'),
+    employmentInsurance: sum('delta_employment_insurance'),
+    otherDeductions:     sum('delta_other_deductions'),
+    deductionTotal:      sum('delta_deductions'),
+    breakdown: rows.map(r => ({
+      retroId:       r.id,
+      changeType:    r.change_type,
+      label:         RETRO_CHANGE_LABELS[r.change_type] || r.change_type,
+      effectiveFrom: r.effective_from,
+      effectiveTo:   r.effective_to,
+      months:        (r.months || []).map(m => monthKey(m.year, m.month)),
+      payment:       Number(r.delta_payment) || 0,
+      deductions:    Number(r.delta_deductions) || 0,
+      net:           Number(r.delta_net) || 0,
+      reason:        r.reason || null,
+    })),
+  };
+}
+
+/**
+ * 급여 저장 후 미정산 소급분을 정산 처리
+ */
+async function markRetroSettled(supabase, { ids, payrollId, year, month }) {
+  if (!ids || ids.length === 0) return;
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('retro_pay_adjustments')
+    .update({
+      status:             RETRO_STATUS.SETTLED,
+      settle_year:        year,
+      settle_month:       month,
+      settled_payroll_id: payrollId,
+      settled_at:         now,
+      updated_at:         now,
+    })
+    .in('id', ids)
+    .eq('status', RETRO_STATUS.PENDING);
+  if (error) throw error;
+}
+
+/**
+ * retro_pay_adjustments row → API 응답 형태
+ */
+function formatRetro(row, { detail = false } = {}) {
+  const result = {
+    id:            row.id,
+    employeeId:    row.employee_id,
+    changeType:    row.change_type,
+    changeLabel:   RETRO_CHANGE_LABELS[row.change_type] || row.change_type,
+    change:        row.change,
+    effectiveFrom: row.effective_from,
+    effectiveTo:   row.effective_to,
+    status:        row.status,
+    settleMonth:   row.settle_year ? monthKey(row.settle_year, row.settle_month) : null,
+    settledPayrollId: row.settled_payroll_id || null,
+    settledAt:     row.settled_at || null,
+    deltaPayment:  Number(row.delta_payment) || 0,
+    deltaDeductions: Number(row.delta_deductions) || 0,
+    deltaNet:      Number(row.delta_net) || 0,
+    deferredDeductions: Number(row.deferred_deductions) || 0,
+    reason:        row.reason || null,
+    createdBy:     row.created_by,
+    createdAt:     row.created_at,
+  };
+  if (detail) {
+    result.months = row.months || [];
+    result.skipped = row.skipped || [];
+  }
+  return result;
+}
+
+module.exports = {
+  RETRO_CHANGE_TYPE,
+  RETRO_CHANGE_LABELS,
+  RETRO_STATUS,
+  validateRetroChange,
+  buildOverrides,
+  applyRetroOverrides,
+  computeMonthDelta,
+  summarizeRetro,
+  findSettlementMonth,
+  loadRetroSettlements,
+  applyRetroSettlements,
+  markRetroSettled,
+  formatRetro,
+  monthKey,
+};
@@ -0,0 +1,337 @@
+// netlify/functions/lib/schedules.js
+// 근무 스케줄 엔진 — 근무표(시프트) 해석 + 지각/조퇴/결근 판정
+//
+// 테이블:
+//   shift_templates    : 근무 시프트 정의 (이름, 시작/종료 시각, 휴게, 지각/조퇴 허용 분)
+//   work_schedules     : 직원 또는 사업장 단위 근무표
+//                        schedule_type = 'weekly'   → weekly_shifts { "1": templateId, ... } (0=일 ~ 6=토)
+//                        schedule_type = 'rotation' → rotation_pattern [templateId | null, ...] + rotation_start_date
+//   schedule_overrides : 특정 날짜 예외 (시프트 변경 또는 휴무)
+//
+// 근무일 결정 우선순위 (직원, 날짜):
+//   1) 날짜 예외 (schedule_overrides)
+//   2) 직원 근무표 (work_schedules.employee_id)
+//   3) 사업장 근무표 (work_schedules.business_id, employee_id 없음)
+//   4) 직원 기본 근무시간 (employees.work_start_time / work_end_time / work_days)
+//   ※ 주간 근무표/기본 근무시간은 휴일(공휴일·약정휴일)에 근무 없음, 교대 근무표는 휴일에도 근무
+//
+// 사용법:
+//   const { loadScheduleContext, classifyDay } = require('./lib/schedules');
+//   const ctx = await loadScheduleContext(supabase, { companyId, from, to, holidayCalendar });
+//   const shift = ctx.getShift(employee, '2026-03-02');
+//   const result = classifyDay({ shift, attendances, now: new Date() });
+
+const { toKstDateKey, loadHolidayCalendar } = require('./holidays');
+const { parseWorkDays } = require('./weekly-holiday');
+
+const MS_MIN = 60 * 1000;
+
+// 판정 결과 코드
+const DAY_STATUS = {
+  ON_TIME: 'on_time',
+  LATE: 'late',
+  EARLY_LEAVE: 'early_leave',
+  LATE_EARLY_LEAVE: 'late_early_leave',
+  ABSENT: 'absent',
+  ON_LEAVE: 'on_leave',       // 결근이지만 휴가 등록됨
+  UNSCHEDULED: 'unscheduled', // 근무일이 아닌 날 출근
+  PENDING: 'pending',         // 근무 예정/진행 중 (아직 판정 불가)
+  DAY_OFF: 'day_off',
+};
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+function isValidTime(value) {
+  return typeof value === 'string' && TIME_RE.test(value);
+}
+
+function addDays(key, days) {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / (24 * 60 * MS_MIN));
+}
+
+/**
+ * 날짜 + 시프트 시각 → 실제 근무 구간 (KST, 종료가 시작보다 이르면 익일 종료)
+ * @param {string} dateKey - 근무일 'YYYY-MM-DD' (KST)
+ * @param {object} def - { start_time, end_time, break_minutes, late_grace_minutes, early_leave_grace_minutes, name, id }
+ * @param {string} source - 'override' | 'employee' | 'business' | 'employee_default'
+ */
+function buildShift(dateKey, def, source) {
+  const startTime = def.start_time.slice(0, 5);
+  const endTime = def.end_time.slice(0, 5);
+  const startAt = new Date(`${dateKey}T${startTime}:00+09:00`);
+  const endKey = endTime <= startTime ? addDays(dateKey, 1) : dateKey;
+  const endAt = new Date(`${endKey}T${endTime}:00+09:00`);
+  const breakMinutes = def.break_minutes ?? 0;
+  return {
+    date: dateKey,
+    templateId: def.id || null,
+    name: def.name || null,
+    startTime,
+    endTime,
+    startAt: startAt.toISOString(),
+    endAt: endAt.toISOString(),
+    breakMinutes,
+    scheduledMinutes: Math.max(0, Math.round((endAt - startAt) / MS_MIN) - breakMinutes),
+    lateGraceMinutes: def.late_grace_minutes ?? 0,
+    earlyLeaveGraceMinutes: def.early_leave_grace_minutes ?? 0,
+    source,
+  };
+}
+
+function isEffective(schedule, dateKey) {
+  if (schedule.effective_from && dateKey < schedule.effective_from.slice(0, 10)) return false;
+  if (schedule.effective_to && dateKey > schedule.effective_to.slice(0, 10)) return false;
+  return true;
+}
+
+/**
+ * 근무표에서 해당 날짜의 시프트 ID 조회
+ * @returns {{ matched: boolean, templateId: string|null }} matched=false → 이 근무표는 해당 날짜에 적용 안 됨
+ */
+function pickTemplateId(schedule, dateKey, holidayCalendar) {
+  if (schedule.schedule_type === 'rotation') {
+    const pattern = Array.isArray(schedule.rotation_pattern) ? schedule.rotation_pattern : [];
+    if (pattern.length === 0 || !schedule.rotation_start_date) return { matched: false, templateId: null };
+    const offset = daysBetween(schedule.rotation_start_date.slice(0, 10), dateKey);
+    const index = ((offset % pattern.length) + pattern.length) % pattern.length;
+    return { matched: true, templateId: pattern[index] || null };
+  }
+  // weekly — 휴일은 근무 없음 (일요일은 근무표에 지정된 경우 근무)
+  if (holidayCalendar && holidayCalendar.isPublicHoliday(dateKey)) return { matched: true, templateId: null };
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  const shifts = schedule.weekly_shifts || {};
+  return { matched: true, templateId: shifts[weekday] || shifts[String(weekday)] || null };
+}
+
+/**
+ * 스케줄 컨텍스트 생성 (순수 함수 — 테스트/배치에서 직접 사용 가능)
+ * @param {object} data - { templates, schedules, overrides, holidayCalendar }
+ * @returns {{ getShift: Function }}
+ */
+function buildScheduleContext({ templates = [], schedules = [], overrides = [], holidayCalendar = null }) {
+  const templateById = new Map(templates.map(t => [t.id, t]));
+  const overrideByKey = new Map(overrides.map(o => [`${o.employee_id}|${o.override_date.slice(0, 10)}`, o]));
+  // 최근 시작된 근무표 우선
+  const sorted = schedules.slice().sort((a, b) => String(b.effective_from || '').localeCompare(String(a.effective_from || '')));
+
+  function fromSchedule(schedule, dateKey, source) {
+    const { matched, templateId } = pickTemplateId(schedule, dateKey, holidayCalendar);
+    if (!matched) return undefined;
+    const template = templateId ? templateById.get(templateId) : null;
+    return template ? buildShift(dateKey, template, source) : null;
+  }
+
+  /**
+   * 직원의 특정 날짜 시프트
+   * @param {object} employee - { id, business_id, work_start_time, work_end_time, work_days, break_time_minutes }
+   * @param {string} dateKey - 'YYYY-MM-DD' (KST)
+   * @returns {object|null} 시프트 (null = 근무일 아님)
+   */
+  function getShift(employee, dateKey) {
+    // 1) 날짜 예외
+    const override = overrideByKey.get(`${employee.id}|${dateKey}`);
+    if (override) {
+      if (override.is_day_off) return null;
+      if (override.start_time && override.end_time) {
+        return buildShift(dateKey, { ...override, name: override.reason || '근무 변경' }, 'override');
+      }
+      const template = templateById.get(override.shift_template_id);
+      if (template) return buildShift(dateKey, template, 'override');
+    }
+
+    // 2) 직원 근무표 → 3) 사업장 근무표
+    const own = sorted.find(s => s.employee_id === employee.id && isEffective(s, dateKey));
+    if (own) {
+      const shift = fromSchedule(own, dateKey, 'employee');
+      if (shift !== undefined) return shift;
+    }
+    const biz = employee.business_id
+      ? sorted.find(s => !s.employee_id && s.business_id === employee.business_id && isEffective(s, dateKey))
+      : null;
+    if (biz) {
+      const shift = fromSchedule(biz, dateKey, 'business');
+      if (shift !== undefined) return shift;
+    }
+
+    // 4) 직원 기본 근무시간
+    if (isValidTime(employee.work_start_time) && isValidTime(employee.work_end_time)) {
+      if (holidayCalendar && holidayCalendar.isPublicHoliday(dateKey)) return null;
+      const workDays = parseWorkDays(employee.work_days) || [1, 2, 3, 4, 5];
+      const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+      if (!workDays.includes(weekday)) return null;
+      return buildShift(dateKey, {
+        name: '기본 근무',
+        start_time: employee.work_start_time,
+        end_time: employee.work_end_time,
+        break_minutes: employee.break_time_minutes ?? 60,
+      }, 'employee_default');
+    }
+
+    return null;
+  }
+
+  return { getShift };
+}
+
+/**
+ * 회사 스케줄 데이터 로드 → 스케줄 컨텍스트
+ * 테이블이 없거나 조회 실패 시 직원 기본 근무시간만으로 동작
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {string} params.from - 'YYYY-MM-DD'
+ * @param {string} params.to   - 'YYYY-MM-DD'
+ * @param {object} [params.holidayCalendar] - lib/holidays.js 캘린더
+ * @param {Array<string>} [params.employeeIds] - 날짜 예외 조회 대상 (없으면 회사 전체)
+ */
+async function loadScheduleContext(supabase, { companyId, from, to, holidayCalendar = null, employeeIds = null }) {
+  let templates = [];
+  let schedules = [];
+  let overrides = [];
+  try {
+    let overrideQuery = supabase
+      .from('schedule_overrides')
+      .select('id, employee_id, override_date, shift_template_id, start_time, end_time, break_minutes, is_day_off, reason')
+      .eq('company_id', companyId)
+      .gte('override_date', from)
+      .lte('override_date', to);
+    if (employeeIds) overrideQuery = overrideQuery.in('employee_id', employeeIds);
+
+    const [tplRes, schRes, ovrRes] = await Promise.all([
+      supabase
+        .from('shift_templates')
+        .select('id, name, start_time, end_time, break_minutes, late_grace_minutes, early_leave_grace_minutes')
+        .eq('company_id', companyId)
+        .is('deleted_at', null),
+      supabase
+        .from('work_schedules')
+        .select('id, employee_id, business_id, schedule_type, weekly_shifts, rotation_pattern, rotation_start_date, effective_from, effective_to')
+        .eq('company_id', companyId)
+        .is('deleted_at', null)
+        .or(`effective_to.is.null,effective_to.gte.${from}`),
+      overrideQuery,
+    ]);
+    templates = tplRes.data || [];
+    schedules = (schRes.data || []).filter(s => !s.effective_from || s.effective_from.slice(0, 10) <= to);
+    overrides = ovrRes.data || [];
+  } catch (e) {
+    console.error('[schedules] 근무표 로드 실패 (기본 근무시간 사용):', e.message);
+  }
+  return buildScheduleContext({ templates, schedules, overrides, holidayCalendar });
+}
+
+/**
+ * 근무일 1일 판정
+ * @param {object} params
+ * @param {object|null} params.shift - getShift() 결과
+ * @param {Array} params.attendances - 해당 근무일의 출퇴근 기록 (check_in_time, check_out_time)
+ * @param {Date} [params.now]
+ * @returns {{ status: string, lateMinutes: number, earlyLeaveMinutes: number, attendanceId: string|null }}
+ */
+function classifyDay({ shift, attendances = [], now = new Date() }) {
+  const records = attendances.filter(a => a.check_in_time)
+    .sort((a, b) => new Date(a.check_in_time) - new Date(b.check_in_time));
+  const first = records[0] || null;
+  const result = { status: DAY_STATUS.DAY_OFF, lateMinutes: 0, earlyLeaveMinutes: 0, attendanceId: first ? first.id : null };
+
+  if (!shift) {
+    if (first) result.status = DAY_STATUS.UNSCHEDULED;
+    return result;
+  }
+
+  const startMs = Date.parse(shift.startAt);
+  const endMs = Date.parse(shift.endAt);
+
+  if (!first) {
+    result.status = now.getTime() < endMs ? DAY_STATUS.PENDING : DAY_STATUS.ABSENT;
+    return result;
+  }
+
+  const lateMinutes = Math.floor((Date.parse(first.check_in_time) - startMs) / MS_MIN);
+  if (lateMinutes > shift.lateGraceMinutes) result.lateMinutes = lateMinutes;
+
+  const outTimes = records.filter(a => a.check_out_time).map(a => Date.parse(a.check_out_time));
+  const stillWorking = records.some(a => !a.check_out_time);
+  if (outTimes.length > 0 && !stillWorking) {
+    const earlyMinutes = Math.floor((endMs - Math.max(...outTimes)) / MS_MIN);
+    if (earlyMinutes > shift.earlyLeaveGraceMinutes) result.earlyLeaveMinutes = earlyMinutes;
+  }
+
+  if (result.lateMinutes > 0 && result.earlyLeaveMinutes > 0) result.status = DAY_STATUS.LATE_EARLY_LEAVE;
+  else if (result.lateMinutes > 0) result.status = DAY_STATUS.LATE;
+  else if (result.earlyLeaveMinutes > 0) result.status = DAY_STATUS.EARLY_LEAVE;
+  else result.status = DAY_STATUS.ON_TIME; // 근무 중이면 조퇴 여부는 퇴근 시 재판정
+  return result;
+}
+
+/**
+ * 출퇴근 기록을 근무일(KST) 기준으로 묶음
+ * @param {Array} attendances
+ * @returns {Map<string, Array>} 'employeeId|YYYY-MM-DD' → 기록 배열
+ */
+function groupAttendancesByDay(attendances = []) {
+  const map = new Map();
+  attendances.forEach(att => {
+    if (!att.check_in_time) return;
+    const key = `${att.employee_id}|${toKstDateKey(att.check_in_time)}`;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(att);
+  });
+  return map;
+}
+
+/**
+ * 출퇴근 기록 1건 즉시 판정 (체크인/체크아웃 시점)
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {object} params.employee   - employees row (id, business_id, work_start_time, work_end_time, work_days, break_time_minutes)
+ * @param {object} params.attendance - { id, check_in_time, check_out_time }
+ * @returns {Promise<{ shift: object|null, result: object, fields: object }>}
+ *   fields: attendances UPDATE 용 컬럼 (schedule_status, late_minutes, early_leave_minutes, scheduled_start, scheduled_end)
+ */
+async function evaluateAttendance(supabase, { companyId, employee, attendance, now = new Date() }) {
+  const dateKey = toKstDateKey(attendance.check_in_time);
+  const holidayCalendar = await loadHolidayCalendar(supabase, {
+    companyId,
+    businessId: employee.business_id,
+    from: dateKey,
+    to: dateKey,
+  });
+  const ctx = await loadScheduleContext(supabase, {
+    companyId,
+    from: dateKey,
+    to: dateKey,
+    holidayCalendar,
+    employeeIds: [employee.id],
+  });
+  const shift = ctx.getShift(employee, dateKey);
+  const result = classifyDay({ shift, attendances: [attendance], now });
+  return {
+    shift,
+    result,
+    fields: {
+      schedule_status: result.status,
+      late_minutes: result.lateMinutes,
+      early_leave_minutes: result.earlyLeaveMinutes,
+      scheduled_start: shift ? shift.startAt : null,
+      scheduled_end: shift ? shift.endAt : null,
+    },
+  };
+}
+
+module.exports = {
+  DAY_STATUS,
+  evaluateAttendance,
+  loadScheduleContext,
+  buildScheduleContext,
+  classifyDay,
+  groupAttendancesByDay,
+  isValidTime,
+};
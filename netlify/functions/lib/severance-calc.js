@@ -4,6 +4,8 @@
 // [역할] 퇴직 전 3개월 임금 데이터를 받아 1일 평균임금을 계산
 // [법적 근거] 퇴직급여보장법 제8조, 근로기준법 제2조 (평균임금 정의)
 
+const { calculateOrdinaryWage } = require('./ordinary-wage');
+
 /**
  * 퇴직 전 3개월 기간을 계산합니다.
  * 예) 퇴직일 2026-02-21 → 산정 기간: 2025-11-22 ~ 2026-02-21
@@ -85,12 +87,13 @@ function buildWageComponents(payrollRecords, options = {}) {
     basePay3m += Number(r.basic_pay || r.base_salary || 0);
 
     // 제수당: 야간·연장·휴일수당 + 고정수당 포함
-    // payrolls 실제 컬럼: meal_allowance, car_allowance, other_allowances
+    // payrolls 실제 컬럼: meal_allowance, car_allowance, average_wage_allowances
     allowance3m += Number(r.night_work_pay || 0)
       + Number(r.overtime_pay || 0)
       + Number(r.holiday_work_pay || 0)
       + Number(r.meal_allowance || 0)   // 식대
-      + Number(r.car_allowance || 0);   // 교통비(자가운전보조금)
+      + Number(r.car_allowance || 0)    // 교통비(자가운전보조금)
+      + Number(r.average_wage_allowances || 0); // 회사 수당 중 평균임금 포함 정기 수당 (lib/pay-items.js)
 
     // 연차미사용수당
     unusedLeavePay += Number(r.unused_leave_pay || 0);
@@ -117,37 +120,14 @@ function buildWageComponents(payrollRecords, options = {}) {
 
 /**
  * 1일 통상임금을 계산합니다.
- * 통상임금 = 기본급 + 고정수당 (월 소정근로시간 기준)
+ * 시간급 통상임금 × 1일 소정근로시간 (근로기준법 시행령 제6조, lib/ordinary-wage.js)
+ * 지정 수당·정기상여금 없이 직원 기본급만으로 계산 — 수당 포함 값은 calculateAverageWage의 ordinaryWage 로 전달
  * 
- * @param {object} employee - 직원 정보 (salary_type, base_salary 등)
+ * @param {object} employee - 직원 정보 (salary_type, base_salary, 소정근로 필드 등)
  * @returns {number} 1일 통상임금
  */
 function calcDailyOrdinaryWage(employee) {
-  const {
-    salary_type,
-    base_salary,        // 시급
-    monthly_wage,       // 월급
-    work_hours_per_day = 8,
-    work_days_per_week = 5,
-  } = employee;
-
-  // 월 소정근로시간 = (주 근로시간 + 주휴 1시간) × 365/7/12
-  const weeklyHours = work_hours_per_day * work_days_per_week;
-  const monthlyHours = Math.round((weeklyHours + work_hours_per_day) * 365 / 7 / 12);
-  // 일반적으로 주 40시간 → 월 209시간
-
-  if (salary_type === 'hourly') {
-    // 시급 기준: 시급 × 월 소정근로시간 / 30
-    return Math.floor((Number(base_salary) * monthlyHours) / 30);
-  } else if (salary_type === 'monthly') {
-    // 월급 기준: 월급 / 30
-    return Math.floor(Number(monthly_wage) / 30);
-  } else if (salary_type === 'daily') {
-    // 일급 기준: 일급 (그대로)
-    return Number(base_salary);
-  }
-
-  return 0;
+  return calculateOrdinaryWage({ employee }).dailyOrdinaryWage;
 }
 
 /**
@@ -185,6 +165,7 @@ function calcServicePeriod(hireDate, retirementDate) {
  * @param {Array}  params.exclusions       - 대기기간 제외 목록
  * @param {boolean} params.includeBonus    - 상여금 포함 여부
  * @param {number}  params.bonusAnnualAmount - 연간 상여금 총액
+ * @param {object}  [params.ordinaryWage]  - loadOrdinaryWage 결과 (없으면 기본급만으로 통상임금 계산)
  * @returns {object} 평균임금 계산 전체 결과
  */
 function calculateAverageWage(params) {
@@ -196,6 +177,7 @@ function calculateAverageWage(params) {
     exclusions = [],
     includeBonus = true,
     bonusAnnualAmount = 0,
+    ordinaryWage = null,
   } = params;
 
   // 1) 재직 기간
@@ -221,7 +203,7 @@ function calculateAverageWage(params) {
     : 0;
 
   // 6) 1일 통상임금 (비교용)
-  const dailyOrdinaryWage = calcDailyOrdinaryWage(employee);
+  const dailyOrdinaryWage = ordinaryWage ? ordinaryWage.dailyOrdinaryWage : calcDailyOrdinaryWage(employee);
 
   // 7) 적용 일급: 높은 쪽 선택 (법적 보장)
   const appliedDailyWage = Math.max(dailyAverageWage, dailyOrdinaryWage);
@@ -190,4 +190,5 @@ module.exports = {
   calculateSeveranceTax,
   calcIrpTaxBenefit,
   calcServiceYearsDeduction,
+  calcConvertedTax, // 종합소득 기본세율 (연말정산 산출세액도 같은 표 — lib/year-end-tax.js)
 };
@@ -0,0 +1,118 @@
+// netlify/functions/lib/shift-pairing.js
+// 출퇴근 펀치 페어링 공통 모듈 — 자정을 넘기는 야간 근무 지원
+//
+// 기준:
+//  - 근무일(business date) = 출근 시각의 KST 날짜 (22:00 출근 → 06:00 퇴근이면 출근한 날의 근무)
+//  - 퇴근/휴게 펀치는 "최대 근무시간(companies.max_shift_hours)" 이내에 시작된
+//    가장 최근의 근무중(in_progress) 기록과 짝지음
+//  - 최대 근무시간을 넘긴 근무중 기록은 attendance-open-shift-sweep.js 가 자동 마감 또는 표시
+//
+// 사용법:
+//   const { findOpenShift, resolveMaxShiftHours } = require('./lib/shift-pairing');
+//   const open = await findOpenShift(supabase, { companyId, employeeId, at: new Date(), maxShiftHours: 16 });
+
+const { toKstDateKey } = require('./holidays');
+
+const MS_HOUR = 60 * 60 * 1000;
+
+// 최대 근무시간 기본값/허용 범위 (시간)
+const DEFAULT_MAX_SHIFT_HOURS = 16;
+const MIN_MAX_SHIFT_HOURS = 4;
+const MAX_MAX_SHIFT_HOURS = 36;
+
+// 퇴근 누락 기록 처리 방식
+const OPEN_SHIFT_POLICY = {
+  FLAG: 'flag',             // 퇴근 누락으로 표시 (관리자가 수정)
+  AUTO_CLOSE: 'auto_close', // 스케줄 종료 시각으로 자동 마감 (스케줄 없으면 표시)
+};
+
+// 퇴근 누락으로 표시된 출퇴근 기록 상태값
+const MISSING_CHECKOUT_STATUS = 'missing_checkout';
+
+/**
+ * 회사 설정값 → 유효한 최대 근무시간(시간)
+ * @param {number|string|null} value - companies.max_shift_hours
+ */
+function resolveMaxShiftHours(value) {
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0) return DEFAULT_MAX_SHIFT_HOURS;
+  return Math.min(MAX_MAX_SHIFT_HOURS, Math.max(MIN_MAX_SHIFT_HOURS, hours));
+}
+
+/**
+ * KST 근무일의 시작~끝 (check_in_time 범위 조회용)
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {{ from: string, to: string }}
+ */
+function kstDayRange(dateKey) {
+  return {
+    from: `${dateKey}T00:00:00+09:00`,
+    to: `${dateKey}T23:59:59.999+09:00`,
+  };
+}
+
+/**
+ * 출근 시각 → 근무일(KST)
+ * @param {string|Date} checkInTime
+ */
+function businessDateOf(checkInTime) {
+  return toKstDateKey(checkInTime);
+}
+
+/**
+ * 펀치 시각 기준으로 짝지을 근무중 기록 조회
+ * at - maxShiftHours ≤ check_in_time ≤ at 범위에서 가장 최근 1건
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {string} params.employeeId
+ * @param {Date}   params.at            - 펀치 시각
+ * @param {number} [params.maxShiftHours]
+ * @param {string} [params.select]      - 조회 컬럼
+ * @returns {Promise<object|null>}
+ */
+async function findOpenShift(supabase, { companyId, employeeId, at, maxShiftHours, select = 'id, check_in_time' }) {
+  const windowStart = new Date(at.getTime() - resolveMaxShiftHours(maxShiftHours) * MS_HOUR);
+  const { data, error } = await supabase
+    .from('attendances')
+    .select(select)
+    .eq('employee_id', employeeId)
+    .eq('company_id', companyId)
+    .eq('status', 'in_progress')
+    .gte('check_in_time', windowStart.toISOString())
+    .lte('check_in_time', at.toISOString())
+    .order('check_in_time', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * 최대 근무시간을 넘긴 근무중 기록의 자동 마감 시각 결정
+ * 스케줄 종료 시각(scheduled_end)이 출근 이후이고 최대 근무시간 이내일 때만 사용
+ * @param {object} attendance - { check_in_time, scheduled_end }
+ * @param {number} maxShiftHours
+ * @returns {Date|null} null 이면 자동 마감 불가 (퇴근 누락으로 표시)
+ */
+function resolveAutoCloseTime(attendance, maxShiftHours) {
+  if (!attendance.scheduled_end) return null;
+  const inMs = Date.parse(attendance.check_in_time);
+  const endMs = Date.parse(attendance.scheduled_end);
+  if (isNaN(inMs) || isNaN(endMs) || endMs <= inMs) return null;
+  if (endMs - inMs > resolveMaxShiftHours(maxShiftHours) * MS_HOUR) return null;
+  return new Date(endMs);
+}
+
+module.exports = {
+  DEFAULT_MAX_SHIFT_HOURS,
+  MIN_MAX_SHIFT_HOURS,
+  MAX_MAX_SHIFT_HOURS,
+  OPEN_SHIFT_POLICY,
+  MISSING_CHECKOUT_STATUS,
+  resolveMaxShiftHours,
+  kstDayRange,
+  businessDateOf,
+  findOpenShift,
+  resolveAutoCloseTime,
+};
@@ -0,0 +1,208 @@
+// netlify/functions/lib/weekly-holiday.js
+// 주휴수당 주 단위 계산 모듈
+// [법적 근거] 근로기준법 제55조 제1항, 시행령 제30조 (1주 소정근로일 개근 시 유급휴일 1일)
+//             근로기준법 제18조 제3항 (1주 소정근로시간 15시간 미만 → 주휴 미적용)
+//
+// 계산 방식 (주 = 월~일, KST):
+//  1) 주휴일(일요일)이 급여 귀속월에 속한 주만 해당 월에 지급 → 월을 걸친 주도 한 번만 계산
+//  2) 주별 실근로시간 15시간 이상 + 소정근로일 개근 → 지급 대상
+//  3) 지급시간 = min(주 소정근로시간, 40) ÷ 40 × 8시간  (단시간 근로자 비례)
+//  4) 주휴수당 = 지급시간 × 시급
+//
+// 사용법:
+//   const { calculateWeeklyHolidayPay, getWeeklyHolidayRange } = require('./lib/weekly-holiday');
+
+const { toKstDateKey } = require('./holidays');
+
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5]; // 월~금
+
+function addDays(key, days) {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(key) {
+  return new Date(`${key}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * 근무 요일 파싱
+ * employees.work_days는 '월,화,수,목,금' 문자열 또는 주 근무일수(숫자)로 저장됨
+ * @param {string|number|null} value
+ * @returns {Array<number>|null} 요일 인덱스 배열 (0=일 ~ 6=토), 미설정이면 null
+ */
+function parseWorkDays(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    // 근무일수만 있으면 월요일부터 순서대로 배정
+    const count = Math.min(parseInt(value, 10), 7);
+    return [1, 2, 3, 4, 5, 6, 0].slice(0, count);
+  }
+  const days = String(value).split(',')
+    .map(v => WEEKDAY_LABELS.indexOf(v.trim()))
+    .filter(i => i >= 0);
+  return days.length > 0 ? days : null;
+}
+
+/**
+ * 1일 소정근로시간 (출퇴근 시각 - 휴게시간, 자정 넘는 근무 대응)
+ * @param {object} employee - { work_start_time, work_end_time, break_time_minutes }
+ * @returns {number|null} 시간 (미설정이면 null)
+ */
+function getContractedDailyHours(employee) {
+  if (!employee.work_start_time || !employee.work_end_time) return null;
+  const [sh, sm] = employee.work_start_time.split(':').map(Number);
+  const [eh, em] = employee.work_end_time.split(':').map(Number);
+  let minutes = (eh * 60 + em) - (sh * 60 + sm);
+  if (minutes <= 0) minutes += 24 * 60; // 야간 근무 (22:00~06:00 등)
+  minutes -= employee.break_time_minutes ?? 60;
+  return minutes > 0 ? minutes / 60 : null;
+}
+
+/**
+ * 주 소정근로시간
+ * 우선순위: employees.weekly_contract_hours (직접 입력) → 1일 소정근로시간 × 근무요일 수
+ * @param {object} employee
+ * @returns {number|null}
+ */
+function getContractedWeeklyHours(employee) {
+  if (employee.weekly_contract_hours) return parseFloat(employee.weekly_contract_hours);
+  const daily = getContractedDailyHours(employee);
+  if (daily === null) return null;
+  const workDays = parseWorkDays(employee.work_days) || DEFAULT_WORK_DAYS;
+  return Math.round(daily * workDays.length * 100) / 100;
+}
+
+/**
+ * 귀속월에 지급할 주(週) 목록 — 주휴일(일요일)이 해당 월에 속한 주
+ * @param {number} year
+ * @param {number} month - 1~12
+ * @returns {{ weeks: Array<{ weekStart: string, weekEnd: string }>, from: string, to: string }}
+ *   from/to: 출퇴근 기록 조회 범위 (첫 주 월요일 ~ 말일)
+ */
+function getWeeklyHolidayRange(year, month) {
+  const mm = String(month).padStart(2, '0');
+  const monthStart = `${year}-${mm}-01`;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const monthEnd = `${year}-${mm}-${String(lastDay).padStart(2, '0')}`;
+
+  // 첫 번째 일요일
+  let sunday = addDays(monthStart, (7 - weekdayOf(monthStart)) % 7);
+  const weeks = [];
+  while (sunday <= monthEnd) {
+    weeks.push({ weekStart: addDays(sunday, -6), weekEnd: sunday });
+    sunday = addDays(sunday, 7);
+  }
+
+  return { weeks, from: weeks.length > 0 ? weeks[0].weekStart : monthStart, to: monthEnd };
+}
+
+/**
+ * 휴가 기간을 날짜 키 Set으로 펼침 (연차 사용일 = 출근 간주)
+ * @param {Array} vacations - [{ start_date, end_date }]
+ */
+function expandVacationDays(vacations = []) {
+  const days = new Set();
+  vacations.forEach(v => {
+    if (!v.start_date) return;
+    const end = (v.end_date || v.start_date).slice(0, 10);
+    for (let d = v.start_date.slice(0, 10); d <= end; d = addDays(d, 1)) days.add(d);
+  });
+  return days;
+}
+
+/**
+ * 주별 주휴수당 계산
+ * @param {object} params
+ * @param {number} params.year
+ * @param {number} params.month
+ * @param {object} params.employee        - employees row
+ * @param {Array}  params.attendances     - getWeeklyHolidayRange() 범위의 완료된 출퇴근 기록
+ * @param {Array}  params.vacations       - 같은 범위의 휴가 기록
+ * @param {number} params.hourlyRate      - 주휴수당 산정 시급
+ * @param {object} params.holidayCalendar - lib/holidays.js 캘린더 (휴일은 소정근로일에서 제외)
+ * @param {object} params.rules           - 급여 룰 (weeklyHoliday.minWeeklyHours)
+ * @param {Function} params.getWorkMinutes - 출퇴근 기록 → 근로시간(분)
+ * @returns {{ total: number, weeks: Array<object> }}
+ */
+function calculateWeeklyHolidayPay({
+  year, month, employee, attendances = [], vacations = [],
+  hourlyRate, holidayCalendar, rules, getWorkMinutes,
+}) {
+  const { weeks } = getWeeklyHolidayRange(year, month);
+  const minWeeklyHours = rules.weeklyHoliday.minWeeklyHours;
+  const workDays = parseWorkDays(employee.work_days); // null = 근무요일 미설정 → 개근 판정 생략
+  const contractedWeekly = getContractedWeeklyHours(employee);
+  const vacationDays = expandVacationDays(vacations);
+  const hireKey = employee.hire_date ? employee.hire_date.slice(0, 10) : null;
+  const resignKey = employee.resign_date ? employee.resign_date.slice(0, 10) : null;
+
+  // 날짜별 근로시간(분)
+  const minutesByDay = {};
+  attendances.forEach(att => {
+    const key = toKstDateKey(att.check_in_time);
+    minutesByDay[key] = (minutesByDay[key] || 0) + getWorkMinutes(att);
+  });
+
+  const result = weeks.map(({ weekStart, weekEnd }) => {
+    const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+    const workedMinutes = days.reduce((sum, d) => sum + (minutesByDay[d] || 0), 0);
+    const workedHours = Math.round(workedMinutes / 60 * 100) / 100;
+
+    // 소정근로일: 근무요일 중 재직기간 내 + 휴일 아닌 날 (근무요일에 포함된 일요일은 소정근로일)
+    const scheduledDays = workDays === null ? [] : days.filter(d =>
+      workDays.includes(weekdayOf(d))
+      && (!hireKey || d >= hireKey)
+      && (!resignKey || d <= resignKey)
+      && !holidayCalendar.isPublicHoliday(d)
+    );
+    const absentDays = scheduledDays.filter(d => !minutesByDay[d] && !vacationDays.has(d));
+    const perfectAttendance = absentDays.length === 0;
+
+    const week = {
+      weekStart,
+      weekEnd,
+      workedHours,
+      scheduledDays: scheduledDays.length,
+      absentDays,
+      perfectAttendance,
+      basisHours: 0,
+      paidHours: 0,
+      amount: 0,
+      eligible: false,
+      reason: null,
+    };
+
+    if (resignKey && resignKey < weekEnd) {
+      week.reason = '주 중 퇴사';
+    } else if (hireKey && hireKey > weekEnd) {
+      week.reason = '입사 전';
+    } else if (workedHours < minWeeklyHours) {
+      week.reason = `주 ${minWeeklyHours}시간 미만 근무`;
+    } else if (!perfectAttendance) {
+      week.reason = `소정근로일 결근 ${absentDays.length}일`;
+    } else {
+      // 비례 산정: 소정근로시간(없으면 실근로시간) 기준, 40시간 상한
+      week.basisHours = Math.min(contractedWeekly ?? workedHours, 40);
+      week.paidHours = Math.round(week.basisHours / 40 * 8 * 100) / 100;
+      week.amount = Math.floor(week.paidHours * hourlyRate);
+      week.eligible = true;
+    }
+    return week;
+  });
+
+  return {
+    total: result.reduce((sum, w) => sum + w.amount, 0),
+    weeks: result,
+  };
+}
+
+module.exports = {
+  calculateWeeklyHolidayPay,
+  getWeeklyHolidayRange,
+  getContractedWeeklyHours,
+  getContractedDailyHours,
+  parseWorkDays,
+};
@@ -0,0 +1,453 @@
+// netlify/functions/lib/weekly-hours.js
+// 주 52시간 실시간 모니터링 — 주(월~일, KST) 단위 누적 근로시간 / 남은 스케줄 포함 예상 / 한도 경보
+// [법적 근거] 근로기준법 제50조 (1주 40시간, 1일 8시간), 제53조 제1항 (연장근로 1주 12시간 한도),
+//             제110조 (위반 시 2년 이하 징역 또는 2천만원 이하 벌금), 제2조 제1항 제7호 (1주 = 휴일 포함 7일)
+//
+// 연장근로 = 1일 8시간 초과분 + (1주 40시간 초과분 중 1일 초과분으로 잡히지 않은 시간)
+//   → 연장 12시간 초과 = 위반 (주 합계 52시간 이하여도 하루 13시간씩 4일이면 위반)
+//   휴일근로도 주 근로시간에 포함 (2018 개정)
+// 5인 미만 사업장(lib/workplace-size.js 'small_workplace')은 제53조 미적용 → 집계만 하고 경보 없음
+//
+// 갱신 시점: 퇴근(lib/punch-recorder.js), 관리자 수동 등록/수정/삭제(attendances-manage.js),
+//           정정 승인(attendance-corrections.js), 주간 리포트 배치(weekly-hours-report.js)
+// 조회: weekly-hours.js (관리자 — 직원별 현황 / 준수 리포트)
+//
+// 저장:
+//   weekly_work_hours  : company_id, employee_id, business_id, week_start (월요일), total_minutes, regular_minutes,
+//                        overtime_minutes, forecast_minutes, forecast_overtime_minutes, limit_applies, violation,
+//                        updated_at — (employee_id, week_start) UNIQUE
+//   weekly_hour_alerts : company_id, employee_id, week_start, kind ('threshold' | 'forecast' | 'violation'), threshold_hours,
+//                        total_minutes, forecast_minutes, sent, created_at — (employee_id, week_start, kind, threshold_hours) UNIQUE
+//                        → 같은 주·같은 기준 경보는 1번만 (발송 실패 시 sent = false 로 남음)
+//   companies.weekly_hour_alerts_enabled (기본 true), companies.weekly_hour_alert_thresholds (기본 [48, 52])
+//
+// 사용법:
+//   const { refreshWeeklyHours } = require('./lib/weekly-hours');
+//   await refreshWeeklyHours(supabase, { companyId, employeeId, date: attendance.check_in_time });
+
+const { calculateWorkTime } = require('./work-time');
+const { toKstDateKey, loadHolidayCalendar } = require('./holidays');
+const { loadScheduleContext } = require('./schedules');
+const { determineWorkplaceSize } = require('./workplace-size');
+const { captureError } = require('./sentry');
+
+const MS_MIN = 60 * 1000;
+
+const DAILY_REGULAR_MINUTES = 8 * 60;
+const WEEKLY_REGULAR_MINUTES = 40 * 60;
+const WEEKLY_OVERTIME_LIMIT_MINUTES = 12 * 60;
+const WEEKLY_LIMIT_HOURS = (WEEKLY_REGULAR_MINUTES + WEEKLY_OVERTIME_LIMIT_MINUTES) / 60; // 52
+
+const DEFAULT_ALERT_THRESHOLDS = [48, 52];
+const MIN_ALERT_THRESHOLD = 1;
+const MAX_ALERT_THRESHOLD = 68;
+const MAX_ALERT_THRESHOLDS = 5;
+
+const ALERT_KIND = {
+  THRESHOLD: 'threshold', // 누적 근로시간이 알림 기준 도달
+  FORECAST:  'forecast',  // 남은 스케줄대로 근무하면 한도 초과
+  VIOLATION: 'violation', // 연장근로 12시간 초과 (1일 8시간 초과분 포함 — 주 합계가 52시간 미만이어도 해당)
+};
+
+const EMPLOYEE_SELECT = 'id, company_id, business_id, work_start_time, work_end_time, work_days, break_time_minutes, users:user_id ( name )';
+const ATTENDANCE_SELECT = 'id, check_in_time, check_out_time, status, work_duration_minutes, work_hours, break_punches, break_minutes';
+
+function addDays(key, days) {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/** 날짜(KST) → 그 주 월요일 'YYYY-MM-DD' */
+function weekStartOf(date) {
+  const key = toKstDateKey(date);
+  const weekday = new Date(`${key}T00:00:00Z`).getUTCDay();
+  return addDays(key, -((weekday + 6) % 7));
+}
+
+function weekLabel(weekStart) {
+  const end = addDays(weekStart, 6);
+  return `${weekStart.slice(5).replace('-', '/')}~${end.slice(5).replace('-', '/')}`;
+}
+
+/**
+ * 알림 기준 시간 정리 (중복 제거, 오름차순, 범위 밖 값 제외) — 비어 있으면 기본값
+ * @param {Array<number>|string|null} value - companies.weekly_hour_alert_thresholds
+ * @returns {Array<number>}
+ */
+function resolveAlertThresholds(value) {
+  const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  const hours = [...new Set(list.map(Number))]
+    .filter(h => Number.isFinite(h) && h >= MIN_ALERT_THRESHOLD && h <= MAX_ALERT_THRESHOLD)
+    .sort((a, b) => a - b)
+    .slice(0, MAX_ALERT_THRESHOLDS);
+  return hours.length > 0 ? hours : DEFAULT_ALERT_THRESHOLDS.slice();
+}
+
+/**
+ * 일별 근로시간(분) → 주 합계 / 소정(기본) / 연장
+ * @param {Array<number>} dailyMinutes
+ */
+function splitWeeklyMinutes(dailyMinutes) {
+  const totalMinutes = dailyMinutes.reduce((sum, m) => sum + m, 0);
+  const dailyExcessMinutes = dailyMinutes.reduce((sum, m) => sum + Math.max(0, m - DAILY_REGULAR_MINUTES), 0);
+  const weeklyExcessMinutes = Math.max(0, totalMinutes - dailyExcessMinutes - WEEKLY_REGULAR_MINUTES);
+  const overtimeMinutes = dailyExcessMinutes + weeklyExcessMinutes;
+  return {
+    totalMinutes,
+    regularMinutes: totalMinutes - overtimeMinutes,
+    overtimeMinutes,
+    violation: overtimeMinutes > WEEKLY_OVERTIME_LIMIT_MINUTES,
+  };
+}
+
+// 출퇴근 1건의 실근로시간(분) — 근무 중이면 지금까지 (휴게 차감)
+function attendanceMinutes(att, employee, now) {
+  if (att.status === 'completed') {
+    return att.work_duration_minutes ?? Math.round((att.work_hours || 0) * 60);
+  }
+  if (att.status === 'in_progress' && !att.check_out_time) {
+    const breakPunches = (Array.isArray(att.break_punches) ? att.break_punches : [])
+      .map(p => (p.end ? p : { ...p, end: now.toISOString() }));
+    return calculateWorkTime({
+      checkIn: att.check_in_time,
+      checkOut: now,
+      breakPunches,
+      contractedBreakMinutes: employee.break_time_minutes,
+    }).netMinutes;
+  }
+  return 0; // 퇴근 누락 등 — 근로시간 미확정
+}
+
+/**
+ * 직원 1명의 주간 근로시간 집계 (순수 함수)
+ * @param {object} params
+ * @param {string} params.weekStart - 월요일 'YYYY-MM-DD'
+ * @param {object} params.employee
+ * @param {Array}  params.attendances - 해당 주 출퇴근 기록 (ATTENDANCE_SELECT)
+ * @param {Function} [params.getShift] - 스케줄 컨텍스트 getShift (없으면 예상 = 누적)
+ * @param {Date} [params.now]
+ * @returns {{ weekStart, weekEnd, days, totalMinutes, regularMinutes, overtimeMinutes, violation,
+ *             forecastMinutes, forecastOvertimeMinutes, forecastViolation, working }}
+ */
+function summarizeWeek({ weekStart, employee, attendances = [], getShift = null, now = new Date() }) {
+  const todayKey = toKstDateKey(now);
+  const days = [];
+  for (let i = 0; i < 7; i++) {
+    const date = addDays(weekStart, i);
+    const dayAtts = attendances.filter(a => toKstDateKey(a.check_in_time) === date);
+    const actualMinutes = dayAtts.reduce((sum, a) => sum + attendanceMinutes(a, employee, now), 0);
+    const working = dayAtts.some(a => a.status === 'in_progress' && !a.check_out_time);
+
+    // 남은 스케줄 (오늘 이후, 아직 퇴근하지 않은 근무)
+    let remainingMinutes = 0;
+    const shift = getShift && date >= todayKey ? getShift(employee, date) : null;
+    if (shift && new Date(shift.endAt) > now) {
+      const untilEnd = Math.round((new Date(shift.endAt) - now) / MS_MIN);
+      if (working) {
+        remainingMinutes = Math.max(0, untilEnd);
+      } else if (dayAtts.length === 0) {
+        remainingMinutes = new Date(shift.startAt) > now ? shift.scheduledMinutes : Math.min(shift.scheduledMinutes, untilEnd);
+      }
+    }
+    days.push({ date, actualMinutes, remainingMinutes, working, scheduledMinutes: shift ? shift.scheduledMinutes : 0 });
+  }
+
+  const actual = splitWeeklyMinutes(days.map(d => d.actualMinutes));
+  const forecast = splitWeeklyMinutes(days.map(d => d.actualMinutes + d.remainingMinutes));
+  return {
+    weekStart,
+    weekEnd: addDays(weekStart, 6),
+    days,
+    totalMinutes: actual.totalMinutes,
+    regularMinutes: actual.regularMinutes,
+    overtimeMinutes: actual.overtimeMinutes,
+    violation: actual.violation,
+    forecastMinutes: forecast.totalMinutes,
+    forecastOvertimeMinutes: forecast.overtimeMinutes,
+    forecastViolation: forecast.violation,
+    working: days.some(d => d.working),
+  };
+}
+
+/**
+ * 회사 직원들의 주간 근로시간 집계 (조회 API / 주간 리포트 공용)
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {string} params.weekStart - 월요일 'YYYY-MM-DD'
+ * @param {Array}  params.employees - EMPLOYEE_SELECT 형태
+ * @param {Date}   [params.now]
+ * @returns {Promise<Map<string, object>>} employeeId → summarizeWeek 결과
+ */
+async function loadWeeklySummaries(supabase, { companyId, weekStart, employees, now = new Date() }) {
+  const weekEnd = addDays(weekStart, 6);
+  const ids = employees.map(e => e.id);
+  const result = new Map();
+  if (ids.length === 0) return result;
+
+  const { data: atts, error } = await supabase
+    .from('attendances')
+    .select(`employee_id, ${ATTENDANCE_SELECT}`)
+    .eq('company_id', companyId)
+    .in('employee_id', ids)
+    .gte('check_in_time', `${weekStart}T00:00:00+09:00`)
+    .lte('check_in_time', `${weekEnd}T23:59:59.999+09:00`);
+  if (error) throw error;
+
+  // 지난 주면 남은 스케줄 없음 → 근무표 로드 생략
+  let ctx = null;
+  if (weekEnd >= toKstDateKey(now)) {
+    const holidayCalendar = await loadHolidayCalendar(supabase, { companyId, from: weekStart, to: weekEnd });
+    ctx = await loadScheduleContext(supabase, { companyId, from: weekStart, to: weekEnd, holidayCalendar, employeeIds: ids });
+  }
+
+  for (const employee of employees) {
+    result.set(employee.id, summarizeWeek({
+      weekStart,
+      employee,
+      attendances: (atts || []).filter(a => a.employee_id === employee.id),
+      getShift: ctx ? ctx.getShift : null,
+      now,
+    }));
+  }
+  return result;
+}
+
+/**
+ * 집계 대상 직원 — 재직 중 + 해당 주에 출퇴근 기록이 있는 직원 (주 중 퇴사자 포함)
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {string} params.weekStart - 월요일 'YYYY-MM-DD'
+ * @param {string} [params.businessId]
+ * @returns {Promise<Array>} EMPLOYEE_SELECT 형태
+ */
+async function loadWeekEmployees(supabase, { companyId, weekStart, businessId = null }) {
+  const weekEnd = addDays(weekStart, 6);
+  const { data: atts, error: attErr } = await supabase
+    .from('attendances')
+    .select('employee_id')
+    .eq('company_id', companyId)
+    .gte('check_in_time', `${weekStart}T00:00:00+09:00`)
+    .lte('check_in_time', `${weekEnd}T23:59:59.999+09:00`);
+  if (attErr) throw attErr;
+  const workedIds = [...new Set((atts || []).map(a => a.employee_id))];
+
+  let query = supabase
+    .from('employees')
+    .select(EMPLOYEE_SELECT)
+    .eq('company_id', companyId)
+    .is('deleted_at', null);
+  query = workedIds.length > 0
+    ? query.or(`status.eq.active,id.in.(${workedIds.join(',')})`)
+    : query.eq('status', 'active');
+  if (businessId) query = query.eq('business_id', businessId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * 사업장별 연장근로 한도 적용 여부 (5인 미만 제외) — 주 시작일이 속한 달 기준
+ * @returns {Promise<boolean>}
+ */
+async function isLimitApplied(supabase, { companyId, businessId, weekStart }) {
+  const [year, month] = weekStart.split('-').map(Number);
+  const size = await determineWorkplaceSize(supabase, { companyId, businessId, year, month });
+  return size.profile !== 'small_workplace';
+}
+
+/**
+ * 직원별 한도 적용 여부 — 저장된 주간 집계 우선, 없으면 사업장 규모 판정 (사업장별 1번)
+ * @returns {Promise<Map<string, boolean>>} employeeId → limitApplies
+ */
+async function loadLimitApplies(supabase, { companyId, weekStart, employees }) {
+  const result = new Map();
+  if (employees.length === 0) return result;
+
+  const { data: snapshots } = await supabase
+    .from('weekly_work_hours')
+    .select('employee_id, limit_applies')
+    .eq('company_id', companyId)
+    .eq('week_start', weekStart)
+    .in('employee_id', employees.map(e => e.id));
+  for (const snap of snapshots || []) {
+    if (typeof snap.limit_applies === 'boolean') result.set(snap.employee_id, snap.limit_applies);
+  }
+
+  const byBusiness = new Map();
+  for (const emp of employees) {
+    if (result.has(emp.id)) continue;
+    const key = emp.business_id || null;
+    if (!byBusiness.has(key)) {
+      byBusiness.set(key, await isLimitApplied(supabase, { companyId, businessId: key, weekStart }));
+    }
+    result.set(emp.id, byBusiness.get(key));
+  }
+  return result;
+}
+
+function toHours(minutes) {
+  return Math.round(minutes / 6) / 10; // 소수 첫째 자리
+}
+
+// 주간 집계 저장 (직원·주 단위 1행)
+async function saveSnapshot(supabase, { companyId, employee, summary, limitApplies }) {
+  const { error } = await supabase
+    .from('weekly_work_hours')
+    .upsert({
+      company_id:                companyId,
+      employee_id:               employee.id,
+      business_id:               employee.business_id || null,
+      week_start:                summary.weekStart,
+      total_minutes:             summary.totalMinutes,
+      regular_minutes:           summary.regularMinutes,
+      overtime_minutes:          summary.overtimeMinutes,
+      forecast_minutes:          summary.forecastMinutes,
+      forecast_overtime_minutes: summary.forecastOvertimeMinutes,
+      limit_applies:             limitApplies,
+      violation:                 limitApplies && summary.violation,
+      updated_at:                new Date().toISOString(),
+    }, { onConflict: 'employee_id,week_start' });
+  if (error) throw error;
+}
+
+/**
+ * 경보 대상 판정 (순수 함수)
+ * @returns {Array<{ kind: string, thresholdHours: number }>}
+ */
+function pendingAlerts(summary, thresholds) {
+  const totalHours = summary.totalMinutes / 60;
+  const alerts = thresholds
+    .filter(h => totalHours >= h)
+    .map(h => ({ kind: ALERT_KIND.THRESHOLD, thresholdHours: h }));
+  if (summary.violation) {
+    alerts.push({ kind: ALERT_KIND.VIOLATION, thresholdHours: WEEKLY_LIMIT_HOURS });
+  } else if (summary.forecastViolation) {
+    // 아직 한도 전이지만 남은 스케줄대로면 위반 → 미리 알림 (스케줄 조정 여유)
+    alerts.push({ kind: ALERT_KIND.FORECAST, thresholdHours: WEEKLY_LIMIT_HOURS });
+  }
+  return alerts;
+}
+
+// 같은 주·같은 기준은 1번만 (UNIQUE 제약으로 선점 후 발송)
+async function sendAlerts(supabase, { companyId, employee, summary, alerts }) {
+  // 순환 참조 방지 — 필요할 때 로드
+  const { sendManagerNotification } = require('../solapi-send');
+  const empUser = Array.isArray(employee.users) ? employee.users[0] : employee.users;
+
+  const claimed = [];
+  for (const alert of alerts) {
+    const { data, error } = await supabase
+      .from('weekly_hour_alerts')
+      .insert({
+        company_id:       companyId,
+        employee_id:      employee.id,
+        week_start:       summary.weekStart,
+        kind:             alert.kind,
+        threshold_hours:  alert.thresholdHours,
+        total_minutes:    summary.totalMinutes,
+        forecast_minutes: summary.forecastMinutes,
+        sent:             false,
+      })
+      .select('id')
+      .single();
+    if (error) {
+      if (error.code === '23505') continue; // 이미 발송
+      throw error;
+    }
+    claimed.push({ ...alert, id: data.id });
+  }
+  if (claimed.length === 0) return null;
+
+  // 한 번에 여러 건이면 1건만 발송 — 위반 > 누적 기준(높은 값) > 초과 예상
+  const reached = claimed.filter(a => a.kind === ALERT_KIND.THRESHOLD);
+  const top = claimed.find(a => a.kind === ALERT_KIND.VIOLATION)
+    || (reached.length > 0 ? reached[reached.length - 1] : claimed[0]);
+
+  const result = await sendManagerNotification(supabase, {
+    companyId,
+    type: 'weekly_hours',
+    data: {
+      level:          top.kind,
+      employeeName:   empUser?.name || '직원',
+      weekLabel:      weekLabel(summary.weekStart),
+      totalHours:     toHours(summary.totalMinutes),
+      forecastHours:  toHours(summary.forecastMinutes),
+      overtimeHours:  toHours(summary.overtimeMinutes),
+      thresholdHours: top.thresholdHours,
+      limitHours:     WEEKLY_LIMIT_HOURS,
+    },
+  });
+  if (result.success) {
+    await supabase.from('weekly_hour_alerts').update({ sent: true }).eq('id', top.id);
+  }
+  return result;
+}
+
+/**
+ * 출퇴근 기록 변경 후 해당 주 집계 갱신 + (이번 주면) 관리자 경보
+ * 실패해도 출퇴근 처리는 막지 않음 (Sentry 로 알림, 주간 리포트 배치가 다시 집계)
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {string} params.employeeId
+ * @param {string|Date} params.date - 변경된 근무의 출근 시각 또는 근무일
+ * @param {Date} [params.now]
+ * @returns {Promise<object|null>} summarizeWeek 결과 + limitApplies
+ */
+async function refreshWeeklyHours(supabase, { companyId, employeeId, date, now = new Date() }) {
+  try {
+    const weekStart = weekStartOf(date);
+    const [{ data: employee }, { data: company }, { data: previous }] = await Promise.all([
+      supabase.from('employees').select(EMPLOYEE_SELECT).eq('id', employeeId).eq('company_id', companyId).maybeSingle(),
+      supabase.from('companies').select('weekly_hour_alerts_enabled, weekly_hour_alert_thresholds').eq('id', companyId).maybeSingle(),
+      supabase.from('weekly_work_hours').select('limit_applies').eq('employee_id', employeeId).eq('week_start', weekStart).maybeSingle(),
+    ]);
+    if (!employee) return null;
+
+    const summary = (await loadWeeklySummaries(supabase, { companyId, weekStart, employees: [employee], now })).get(employee.id);
+    // 사업장 규모 판정은 주 첫 집계 때만 (퇴근마다 상시근로자수 재산정 방지)
+    const limitApplies = typeof previous?.limit_applies === 'boolean'
+      ? previous.limit_applies
+      : await isLimitApplied(supabase, { companyId, businessId: employee.business_id, weekStart });
+    await saveSnapshot(supabase, { companyId, employee, summary, limitApplies });
+
+    const isCurrentWeek = weekStart === weekStartOf(now);
+    if (isCurrentWeek && limitApplies && company?.weekly_hour_alerts_enabled !== false) {
+      const alerts = pendingAlerts(summary, resolveAlertThresholds(company?.weekly_hour_alert_thresholds));
+      if (alerts.length > 0) await sendAlerts(supabase, { companyId, employee, summary, alerts });
+    }
+    return { ...summary, limitApplies };
+  } catch (e) {
+    console.error('주간 근로시간 갱신 실패:', e.message);
+    captureError(e, { function: 'weekly-hours', companyId });
+    return null;
+  }
+}
+
+module.exports = {
+  DAILY_REGULAR_MINUTES,
+  WEEKLY_REGULAR_MINUTES,
+  WEEKLY_OVERTIME_LIMIT_MINUTES,
+  WEEKLY_LIMIT_HOURS,
+  DEFAULT_ALERT_THRESHOLDS,
+  MIN_ALERT_THRESHOLD,
+  MAX_ALERT_THRESHOLD,
+  MAX_ALERT_THRESHOLDS,
+  ALERT_KIND,
+  EMPLOYEE_SELECT,
+  weekStartOf,
+  weekLabel,
+  toHours,
+  resolveAlertThresholds,
+  splitWeeklyMinutes,
+  summarizeWeek,
+  loadWeeklySummaries,
+  loadWeekEmployees,
+  isLimitApplied,
+  loadLimitApplies,
+  saveSnapshot,
+  refreshWeeklyHours,
+};
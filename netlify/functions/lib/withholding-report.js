@@ -0,0 +1,415 @@
+// netlify/functions/lib/withholding-report.js
+// 원천세 신고 자료 — 원천징수이행상황신고서 · 간이지급명세서(근로소득 반기 / 사업소득 월) 집계와 홈택스 전자파일
+//
+// 원천징수이행상황신고서 (매월, 지급월 다음 달 10일까지)
+//   지급월 기준으로 모으고, 귀속월이 다른 소득은 귀속월별로 신고서를 나눔 (한 파일에 여러 신고서)
+//   - 근로소득 귀속월 = 급여 대장 연월 (payrolls.year/month). 지급월은 급여 실행 지급 처리일(payroll_runs.paid_at),
+//     지급 전이면 회사 급여일(companies.pay_day)로 추정 — 20일 이후면 같은 달, 그 전이면 다음 달
+//   - 사업·기타·퇴직소득은 지급월 = 귀속월 (contractor_payments, severance_payments)
+//   코드: A01 간이세액 · A03 일용근로 · A04 연말정산 · A10 근로소득 가감계 · A22 퇴직소득 · A20 가감계
+//         A25 사업소득 매월징수 · A30 가감계 · A42 기타소득 · A40 가감계 · A99 총합계
+//   반영하지 않는 것: A02 중도퇴사 연말정산, 분납, 가산세, 전월 미환급세액 이월 — 홈택스에서 직접 입력
+//
+// 간이지급명세서
+//   - 근로소득: 반기 (1~6월분 7월 말, 7~12월분 1월 말까지) — 일용직·프리랜서 제외, 귀속월 기준 과세·비과세 합계
+//   - 사업소득: 매월 (지급월 다음 달 말일까지) — 지급 완료된 프리랜서 사업소득 (lib/contractor-pay.js 집계)
+//
+// 전자파일 레이아웃은 LAYOUTS 한 곳에서 관리 (국세청 전산매체 제출요령이 바뀌면 여기만 수정)
+// 주민등록번호가 없는 소득자는 validateReportTargets 가 막음 (간이지급명세서) / 경고 (이행상황신고서)
+//
+// 저장 (생성한 파일 보관):
+//   withholding_report_files: id, company_id, report_type, year, month, half, payment_year, payment_month,
+//     run_id (근로소득 귀속월 정기 급여 실행), file_name, storage_path (REPORT_BUCKET, 비공개), byte_size, sha256,
+//     row_count, summary jsonb, issues jsonb (생성 당시 경고), created_by, created_at
+//
+// 사용법:
+//   const { aggregateWithholdingStatus, buildWithholdingStatusFile } = require('./lib/withholding-report');
+
+const crypto = require('crypto');
+const { buildLayoutRecord, joinRecords } = require('./hometax-file');
+const { WORK_TYPE } = require('./daily-worker');
+const { isForeigner } = require('./resident-number');
+
+const REPORT_TYPE = {
+  WITHHOLDING_STATUS:  'withholding_status',  // 원천징수이행상황신고서 (지급월)
+  SIMPLIFIED_EARNED:   'simplified_earned',   // 간이지급명세서 근로소득 (반기)
+  SIMPLIFIED_BUSINESS: 'simplified_business', // 간이지급명세서 사업소득 (지급월)
+};
+
+const REPORT_TYPE_LABELS = {
+  withholding_status:  '원천징수이행상황신고서',
+  simplified_earned:   '간이지급명세서 (근로소득)',
+  simplified_business: '간이지급명세서 (사업소득)',
+};
+
+const REPORT_BUCKET = 'withholding-reports';
+const DOWNLOAD_URL_TTL_SECONDS = 60; // 주민등록번호가 들어 있는 파일 — 짧게
+
+// 이 날 이후 급여일이면 귀속월과 같은 달에 지급한 것으로 추정
+const SAME_MONTH_PAY_DAY = 20;
+
+const CODE_LABELS = {
+  A01: '근로소득 간이세액',
+  A03: '근로소득 일용근로',
+  A04: '근로소득 연말정산',
+  A10: '근로소득 가감계',
+  A22: '퇴직소득 그 외',
+  A20: '퇴직소득 가감계',
+  A25: '사업소득 매월징수',
+  A30: '사업소득 가감계',
+  A42: '기타소득 그 외',
+  A40: '기타소득 가감계',
+  A99: '총합계',
+};
+
+// 소득별 가감계 (신고서 표시 순서)
+const SUBTOTALS = [
+  { code: 'A10', parts: ['A01', 'A03', 'A04'] },
+  { code: 'A20', parts: ['A22'] },
+  { code: 'A30', parts: ['A25'] },
+  { code: 'A40', parts: ['A42'] },
+];
+
+// 레코드: [필드, 형식(X 문자 / 9 숫자), 자리수(EUC-KR 바이트)]
+const LAYOUTS = {
+  // 원천징수이행상황신고서 — H(신고서 머리) · D(코드별) · T(합계), 120바이트
+  statusHeader: [
+    ['recordType', 'X', 1], ['businessNumber', 'X', 10], ['companyName', 'X', 40], ['ceoName', 'X', 20],
+    ['attributionYm', 'X', 6], ['paymentYm', 'X', 6], ['reportKind', 'X', 2], ['submitDate', 'X', 8], ['filler', 'X', 27],
+  ],
+  statusLine: [
+    ['recordType', 'X', 1], ['businessNumber', 'X', 10], ['code', 'X', 3], ['people', '9', 10],
+    ['gross', '9', 15], ['incomeTax', '9', 15], ['ruralTax', '9', 15], ['penalty', '9', 15], ['filler', 'X', 36],
+  ],
+  statusTotal: [
+    ['recordType', 'X', 1], ['businessNumber', 'X', 10], ['lineCount', '9', 5], ['incomeTax', '9', 15],
+    ['refund', '9', 15], ['payable', '9', 15], ['filler', 'X', 59],
+  ],
+  // 간이지급명세서 — A(제출자·원천징수의무자) · C(소득자별), 150바이트
+  simplifiedHead: [
+    ['recordType', 'X', 1], ['incomeKind', 'X', 2], ['businessNumber', 'X', 10], ['companyName', 'X', 40],
+    ['ceoName', 'X', 20], ['submitDate', 'X', 8], ['period', 'X', 6], ['payeeCount', '9', 7], ['filler', 'X', 56],
+  ],
+  earnedPayee: [
+    ['recordType', 'X', 1], ['incomeKind', 'X', 2], ['businessNumber', 'X', 10], ['seq', '9', 6],
+    ['residentNumber', 'X', 13], ['foreigner', 'X', 1], ['name', 'X', 30], ['workStart', 'X', 8], ['workEnd', 'X', 8],
+    ['taxable', '9', 13], ['nonTaxable', '9', 13], ['filler', 'X', 45],
+  ],
+  businessPayee: [
+    ['recordType', 'X', 1], ['incomeKind', 'X', 2], ['businessNumber', 'X', 10], ['seq', '9', 6],
+    ['residentNumber', 'X', 13], ['foreigner', 'X', 1], ['name', 'X', 30], ['industryCode', 'X', 6], ['paymentYm', 'X', 6],
+    ['count', '9', 5], ['gross', '9', 13], ['taxRate', '9', 3], ['incomeTax', '9', 13], ['localIncomeTax', '9', 13],
+    ['filler', 'X', 28],
+  ],
+};
+
+const INCOME_KIND = { earned: '01', business: '02' };
+
+function ym(year, month) { return `${year}${String(month).padStart(2, '0')}`; }
+function digitsOnly(value) { return String(value || '').replace(/\D/g, ''); }
+function pad2(n) { return String(n).padStart(2, '0'); }
+function one(rel) { return (Array.isArray(rel) ? rel[0] : rel) || {}; }
+
+/** 반기 → 귀속월 범위 */
+function halfMonths(half) {
+  return Number(half) === 1 ? [1, 2, 3, 4, 5, 6] : [7, 8, 9, 10, 11, 12];
+}
+
+/** KST 기준 연·월 */
+function kstYearMonth(iso) {
+  const d = new Date(new Date(iso).getTime() + 9 * 60 * 60 * 1000);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1 };
+}
+
+/**
+ * 근로소득 귀속월의 지급월 — 지급 처리된 급여 실행이면 그 날짜, 아니면 급여일로 추정
+ * @returns {{ year, month, estimated: boolean }}
+ */
+function wagePaymentMonth({ year, month, run, payDay }) {
+  if (run && run.paid_at) return { ...kstYearMonth(run.paid_at), estimated: false };
+  if (Number(payDay) >= SAME_MONTH_PAY_DAY) return { year, month, estimated: true };
+  return month === 12 ? { year: year + 1, month: 1, estimated: true } : { year, month: month + 1, estimated: true };
+}
+
+function emptyLine(code) {
+  return { code, label: CODE_LABELS[code], people: 0, gross: 0, incomeTax: 0, localIncomeTax: 0 };
+}
+
+/**
+ * 원천징수이행상황신고서 1장 (귀속월 1개) — 순수 함수
+ * @param {object} input
+ * @param {Array} input.payrolls - 귀속월 payrolls (work_type, taxable_income, non_taxable_amount, income_tax, local_income_tax,
+ *                                 year_end_income_tax, year_end_local_income_tax)
+ * @param {Array} input.yearEndSettlements - 이 급여에 반영된 연말정산 (total_salary)
+ * @param {Array} input.contractorPayments - 지급 완료된 contractor_payments
+ * @param {Array} input.severancePayments - 지급 완료된 severance_payments
+ * @returns {{ lines: Array, totals: { incomeTax, localIncomeTax, refund, payable } }}
+ */
+function aggregateWithholdingStatus({ payrolls = [], yearEndSettlements = [], contractorPayments = [], severancePayments = [] }) {
+  const lines = {};
+  const line = (code) => (lines[code] = lines[code] || emptyLine(code));
+  const n = (v) => Number(v) || 0;
+
+  for (const p of payrolls) {
+    if (p.work_type === WORK_TYPE.FREELANCER) continue;
+    const l = line(p.work_type === WORK_TYPE.DAILY ? 'A03' : 'A01');
+    l.people += 1;
+    l.gross += n(p.taxable_income) + n(p.non_taxable_amount);
+    l.incomeTax += n(p.income_tax);
+    l.localIncomeTax += n(p.local_income_tax);
+    if (n(p.year_end_income_tax) || n(p.year_end_local_income_tax)) {
+      const ye = line('A04');
+      ye.incomeTax += n(p.year_end_income_tax);
+      ye.localIncomeTax += n(p.year_end_local_income_tax);
+    }
+  }
+  // 연말정산 인원·총지급액 = 정산한 연도의 총급여
+  for (const s of yearEndSettlements) {
+    const ye = line('A04');
+    ye.people += 1;
+    ye.gross += n(s.total_salary);
+  }
+
+  for (const s of severancePayments) {
+    const l = line('A22');
+    l.people += 1;
+    l.gross += n(s.severance_pay);
+    l.incomeTax += n(s.income_tax);
+    l.localIncomeTax += n(s.local_income_tax);
+  }
+
+  const payees = { business: new Set(), other: new Set() };
+  for (const p of contractorPayments) {
+    const code = p.income_type === 'business' ? 'A25' : p.income_type === 'other' ? 'A42' : null;
+    if (!code) continue;
+    const l = line(code);
+    payees[p.income_type].add(p.employee_id);
+    l.people = payees[p.income_type].size;
+    l.gross += n(p.gross_amount);
+    l.incomeTax += n(p.income_tax);
+    l.localIncomeTax += n(p.local_income_tax);
+  }
+
+  const result = [];
+  const total = emptyLine('A99');
+  for (const { code, parts } of SUBTOTALS) {
+    const present = parts.filter(c => lines[c]);
+    if (present.length === 0) continue;
+    const sub = emptyLine(code);
+    for (const c of present) {
+      result.push(lines[c]);
+      for (const k of ['people', 'gross', 'incomeTax', 'localIncomeTax']) sub[k] += lines[c][k];
+    }
+    result.push(sub);
+    for (const k of ['people', 'gross', 'incomeTax', 'localIncomeTax']) total[k] += sub[k];
+  }
+  if (result.length) result.push(total);
+
+  return {
+    lines: result,
+    totals: {
+      incomeTax:      total.incomeTax,
+      localIncomeTax: total.localIncomeTax,
+      refund:         Math.max(0, -total.incomeTax),   // 연말정산 환급이 징수세액보다 많으면 환급 신청 / 다음 달 조정
+      payable:        Math.max(0, total.incomeTax),
+    },
+  };
+}
+
+/**
+ * 간이지급명세서 (근로소득) 소득자별 반기 합계 — 순수 함수
+ * @param {Array} payrolls - 반기 귀속월 payrolls (employees 조인: id, name, hire_date, resign_date)
+ */
+function aggregateSimplifiedEarned(payrolls = [], { year, half }) {
+  const months = halfMonths(half);
+  const periodStart = `${year}-${pad2(months[0])}-01`;
+  const periodEnd = `${year}-${pad2(months[5])}-${months[5] === 6 ? '30' : '31'}`;
+  const byEmployee = new Map();
+  for (const p of payrolls) {
+    if ([WORK_TYPE.DAILY, WORK_TYPE.FREELANCER].includes(p.work_type)) continue;
+    const emp = one(p.employees);
+    const row = byEmployee.get(p.employee_id) || {
+      employeeId: p.employee_id,
+      name:       emp.name || '',
+      workStart:  emp.hire_date && emp.hire_date > periodStart ? String(emp.hire_date).slice(0, 10) : periodStart,
+      workEnd:    emp.resign_date && emp.resign_date < periodEnd ? String(emp.resign_date).slice(0, 10) : periodEnd,
+      months:     0,
+      taxable:    0,
+      nonTaxable: 0,
+    };
+    row.months += 1;
+    row.taxable += Number(p.taxable_income) || 0;
+    row.nonTaxable += Number(p.non_taxable_amount) || 0;
+    byEmployee.set(p.employee_id, row);
+  }
+  const rows = [...byEmployee.values()].sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+  const sum = (k) => rows.reduce((acc, r) => acc + r[k], 0);
+  return { rows, totals: { payees: rows.length, taxable: sum('taxable'), nonTaxable: sum('nonTaxable') } };
+}
+
+/**
+ * 신고 전 점검 — 사업자등록번호, 소득자 주민등록번호
+ * @param {object} company - companies row (business_number)
+ * @param {Array} employees - 대상 소득자 [{ id, name, resident_number_masked }]
+ * @param {{ blocking: boolean }} opts - 주민등록번호 누락을 오류로 볼지 (간이지급명세서) 경고로 볼지 (이행상황신고서)
+ * @returns {Array<{ type, severity: 'error'|'warning', employeeId?, name?, message }>}
+ */
+function validateReportTargets(company, employees = [], { blocking = true } = {}) {
+  const issues = [];
+  if (digitsOnly(company?.business_number).length !== 10) {
+    issues.push({ type: 'MISSING_BUSINESS_NUMBER', severity: 'error', message: '회사 설정에 사업자등록번호(10자리)를 입력해주세요.' });
+  }
+  const seen = new Set();
+  for (const emp of employees) {
+    if (!emp || seen.has(emp.id)) continue;
+    seen.add(emp.id);
+    if (!emp.resident_number_masked) {
+      issues.push({
+        type: 'MISSING_RESIDENT_NUMBER',
+        severity: blocking ? 'error' : 'warning',
+        employeeId: emp.id,
+        name: emp.name || '',
+        message: `${emp.name || '이름 없음'} — 주민등록번호 미등록 (직원 상세에서 입력)`,
+      });
+    }
+  }
+  return issues;
+}
+
+function companyFields(company, submitDate) {
+  return {
+    businessNumber: digitsOnly(company.business_number),
+    companyName:    company.company_name || '',
+    ceoName:        company.representative_name || '',
+    submitDate:     submitDate.replace(/-/g, ''),
+  };
+}
+
+function fileResult(records, rowCount, fileName) {
+  const { buffer, unmappable } = joinRecords(records);
+  return {
+    buffer,
+    fileName,
+    rowCount,
+    byteSize: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    unmappable,
+  };
+}
+
+/**
+ * 원천징수이행상황신고서 파일 — 귀속월별 신고서 여러 장
+ * @param {object} params
+ * @param {object} params.company
+ * @param {{ year, month }} params.payment - 지급월
+ * @param {Array<{ attribution: { year, month }, lines, totals }>} params.reports
+ * @param {string} params.submitDate - 'YYYY-MM-DD'
+ */
+function buildWithholdingStatusFile({ company, payment, reports, submitDate }) {
+  const c = companyFields(company, submitDate);
+  const records = [];
+  let rowCount = 0;
+  for (const report of reports) {
+    const codeLines = report.lines;
+    records.push(buildLayoutRecord(LAYOUTS.statusHeader, {
+      ...c, recordType: 'H',
+      attributionYm: ym(report.attribution.year, report.attribution.month),
+      paymentYm: ym(payment.year, payment.month),
+      reportKind: '01', // 정기신고
+    }));
+    for (const l of codeLines) {
+      records.push(buildLayoutRecord(LAYOUTS.statusLine, {
+        recordType: 'D', businessNumber: c.businessNumber, code: l.code,
+        people: l.people, gross: l.gross, incomeTax: l.incomeTax, ruralTax: 0, penalty: 0,
+      }));
+    }
+    records.push(buildLayoutRecord(LAYOUTS.statusTotal, {
+      recordType: 'T', businessNumber: c.businessNumber, lineCount: codeLines.length,
+      incomeTax: report.totals.incomeTax, refund: report.totals.refund, payable: report.totals.payable,
+    }));
+    rowCount += codeLines.length;
+  }
+  return fileResult(records, rowCount, `${c.businessNumber}_원천징수이행상황신고서_${ym(payment.year, payment.month)}.txt`);
+}
+
+/**
+ * 간이지급명세서 (근로소득) 파일
+ * @param {Array} params.rows - aggregateSimplifiedEarned rows + residentNumber (복호화한 13자리)
+ */
+function buildSimplifiedEarnedFile({ company, year, half, rows, submitDate }) {
+  const c = companyFields(company, submitDate);
+  const records = [buildLayoutRecord(LAYOUTS.simplifiedHead, {
+    ...c, recordType: 'A', incomeKind: INCOME_KIND.earned, period: `${year}H${half}`, payeeCount: rows.length,
+  })];
+  rows.forEach((r, i) => {
+    records.push(buildLayoutRecord(LAYOUTS.earnedPayee, {
+      recordType: 'C', incomeKind: INCOME_KIND.earned, businessNumber: c.businessNumber, seq: i + 1,
+      residentNumber: r.residentNumber, foreigner: isForeigner(r.residentNumber) ? '9' : '1', name: r.name,
+      workStart: r.workStart.replace(/-/g, ''), workEnd: r.workEnd.replace(/-/g, ''),
+      taxable: r.taxable, nonTaxable: r.nonTaxable,
+    }));
+  });
+  return fileResult(records, rows.length, `${c.businessNumber}_간이지급명세서_근로_${year}_${half}반기.txt`);
+}
+
+/**
+ * 간이지급명세서 (사업소득) 파일
+ * @param {Array} params.rows - lib/contractor-pay.js aggregateSimplifiedStatement().business.rows + residentNumber
+ */
+function buildSimplifiedBusinessFile({ company, year, month, rows, submitDate }) {
+  const c = companyFields(company, submitDate);
+  const records = [buildLayoutRecord(LAYOUTS.simplifiedHead, {
+    ...c, recordType: 'A', incomeKind: INCOME_KIND.business, period: ym(year, month), payeeCount: rows.length,
+  })];
+  rows.forEach((r, i) => {
+    records.push(buildLayoutRecord(LAYOUTS.businessPayee, {
+      recordType: 'C', incomeKind: INCOME_KIND.business, businessNumber: c.businessNumber, seq: i + 1,
+      residentNumber: r.residentNumber, foreigner: isForeigner(r.residentNumber) ? '9' : '1', name: r.name,
+      industryCode: r.industryCode || '', paymentYm: ym(year, month), count: r.count, gross: r.grossAmount,
+      taxRate: Math.round((Number(r.taxRate) || 0) * 100), incomeTax: r.incomeTax, localIncomeTax: r.localIncomeTax,
+    }));
+  });
+  return fileResult(records, rows.length, `${c.businessNumber}_간이지급명세서_사업_${ym(year, month)}.txt`);
+}
+
+/**
+ * withholding_report_files row → API 응답 형태
+ */
+function formatReportFile(row) {
+  return {
+    id:           row.id,
+    reportType:   row.report_type,
+    label:        REPORT_TYPE_LABELS[row.report_type] || row.report_type,
+    year:         row.year,
+    month:        row.month || null,
+    half:         row.half || null,
+    paymentYear:  row.payment_year || null,
+    paymentMonth: row.payment_month || null,
+    runId:        row.run_id || null,
+    fileName:     row.file_name,
+    byteSize:     row.byte_size,
+    sha256:       row.sha256,
+    rowCount:     row.row_count,
+    summary:      row.summary || null,
+    issues:       row.issues || [],
+    createdBy:    row.created_by,
+    createdAt:    row.created_at,
+  };
+}
+
+module.exports = {
+  REPORT_TYPE,
+  REPORT_TYPE_LABELS,
+  REPORT_BUCKET,
+  DOWNLOAD_URL_TTL_SECONDS,
+  CODE_LABELS,
+  halfMonths,
+  wagePaymentMonth,
+  aggregateWithholdingStatus,
+  aggregateSimplifiedEarned,
+  validateReportTargets,
+  buildWithholdingStatusFile,
+  buildSimplifiedEarnedFile,
+  buildSimplifiedBusinessFile,
+  formatReportFile,
+};
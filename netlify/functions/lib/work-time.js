@@ -0,0 +1,135 @@
+// netlify/functions/lib/work-time.js
+// 근로시간 계산 공통 모듈 — 휴게시간 차감 + 야간근로(KST) 산정
+// [법적 근거] 근로기준법 제54조 (4시간 → 30분 이상, 8시간 → 1시간 이상 휴게)
+//             근로기준법 제56조 제3항 (야간근로 22:00~06:00)
+//
+// 휴게시간 결정 순서:
+//  1) 관리자가 직접 입력한 휴게시간 (attendances.break_minutes 고정값)
+//  2) 휴게 펀치 기록 (break-start / break-end) → max(펀치 합계, 법정 최소)
+//  3) 계약 휴게시간 (employees.break_time_minutes, 법정 휴게 대상 체류시간일 때) → max(계약, 법정 최소)
+//  4) 법정 최소 휴게시간
+//
+// 사용법:
+//   const { calculateWorkTime } = require('./lib/work-time');
+//   const wt = calculateWorkTime({ checkIn, checkOut, breakPunches, contractedBreakMinutes: 60 });
+//   wt.rawMinutes / wt.breakMinutes / wt.netMinutes / wt.nightHours
+
+const MS_MIN = 60 * 1000;
+const MS_HOUR = 60 * MS_MIN;
+const KST_OFFSET_MS = 9 * MS_HOUR;
+
+/**
+ * 법정 최소 휴게시간 (분)
+ * 휴게 후 실근로시간 기준으로 판단:
+ *   체류 4시간30분 미만 → 0분 / 4시간30분~9시간 미만 → 30분 / 9시간 이상 → 60분
+ *   (30분 차감 후 실근로 4시간, 60분 차감 후 실근로 8시간이 되는 지점)
+ * @param {number} grossMinutes - 출근~퇴근 체류시간(분)
+ */
+function getStatutoryBreakMinutes(grossMinutes) {
+  if (grossMinutes >= 540) return 60;
+  if (grossMinutes >= 270) return 30;
+  return 0;
+}
+
+/**
+ * 야간근로(KST 22:00~06:00)와 겹치는 시간(분)
+ * Netlify 서버는 UTC이므로 setHours() 대신 KST 오프셋으로 직접 계산
+ * @param {number} startMs
+ * @param {number} endMs
+ */
+function nightMinutesBetween(startMs, endMs) {
+  if (!(endMs > startMs)) return 0;
+  const DAY = 24 * MS_HOUR;
+  // 시작 시각의 KST 자정 (UTC ms)
+  const kstMidnight = Math.floor((startMs + KST_OFFSET_MS) / DAY) * DAY - KST_OFFSET_MS;
+  let nightMs = 0;
+  for (let d = -1; d * DAY + kstMidnight < endMs; d++) {
+    const nightStart = kstMidnight + d * DAY + 22 * MS_HOUR; // 당일 22:00 KST
+    const nightEnd = nightStart + 8 * MS_HOUR;               // 익일 06:00 KST
+    const overlap = Math.min(endMs, nightEnd) - Math.max(startMs, nightStart);
+    if (overlap > 0) nightMs += overlap;
+  }
+  return nightMs / MS_MIN;
+}
+
+/**
+ * 휴게 펀치 정규화 — 근무시간 범위로 자르고 미종료 휴게는 퇴근 시각으로 마감
+ * @param {Array} punches - [{ start, end }] ISO 문자열
+ * @param {number} inMs
+ * @param {number} outMs
+ */
+function normalizeBreakPunches(punches, inMs, outMs) {
+  return (Array.isArray(punches) ? punches : [])
+    .map(p => ({
+      start: Math.max(new Date(p.start).getTime(), inMs),
+      end: Math.min(p.end ? new Date(p.end).getTime() : outMs, outMs),
+    }))
+    .filter(p => !isNaN(p.start) && !isNaN(p.end) && p.end > p.start);
+}
+
+/**
+ * 출퇴근 1건의 근로시간 계산
+ * @param {object} params
+ * @param {string|Date} params.checkIn
+ * @param {string|Date} params.checkOut
+ * @param {Array}  [params.breakPunches]          - 휴게 펀치 [{ start, end }]
+ * @param {number} [params.contractedBreakMinutes] - 계약 휴게시간(분)
+ * @param {number} [params.breakMinutes]          - 고정 휴게시간(분, 관리자 입력) — 지정 시 최우선
+ * @returns {{ rawMinutes: number, breakMinutes: number, netMinutes: number, workHours: number,
+ *             nightHours: number, breakSource: string, breakIntervals: Array }}
+ *   breakSource: 'manual' | 'punched' | 'contract' | 'statutory' | 'none'
+ */
+function calculateWorkTime({ checkIn, checkOut, breakPunches = [], contractedBreakMinutes = null, breakMinutes = null }) {
+  const inMs = new Date(checkIn).getTime();
+  const outMs = new Date(checkOut).getTime();
+  const empty = { rawMinutes: 0, breakMinutes: 0, netMinutes: 0, workHours: 0, nightHours: 0, breakSource: 'none', breakIntervals: [] };
+  if (!checkIn || !checkOut || isNaN(inMs) || isNaN(outMs) || outMs <= inMs) return empty;
+
+  const rawMinutes = Math.round((outMs - inMs) / MS_MIN);
+  const statutory = getStatutoryBreakMinutes(rawMinutes);
+  const punched = normalizeBreakPunches(breakPunches, inMs, outMs);
+  const punchedMinutes = Math.round(punched.reduce((sum, p) => sum + (p.end - p.start), 0) / MS_MIN);
+
+  let deduct;
+  let source;
+  if (breakMinutes !== null && breakMinutes !== undefined) {
+    deduct = Math.max(0, parseInt(breakMinutes, 10) || 0);
+    source = 'manual';
+  } else if (punched.length > 0) {
+    deduct = Math.max(punchedMinutes, statutory);
+    source = punchedMinutes >= statutory ? 'punched' : 'statutory';
+  } else if (contractedBreakMinutes && statutory > 0) {
+    deduct = Math.max(contractedBreakMinutes, statutory);
+    source = contractedBreakMinutes >= statutory ? 'contract' : 'statutory';
+  } else {
+    deduct = statutory;
+    source = statutory > 0 ? 'statutory' : 'none';
+  }
+  deduct = Math.min(deduct, rawMinutes);
+
+  // 휴게 구간: 펀치 기록은 그대로, 부족분은 마지막 휴게 직후에 이어서 (펀치 없으면 근무 중간에) 배치한 것으로 간주
+  const intervals = punched.slice();
+  const remainingMs = Math.max(0, deduct - punchedMinutes) * MS_MIN;
+  if (remainingMs > 0) {
+    const lastEnd = punched.length > 0 ? Math.max(...punched.map(p => p.end)) : null;
+    const start = Math.min(lastEnd ?? inMs + (outMs - inMs - remainingMs) / 2, outMs - remainingMs);
+    intervals.push({ start, end: start + remainingMs });
+  }
+
+  const nightMinutes = Math.max(0,
+    nightMinutesBetween(inMs, outMs)
+    - intervals.reduce((sum, b) => sum + nightMinutesBetween(b.start, b.end), 0));
+
+  const netMinutes = rawMinutes - deduct;
+  return {
+    rawMinutes,
+    breakMinutes: deduct,
+    netMinutes,
+    workHours: Math.round(netMinutes / 60 * 100) / 100,
+    nightHours: Math.round(nightMinutes / 60 * 100) / 100,
+    breakSource: source,
+    breakIntervals: intervals.map(b => ({ start: new Date(b.start).toISOString(), end: new Date(b.end).toISOString() })),
+  };
+}
+
+module.exports = { calculateWorkTime, getStatutoryBreakMinutes, nightMinutesBetween };
@@ -0,0 +1,165 @@
+// netlify/functions/lib/workplace-size.js
+// 상시근로자수 산정 → 사업장 규모 룰 프로필 판정
+// [법적 근거] 근로기준법 제11조, 시행령 제7조의2 (상시 사용하는 근로자 수의 산정 방법)
+//
+// 산정 방식 (시행령 제7조의2 제1항):
+//   상시근로자수 = 산정기간(직전 1개월) 동안 사용한 근로자 연인원 ÷ 같은 기간 가동일수
+// 보정 (제2항):
+//   - 평균 5인 미만이어도, 5인 이상인 일수가 가동일수의 1/2 이상이면 → 5인 이상 사업장
+//   - 평균 5인 이상이어도, 5인 미만인 일수가 가동일수의 1/2 이상이면 → 5인 미만 사업장
+//
+// 사용법:
+//   const { determineWorkplaceSize } = require('./lib/workplace-size');
+//   const size = await determineWorkplaceSize(supabase, { companyId, businessId, year, month });
+//   const rules = await loadAllPayrollRules(supabase, payDate, { profile: size.profile });
+
+const { buildCalendar, toKstDateKey } = require('./holidays');
+
+const SMALL_WORKPLACE_THRESHOLD = 5;
+
+/**
+ * 직전 1개월 산정기간 (급여 귀속월의 전월 1일 ~ 말일)
+ * @param {number} year
+ * @param {number} month - 급여 귀속월 (1~12)
+ * @returns {{ fromKey: string, toKey: string }}
+ */
+function getPriorMonthPeriod(year, month) {
+  const prevYear = month === 1 ? year - 1 : year;
+  const prevMonth = month === 1 ? 12 : month - 1;
+  const mm = String(prevMonth).padStart(2, '0');
+  const lastDay = new Date(Date.UTC(prevYear, prevMonth, 0)).getUTCDate();
+  return { fromKey: `${prevYear}-${mm}-01`, toKey: `${prevYear}-${mm}-${String(lastDay).padStart(2, '0')}` };
+}
+
+/**
+ * 상시근로자수 계산 (순수 함수)
+ * @param {Array} employees - [{ hire_date, resign_date }] 산정기간 중 재직 이력이 있는 직원
+ * @param {Array<string>} operatingDays - 가동일 목록 ('YYYY-MM-DD')
+ * @returns {{ regularHeadcount: number, personDays: number, operatingDays: number,
+ *             daysBelowThreshold: number, isSmall: boolean }}
+ */
+function calculateRegularHeadcount(employees, operatingDays) {
+  let personDays = 0;
+  let daysBelowThreshold = 0;
+
+  operatingDays.forEach(day => {
+    const count = employees.filter(e =>
+      e.hire_date && e.hire_date.slice(0, 10) <= day
+      && (!e.resign_date || e.resign_date.slice(0, 10) >= day)
+    ).length;
+    personDays += count;
+    if (count < SMALL_WORKPLACE_THRESHOLD) daysBelowThreshold++;
+  });
+
+  const days = operatingDays.length;
+  const regularHeadcount = days > 0 ? personDays / days : 0;
+
+  // 제7조의2 제2항 보정
+  let isSmall = regularHeadcount < SMALL_WORKPLACE_THRESHOLD;
+  if (days > 0) {
+    const daysAtOrAbove = days - daysBelowThreshold;
+    if (isSmall && daysAtOrAbove >= days / 2) isSmall = false;
+    else if (!isSmall && daysBelowThreshold >= days / 2) isSmall = true;
+  }
+
+  return {
+    regularHeadcount: Math.round(regularHeadcount * 100) / 100,
+    personDays,
+    operatingDays: days,
+    daysBelowThreshold,
+    isSmall,
+  };
+}
+
+/**
+ * 사업장 규모 판정 + 적용할 룰 프로필 반환
+ * 우선순위: businesses.workplace_size_override (수동 지정) → 직전 1개월 실적 산정
+ * ※ 5인 미만이지만 가산수당을 자율 지급하는 사업장은 override='standard'로 지정
+ *
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {string|null} params.businessId - 없으면 회사 전체를 하나의 사업장으로 산정
+ * @param {number} params.year  - 급여 귀속 연도
+ * @param {number} params.month - 급여 귀속 월
+ * @returns {Promise<{ profile: string, regularHeadcount: number|null, basis: string,
+ *                     periodFrom: string, periodTo: string, operatingDays: number }>}
+ *   basis: 'override' | 'computed' | 'fallback'
+ */
+async function determineWorkplaceSize(supabase, { companyId, businessId, year, month }) {
+  const { fromKey, toKey } = getPriorMonthPeriod(year, month);
+  const base = { periodFrom: fromKey, periodTo: toKey };
+
+  try {
+    // ── 1) 수동 지정 확인 ──
+    if (businessId) {
+      const { data: biz } = await supabase
+        .from('businesses')
+        .select('id, workplace_size_override')
+        .eq('id', businessId)
+        .maybeSingle();
+      if (biz?.workplace_size_override) {
+        return {
+          ...base,
+          profile: biz.workplace_size_override === 'small_workplace' ? 'small_workplace' : 'standard',
+          regularHeadcount: null,
+          operatingDays: 0,
+          basis: 'override',
+        };
+      }
+    }
+
+    // ── 2) 산정기간 중 재직 이력이 있는 근로자 (퇴사자 포함, 삭제 데이터 제외) ──
+    let empQuery = supabase
+      .from('employees')
+      .select('id, hire_date, resign_date, work_type')
+      .eq('company_id', companyId)
+      .is('deleted_at', null)
+      .lte('hire_date', toKey)
+      .or(`resign_date.is.null,resign_date.gte.${fromKey}`);
+    if (businessId) empQuery = empQuery.eq('business_id', businessId);
+
+    const { data: empRows, error: empErr } = await empQuery;
+    if (empErr) throw empErr;
+    // 프리랜서(사업소득자)는 근로자가 아니므로 상시근로자수·가동일수 모두 제외
+    // (resign_date 조건이 이미 or 필터를 사용하므로 work_type null 허용은 여기서 거름)
+    const employees = (empRows || []).filter(e => e.work_type !== 'freelancer');
+
+    // ── 3) 가동일수: 산정기간 중 출근 기록이 있는 날 (KST) ──
+    let operatingDays = [];
+    const ids = employees.map(e => e.id);
+    if (ids.length > 0) {
+      const { data: atts } = await supabase
+        .from('attendances')
+        .select('check_in_time')
+        .in('employee_id', ids)
+        .gte('check_in_time', `${fromKey}T00:00:00+09:00`)
+        .lte('check_in_time', `${toKey}T23:59:59+09:00`);
+      operatingDays = [...new Set((atts || []).map(a => toKstDateKey(a.check_in_time)))].sort();
+    }
+
+    // 출근 기록이 없으면 휴일 제외 평일을 가동일로 간주
+    if (operatingDays.length === 0) {
+      const calendar = buildCalendar();
+      for (let d = new Date(`${fromKey}T00:00:00Z`); d.toISOString().slice(0, 10) <= toKey; d.setUTCDate(d.getUTCDate() + 1)) {
+        const key = d.toISOString().slice(0, 10);
+        if (d.getUTCDay() !== 6 && !calendar.isHoliday(key)) operatingDays.push(key);
+      }
+    }
+
+    const result = calculateRegularHeadcount(employees, operatingDays);
+    return {
+      ...base,
+      profile: result.isSmall ? 'small_workplace' : 'standard',
+      regularHeadcount: result.regularHeadcount,
+      operatingDays: result.operatingDays,
+      basis: 'computed',
+    };
+  } catch (e) {
+    // 산정 실패 시 근로자에게 유리한 일반 프로필 적용 (가산수당 누락 방지)
+    console.error('[workplace-size] 상시근로자수 산정 실패:', e.message);
+    return { ...base, profile: 'standard', regularHeadcount: null, operatingDays: 0, basis: 'fallback' };
+  }
+}
+
+module.exports = { determineWorkplaceSize, calculateRegularHeadcount, getPriorMonthPeriod };
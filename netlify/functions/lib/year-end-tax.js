@@ -0,0 +1,756 @@
+// netlify/functions/lib/year-end-tax.js
+// 연말정산 — 한 해 급여(payrolls)와 근로자 공제 신고로 결정세액을 계산해 기납부세액과 정산 (환급 / 추가 징수)
+//
+// 흐름:
+//  1) 관리자가 귀속 연도 정산 요청 (year-end-settlements.js) → 직원별 year_end_settlements 행 + 제출 링크
+//     (YES_xxx 토큰, 원문은 요청 응답·알림 문자에만 — DB 에는 해시)
+//  2) 직원이 year-end-submit.html#t=YES_xxx 에서 휴대폰 번호로 본인 확인 → 공제 항목 입력
+//     또는 홈택스 간소화 자료(XML / 비밀번호 없는 PDF) 업로드로 자동 채움 (lib/nts-simplified.js) → 제출
+//  3) 관리자가 계산·검토 후 확정 → 다음 해 2월 급여에 차감징수세액 합산 (calculate-payroll.js, 환급은 음수 공제)
+//  4) 근로소득 원천징수영수증 PDF (year-end-receipt-pdf.js)
+//
+// 계산 (소득세법 제47조~제59조의4, 조세특례제한법 제87조·제95조의2·제126조의2 — 2025년 귀속 이후 기준)
+//   총급여 = 과세 급여 합계 (소급분 포함) + 종전 근무지 총급여
+//   근로소득금액 = 총급여 - 근로소득공제
+//   과세표준 = 근로소득금액 - 인적공제 - 연금보험료공제 - 특별소득공제 - 그 밖의 소득공제
+//   산출세액 = 기본세율 (lib/severance-tax.js calcConvertedTax)
+//   결정세액 = 산출세액 - 세액공제 (근로소득·자녀·출산입양·연금계좌·특별 또는 표준·월세)
+//     특별소득공제(주택자금)·특별세액공제·월세 공제를 받는 경우와 표준세액공제(13만원) 중 세액이 적은 쪽 적용
+//   차감징수세액 = 결정세액 - 기납부세액 (10원 미만 절사, 추가 징수 1천원 미만 소액부징수)
+//   지방소득세 = 결정세액 × 10%
+// 반영하지 않는 것: 중소기업 취업자 감면, 외국인 단일세율, 기부금 이월, 공제 순서에 따른 최저한세, 분납
+//
+// 저장:
+//   year_end_settlements: id, company_id, employee_id, year, status, submit_token_hash, submit_token_expires_at,
+//     deductions jsonb (공제 신고), deduction_source ('form' | 'nts_xml' | 'nts_pdf' | 'manager'), result jsonb (계산 내역),
+//     total_salary, final_income_tax, final_local_income_tax, paid_income_tax, paid_local_income_tax,
+//     settle_income_tax, settle_local_income_tax (양수 추가 징수 · 음수 환급), settle_year, settle_month,
+//     settled_payroll_id, requested_at, submitted_at, calculated_at, confirmed_at, confirmed_by, settled_at,
+//     created_by, created_at, updated_at  (employee_id + year 유일)
+//   payrolls: year_end_income_tax, year_end_local_income_tax, year_end_settlement_id 컬럼 추가
+//
+// 사용법:
+//   const { summarizePayrolls, calculateYearEndTax } = require('./lib/year-end-tax');
+//   const result = calculateYearEndTax(summarizePayrolls(payrolls, deductions.previousEmployer), deductions, rules);
+
+const crypto = require('crypto');
+const { calcConvertedTax } = require('./severance-tax');
+
+const YEAR_END_STATUS = {
+  REQUESTED:  'requested',  // 공제 신고 요청 (직원 제출 대기)
+  SUBMITTED:  'submitted',  // 직원 제출 (또는 관리자 대리 입력)
+  CALCULATED: 'calculated', // 세액 계산 — 검토 대기
+  CONFIRMED:  'confirmed',  // 확정 — 정산 월 급여에 반영 예정
+  SETTLED:    'settled',    // 정산 월 급여에 반영됨
+};
+
+const YEAR_END_STATUS_LABELS = {
+  requested:  '제출 대기',
+  submitted:  '제출 완료',
+  calculated: '계산 완료',
+  confirmed:  '확정',
+  settled:    '급여 반영',
+};
+
+const DEDUCTION_SOURCE = {
+  FORM:    'form',    // 직원 직접 입력
+  NTS_XML: 'nts_xml', // 간소화 자료 XML 업로드 후 제출
+  NTS_PDF: 'nts_pdf', // 간소화 자료 PDF 업로드 후 제출
+  MANAGER: 'manager', // 관리자 대리 입력 (종이 신고서)
+};
+
+// 정산 월 — 다음 해 2월 급여 (소득세법 제137조, 2월분 급여 지급 시 연말정산)
+const SETTLE_MONTH = 2;
+
+const SUBMIT_TOKEN_PREFIX = 'YES_';
+const SUBMIT_TOKEN_DAYS = 45;
+
+const MAX_AMOUNT = 10_000_000_000;
+const MAX_PERSONS = 20;
+
+// rules.yearEnd 가 없을 때 (2025년 귀속 이후)
+const DEFAULT_YEAR_END_RULES = {
+  // 근로소득공제 (제47조) — 구간 하한 초과분 × 율 + 누적, 한도 2천만원
+  earnedIncomeDeduction: {
+    brackets: [
+      { upTo: 5_000_000,   base: 0,          rate: 0.7 },
+      { upTo: 15_000_000,  base: 3_500_000,  rate: 0.4 },
+      { upTo: 45_000_000,  base: 7_500_000,  rate: 0.15 },
+      { upTo: 100_000_000, base: 12_000_000, rate: 0.05 },
+      { upTo: Infinity,    base: 14_750_000, rate: 0.02 },
+    ],
+    limit: 20_000_000,
+  },
+  // 인적공제 (제50조·제51조)
+  personal: {
+    basic: 1_500_000,         // 1명당 (본인·배우자·부양가족)
+    elderly: 1_000_000,       // 경로우대 70세 이상
+    disabled: 2_000_000,      // 장애인
+    woman: 500_000,           // 부녀자 (근로소득금액 3천만원 이하)
+    womanIncomeLimit: 30_000_000,
+    singleParent: 1_000_000,  // 한부모 (부녀자 공제와 중복 불가 — 한부모 우선)
+  },
+  // 주택자금 특별소득공제 (제52조) · 주택청약종합저축 (조특법 제87조)
+  housing: {
+    leaseRate: 0.4,                // 주택임차차입금 원리금 상환액 40%
+    subscriptionRate: 0.4,         // 주택청약종합저축 납입액 40%
+    subscriptionLimit: 3_000_000,  // 납입액 한도
+    subscriptionSalaryLimit: 70_000_000, // 총급여 7천만원 이하만
+    leaseLimit: 4_000_000,         // 임차차입금 + 청약저축 공제 한도
+    mortgageLimits: [6_000_000, 8_000_000, 18_000_000, 20_000_000], // 장기주택저당차입금 (상환 기간·방식별)
+  },
+  // 신용카드 등 사용금액 (조특법 제126조의2)
+  card: {
+    thresholdRate: 0.25,           // 최저사용금액 = 총급여 × 25%
+    rates: { credit: 0.15, debit: 0.3, culture: 0.3, market: 0.4, transit: 0.4 },
+    highSalary: 70_000_000,        // 총급여 7천만원 초과 — 도서·공연 등은 신용카드로 보고 한도 축소
+    baseLimit: 3_000_000,
+    baseLimitHigh: 2_500_000,
+    extraLimit: 3_000_000,         // 전통시장·대중교통·도서공연 추가 한도
+    extraLimitHigh: 2_000_000,
+  },
+  comprehensiveLimit: 25_000_000,  // 소득공제 종합한도 (조특법 제132조의2 — 주택자금·청약저축·신용카드)
+  // 근로소득세액공제 (제59조)
+  earnedCredit: {
+    lowTaxLimit: 1_300_000,
+    lowRate: 0.55,
+    highBase: 715_000,
+    highRate: 0.3,
+  },
+  // 자녀세액공제 (제59조의2) — 8세 이상 자녀, 출산·입양
+  child: { one: 250_000, two: 550_000, extraPerChild: 400_000 },
+  birth: { first: 300_000, second: 500_000, thirdPlus: 700_000 },
+  // 연금계좌세액공제 (제59조의3)
+  pensionAccount: { savingsLimit: 6_000_000, totalLimit: 9_000_000, rate: 0.15, rateHigh: 0.12, highSalary: 55_000_000 },
+  // 특별세액공제 (제59조의4)
+  insurance: { limit: 1_000_000, rate: 0.12, disabledRate: 0.15 },
+  medical: { thresholdRate: 0.03, generalLimit: 7_000_000, rate: 0.15, prematureRate: 0.2, infertilityRate: 0.3 },
+  education: { rate: 0.15, schoolLimit: 3_000_000, universityLimit: 9_000_000 },
+  donation: {
+    politicalFull: 100_000,        // 정치자금·고향사랑 10만원까지 100/110
+    hometownLimit: 20_000_000,
+    rate: 0.15,
+    highRate: 0.3,
+    highFrom: 10_000_000,          // 1천만원 초과분 30%
+    designatedRate: 0.3,           // 일반기부금 한도 (근로소득금액 - 특례기부금) × 30%
+    religiousRate: 0.1,            // 종교단체 기부금이 있으면 10% + min(20%, 종교단체 외)
+  },
+  standardCredit: 130_000,         // 표준세액공제
+  // 월세액 세액공제 (조특법 제95조의2)
+  rent: { limit: 10_000_000, rate: 0.17, rateHigh: 0.15, lowSalary: 55_000_000, salaryLimit: 80_000_000 },
+  minWithholding: 1000,            // 소액부징수 (추가 징수 1천원 미만)
+};
+
+// 공제 신고 양식 (jsonb deductions) — 금액은 원, 인원은 명
+const EMPTY_DEDUCTIONS = {
+  previousEmployer: { salary: 0, nonTaxable: 0, pension: 0, insurance: 0, incomeTax: 0, localIncomeTax: 0 }, // 종전 근무지
+  personal: { spouse: false, dependents: 0, elderly: 0, disabled: 0, woman: false, singleParent: false },
+  children: { eligible: 0, births: { first: 0, second: 0, thirdPlus: 0 } },
+  insurance: { general: 0, disabled: 0 },
+  medical: { general: 0, self: 0, premature: 0, infertility: 0 },   // self: 본인·65세 이상·6세 이하·장애인 (한도 없음)
+  education: { self: 0, disabled: 0, preschool: [], school: [], university: [] }, // 자녀별 금액 목록
+  donations: { political: 0, hometown: 0, legal: 0, designated: 0, religious: 0 },
+  pension: { savings: 0, irp: 0 },
+  housing: { leaseRepayment: 0, subscription: 0, mortgageInterest: 0, mortgageLimit: 0 },
+  rent: { amount: 0 },
+  cards: { credit: 0, debit: 0, cash: 0, culture: 0, market: 0, transit: 0 },
+};
+
+function invalid(statusCode, error, extra = {}) {
+  return { error: { statusCode, error, ...extra } };
+}
+
+function floorWon(n) { return Math.floor(n + 1e-6); }
+
+// 차감징수세액 10원 미만 절사 (환급도 절사)
+function truncate10(n) { return Math.sign(n) * Math.floor((Math.abs(n) + 1e-6) / 10) * 10; }
+
+function yearEndRules(rules) {
+  return { ...DEFAULT_YEAR_END_RULES, ...(rules?.yearEnd || {}) };
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/** 새 제출 링크 토큰 (원문은 요청 응답·알림 문자에만, DB 에는 해시) */
+function generateSubmitToken() {
+  return SUBMIT_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function submitTokenExpiry(now = new Date()) {
+  return new Date(now.getTime() + SUBMIT_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * 제출 링크 토큰 → 정산 행 (만료·확정 이후는 거부)
+ * @returns {Promise<{ settlement: object } | { error: object }>}
+ */
+async function resolveSubmitToken(supabase, token) {
+  if (!token || !String(token).startsWith(SUBMIT_TOKEN_PREFIX)) return invalid(400, '제출 링크가 올바르지 않습니다.');
+  const { data: settlement } = await supabase
+    .from('year_end_settlements')
+    .select('*')
+    .eq('submit_token_hash', sha256(token))
+    .maybeSingle();
+  if (!settlement) return invalid(404, '제출 링크를 찾을 수 없습니다. 관리자에게 새 링크를 요청해주세요.');
+  if (settlement.submit_token_expires_at && new Date(settlement.submit_token_expires_at) < new Date()) {
+    return invalid(410, '제출 기한이 지난 링크입니다. 관리자에게 새 링크를 요청해주세요.');
+  }
+  return { settlement };
+}
+
+/**
+ * 직원 정보로 미리 채운 공제 신고 양식 (간이세액표 원천징수 설정 기준)
+ * employees.dependents 는 본인 포함 → 본인 제외 부양가족(배우자 포함)으로
+ */
+function defaultDeductions(employee = {}) {
+  const d = JSON.parse(JSON.stringify(EMPTY_DEDUCTIONS));
+  d.personal.dependents = Math.max(0, (Number(employee.dependents) || 1) - 1);
+  d.children.eligible = Math.max(0, Number(employee.tax_children) || 0);
+  return d;
+}
+
+/**
+ * 공제 신고 검증 → 양식 구조로 정규화 (없는 항목은 0)
+ * @param {object} input - EMPTY_DEDUCTIONS 와 같은 구조 (부분 입력 가능)
+ * @returns {{ deductions: object } | { error: object }}
+ */
+function validateDeductions(input = {}) {
+  if (!input || typeof input !== 'object') return invalid(400, '공제 신고(deductions)가 없습니다.');
+  const d = JSON.parse(JSON.stringify(EMPTY_DEDUCTIONS));
+  let error = null;
+
+  const amount = (value, label) => {
+    if (value === undefined || value === null || value === '') return 0;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > MAX_AMOUNT) {
+      error = error || `${label}은(는) 0 이상의 금액이어야 합니다.`;
+      return 0;
+    }
+    return Math.floor(n);
+  };
+  const count = (value, label) => {
+    if (value === undefined || value === null || value === '') return 0;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_PERSONS) {
+      error = error || `${label}은(는) 0~${MAX_PERSONS} 사이 정수여야 합니다.`;
+      return 0;
+    }
+    return n;
+  };
+  const list = (value, label) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.length > MAX_PERSONS) {
+      error = error || `${label}은(는) ${MAX_PERSONS}명 이하 금액 목록이어야 합니다.`;
+      return [];
+    }
+    return value.map(v => amount(v, label)).filter(v => v > 0);
+  };
+  const group = (key) => (input[key] && typeof input[key] === 'object' ? input[key] : {});
+
+  const prev = group('previousEmployer');
+  d.previousEmployer = {
+    salary:         amount(prev.salary, '종전 근무지 총급여'),
+    nonTaxable:     amount(prev.nonTaxable, '종전 근무지 비과세'),
+    pension:        amount(prev.pension, '종전 근무지 국민연금'),
+    insurance:      amount(prev.insurance, '종전 근무지 건강·고용보험료'),
+    incomeTax:      amount(prev.incomeTax, '종전 근무지 결정세액'),
+    localIncomeTax: amount(prev.localIncomeTax, '종전 근무지 지방소득세'),
+  };
+
+  const personal = group('personal');
+  d.personal = {
+    spouse:       personal.spouse === true,
+    dependents:   count(personal.dependents, '부양가족 수'),
+    elderly:      count(personal.elderly, '경로우대(70세 이상) 인원'),
+    disabled:     count(personal.disabled, '장애인 인원'),
+    woman:        personal.woman === true,
+    singleParent: personal.singleParent === true,
+  };
+  const people = 1 + (d.personal.spouse ? 1 : 0) + d.personal.dependents;
+  if (d.personal.elderly + d.personal.disabled > people * 2) error = error || '경로우대·장애인 인원이 공제 대상 인원보다 많습니다.';
+
+  const children = group('children');
+  const births = children.births && typeof children.births === 'object' ? children.births : {};
+  d.children = {
+    eligible: count(children.eligible, '8세 이상 자녀 수'),
+    births: {
+      first:     count(births.first, '출산·입양 첫째'),
+      second:    count(births.second, '출산·입양 둘째'),
+      thirdPlus: count(births.thirdPlus, '출산·입양 셋째 이상'),
+    },
+  };
+  if (d.children.eligible > people) error = error || '8세 이상 자녀 수가 공제 대상 인원보다 많습니다.';
+
+  const ins = group('insurance');
+  d.insurance = { general: amount(ins.general, '보장성 보험료'), disabled: amount(ins.disabled, '장애인 전용 보장성 보험료') };
+
+  const med = group('medical');
+  d.medical = {
+    general:     amount(med.general, '의료비 (그 밖의 부양가족)'),
+    self:        amount(med.self, '의료비 (본인·65세 이상·6세 이하·장애인)'),
+    premature:   amount(med.premature, '미숙아·선천성이상아 의료비'),
+    infertility: amount(med.infertility, '난임시술비'),
+  };
+
+  const edu = group('education');
+  d.education = {
+    self:       amount(edu.self, '본인 교육비'),
+    disabled:   amount(edu.disabled, '장애인 특수교육비'),
+    preschool:  list(edu.preschool, '취학 전 아동 교육비'),
+    school:     list(edu.school, '초·중·고 교육비'),
+    university: list(edu.university, '대학 교육비'),
+  };
+
+  const don = group('donations');
+  d.donations = {
+    political:  amount(don.political, '정치자금 기부금'),
+    hometown:   amount(don.hometown, '고향사랑 기부금'),
+    legal:      amount(don.legal, '특례기부금'),
+    designated: amount(don.designated, '일반기부금 (종교단체 외)'),
+    religious:  amount(don.religious, '일반기부금 (종교단체)'),
+  };
+
+  const pen = group('pension');
+  d.pension = { savings: amount(pen.savings, '연금저축'), irp: amount(pen.irp, '퇴직연금(IRP)') };
+
+  const housing = group('housing');
+  const r = DEFAULT_YEAR_END_RULES.housing;
+  d.housing = {
+    leaseRepayment:   amount(housing.leaseRepayment, '주택임차차입금 원리금 상환액'),
+    subscription:     amount(housing.subscription, '주택청약종합저축 납입액'),
+    mortgageInterest: amount(housing.mortgageInterest, '장기주택저당차입금 이자 상환액'),
+    mortgageLimit:    amount(housing.mortgageLimit, '장기주택저당차입금 공제 한도'),
+  };
+  if (d.housing.mortgageInterest > 0 && !r.mortgageLimits.includes(d.housing.mortgageLimit)) {
+    error = error || '장기주택저당차입금 공제 한도는 ' + r.mortgageLimits.map(v => v / 10000 + '만원').join(', ') + ' 중 하나여야 합니다.';
+  }
+
+  d.rent = { amount: amount(group('rent').amount, '월세 지급액') };
+
+  const cards = group('cards');
+  d.cards = {
+    credit:  amount(cards.credit, '신용카드 사용액'),
+    debit:   amount(cards.debit, '직불·선불카드 사용액'),
+    cash:    amount(cards.cash, '현금영수증 사용액'),
+    culture: amount(cards.culture, '도서·공연 등 사용액'),
+    market:  amount(cards.market, '전통시장 사용액'),
+    transit: amount(cards.transit, '대중교통 사용액'),
+  };
+
+  if (error) return invalid(400, error);
+  return { deductions: d };
+}
+
+/**
+ * 귀속 연도 급여 합계 (순수 함수) — 종전 근무지 포함
+ * @param {Array} payrolls - 귀속 연도 payrolls 행 (1~12월)
+ * @param {object} [previousEmployer] - deductions.previousEmployer
+ */
+function summarizePayrolls(payrolls = [], previousEmployer = {}) {
+  const sum = (key) => payrolls.reduce((acc, p) => acc + (Number(p[key]) || 0), 0);
+  const prev = { ...EMPTY_DEDUCTIONS.previousEmployer, ...(previousEmployer || {}) };
+  return {
+    months:            payrolls.map(p => p.month).sort((a, b) => a - b),
+    currentSalary:     sum('taxable_income'),
+    totalSalary:       sum('taxable_income') + prev.salary,
+    nonTaxable:        sum('non_taxable_amount') + prev.nonTaxable,
+    pension:           sum('national_pension') + prev.pension,
+    insurance:         sum('health_insurance') + sum('long_term_care') + sum('employment_insurance') + prev.insurance,
+    currentIncomeTax:  sum('income_tax'),
+    currentLocalTax:   sum('local_income_tax'),
+    previousIncomeTax: prev.incomeTax,
+    previousLocalTax:  prev.localIncomeTax,
+    paidIncomeTax:     sum('income_tax') + prev.incomeTax,
+    paidLocalTax:      sum('local_income_tax') + prev.localIncomeTax,
+  };
+}
+
+// 근로소득공제
+function earnedIncomeDeduction(totalSalary, r) {
+  let lower = 0;
+  for (const b of r.earnedIncomeDeduction.brackets) {
+    if (totalSalary <= b.upTo) return Math.min(floorWon(b.base + (totalSalary - lower) * b.rate), r.earnedIncomeDeduction.limit);
+    lower = b.upTo;
+  }
+  return r.earnedIncomeDeduction.limit;
+}
+
+// 인적공제
+function personalDeduction(personal, earnedIncome, r) {
+  const p = r.personal;
+  const count = 1 + (personal.spouse ? 1 : 0) + personal.dependents;
+  const singleParent = personal.singleParent ? p.singleParent : 0;
+  const woman = !personal.singleParent && personal.woman && earnedIncome <= p.womanIncomeLimit ? p.woman : 0;
+  const result = {
+    count,
+    basic:    count * p.basic,
+    elderly:  personal.elderly * p.elderly,
+    disabled: personal.disabled * p.disabled,
+    woman,
+    singleParent,
+  };
+  result.total = result.basic + result.elderly + result.disabled + woman + singleParent;
+  return result;
+}
+
+// 주택자금 (임차차입금·청약저축·장기주택저당차입금)
+function housingDeduction(housing, totalSalary, r) {
+  const h = r.housing;
+  const lease = floorWon(housing.leaseRepayment * h.leaseRate);
+  const subscription = totalSalary <= h.subscriptionSalaryLimit
+    ? floorWon(Math.min(housing.subscription, h.subscriptionLimit) * h.subscriptionRate)
+    : 0;
+  // 임차차입금 → 청약저축 순으로 한도 적용
+  const leaseAllowed = Math.min(lease, h.leaseLimit);
+  const subscriptionAllowed = Math.min(subscription, h.leaseLimit - leaseAllowed);
+  let mortgage = 0;
+  if (housing.mortgageInterest > 0 && housing.mortgageLimit > 0) {
+    mortgage = Math.max(0, Math.min(housing.mortgageInterest, housing.mortgageLimit - leaseAllowed - subscriptionAllowed));
+  }
+  return { lease: leaseAllowed, subscription: subscriptionAllowed, mortgage };
+}
+
+// 신용카드 등 사용금액 소득공제
+function cardDeduction(cards, totalSalary, r) {
+  const c = r.card;
+  const high = totalSalary > c.highSalary;
+  const used = {
+    credit:  cards.credit + (high ? cards.culture : 0),
+    debit:   cards.debit + cards.cash,
+    culture: high ? 0 : cards.culture,
+    market:  cards.market,
+    transit: cards.transit,
+  };
+  const totalUsed = Object.values(used).reduce((a, b) => a + b, 0);
+  const threshold = floorWon(totalSalary * c.thresholdRate);
+  const result = { used: totalUsed, threshold, gross: 0, amount: 0 };
+  if (totalUsed <= threshold) return result;
+
+  // 최저사용금액은 공제율이 낮은 것부터 차감 (신용카드 → 직불·현금·도서공연 → 전통시장·대중교통)
+  let remaining = threshold;
+  const net = {};
+  for (const key of ['credit', 'debit', 'culture', 'market', 'transit']) {
+    const take = Math.min(used[key], remaining);
+    remaining -= take;
+    net[key] = used[key] - take;
+  }
+  const deduct = (key) => net[key] * c.rates[key];
+  const gross = floorWon(['credit', 'debit', 'culture', 'market', 'transit'].reduce((acc, k) => acc + deduct(k), 0));
+  const base = Math.min(gross, high ? c.baseLimitHigh : c.baseLimit);
+  const extraPool = floorWon(deduct('culture') + deduct('market') + deduct('transit'));
+  const extra = Math.min(gross - base, high ? c.extraLimitHigh : c.extraLimit, extraPool);
+  result.gross = gross;
+  result.amount = base + Math.max(0, extra);
+  return result;
+}
+
+// 근로소득세액공제 (총급여 구간별 한도)
+function earnedTaxCredit(calculatedTax, totalSalary, r) {
+  const e = r.earnedCredit;
+  const credit = calculatedTax <= e.lowTaxLimit
+    ? calculatedTax * e.lowRate
+    : e.highBase + (calculatedTax - e.lowTaxLimit) * e.highRate;
+  let limit;
+  if (totalSalary <= 33_000_000) limit = 740_000;
+  else if (totalSalary <= 70_000_000) limit = Math.max(660_000, 740_000 - (totalSalary - 33_000_000) * 0.008);
+  else if (totalSalary <= 120_000_000) limit = Math.max(500_000, 660_000 - (totalSalary - 70_000_000) / 2);
+  else limit = Math.max(200_000, 500_000 - (totalSalary - 120_000_000) / 2);
+  return floorWon(Math.min(credit, limit));
+}
+
+function childTaxCredits(children, r) {
+  const n = children.eligible;
+  const child = n <= 0 ? 0 : n === 1 ? r.child.one : r.child.two + (n - 2) * r.child.extraPerChild;
+  const b = children.births;
+  const birth = b.first * r.birth.first + b.second * r.birth.second + b.thirdPlus * r.birth.thirdPlus;
+  return { child, birth };
+}
+
+function pensionAccountCredit(pension, totalSalary, r) {
+  const p = r.pensionAccount;
+  const base = Math.min(Math.min(pension.savings, p.savingsLimit) + pension.irp, p.totalLimit);
+  return floorWon(base * (totalSalary <= p.highSalary ? p.rate : p.rateHigh));
+}
+
+function insuranceCredit(insurance, r) {
+  const i = r.insurance;
+  return floorWon(Math.min(insurance.general, i.limit) * i.rate + Math.min(insurance.disabled, i.limit) * i.disabledRate);
+}
+
+// 의료비 — 총급여 3% 초과분, 그 밖의 부양가족 → 본인 등 → 미숙아 → 난임 순으로 최저 사용액 차감
+function medicalCredit(medical, totalSalary, r) {
+  const m = r.medical;
+  let threshold = floorWon(totalSalary * m.thresholdRate);
+  const take = (value) => {
+    const t = Math.min(value, threshold);
+    threshold -= t;
+    return value - t;
+  };
+  const general = Math.min(take(medical.general), m.generalLimit);
+  const self = take(medical.self);
+  const premature = take(medical.premature);
+  const infertility = take(medical.infertility);
+  return floorWon((general + self) * m.rate + premature * m.prematureRate + infertility * m.infertilityRate);
+}
+
+function educationCredit(education, r) {
+  const e = r.education;
+  const perChild = (list, limit) => list.reduce((acc, v) => acc + Math.min(v, limit), 0);
+  const base = education.self + education.disabled
+    + perChild(education.preschool, e.schoolLimit)
+    + perChild(education.school, e.schoolLimit)
+    + perChild(education.university, e.universityLimit);
+  return floorWon(base * e.rate);
+}
+
+// 기부금 — 정치자금·고향사랑 10만원까지 100/110, 나머지는 한도 내 15% (1천만원 초과분 30%)
+function donationCredit(donations, earnedIncome, r) {
+  const d = r.donation;
+  const politicalFull = Math.min(donations.political, d.politicalFull);
+  const hometown = Math.min(donations.hometown, d.hometownLimit);
+  const hometownFull = Math.min(hometown, d.politicalFull);
+  const fullCredit = floorWon((politicalFull + hometownFull) * 100 / 110);
+
+  const legal = Math.min(donations.legal, earnedIncome);
+  const base = Math.max(0, earnedIncome - legal);
+  let general;
+  if (donations.religious > 0) {
+    const limit = base * d.religiousRate + Math.min(base * (d.designatedRate - d.religiousRate), donations.designated);
+    general = Math.min(donations.designated + donations.religious, floorWon(limit));
+  } else {
+    general = Math.min(donations.designated, floorWon(base * d.designatedRate));
+  }
+  const pooled = (donations.political - politicalFull) + (hometown - hometownFull) + legal + general;
+  const rated = Math.min(pooled, d.highFrom) * d.rate + Math.max(0, pooled - d.highFrom) * d.highRate;
+  return floorWon(fullCredit + rated);
+}
+
+function rentCredit(rent, totalSalary, r) {
+  const t = r.rent;
+  if (totalSalary > t.salaryLimit || rent.amount <= 0) return 0;
+  return floorWon(Math.min(rent.amount, t.limit) * (totalSalary <= t.lowSalary ? t.rate : t.rateHigh));
+}
+
+/**
+ * 연말정산 세액 계산 (순수 함수)
+ * @param {object} summary - summarizePayrolls() 결과
+ * @param {object} deductions - validateDeductions().deductions
+ * @param {object} [rules] - loadAllPayrollRules 결과 (yearEnd, incomeTax.localTaxRate)
+ * @returns {object} 단계별 계산 내역 (year_end_settlements.result)
+ */
+function calculateYearEndTax(summary, deductions, rules) {
+  const r = yearEndRules(rules);
+  const localRate = rules?.incomeTax?.localTaxRate ?? 0.1;
+  const d = deductions;
+  const totalSalary = summary.totalSalary;
+
+  const earnedDeduction = earnedIncomeDeduction(totalSalary, r);
+  const earnedIncome = Math.max(0, totalSalary - earnedDeduction);
+  const personal = personalDeduction(d.personal, earnedIncome, r);
+  const housing = housingDeduction(d.housing, totalSalary, r);
+  const card = cardDeduction(d.cards, totalSalary, r);
+
+  // 주택자금·청약저축·신용카드 종합한도
+  const limitedTotal = housing.lease + housing.mortgage + housing.subscription + card.amount;
+  const comprehensiveExcess = Math.max(0, limitedTotal - r.comprehensiveLimit);
+
+  const children = childTaxCredits(d.children, r);
+  const pensionCredit = pensionAccountCredit(d.pension, totalSalary, r);
+  const special = {
+    insurance: insuranceCredit(d.insurance, r),
+    medical:   medicalCredit(d.medical, totalSalary, r),
+    education: educationCredit(d.education, r),
+    donation:  donationCredit(d.donations, earnedIncome, r),
+  };
+  const rent = rentCredit(d.rent, totalSalary, r);
+
+  // itemized: 주택자금 특별소득공제·특별세액공제·월세 공제 / standard: 표준세액공제 13만원
+  const compute = (itemized) => {
+    const specialIncome = {
+      insurance: summary.insurance,
+      housingLease: itemized ? housing.lease : 0,
+      mortgage: itemized ? housing.mortgage : 0,
+    };
+    specialIncome.total = specialIncome.insurance + specialIncome.housingLease + specialIncome.mortgage;
+    const excess = itemized ? comprehensiveExcess : Math.max(0, housing.subscription + card.amount - r.comprehensiveLimit);
+    const otherIncome = { subscription: housing.subscription, card: card.amount, comprehensiveExcess: excess };
+    otherIncome.total = Math.max(0, housing.subscription + card.amount - excess);
+
+    const taxBase = Math.max(0, earnedIncome - personal.total - summary.pension - specialIncome.total - otherIncome.total);
+    const calculatedTax = calcConvertedTax(taxBase);
+    const credits = {
+      earned:    earnedTaxCredit(calculatedTax, totalSalary, r),
+      child:     children.child,
+      birth:     children.birth,
+      pension:   pensionCredit,
+      insurance: itemized ? special.insurance : 0,
+      medical:   itemized ? special.medical : 0,
+      education: itemized ? special.education : 0,
+      donation:  itemized ? special.donation : 0,
+      rent:      itemized ? rent : 0,
+      standard:  itemized ? 0 : r.standardCredit,
+    };
+    credits.total = Object.values(credits).reduce((a, b) => a + b, 0);
+    const finalIncomeTax = Math.max(0, calculatedTax - credits.total);
+    return { method: itemized ? 'itemized' : 'standard', specialIncome, otherIncome, taxBase, calculatedTax, credits, finalIncomeTax };
+  };
+
+  const itemized = compute(true);
+  const standard = compute(false);
+  const chosen = standard.finalIncomeTax < itemized.finalIncomeTax ? standard : itemized;
+
+  const finalLocalIncomeTax = floorWon(chosen.finalIncomeTax * localRate);
+  let settleIncomeTax = truncate10(chosen.finalIncomeTax - summary.paidIncomeTax);
+  let settleLocalIncomeTax = truncate10(finalLocalIncomeTax - summary.paidLocalTax);
+  let exemptReason = null;
+  if (settleIncomeTax > 0 && settleIncomeTax < r.minWithholding) {
+    settleIncomeTax = 0;
+    exemptReason = `소액부징수 — 추가 징수 소득세 ${r.minWithholding.toLocaleString('ko-KR')}원 미만`;
+  }
+  if (settleLocalIncomeTax > 0 && settleLocalIncomeTax < r.minWithholding) settleLocalIncomeTax = 0;
+
+  return {
+    totalSalary,
+    nonTaxable: summary.nonTaxable,
+    earnedIncomeDeduction: earnedDeduction,
+    earnedIncome,
+    personal,
+    pensionInsurance: summary.pension,
+    specialIncome: chosen.specialIncome,
+    otherIncome: { ...chosen.otherIncome, cardDetail: card },
+    taxBase: chosen.taxBase,
+    calculatedTax: chosen.calculatedTax,
+    credits: chosen.credits,
+    method: chosen.method,
+    alternativeTax: (chosen === standard ? itemized : standard).finalIncomeTax, // 다른 방식 적용 시 결정세액 (검토용)
+    finalIncomeTax: chosen.finalIncomeTax,
+    finalLocalIncomeTax,
+    paid: {
+      months:            summary.months,
+      currentIncomeTax:  summary.currentIncomeTax,
+      currentLocalTax:   summary.currentLocalTax,
+      previousIncomeTax: summary.previousIncomeTax,
+      previousLocalTax:  summary.previousLocalTax,
+      incomeTax:         summary.paidIncomeTax,
+      localIncomeTax:    summary.paidLocalTax,
+    },
+    settleIncomeTax,
+    settleLocalIncomeTax,
+    exemptReason,
+  };
+}
+
+/**
+ * 정산 월 급여에 합산할 연말정산 (calculate-payroll.js)
+ *  - 이미 이 달에 반영된 것 (재계산 시 다시 포함)
+ *  - includePending: 확정됐고 정산 월이 이 달 이전인 미반영분 (작성·검토 단계 정기 계산에서만)
+ */
+async function loadYearEndSettlements(supabase, { employeeId, year, month, includePending = false }) {
+  const { data, error } = await supabase
+    .from('year_end_settlements')
+    .select('*')
+    .eq('employee_id', employeeId)
+    .in('status', includePending ? [YEAR_END_STATUS.CONFIRMED, YEAR_END_STATUS.SETTLED] : [YEAR_END_STATUS.SETTLED]);
+  if (error) throw error;
+
+  const current = Number(year) * 12 + Number(month);
+  return (data || []).filter(row => {
+    const target = Number(row.settle_year) * 12 + Number(row.settle_month);
+    if (row.status === YEAR_END_STATUS.SETTLED) return target === current;
+    return target <= current;
+  });
+}
+
+/**
+ * 연말정산 차감징수세액 합계 (순수 함수) — 양수 추가 징수, 음수 환급
+ */
+function applyYearEndSettlements(rows = []) {
+  const sum = (key) => rows.reduce((acc, r) => acc + (Number(r[key]) || 0), 0);
+  return {
+    ids:            rows.map(r => r.id),
+    pendingIds:     rows.filter(r => r.status === YEAR_END_STATUS.CONFIRMED).map(r => r.id),
+    years:          rows.map(r => r.year),
+    incomeTax:      sum('settle_income_tax'),
+    localIncomeTax: sum('settle_local_income_tax'),
+  };
+}
+
+/**
+ * 급여 저장 후 확정된 연말정산을 반영 처리
+ */
+async function markYearEndSettled(supabase, { ids, payrollId, year, month }) {
+  if (!ids || ids.length === 0) return;
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('year_end_settlements')
+    .update({
+      status:             YEAR_END_STATUS.SETTLED,
+      settle_year:        year,
+      settle_month:       month,
+      settled_payroll_id: payrollId,
+      settled_at:         now,
+      updated_at:         now,
+    })
+    .in('id', ids)
+    .eq('status', YEAR_END_STATUS.CONFIRMED);
+  if (error) throw error;
+}
+
+/**
+ * year_end_settlements row → API 응답 형태
+ */
+function formatSettlement(row, { detail = false } = {}) {
+  const emp = (Array.isArray(row.employees) ? row.employees[0] : row.employees) || null;
+  const out = {
+    id:                   row.id,
+    employeeId:           row.employee_id,
+    employeeName:         emp?.name || null,
+    year:                 row.year,
+    status:               row.status,
+    statusLabel:          YEAR_END_STATUS_LABELS[row.status] || row.status,
+    deductionSource:      row.deduction_source || null,
+    totalSalary:          Number(row.total_salary) || 0,
+    finalIncomeTax:       Number(row.final_income_tax) || 0,
+    finalLocalIncomeTax:  Number(row.final_local_income_tax) || 0,
+    paidIncomeTax:        Number(row.paid_income_tax) || 0,
+    paidLocalIncomeTax:   Number(row.paid_local_income_tax) || 0,
+    settleIncomeTax:      Number(row.settle_income_tax) || 0,
+    settleLocalIncomeTax: Number(row.settle_local_income_tax) || 0,
+    settleYear:           row.settle_year || null,
+    settleMonth:          row.settle_month || null,
+    settledPayrollId:     row.settled_payroll_id || null,
+    requestedAt:          row.requested_at || null,
+    submittedAt:          row.submitted_at || null,
+    calculatedAt:         row.calculated_at || null,
+    confirmedAt:          row.confirmed_at || null,
+    settledAt:            row.settled_at || null,
+    submitLinkExpiresAt:  row.submit_token_expires_at || null,
+  };
+  if (detail) {
+    out.deductions = row.deductions || null;
+    out.result = row.result || null;
+  }
+  return out;
+}
+
+module.exports = {
+  YEAR_END_STATUS,
+  YEAR_END_STATUS_LABELS,
+  DEDUCTION_SOURCE,
+  SETTLE_MONTH,
+  EMPTY_DEDUCTIONS,
+  sha256,
+  generateSubmitToken,
+  submitTokenExpiry,
+  resolveSubmitToken,
+  defaultDeductions,
+  validateDeductions,
+  summarizePayrolls,
+  calculateYearEndTax,
+  loadYearEndSettlements,
+  applyYearEndSettlements,
+  markYearEndSettled,
+  formatSettlement,
+};
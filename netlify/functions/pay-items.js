@@ -0,0 +1,226 @@
+// netlify/functions/pay-items.js
+// 회사 수당·공제 항목 카탈로그 관리 API (관리자)
+// GET    → 항목 목록 (?includeInactive=true 비활성 항목 포함) + 비과세 유형 목록
+// POST   → 항목 추가 { name, kind, taxType, nonTaxableType, nonTaxableLimit, ordinaryWage, averageWage,
+//                      recurrence, defaultAmount, sortOrder, reason }
+// PUT    → 항목 수정 { id, ...변경 필드, reason }
+// DELETE → 항목 비활성화 (?id= 필수, ?reason=) — 지난 급여 내역 보존을 위해 삭제하지 않음, 이후 계산에서 제외
+//
+// 직원별 금액 지정은 employee-pay-items.js, 급여 반영은 lib/pay-items.js applyPayItems()
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const {
+  PAY_ITEM_KIND,
+  TAX_TYPE,
+  RECURRENCE,
+  NON_TAXABLE_TYPE,
+  validatePayItem,
+  formatPayItem,
+} = require('./lib/pay-items');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+// camelCase 입력 → pay_items 컬럼 (들어온 값만)
+function toRow(input) {
+  const row = {};
+  if (input.name !== undefined) row.name = String(input.name).trim();
+  if (input.kind !== undefined) row.kind = input.kind;
+  if (input.taxType !== undefined) row.tax_type = input.taxType;
+  if (input.nonTaxableType !== undefined) row.non_taxable_type = input.nonTaxableType || null;
+  if (input.nonTaxableLimit !== undefined) row.non_taxable_limit = input.nonTaxableLimit === null ? null : Number(input.nonTaxableLimit);
+  if (input.ordinaryWage !== undefined) row.ordinary_wage = input.ordinaryWage === true;
+  if (input.averageWage !== undefined) row.average_wage = input.averageWage === true;
+  if (input.recurrence !== undefined) row.recurrence = input.recurrence;
+  if (input.defaultAmount !== undefined) row.default_amount = Number(input.defaultAmount) || 0;
+  if (input.sortOrder !== undefined) row.sort_order = parseInt(input.sortOrder, 10) || 0;
+  if (input.isActive !== undefined) row.is_active = input.isActive === true;
+  // 공제 항목·과세 항목은 비과세 정보 없음
+  if (row.kind === PAY_ITEM_KIND.DEDUCTION || row.tax_type === TAX_TYPE.TAXABLE) {
+    row.tax_type = TAX_TYPE.TAXABLE;
+    row.non_taxable_type = null;
+    row.non_taxable_limit = null;
+  }
+  return row;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+  const actor = auditActor(event, user);
+
+  try {
+    if (event.httpMethod === 'GET') {
+      let query = supabase
+        .from('pay_items')
+        .select('*')
+        .eq('company_id', user.companyId)
+        .order('kind', { ascending: true })
+        .order('sort_order', { ascending: true })
+        .order('created_at', { ascending: true });
+      if (params.includeInactive !== 'true') query = query.eq('is_active', true);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return resp(200, {
+        success: true,
+        data: {
+          items: (data || []).map(formatPayItem),
+          nonTaxableTypes: Object.entries(NON_TAXABLE_TYPE).map(([value, t]) => ({
+            value,
+            label: t.label,
+            statutoryLimit: t.limitKey !== null, // true 면 법정 한도 적용 (항목별 한도 입력 불필요)
+          })),
+        },
+      });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      const input = { taxType: TAX_TYPE.TAXABLE, recurrence: RECURRENCE.RECURRING, ...body };
+      const invalid = validatePayItem(input);
+      if (invalid) return resp(400, { success: false, error: invalid });
+
+      const { data, error } = await supabase
+        .from('pay_items')
+        .insert({ ...toRow(input), company_id: user.companyId, is_active: true })
+        .select()
+        .single();
+      if (error) {
+        if (error.code === '23505') return resp(409, { success: false, error: '같은 이름의 항목이 이미 있습니다' });
+        throw error;
+      }
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.PAY_ITEM,
+        entityId:   data.id,
+        action:     AUDIT_ACTION.CREATE,
+        after:      data,
+        reason:     body.reason,
+        source:     'pay-items',
+      });
+
+      return resp(201, { success: true, data: formatPayItem(data), message: '항목이 추가되었습니다' });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const body = JSON.parse(event.body || '{}');
+      if (!body.id) return resp(400, { success: false, error: 'id 필수' });
+
+      const { data: before } = await supabase
+        .from('pay_items')
+        .select('*')
+        .eq('id', body.id)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!before) return resp(404, { success: false, error: '항목을 찾을 수 없습니다' });
+
+      // 부분 수정이어도 종류·과세 구분 조합은 기존 값과 합쳐서 검사
+      const merged = {
+        kind:           before.kind,
+        taxType:        before.tax_type,
+        nonTaxableType: before.non_taxable_type,
+        ...body,
+      };
+      const invalid = validatePayItem(merged, true);
+      if (invalid) return resp(400, { success: false, error: invalid });
+
+      const updates = toRow(body);
+      if (Object.keys(updates).length === 0) return resp(400, { success: false, error: '변경할 항목이 없습니다' });
+      updates.updated_at = new Date().toISOString();
+
+      const { data, error } = await supabase
+        .from('pay_items')
+        .update(updates)
+        .eq('id', body.id)
+        .eq('company_id', user.companyId)
+        .select()
+        .single();
+      if (error) {
+        if (error.code === '23505') return resp(409, { success: false, error: '같은 이름의 항목이 이미 있습니다' });
+        throw error;
+      }
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.PAY_ITEM,
+        entityId:   data.id,
+        action:     AUDIT_ACTION.UPDATE,
+        before,
+        after:      data,
+        reason:     body.reason,
+        source:     'pay-items',
+      });
+
+      return resp(200, { success: true, data: formatPayItem(data), message: '항목이 수정되었습니다. 다음 급여 계산부터 반영됩니다.' });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (!params.id) return resp(400, { success: false, error: 'id 필수' });
+
+      const { data: before } = await supabase
+        .from('pay_items')
+        .select('*')
+        .eq('id', params.id)
+        .eq('company_id', user.companyId)
+        .eq('is_active', true)
+        .maybeSingle();
+      if (!before) return resp(404, { success: false, error: '항목을 찾을 수 없습니다' });
+
+      const { data, error } = await supabase
+        .from('pay_items')
+        .update({ is_active: false, updated_at: new Date().toISOString() })
+        .eq('id', params.id)
+        .eq('company_id', user.companyId)
+        .select()
+        .single();
+      if (error) throw error;
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.PAY_ITEM,
+        entityId:   data.id,
+        action:     AUDIT_ACTION.DELETE,
+        before,
+        after:      data,
+        reason:     params.reason,
+        source:     'pay-items',
+      });
+
+      return resp(200, { success: true, message: '항목이 비활성화되었습니다. 이미 계산된 급여에는 영향이 없습니다.' });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('pay-items 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
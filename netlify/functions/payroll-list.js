@@ -7,9 +7,11 @@
 //   2) 파라미터명 통일: business_id (camelCase businessId도 폴백 지원)
 //   3) 응답 구조 수정: { data: { payrolls: [] } } — payroll-register.html 파싱과 일치
 //   4) businesses 조인 추가 → business_name 반환
+//   5) 급여 실행 단계(run) 함께 반환 — 작성·검토·승인·지급·마감 (lib/payroll-run.js)
 
 const { verifyToken } = require('./lib/auth');
 const { createClient } = require('@supabase/supabase-js');
+const { findRegularRun, formatRun } = require('./lib/payroll-run');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -76,7 +78,10 @@ exports.handler = async (event) => {
     }
 
     // ── 이름순 정렬은 JS에서 처리 (Supabase 관계 테이블 order 불안정) ──
-    const { data: payrolls, error } = await query;
+    const [{ data: payrolls, error }, run] = await Promise.all([
+      query,
+      findRegularRun(supabase, { companyId: userInfo.companyId, year, month }).catch(() => null),
+    ]);
 
     if (error) {
       console.error('급여 목록 조회 오류:', JSON.stringify(error));
@@ -103,7 +108,7 @@ exports.handler = async (event) => {
       // payroll-register.html은 data.data.payrolls 구조를 기대함
       body: JSON.stringify({
         success: true,
-        data: { payrolls: results },
+        data: { payrolls: results, run: run ? formatRun(run) : null },
         count: results.length
       }),
     };
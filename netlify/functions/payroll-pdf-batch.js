@@ -38,6 +38,12 @@ async function loadKoreanFont() {
 }
 
 function fmt(n) { return Math.round(Number(n || 0)).toLocaleString('ko-KR') + '원'; }
+// 회사 수당·공제 항목 (payrolls.pay_item_breakdown, lib/pay-items.js) → 명세서 행
+function payItemRows(payroll, kind) {
+  return (Array.isArray(payroll.pay_item_breakdown) ? payroll.pay_item_breakdown : [])
+    .filter(i => i.kind === kind)
+    .map(i => ({ k: i.nonTaxable > 0 && i.taxable === 0 ? i.name + '(비과세)' : i.name, v: i.amount }));
+}
 function fmtDate(s) {
   if (!s) return '-';
   const d = new Date(s);
@@ -85,7 +91,7 @@ function addPayslipPage(doc, font, payroll, emp, company) {
 
   /* ── 섹션 그리기 헬퍼 ── */
   function drawSection(title, items, red) {
-    const rows = items.filter(i => Number(i.v) > 0);
+    const rows = items.filter(i => Number(i.v || 0) !== 0); // 연말정산 환급은 음수
     if (!rows.length) return;
     page.drawRectangle({ x: 30, y: y - 24, width: W - 60, height: 24,
       color: red ? rgb(0.99, 0.96, 0.96) : cLight });
@@ -112,6 +118,8 @@ function addPayslipPage(doc, font, payroll, emp, company) {
     { k: '식대(비과세)',     v: payroll.meal_allowance },
     { k: '자가운전(비과세)', v: payroll.car_allowance },
     { k: '보육수당(비과세)', v: payroll.childcare_allowance },
+    ...payItemRows(payroll, 'allowance'),
+    ...(payroll.retro_pay ? [{ k: '소급분', v: payroll.retro_pay }] : []),
   ], false);
 
   /* ── 공제 내역 ── */
@@ -122,6 +130,9 @@ function addPayslipPage(doc, font, payroll, emp, company) {
     { k: '고용보험',   v: payroll.employment_insurance },
     { k: '소득세',     v: payroll.income_tax },
     { k: '지방소득세', v: payroll.local_income_tax || payroll.local_tax },
+    ...payItemRows(payroll, 'deduction'),
+    { k: '연말정산 소득세',     v: payroll.year_end_income_tax },
+    { k: '연말정산 지방소득세', v: payroll.year_end_local_income_tax },
   ], true);
 
   /* ── 근무 정보 ── */
@@ -0,0 +1,403 @@
+// netlify/functions/payroll-runs.js
+// 급여 실행(작성 → 검토 → 승인 → 지급 → 마감) 관리 API (관리자)
+// GET    ?year=&month=    → 정기 실행 + 조정 실행 목록(정정 내역 포함) + 급여 합계
+// GET    ?year=           → 해당 연도 실행 목록
+// GET    ?payrollId=      → 급여 버전 이력 (승인 이후 재계산·조정 반영 시 보존된 이전 결과 + 필드별 변경 내역)
+// POST   { year, month, to, reason }        → 정기 실행 단계 변경
+// POST   { runId, to, reason }              → 실행 단계 변경 (조정 실행 승인 시 정정 결과를 급여에 반영)
+// POST   { action: 'adjust', year, month, reason } → 마감된 달의 조정 실행 생성
+//          정정 계산은 calculate-payroll(-batch) 에 adjustmentRunId 전달
+// DELETE ?runId=&reason=   → 승인 전 조정 실행 취소 (정정 계산 내역 함께 삭제)
+//
+// 단계별 재계산 규칙은 lib/payroll-run.js
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const {
+  RUN_TYPE,
+  RUN_STATUS,
+  findRegularRun,
+  findOpenAdjustmentRun,
+  validateTransition,
+  transitionUpdates,
+  savePayrollVersion,
+  formatRun,
+} = require('./lib/payroll-run');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+function formatAdjustment(row) {
+  return {
+    id:              row.id,
+    employeeId:      row.employee_id,
+    payrollId:       row.payroll_id,
+    changes:         row.changes || {},
+    deltaPayment:    Number(row.delta_payment) || 0,
+    deltaDeductions: Number(row.delta_deductions) || 0,
+    deltaNet:        Number(row.delta_net) || 0,
+    reason:          row.reason,
+    appliedAt:       row.applied_at,
+    updatedAt:       row.updated_at,
+  };
+}
+
+// 귀속월 급여 합계 (정기 실행 검토용)
+async function payrollTotals(supabase, companyId, year, month) {
+  const { data, error } = await supabase
+    .from('payrolls')
+    .select('total_payment, total_deductions, net_payment, version')
+    .eq('company_id', companyId)
+    .eq('year', year)
+    .eq('month', month);
+  if (error) throw error;
+  const rows = data || [];
+  return {
+    count:           rows.length,
+    totalPayment:    rows.reduce((sum, r) => sum + (Number(r.total_payment) || 0), 0),
+    totalDeductions: rows.reduce((sum, r) => sum + (Number(r.total_deductions) || 0), 0),
+    totalNet:        rows.reduce((sum, r) => sum + (Number(r.net_payment) || 0), 0),
+    versioned:       rows.filter(r => (r.version || 1) > 1).length,
+  };
+}
+
+// 조정 실행 승인 — 정정 결과를 급여에 반영 (이전 결과는 버전으로 보존)
+async function applyAdjustments(supabase, actor, user, run) {
+  const { data: adjustments, error } = await supabase
+    .from('payroll_adjustments')
+    .select('*')
+    .eq('run_id', run.id)
+    .is('applied_at', null);
+  if (error) throw error;
+
+  for (const adj of adjustments || []) {
+    const { data: current } = await supabase
+      .from('payrolls')
+      .select('*')
+      .eq('employee_id', adj.employee_id)
+      .eq('year', adj.year)
+      .eq('month', adj.month)
+      .maybeSingle();
+
+    const next = { ...adj.after, run_id: current?.run_id || adj.after.run_id || null };
+    next.version = current
+      ? await savePayrollVersion(supabase, {
+          previous: current,
+          next,
+          runId: run.id,
+          reason: adj.reason || run.reason,
+          userId: user.userId,
+        })
+      : 1;
+
+    const { data: saved, error: saveError } = await supabase
+      .from('payrolls')
+      .upsert(next, { onConflict: 'employee_id,year,month' })
+      .select()
+      .single();
+    if (saveError) throw saveError;
+
+    await supabase
+      .from('payroll_adjustments')
+      .update({ applied_at: new Date().toISOString(), payroll_id: saved.id })
+      .eq('id', adj.id);
+
+    await recordAudit(supabase, actor, {
+      companyId:  user.companyId,
+      entityType: AUDIT_ENTITY.PAYROLL,
+      entityId:   saved.id,
+      action:     current ? AUDIT_ACTION.RECALCULATE : AUDIT_ACTION.CREATE,
+      before:     current,
+      after:      saved,
+      reason:     adj.reason || run.reason,
+      source:     'payroll-runs',
+    });
+  }
+  return (adjustments || []).length;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+  const actor = auditActor(event, user);
+
+  try {
+    if (event.httpMethod === 'GET') {
+      // 급여 버전 이력
+      if (params.payrollId) {
+        const { data: payroll } = await supabase
+          .from('payrolls')
+          .select('id, employee_id, year, month, version, run_id')
+          .eq('id', params.payrollId)
+          .eq('company_id', user.companyId)
+          .maybeSingle();
+        if (!payroll) return resp(404, { success: false, error: '급여 정보를 찾을 수 없습니다' });
+
+        const { data, error } = await supabase
+          .from('payroll_versions')
+          .select('id, version, run_id, changes, reason, created_by, created_at')
+          .eq('payroll_id', payroll.id)
+          .order('version', { ascending: false });
+        if (error) throw error;
+
+        return resp(200, {
+          success: true,
+          data: {
+            payrollId: payroll.id,
+            currentVersion: payroll.version || 1,
+            versions: (data || []).map(v => ({
+              id:        v.id,
+              version:   v.version,
+              runId:     v.run_id,
+              changes:   v.changes || {},
+              reason:    v.reason,
+              createdBy: v.created_by,
+              createdAt: v.created_at,
+            })),
+          },
+        });
+      }
+
+      const year = parseInt(params.year, 10);
+      if (!year) return resp(400, { success: false, error: 'year 필수' });
+
+      // 연도별 실행 목록
+      if (!params.month) {
+        const { data, error } = await supabase
+          .from('payroll_runs')
+          .select('*')
+          .eq('company_id', user.companyId)
+          .eq('year', year)
+          .order('month', { ascending: true })
+          .order('created_at', { ascending: true });
+        if (error) throw error;
+        return resp(200, { success: true, data: { runs: (data || []).map(formatRun) } });
+      }
+
+      const month = parseInt(params.month, 10);
+      const [run, { data: adjustmentRuns, error: adjRunError }, totals] = await Promise.all([
+        findRegularRun(supabase, { companyId: user.companyId, year, month }),
+        supabase
+          .from('payroll_runs')
+          .select('*')
+          .eq('company_id', user.companyId)
+          .eq('year', year)
+          .eq('month', month)
+          .eq('run_type', RUN_TYPE.ADJUSTMENT)
+          .order('created_at', { ascending: true }),
+        payrollTotals(supabase, user.companyId, year, month),
+      ]);
+      if (adjRunError) throw adjRunError;
+
+      const adjustmentIds = (adjustmentRuns || []).map(r => r.id);
+      let adjustmentRows = [];
+      if (adjustmentIds.length > 0) {
+        const { data, error } = await supabase
+          .from('payroll_adjustments')
+          .select('*')
+          .in('run_id', adjustmentIds);
+        if (error) throw error;
+        adjustmentRows = data || [];
+      }
+
+      return resp(200, {
+        success: true,
+        data: {
+          run: run ? formatRun(run) : null,
+          totals,
+          adjustments: (adjustmentRuns || []).map(r => {
+            const rows = adjustmentRows.filter(a => a.run_id === r.id).map(formatAdjustment);
+            return {
+              ...formatRun(r),
+              items: rows,
+              deltaNet: rows.reduce((sum, a) => sum + a.deltaNet, 0),
+            };
+          }),
+        },
+      });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+
+      // 조정 실행 생성 — 마감된 달만, 진행 중인 조정 실행은 1건
+      if (body.action === 'adjust') {
+        const year = parseInt(body.year, 10);
+        const month = parseInt(body.month, 10);
+        if (!year || !month) return resp(400, { success: false, error: 'year, month 필수' });
+        if (!body.reason || !String(body.reason).trim()) return resp(400, { success: false, error: '정정 사유를 입력해주세요' });
+
+        const run = await findRegularRun(supabase, { companyId: user.companyId, year, month });
+        if (!run || run.status !== RUN_STATUS.CLOSED) {
+          return resp(409, { success: false, error: '조정 실행은 마감된 달에만 만들 수 있습니다. 마감 전에는 재계산하세요.' });
+        }
+        const open = await findOpenAdjustmentRun(supabase, { companyId: user.companyId, year, month });
+        if (open) {
+          return resp(409, { success: false, error: '진행 중인 조정 실행이 있습니다. 마감 후 새로 만들어주세요.', data: formatRun(open) });
+        }
+
+        const { data, error } = await supabase
+          .from('payroll_runs')
+          .insert({
+            company_id: user.companyId,
+            year,
+            month,
+            run_type: RUN_TYPE.ADJUSTMENT,
+            status: RUN_STATUS.DRAFT,
+            reason: String(body.reason).trim().slice(0, 500),
+            created_by: user.userId,
+          })
+          .select()
+          .single();
+        if (error) throw error;
+
+        await recordAudit(supabase, actor, {
+          companyId:  user.companyId,
+          entityType: AUDIT_ENTITY.PAYROLL_RUN,
+          entityId:   data.id,
+          action:     AUDIT_ACTION.CREATE,
+          after:      data,
+          reason:     body.reason,
+          source:     'payroll-runs',
+        });
+
+        return resp(201, { success: true, data: formatRun(data), message: `${year}년 ${month}월 조정 실행이 만들어졌습니다. 정정할 직원의 급여를 계산하세요.` });
+      }
+
+      // 단계 변경
+      if (!body.to) return resp(400, { success: false, error: 'to(변경할 단계) 필수' });
+      let run;
+      if (body.runId) {
+        const { data } = await supabase
+          .from('payroll_runs')
+          .select('*')
+          .eq('id', body.runId)
+          .eq('company_id', user.companyId)
+          .maybeSingle();
+        run = data;
+      } else {
+        const year = parseInt(body.year, 10);
+        const month = parseInt(body.month, 10);
+        if (!year || !month) return resp(400, { success: false, error: 'runId 또는 year, month 필수' });
+        run = await findRegularRun(supabase, { companyId: user.companyId, year, month });
+      }
+      if (!run) return resp(404, { success: false, error: '급여 실행을 찾을 수 없습니다. 먼저 급여를 계산하세요.' });
+
+      const invalid = validateTransition(run, body.to);
+      if (invalid) return resp(409, { success: false, error: invalid });
+
+      // 검토 요청 전 계산 결과 확인
+      if (body.to === RUN_STATUS.REVIEWED && run.status === RUN_STATUS.DRAFT) {
+        const { count } = run.run_type === RUN_TYPE.ADJUSTMENT
+          ? await supabase.from('payroll_adjustments').select('id', { count: 'exact', head: true }).eq('run_id', run.id)
+          : await supabase.from('payrolls').select('id', { count: 'exact', head: true })
+            .eq('company_id', user.companyId).eq('year', run.year).eq('month', run.month);
+        if (!count) return resp(409, { success: false, error: '계산된 급여가 없습니다. 먼저 급여를 계산하세요.' });
+      }
+
+      // 되돌리기는 사유 필수
+      const backward = (run.status === RUN_STATUS.REVIEWED && body.to === RUN_STATUS.DRAFT)
+        || (run.status === RUN_STATUS.APPROVED && body.to === RUN_STATUS.REVIEWED);
+      if (backward && (!body.reason || !String(body.reason).trim())) {
+        return resp(400, { success: false, error: '이전 단계로 되돌리는 사유를 입력해주세요' });
+      }
+
+      let applied = 0;
+      if (run.run_type === RUN_TYPE.ADJUSTMENT && body.to === RUN_STATUS.APPROVED) {
+        applied = await applyAdjustments(supabase, actor, user, run);
+      }
+
+      const { data, error } = await supabase
+        .from('payroll_runs')
+        .update(transitionUpdates(run, body.to, user.userId))
+        .eq('id', run.id)
+        .eq('company_id', user.companyId)
+        .select()
+        .single();
+      if (error) throw error;
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.PAYROLL_RUN,
+        entityId:   data.id,
+        action:     AUDIT_ACTION.UPDATE,
+        before:     run,
+        after:      data,
+        reason:     body.reason,
+        source:     'payroll-runs',
+      });
+
+      const formatted = formatRun(data);
+      const label = run.run_type === RUN_TYPE.ADJUSTMENT ? '조정 실행' : `${run.year}년 ${run.month}월 급여`;
+      return resp(200, {
+        success: true,
+        data: formatted,
+        applied,
+        message: `${label}이(가) ${formatted.statusLabel} 단계로 변경되었습니다.`
+          + (applied > 0 ? ` (정정 ${applied}건 반영)` : ''),
+      });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (!params.runId) return resp(400, { success: false, error: 'runId 필수' });
+
+      const { data: run } = await supabase
+        .from('payroll_runs')
+        .select('*')
+        .eq('id', params.runId)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!run) return resp(404, { success: false, error: '급여 실행을 찾을 수 없습니다' });
+      if (run.run_type !== RUN_TYPE.ADJUSTMENT || ![RUN_STATUS.DRAFT, RUN_STATUS.REVIEWED].includes(run.status)) {
+        return resp(409, { success: false, error: '승인 전 조정 실행만 취소할 수 있습니다' });
+      }
+
+      const { error: adjError } = await supabase.from('payroll_adjustments').delete().eq('run_id', run.id);
+      if (adjError) throw adjError;
+      const { error } = await supabase.from('payroll_runs').delete().eq('id', run.id).eq('company_id', user.companyId);
+      if (error) throw error;
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.PAYROLL_RUN,
+        entityId:   run.id,
+        action:     AUDIT_ACTION.DELETE,
+        before:     run,
+        reason:     params.reason,
+        source:     'payroll-runs',
+      });
+
+      return resp(200, { success: true, message: '조정 실행이 취소되었습니다' });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('payroll-runs 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
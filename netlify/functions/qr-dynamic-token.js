@@ -0,0 +1,112 @@
+// netlify/functions/qr-dynamic-token.js
+// 동적(회전) QR 코드 API — 현장 태블릿/모니터 표시용 (qr-display.html)
+//
+// GET  /.netlify/functions/qr-dynamic-token?businessId=xxx
+//   → 현재 시간 구간의 QR 토큰 (비밀키는 서버 밖으로 나가지 않음)
+//   Response: { success, token, qrUrl, issuedAt, expiresAt, rotationSeconds, businessName }
+//
+// POST /.netlify/functions/qr-dynamic-token?businessId=xxx
+//   → 사업장 비밀키 재발급 (태블릿 분실 등) — 이전 비밀키로 만든 코드는 즉시 무효
+//
+// 사업장의 QR 방식(qr_mode: static | dynamic)과 회전 주기는 wifi-settings.js 에서 설정
+// 고정 QR(인쇄용)은 qr-token-generate.js
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken }  = require('./lib/auth');
+const { generateSecret, buildDynamicToken } = require('./lib/qr-totp');
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin':  'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers: corsHeaders, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers: corsHeaders, body: '' };
+  }
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  }
+
+  try {
+    // ── 인증 (관리자 계정으로 로그인한 현장 기기만) ──────────
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    const { companyId, role } = verifyToken(authHeader);
+
+    if (!['owner', 'manager'].includes(role)) {
+      return resp(403, { success: false, error: '관리자만 QR 코드를 표시할 수 있습니다.' });
+    }
+
+    const businessId = (event.queryStringParameters || {}).businessId;
+    if (!businessId) return resp(400, { success: false, error: 'businessId 필수' });
+
+    const supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+
+    const { data: biz, error } = await supabase
+      .from('businesses')
+      .select('id, name, qr_mode, qr_dynamic_secret, qr_rotation_seconds')
+      .eq('id', businessId)
+      .eq('company_id', companyId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!biz) return resp(404, { success: false, error: '사업장을 찾을 수 없습니다.' });
+
+    // ── POST: 비밀키 재발급 ──────────────────────────────────
+    if (event.httpMethod === 'POST') {
+      const { error: upErr } = await supabase
+        .from('businesses')
+        .update({ qr_dynamic_secret: generateSecret() })
+        .eq('id', biz.id);
+      if (upErr) throw upErr;
+      return resp(200, { success: true, message: '동적 QR 비밀키가 재발급되었습니다. 현장 화면을 새로고침해주세요.' });
+    }
+
+    // ── GET: 현재 코드 ───────────────────────────────────────
+    if (biz.qr_mode !== 'dynamic') {
+      return resp(409, { success: false, error: '이 사업장은 동적 QR을 사용하지 않습니다. 설정에서 QR 방식을 "동적 QR"로 변경해주세요.' });
+    }
+
+    // 비밀키가 없으면 최초 1회 생성
+    let secret = biz.qr_dynamic_secret;
+    if (!secret) {
+      secret = generateSecret();
+      const { error: upErr } = await supabase
+        .from('businesses')
+        .update({ qr_dynamic_secret: secret })
+        .eq('id', biz.id);
+      if (upErr) throw upErr;
+    }
+
+    const current = buildDynamicToken(biz.id, secret, biz.qr_rotation_seconds);
+
+    return resp(200, {
+      success:         true,
+      token:           current.token,
+      qrUrl:           `https://staffmanager.io/attendance-checkin.html?token=${current.token}`,
+      issuedAt:        current.issuedAt,
+      expiresAt:       current.expiresAt,
+      rotationSeconds: current.rotationSeconds,
+      serverTime:      new Date().toISOString(),  // 표시 기기 시계 오차 보정용
+      businessName:    biz.name,
+    });
+
+  } catch (err) {
+    if (err.message?.includes('token') || err.message?.includes('인증')) {
+      return resp(401, { success: false, error: '인증이 필요합니다.' });
+    }
+    console.error('qr-dynamic-token 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
@@ -0,0 +1,361 @@
+// netlify/functions/retro-pay.js
+// 소급 정산 API (관리자) — 효력 발생일이 지난 변경을 지급 완료된 달에 다시 계산해 차액을 다음 급여에 합산
+// GET    ?employeeId=&status=   → 소급 정산 목록 (status: pending | settled | cancelled)
+// GET    ?id=                   → 상세 (월별 지급분·재계산·항목별 차액 계산 내역)
+// POST   { employeeIds | employeeId, change, reason, preview? }
+//          change: { type: 'salary', baseSalary, salaryType?, effectiveFrom, effectiveTo? }
+//                | { type: 'pay_item', payItemId, amount, effectiveFrom, effectiveTo? }
+//                | { type: 'attendance', effectiveFrom, effectiveTo? }   (근태 정정 후 현재 기록으로 재계산)
+//          preview: true 면 저장 없이 계산 결과만
+// DELETE ?id=&reason=           → 미정산 소급분 취소
+//
+// 지급 완료·마감된 달만 소급 대상 (작성·검토·승인 단계는 재계산으로 반영)
+// 재계산은 calculate-payroll 의 simulate 모드 — 저장된 급여는 바뀌지 않음
+// 이미 정산된 소급분이 있는 달은 그 차액까지 지급된 것으로 보고 비교 (이중 지급 방지)
+// 계산·세금 처리 규칙은 lib/retro-pay.js
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { RUN_TYPE, RUN_STATUS, STATUS_LABELS } = require('./lib/payroll-run');
+const {
+  RETRO_STATUS,
+  RETRO_CHANGE_LABELS,
+  validateRetroChange,
+  buildOverrides,
+  computeMonthDelta,
+  summarizeRetro,
+  findSettlementMonth,
+  formatRetro,
+  monthKey,
+} = require('./lib/retro-pay');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+const SIMULATE_BATCH_SIZE = 6;
+const MAX_EMPLOYEES = 50;
+
+// 이미 정산(또는 정산 예정)된 소급분의 해당 월 차액을 지급분에 더함
+function withPriorRetro(original, priorRows) {
+  const baseline = { ...original };
+  for (const row of priorRows) {
+    const entry = (row.months || []).find(m => m.year === original.year && m.month === original.month);
+    if (!entry) continue;
+    for (const group of [entry.lines, entry.withheld, entry.deferred]) {
+      for (const [key, line] of Object.entries(group || {})) {
+        baseline[key] = (Number(baseline[key]) || 0) + line.delta;
+      }
+    }
+  }
+  return baseline;
+}
+
+// calculate-payroll simulate 호출 — 저장 없이 변경 반영 결과만
+async function simulatePayroll(event, { employeeId, year, month, overrides }) {
+  const baseUrl = process.env.URL || 'https://staffmanager.io';
+  const res = await fetch(`${baseUrl}/.netlify/functions/calculate-payroll`, {
+    method: 'POST',
+    headers: {
+      'Authorization': event.headers.authorization || event.headers.Authorization,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ employeeId, year, month, simulate: true, overrides, source: 'retro-pay' }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.success) throw new Error(data.error || `HTTP ${res.status}`);
+  return data.data;
+}
+
+// 직원 1명 소급 계산 — 월별 계산 내역 + 제외 월
+async function computeEmployeeRetro(supabase, event, { employee, change, months, runStatusByMonth }) {
+  const first = months[0];
+  const last = months[months.length - 1];
+  const [{ data: payrolls, error }, { data: priorRows, error: priorError }] = await Promise.all([
+    supabase
+      .from('payrolls')
+      .select('*')
+      .eq('employee_id', employee.id)
+      .gte('year', first.year)
+      .lte('year', last.year),
+    supabase
+      .from('retro_pay_adjustments')
+      .select('months')
+      .eq('employee_id', employee.id)
+      .in('status', [RETRO_STATUS.PENDING, RETRO_STATUS.SETTLED]),
+  ]);
+  if (error) throw error;
+  if (priorError) throw priorError;
+
+  const skipped = [];
+  const targets = [];
+  for (const { year, month } of months) {
+    const key = monthKey(year, month);
+    const original = (payrolls || []).find(p => p.year === year && p.month === month);
+    const status = runStatusByMonth.get(key);
+    if (!original) {
+      skipped.push({ month: key, reason: '급여 기록 없음' });
+    } else if (status !== RUN_STATUS.PAID && status !== RUN_STATUS.CLOSED) {
+      skipped.push({ month: key, reason: `${STATUS_LABELS[status] || '미확정'} 단계 — 해당 월을 재계산하세요` });
+    } else {
+      targets.push(original);
+    }
+  }
+
+  const overrides = buildOverrides(change);
+  const results = [];
+  for (let i = 0; i < targets.length; i += SIMULATE_BATCH_SIZE) {
+    const batch = targets.slice(i, i + SIMULATE_BATCH_SIZE);
+    results.push(...await Promise.all(batch.map(async (original) => {
+      const recalculated = await simulatePayroll(event, {
+        employeeId: employee.id,
+        year: original.year,
+        month: original.month,
+        overrides,
+      });
+      return computeMonthDelta(withPriorRetro(original, priorRows || []), recalculated);
+    })));
+  }
+
+  // 차액이 없는 달은 계산 내역에서 제외
+  const changed = results.filter(m => Object.keys(m.lines).length > 0
+    || Object.keys(m.withheld).length > 0 || Object.keys(m.deferred).length > 0);
+  for (const m of results) {
+    if (!changed.includes(m)) skipped.push({ month: monthKey(m.year, m.month), reason: '차액 없음' });
+  }
+  return { months: changed, skipped, totals: summarizeRetro(changed) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+  const actor = auditActor(event, user);
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (params.id) {
+        const { data } = await supabase
+          .from('retro_pay_adjustments')
+          .select('*')
+          .eq('id', params.id)
+          .eq('company_id', user.companyId)
+          .maybeSingle();
+        if (!data) return resp(404, { success: false, error: '소급 정산 내역을 찾을 수 없습니다' });
+        return resp(200, { success: true, data: formatRetro(data, { detail: true }) });
+      }
+
+      let query = supabase
+        .from('retro_pay_adjustments')
+        .select('*')
+        .eq('company_id', user.companyId)
+        .order('created_at', { ascending: false })
+        .limit(200);
+      if (params.employeeId) query = query.eq('employee_id', params.employeeId);
+      if (params.status) {
+        if (!Object.values(RETRO_STATUS).includes(params.status)) {
+          return resp(400, { success: false, error: 'status는 ' + Object.values(RETRO_STATUS).join(', ') + ' 중 하나' });
+        }
+        query = query.eq('status', params.status);
+      }
+      const { data, error } = await query;
+      if (error) throw error;
+      return resp(200, { success: true, data: (data || []).map(row => formatRetro(row)) });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      const preview = body.preview === true;
+
+      const validated = validateRetroChange(body.change);
+      if (validated.error) {
+        const { statusCode, ...rest } = validated.error;
+        return resp(statusCode, { success: false, ...rest });
+      }
+      const { change, months } = validated;
+      if (!preview && (!body.reason || !String(body.reason).trim())) {
+        return resp(400, { success: false, error: '소급 정산 사유를 입력해주세요' });
+      }
+
+      const employeeIds = Array.isArray(body.employeeIds) ? body.employeeIds : (body.employeeId ? [body.employeeId] : []);
+      if (employeeIds.length === 0) return resp(400, { success: false, error: 'employeeId 또는 employeeIds 필수' });
+      if (employeeIds.length > MAX_EMPLOYEES) {
+        return resp(400, { success: false, error: `한 번에 최대 ${MAX_EMPLOYEES}명까지 계산할 수 있습니다` });
+      }
+
+      const { data: employees, error: empError } = await supabase
+        .from('employees')
+        .select('id, name, company_id')
+        .eq('company_id', user.companyId)
+        .in('id', employeeIds);
+      if (empError) throw empError;
+      if (!employees || employees.length !== new Set(employeeIds).size) {
+        return resp(404, { success: false, error: '직원 정보를 찾을 수 없습니다' });
+      }
+
+      if (change.payItemId) {
+        const { data: payItem } = await supabase
+          .from('pay_items')
+          .select('id, name')
+          .eq('id', change.payItemId)
+          .eq('company_id', user.companyId)
+          .maybeSingle();
+        if (!payItem) return resp(404, { success: false, error: '수당·공제 항목을 찾을 수 없습니다' });
+        change.payItemName = payItem.name;
+      }
+
+      // 대상 기간의 정기 실행 단계 (지급 완료·마감된 달만 소급)
+      const { data: runs, error: runError } = await supabase
+        .from('payroll_runs')
+        .select('year, month, status')
+        .eq('company_id', user.companyId)
+        .eq('run_type', RUN_TYPE.REGULAR)
+        .gte('year', months[0].year)
+        .lte('year', months[months.length - 1].year);
+      if (runError) throw runError;
+      const runStatusByMonth = new Map((runs || []).map(r => [monthKey(r.year, r.month), r.status]));
+
+      const last = months[months.length - 1];
+      const settle = await findSettlementMonth(supabase, { companyId: user.companyId, after: last });
+
+      const results = [];
+      for (const employee of employees) {
+        try {
+          const computed = await computeEmployeeRetro(supabase, event, { employee, change, months, runStatusByMonth });
+          results.push({ employee, ...computed });
+        } catch (err) {
+          console.error(`소급 계산 실패 (${employee.name}):`, err.message);
+          results.push({ employee, error: err.message });
+        }
+      }
+
+      const summarize = (r) => ({
+        employeeId:   r.employee.id,
+        employeeName: r.employee.name,
+        error:        r.error || null,
+        months:       r.months || [],
+        skipped:      r.skipped || [],
+        totals:       r.totals || null,
+      });
+
+      if (preview) {
+        return resp(200, {
+          success: true,
+          preview: true,
+          data: { change, settleMonth: monthKey(settle.year, settle.month), results: results.map(summarize) },
+        });
+      }
+
+      const created = [];
+      for (const r of results) {
+        if (r.error || r.months.length === 0) continue;
+        const { data: row, error } = await supabase
+          .from('retro_pay_adjustments')
+          .insert({
+            company_id:     user.companyId,
+            employee_id:    r.employee.id,
+            change_type:    change.type,
+            change,
+            effective_from: change.effectiveFrom,
+            effective_to:   change.effectiveTo || monthKey(last.year, last.month),
+            months:         r.months,
+            skipped:        r.skipped,
+            ...r.totals,
+            status:         RETRO_STATUS.PENDING,
+            settle_year:    settle.year,
+            settle_month:   settle.month,
+            reason:         String(body.reason).trim().slice(0, 500),
+            created_by:     user.userId,
+          })
+          .select()
+          .single();
+        if (error) throw error;
+
+        await recordAudit(supabase, actor, {
+          companyId:  user.companyId,
+          entityType: AUDIT_ENTITY.RETRO_PAY,
+          entityId:   row.id,
+          action:     AUDIT_ACTION.CREATE,
+          after:      row,
+          reason:     body.reason,
+          source:     'retro-pay',
+        });
+        created.push(formatRetro(row));
+      }
+
+      const settleLabel = `${settle.year}년 ${settle.month}월`;
+      return resp(201, {
+        success: true,
+        data: { created, results: results.map(summarize), settleMonth: monthKey(settle.year, settle.month) },
+        message: created.length > 0
+          ? `${RETRO_CHANGE_LABELS[change.type]} 소급분 ${created.length}건이 ${settleLabel} 급여에 합산됩니다.`
+          : '소급 정산할 차액이 없습니다.',
+      });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      if (!params.id) return resp(400, { success: false, error: 'id 필수' });
+
+      const { data: row } = await supabase
+        .from('retro_pay_adjustments')
+        .select('*')
+        .eq('id', params.id)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!row) return resp(404, { success: false, error: '소급 정산 내역을 찾을 수 없습니다' });
+      if (row.status !== RETRO_STATUS.PENDING) {
+        return resp(409, { success: false, error: '이미 급여에 정산된 소급분은 취소할 수 없습니다. 해당 월 급여를 정정하세요.' });
+      }
+
+      const { data, error } = await supabase
+        .from('retro_pay_adjustments')
+        .update({ status: RETRO_STATUS.CANCELLED, updated_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .eq('status', RETRO_STATUS.PENDING)
+        .select()
+        .single();
+      if (error) throw error;
+
+      await recordAudit(supabase, actor, {
+        companyId:  user.companyId,
+        entityType: AUDIT_ENTITY.RETRO_PAY,
+        entityId:   row.id,
+        action:     AUDIT_ACTION.UPDATE,
+        before:     row,
+        after:      data,
+        reason:     params.reason,
+        source:     'retro-pay',
+      });
+
+      return resp(200, { success: true, data: formatRetro(data), message: '소급 정산이 취소되었습니다.' });
+    }
+
+    return resp(405, { success: false, error: '허용되지 않는 메서드' });
+  } catch (err) {
+    console.error('retro-pay 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
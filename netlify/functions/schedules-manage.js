@@ -0,0 +1,299 @@
+// netlify/functions/schedules-manage.js
+// 근무 스케줄 관리 API — 시프트 / 근무표 / 날짜 예외
+// GET    → 전체 조회          (?from=YYYY-MM-DD&to=YYYY-MM-DD : 날짜 예외 조회 범위, 기본 이번 달)
+// POST   → 신규 등록          Body: { entity: 'template' | 'schedule' | 'override', ... }
+// PUT    → 수정               Body: { entity, id, ... }
+// DELETE → 삭제               (?entity=&id= 쿼리스트링 필수)
+//
+// entity별 필드:
+//   template : name, startTime 'HH:MM', endTime 'HH:MM', breakMinutes, lateGraceMinutes, earlyLeaveGraceMinutes
+//   schedule : employeeId | businessId (둘 중 하나), scheduleType 'weekly' | 'rotation',
+//              weeklyShifts { "1": templateId, ... }  (0=일 ~ 6=토)
+//              rotationPattern [templateId | null, ...] + rotationStartDate
+//              effectiveFrom, effectiveTo?
+//   override : employeeId, overrideDate, shiftTemplateId | (startTime, endTime, breakMinutes) | isDayOff, reason?
+//
+// ※ 판정 로직은 lib/schedules.js 참고
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { isValidTime } = require('./lib/schedules');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+function getSupabase() {
+  return createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+}
+
+function toMinutes(value, fallback = 0) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// ── 입력값 → DB 레코드 변환 (오류 시 { error }) ─────────────
+function buildTemplate(body) {
+  const { name, startTime, endTime } = body;
+  if (!name || !name.trim()) return { error: '시프트 이름을 입력해주세요' };
+  if (!isValidTime(startTime) || !isValidTime(endTime)) return { error: '시작/종료 시각을 HH:MM 형식으로 입력해주세요' };
+  const breakMinutes = toMinutes(body.breakMinutes, 60);
+  const lateGrace = toMinutes(body.lateGraceMinutes);
+  const earlyGrace = toMinutes(body.earlyLeaveGraceMinutes);
+  if (breakMinutes === null || lateGrace === null || earlyGrace === null) return { error: '분 단위 값은 0 이상의 숫자여야 합니다' };
+  return {
+    record: {
+      name: name.trim(),
+      start_time: startTime.slice(0, 5),
+      end_time: endTime.slice(0, 5),
+      break_minutes: breakMinutes,
+      late_grace_minutes: lateGrace,
+      early_leave_grace_minutes: earlyGrace,
+    },
+  };
+}
+
+function buildSchedule(body, templateIds) {
+  const { employeeId, businessId, scheduleType, weeklyShifts, rotationPattern, rotationStartDate, effectiveFrom, effectiveTo } = body;
+  if (!employeeId === !businessId) return { error: '직원 또는 사업장 중 하나를 지정해주세요' };
+  if (!['weekly', 'rotation'].includes(scheduleType)) return { error: "scheduleType은 'weekly' 또는 'rotation'" };
+  if (!effectiveFrom || !DATE_RE.test(effectiveFrom)) return { error: '적용 시작일을 YYYY-MM-DD 형식으로 입력해주세요' };
+  if (effectiveTo && (!DATE_RE.test(effectiveTo) || effectiveTo < effectiveFrom)) return { error: '적용 종료일이 올바르지 않습니다' };
+
+  const record = {
+    employee_id: employeeId || null,
+    business_id: businessId || null,
+    schedule_type: scheduleType,
+    weekly_shifts: null,
+    rotation_pattern: null,
+    rotation_start_date: null,
+    effective_from: effectiveFrom,
+    effective_to: effectiveTo || null,
+  };
+
+  if (scheduleType === 'weekly') {
+    if (!weeklyShifts || typeof weeklyShifts !== 'object') return { error: '요일별 시프트를 지정해주세요' };
+    const shifts = {};
+    for (const [day, templateId] of Object.entries(weeklyShifts)) {
+      if (!/^[0-6]$/.test(day)) return { error: '요일은 0(일)~6(토)' };
+      if (!templateId) continue;
+      if (!templateIds.has(templateId)) return { error: '존재하지 않는 시프트가 포함되어 있습니다' };
+      shifts[day] = templateId;
+    }
+    record.weekly_shifts = shifts;
+  } else {
+    if (!Array.isArray(rotationPattern) || rotationPattern.length === 0 || rotationPattern.length > 56) {
+      return { error: '교대 패턴은 1~56일 길이로 입력해주세요' };
+    }
+    if (rotationPattern.some(id => id && !templateIds.has(id))) return { error: '존재하지 않는 시프트가 포함되어 있습니다' };
+    if (!rotationStartDate || !DATE_RE.test(rotationStartDate)) return { error: '교대 패턴 시작일을 YYYY-MM-DD 형식으로 입력해주세요' };
+    record.rotation_pattern = rotationPattern.map(id => id || null);
+    record.rotation_start_date = rotationStartDate;
+  }
+  return { record };
+}
+
+function buildOverride(body, templateIds) {
+  const { employeeId, overrideDate, shiftTemplateId, startTime, endTime, isDayOff, reason } = body;
+  if (!employeeId) return { error: '직원을 선택해주세요' };
+  if (!overrideDate || !DATE_RE.test(overrideDate)) return { error: '날짜를 YYYY-MM-DD 형식으로 입력해주세요' };
+
+  const record = {
+    employee_id: employeeId,
+    override_date: overrideDate,
+    shift_template_id: null,
+    start_time: null,
+    end_time: null,
+    break_minutes: null,
+    is_day_off: isDayOff === true,
+    reason: reason || null,
+  };
+  if (record.is_day_off) return { record };
+
+  if (shiftTemplateId) {
+    if (!templateIds.has(shiftTemplateId)) return { error: '존재하지 않는 시프트입니다' };
+    record.shift_template_id = shiftTemplateId;
+  } else if (isValidTime(startTime) && isValidTime(endTime)) {
+    const breakMinutes = toMinutes(body.breakMinutes, 60);
+    if (breakMinutes === null) return { error: '휴게시간은 0 이상의 숫자여야 합니다' };
+    record.start_time = startTime.slice(0, 5);
+    record.end_time = endTime.slice(0, 5);
+    record.break_minutes = breakMinutes;
+  } else {
+    return { error: '시프트, 근무 시각 또는 휴무 중 하나를 지정해주세요' };
+  }
+  return { record };
+}
+
+const TABLES = {
+  template: 'shift_templates',
+  schedule: 'work_schedules',
+  override: 'schedule_overrides',
+};
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    const tokenData = verifyToken(authHeader);
+    const { companyId, userId, role } = tokenData;
+
+    if (!companyId) {
+      return resp(401, { success: false, error: '인증 토큰이 유효하지 않습니다' });
+    }
+
+    const supabase = getSupabase();
+    const method = event.httpMethod;
+
+    // ── GET: 조회 (모든 구성원) ──────────────────────────
+    if (method === 'GET') {
+      const params = event.queryStringParameters || {};
+      const now = new Date(Date.now() + 9 * 3600 * 1000); // KST
+      const monthStart = now.toISOString().slice(0, 8) + '01';
+      const from = DATE_RE.test(params.from || '') ? params.from : monthStart;
+      const to = DATE_RE.test(params.to || '') ? params.to
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).toISOString().slice(0, 10);
+
+      const [tplRes, schRes, ovrRes] = await Promise.all([
+        supabase.from('shift_templates').select('*').eq('company_id', companyId).is('deleted_at', null).order('start_time'),
+        supabase.from('work_schedules').select('*').eq('company_id', companyId).is('deleted_at', null).order('effective_from', { ascending: false }),
+        supabase.from('schedule_overrides').select('*').eq('company_id', companyId)
+          .gte('override_date', from).lte('override_date', to).order('override_date'),
+      ]);
+      const failed = [tplRes, schRes, ovrRes].find(r => r.error);
+      if (failed) {
+        console.error('스케줄 조회 오류:', failed.error);
+        return resp(500, { success: false, error: '스케줄 조회 실패: ' + failed.error.message });
+      }
+
+      return resp(200, {
+        success: true,
+        data: { templates: tplRes.data || [], schedules: schRes.data || [], overrides: ovrRes.data || [], from, to },
+      });
+    }
+
+    // owner / manager 만 허용
+    if (!['owner', 'manager'].includes(role)) {
+      return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+    }
+
+    // ── DELETE: 삭제 ─────────────────────────────────────
+    if (method === 'DELETE') {
+      const { entity, id } = event.queryStringParameters || {};
+      if (!TABLES[entity]) return resp(400, { success: false, error: "entity는 template, schedule, override 중 하나" });
+      if (!id) return resp(400, { success: false, error: '삭제할 ID가 필요합니다' });
+
+      // 시프트/근무표는 과거 판정 이력 보존을 위해 소프트 삭제
+      const query = entity === 'override'
+        ? supabase.from(TABLES[entity]).delete()
+        : supabase.from(TABLES[entity]).update({ deleted_at: new Date().toISOString() });
+      const { data: deleted, error: deleteErr } = await query
+        .eq('id', id)
+        .eq('company_id', companyId)
+        .select('id');
+
+      if (deleteErr) {
+        console.error('스케줄 삭제 오류:', deleteErr);
+        return resp(500, { success: false, error: '삭제 실패: ' + deleteErr.message });
+      }
+      if (!deleted || deleted.length === 0) return resp(404, { success: false, error: '삭제할 항목을 찾을 수 없습니다' });
+
+      return resp(200, { success: true, message: '삭제되었습니다' });
+    }
+
+    if (method !== 'POST' && method !== 'PUT') {
+      return resp(405, { success: false, error: '허용되지 않는 메서드' });
+    }
+
+    // ── POST / PUT: 등록·수정 ────────────────────────────
+    const body = JSON.parse(event.body || '{}');
+    const { entity, id } = body;
+    if (!TABLES[entity]) return resp(400, { success: false, error: "entity는 template, schedule, override 중 하나" });
+    if (method === 'PUT' && !id) return resp(400, { success: false, error: '수정할 ID가 필요합니다' });
+
+    // 회사 소속 시프트 목록 (근무표/예외의 시프트 참조 검증용)
+    let templateIds = new Set();
+    if (entity !== 'template') {
+      const { data: tpls } = await supabase
+        .from('shift_templates')
+        .select('id')
+        .eq('company_id', companyId)
+        .is('deleted_at', null);
+      templateIds = new Set((tpls || []).map(t => t.id));
+    }
+
+    const built = entity === 'template' ? buildTemplate(body)
+      : entity === 'schedule' ? buildSchedule(body, templateIds)
+        : buildOverride(body, templateIds);
+    if (built.error) return resp(400, { success: false, error: built.error });
+
+    // 직원/사업장이 같은 회사 소속인지 확인
+    const employeeId = built.record.employee_id;
+    const businessId = built.record.business_id;
+    if (employeeId) {
+      const { data: emp } = await supabase
+        .from('employees').select('id').eq('id', employeeId).eq('company_id', companyId).maybeSingle();
+      if (!emp) return resp(404, { success: false, error: '등록되지 않은 직원입니다' });
+    }
+    if (businessId) {
+      const { data: biz } = await supabase
+        .from('businesses').select('id').eq('id', businessId).eq('company_id', companyId).maybeSingle();
+      if (!biz) return resp(404, { success: false, error: '등록되지 않은 사업장입니다' });
+    }
+
+    if (method === 'POST') {
+      const insertQuery = entity === 'override'
+        // 같은 직원·날짜 예외는 하나만 유지
+        ? supabase.from(TABLES[entity]).upsert(
+          { ...built.record, company_id: companyId, created_by: userId || null },
+          { onConflict: 'employee_id,override_date' })
+        : supabase.from(TABLES[entity]).insert({ ...built.record, company_id: companyId, created_by: userId || null });
+
+      const { data: record, error: insertErr } = await insertQuery.select().single();
+      if (insertErr) {
+        console.error('스케줄 등록 오류:', insertErr);
+        return resp(500, { success: false, error: '등록 실패: ' + insertErr.message });
+      }
+      return resp(201, { success: true, data: record });
+    }
+
+    const { data: updated, error: updateErr } = await supabase
+      .from(TABLES[entity])
+      .update({ ...built.record, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('company_id', companyId)
+      .select()
+      .maybeSingle();
+
+    if (updateErr) {
+      console.error('스케줄 수정 오류:', updateErr);
+      return resp(500, { success: false, error: '수정 실패: ' + updateErr.message });
+    }
+    if (!updated) return resp(404, { success: false, error: '수정할 항목을 찾을 수 없습니다' });
+
+    return resp(200, { success: true, data: updated });
+
+  } catch (err) {
+    console.error('schedules-manage 오류:', err.message);
+    if (err.message.includes('인증') || err.message.includes('토큰') || err.message.includes('만료')) {
+      return resp(401, { success: false, error: err.message });
+    }
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
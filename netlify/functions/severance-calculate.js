@@ -2,10 +2,11 @@
 // Phase 11: 퇴직금 계산 엔진 메인 API
 //
 // POST /api/severance-calculate
-// Body: { employeeId, retirementDate, severanceType, includeBonus, bonusAnnualAmount, preview }
+// Body: { employeeId, retirementDate, severanceType, includeBonus, bonusAnnualAmount, dismissal, noticeDays, preview }
 //
 // preview=true  → 계산 결과만 반환 (DB 저장 안 함)
 // preview=false → DB 저장 후 결과 반환
+// dismissal=true → 해고예고수당 함께 계산 (noticeDays: 실제 예고 일수, 30일 미만이면 30일분 통상임금)
 
 const { verifyToken } = require('./lib/auth');
 const { createClient } = require('@supabase/supabase-js');
@@ -18,6 +19,7 @@ const {
   calculateSeveranceTax,
   calcIrpTaxBenefit,
 } = require('./lib/severance-tax');
+const { loadOrdinaryWage, calculateDismissalNoticePay } = require('./lib/ordinary-wage');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -54,6 +56,8 @@ exports.handler = async (event) => {
       includeBonus = true,         // 상여금 포함 여부 (사업장 선택)
       bonusAnnualAmount = 0,       // 연간 상여금 총액 (직접 입력)
       irpAccount = '',
+      dismissal = false,           // 해고 여부 (해고예고수당 계산)
+      noticeDays = 0,              // 해고 예고 일수
       preview = true,              // true=계산만 / false=저장
     } = JSON.parse(event.body || '{}');
 
@@ -69,7 +73,7 @@ exports.handler = async (event) => {
         id, company_id, user_id, hire_date, salary_type,
         base_salary, monthly_wage, annual_salary,
         work_start_time, work_end_time, break_time_minutes,
-        work_days,
+        work_days, weekly_contract_hours,
         meal_allowance, car_allowance, childcare_allowance,
         pension_type, irp_account, bonus_annual_amount
       `)
@@ -103,19 +107,6 @@ exports.handler = async (event) => {
     }
 
     const hireDate = emp.hire_date;
-
-    // work_hours_per_day: work_start_time ~ work_end_time - break_time_minutes 로 계산
-    const calcWorkHours = () => {
-      if (emp.work_start_time && emp.work_end_time) {
-        const [sh, sm] = emp.work_start_time.split(':').map(Number);
-        const [eh, em] = emp.work_end_time.split(':').map(Number);
-        const totalMin = (eh * 60 + em) - (sh * 60 + sm) - (emp.break_time_minutes || 60);
-        return Math.max(totalMin / 60, 8); // 최소 8시간
-      }
-      return 8; // 기본값
-    };
-    emp.work_hours_per_day = calcWorkHours();
-    emp.work_days_per_week = emp.work_days || 5; // work_days 컬럼 사용
     if (!hireDate) {
       return respond(400, { success: false, error: '입사일 정보가 없습니다. 직원 정보를 먼저 확인해주세요.' });
     }
@@ -141,7 +132,8 @@ exports.handler = async (event) => {
       .from('payrolls')
       .select(`
         year, month, base_salary, overtime_pay, night_work_pay, holiday_work_pay,
-        meal_allowance, transport_allowance, position_allowance, unused_leave_pay
+        meal_allowance, transport_allowance, position_allowance, unused_leave_pay,
+        average_wage_allowances
       `)
       .eq('employee_id', employeeId)
       
@@ -184,6 +176,10 @@ exports.handler = async (event) => {
       ? bonusAnnualAmount
       : (emp.bonus_annual_amount || 0);
 
+    // 1일 통상임금: 퇴직월 기준 기본급 + 통상임금 포함 수당·정기상여금 (lib/ordinary-wage.js)
+    const [retireYear, retireMonth] = retirementDate.split('-').map(Number);
+    const ordinaryWage = await loadOrdinaryWage(supabase, { employee: emp, year: retireYear, month: retireMonth });
+
     const avgResult = calculateAverageWage({
       hireDate,
       retirementDate,
@@ -192,6 +188,7 @@ exports.handler = async (event) => {
       exclusions: exclusions || [],
       includeBonus,
       bonusAnnualAmount: effectiveBonusAmount,
+      ordinaryWage,
     });
 
     // ── 6. 퇴직금 계산 ──
@@ -211,6 +208,16 @@ exports.handler = async (event) => {
     paymentDueDate.setDate(paymentDueDate.getDate() + 14);
     const paymentDueDateStr = paymentDueDate.toISOString().slice(0, 10);
 
+    // ── 9-1. 해고예고수당 (근로소득 — 퇴직금과 별도로 마지막 급여와 함께 지급) ──
+    const dismissalNotice = dismissal
+      ? calculateDismissalNoticePay({
+          dailyOrdinaryWage: ordinaryWage.dailyOrdinaryWage,
+          hireDate,
+          dismissalDate: retirementDate,
+          noticeDays: Number(noticeDays) || 0,
+        })
+      : null;
+
     // ── 10. IRP 절세 시뮬레이션 ──
     const irpBenefit = calcIrpTaxBenefit(taxResult.incomeTax);
 
@@ -225,6 +232,9 @@ exports.handler = async (event) => {
     if (!irpAccount && !emp.irp_account) {
       warnings.push('⚠️ IRP 계좌가 등록되지 않았습니다. 2022.4.14부터 퇴직금은 IRP 계좌로 이전 의무화됩니다.');
     }
+    if (dismissalNotice?.applicable) {
+      warnings.push(`ℹ️ 30일 전 해고 예고가 없어 해고예고수당 ${dismissalNotice.amount.toLocaleString()}원(통상임금 30일분)을 별도 지급해야 합니다. (근로기준법 제26조)`);
+    }
     const overdueDays = Math.floor((new Date() - paymentDueDate) / 86400000);
     // 지연이자 계산: 퇴직금 × 20% × (초과일수 / 365) - 근로기준법 제37조
     let delayInterest = 0;
@@ -270,6 +280,12 @@ exports.handler = async (event) => {
         usedOrdinary: avgResult.usedOrdinary,
       },
 
+      // 통상임금 산정 내역 (시간급·1일 통상임금, 기준시간, 포함 수당·정기상여금)
+      ordinaryWage,
+
+      // 해고예고수당 (dismissal=true 일 때만)
+      dismissalNotice,
+
       // 퇴직금
       severancePay,
 
@@ -324,6 +340,8 @@ exports.handler = async (event) => {
         total_wage_3m: avgResult.totalWage3m,
         daily_average_wage: avgResult.dailyAverageWage,
         daily_ordinary_wage: avgResult.dailyOrdinaryWage,
+        ordinary_wage_breakdown: ordinaryWage,
+        dismissal_notice_pay: dismissalNotice?.amount || 0,
         applied_daily_wage: avgResult.appliedDailyWage,
         severance_pay: severancePay,
         service_years_deduction: taxResult.serviceYearsDeduction,
@@ -3,6 +3,9 @@
  * SOLAPI 알림 발송 통합 엔드포인트
  * POST /.netlify/functions/solapi-send
  * Phase 9-A: 카카오 알림 플랜 사용량 제한 연동
+ *
+ * 서버 함수에서 직접 발송: require('./solapi-send').sendEmployeeNotification(supabase, { companyId, employeeId, type, data })
+ *                         require('./solapi-send').sendManagerNotification(supabase, { companyId, type, data })  // 대표·관리자 전원
  */
 
 const { verifyToken } = require('./lib/auth');
@@ -68,6 +71,65 @@ function buildTemplate(type, data) {
         linkUrl: 'https://staffmanager.io/leaves.html',
       };
     }
+    case 'attendance_correction': {
+      // 출퇴근 정정 요청 결과 (attendance-corrections.js 승인/반려 시 자동 발송)
+      const statusText = data.status === 'approved' ? '승인' : '반려';
+      return {
+        templateId: data.status === 'approved' ? (process.env.SOLAPI_TEMPLATE_CORRECTION_APPROVE || null) : (process.env.SOLAPI_TEMPLATE_CORRECTION_REJECT || null),
+        variables: { '#{이름}': data.employeeName, '#{근무일}': data.workDate, '#{요청종류}': data.requestType || '출퇴근 정정', '#{결과}': statusText, '#{사유}': data.reviewNote || '' },
+        fallbackText: `[StaffManager] ${data.employeeName}님의 ${data.workDate} ${data.requestType || '출퇴근 정정'} 요청이 ${statusText}되었습니다.` +
+          (data.reviewNote ? `\n사유: ${data.reviewNote}` : ''),
+        title: `출퇴근 정정 ${statusText}`,
+        message: `${data.workDate} ${data.requestType || '출퇴근 정정'} 요청이 ${statusText}되었습니다.`,
+        linkUrl: 'https://staffmanager.io/attendance.html',
+      };
+    }
+    case 'year_end_request': {
+      // 연말정산 공제 신고 요청 (year-end-settlements.js) — 직원 수신, 제출 링크 포함
+      return {
+        templateId: process.env.SOLAPI_TEMPLATE_YEAR_END || null,
+        variables: { '#{이름}': data.employeeName, '#{귀속연도}': String(data.year), '#{제출기한}': data.dueDate, '#{링크}': data.submitUrl },
+        fallbackText: `[StaffManager] ${data.employeeName}님, ${data.year}년 귀속 연말정산 공제 신고를 제출해주세요.
+기한: ${data.dueDate}
+${data.submitUrl}`,
+        title: `${data.year}년 연말정산 공제 신고 요청`,
+        message: `${data.dueDate}까지 연말정산 공제 신고를 제출해주세요.`,
+        linkUrl: data.submitUrl,
+      };
+    }
+    case 'weekly_hours': {
+      // 주 52시간 모니터링 (lib/weekly-hours.js) — 관리자 수신
+      // level: 'threshold' (누적 근로시간이 알림 기준 도달) | 'forecast' (남은 스케줄 포함 시 한도 초과 예상)
+      //        | 'violation' (연장근로 12시간 초과)
+      const headline = {
+        forecast:  `이번 주 스케줄대로 근무하면 연장근로가 12시간을 넘습니다 (예상 ${data.forecastHours}시간).`,
+        violation: `이번 주 연장근로가 ${data.overtimeHours}시간으로 주 12시간 한도(주 ${data.limitHours}시간)를 넘었습니다.`,
+      }[data.level] || `이번 주 누적 근로시간이 ${data.totalHours}시간으로 알림 기준 ${data.thresholdHours}시간에 도달했습니다.`;
+      return {
+        templateId: process.env.SOLAPI_TEMPLATE_WEEKLY_HOURS || null,
+        variables: { '#{이름}': data.employeeName, '#{주간}': data.weekLabel, '#{누적시간}': String(data.totalHours), '#{예상시간}': String(data.forecastHours), '#{안내}': headline },
+        fallbackText: `[StaffManager] ${data.employeeName}님 근로시간 알림 (${data.weekLabel})
+${headline}
+누적 ${data.totalHours}시간 · 예상 ${data.forecastHours}시간 (연장 ${data.overtimeHours}시간)`,
+        title: { forecast: '주 52시간 초과 예상', violation: '주 52시간 위반' }[data.level] || `주 근로시간 ${data.thresholdHours}시간 도달`,
+        message: `${data.employeeName}님 — ${headline}`,
+        linkUrl: 'https://staffmanager.io/attendances.html',
+      };
+    }
+    case 'weekly_hours_report': {
+      // 주간 근로시간 준수 리포트 (weekly-hours-report.js, 매주 월요일) — 관리자 수신
+      return {
+        templateId: process.env.SOLAPI_TEMPLATE_WEEKLY_REPORT || null,
+        variables: { '#{주간}': data.weekLabel, '#{위반건수}': String(data.violationCount), '#{사업장}': data.businessSummary || '' },
+        fallbackText: `[StaffManager] 주간 근로시간 리포트 (${data.weekLabel})
+주 52시간 위반 ${data.violationCount}명
+${data.businessSummary || ''}
+확인: https://staffmanager.io/attendances.html`,
+        title: '주 52시간 위반 리포트',
+        message: `${data.weekLabel} 주 52시간 위반 ${data.violationCount}명`,
+        linkUrl: 'https://staffmanager.io/attendances.html',
+      };
+    }
     default:
       throw new Error(`알 수 없는 알림 종류: ${type}`);
   }
@@ -90,88 +152,142 @@ async function saveNotificationLog(supabase, { userId, companyId, type, title, m
   if (error) console.warn('notifications 저장 실패:', error.message);
 }
 
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: CORS_HEADERS, body: '' };
-  if (event.httpMethod !== 'POST') return { statusCode: 405, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: 'POST만 허용됩니다.' }) };
+/**
+ * 직원에게 알림톡(실패 시 SMS) 발송 + notifications 기록 + 요금제 사용량 반영
+ * @returns {Promise<{ success: true, channel, messageId } | { success: false, statusCode, error }>}
+ */
+async function sendEmployeeNotification(supabase, { companyId, employeeId, type, data }) {
+  // ── Phase 9-A: 카카오 알림 플랜 한도 확인 ─────────────────────
+  // 비유: 문자 쿠폰 — 이번 달 남은 카카오 발송 횟수 확인
+  // Free 30건 / Pro 300건 / Business 무제한
+  const planCheck = await checkPlanLimit(supabase, companyId, FEATURES.KAKAO_ALERT);
+  if (!planCheck.allowed) {
+    console.log(`[solapi-send] 플랜 한도 초과: ${planCheck.plan} (${planCheck.used}/${planCheck.limit})`);
+    return { statusCode: 402, ...planCheck, success: false };
+  }
+  // ──────────────────────────────────────────────────────────────
 
-  try {
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    const tokenData = verifyToken(authHeader);
-    if (!tokenData.companyId) return { statusCode: 401, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: '인증 토큰이 유효하지 않습니다.' }) };
+  const { data: empData, error: empError } = await supabase
+    .from('employees')
+    .select('id, user_id, users:user_id(name, phone)')
+    .eq('id', employeeId)
+    .eq('company_id', companyId)
+    .single();
 
-    const { type, employeeId, data } = JSON.parse(event.body || '{}');
-    if (!type || !employeeId) return { statusCode: 400, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: 'type, employeeId는 필수입니다.' }) };
+  if (empError || !empData) return { success: false, statusCode: 404, error: '직원 정보를 찾을 수 없습니다.' };
 
-    const supabase = getSupabase();
+  const user = Array.isArray(empData.users) ? empData.users[0] : empData.users;
+  const phone = (user?.phone || '').replace(/[^0-9]/g, '');
+
+  if (!phone || phone.length < 10) return { success: false, statusCode: 400, error: '직원의 전화번호가 등록되지 않았습니다.' };
+
+  return deliver(supabase, { companyId, userId: empData.user_id, phone, type, data: { ...data, employeeName: user?.name || '직원' }, planCheck });
+}
+
+/**
+ * 회사 대표·관리자(owner/manager) 전원에게 발송 — 근로시간 한도 경보 등 관리자용 알림
+ * @returns {Promise<{ success: boolean, sent: number, failed: number, error?: string }>}
+ */
+async function sendManagerNotification(supabase, { companyId, type, data }) {
+  const { data: managers, error } = await supabase
+    .from('users')
+    .select('id, name, phone')
+    .eq('company_id', companyId)
+    .in('role', ['owner', 'manager']);
+  if (error) return { success: false, sent: 0, failed: 0, error: error.message };
 
-    // ── Phase 9-A: 카카오 알림 플랜 한도 확인 ─────────────────────
-    // 비유: 문자 쿠폰 — 이번 달 남은 카카오 발송 횟수 확인
-    // Free 30건 / Pro 300건 / Business 무제한
-    const planCheck = await checkPlanLimit(supabase, tokenData.companyId, FEATURES.KAKAO_ALERT);
+  let sent = 0;
+  let failed = 0;
+  for (const manager of managers || []) {
+    const phone = (manager.phone || '').replace(/[^0-9]/g, '');
+    if (phone.length < 10) continue;
+
+    const planCheck = await checkPlanLimit(supabase, companyId, FEATURES.KAKAO_ALERT);
     if (!planCheck.allowed) {
       console.log(`[solapi-send] 플랜 한도 초과: ${planCheck.plan} (${planCheck.used}/${planCheck.limit})`);
-      return { statusCode: 402, headers: CORS_HEADERS, body: JSON.stringify({ success: false, ...planCheck }) };
+      return { success: sent > 0, sent, failed, error: '카카오 알림 사용량 한도 초과' };
+    }
+    try {
+      const result = await deliver(supabase, { companyId, userId: manager.id, phone, type, data, planCheck });
+      if (result.success) sent++; else failed++;
+    } catch (e) {
+      console.error('[solapi-send] 관리자 알림 실패:', e.message);
+      failed++;
     }
-    // ──────────────────────────────────────────────────────────────
+  }
+  return { success: sent > 0, sent, failed };
+}
 
-    const { data: empData, error: empError } = await supabase
-      .from('employees')
-      .select('id, user_id, users:user_id(name, phone)')
-      .eq('id', employeeId)
-      .eq('company_id', tokenData.companyId)
-      .single();
+// 알림톡(실패 시 SMS) 발송 → notifications 기록 → 사용량 +1
+async function deliver(supabase, { companyId, userId, phone, type, data, planCheck }) {
+  const apiKey = process.env.SOLAPI_API_KEY;
+  const apiSecret = process.env.SOLAPI_API_SECRET;
+  const sender = process.env.SOLAPI_SENDER;
+  const pfId = process.env.SOLAPI_PF_ID;
 
-    if (empError || !empData) return { statusCode: 404, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: '직원 정보를 찾을 수 없습니다.' }) };
+  if (!apiKey || !apiSecret || !sender) return { success: false, statusCode: 500, error: 'SOLAPI 환경변수가 설정되지 않았습니다.' };
 
-    const user = Array.isArray(empData.users) ? empData.users[0] : empData.users;
-    const phone = (user?.phone || '').replace(/[^0-9]/g, '');
+  const { templateId, variables, fallbackText, title, message: msgBody, linkUrl } = buildTemplate(type, data);
 
-    if (!phone || phone.length < 10) return { statusCode: 400, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: '직원의 전화번호가 등록되지 않았습니다.' }) };
+  let result, usedChannel;
 
-    const apiKey = process.env.SOLAPI_API_KEY;
-    const apiSecret = process.env.SOLAPI_API_SECRET;
-    const sender = process.env.SOLAPI_SENDER;
-    const pfId = process.env.SOLAPI_PF_ID;
+  if (templateId && pfId) {
+    try {
+      result = await sendAlimtalk({ to: phone, pfId, templateId, variables, fallbackText, apiKey, apiSecret, sender });
+      usedChannel = 'alimtalk';
+    } catch (kakaoErr) {
+      console.warn('[SOLAPI] 알림톡 실패, SMS 폴백:', kakaoErr.message);
+      result = await sendSms({ to: phone, text: fallbackText, apiKey, apiSecret, sender });
+      usedChannel = 'sms_fallback';
+    }
+  } else {
+    result = await sendSms({ to: phone, text: fallbackText, apiKey, apiSecret, sender });
+    usedChannel = 'sms';
+  }
 
-    if (!apiKey || !apiSecret || !sender) return { statusCode: 500, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: 'SOLAPI 환경변수가 설정되지 않았습니다.' }) };
+  await saveNotificationLog(supabase, {
+    userId, companyId,
+    type, title, message: msgBody, templateId: templateId || null,
+    kakaoSent: true,
+    messageId: result?.messageId || result?.groupId || null,
+    linkUrl,
+  });
 
-    const enrichedData = { ...data, employeeName: user?.name || '직원' };
-    const { templateId, variables, fallbackText, title, message: msgBody, linkUrl } = buildTemplate(type, enrichedData);
+  // ── Phase 9-A: 발송 성공 → 사용량 +1 ─────────────────────────
+  // 성공 후에만 카운트 (실패 시 카운트 안 함)
+  await incrementUsage(supabase, companyId, FEATURES.KAKAO_ALERT);
+  console.log(`[solapi-send] 사용량 +1: ${planCheck.plan} (${planCheck.used + 1}/${planCheck.limit === -1 ? '무제한' : planCheck.limit})`);
+  // ──────────────────────────────────────────────────────────────
 
-    let result, usedChannel;
+  return { success: true, channel: usedChannel, messageId: result?.messageId || result?.groupId };
+}
 
-    if (templateId && pfId) {
-      try {
-        result = await sendAlimtalk({ to: phone, pfId, templateId, variables, fallbackText, apiKey, apiSecret, sender });
-        usedChannel = 'alimtalk';
-      } catch (kakaoErr) {
-        console.warn('[SOLAPI] 알림톡 실패, SMS 폴백:', kakaoErr.message);
-        result = await sendSms({ to: phone, text: fallbackText, apiKey, apiSecret, sender });
-        usedChannel = 'sms_fallback';
-      }
-    } else {
-      result = await sendSms({ to: phone, text: fallbackText, apiKey, apiSecret, sender });
-      usedChannel = 'sms';
-    }
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+  if (event.httpMethod !== 'POST') return { statusCode: 405, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: 'POST만 허용됩니다.' }) };
+
+  try {
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    const tokenData = verifyToken(authHeader);
+    if (!tokenData.companyId) return { statusCode: 401, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: '인증 토큰이 유효하지 않습니다.' }) };
 
-    await saveNotificationLog(supabase, {
-      userId: empData.user_id, companyId: tokenData.companyId,
-      type, title, message: msgBody, templateId: templateId || null,
-      kakaoSent: true,
-      messageId: result?.messageId || result?.groupId || null,
-      linkUrl,
-    });
+    const { type, employeeId, data } = JSON.parse(event.body || '{}');
+    if (!type || !employeeId) return { statusCode: 400, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: 'type, employeeId는 필수입니다.' }) };
 
-    // ── Phase 9-A: 발송 성공 → 사용량 +1 ─────────────────────────
-    // 성공 후에만 카운트 (실패 시 카운트 안 함)
-    await incrementUsage(supabase, tokenData.companyId, FEATURES.KAKAO_ALERT);
-    console.log(`[solapi-send] 사용량 +1: ${planCheck.plan} (${planCheck.used + 1}/${planCheck.limit === -1 ? '무제한' : planCheck.limit})`);
-    // ──────────────────────────────────────────────────────────────
+    const supabase = getSupabase();
+    const result = await sendEmployeeNotification(supabase, { companyId: tokenData.companyId, employeeId, type, data });
+    if (!result.success) {
+      const { statusCode, ...rest } = result;
+      return { statusCode, headers: CORS_HEADERS, body: JSON.stringify(rest) };
+    }
 
-    return { statusCode: 200, headers: CORS_HEADERS, body: JSON.stringify({ success: true, channel: usedChannel, messageId: result?.messageId || result?.groupId }) };
+    return { statusCode: 200, headers: CORS_HEADERS, body: JSON.stringify(result) };
 
   } catch (error) {
     console.error('[SOLAPI] 예외:', error.message);
     return { statusCode: 500, headers: CORS_HEADERS, body: JSON.stringify({ success: false, error: '알림 발송 실패: ' + error.message }) };
   }
-};
\ No newline at end of file
+};
+
+exports.sendEmployeeNotification = sendEmployeeNotification;
+exports.sendManagerNotification = sendManagerNotification;
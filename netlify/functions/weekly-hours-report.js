@@ -0,0 +1,104 @@
+// netlify/functions/weekly-hours-report.js
+// 주간 근로시간 준수 리포트 배치 — 매주 월요일 09:00 KST (netlify.toml schedule)
+//
+// 지난 주(월~일) 근로시간을 직원별로 다시 집계해 확정 저장 (weekly_work_hours)
+//  - 퇴근 누락 마감·정정 승인 등 실시간 갱신이 빠진 경우도 여기서 맞춰짐
+//  - 연장근로 12시간 초과(주 52시간 위반) 직원이 있으면 관리자에게 사업장별 요약 알림
+//  - 5인 미만 사업장은 집계만 (limit_applies = false, 위반 아님)
+
+const { createClient } = require('@supabase/supabase-js');
+const { captureError } = require('./lib/sentry');
+const {
+  weekStartOf,
+  weekLabel,
+  loadWeekEmployees,
+  loadWeeklySummaries,
+  loadLimitApplies,
+  saveSnapshot,
+} = require('./lib/weekly-hours');
+const { sendManagerNotification } = require('./solapi-send');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MS_DAY = 24 * 60 * 60 * 1000;
+
+// 회사 1곳의 지난 주 집계 확정 + 위반 알림
+async function reportCompany(company, weekStart, now) {
+  const employees = await loadWeekEmployees(supabase, { companyId: company.id, weekStart });
+  if (employees.length === 0) return { employees: 0, violations: 0, notified: false };
+
+  const [summaries, limits, { data: businesses }] = await Promise.all([
+    loadWeeklySummaries(supabase, { companyId: company.id, weekStart, employees, now }),
+    loadLimitApplies(supabase, { companyId: company.id, weekStart, employees }),
+    supabase.from('businesses').select('id, name').eq('company_id', company.id),
+  ]);
+  const businessNames = Object.fromEntries((businesses || []).map(b => [b.id, b.name]));
+
+  const violationsByBusiness = new Map();
+  let violations = 0;
+  for (const employee of employees) {
+    const summary = summaries.get(employee.id);
+    const limitApplies = limits.get(employee.id) !== false;
+    await saveSnapshot(supabase, { companyId: company.id, employee, summary, limitApplies });
+
+    if (limitApplies && summary.violation) {
+      const name = businessNames[employee.business_id] || '미지정';
+      violationsByBusiness.set(name, (violationsByBusiness.get(name) || 0) + 1);
+      violations++;
+    }
+  }
+
+  let notified = false;
+  if (violations > 0 && company.weekly_hour_alerts_enabled !== false) {
+    const result = await sendManagerNotification(supabase, {
+      companyId: company.id,
+      type: 'weekly_hours_report',
+      data: {
+        weekLabel: weekLabel(weekStart),
+        violationCount: violations,
+        businessSummary: [...violationsByBusiness].map(([name, count]) => `${name} ${count}명`).join(', '),
+      },
+    });
+    notified = result.success;
+  }
+
+  return { employees: employees.length, violations, notified };
+}
+
+exports.handler = async () => {
+  const now = new Date();
+  const weekStart = weekStartOf(new Date(now.getTime() - 7 * MS_DAY)); // 지난 주 월요일
+  const summary = { weekStart, companies: 0, employees: 0, violations: 0, notified: 0, failed: [] };
+
+  try {
+    const { data: companies, error } = await supabase
+      .from('companies')
+      .select('id, weekly_hour_alerts_enabled');
+    if (error) throw error;
+
+    for (const company of companies || []) {
+      try {
+        const r = await reportCompany(company, weekStart, now);
+        summary.employees += r.employees;
+        summary.violations += r.violations;
+        if (r.notified) summary.notified++;
+        summary.companies++;
+      } catch (e) {
+        // 한 회사 실패가 전체 배치를 멈추지 않도록 기록 후 계속
+        console.error(`[weekly-hours-report] ${company.id} 처리 실패:`, e.message);
+        captureError(e, { function: 'weekly-hours-report', companyId: company.id });
+        summary.failed.push(company.id);
+      }
+    }
+
+    console.log('[weekly-hours-report] 완료:', summary);
+    return { statusCode: 200, body: JSON.stringify({ success: true, ...summary }) };
+  } catch (error) {
+    console.error('[weekly-hours-report] 오류:', error);
+    captureError(error, { function: 'weekly-hours-report' });
+    return { statusCode: 500, body: JSON.stringify({ success: false, error: error.message }) };
+  }
+};
@@ -0,0 +1,225 @@
+// netlify/functions/weekly-hours.js
+// 주 52시간 모니터링 조회 API (관리자, 읽기 전용) — 집계/경보 로직은 lib/weekly-hours.js
+//
+// GET → 직원별 주간 근로시간 (누적 / 연장 / 남은 스케줄 포함 예상)
+//   ?weekStart=YYYY-MM-DD (그 주 아무 날짜나 가능, 기본: 이번 주)  ?businessId=
+// GET ?report=compliance → 사업장별 준수 리포트 (위반 / 초과 예상 직원)
+//   ?format=csv → 직원별 현황 CSV 내보내기
+//
+// 5인 미만 사업장은 연장근로 한도 미적용 — limitApplies = false, 위반으로 집계하지 않음
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const {
+  WEEKLY_LIMIT_HOURS,
+  weekStartOf,
+  weekLabel,
+  toHours,
+  loadWeekEmployees,
+  loadWeeklySummaries,
+  loadLimitApplies,
+} = require('./lib/weekly-hours');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function addDays(key, days) {
+  const d = new Date(`${key}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+  if (event.httpMethod !== 'GET') return resp(405, { success: false, error: '허용되지 않는 메서드' });
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const params = event.queryStringParameters || {};
+  if (params.weekStart && !DATE_RE.test(params.weekStart)) {
+    return resp(400, { success: false, error: 'weekStart 형식 오류 (YYYY-MM-DD)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+
+  try {
+    const now = new Date();
+    const weekStart = weekStartOf(params.weekStart ? `${params.weekStart}T12:00:00+09:00` : now);
+    const rows = await loadWeekRows(supabase, {
+      companyId: user.companyId,
+      weekStart,
+      businessId: params.businessId || null,
+      now,
+    });
+
+    if (params.format === 'csv') {
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="weekly-hours-${weekStart}.csv"`,
+        },
+        body: '\ufeff' + toCsv(rows),
+      };
+    }
+
+    if (params.report === 'compliance') {
+      return resp(200, { success: true, data: buildComplianceReport(weekStart, rows) });
+    }
+
+    return resp(200, {
+      success: true,
+      data: {
+        weekStart,
+        weekEnd: addDays(weekStart, 6),
+        weekLabel: weekLabel(weekStart),
+        limitHours: WEEKLY_LIMIT_HOURS,
+        employees: rows,
+      },
+    });
+  } catch (err) {
+    console.error('weekly-hours 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
+
+// 직원별 주간 현황 (위반 → 초과 예상 → 누적 시간 순)
+async function loadWeekRows(supabase, { companyId, weekStart, businessId, now }) {
+  const employees = await loadWeekEmployees(supabase, { companyId, weekStart, businessId });
+  const [summaries, limits, businessNames] = await Promise.all([
+    loadWeeklySummaries(supabase, { companyId, weekStart, employees, now }),
+    loadLimitApplies(supabase, { companyId, weekStart, employees }),
+    loadBusinessNames(supabase, companyId),
+  ]);
+
+  const rows = employees.map(emp => {
+    const s = summaries.get(emp.id);
+    const empUser = Array.isArray(emp.users) ? emp.users[0] : emp.users;
+    const limitApplies = limits.get(emp.id) !== false;
+    return {
+      employeeId:            emp.id,
+      employeeName:          empUser?.name || '',
+      businessId:            emp.business_id || null,
+      businessName:          businessNames[emp.business_id] || null,
+      totalHours:            toHours(s.totalMinutes),
+      regularHours:          toHours(s.regularMinutes),
+      overtimeHours:         toHours(s.overtimeMinutes),
+      forecastHours:         toHours(s.forecastMinutes),
+      forecastOvertimeHours: toHours(s.forecastOvertimeMinutes),
+      remainingHours:        Math.max(0, toHours(WEEKLY_LIMIT_HOURS * 60 - s.totalMinutes)),
+      working:               s.working,
+      limitApplies,
+      violation:             limitApplies && s.violation,
+      forecastViolation:     limitApplies && !s.violation && s.forecastViolation,
+      days: s.days.map(d => ({
+        date:           d.date,
+        actualHours:    toHours(d.actualMinutes),
+        remainingHours: toHours(d.remainingMinutes),
+        working:        d.working,
+      })),
+    };
+  });
+
+  rows.sort((a, b) => (b.violation - a.violation)
+    || (b.forecastViolation - a.forecastViolation)
+    || (b.totalHours - a.totalHours));
+  return rows;
+}
+
+async function loadBusinessNames(supabase, companyId) {
+  const { data } = await supabase.from('businesses').select('id, name').eq('company_id', companyId);
+  return Object.fromEntries((data || []).map(b => [b.id, b.name]));
+}
+
+/**
+ * 사업장별 준수 리포트 — 위반 / 초과 예상 직원만 목록으로
+ */
+function buildComplianceReport(weekStart, rows) {
+  const businesses = new Map();
+  for (const row of rows) {
+    const key = row.businessId || 'none';
+    if (!businesses.has(key)) {
+      businesses.set(key, {
+        businessId: row.businessId,
+        businessName: row.businessName || '미지정',
+        limitApplies: false,
+        employeeCount: 0,
+        violationCount: 0,
+        forecastViolationCount: 0,
+        totalHours: 0,
+        overtimeHours: 0,
+        violations: [],
+      });
+    }
+    const b = businesses.get(key);
+    b.employeeCount++;
+    b.limitApplies = b.limitApplies || row.limitApplies;
+    b.totalHours = Math.round((b.totalHours + row.totalHours) * 10) / 10;
+    b.overtimeHours = Math.round((b.overtimeHours + row.overtimeHours) * 10) / 10;
+    if (row.violation) b.violationCount++;
+    if (row.forecastViolation) b.forecastViolationCount++;
+    if (row.violation || row.forecastViolation) {
+      b.violations.push({
+        employeeId:    row.employeeId,
+        employeeName:  row.employeeName,
+        status:        row.violation ? 'violation' : 'forecast',
+        totalHours:    row.totalHours,
+        overtimeHours: row.overtimeHours,
+        forecastHours: row.forecastHours,
+      });
+    }
+  }
+
+  const list = [...businesses.values()];
+  return {
+    weekStart,
+    weekLabel: weekLabel(weekStart),
+    limitHours: WEEKLY_LIMIT_HOURS,
+    violationCount: list.reduce((sum, b) => sum + b.violationCount, 0),
+    forecastViolationCount: list.reduce((sum, b) => sum + b.forecastViolationCount, 0),
+    businesses: list,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  return '"' + String(value).replace(/"/g, '""') + '"';
+}
+
+function toCsv(rows) {
+  const header = ['직원', '사업장', '누적(시간)', '기본(시간)', '연장(시간)', '예상(시간)', '예상 연장(시간)', '한도 적용', '상태'];
+  const lines = [header.join(',')];
+  for (const r of rows) {
+    const status = !r.limitApplies ? '5인 미만 (미적용)'
+      : r.violation ? '위반' : r.forecastViolation ? '초과 예상' : '정상';
+    lines.push([
+      r.employeeName, r.businessName, r.totalHours, r.regularHours, r.overtimeHours,
+      r.forecastHours, r.forecastOvertimeHours, r.limitApplies ? 'Y' : 'N', status,
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\n');
+}
@@ -7,14 +7,24 @@
 //
 // PUT  /.netlify/functions/wifi-settings
 //   Body: { businessId, checkinMethod, wifiEnabled, wifiRegisteredIp,
-//           gpsLatitude, gpsLongitude, gpsRadiusMeters }
+//           gpsLatitude, gpsLongitude, gpsRadiusMeters,
+//           qrMode, qrRotationSeconds,    // qrMode: static(인쇄용 고정 QR) | dynamic(현장 화면 회전 QR)
+//           wifiAllowedNetworks: [{ cidr, label }],   // 추가 허용 IP/CIDR (IPv4·IPv6)
+//           geofences: [{ type: 'circle'|'polygon', label, ... }] }  // 추가 지오펜스 (lib/location-rules.js)
 //   → WiFi/GPS 설정 저장
 //
 // DELETE /.netlify/functions/wifi-settings?businessId=xxx
 //   → WiFi 비활성화 (wifi_enabled=false, 등록 IP 유지)
+//
+// 변경 내용은 감사 로그에 기록 (PUT body.reason / DELETE ?reason=, lib/audit-log.js)
 
 const { verifyToken } = require('./lib/auth');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
 const { createClient } = require('@supabase/supabase-js');
+const { MIN_ROTATION_SECONDS, MAX_ROTATION_SECONDS } = require('./lib/qr-totp');
+const {
+  MAX_NETWORK_RULES, MAX_GEOFENCES, validateNetworkRule, normalizeGeofence,
+} = require('./lib/location-rules');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -75,7 +85,11 @@ exports.handler = async (event) => {
           wifi_ip_mismatch_at,
           gps_latitude,
           gps_longitude,
-          gps_radius_meters
+          gps_radius_meters,
+          wifi_allowed_networks,
+          geofences,
+          qr_mode,
+          qr_rotation_seconds
         `)
         .eq('company_id', companyId)
         .eq('status', 'active')
@@ -111,7 +125,8 @@ exports.handler = async (event) => {
     if (event.httpMethod === 'PUT') {
       const body = JSON.parse(event.body || '{}');
       const { businessId, checkinMethod, wifiEnabled, wifiRegisteredIp, wifiRegisteredIpV6,
-              gpsLatitude, gpsLongitude, gpsRadiusMeters } = body;
+              gpsLatitude, gpsLongitude, gpsRadiusMeters, qrMode, qrRotationSeconds,
+              wifiAllowedNetworks, geofences } = body;
 
       if (!businessId) {
         return { statusCode: 400, headers: CORS, body: JSON.stringify({ success: false, error: 'businessId 필수' }) };
@@ -120,7 +135,7 @@ exports.handler = async (event) => {
       // 해당 사업장이 이 회사 소속인지 확인 (타 회사 설정 변경 방지)
       const { data: biz, error: bizErr } = await supabase
         .from('businesses')
-        .select('id')
+        .select('*')
         .eq('id', businessId)
         .eq('company_id', companyId)
         .single();
@@ -181,6 +196,54 @@ exports.handler = async (event) => {
         updates.gps_radius_meters = radius;
       }
 
+      // 추가 허용 네트워크 (IP 또는 CIDR, IPv4·IPv6)
+      if (wifiAllowedNetworks !== undefined) {
+        const list = Array.isArray(wifiAllowedNetworks) ? wifiAllowedNetworks : [];
+        if (list.length > MAX_NETWORK_RULES) {
+          return { statusCode: 400, headers: CORS, body: JSON.stringify({ success: false, error: `허용 네트워크는 최대 ${MAX_NETWORK_RULES}개까지 등록할 수 있습니다` }) };
+        }
+        for (const rule of list) {
+          const ruleErr = validateNetworkRule(rule);
+          if (ruleErr) return { statusCode: 400, headers: CORS, body: JSON.stringify({ success: false, error: ruleErr }) };
+        }
+        updates.wifi_allowed_networks = list.map(r => ({
+          cidr:  r.cidr.trim(),
+          label: String(r.label || '').trim().slice(0, 50) || r.cidr.trim(),
+        }));
+        updates.wifi_ip_updated_at = new Date().toISOString();
+        updates.wifi_ip_mismatch_detected = null;
+        updates.wifi_ip_mismatch_at = null;
+      }
+
+      // 추가 지오펜스 (원형 / 다각형)
+      if (geofences !== undefined) {
+        const list = Array.isArray(geofences) ? geofences : [];
+        if (list.length > MAX_GEOFENCES) {
+          return { statusCode: 400, headers: CORS, body: JSON.stringify({ success: false, error: `지오펜스는 최대 ${MAX_GEOFENCES}개까지 등록할 수 있습니다` }) };
+        }
+        const normalized = [];
+        for (const raw of list) {
+          const { fence, error: fenceErr } = normalizeGeofence(raw);
+          if (fenceErr) return { statusCode: 400, headers: CORS, body: JSON.stringify({ success: false, error: fenceErr }) };
+          normalized.push(fence);
+        }
+        updates.geofences = normalized;
+      }
+
+      // QR 방식 — dynamic 이면 고정 QR(QRT_)로는 이 사업장 출퇴근 불가 (attendance-checkin.js)
+      if (qrMode !== undefined) {
+        if (!['static', 'dynamic'].includes(qrMode))
+          return { statusCode: 400, headers: CORS, body: JSON.stringify({ success: false, error: 'qrMode는 static / dynamic 중 하나여야 합니다' }) };
+        updates.qr_mode = qrMode;
+      }
+      if (qrRotationSeconds !== undefined) {
+        const sec = parseInt(qrRotationSeconds, 10);
+        if (isNaN(sec) || sec < MIN_ROTATION_SECONDS || sec > MAX_ROTATION_SECONDS) {
+          return { statusCode: 400, headers: CORS, body: JSON.stringify({ success: false, error: `QR 회전 주기는 ${MIN_ROTATION_SECONDS}~${MAX_ROTATION_SECONDS}초 사이여야 합니다` }) };
+        }
+        updates.qr_rotation_seconds = sec;
+      }
+
       if (Object.keys(updates).length === 0) {
         return { statusCode: 400, headers: CORS, body: JSON.stringify({ success: false, error: '변경할 내용 없음' }) };
       }
@@ -189,11 +252,22 @@ exports.handler = async (event) => {
         .from('businesses')
         .update(updates)
         .eq('id', businessId)
-        .select('id, name, checkin_method, wifi_enabled, wifi_registered_ip, wifi_ip_updated_at, gps_latitude, gps_longitude, gps_radius_meters')
+        .select('id, name, checkin_method, wifi_enabled, wifi_registered_ip, wifi_ip_updated_at, wifi_allowed_networks, gps_latitude, gps_longitude, gps_radius_meters, geofences, qr_mode, qr_rotation_seconds')
         .single();
 
       if (updateErr) throw updateErr;
 
+      await recordAudit(supabase, auditActor(event, user), {
+        companyId,
+        entityType: AUDIT_ENTITY.BUSINESS,
+        entityId:   businessId,
+        action:     AUDIT_ACTION.UPDATE,
+        before:     Object.fromEntries(Object.keys(updates).map(k => [k, biz[k]])),
+        after:      updates,
+        reason:     body.reason,
+        source:     'wifi-settings',
+      });
+
       return {
         statusCode: 200,
         headers: CORS,
@@ -208,18 +282,39 @@ exports.handler = async (event) => {
       const businessId = params.businessId;
       if (!businessId) return { statusCode: 400, headers: CORS, body: JSON.stringify({ success: false, error: 'businessId 필수' }) };
 
+      const { data: before } = await supabase
+        .from('businesses')
+        .select('wifi_enabled, wifi_ip_mismatch_detected, wifi_ip_mismatch_at')
+        .eq('id', businessId)
+        .eq('company_id', companyId)
+        .maybeSingle();
+
+      const disabled = {
+        wifi_enabled: false,
+        wifi_ip_mismatch_detected: null,
+        wifi_ip_mismatch_at: null,
+      };
       const { error } = await supabase
         .from('businesses')
-        .update({
-          wifi_enabled: false,
-          wifi_ip_mismatch_detected: null,
-          wifi_ip_mismatch_at: null,
-        })
+        .update(disabled)
         .eq('id', businessId)
         .eq('company_id', companyId);
 
       if (error) throw error;
 
+      if (before) {
+        await recordAudit(supabase, auditActor(event, user), {
+          companyId,
+          entityType: AUDIT_ENTITY.BUSINESS,
+          entityId:   businessId,
+          action:     AUDIT_ACTION.UPDATE,
+          before,
+          after:      disabled,
+          reason:     params.reason,
+          source:     'wifi-settings',
+        });
+      }
+
       return {
         statusCode: 200,
         headers: CORS,
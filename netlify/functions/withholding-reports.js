@@ -0,0 +1,438 @@
+// netlify/functions/withholding-reports.js
+// 원천세 신고 파일 API (관리자) — 원천징수이행상황신고서 · 간이지급명세서 집계, 점검, 홈택스 전자파일 생성·보관
+// GET   ?type=withholding_status&year=&month=[&wageMonth=YYYY-MM] → 지급월 신고서 (귀속월별) + 점검 결과 + 보관 파일
+// GET   ?type=simplified_earned&year=&half=1|2                     → 근로소득 반기 소득자별 합계 + 점검 결과 + 보관 파일
+// GET   ?type=simplified_business&year=&month=                     → 사업소득 지급월 소득자별 합계 + 점검 결과 + 보관 파일
+// GET   ?year=                                                     → 연도 보관 파일 목록
+// GET   ?fileId=                                                   → 보관 파일 다운로드 URL (1분)
+// POST  { type, year, month|half, wageMonth?, reason? }             → 점검 통과 시 파일 생성 → 보관 → 다운로드 URL
+//                                                                    점검 오류(주민등록번호 누락 등)는 422 + issues
+//
+// wageMonth: 근로소득 귀속월 지정 (기본은 급여 실행 지급일 · 회사 급여일로 판단)
+// 집계·레이아웃은 lib/withholding-report.js, 주민등록번호 복호화는 파일 생성 시에만 (lib/resident-number.js)
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { findRegularRun } = require('./lib/payroll-run');
+const { YEAR_END_STATUS } = require('./lib/year-end-tax');
+const { INCOME_TYPE, PAYMENT_STATUS, aggregateSimplifiedStatement } = require('./lib/contractor-pay');
+const { decryptResidentNumber } = require('./lib/resident-number');
+const {
+  REPORT_TYPE,
+  REPORT_TYPE_LABELS,
+  REPORT_BUCKET,
+  DOWNLOAD_URL_TTL_SECONDS,
+  halfMonths,
+  wagePaymentMonth,
+  aggregateWithholdingStatus,
+  aggregateSimplifiedEarned,
+  validateReportTargets,
+  buildWithholdingStatusFile,
+  buildSimplifiedEarnedFile,
+  buildSimplifiedBusinessFile,
+  formatReportFile,
+} = require('./lib/withholding-report');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+const EMPLOYEE_COLUMNS = 'id, name, hire_date, resign_date, work_type, resident_number_masked';
+const SEVERANCE_STATUS_PAID = 'paid';
+
+function pad2(n) { return String(n).padStart(2, '0'); }
+function one(rel) { return Array.isArray(rel) ? rel[0] : rel; }
+
+function monthRange(year, month) {
+  const last = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return { from: `${year}-${pad2(month)}-01`, to: `${year}-${pad2(month)}-${pad2(last)}` };
+}
+
+function previousMonth(year, month) {
+  return month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 };
+}
+
+// 요청 기간 검증 → { type, year, month, half } | { error }
+function parsePeriod(input) {
+  const type = input.type;
+  const year = parseInt(input.year, 10);
+  if (!Object.values(REPORT_TYPE).includes(type)) {
+    return { error: { statusCode: 400, error: 'type은 ' + Object.values(REPORT_TYPE).join(', ') + ' 중 하나여야 합니다.' } };
+  }
+  if (!(year >= 2000 && year <= 2100)) return { error: { statusCode: 400, error: 'year 필수' } };
+  if (type === REPORT_TYPE.SIMPLIFIED_EARNED) {
+    const half = parseInt(input.half, 10);
+    if (![1, 2].includes(half)) return { error: { statusCode: 400, error: 'half는 1(상반기) 또는 2(하반기)여야 합니다.' } };
+    return { type, year, month: null, half };
+  }
+  const month = parseInt(input.month, 10);
+  if (!(month >= 1 && month <= 12)) return { error: { statusCode: 400, error: 'month 필수 (1~12)' } };
+  let wageMonth = null;
+  if (input.wageMonth) {
+    const m = /^(\d{4})-(\d{2})$/.exec(input.wageMonth);
+    if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) return { error: { statusCode: 400, error: 'wageMonth는 YYYY-MM 형식이어야 합니다.' } };
+    wageMonth = { year: Number(m[1]), month: Number(m[2]) };
+  }
+  return { type, year, month, half: null, wageMonth };
+}
+
+async function loadPayrolls(supabase, companyId, year, months, withResidentNumber = false) {
+  const columns = withResidentNumber ? `${EMPLOYEE_COLUMNS}, resident_number_enc` : EMPLOYEE_COLUMNS;
+  const { data, error } = await supabase
+    .from('payrolls')
+    .select(`
+      id, employee_id, year, month, work_type, taxable_income, non_taxable_amount, income_tax, local_income_tax,
+      year_end_income_tax, year_end_local_income_tax, year_end_settlement_id,
+      employees!inner( ${columns} )
+    `)
+    .eq('company_id', companyId)
+    .eq('year', year)
+    .in('month', months);
+  if (error) throw error;
+  return data || [];
+}
+
+async function loadContractorPayments(supabase, companyId, year, month, withResidentNumber = false) {
+  const columns = withResidentNumber ? `${EMPLOYEE_COLUMNS}, birth_date, resident_number_enc` : `${EMPLOYEE_COLUMNS}, birth_date`;
+  const { data, error } = await supabase
+    .from('contractor_payments')
+    .select(`*, employees( ${columns} )`)
+    .eq('company_id', companyId)
+    .eq('year', year)
+    .eq('month', month)
+    .eq('status', PAYMENT_STATUS.PAID);
+  if (error) throw error;
+  return data || [];
+}
+
+// 원천징수이행상황신고서 — 지급월 기준, 귀속월별 신고서
+async function loadWithholdingStatus(supabase, company, { year, month, wageMonth }) {
+  const payment = { year, month };
+
+  // 근로소득 귀속월: 지정값, 아니면 이번 달·지난 달 급여 중 이번 달에 지급한 것
+  const wage = [];
+  const candidates = wageMonth ? [wageMonth] : [payment, previousMonth(year, month)];
+  for (const c of candidates) {
+    const run = await findRegularRun(supabase, { companyId: company.id, year: c.year, month: c.month });
+    const paid = wagePaymentMonth({ year: c.year, month: c.month, run, payDay: company.pay_day });
+    if (wageMonth || (paid.year === year && paid.month === month)) {
+      wage.push({ attribution: c, runId: run?.id || null, estimated: wageMonth ? false : paid.estimated });
+    }
+  }
+
+  const reports = new Map();
+  const reportFor = (attribution) => {
+    const key = `${attribution.year}-${pad2(attribution.month)}`;
+    if (!reports.has(key)) {
+      reports.set(key, { attribution, runId: null, estimated: false, payrolls: [], yearEndSettlements: [], contractorPayments: [], severancePayments: [] });
+    }
+    return reports.get(key);
+  };
+
+  const employees = [];
+  for (const w of wage) {
+    const report = reportFor(w.attribution);
+    report.runId = w.runId;
+    report.estimated = w.estimated;
+    report.payrolls = await loadPayrolls(supabase, company.id, w.attribution.year, [w.attribution.month]);
+    const { data: settlements, error } = await supabase
+      .from('year_end_settlements')
+      .select('id, employee_id, total_salary')
+      .eq('company_id', company.id)
+      .eq('status', YEAR_END_STATUS.SETTLED)
+      .eq('settle_year', w.attribution.year)
+      .eq('settle_month', w.attribution.month);
+    if (error) throw error;
+    report.yearEndSettlements = settlements || [];
+    employees.push(...report.payrolls.map(p => one(p.employees)));
+  }
+
+  // 사업·기타·퇴직소득 — 귀속월 = 지급월
+  const contractorPayments = await loadContractorPayments(supabase, company.id, year, month);
+  const range = monthRange(year, month);
+  const { data: severance, error: sevErr } = await supabase
+    .from('severance_payments')
+    .select('id, employee_id, severance_pay, income_tax, local_income_tax, payment_date')
+    .eq('company_id', company.id)
+    .eq('status', SEVERANCE_STATUS_PAID)
+    .gte('payment_date', range.from)
+    .lte('payment_date', range.to);
+  if (sevErr) throw sevErr;
+  if (contractorPayments.length || (severance || []).length) {
+    const report = reportFor(payment);
+    report.contractorPayments = contractorPayments;
+    report.severancePayments = severance || [];
+    employees.push(...contractorPayments.map(p => one(p.employees)));
+  }
+
+  const result = [...reports.values()]
+    .sort((a, b) => (a.attribution.year * 12 + a.attribution.month) - (b.attribution.year * 12 + b.attribution.month))
+    .map(r => ({
+      attribution: r.attribution,
+      runId:       r.runId,
+      estimated:   r.estimated,
+      ...aggregateWithholdingStatus(r),
+    }))
+    .filter(r => r.lines.length);
+
+  return {
+    payment,
+    reports: result,
+    runId: wage[0]?.runId || null,
+    // 신고서 자체에는 주민등록번호가 없지만, 이어서 낼 지급명세서를 위해 경고로 알려줌
+    issues: validateReportTargets(company, employees, { blocking: false }),
+  };
+}
+
+async function loadSimplifiedEarned(supabase, company, { year, half }, withResidentNumber = false) {
+  const payrolls = await loadPayrolls(supabase, company.id, year, halfMonths(half), withResidentNumber);
+  const statement = aggregateSimplifiedEarned(payrolls, { year, half });
+  const byId = new Map(payrolls.map(p => [p.employee_id, one(p.employees)]));
+  const employees = statement.rows.map(r => byId.get(r.employeeId));
+  return {
+    ...statement,
+    rows: statement.rows.map(r => ({ ...r, residentNumberMasked: byId.get(r.employeeId)?.resident_number_masked || null })),
+    employees,
+    issues: validateReportTargets(company, employees),
+  };
+}
+
+async function loadSimplifiedBusiness(supabase, company, { year, month }, withResidentNumber = false) {
+  const payments = await loadContractorPayments(supabase, company.id, year, month, withResidentNumber);
+  const statement = aggregateSimplifiedStatement(payments)[INCOME_TYPE.BUSINESS];
+  const byId = new Map(payments.map(p => [p.employee_id, one(p.employees)]));
+  const employees = statement.rows.map(r => byId.get(r.employeeId));
+  return {
+    ...statement,
+    rows: statement.rows.map(r => ({ ...r, residentNumberMasked: byId.get(r.employeeId)?.resident_number_masked || null })),
+    employees,
+    issues: validateReportTargets(company, employees),
+  };
+}
+
+// 소득자 행에 복호화한 주민등록번호 → 손상된 암호문은 점검 오류
+function attachResidentNumbers(rows, employees) {
+  const byId = new Map(employees.filter(Boolean).map(e => [e.id, e]));
+  const issues = [];
+  const withNumbers = rows.map(r => {
+    const emp = byId.get(r.employeeId);
+    const residentNumber = decryptResidentNumber(emp?.resident_number_enc);
+    if (!residentNumber) {
+      issues.push({
+        type: 'INVALID_RESIDENT_NUMBER',
+        severity: 'error',
+        employeeId: r.employeeId,
+        name: r.name,
+        message: `${r.name || '이름 없음'} — 저장된 주민등록번호를 읽을 수 없습니다 (직원 상세에서 다시 입력)`,
+      });
+    }
+    return { ...r, residentNumber };
+  });
+  return { rows: withNumbers, issues };
+}
+
+async function listFiles(supabase, companyId, period) {
+  let query = supabase
+    .from('withholding_report_files')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('year', period.year)
+    .order('created_at', { ascending: false });
+  if (period.type) query = query.eq('report_type', period.type);
+  if (period.month) query = query.eq('month', period.month);
+  if (period.half) query = query.eq('half', period.half);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(formatReportFile);
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+
+  try {
+    if (event.httpMethod === 'GET' && params.fileId) {
+      const { data: file } = await supabase
+        .from('withholding_report_files')
+        .select('*')
+        .eq('id', params.fileId)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!file) return resp(404, { success: false, error: '파일을 찾을 수 없습니다' });
+
+      const { data, error } = await supabase.storage
+        .from(REPORT_BUCKET)
+        .createSignedUrl(file.storage_path, DOWNLOAD_URL_TTL_SECONDS, { download: file.file_name });
+      if (error) throw error;
+      return resp(200, { success: true, data: { url: data.signedUrl, expiresIn: DOWNLOAD_URL_TTL_SECONDS, file: formatReportFile(file) } });
+    }
+
+    if (event.httpMethod === 'GET' && !params.type) {
+      const year = parseInt(params.year, 10);
+      if (!year) return resp(400, { success: false, error: 'year 필수' });
+      return resp(200, { success: true, data: { year, files: await listFiles(supabase, user.companyId, { year }) } });
+    }
+
+    if (!['GET', 'POST'].includes(event.httpMethod)) {
+      return resp(405, { success: false, error: '허용되지 않는 메서드' });
+    }
+
+    const input = event.httpMethod === 'GET' ? params : JSON.parse(event.body || '{}');
+    const period = parsePeriod(input);
+    if (period.error) {
+      const { statusCode, ...rest } = period.error;
+      return resp(statusCode, { success: false, ...rest });
+    }
+
+    const { data: company, error: companyErr } = await supabase
+      .from('companies')
+      .select('id, company_name, representative_name, business_number, pay_day')
+      .eq('id', user.companyId)
+      .single();
+    if (companyErr) throw companyErr;
+
+    const generate = event.httpMethod === 'POST';
+    let report;
+    if (period.type === REPORT_TYPE.WITHHOLDING_STATUS) report = await loadWithholdingStatus(supabase, company, period);
+    else if (period.type === REPORT_TYPE.SIMPLIFIED_EARNED) report = await loadSimplifiedEarned(supabase, company, period, generate);
+    else report = await loadSimplifiedBusiness(supabase, company, period, generate);
+    const { employees, ...figures } = report;
+
+    if (!generate) {
+      return resp(200, {
+        success: true,
+        data: {
+          type: period.type,
+          label: REPORT_TYPE_LABELS[period.type],
+          year: period.year,
+          month: period.month,
+          half: period.half,
+          ...figures,
+          files: await listFiles(supabase, user.companyId, period),
+        },
+      });
+    }
+
+    // ── 파일 생성 ──
+    const submitDate = new Date(Date.now() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    let file;
+    let issues = report.issues;
+    let summary;
+    if (period.type === REPORT_TYPE.WITHHOLDING_STATUS) {
+      if (!report.reports.length) return resp(400, { success: false, error: '신고할 지급 내역이 없습니다' });
+      if (!issues.some(i => i.severity === 'error')) {
+        file = buildWithholdingStatusFile({ company, payment: report.payment, reports: report.reports, submitDate });
+      }
+      summary = report.reports.map(r => ({ attribution: r.attribution, estimated: r.estimated, totals: r.totals }));
+    } else {
+      if (!report.rows.length) return resp(400, { success: false, error: '대상 소득자가 없습니다' });
+      if (!issues.some(i => i.severity === 'error')) {
+        const attached = attachResidentNumbers(report.rows, employees);
+        issues = [...issues, ...attached.issues];
+        if (!attached.issues.length) {
+          file = period.type === REPORT_TYPE.SIMPLIFIED_EARNED
+            ? buildSimplifiedEarnedFile({ company, year: period.year, half: period.half, rows: attached.rows, submitDate })
+            : buildSimplifiedBusinessFile({ company, year: period.year, month: period.month, rows: attached.rows, submitDate });
+        }
+      }
+      summary = report.totals;
+    }
+    if (!file) {
+      return resp(422, { success: false, error: '신고 전 점검에서 오류가 있습니다', issues });
+    }
+    if (file.unmappable.length) {
+      issues = [...issues, {
+        type: 'UNMAPPABLE_CHARACTERS',
+        severity: 'warning',
+        message: `EUC-KR 로 바꿀 수 없는 글자가 '?' 로 들어갔습니다: ${file.unmappable.join(' ')}`,
+      }];
+    }
+
+    const periodKey = period.half ? `${period.year}-H${period.half}` : `${period.year}-${pad2(period.month)}`;
+    const storagePath = `${user.companyId}/${periodKey}/${period.type}-${Date.now()}.txt`;
+    const { error: uploadErr } = await supabase.storage
+      .from(REPORT_BUCKET)
+      .upload(storagePath, file.buffer, { contentType: 'text/plain; charset=euc-kr', upsert: false });
+    if (uploadErr) throw uploadErr;
+
+    const runId = period.type === REPORT_TYPE.WITHHOLDING_STATUS
+      ? report.runId
+      : period.type === REPORT_TYPE.SIMPLIFIED_BUSINESS
+        ? (await findRegularRun(supabase, { companyId: user.companyId, year: period.year, month: period.month }))?.id || null
+        : null;
+    const { data: saved, error: insertErr } = await supabase
+      .from('withholding_report_files')
+      .insert({
+        id:            crypto.randomUUID(),
+        company_id:    user.companyId,
+        report_type:   period.type,
+        year:          period.year,
+        month:         period.month,
+        half:          period.half,
+        payment_year:  period.type === REPORT_TYPE.WITHHOLDING_STATUS ? period.year : null,
+        payment_month: period.type === REPORT_TYPE.WITHHOLDING_STATUS ? period.month : null,
+        run_id:        runId,
+        file_name:     file.fileName,
+        storage_path:  storagePath,
+        byte_size:     file.byteSize,
+        sha256:        file.sha256,
+        row_count:     file.rowCount,
+        summary,
+        issues,
+        created_by:    user.userId,
+        created_at:    new Date().toISOString(),
+      })
+      .select('*')
+      .single();
+    if (insertErr) throw insertErr;
+
+    await recordAudit(supabase, auditActor(event, user), {
+      companyId:  user.companyId,
+      entityType: AUDIT_ENTITY.WITHHOLDING_REPORT,
+      entityId:   saved.id,
+      action:     AUDIT_ACTION.CREATE,
+      before:     null,
+      after:      { report_type: saved.report_type, year: saved.year, month: saved.month, half: saved.half, file_name: saved.file_name, sha256: saved.sha256, row_count: saved.row_count },
+      reason:     input.reason || null,
+      source:     'withholding-reports',
+    });
+
+    const { data: signed, error: signErr } = await supabase.storage
+      .from(REPORT_BUCKET)
+      .createSignedUrl(storagePath, DOWNLOAD_URL_TTL_SECONDS, { download: file.fileName });
+    if (signErr) throw signErr;
+
+    return resp(200, {
+      success: true,
+      data: { file: formatReportFile(saved), url: signed.signedUrl, expiresIn: DOWNLOAD_URL_TTL_SECONDS, issues },
+    });
+  } catch (err) {
+    console.error('withholding-reports 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
@@ -0,0 +1,254 @@
+/**
+ * netlify/functions/year-end-receipt-pdf.js
+ * - 근로소득 원천징수영수증 (연말정산 결과 요약본 — 홈택스 제출 서식이 아닌 직원 교부용)
+ * - ?id=xxx (year_end_settlements.id, 계산 완료 이후)
+ * - 세액 계산은 lib/year-end-tax.js, 정산 처리는 year-end-settlements.js
+ */
+
+const { verifyToken } = require('./lib/auth');
+const { YEAR_END_STATUS } = require('./lib/year-end-tax');
+const { createClient } = require('@supabase/supabase-js');
+const { PDFDocument, rgb } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+
+function getSupabase() {
+  return createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+}
+
+const CORS = {
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+};
+
+// 계산 결과(result)가 있는 단계
+const ISSUABLE = [YEAR_END_STATUS.CALCULATED, YEAR_END_STATUS.CONFIRMED, YEAR_END_STATUS.SETTLED];
+
+/* ── 한글 폰트 로드 ─────────────────────────────────────────── */
+async function loadKoreanFont() {
+  // woff2는 pdf-lib 미지원 → OTF(서브셋) 사용
+  const url = 'https://raw.githubusercontent.com/notofonts/noto-cjk/main/Sans/SubsetOTF/KR/NotoSansKR-Regular.otf';
+  const res = await fetch(url);
+  if (!res.ok) throw new Error('폰트 로드 실패: ' + res.status);
+  return res.arrayBuffer();
+}
+
+function fmt(n) { return Math.round(Number(n || 0)).toLocaleString('ko-KR') + '원'; }
+
+/* ── PDF 생성 ───────────────────────────────────────────────── */
+async function buildPDF(settlement, emp, company) {
+  const doc = await PDFDocument.create();
+  doc.registerFontkit(fontkit);
+  const fontBytes = await loadKoreanFont();
+  const font = await doc.embedFont(fontBytes);
+  const page = doc.addPage([595, 842]);
+  const W = 595, H = 842;
+
+  const cBlue  = rgb(0.13, 0.34, 0.82);
+  const cDark  = rgb(0.13, 0.13, 0.13);
+  const cGray  = rgb(0.45, 0.45, 0.45);
+  const cLight = rgb(0.96, 0.97, 1.0);
+  const cWhite = rgb(1, 1, 1);
+  const cRed   = rgb(0.85, 0.15, 0.15);
+
+  const r = settlement.result || {};
+  const prev = (settlement.deductions && settlement.deductions.previousEmployer) || {};
+  const credits = r.credits || {};
+  const personal = r.personal || {};
+  const paid = r.paid || {};
+
+  /* 헤더 */
+  page.drawRectangle({ x: 0, y: H - 90, width: W, height: 90, color: cBlue });
+  page.drawText(company?.name || '회사명',
+    { x: 40, y: H - 40, size: 20, font, color: cWhite });
+  page.drawText(settlement.year + '년 귀속 근로소득 원천징수영수증',
+    { x: 40, y: H - 68, size: 13, font, color: rgb(0.8, 0.88, 1) });
+  const n = new Date();
+  page.drawText('발행일: ' + n.getFullYear() + '년 ' + (n.getMonth()+1) + '월 ' + n.getDate() + '일',
+    { x: W - 190, y: H - 55, size: 9, font, color: rgb(0.8, 0.88, 1) });
+
+  let y = H - 110;
+
+  /* 소득자 정보 박스 */
+  page.drawRectangle({ x: 30, y: y - 55, width: W - 60, height: 60, color: cLight });
+  page.drawText('소득자: ' + (emp?.name || '-'),
+    { x: 45, y: y - 22, size: 12, font, color: cDark });
+  page.drawText('주(현) 근무처 급여 ' + (paid.months || 0) + '개월' + (prev.salary ? ' · 종전 근무처 합산' : ''),
+    { x: 200, y: y - 22, size: 11, font, color: cDark });
+  page.drawText('적용: ' + (r.method === 'standard' ? '표준세액공제' : '특별소득·세액공제')
+    + (settlement.settle_year ? ' · ' + settlement.settle_year + '년 ' + settlement.settle_month + '월 급여 정산' : ''),
+    { x: 45, y: y - 42, size: 9, font, color: cGray });
+  y -= 75;
+
+  /* 섹션 헬퍼 — 0원 항목은 생략 (keep 표시 항목 제외) */
+  function drawSection(title, items, red) {
+    const rows = items.filter(i => i.keep || Number(i.v || 0) !== 0);
+    page.drawRectangle({ x: 30, y: y - 24, width: W - 60, height: 24,
+      color: red ? rgb(0.99, 0.96, 0.96) : cLight });
+    page.drawText(title,
+      { x: 45, y: y - 17, size: 11, font, color: red ? cRed : cBlue });
+    y -= 24;
+    rows.forEach((item, i) => {
+      const col = i % 2, row = Math.floor(i / 2);
+      const ix = 30 + col * 267, iy = y - 18 - row * 22;
+      page.drawText(item.k, { x: ix + 10, y: iy + 2, size: 10, font, color: cGray });
+      page.drawText(typeof item.v === 'string' ? item.v : fmt(item.v),
+        { x: ix + 160, y: iy + 2, size: 10, font, color: red ? cRed : cDark });
+    });
+    y -= Math.ceil(rows.length / 2) * 22 + 10;
+  }
+
+  drawSection('소득 및 소득공제', [
+    { k: '주(현) 총급여',      v: (r.totalSalary || 0) - (Number(prev.salary) || 0), keep: true },
+    { k: '종전 총급여',        v: prev.salary },
+    { k: '비과세소득',         v: r.nonTaxable },
+    { k: '근로소득공제',       v: r.earnedIncomeDeduction },
+    { k: '근로소득금액',       v: r.earnedIncome, keep: true },
+    { k: '기본공제 (' + (personal.count || 1) + '명)', v: personal.basic },
+    { k: '추가공제',           v: (personal.elderly || 0) + (personal.disabled || 0) + (personal.woman || 0) + (personal.singleParent || 0) },
+    { k: '연금보험료공제',     v: r.pensionInsurance },
+    { k: '특별소득공제',       v: r.specialIncome?.total },
+    { k: '그 밖의 소득공제',   v: r.otherIncome?.total },
+    { k: '과세표준',           v: r.taxBase, keep: true },
+    { k: '산출세액',           v: r.calculatedTax, keep: true },
+  ], false);
+
+  drawSection('세액공제', [
+    { k: '근로소득',     v: credits.earned },
+    { k: '자녀',         v: credits.child },
+    { k: '출산·입양',    v: credits.birth },
+    { k: '연금계좌',     v: credits.pension },
+    { k: '보험료',       v: credits.insurance },
+    { k: '의료비',       v: credits.medical },
+    { k: '교육비',       v: credits.education },
+    { k: '기부금',       v: credits.donation },
+    { k: '월세',         v: credits.rent },
+    { k: '표준세액공제', v: credits.standard },
+    { k: '세액공제 계',  v: credits.total, keep: true },
+  ], false);
+
+  drawSection('세액 명세', [
+    { k: '결정세액 소득세',       v: settlement.final_income_tax, keep: true },
+    { k: '결정세액 지방소득세',   v: settlement.final_local_income_tax, keep: true },
+    { k: '기납부 주(현) 소득세',  v: paid.currentIncomeTax, keep: true },
+    { k: '기납부 주(현) 지방소득세', v: paid.currentLocalTax, keep: true },
+    { k: '기납부 종전 소득세',    v: paid.previousIncomeTax },
+    { k: '기납부 종전 지방소득세', v: paid.previousLocalTax },
+  ], true);
+
+  if (r.exemptReason) {
+    page.drawText('※ ' + r.exemptReason,
+      { x: 40, y: y - 4, size: 9, font, color: cGray });
+    y -= 20;
+  }
+  page.drawText('※ 차감징수세액이 음수이면 환급액이며, 정산 월 급여에서 공제 대신 지급됩니다.',
+    { x: 40, y: y - 4, size: 9, font, color: cGray });
+  y -= 30;
+
+  /* 합계 박스 */
+  const settleIncome = Number(settlement.settle_income_tax) || 0;
+  const settleLocal = Number(settlement.settle_local_income_tax) || 0;
+  const settleTotal = settleIncome + settleLocal;
+  page.drawRectangle({ x: 30, y: y - 65, width: W - 60, height: 65, color: cBlue });
+  page.drawText('차감징수 소득세',
+    { x: 50,  y: y - 20, size: 10, font, color: rgb(0.8, 0.88, 1) });
+  page.drawText(fmt(settleIncome),
+    { x: 50,  y: y - 40, size: 14, font, color: cWhite });
+  page.drawText('차감징수 지방소득세',
+    { x: 215, y: y - 20, size: 10, font, color: rgb(0.8, 0.88, 1) });
+  page.drawText(fmt(settleLocal),
+    { x: 215, y: y - 40, size: 14, font, color: cWhite });
+  page.drawText(settleTotal < 0 ? '환급액' : '추가 납부액',
+    { x: 385, y: y - 18, size: 10, font, color: rgb(0.9, 0.95, 1) });
+  page.drawText(fmt(Math.abs(settleTotal)),
+    { x: 385, y: y - 42, size: 16, font, color: cWhite });
+
+  /* 푸터 */
+  page.drawText('본 영수증은 StaffManager에서 자동 생성되었습니다. 세무서 제출용 지급명세서는 홈택스에서 제출하세요.',
+    { x: 30, y: 20, size: 8, font, color: cGray });
+  page.drawText('staffmanager.io',
+    { x: W - 95, y: 20, size: 8, font, color: cGray });
+
+  return doc.save();
+}
+
+/* ── 핸들러 ─────────────────────────────────────────────────── */
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: CORS, body: '' };
+  if (event.httpMethod !== 'GET')     return { statusCode: 405, headers: CORS, body: 'GET만 허용' };
+
+  try {
+    /* 인증 */
+    const authHeader = event.headers.authorization || event.headers.Authorization;
+    let tokenData;
+    try { tokenData = verifyToken(authHeader); }
+    catch { return { statusCode: 401, headers: CORS, body: JSON.stringify({ success: false, error: '인증 실패' }) }; }
+
+    if (!['owner', 'manager'].includes(tokenData.role)) {
+      return { statusCode: 403, headers: CORS,
+        body: JSON.stringify({ success: false, error: '접근 권한 없음' }) };
+    }
+
+    const q = event.queryStringParameters || {};
+    if (!q.id) {
+      return { statusCode: 400, headers: CORS,
+        body: JSON.stringify({ success: false, error: 'id 필요' }) };
+    }
+
+    const supabase = getSupabase();
+
+    /* ── 연말정산 (회사 범위) ── */
+    const { data: settlement } = await supabase
+      .from('year_end_settlements')
+      .select('*')
+      .eq('id', q.id)
+      .eq('company_id', tokenData.companyId)
+      .maybeSingle();
+    if (!settlement) {
+      return { statusCode: 404, headers: CORS,
+        body: JSON.stringify({ success: false, error: '연말정산 내역 없음' }) };
+    }
+    if (!ISSUABLE.includes(settlement.status) || !settlement.result) {
+      return { statusCode: 409, headers: CORS,
+        body: JSON.stringify({ success: false, error: '세액 계산 후 발급할 수 있습니다' }) };
+    }
+
+    /* ── 소득자 / 회사 정보 ── */
+    const { data: emp } = await supabase
+      .from('employees')
+      .select('id, name')
+      .eq('id', settlement.employee_id)
+      .single();
+
+    const { data: company } = await supabase
+      .from('companies')
+      .select('name')
+      .eq('id', tokenData.companyId)
+      .single();
+
+    /* ── PDF 생성 ── */
+    const pdfBytes = await buildPDF(settlement, emp, company);
+    const fname = encodeURIComponent(
+      settlement.year + '_근로소득원천징수영수증_' + (emp?.name || '') + '.pdf'
+    );
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...CORS,
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': "attachment; filename*=UTF-8''" + fname,
+      },
+      body: Buffer.from(pdfBytes).toString('base64'),
+      isBase64Encoded: true,
+    };
+
+  } catch (err) {
+    console.error('[year-end-receipt-pdf] 오류:', err.message);
+    return { statusCode: 500, headers: CORS,
+      body: JSON.stringify({ success: false, error: 'PDF 생성 실패: ' + err.message }) };
+  }
+};
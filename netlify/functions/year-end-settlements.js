@@ -0,0 +1,414 @@
+// netlify/functions/year-end-settlements.js
+// 연말정산 API (관리자) — 공제 신고 요청, 세액 계산, 확정 (다음 해 2월 급여에 환급·추가 징수 반영)
+// GET   ?year=                              → 귀속 연도 대상 직원별 정산 현황 (급여가 있는 근로자, 일용직·프리랜서 제외)
+// GET   ?id=                                → 정산 1건 (공제 신고·계산 내역 포함)
+// POST  { action: 'request', year, employeeIds?, notify? } → 공제 신고 요청 + 제출 링크 발급 (원문 링크는 이 응답에만)
+//                                             notify: true 면 알림톡/SMS 로 링크 발송 (solapi-send 'year_end_request')
+// POST  { action: 'calculate', year, ids? }  → 세액 계산 (미제출은 직원 원천징수 설정 기준 기본 공제만)
+// POST  { action: 'confirm', ids }           → 계산 완료 건 확정 → 다음 해 2월 급여에 반영 예정
+// POST  { action: 'reopen', id, reason }     → 확정 취소 (급여 반영 전만)
+// PUT   { id, deductions, reason? }          → 관리자 대리 입력 (종이 신고서 등)
+//
+// 계산 규칙은 lib/year-end-tax.js, 직원 제출은 year-end-submit.js, 원천징수영수증은 year-end-receipt-pdf.js
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./lib/auth');
+const { loadAllPayrollRules } = require('./lib/payroll-rules');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { WORK_TYPE } = require('./lib/daily-worker');
+const { sendEmployeeNotification } = require('./solapi-send');
+const {
+  YEAR_END_STATUS,
+  DEDUCTION_SOURCE,
+  SETTLE_MONTH,
+  sha256,
+  generateSubmitToken,
+  submitTokenExpiry,
+  defaultDeductions,
+  validateDeductions,
+  summarizePayrolls,
+  calculateYearEndTax,
+  formatSettlement,
+} = require('./lib/year-end-tax');
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': 'https://staffmanager.io',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS'
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers, body: JSON.stringify(body) };
+}
+
+const SELECT = '*, employees( id, name, dependents, tax_children, work_type )';
+const SUBMIT_URL = 'https://staffmanager.io/year-end-submit.html#t=';
+
+// 확정 이전 단계 (공제 신고 수정·재계산 가능)
+const EDITABLE = [YEAR_END_STATUS.REQUESTED, YEAR_END_STATUS.SUBMITTED, YEAR_END_STATUS.CALCULATED];
+
+const PAYROLL_COLUMNS = 'employee_id, month, taxable_income, non_taxable_amount, national_pension, health_insurance, '
+  + 'long_term_care, employment_insurance, income_tax, local_income_tax';
+
+function validYear(value) {
+  const year = parseInt(value, 10);
+  return year >= 2000 && year <= 2100 ? year : null;
+}
+
+function isWageEarner(employee) {
+  return ![WORK_TYPE.DAILY, WORK_TYPE.FREELANCER].includes(employee?.work_type);
+}
+
+// 귀속 연도 급여가 있는 근로자 (일용직은 분리과세, 프리랜서는 사업·기타소득 — 연말정산 대상 아님)
+async function loadTargets(supabase, companyId, year, employeeIds) {
+  let query = supabase
+    .from('payrolls')
+    .select('employee_id, employees!inner( id, name, dependents, tax_children, work_type, deleted_at )')
+    .eq('company_id', companyId)
+    .eq('year', year);
+  if (employeeIds && employeeIds.length) query = query.in('employee_id', employeeIds);
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const byId = new Map();
+  for (const row of data || []) {
+    const emp = Array.isArray(row.employees) ? row.employees[0] : row.employees;
+    if (!emp || emp.deleted_at || !isWageEarner(emp)) continue;
+    byId.set(emp.id, { ...emp, months: (byId.get(emp.id)?.months || 0) + 1 });
+  }
+  return [...byId.values()].sort((a, b) => (a.name || '').localeCompare(b.name || '', 'ko'));
+}
+
+// 정산 1건 계산 → 저장할 필드
+async function computeSettlement(supabase, row, employee) {
+  const deductions = row.deductions || defaultDeductions(employee);
+  const { data: payrolls, error } = await supabase
+    .from('payrolls')
+    .select(PAYROLL_COLUMNS)
+    .eq('employee_id', row.employee_id)
+    .eq('year', row.year)
+    .order('month', { ascending: true });
+  if (error) throw error;
+
+  const rules = await loadAllPayrollRules(supabase, new Date(`${row.year}-12-31T00:00:00+09:00`));
+  const result = calculateYearEndTax(summarizePayrolls(payrolls || [], deductions.previousEmployer), deductions, rules);
+  return {
+    deductions,
+    result,
+    total_salary:            result.totalSalary,
+    final_income_tax:        result.finalIncomeTax,
+    final_local_income_tax:  result.finalLocalIncomeTax,
+    paid_income_tax:         result.paid.incomeTax,
+    paid_local_income_tax:   result.paid.localIncomeTax,
+    settle_income_tax:       result.settleIncomeTax,
+    settle_local_income_tax: result.settleLocalIncomeTax,
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers, body: '' };
+
+  let user;
+  try {
+    user = verifyToken(event.headers.authorization || event.headers.Authorization);
+  } catch (e) {
+    return resp(401, { success: false, error: '인증이 필요합니다' });
+  }
+
+  if (!['owner', 'manager'].includes(user.role)) {
+    return resp(403, { success: false, error: '권한이 없습니다 (owner/manager만 가능)' });
+  }
+
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+  const params = event.queryStringParameters || {};
+  const actor = auditActor(event, user);
+  const now = () => new Date().toISOString();
+
+  const audit = (entityId, action, before, after, reason) => recordAudit(supabase, actor, {
+    companyId:  user.companyId,
+    entityType: AUDIT_ENTITY.YEAR_END_SETTLEMENT,
+    entityId,
+    action,
+    before,
+    after,
+    reason,
+    source:     'year-end-settlements',
+  });
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (params.id) {
+        const { data } = await supabase
+          .from('year_end_settlements')
+          .select(SELECT)
+          .eq('id', params.id)
+          .eq('company_id', user.companyId)
+          .maybeSingle();
+        if (!data) return resp(404, { success: false, error: '연말정산 내역을 찾을 수 없습니다' });
+        return resp(200, { success: true, data: formatSettlement(data, { detail: true }) });
+      }
+
+      const year = validYear(params.year);
+      if (!year) return resp(400, { success: false, error: 'year 필수' });
+
+      const targets = await loadTargets(supabase, user.companyId, year);
+      const { data: rows, error } = await supabase
+        .from('year_end_settlements')
+        .select(SELECT)
+        .eq('company_id', user.companyId)
+        .eq('year', year);
+      if (error) throw error;
+
+      const byEmployee = new Map((rows || []).map(r => [r.employee_id, r]));
+      const settlements = targets.map(emp => {
+        const row = byEmployee.get(emp.id);
+        return row
+          ? { ...formatSettlement(row), payrollMonths: emp.months }
+          : { id: null, employeeId: emp.id, employeeName: emp.name, year, status: null, statusLabel: '미요청', payrollMonths: emp.months };
+      });
+      const counts = settlements.reduce((acc, s) => {
+        const key = s.status || 'none';
+        acc[key] = (acc[key] || 0) + 1;
+        return acc;
+      }, {});
+      const sum = (k) => settlements.reduce((acc, s) => acc + (s.id ? s[k] : 0), 0);
+      return resp(200, {
+        success: true,
+        data: {
+          year,
+          settleYear: year + 1,
+          settleMonth: SETTLE_MONTH,
+          settlements,
+          counts,
+          totals: {
+            settleIncomeTax:      sum('settleIncomeTax'),
+            settleLocalIncomeTax: sum('settleLocalIncomeTax'),
+          },
+        },
+      });
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    if (event.httpMethod === 'PUT') {
+      if (!body.id) return resp(400, { success: false, error: 'id 필수' });
+      const { data: row } = await supabase
+        .from('year_end_settlements')
+        .select(SELECT)
+        .eq('id', body.id)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!row) return resp(404, { success: false, error: '연말정산 내역을 찾을 수 없습니다' });
+      if (!EDITABLE.includes(row.status)) {
+        return resp(409, { success: false, error: '확정된 연말정산은 수정할 수 없습니다. 확정 취소 후 수정하세요.' });
+      }
+      const validated = validateDeductions(body.deductions);
+      if (validated.error) {
+        const { statusCode, ...rest } = validated.error;
+        return resp(statusCode, { success: false, ...rest });
+      }
+
+      const update = {
+        deductions:       validated.deductions,
+        deduction_source: DEDUCTION_SOURCE.MANAGER,
+        status:           YEAR_END_STATUS.SUBMITTED,
+        submitted_at:     now(),
+        updated_at:       now(),
+      };
+      const { data, error } = await supabase
+        .from('year_end_settlements')
+        .update(update)
+        .eq('id', row.id)
+        .select(SELECT)
+        .single();
+      if (error) throw error;
+
+      await audit(row.id, AUDIT_ACTION.UPDATE, { deductions: row.deductions, status: row.status }, update, body.reason || '관리자 대리 입력');
+      return resp(200, { success: true, data: formatSettlement(data, { detail: true }), message: '공제 신고를 저장했습니다. 세액을 다시 계산하세요.' });
+    }
+
+    if (event.httpMethod !== 'POST') return resp(405, { success: false, error: '허용되지 않는 메서드' });
+
+    // ── 공제 신고 요청 (제출 링크 발급) ──
+    if (body.action === 'request') {
+      const year = validYear(body.year);
+      if (!year) return resp(400, { success: false, error: 'year 필수' });
+      const targets = await loadTargets(supabase, user.companyId, year, body.employeeIds);
+      if (targets.length === 0) return resp(400, { success: false, error: `${year}년 급여가 있는 근로자가 없습니다` });
+
+      const { data: existing } = await supabase
+        .from('year_end_settlements')
+        .select('id, employee_id, status')
+        .eq('company_id', user.companyId)
+        .eq('year', year);
+      const byEmployee = new Map((existing || []).map(r => [r.employee_id, r]));
+
+      const links = [];
+      const skipped = [];
+      for (const emp of targets) {
+        const current = byEmployee.get(emp.id);
+        if (current && !EDITABLE.includes(current.status)) {
+          skipped.push({ employeeId: emp.id, name: emp.name, reason: '이미 확정됨' });
+          continue;
+        }
+        const token = generateSubmitToken();
+        const expiresAt = submitTokenExpiry();
+        const fields = {
+          submit_token_hash:       sha256(token),
+          submit_token_expires_at: expiresAt,
+          requested_at:            now(),
+          updated_at:              now(),
+        };
+        let saved;
+        if (current) {
+          ({ data: saved } = await supabase.from('year_end_settlements').update(fields).eq('id', current.id).select('id').single());
+        } else {
+          const { data, error } = await supabase
+            .from('year_end_settlements')
+            .insert({
+              ...fields,
+              company_id:  user.companyId,
+              employee_id: emp.id,
+              year,
+              status:      YEAR_END_STATUS.REQUESTED,
+              deductions:  defaultDeductions(emp),
+              created_by:  user.userId,
+            })
+            .select('id')
+            .single();
+          if (error) throw error;
+          saved = data;
+          await audit(saved.id, AUDIT_ACTION.CREATE, null, { employee_id: emp.id, year, status: YEAR_END_STATUS.REQUESTED }, '연말정산 공제 신고 요청');
+        }
+
+        const submitUrl = SUBMIT_URL + token;
+        let notified = false;
+        if (body.notify) {
+          try {
+            const sent = await sendEmployeeNotification(supabase, {
+              companyId: user.companyId,
+              employeeId: emp.id,
+              type: 'year_end_request',
+              data: { year, dueDate: expiresAt.slice(0, 10), submitUrl },
+            });
+            notified = sent.success;
+            if (!sent.success) console.warn('연말정산 요청 알림 미발송:', sent.error || sent.statusCode);
+          } catch (e) {
+            console.error('연말정산 요청 알림 실패:', e.message);
+          }
+        }
+        links.push({ id: saved?.id || current?.id, employeeId: emp.id, name: emp.name, submitUrl, expiresAt, notified });
+      }
+
+      return resp(200, {
+        success: true,
+        data: { links, skipped },
+        message: `${links.length}명에게 공제 신고 링크를 발급했습니다.` + (skipped.length ? ` (확정 ${skipped.length}명 제외)` : ''),
+      });
+    }
+
+    // ── 세액 계산 ──
+    if (body.action === 'calculate') {
+      const year = validYear(body.year);
+      if (!year && !(body.ids && body.ids.length)) return resp(400, { success: false, error: 'year 또는 ids 필수' });
+      let query = supabase
+        .from('year_end_settlements')
+        .select(SELECT)
+        .eq('company_id', user.companyId)
+        .in('status', EDITABLE);
+      query = body.ids && body.ids.length ? query.in('id', body.ids) : query.eq('year', year);
+      const { data: rows, error } = await query;
+      if (error) throw error;
+      if (!rows || rows.length === 0) return resp(400, { success: false, error: '계산할 연말정산이 없습니다 (확정 전 건만 계산)' });
+
+      const results = [];
+      for (const row of rows) {
+        const employee = (Array.isArray(row.employees) ? row.employees[0] : row.employees) || {};
+        const computed = await computeSettlement(supabase, row, employee);
+        const update = { ...computed, status: YEAR_END_STATUS.CALCULATED, calculated_at: now(), updated_at: now() };
+        const { data, error: upError } = await supabase
+          .from('year_end_settlements')
+          .update(update)
+          .eq('id', row.id)
+          .select(SELECT)
+          .single();
+        if (upError) throw upError;
+        await audit(row.id, row.result ? AUDIT_ACTION.RECALCULATE : AUDIT_ACTION.UPDATE,
+          { status: row.status, final_income_tax: row.final_income_tax, settle_income_tax: row.settle_income_tax },
+          { status: update.status, final_income_tax: update.final_income_tax, settle_income_tax: update.settle_income_tax },
+          row.status === YEAR_END_STATUS.REQUESTED ? '미제출 — 기본 공제로 계산' : null);
+        results.push(formatSettlement(data));
+      }
+      const unsubmitted = rows.filter(r => r.status === YEAR_END_STATUS.REQUESTED).length;
+      return resp(200, {
+        success: true,
+        data: results,
+        message: `${results.length}명 연말정산을 계산했습니다.` + (unsubmitted ? ` (미제출 ${unsubmitted}명은 기본 공제만 적용)` : ''),
+      });
+    }
+
+    // ── 확정 ──
+    if (body.action === 'confirm') {
+      if (!Array.isArray(body.ids) || body.ids.length === 0) return resp(400, { success: false, error: 'ids 필수' });
+      const { data: rows, error } = await supabase
+        .from('year_end_settlements')
+        .select('id, year, status')
+        .eq('company_id', user.companyId)
+        .in('id', body.ids);
+      if (error) throw error;
+      const ready = (rows || []).filter(r => r.status === YEAR_END_STATUS.CALCULATED);
+      if (ready.length === 0) return resp(409, { success: false, error: '계산 완료 상태인 연말정산만 확정할 수 있습니다' });
+
+      for (const row of ready) {
+        const update = {
+          status:       YEAR_END_STATUS.CONFIRMED,
+          settle_year:  row.year + 1,
+          settle_month: SETTLE_MONTH,
+          confirmed_at: now(),
+          confirmed_by: user.userId,
+          updated_at:   now(),
+        };
+        const { error: upError } = await supabase.from('year_end_settlements').update(update).eq('id', row.id);
+        if (upError) throw upError;
+        await audit(row.id, AUDIT_ACTION.UPDATE, { status: row.status }, update, body.reason || '연말정산 확정');
+      }
+      return resp(200, {
+        success: true,
+        data: { confirmed: ready.map(r => r.id), skipped: (rows || []).length - ready.length },
+        message: `${ready.length}명 연말정산을 확정했습니다. ${ready[0].year + 1}년 ${SETTLE_MONTH}월 급여 계산 때 환급·추가 징수가 반영됩니다.`,
+      });
+    }
+
+    // ── 확정 취소 ──
+    if (body.action === 'reopen') {
+      if (!body.id) return resp(400, { success: false, error: 'id 필수' });
+      if (!body.reason || !String(body.reason).trim()) return resp(400, { success: false, error: '확정 취소 사유(reason)를 입력해주세요' });
+      const { data: row } = await supabase
+        .from('year_end_settlements')
+        .select('id, status')
+        .eq('id', body.id)
+        .eq('company_id', user.companyId)
+        .maybeSingle();
+      if (!row) return resp(404, { success: false, error: '연말정산 내역을 찾을 수 없습니다' });
+      if (row.status !== YEAR_END_STATUS.CONFIRMED) {
+        return resp(409, { success: false, error: row.status === YEAR_END_STATUS.SETTLED
+          ? '이미 급여에 반영된 연말정산은 취소할 수 없습니다'
+          : '확정된 연말정산만 취소할 수 있습니다' });
+      }
+      const update = { status: YEAR_END_STATUS.CALCULATED, settle_year: null, settle_month: null, confirmed_at: null, confirmed_by: null, updated_at: now() };
+      const { error } = await supabase.from('year_end_settlements').update(update).eq('id', row.id).eq('status', YEAR_END_STATUS.CONFIRMED);
+      if (error) throw error;
+      await audit(row.id, AUDIT_ACTION.UPDATE, { status: row.status }, update, String(body.reason).trim());
+      return resp(200, { success: true, message: '확정을 취소했습니다.' });
+    }
+
+    return resp(400, { success: false, error: 'action은 request, calculate, confirm, reopen 중 하나' });
+  } catch (err) {
+    console.error('year-end-settlements 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
@@ -0,0 +1,175 @@
+// netlify/functions/year-end-submit.js
+// 직원 연말정산 공제 신고 API (year-end-submit.html 에서 호출, 로그인 불필요)
+//
+// POST /.netlify/functions/year-end-submit
+//   공통 Body: { token, phoneNumber }   // 관리자가 발급한 제출 링크 토큰 (YES_xxx) + 본인 휴대폰 번호
+//
+//   { action: 'load' }                    → 귀속 연도·급여 합계·현재 공제 신고 (미제출이면 기본값)
+//   { action: 'parse', file: 'data:...' } → 홈택스 간소화 자료(XML / PDF) → 양식 채우기 (저장하지 않음)
+//   { action: 'submit', deductions, source? } → 공제 신고 제출 (확정 전까지 다시 제출 가능)
+//
+// 퇴사자 등 재직 중이 아닌 직원은 본인 확인이 되지 않으므로 관리자 대리 입력 (year-end-settlements.js PUT)
+
+const { createClient } = require('@supabase/supabase-js');
+const { findEmployeeByPhone } = require('./lib/checkin-token');
+const { recordAudit, auditActor, AUDIT_ENTITY, AUDIT_ACTION } = require('./lib/audit-log');
+const { parseNtsUpload } = require('./lib/nts-simplified');
+const {
+  YEAR_END_STATUS,
+  DEDUCTION_SOURCE,
+  resolveSubmitToken,
+  defaultDeductions,
+  validateDeductions,
+  summarizePayrolls,
+} = require('./lib/year-end-tax');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*', // 직원 휴대폰에서 문자 링크로 접속
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+function resp(statusCode, body) {
+  return { statusCode, headers: CORS, body: JSON.stringify(body) };
+}
+
+function errorResp(error) {
+  const { statusCode, ...rest } = error;
+  return resp(statusCode, { success: false, ...rest });
+}
+
+// 확정 전까지만 제출·수정 가능
+const OPEN = [YEAR_END_STATUS.REQUESTED, YEAR_END_STATUS.SUBMITTED, YEAR_END_STATUS.CALCULATED];
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: CORS, body: '' };
+  if (event.httpMethod !== 'POST') return resp(405, { success: false, error: 'POST만 허용' });
+
+  try {
+    const body = JSON.parse(event.body || '{}');
+    if (!['load', 'parse', 'submit'].includes(body.action)) {
+      return resp(400, { success: false, error: 'action은 load, parse, submit 중 하나' });
+    }
+
+    const identity = await identify(body);
+    if (identity.error) return identity.error;
+
+    if (body.action === 'load') return await loadForm(identity);
+    if (body.action === 'parse') return await parseUpload(identity, body);
+    return await submitDeductions(identity, body, event);
+  } catch (err) {
+    console.error('year-end-submit 오류:', err);
+    return resp(500, { success: false, error: '서버 오류: ' + err.message });
+  }
+};
+
+// ── 본인 확인 (제출 링크 + 휴대폰 번호) ─────────────────────────
+async function identify({ token, phoneNumber }) {
+  if (!token) return { error: resp(400, { success: false, error: 'token 필수' }) };
+  if (!phoneNumber) return { error: resp(400, { success: false, error: 'phoneNumber 필수' }) };
+
+  const resolved = await resolveSubmitToken(supabase, token);
+  if (resolved.error) return { error: errorResp(resolved.error) };
+  const { settlement } = resolved;
+
+  const employee = await findEmployeeByPhone(supabase, settlement.company_id, phoneNumber, 'id, name, dependents, tax_children, users:user_id ( name, phone )');
+  if (!employee || employee.id !== settlement.employee_id) {
+    return { error: resp(403, { success: false, error: '링크를 받은 본인의 휴대폰 번호를 입력해주세요.' }) };
+  }
+  return { settlement, employee };
+}
+
+// ── 양식 불러오기 ────────────────────────────────────────────
+async function loadForm({ settlement, employee }) {
+  const { data: payrolls, error } = await supabase
+    .from('payrolls')
+    .select('taxable_income, non_taxable_amount, national_pension, health_insurance, long_term_care, employment_insurance, income_tax, local_income_tax')
+    .eq('employee_id', settlement.employee_id)
+    .eq('year', settlement.year);
+  if (error) throw error;
+  const summary = summarizePayrolls(payrolls || []);
+
+  return resp(200, {
+    success: true,
+    data: {
+      employeeName: employee.name,
+      year: settlement.year,
+      status: settlement.status,
+      editable: OPEN.includes(settlement.status),
+      submittedAt: settlement.submitted_at || null,
+      dueAt: settlement.submit_token_expires_at || null,
+      deductions: settlement.deductions || defaultDeductions(employee),
+      payrollSummary: {
+        months: summary.months,
+        totalSalary: summary.currentSalary,
+        paidIncomeTax: summary.currentIncomeTax,
+        paidLocalIncomeTax: summary.currentLocalTax,
+      },
+    },
+  });
+}
+
+// ── 간소화 자료 읽기 (양식 채우기만) ─────────────────────────────
+async function parseUpload({ settlement, employee }, body) {
+  if (!OPEN.includes(settlement.status)) return resp(409, { success: false, error: '이미 확정된 연말정산입니다. 수정이 필요하면 관리자에게 문의해주세요.' });
+  if (!body.file) return resp(400, { success: false, error: 'file 필수' });
+
+  const base = body.deductions ? validateDeductions(body.deductions) : { deductions: settlement.deductions || defaultDeductions(employee) };
+  if (base.error) return errorResp(base.error);
+
+  const parsed = await parseNtsUpload(body.file, base.deductions);
+  if (parsed.error) return errorResp(parsed.error);
+
+  return resp(200, {
+    success: true,
+    data: parsed,
+    message: `간소화 자료 ${parsed.recognized.length}건을 양식에 채웠습니다. 내용을 확인한 뒤 제출해주세요.`,
+  });
+}
+
+// ── 제출 ────────────────────────────────────────────────────
+async function submitDeductions({ settlement, employee }, body, event) {
+  if (!OPEN.includes(settlement.status)) return resp(409, { success: false, error: '이미 확정된 연말정산입니다. 수정이 필요하면 관리자에게 문의해주세요.' });
+
+  const validated = validateDeductions(body.deductions);
+  if (validated.error) return errorResp(validated.error);
+  const source = [DEDUCTION_SOURCE.NTS_XML, DEDUCTION_SOURCE.NTS_PDF].includes(body.source) ? body.source : DEDUCTION_SOURCE.FORM;
+
+  const now = new Date().toISOString();
+  const update = {
+    deductions:       validated.deductions,
+    deduction_source: source,
+    status:           YEAR_END_STATUS.SUBMITTED, // 계산 완료 후 재제출이면 다시 계산 필요
+    submitted_at:     now,
+    updated_at:       now,
+  };
+  const { error } = await supabase
+    .from('year_end_settlements')
+    .update(update)
+    .eq('id', settlement.id)
+    .in('status', OPEN);
+  if (error) throw error;
+
+  // 직원은 로그인 계정이 없으므로 actor_id 없이 role 만 기록
+  await recordAudit(supabase, auditActor(event, { role: 'employee' }), {
+    companyId:  settlement.company_id,
+    entityType: AUDIT_ENTITY.YEAR_END_SETTLEMENT,
+    entityId:   settlement.id,
+    action:     AUDIT_ACTION.UPDATE,
+    before:     { status: settlement.status, deductions: settlement.deductions },
+    after:      update,
+    reason:     '직원 공제 신고 제출',
+    source:     'year-end-submit',
+  });
+
+  return resp(200, {
+    success: true,
+    message: `${employee.name}님의 ${settlement.year}년 귀속 연말정산 공제 신고가 제출되었습니다. 확정 전까지 다시 제출할 수 있습니다.`,
+  });
+}
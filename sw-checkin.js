@@ -0,0 +1,56 @@
+// sw-checkin.js
+// 출퇴근 체크인 페이지(attendance-checkin.html) / 매장 키오스크(kiosk.html) 서비스 워커 — 오프라인에서도 페이지 열기
+//
+// - 페이지/매니페스트/아이콘만 캐시 (API 응답은 캐시하지 않음)
+// - 네트워크 우선, 실패 시 캐시 (QR 토큰 쿼리스트링은 무시하고 같은 페이지로 응답)
+// - 출퇴근 기록 대기열/재전송은 페이지(localStorage)에서 처리
+//
+// 등록: attendance-checkin.html → navigator.serviceWorker.register('/sw-checkin.js', { scope: '/attendance-checkin.html' })
+//       kiosk.html              → navigator.serviceWorker.register('/sw-checkin.js', { scope: '/kiosk.html' })
+
+const CACHE_NAME = 'sm-checkin-v2';
+const SHELL = [
+  '/attendance-checkin.html',
+  '/kiosk.html',
+  '/manifest-checkin.webmanifest',
+  '/icons/checkin-icon.svg',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('sm-checkin-') && k !== CACHE_NAME).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+  // API 는 항상 네트워크 (실패하면 페이지가 대기열에 저장)
+  if (url.pathname.startsWith('/.netlify/functions/')) return;
+  if (!SHELL.includes(url.pathname)) return;
+
+  event.respondWith(
+    fetch(req)
+      .then(res => {
+        if (res.ok) {
+          const copy = res.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(url.pathname, copy));
+        }
+        return res;
+      })
+      .catch(() => caches.match(url.pathname, { ignoreSearch: true }))
+  );
+});
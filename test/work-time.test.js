@@ -0,0 +1,38 @@
+// test/work-time.test.js
+// 법정 최소 휴게시간 경계값 (근로기준법 제54조 — 휴게 후 실근로 4시간/8시간 기준)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getStatutoryBreakMinutes, calculateWorkTime } = require('../netlify/functions/lib/work-time');
+
+test('4시간30분 미만 체류는 휴게 없음, 4시간30분부터 30분', () => {
+  assert.equal(getStatutoryBreakMinutes(239), 0);
+  assert.equal(getStatutoryBreakMinutes(240), 0);
+  assert.equal(getStatutoryBreakMinutes(269), 0);
+  assert.equal(getStatutoryBreakMinutes(270), 30);
+});
+
+test('9시간 미만 체류는 30분, 9시간부터 60분', () => {
+  assert.equal(getStatutoryBreakMinutes(509), 30);
+  assert.equal(getStatutoryBreakMinutes(510), 30);
+  assert.equal(getStatutoryBreakMinutes(539), 30);
+  assert.equal(getStatutoryBreakMinutes(540), 60);
+});
+
+test('4시간 체류는 실근로 4시간 그대로', () => {
+  const wt = calculateWorkTime({ checkIn: '2026-03-02T09:00:00+09:00', checkOut: '2026-03-02T13:00:00+09:00' });
+  assert.equal(wt.breakMinutes, 0);
+  assert.equal(wt.netMinutes, 240);
+});
+
+test('계약 휴게시간도 법정 휴게 대상(4시간30분 이상)부터 차감', () => {
+  const at = (minutes) => calculateWorkTime({
+    checkIn: '2026-03-02T09:00:00+09:00',
+    checkOut: new Date(Date.parse('2026-03-02T09:00:00+09:00') + minutes * 60000).toISOString(),
+    contractedBreakMinutes: 60,
+  });
+  assert.equal(at(240).breakMinutes, 0);
+  assert.equal(at(269).breakMinutes, 0);
+  assert.equal(at(269).netMinutes, 269);
+  assert.equal(at(270).breakMinutes, 60);
+  assert.equal(at(270).breakSource, 'contract');
+});